@@ -113,19 +113,24 @@ class Ai_Blog_Posts_Admin {
 			wp_enqueue_script(
 				$this->plugin_name,
 				plugin_dir_url( __FILE__ ) . 'js/ai-blog-posts-admin.js',
-				array( 'jquery' ),
+				array( 'jquery', 'jquery-ui-sortable', 'jquery-ui-draggable', 'jquery-ui-droppable' ),
 				$this->version,
 				true
 			);
 
+			// Media picker for the watermark image
+			if ( strpos( $screen->id, 'ai-blog-posts-settings' ) !== false ) {
+				wp_enqueue_media();
+			}
+
 			// Localize script with AJAX URL and nonce
 			wp_localize_script(
 				$this->plugin_name,
 				'aiBlogPosts',
 				array(
-					'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
-					'nonce'     => wp_create_nonce( 'ai_blog_posts_nonce' ),
-					'strings'   => array(
+					'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+					'nonce'        => wp_create_nonce( 'ai_blog_posts_nonce' ),
+					'strings'      => array(
 						'verifying'     => __( 'Verifying...', 'ai-blog-posts' ),
 						'generating'    => __( 'Generating...', 'ai-blog-posts' ),
 						'saving'        => __( 'Saving...', 'ai-blog-posts' ),
@@ -133,11 +138,46 @@ class Ai_Blog_Posts_Admin {
 						'error'         => __( 'Error', 'ai-blog-posts' ),
 						'confirmDelete' => __( 'Are you sure you want to delete this?', 'ai-blog-posts' ),
 					),
+					'sectionTones' => Ai_Blog_Posts_Generator::get_section_tones(),
 				)
 			);
 		}
 	}
 
+	/**
+	 * Register the block editor sidebar.
+	 *
+	 * @since    1.0.0
+	 */
+	public function enqueue_editor_assets() {
+		$screen = get_current_screen();
+
+		if ( ! current_user_can( 'manage_options' ) || ! $screen || 'post' !== $screen->post_type ) {
+			return;
+		}
+
+		wp_enqueue_script(
+			$this->plugin_name . '-editor',
+			plugin_dir_url( __FILE__ ) . 'js/ai-blog-posts-editor.js',
+			array( 'jquery', 'wp-plugins', 'wp-edit-post', 'wp-editor', 'wp-element', 'wp-components', 'wp-data', 'wp-blocks', 'wp-i18n' ),
+			$this->version,
+			true
+		);
+
+		wp_set_script_translations( $this->plugin_name . '-editor', 'ai-blog-posts' );
+
+		wp_localize_script(
+			$this->plugin_name . '-editor',
+			'aiBlogPostsEditor',
+			array(
+				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'ai_blog_posts_nonce' ),
+				'isVerified'  => Ai_Blog_Posts_Settings::is_verified(),
+				'settingsUrl' => admin_url( 'admin.php?page=ai-blog-posts-settings' ),
+			)
+		);
+	}
+
 	/**
 	 * Register the admin menu pages.
 	 *
@@ -185,6 +225,16 @@ class Ai_Blog_Posts_Admin {
 			array( $this, 'render_topics_page' )
 		);
 
+		// Editorial Calendar
+		add_submenu_page(
+			'ai-blog-posts',
+			__( 'Editorial Calendar', 'ai-blog-posts' ),
+			__( 'Calendar', 'ai-blog-posts' ),
+			'manage_options',
+			'ai-blog-posts-calendar',
+			array( $this, 'render_calendar_page' )
+		);
+
 		// Generation Logs
 		add_submenu_page(
 			'ai-blog-posts',
@@ -195,6 +245,26 @@ class Ai_Blog_Posts_Admin {
 			array( $this, 'render_logs_page' )
 		);
 
+		// Prompt Templates
+		add_submenu_page(
+			'ai-blog-posts',
+			__( 'Prompt Templates', 'ai-blog-posts' ),
+			__( 'Prompt Templates', 'ai-blog-posts' ),
+			'manage_options',
+			'ai-blog-posts-prompts',
+			array( $this, 'render_prompts_page' )
+		);
+
+		// Voice Profiles
+		add_submenu_page(
+			'ai-blog-posts',
+			__( 'Voice Profiles', 'ai-blog-posts' ),
+			__( 'Voice Profiles', 'ai-blog-posts' ),
+			'manage_options',
+			'ai-blog-posts-voices',
+			array( $this, 'render_voices_page' )
+		);
+
 		// Settings
 		add_submenu_page(
 			'ai-blog-posts',
@@ -233,6 +303,34 @@ class Ai_Blog_Posts_Admin {
 		include plugin_dir_path( __FILE__ ) . 'partials/topics-page.php';
 	}
 
+	/**
+	 * Build a Topics page URL that keeps the current filters.
+	 *
+	 * @since    1.0.0
+	 * @param    array $filters    Filters from Ai_Blog_Posts_Scheduler::get_topic_filters().
+	 * @param    array $args       Query args to add or override, e.g. paged.
+	 * @return   string            Admin URL.
+	 */
+	public static function get_topics_url( $filters, $args = array() ) {
+		$query_args = array_map( 'rawurlencode', array_filter( array_merge( $filters, $args ) ) );
+
+		// Descending is the default, so only ask for ascending when sorting
+		if ( empty( $query_args['orderby'] ) || 'asc' !== $query_args['order'] ) {
+			unset( $query_args['order'] );
+		}
+
+		return add_query_arg( $query_args, admin_url( 'admin.php?page=ai-blog-posts-topics' ) );
+	}
+
+	/**
+	 * Render the editorial calendar page.
+	 *
+	 * @since    1.0.0
+	 */
+	public function render_calendar_page() {
+		include plugin_dir_path( __FILE__ ) . 'partials/calendar-page.php';
+	}
+
 	/**
 	 * Render the logs page.
 	 *
@@ -242,6 +340,24 @@ class Ai_Blog_Posts_Admin {
 		include plugin_dir_path( __FILE__ ) . 'partials/logs-page.php';
 	}
 
+	/**
+	 * Render the prompt templates page.
+	 *
+	 * @since    1.0.0
+	 */
+	public function render_prompts_page() {
+		include plugin_dir_path( __FILE__ ) . 'partials/prompts-page.php';
+	}
+
+	/**
+	 * Render the voice profiles page.
+	 *
+	 * @since    1.0.0
+	 */
+	public function render_voices_page() {
+		include plugin_dir_path( __FILE__ ) . 'partials/voices-page.php';
+	}
+
 	/**
 	 * Render the settings page.
 	 *
@@ -263,18 +379,33 @@ class Ai_Blog_Posts_Admin {
 			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
 		}
 
+		$providers = Ai_Blog_Posts_Providers::get_all();
+		$provider = isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : 'openai';
 		$api_key = isset( $_POST['api_key'] ) ? sanitize_text_field( wp_unslash( $_POST['api_key'] ) ) : '';
 
-		if ( empty( $api_key ) ) {
+		if ( ! isset( $providers[ $provider ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown provider.', 'ai-blog-posts' ) ) );
+		}
+
+		if ( 'openai_compatible' === $provider ) {
+			// Local endpoints usually run without a key
+			$base_url = isset( $_POST['base_url'] ) ? esc_url_raw( wp_unslash( $_POST['base_url'] ) ) : '';
+			$client = new Ai_Blog_Posts_Provider_Compatible( $api_key, $base_url );
+		} elseif ( empty( $api_key ) ) {
 			wp_send_json_error( array( 'message' => __( 'API key is required.', 'ai-blog-posts' ) ) );
+		} else {
+			$client = Ai_Blog_Posts_Providers::create( $provider, $api_key );
 		}
 
-		$openai = new Ai_Blog_Posts_OpenAI( $api_key );
-		$result = $openai->verify_api_key( $api_key );
+		$result = $client->verify_api_key( $api_key );
 
 		if ( $result['success'] ) {
-			// Save the API key
-			Ai_Blog_Posts_Settings::set( 'api_key', $api_key );
+			// Save the credentials and make this the active provider
+			Ai_Blog_Posts_Settings::set( 'provider', $provider );
+			Ai_Blog_Posts_Settings::set( $providers[ $provider ]['key_setting'], $api_key );
+			if ( 'openai_compatible' === $provider ) {
+				Ai_Blog_Posts_Settings::set( 'compatible_base_url', $base_url );
+			}
 			Ai_Blog_Posts_Settings::set( 'api_verified', true );
 			wp_send_json_success( $result );
 		} else {
@@ -307,20 +438,37 @@ class Ai_Blog_Posts_Admin {
 			'trending_enabled',
 			'image_enabled',
 			'seo_enabled',
+			'duplicate_embeddings',
+			'analysis_auto_refresh',
 			'api_verified',
 		);
 
+		// Changing any of these means the connection has to be verified again
+		$credential_settings = array(
+			'provider',
+			'api_key',
+			'anthropic_api_key',
+			'gemini_api_key',
+			'compatible_base_url',
+			'compatible_api_key',
+		);
+
 		$saved = array();
 		$schedule_changed = false;
+		$credentials_changed = false;
 		
 		foreach ( $settings as $key => $value ) {
-			// Skip API key if empty (don't overwrite existing)
-			if ( 'api_key' === $key && empty( $value ) ) {
+			// Skip API keys if empty (don't overwrite existing)
+			if ( in_array( $key, array( 'api_key', 'anthropic_api_key', 'gemini_api_key', 'compatible_api_key' ), true ) && empty( $value ) ) {
 				continue;
 			}
 
+			if ( in_array( $key, $credential_settings, true ) ) {
+				$credentials_changed = $credentials_changed || ( Ai_Blog_Posts_Settings::get( $key ) !== $value );
+			}
+
 			// Track if schedule settings changed
-			if ( in_array( $key, array( 'schedule_enabled', 'schedule_frequency', 'schedule_time' ), true ) ) {
+			if ( in_array( $key, Ai_Blog_Posts_Scheduler::SCHEDULE_SETTINGS, true ) ) {
 				$old_value = Ai_Blog_Posts_Settings::get( $key );
 				$schedule_changed = $schedule_changed || ( $old_value !== $value );
 			}
@@ -345,6 +493,10 @@ class Ai_Blog_Posts_Admin {
 			}
 		}
 
+		if ( $credentials_changed ) {
+			Ai_Blog_Posts_Settings::set( 'api_verified', false );
+		}
+
 		// Reschedule cron if schedule settings changed
 		if ( $schedule_changed ) {
 			// Set cooldown to prevent immediate generation when settings are saved
@@ -361,6 +513,142 @@ class Ai_Blog_Posts_Admin {
 		) );
 	}
 
+	/**
+	 * AJAX handler: Preview the next run times for unsaved schedule settings.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_preview_schedule() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$settings = isset( $_POST['settings'] ) && is_array( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
+		$rules = Ai_Blog_Posts_Schedule_Rules::from_input( $settings );
+		$format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+		$runs = array();
+		foreach ( Ai_Blog_Posts_Schedule_Rules::get_next_runs( $rules, 10, time() ) as $run ) {
+			$runs[] = wp_date( 'D, ', $run ) . wp_date( $format, $run );
+		}
+
+		$note = '';
+		if ( ! $runs ) {
+			$note = 'custom' === $rules['frequency'] && ( ! $rules['days'] || ! $rules['slots'] )
+				? __( 'Choose at least one day and one time.', 'ai-blog-posts' )
+				: __( 'Nothing would run in the next year.', 'ai-blog-posts' );
+		} elseif ( $rules['jitter'] ) {
+			/* translators: %d: minutes */
+			$note = sprintf( __( 'Each run may start up to %d minutes later.', 'ai-blog-posts' ), $rules['jitter'] );
+		}
+
+		wp_send_json_success( array(
+			'runs' => $runs,
+			'note' => $note,
+		) );
+	}
+
+	/**
+	 * AJAX handler: Preview image processing with unsaved settings.
+	 *
+	 * Runs the pipeline on a copy of the most recent generated image (or
+	 * the most recent image, if none were generated) and returns the
+	 * result inline, so nothing is added to the media library.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_preview_image_processing() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$settings = isset( $_POST['settings'] ) && is_array( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array();
+		$options = Ai_Blog_Posts_Image_Processor::from_input( $settings );
+
+		// Images already processed on download would be processed twice
+		$unprocessed = array(
+			'key'     => '_ai_blog_posts_processed',
+			'compare' => 'NOT EXISTS',
+		);
+
+		$sample = get_posts( array(
+			'post_type'      => 'attachment',
+			'post_mime_type' => 'image',
+			'post_status'    => 'inherit',
+			'posts_per_page' => 1,
+			'meta_query'     => array(
+				array(
+					'key'     => '_ai_blog_posts_generated',
+					'compare' => 'EXISTS',
+				),
+				$unprocessed,
+			),
+			'fields'         => 'ids',
+		) );
+		if ( ! $sample ) {
+			$sample = get_posts( array(
+				'post_type'      => 'attachment',
+				'post_mime_type' => 'image',
+				'post_status'    => 'inherit',
+				'posts_per_page' => 1,
+				'post__not_in'   => array( $options['watermark_id'] ),
+				'meta_query'     => array( $unprocessed ),
+				'fields'         => 'ids',
+			) );
+		}
+
+		$source = $sample ? wp_get_original_image_path( $sample[0] ) : false;
+		if ( ! $source || ! file_exists( $source ) ) {
+			wp_send_json_error( array( 'message' => __( 'Add an image to the media library to preview the settings.', 'ai-blog-posts' ) ) );
+		}
+
+		if ( ! function_exists( 'wp_tempnam' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		// Work on a copy, as the processor writes next to its source
+		$copy = wp_tempnam( wp_basename( $source ) );
+		if ( ! copy( $source, $copy ) ) {
+			wp_delete_file( $copy );
+			wp_send_json_error( array( 'message' => __( 'Could not copy the sample image.', 'ai-blog-posts' ) ) );
+		}
+
+		$processed = Ai_Blog_Posts_Image_Processor::process( $copy, $options );
+		wp_delete_file( $copy );
+
+		if ( is_wp_error( $processed ) ) {
+			wp_send_json_error( array( 'message' => $processed->get_error_message() ) );
+		}
+
+		$contents = file_get_contents( $processed['path'] );
+		wp_delete_file( $processed['path'] );
+
+		$original_size = wp_getimagesize( $source );
+		$original_bytes = (int) filesize( $source );
+
+		wp_send_json_success( array(
+			'original'  => array(
+				'url'    => wp_get_attachment_image_url( $sample[0], 'large' ),
+				'width'  => $original_size ? $original_size[0] : 0,
+				'height' => $original_size ? $original_size[1] : 0,
+				'format' => strtoupper( wp_get_default_extension_for_mime_type( wp_get_image_mime( $source ) ) ),
+				'size'   => size_format( $original_bytes, 1 ),
+			),
+			'processed' => array(
+				'url'    => 'data:' . $processed['mime-type'] . ';base64,' . base64_encode( $contents ),
+				'width'  => $processed['width'],
+				'height' => $processed['height'],
+				'format' => strtoupper( $processed['extension'] ),
+				'size'   => size_format( $processed['filesize'], 1 ),
+			),
+			'saving'    => $original_bytes ? (int) round( 100 - $processed['filesize'] * 100 / $original_bytes ) : 0,
+		) );
+	}
+
 	/**
 	 * AJAX handler: Start step-by-step generation (create job).
 	 *
@@ -379,11 +667,44 @@ class Ai_Blog_Posts_Admin {
 		$publish = isset( $_POST['publish'] ) && 'true' === $_POST['publish'];
 		$queue_topic_id = isset( $_POST['queue_topic_id'] ) ? absint( $_POST['queue_topic_id'] ) : 0;
 		$generate_image = isset( $_POST['generate_image'] ) ? filter_var( $_POST['generate_image'], FILTER_VALIDATE_BOOLEAN ) : Ai_Blog_Posts_Settings::get( 'image_enabled' );
+		$review_outline = isset( $_POST['review_outline'] ) && filter_var( $_POST['review_outline'], FILTER_VALIDATE_BOOLEAN );
+		$review_image = isset( $_POST['review_image'] ) && filter_var( $_POST['review_image'], FILTER_VALIDATE_BOOLEAN );
+		$inline_images = isset( $_POST['inline_images'] ) ? min( 5, absint( $_POST['inline_images'] ) ) : Ai_Blog_Posts_Settings::get( 'inline_images' );
+		$instructions = isset( $_POST['additional_instructions'] ) ? sanitize_textarea_field( wp_unslash( $_POST['additional_instructions'] ) ) : '';
+		$content_type = isset( $_POST['content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_POST['content_type'] ) ) : Ai_Blog_Posts_Content_Types::DEFAULT_TYPE;
+		$voice_profile = isset( $_POST['voice_profile'] ) ? sanitize_key( wp_unslash( $_POST['voice_profile'] ) ) : '';
+		$editor_post_id = isset( $_POST['editor_post_id'] ) ? absint( $_POST['editor_post_id'] ) : 0;
+		$model = isset( $_POST['model'] ) ? sanitize_text_field( wp_unslash( $_POST['model'] ) ) : '';
+		$step_models = isset( $_POST['step_models'] ) && is_array( $_POST['step_models'] ) ? array_map( 'sanitize_text_field', wp_unslash( $_POST['step_models'] ) ) : array();
 
 		if ( empty( $topic ) ) {
 			wp_send_json_error( array( 'message' => __( 'Topic is required.', 'ai-blog-posts' ) ) );
 		}
 
+		// Generating into a post open in the block editor
+		if ( $editor_post_id ) {
+			if ( ! current_user_can( 'edit_post', $editor_post_id ) ) {
+				wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+			}
+			$generate_image = false;
+			$inline_images = 0;
+			$queue_topic_id = 0;
+		}
+
+		// Estimate with the model that will actually be used
+		$models = Ai_Blog_Posts_Settings::get_models();
+		if ( ! isset( $models[ $model ] ) ) {
+			$model = Ai_Blog_Posts_Settings::get( 'model' );
+		}
+
+		$this->check_estimated_budget( array(
+			'model'          => $model,
+			'step_models'    => $step_models,
+			'content_type'   => $content_type,
+			'generate_image' => $generate_image,
+			'inline_images'  => $inline_images,
+		) );
+
 		// If generating from queue, update status to processing
 		if ( $queue_topic_id ) {
 			global $wpdb;
@@ -399,12 +720,21 @@ class Ai_Blog_Posts_Admin {
 
 		$generator = new Ai_Blog_Posts_Generator();
 		$job_id = $generator->create_job( $topic, array(
+			'model'          => $model,
+			'step_models'    => $step_models,
 			'keywords'       => $keywords,
 			'category_id'    => $category_id,
 			'publish'        => $publish,
-			'source'         => $queue_topic_id ? 'queue' : 'manual',
+			'source'         => $editor_post_id ? 'editor' : ( $queue_topic_id ? 'queue' : 'manual' ),
+			'instructions'   => $instructions,
+			'content_type'   => $content_type,
+			'voice_profile'  => $voice_profile,
 			'generate_image' => $generate_image,
+			'inline_images'  => $inline_images,
 			'queue_topic_id' => $queue_topic_id,
+			'review_outline' => $review_outline,
+			'review_image'   => $review_image,
+			'editor_post_id' => $editor_post_id,
 		) );
 
 		if ( is_wp_error( $job_id ) ) {
@@ -443,6 +773,16 @@ class Ai_Blog_Posts_Admin {
 		}
 
 		$generator = new Ai_Blog_Posts_Generator();
+
+		// A resumed job whose image finished but was never wrapped up
+		if ( 'complete' === $step ) {
+			$result = $generator->complete_with_image( $job_id );
+			if ( is_wp_error( $result ) ) {
+				wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+			}
+			wp_send_json_success( $result );
+		}
+
 		$result = $generator->process_step( $job_id, $step );
 
 		if ( is_wp_error( $result ) ) {
@@ -462,11 +802,14 @@ class Ai_Blog_Posts_Admin {
 					array( '%d' )
 				);
 			}
-			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+			wp_send_json_error( array(
+				'message' => $result->get_error_message(),
+				'code'    => $result->get_error_code(),
+			) );
 		}
 
-		// If step is image and completed, call complete_with_image
-		if ( $step === 'image' && isset( $result['next_step'] ) && $result['next_step'] === 'complete' ) {
+		// If the image steps are done, call complete_with_image
+		if ( in_array( $step, array( 'inline_images', 'image' ), true ) && isset( $result['next_step'] ) && $result['next_step'] === 'complete' ) {
 			$result = $generator->complete_with_image( $job_id );
 			if ( is_wp_error( $result ) ) {
 				wp_send_json_error( array( 'message' => $result->get_error_message() ) );
@@ -507,6 +850,38 @@ class Ai_Blog_Posts_Admin {
 			'steps_completed' => $job['steps_completed'],
 			'error'           => $job['error'],
 			'post_id'         => $job['post_id'],
+			'topic'           => $job['topic'],
+			'cost_usd'        => $job['token_usage']['cost_usd'],
+		) );
+	}
+
+	/**
+	 * AJAX handler: Discard an unfinished generation job.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_discard_job() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		if ( empty( $job_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Missing job ID.', 'ai-blog-posts' ) ) );
+		}
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->discard_job( $job_id );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => __( 'Generation job discarded.', 'ai-blog-posts' ),
 		) );
 	}
 
@@ -527,11 +902,15 @@ class Ai_Blog_Posts_Admin {
 		$category_id = isset( $_POST['category_id'] ) ? absint( $_POST['category_id'] ) : 0;
 		$publish = isset( $_POST['publish'] ) && 'true' === $_POST['publish'];
 		$queue_topic_id = isset( $_POST['queue_topic_id'] ) ? absint( $_POST['queue_topic_id'] ) : 0;
+		$content_type = isset( $_POST['content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_POST['content_type'] ) ) : Ai_Blog_Posts_Content_Types::DEFAULT_TYPE;
+		$voice_profile = isset( $_POST['voice_profile'] ) ? sanitize_key( wp_unslash( $_POST['voice_profile'] ) ) : '';
 
 		if ( empty( $topic ) ) {
 			wp_send_json_error( array( 'message' => __( 'Topic is required.', 'ai-blog-posts' ) ) );
 		}
 
+		$this->check_estimated_budget( array( 'content_type' => $content_type ) );
+
 		// Extend execution time
 		if ( function_exists( 'set_time_limit' ) ) {
 			@set_time_limit( 300 ); // 5 minutes
@@ -552,10 +931,12 @@ class Ai_Blog_Posts_Admin {
 
 		$generator = new Ai_Blog_Posts_Generator();
 		$result = $generator->generate_post( $topic, array(
-			'keywords'    => $keywords,
-			'category_id' => $category_id,
-			'publish'     => $publish,
-			'source'      => $queue_topic_id ? 'queue' : 'manual',
+			'keywords'      => $keywords,
+			'content_type'  => $content_type,
+			'voice_profile' => $voice_profile,
+			'category_id'   => $category_id,
+			'publish'       => $publish,
+			'source'        => $queue_topic_id ? 'queue' : 'manual',
 		) );
 
 		if ( is_wp_error( $result ) ) {
@@ -611,28 +992,74 @@ class Ai_Blog_Posts_Admin {
 
 		$topic = isset( $_POST['topic'] ) ? sanitize_text_field( wp_unslash( $_POST['topic'] ) ) : '';
 		$keywords = isset( $_POST['keywords'] ) ? sanitize_text_field( wp_unslash( $_POST['keywords'] ) ) : '';
+		$content_type = isset( $_POST['content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_POST['content_type'] ) ) : Ai_Blog_Posts_Content_Types::DEFAULT_TYPE;
+		$voice_profile = isset( $_POST['voice_profile'] ) ? sanitize_key( wp_unslash( $_POST['voice_profile'] ) ) : '';
 		$category_id = isset( $_POST['category_id'] ) ? absint( $_POST['category_id'] ) : 0;
 		$priority = isset( $_POST['priority'] ) ? absint( $_POST['priority'] ) : 0;
+		// Empty to warn about duplicates, or add, skip or merge
+		$on_duplicate = isset( $_POST['on_duplicate'] ) ? sanitize_key( $_POST['on_duplicate'] ) : '';
 
 		if ( empty( $topic ) ) {
 			wp_send_json_error( array( 'message' => __( 'Topic is required.', 'ai-blog-posts' ) ) );
 		}
 
+		$dates = Ai_Blog_Posts_Scheduler::get_topic_dates( $_POST );
+		if ( is_wp_error( $dates ) ) {
+			wp_send_json_error( array( 'message' => $dates->get_error_message() ) );
+		}
+
+		$duplicates = new Ai_Blog_Posts_Duplicates();
+
+		if ( 'merge' === $on_duplicate ) {
+			$merged = $duplicates->merge_into( isset( $_POST['merge_into'] ) ? absint( $_POST['merge_into'] ) : 0, $keywords, $priority );
+
+			if ( is_wp_error( $merged ) ) {
+				wp_send_json_error( array( 'message' => $merged->get_error_message() ) );
+			}
+
+			wp_send_json_success( array( 'message' => __( 'Topic merged into the queued topic.', 'ai-blog-posts' ) ) );
+		}
+
+		if ( 'add' !== $on_duplicate ) {
+			// Only the new topic is embedded, against vectors cached by earlier checks
+			$matches = $duplicates->find_matches( $topic, $keywords, 0, false );
+
+			if ( $matches && 'skip' === $on_duplicate ) {
+				wp_send_json_success( array(
+					'message'    => __( 'Skipped as a duplicate.', 'ai-blog-posts' ),
+					'skipped'    => true,
+					'duplicates' => $matches,
+				) );
+			}
+
+			if ( $matches ) {
+				wp_send_json_error( array(
+					'message'    => __( 'This topic looks like a duplicate of an existing topic or post.', 'ai-blog-posts' ),
+					'code'       => 'duplicate',
+					'duplicates' => $matches,
+				) );
+			}
+		}
+
 		global $wpdb;
 		$table = $wpdb->prefix . 'ai_blog_posts_topics';
 
 		$inserted = $wpdb->insert(
 			$table,
 			array(
-				'topic'       => $topic,
-				'keywords'    => $keywords,
-				'category_id' => $category_id,
-				'source'      => 'manual',
-				'status'      => 'pending',
-				'priority'    => $priority,
-				'created_at'  => current_time( 'mysql' ),
+				'topic'         => $topic,
+				'keywords'      => $keywords,
+				'content_type'  => $content_type,
+				'voice_profile' => $voice_profile ? $voice_profile : null,
+				'category_id'   => $category_id,
+				'generate_by'   => $dates['generate_by'],
+				'publish_at'    => $dates['publish_at'],
+				'source'        => 'manual',
+				'status'        => 'pending',
+				'priority'      => $priority,
+				'created_at'    => current_time( 'mysql' ),
 			),
-			array( '%s', '%s', '%d', '%s', '%s', '%d', '%s' )
+			array( '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%d', '%s' )
 		);
 
 		if ( $inserted ) {
@@ -660,6 +1087,8 @@ class Ai_Blog_Posts_Admin {
 		$topic_id = isset( $_POST['topic_id'] ) ? absint( $_POST['topic_id'] ) : 0;
 		$topic = isset( $_POST['topic'] ) ? sanitize_text_field( wp_unslash( $_POST['topic'] ) ) : '';
 		$keywords = isset( $_POST['keywords'] ) ? sanitize_text_field( wp_unslash( $_POST['keywords'] ) ) : '';
+		$content_type = isset( $_POST['content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_POST['content_type'] ) ) : Ai_Blog_Posts_Content_Types::DEFAULT_TYPE;
+		$voice_profile = isset( $_POST['voice_profile'] ) ? sanitize_key( wp_unslash( $_POST['voice_profile'] ) ) : '';
 		$category_id = isset( $_POST['category_id'] ) ? absint( $_POST['category_id'] ) : 0;
 		$priority = isset( $_POST['priority'] ) ? absint( $_POST['priority'] ) : 0;
 
@@ -671,6 +1100,11 @@ class Ai_Blog_Posts_Admin {
 			wp_send_json_error( array( 'message' => __( 'Topic is required.', 'ai-blog-posts' ) ) );
 		}
 
+		$dates = Ai_Blog_Posts_Scheduler::get_topic_dates( $_POST );
+		if ( is_wp_error( $dates ) ) {
+			wp_send_json_error( array( 'message' => $dates->get_error_message() ) );
+		}
+
 		// Ensure priority is within valid range
 		$priority = max( 0, min( 100, $priority ) );
 
@@ -688,18 +1122,25 @@ class Ai_Blog_Posts_Admin {
 			wp_send_json_error( array( 'message' => __( 'Only pending or failed topics can be edited.', 'ai-blog-posts' ) ) );
 		}
 
-		$updated = $wpdb->update(
-			$table,
-			array(
-				'topic'       => $topic,
-				'keywords'    => $keywords,
-				'category_id' => $category_id,
-				'priority'    => $priority,
-			),
-			array( 'id' => $topic_id ),
-			array( '%s', '%s', '%d', '%d' ),
-			array( '%d' )
+		$data = array(
+			'topic'         => $topic,
+			'keywords'      => $keywords,
+			'content_type'  => $content_type,
+			'voice_profile' => $voice_profile ? $voice_profile : null,
+			'category_id'   => $category_id,
+			'priority'      => $priority,
+			'generate_by'   => $dates['generate_by'],
+			'publish_at'    => $dates['publish_at'],
 		);
+		$format = array( '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s' );
+
+		// A new priority moves the topic to that priority's place in the queue
+		if ( (int) $existing->priority !== $priority ) {
+			$data['sort_order'] = null;
+			$format[] = '%d';
+		}
+
+		$updated = $wpdb->update( $table, $data, array( 'id' => $topic_id ), $format, array( '%d' ) );
 
 		if ( false !== $updated ) {
 			wp_send_json_success( array( 'message' => __( 'Topic updated successfully.', 'ai-blog-posts' ) ) );
@@ -709,84 +1150,116 @@ class Ai_Blog_Posts_Admin {
 	}
 
 	/**
-	 * AJAX handler: Delete topic from queue.
+	 * AJAX handler: Get a filtered page of the topic queue.
 	 *
 	 * @since    1.0.0
 	 */
-	public function ajax_delete_topic() {
+	public function ajax_get_topics() {
 		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
 		}
 
-		$topic_id = isset( $_POST['topic_id'] ) ? absint( $_POST['topic_id'] ) : 0;
+		$filters = Ai_Blog_Posts_Scheduler::get_topic_filters( $_POST );
+		$page = isset( $_POST['paged'] ) ? max( 1, absint( $_POST['paged'] ) ) : 1;
+		$per_page = 20;
 
-		if ( ! $topic_id ) {
-			wp_send_json_error( array( 'message' => __( 'Invalid topic ID.', 'ai-blog-posts' ) ) );
+		$scheduler = new Ai_Blog_Posts_Scheduler();
+		$result = $scheduler->get_topics( $page, $per_page, $filters );
+		$total_pages = (int) ceil( $result['total'] / $per_page );
+
+		// Step back when the last page was emptied, e.g. by a delete
+		if ( empty( $result['topics'] ) && $page > 1 && $total_pages > 0 ) {
+			$page = $total_pages;
+			$result = $scheduler->get_topics( $page, $per_page, $filters );
 		}
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+		$topics = $result['topics'];
+		$total_topics = $result['total'];
+		$content_types = Ai_Blog_Posts_Content_Types::get_labels();
+		$voice_profiles = Ai_Blog_Posts_Voice_Profiles::get_labels();
 
-		$deleted = $wpdb->delete( $table, array( 'id' => $topic_id ), array( '%d' ) );
+		ob_start();
+		include plugin_dir_path( __FILE__ ) . 'partials/topic-rows.php';
+		$rows = ob_get_clean();
 
-		if ( $deleted ) {
-			wp_send_json_success( array( 'message' => __( 'Topic deleted.', 'ai-blog-posts' ) ) );
-		} else {
-			wp_send_json_error( array( 'message' => __( 'Failed to delete topic.', 'ai-blog-posts' ) ) );
-		}
+		ob_start();
+		include plugin_dir_path( __FILE__ ) . 'partials/topics-pagination.php';
+		$pagination = ob_get_clean();
+
+		wp_send_json_success( array(
+			'rows'       => $rows,
+			'pagination' => $pagination,
+			'page'       => $page,
+			'total'      => $total_topics,
+			'counts'     => $scheduler->get_queue_stats(),
+			'upcoming'   => $scheduler->get_upcoming_topics(),
+		) );
 	}
 
 	/**
-	 * AJAX handler: Bulk delete topics.
+	 * AJAX handler: Get the editorial calendar for a month or week.
 	 *
 	 * @since    1.0.0
 	 */
-	public function ajax_bulk_delete_topics() {
+	public function ajax_get_calendar() {
 		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
 		}
 
-		$topic_ids = isset( $_POST['topic_ids'] ) ? array_map( 'absint', (array) $_POST['topic_ids'] ) : array();
+		$view = isset( $_POST['view'] ) && 'week' === $_POST['view'] ? 'week' : 'month';
+		$date = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : '';
+		$timezone = wp_timezone();
 
-		if ( empty( $topic_ids ) ) {
-			wp_send_json_error( array( 'message' => __( 'No topics selected.', 'ai-blog-posts' ) ) );
+		$day = DateTimeImmutable::createFromFormat( '!Y-m-d', $date, $timezone );
+		if ( ! $day ) {
+			$day = new DateTimeImmutable( 'today', $timezone );
 		}
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'ai_blog_posts_topics';
-
-		$placeholders = implode( ', ', array_fill( 0, count( $topic_ids ), '%d' ) );
-		$deleted = $wpdb->query(
-			$wpdb->prepare(
-				"DELETE FROM $table WHERE id IN ($placeholders)", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-				...$topic_ids // Spread operator to expand array into individual arguments
-			)
-		);
+		// Whole weeks, starting on the site's first day of the week
+		$start_of_week = (int) get_option( 'start_of_week', 1 );
 
-		if ( false !== $deleted ) {
-			wp_send_json_success( array(
-				'message' => sprintf(
-					/* translators: %d: number of topics deleted */
-					__( '%d topic(s) deleted successfully.', 'ai-blog-posts' ),
-					$deleted
-				),
-			) );
+		if ( 'week' === $view ) {
+			$first = $day;
+			$last = $day;
+			$label = '';
 		} else {
-			wp_send_json_error( array( 'message' => __( 'Failed to delete topics.', 'ai-blog-posts' ) ) );
+			$first = $day->modify( 'first day of this month' );
+			$last = $day->modify( 'last day of this month' );
+			$label = wp_date( 'F Y', $first->getTimestamp() );
+		}
+
+		$start = $first->modify( '-' . ( ( (int) $first->format( 'w' ) - $start_of_week + 7 ) % 7 ) . ' days' );
+		$end = $last->modify( '+' . ( ( $start_of_week + 6 - (int) $last->format( 'w' ) ) % 7 ) . ' days' );
+
+		if ( 'week' === $view ) {
+			/* translators: 1: first day of the week, 2: last day of the week */
+			$label = sprintf( __( '%1$s – %2$s', 'ai-blog-posts' ), wp_date( 'M j', $start->getTimestamp() ), wp_date( 'M j, Y', $end->getTimestamp() ) );
 		}
+
+		$scheduler = new Ai_Blog_Posts_Scheduler();
+		$calendar = $scheduler->get_calendar( $start->format( 'Y-m-d' ), $end->format( 'Y-m-d' ) );
+
+		wp_send_json_success( array_merge( $calendar, array(
+			'view'  => $view,
+			'date'  => $day->format( 'Y-m-d' ),
+			'start' => $start->format( 'Y-m-d' ),
+			'end'   => $end->format( 'Y-m-d' ),
+			'month' => $day->format( 'Y-m' ),
+			'today' => current_time( 'Y-m-d' ),
+			'label' => $label,
+		) ) );
 	}
 
 	/**
-	 * AJAX handler: Generate post from queue.
-	 * Supports both step-by-step mode (use_steps=true) and legacy single-request mode.
+	 * AJAX handler: Pin a topic to a calendar day, or unpin it.
 	 *
 	 * @since    1.0.0
 	 */
-	public function ajax_generate_from_queue() {
+	public function ajax_pin_topic() {
 		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
@@ -794,14 +1267,586 @@ class Ai_Blog_Posts_Admin {
 		}
 
 		$topic_id = isset( $_POST['topic_id'] ) ? absint( $_POST['topic_id'] ) : 0;
-		$use_steps = isset( $_POST['use_steps'] ) && filter_var( $_POST['use_steps'], FILTER_VALIDATE_BOOLEAN );
+		$date = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : '';
 
-		if ( ! $topic_id ) {
-			wp_send_json_error( array( 'message' => __( 'Invalid topic ID.', 'ai-blog-posts' ) ) );
-		}
+		$scheduler = new Ai_Blog_Posts_Scheduler();
+		$result = $scheduler->pin_topic( $topic_id, $date );
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => '' === $date ? __( 'Topic unpinned.', 'ai-blog-posts' ) : __( 'Topic pinned.', 'ai-blog-posts' ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Move a pending topic in the queue.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_reorder_topics() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$topic_id = isset( $_POST['topic_id'] ) ? absint( $_POST['topic_id'] ) : 0;
+
+		if ( ! $topic_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid topic ID.', 'ai-blog-posts' ) ) );
+		}
+
+		$scheduler = new Ai_Blog_Posts_Scheduler();
+		$result = $scheduler->reorder_queue(
+			$topic_id,
+			isset( $_POST['after_id'] ) ? absint( $_POST['after_id'] ) : 0,
+			isset( $_POST['before_id'] ) ? absint( $_POST['before_id'] ) : 0
+		);
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'upcoming' => $scheduler->get_upcoming_topics(),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Delete topic from queue.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_delete_topic() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$topic_id = isset( $_POST['topic_id'] ) ? absint( $_POST['topic_id'] ) : 0;
+
+		if ( ! $topic_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid topic ID.', 'ai-blog-posts' ) ) );
+		}
+
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$deleted = $wpdb->delete( $table, array( 'id' => $topic_id ), array( '%d' ) );
+
+		if ( $deleted ) {
+			wp_send_json_success( array( 'message' => __( 'Topic deleted.', 'ai-blog-posts' ) ) );
+		} else {
+			wp_send_json_error( array( 'message' => __( 'Failed to delete topic.', 'ai-blog-posts' ) ) );
+		}
+	}
+
+	/**
+	 * AJAX handler: Bulk delete topics.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_bulk_delete_topics() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$topic_ids = isset( $_POST['topic_ids'] ) ? array_map( 'absint', (array) $_POST['topic_ids'] ) : array();
+
+		if ( empty( $topic_ids ) ) {
+			wp_send_json_error( array( 'message' => __( 'No topics selected.', 'ai-blog-posts' ) ) );
+		}
+
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$placeholders = implode( ', ', array_fill( 0, count( $topic_ids ), '%d' ) );
+		$deleted = $wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM $table WHERE id IN ($placeholders)", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				...$topic_ids // Spread operator to expand array into individual arguments
+			)
+		);
+
+		if ( false !== $deleted ) {
+			wp_send_json_success( array(
+				'message' => sprintf(
+					/* translators: %d: number of topics deleted */
+					__( '%d topic(s) deleted successfully.', 'ai-blog-posts' ),
+					$deleted
+				),
+			) );
+		} else {
+			wp_send_json_error( array( 'message' => __( 'Failed to delete topics.', 'ai-blog-posts' ) ) );
+		}
+	}
+
+	/**
+	 * AJAX handler: Report queued topics that duplicate other topics or posts.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_find_duplicates() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$duplicates = new Ai_Blog_Posts_Duplicates();
+
+		wp_send_json_success( $duplicates->get_report() );
+	}
+
+	/**
+	 * AJAX handler: Get a job's outline for review.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_get_outline() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$outline = $generator->get_outline_review( $job_id );
+
+		if ( is_wp_error( $outline ) ) {
+			wp_send_json_error( array( 'message' => $outline->get_error_message() ) );
+		}
+
+		wp_send_json_success( $outline );
+	}
+
+	/**
+	 * AJAX handler: Approve an edited outline so the content can be written.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_approve_outline() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+		$title = isset( $_POST['title'] ) ? sanitize_text_field( wp_unslash( $_POST['title'] ) ) : '';
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized per field below.
+		$raw_sections = isset( $_POST['sections'] ) && is_array( $_POST['sections'] ) ? wp_unslash( $_POST['sections'] ) : array();
+
+		$sections = array();
+		foreach ( $raw_sections as $section ) {
+			if ( ! is_array( $section ) ) {
+				continue;
+			}
+			$sections[] = array(
+				'level'   => isset( $section['level'] ) && 3 === absint( $section['level'] ) ? 3 : 2,
+				'heading' => isset( $section['heading'] ) ? sanitize_text_field( $section['heading'] ) : '',
+				'notes'   => isset( $section['notes'] ) ? sanitize_textarea_field( $section['notes'] ) : '',
+				'image'   => isset( $section['image'] ) && filter_var( $section['image'], FILTER_VALIDATE_BOOLEAN ),
+			);
+		}
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->approve_outline( $job_id, $title, $sections );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'next_step' => 'content',
+			'message'   => __( 'Outline approved.', 'ai-blog-posts' ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Get a job's featured image prompt and candidates for review.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_get_image_review() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$review = $generator->get_image_review( $job_id );
+
+		if ( is_wp_error( $review ) ) {
+			wp_send_json_error( array( 'message' => $review->get_error_message() ) );
+		}
+
+		wp_send_json_success( $review );
+	}
+
+	/**
+	 * AJAX handler: Generate one featured image candidate from the edited prompt.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_generate_image_candidate() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+		$prompt = isset( $_POST['prompt'] ) ? sanitize_textarea_field( wp_unslash( $_POST['prompt'] ) ) : '';
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			@set_time_limit( 120 );
+		}
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->generate_image_candidate( $job_id, $prompt );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: Use a candidate as the featured image, or skip it, and finish the job.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_choose_image() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+		$attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->choose_image_candidate( $job_id, $attachment_id );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: Regenerate, expand, shorten or re-tone one section of a generated post.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_rewrite_section() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+		if ( ! current_user_can( 'manage_options' ) || ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$index = isset( $_POST['index'] ) ? absint( $_POST['index'] ) : 0;
+		$section_action = isset( $_POST['section_action'] ) ? sanitize_key( $_POST['section_action'] ) : '';
+		$tone = isset( $_POST['tone'] ) ? sanitize_key( $_POST['tone'] ) : '';
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->rewrite_section( $post_id, $index, $section_action, $tone );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: Generate SEO meta for a post open in the block editor.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_generate_post_seo() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+		if ( ! current_user_can( 'manage_options' ) || ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$title = isset( $_POST['title'] ) ? sanitize_text_field( wp_unslash( $_POST['title'] ) ) : '';
+		$content = isset( $_POST['content'] ) ? wp_kses_post( wp_unslash( $_POST['content'] ) ) : '';
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->generate_post_seo( $post_id, $title, $content );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		$result['message'] = $result['saved']
+			? __( 'SEO meta saved.', 'ai-blog-posts' )
+			: __( 'SEO meta generated but not saved. Enable SEO integration in Settings to save it.', 'ai-blog-posts' );
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: Generate a featured image for a post open in the block editor.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_generate_post_image() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+		if ( ! current_user_can( 'manage_options' ) || ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$title = isset( $_POST['title'] ) ? sanitize_text_field( wp_unslash( $_POST['title'] ) ) : '';
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$result = $generator->generate_post_image( $post_id, $title );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: Get the text streamed so far for a running step.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_get_stream() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$stream = $generator->get_stream( $job_id );
+
+		if ( ! $stream ) {
+			wp_send_json_success( array( 'step' => null, 'html' => '' ) );
+		}
+
+		wp_send_json_success( array(
+			'step' => $stream['step'],
+			'html' => wp_kses_post( $stream['text'] ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Stop a running generation job.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_stop_job() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		if ( empty( $job_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Missing job ID.', 'ai-blog-posts' ) ) );
+		}
+
+		$generator = new Ai_Blog_Posts_Generator();
+		$stopped = $generator->request_stop( $job_id );
+
+		if ( is_wp_error( $stopped ) ) {
+			wp_send_json_error( array( 'message' => $stopped->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'stopped' => $stopped,
+			'message' => $stopped
+				? __( 'Generation stopped.', 'ai-blog-posts' )
+				: __( 'Stopping after the current chunk...', 'ai-blog-posts' ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Queue topics for background generation.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_start_batch() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$topic_ids = isset( $_POST['topic_ids'] ) ? array_map( 'absint', (array) $_POST['topic_ids'] ) : array();
+
+		$batch = new Ai_Blog_Posts_Batch();
+		$added = $batch->enqueue( $topic_ids );
+
+		if ( is_wp_error( $added ) ) {
+			wp_send_json_error( array( 'message' => $added->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => sprintf(
+				/* translators: %d: number of topics queued */
+				__( '%d topic(s) queued for background generation.', 'ai-blog-posts' ),
+				$added
+			),
+			'batch'   => $batch->get_status(),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Estimate the cost of a generation.
+	 *
+	 * Estimates queued topics when topic IDs are given, otherwise a single
+	 * post with the options from the Generate form.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_estimate_cost() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$cost_tracker = new Ai_Blog_Posts_Cost_Tracker();
+
+		if ( isset( $_POST['topic_ids'] ) ) {
+			$estimate = $cost_tracker->estimate_topics( array_map( 'absint', (array) $_POST['topic_ids'] ) );
+		} else {
+			$estimate = $cost_tracker->estimate( array(
+				array(
+					'model'          => isset( $_POST['model'] ) ? sanitize_text_field( wp_unslash( $_POST['model'] ) ) : Ai_Blog_Posts_Settings::get( 'model' ),
+					'step_models'    => isset( $_POST['step_models'] ) && is_array( $_POST['step_models'] ) ? array_map( 'sanitize_text_field', wp_unslash( $_POST['step_models'] ) ) : array(),
+					'content_type'   => isset( $_POST['content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_POST['content_type'] ) ) : Ai_Blog_Posts_Content_Types::DEFAULT_TYPE,
+					'generate_image' => isset( $_POST['generate_image'] ) && filter_var( $_POST['generate_image'], FILTER_VALIDATE_BOOLEAN ),
+					'inline_images'  => isset( $_POST['inline_images'] ) ? absint( $_POST['inline_images'] ) : Ai_Blog_Posts_Settings::get( 'inline_images' ),
+				),
+			) );
+		}
+
+		$estimate['message'] = $cost_tracker->get_budget_message( $estimate );
+
+		wp_send_json_success( $estimate );
+	}
+
+	/**
+	 * Stop the request when a generation can't fit in the monthly budget.
+	 *
+	 * Only blocks when even the lowest estimate is over what is left; the
+	 * Generate page warns about closer calls before submitting.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $options    Generation options.
+	 */
+	private function check_estimated_budget( $options ) {
+		$cost_tracker = new Ai_Blog_Posts_Cost_Tracker();
+		$estimate = $cost_tracker->estimate( array( $options ) );
+
+		if ( 'exceeded' === $estimate['budget_status'] ) {
+			wp_send_json_error( array( 'message' => $cost_tracker->get_budget_message( $estimate ) ) );
+		}
+	}
+
+	/**
+	 * AJAX handler: Get background batch progress.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_get_batch_status() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$batch = new Ai_Blog_Posts_Batch();
+		$batch->maybe_dispatch();
+
+		wp_send_json_success( array(
+			'batch' => $batch->get_status(),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Cancel the background batch.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_cancel_batch() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$batch = new Ai_Blog_Posts_Batch();
+		$result = $batch->cancel();
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => __( 'Batch cancelled.', 'ai-blog-posts' ),
+			'batch'   => $batch->get_status(),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Generate post from queue.
+	 * Supports both step-by-step mode (use_steps=true) and legacy single-request mode.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_generate_from_queue() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$topic_id = isset( $_POST['topic_id'] ) ? absint( $_POST['topic_id'] ) : 0;
+		$use_steps = isset( $_POST['use_steps'] ) && filter_var( $_POST['use_steps'], FILTER_VALIDATE_BOOLEAN );
+
+		if ( ! $topic_id ) {
+			wp_send_json_error( array( 'message' => __( 'Invalid topic ID.', 'ai-blog-posts' ) ) );
+		}
+
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
 
 		// Get the topic
 		$topic = $wpdb->get_row(
@@ -812,6 +1857,8 @@ class Ai_Blog_Posts_Admin {
 			wp_send_json_error( array( 'message' => __( 'Topic not found.', 'ai-blog-posts' ) ) );
 		}
 
+		$this->check_estimated_budget( array( 'content_type' => $topic->content_type ) );
+
 		// Update status to processing
 		$wpdb->update(
 			$table,
@@ -825,14 +1872,7 @@ class Ai_Blog_Posts_Admin {
 
 		// Step-by-step mode: Create a job and return the job ID
 		if ( $use_steps ) {
-			$job_id = $generator->create_job( $topic->topic, array(
-				'keywords'       => $topic->keywords,
-				'category_id'    => $topic->category_id,
-				'publish'        => false,
-				'source'         => 'queue',
-				'generate_image' => Ai_Blog_Posts_Settings::get( 'image_enabled' ),
-				'queue_topic_id' => $topic_id,
-			) );
+			$job_id = $generator->create_job( $topic->topic, Ai_Blog_Posts_Generator::get_topic_options( $topic ) );
 
 			if ( is_wp_error( $job_id ) ) {
 				$wpdb->update(
@@ -863,12 +1903,7 @@ class Ai_Blog_Posts_Admin {
 			@set_time_limit( 300 ); // 5 minutes
 		}
 
-		$result = $generator->generate_post( $topic->topic, array(
-			'keywords'    => $topic->keywords,
-			'category_id' => $topic->category_id,
-			'publish'     => false,
-			'source'      => 'queue',
-		) );
+		$result = $generator->generate_post( $topic->topic, Ai_Blog_Posts_Generator::get_topic_options( $topic ) );
 
 		if ( is_wp_error( $result ) ) {
 			// Update topic status to failed
@@ -955,15 +1990,17 @@ class Ai_Blog_Posts_Admin {
 			wp_send_json_error( array( 'message' => __( 'Please configure and verify your API key first to use AI-powered analysis.', 'ai-blog-posts' ) ) );
 		}
 
+		$scope = Ai_Blog_Posts_Analyzer::sanitize_scope( isset( $_POST['scope'] ) ? sanitize_text_field( wp_unslash( $_POST['scope'] ) ) : '' );
+
 		$analyzer = new Ai_Blog_Posts_Analyzer();
-		$result = $analyzer->analyze( $use_ai );
+		$result = $analyzer->analyze( $use_ai, $scope );
 
 		if ( is_wp_error( $result ) ) {
 			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
 		}
 
 		// Generate the style prompt for preview
-		$style_prompt = $analyzer->get_style_prompt();
+		$style_prompt = $analyzer->build_style_prompt( $result );
 
 		wp_send_json_success( array(
 			'message'      => $use_ai 
@@ -972,9 +2009,105 @@ class Ai_Blog_Posts_Admin {
 			'analysis'     => $result,
 			'style_prompt' => $style_prompt,
 			'used_ai'      => $use_ai,
+			'report'       => $this->get_analysis_report( $analyzer, $scope ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Show the saved analysis report for a scope.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_get_analysis_report() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$scope = Ai_Blog_Posts_Analyzer::sanitize_scope( isset( $_POST['scope'] ) ? sanitize_text_field( wp_unslash( $_POST['scope'] ) ) : '' );
+
+		wp_send_json_success( array(
+			'report' => $this->get_analysis_report( new Ai_Blog_Posts_Analyzer(), $scope ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Accept or reject the findings of an analysis.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_save_analysis_findings() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$scope = Ai_Blog_Posts_Analyzer::sanitize_scope( isset( $_POST['scope'] ) ? sanitize_text_field( wp_unslash( $_POST['scope'] ) ) : '' );
+		$accepted = isset( $_POST['accepted'] ) && is_array( $_POST['accepted'] ) ? array_map( 'sanitize_key', wp_unslash( $_POST['accepted'] ) ) : array();
+
+		$analyzer = new Ai_Blog_Posts_Analyzer();
+		$analysis = $analyzer->get_cached_analysis( $scope );
+		if ( empty( $analysis ) ) {
+			wp_send_json_error( array( 'message' => __( 'This analysis no longer exists. Run it again.', 'ai-blog-posts' ) ) );
+		}
+
+		// Anything not ticked is rejected, so findings added later start out accepted
+		$rejected = array_diff( array_keys( $analyzer->get_findings( $analysis ) ), $accepted );
+		$result = $analyzer->save_findings( $scope, $rejected );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'message'      => __( 'Findings saved.', 'ai-blog-posts' ),
+			'style_prompt' => $analyzer->build_style_prompt( $result ),
 		) );
 	}
 
+	/**
+	 * AJAX handler: Remove a category or author analysis.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_delete_analysis() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$scope = Ai_Blog_Posts_Analyzer::sanitize_scope( isset( $_POST['scope'] ) ? sanitize_text_field( wp_unslash( $_POST['scope'] ) ) : '' );
+
+		$analyzer = new Ai_Blog_Posts_Analyzer();
+		if ( ! $analyzer->delete_analysis( $scope ) ) {
+			wp_send_json_error( array( 'message' => __( 'Analysis not found.', 'ai-blog-posts' ) ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => __( 'Analysis removed. Posts in this scope now follow the next closest analysis.', 'ai-blog-posts' ),
+			'report'  => $this->get_analysis_report( $analyzer, $scope ),
+		) );
+	}
+
+	/**
+	 * Render the analysis report for a scope.
+	 *
+	 * @since    1.0.0
+	 * @param    Ai_Blog_Posts_Analyzer $analyzer    Analyzer.
+	 * @param    string                 $scope       Scope.
+	 * @return   string                              Report HTML.
+	 */
+	private function get_analysis_report( $analyzer, $scope ) {
+		$analysis = $analyzer->get_cached_analysis( $scope );
+
+		ob_start();
+		include plugin_dir_path( __FILE__ ) . 'partials/analysis-report.php';
+		return ob_get_clean();
+	}
+
 	/**
 	 * AJAX handler: Fetch trending topics.
 	 *
@@ -1119,99 +2252,126 @@ class Ai_Blog_Posts_Admin {
 	}
 
 	/**
-	 * AJAX handler: Import topics from CSV.
+	 * AJAX handler: Read the rows of an uploaded XLSX file for the import wizard.
+	 *
+	 * CSV, TSV and JSON files are parsed in the browser.
 	 *
 	 * @since    1.0.0
 	 */
-	public function ajax_import_csv() {
+	public function ajax_parse_import_file() {
 		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
 
 		if ( ! current_user_can( 'manage_options' ) ) {
 			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
 		}
 
-		$topics_json = isset( $_POST['topics'] ) ? wp_unslash( $_POST['topics'] ) : '';
-		$topics = json_decode( $topics_json, true );
+		if ( empty( $_FILES['file']['tmp_name'] ) || ! is_uploaded_file( $_FILES['file']['tmp_name'] ) ) {
+			wp_send_json_error( array( 'message' => __( 'No file received.', 'ai-blog-posts' ) ) );
+		}
 
-		if ( empty( $topics ) || ! is_array( $topics ) ) {
-			wp_send_json_error( array( 'message' => __( 'No valid topics data received.', 'ai-blog-posts' ) ) );
+		$extension = strtolower( pathinfo( sanitize_file_name( $_FILES['file']['name'] ), PATHINFO_EXTENSION ) );
+		if ( 'xlsx' !== $extension ) {
+			wp_send_json_error( array( 'message' => __( 'Only XLSX files are read on the server.', 'ai-blog-posts' ) ) );
 		}
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+		$rows = Ai_Blog_Posts_Importer::read_xlsx( $_FILES['file']['tmp_name'] );
 
-		$imported = 0;
-		$skipped = 0;
+		if ( is_wp_error( $rows ) ) {
+			wp_send_json_error( array( 'message' => $rows->get_error_message() ) );
+		}
 
-		foreach ( $topics as $topic_data ) {
-			$topic = isset( $topic_data['topic'] ) ? sanitize_text_field( $topic_data['topic'] ) : '';
-			if ( empty( $topic ) ) {
-				$skipped++;
-				continue;
-			}
+		wp_send_json_success( array( 'rows' => $rows ) );
+	}
 
-			$keywords = isset( $topic_data['keywords'] ) ? sanitize_text_field( $topic_data['keywords'] ) : '';
-			$priority = isset( $topic_data['priority'] ) ? absint( $topic_data['priority'] ) : 0;
-			$category = isset( $topic_data['category'] ) ? sanitize_text_field( $topic_data['category'] ) : '';
-
-			// Resolve category by name or slug
-			$category_id = 0;
-			if ( ! empty( $category ) ) {
-				// First try to find by name (case-insensitive)
-				$cat = get_term_by( 'name', $category, 'category' );
-				
-				// If not found by name, try by slug
-				if ( ! $cat ) {
-					$cat = get_term_by( 'slug', sanitize_title( $category ), 'category' );
-				}
+	/**
+	 * AJAX handler: Validate or import a chunk of mapped topic rows.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_import_topics() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
 
-				// If still not found, create the category
-				if ( ! $cat ) {
-					$new_cat = wp_insert_term( $category, 'category' );
-					if ( ! is_wp_error( $new_cat ) ) {
-						$category_id = $new_cat['term_id'];
-					}
-				} else {
-					$category_id = $cat->term_id;
-				}
-			}
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
 
-			$inserted = $wpdb->insert(
-				$table,
-				array(
-					'topic'       => $topic,
-					'keywords'    => $keywords,
-					'category_id' => $category_id,
-					'source'      => 'csv',
-					'status'      => 'pending',
-					'priority'    => $priority,
-					'created_at'  => current_time( 'mysql' ),
+		$rows = isset( $_POST['rows'] ) ? json_decode( wp_unslash( $_POST['rows'] ), true ) : array();
+
+		if ( empty( $rows ) || ! is_array( $rows ) ) {
+			wp_send_json_error( array( 'message' => __( 'No valid topics data received.', 'ai-blog-posts' ) ) );
+		}
+
+		if ( count( $rows ) > Ai_Blog_Posts_Importer::CHUNK_SIZE ) {
+			wp_send_json_error( array(
+				'message' => sprintf(
+					/* translators: %d: maximum rows per request */
+					__( 'Send at most %d rows at a time.', 'ai-blog-posts' ),
+					Ai_Blog_Posts_Importer::CHUNK_SIZE
 				),
-				array( '%s', '%s', '%d', '%s', '%s', '%d', '%s' )
-			);
+			) );
+		}
 
-			if ( $inserted ) {
-				$imported++;
-			} else {
-				$skipped++;
+		// What to do with topics similar to a queued topic or post: skip, merge or add
+		$on_duplicate = isset( $_POST['on_duplicate'] ) ? sanitize_key( $_POST['on_duplicate'] ) : 'skip';
+		if ( ! in_array( $on_duplicate, array( 'skip', 'merge', 'add' ), true ) ) {
+			$on_duplicate = 'skip';
+		}
+
+		$dry_run = ! isset( $_POST['dry_run'] ) || filter_var( $_POST['dry_run'], FILTER_VALIDATE_BOOLEAN );
+
+		$importer = new Ai_Blog_Posts_Importer();
+
+		// A dry run imports nothing, so rows from earlier chunks are sent again to check against
+		if ( $dry_run && 'add' !== $on_duplicate && ! empty( $_POST['previous'] ) ) {
+			$previous = json_decode( wp_unslash( $_POST['previous'] ), true );
+
+			if ( is_array( $previous ) ) {
+				$importer->remember_rows( $previous );
 			}
 		}
 
-		$message = sprintf(
-			/* translators: 1: number of imported topics, 2: number of skipped topics */
-			__( '%1$d topic(s) imported successfully.', 'ai-blog-posts' ),
-			$imported
-		);
+		wp_send_json_success( $importer->process( $rows, $on_duplicate, $dry_run ) );
+	}
 
-		if ( $skipped > 0 ) {
-			$message .= ' ' . sprintf(
-				/* translators: %d: number of skipped topics */
-				__( '%d skipped.', 'ai-blog-posts' ),
-				$skipped
-			);
+	/**
+	 * AJAX handler: Get spending analytics for the Logs page.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_get_analytics() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$date_to = isset( $_POST['date_to'] ) ? sanitize_text_field( wp_unslash( $_POST['date_to'] ) ) : '';
+		$date_from = isset( $_POST['date_from'] ) ? sanitize_text_field( wp_unslash( $_POST['date_from'] ) ) : '';
+
+		if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date_to ) ) {
+			$date_to = current_time( 'Y-m-d' );
+		}
+		if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date_from ) ) {
+			$date_from = gmdate( 'Y-m-d', strtotime( $date_to ) - 29 * DAY_IN_SECONDS );
 		}
 
-		wp_send_json_success( array( 'message' => $message, 'imported' => $imported, 'skipped' => $skipped ) );
+		if ( strtotime( $date_from ) > strtotime( $date_to ) ) {
+			wp_send_json_error( array( 'message' => __( 'The start date must be before the end date.', 'ai-blog-posts' ) ) );
+		}
+
+		if ( strtotime( $date_to ) - strtotime( $date_from ) > 366 * DAY_IN_SECONDS ) {
+			wp_send_json_error( array( 'message' => __( 'Please choose a range of one year or less.', 'ai-blog-posts' ) ) );
+		}
+
+		$cost_tracker = new Ai_Blog_Posts_Cost_Tracker();
+
+		wp_send_json_success( array_merge(
+			array(
+				'date_from' => $date_from,
+				'date_to'   => $date_to,
+			),
+			$cost_tracker->get_analytics( $date_from, $date_to )
+		) );
 	}
 
 	/**
@@ -1286,6 +2446,66 @@ class Ai_Blog_Posts_Admin {
 		exit;
 	}
 
+	/**
+	 * AJAX handler: Download the configuration as a JSON file.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_export_config() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( __( 'Permission denied.', 'ai-blog-posts' ) );
+		}
+
+		$sections = isset( $_POST['sections'] ) && is_array( $_POST['sections'] ) ? array_map( 'sanitize_key', wp_unslash( $_POST['sections'] ) ) : array_keys( Ai_Blog_Posts_Migration::get_sections() );
+
+		$migration = new Ai_Blog_Posts_Migration();
+		$data = $migration->export( $sections );
+
+		header( 'Content-Type: application/json; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename=ai-blog-posts-' . sanitize_title( wp_parse_url( home_url(), PHP_URL_HOST ) ) . '-' . date( 'Y-m-d' ) . '.json' );
+		header( 'Pragma: no-cache' );
+		header( 'Expires: 0' );
+
+		echo wp_json_encode( $data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		exit;
+	}
+
+	/**
+	 * AJAX handler: Check or import a configuration file.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_import_config() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$data = isset( $_POST['data'] ) ? json_decode( wp_unslash( $_POST['data'] ), true ) : null;
+
+		if ( ! is_array( $data ) ) {
+			wp_send_json_error( array( 'message' => __( 'The file is not valid JSON.', 'ai-blog-posts' ) ) );
+		}
+
+		$sections = isset( $_POST['sections'] ) && is_array( $_POST['sections'] ) ? array_map( 'sanitize_key', wp_unslash( $_POST['sections'] ) ) : array();
+		$topic_mode = isset( $_POST['topic_mode'] ) && 'replace' === $_POST['topic_mode'] ? 'replace' : 'append';
+		$dry_run = ! isset( $_POST['dry_run'] ) || filter_var( $_POST['dry_run'], FILTER_VALIDATE_BOOLEAN );
+
+		$migration = new Ai_Blog_Posts_Migration();
+		$report = $dry_run ? $migration->validate( $data, $sections, $topic_mode ) : $migration->import( $data, $sections, $topic_mode );
+
+		if ( is_wp_error( $report ) ) {
+			wp_send_json_error( array( 'message' => $report->get_error_message() ) );
+		}
+
+		$report['message'] = $dry_run ? '' : __( 'Configuration imported.', 'ai-blog-posts' );
+
+		wp_send_json_success( $report );
+	}
+
 	/**
 	 * AJAX handler: Clear all logs.
 	 *
@@ -1310,6 +2530,238 @@ class Ai_Blog_Posts_Admin {
 		}
 	}
 
+	/**
+	 * AJAX handler: Save prompt templates.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_save_prompts() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		// Prompts keep their tags, see Ai_Blog_Posts_Prompts::sanitize()
+		$templates = isset( $_POST['templates'] ) ? wp_unslash( $_POST['templates'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		$result = Ai_Blog_Posts_Prompts::save( $templates );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		$customized = array();
+		foreach ( array_keys( Ai_Blog_Posts_Prompts::get_stages() ) as $stage ) {
+			$customized[ $stage ] = Ai_Blog_Posts_Prompts::is_customized( $stage );
+		}
+
+		wp_send_json_success( array(
+			'message'    => __( 'Prompt templates saved.', 'ai-blog-posts' ),
+			'customized' => $customized,
+		) );
+	}
+
+	/**
+	 * AJAX handler: Render a prompt template with a sample topic.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_preview_prompt() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$stage = isset( $_POST['stage'] ) ? sanitize_key( $_POST['stage'] ) : '';
+		$topic = isset( $_POST['sample_topic'] ) ? sanitize_text_field( wp_unslash( $_POST['sample_topic'] ) ) : '';
+		$content_type = isset( $_POST['sample_content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_POST['sample_content_type'] ) ) : '';
+		$templates = isset( $_POST['templates'] ) ? wp_unslash( $_POST['templates'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		if ( ! isset( Ai_Blog_Posts_Prompts::get_stages()[ $stage ] ) ) {
+			wp_send_json_error( array( 'message' => __( 'Unknown prompt stage.', 'ai-blog-posts' ) ) );
+		}
+
+		$clean = Ai_Blog_Posts_Prompts::sanitize( array( $stage => $templates ) );
+		if ( is_wp_error( $clean ) ) {
+			wp_send_json_error( array( 'message' => $clean->get_error_message() ) );
+		}
+
+		$variables = Ai_Blog_Posts_Prompts::get_sample_variables( $topic ? $topic : __( 'How to Start a Vegetable Garden', 'ai-blog-posts' ), $content_type );
+
+		wp_send_json_success( array(
+			'system' => Ai_Blog_Posts_Prompts::replace_variables( $clean[ $stage ]['system'], $variables ),
+			'user'   => Ai_Blog_Posts_Prompts::replace_variables( $clean[ $stage ]['user'], $variables ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Save the current templates as a named preset.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_save_prompt_preset() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$name = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+		$templates = isset( $_POST['templates'] ) ? wp_unslash( $_POST['templates'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		$result = Ai_Blog_Posts_Prompts::save_preset( $name, $templates );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			/* translators: %s: preset name */
+			'message' => sprintf( __( 'Preset "%s" saved.', 'ai-blog-posts' ), $name ),
+			'presets' => Ai_Blog_Posts_Prompts::get_presets(),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Delete a prompt preset.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_delete_prompt_preset() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$name = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+
+		if ( ! Ai_Blog_Posts_Prompts::delete_preset( $name ) ) {
+			wp_send_json_error( array( 'message' => __( 'Preset not found.', 'ai-blog-posts' ) ) );
+		}
+
+		wp_send_json_success( array(
+			'message' => __( 'Preset deleted.', 'ai-blog-posts' ),
+			'presets' => Ai_Blog_Posts_Prompts::get_presets(),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Save a voice profile.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_save_voice_profile() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		// Sanitized field by field in Ai_Blog_Posts_Voice_Profiles::sanitize()
+		$profile = isset( $_POST['profile'] ) ? wp_unslash( $_POST['profile'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$is_default = isset( $_POST['is_default'] ) && filter_var( $_POST['is_default'], FILTER_VALIDATE_BOOLEAN );
+
+		$id = Ai_Blog_Posts_Voice_Profiles::save( $profile );
+
+		if ( is_wp_error( $id ) ) {
+			wp_send_json_error( array( 'message' => $id->get_error_message() ) );
+		}
+
+		if ( $is_default ) {
+			Ai_Blog_Posts_Settings::set( 'voice_profile_default', $id );
+		} elseif ( Ai_Blog_Posts_Settings::get( 'voice_profile_default' ) === $id ) {
+			Ai_Blog_Posts_Settings::set( 'voice_profile_default', '' );
+		}
+
+		wp_send_json_success( array(
+			'message'  => __( 'Voice profile saved.', 'ai-blog-posts' ),
+			'id'       => $id,
+			'redirect' => admin_url( 'admin.php?page=ai-blog-posts-voices&profile=' . rawurlencode( $id ) ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Delete a voice profile.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_delete_voice_profile() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$id = isset( $_POST['id'] ) ? sanitize_key( wp_unslash( $_POST['id'] ) ) : '';
+
+		if ( ! Ai_Blog_Posts_Voice_Profiles::delete( $id ) ) {
+			wp_send_json_error( array( 'message' => __( 'Voice profile not found.', 'ai-blog-posts' ) ) );
+		}
+
+		wp_send_json_success( array(
+			'message'  => __( 'Voice profile deleted.', 'ai-blog-posts' ),
+			'redirect' => admin_url( 'admin.php?page=ai-blog-posts-voices' ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Start a voice profile from the website analysis.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_seed_voice_profile() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$analyzer = new Ai_Blog_Posts_Analyzer();
+		$analysis = $analyzer->get_cached_analysis();
+
+		if ( empty( $analysis ) ) {
+			wp_send_json_error( array( 'message' => __( 'No website analysis yet. Run it from Settings > Content first.', 'ai-blog-posts' ) ) );
+		}
+
+		wp_send_json_success( array(
+			'profile' => Ai_Blog_Posts_Voice_Profiles::from_analysis( $analysis ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: Show the instructions an unsaved profile gives and check sample text against it.
+	 *
+	 * @since    1.0.0
+	 */
+	public function ajax_preview_voice_profile() {
+		check_ajax_referer( 'ai_blog_posts_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Permission denied.', 'ai-blog-posts' ) ) );
+		}
+
+		$profile = isset( $_POST['profile'] ) ? wp_unslash( $_POST['profile'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		$sample = isset( $_POST['sample'] ) ? wp_kses_post( wp_unslash( $_POST['sample'] ) ) : '';
+
+		$clean = Ai_Blog_Posts_Voice_Profiles::sanitize( $profile );
+		if ( is_wp_error( $clean ) ) {
+			wp_send_json_error( array( 'message' => $clean->get_error_message() ) );
+		}
+
+		// Plain text paragraphs are checked like generated HTML
+		if ( '' !== trim( $sample ) && false === strpos( $sample, '<p' ) ) {
+			$sample = wpautop( $sample );
+		}
+
+		wp_send_json_success( array(
+			'prompt'     => Ai_Blog_Posts_Voice_Profiles::get_prompt( $clean ),
+			'violations' => '' !== trim( $sample ) ? Ai_Blog_Posts_Voice_Profiles::check( $clean, $sample ) : null,
+		) );
+	}
+
 	/**
 	 * Add settings link to plugins page.
 	 *
@@ -1344,14 +2796,14 @@ class Ai_Blog_Posts_Admin {
 		if ( ! Ai_Blog_Posts_Settings::is_configured() ) {
 			printf(
 				'<div class="notice notice-warning"><p>%s <a href="%s">%s</a></p></div>',
-				esc_html__( 'AI Blog Posts requires an OpenAI API key to function.', 'ai-blog-posts' ),
+				esc_html__( 'AI Blog Posts requires an AI provider API key to function.', 'ai-blog-posts' ),
 				esc_url( admin_url( 'admin.php?page=ai-blog-posts-settings' ) ),
 				esc_html__( 'Configure now', 'ai-blog-posts' )
 			);
 		} elseif ( ! Ai_Blog_Posts_Settings::is_verified() ) {
 			printf(
 				'<div class="notice notice-info"><p>%s <a href="%s">%s</a></p></div>',
-				esc_html__( 'Your OpenAI API key has not been verified yet.', 'ai-blog-posts' ),
+				esc_html__( 'Your AI provider API key has not been verified yet.', 'ai-blog-posts' ),
 				esc_url( admin_url( 'admin.php?page=ai-blog-posts-settings' ) ),
 				esc_html__( 'Verify now', 'ai-blog-posts' )
 			);
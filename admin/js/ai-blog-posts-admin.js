@@ -13,6 +13,11 @@
 	 * AI Blog Posts Admin Module
 	 */
 	const AIBlogPosts = {
+		/**
+		 * Topic IDs ticked on any page of the Topics table
+		 */
+		selectedTopics: {},
+
 		/**
 		 * Initialize
 		 */
@@ -20,6 +25,13 @@
 			this.bindEvents();
 			this.initTabs();
 			this.initToggles();
+			this.initProviderSettings();
+			this.checkUnfinishedJobs();
+			this.pollBatchStatus(true);
+			this.updateCostEstimate();
+			this.loadAnalytics();
+			this.initTopicQueue();
+			this.initCalendar();
 		},
 
 		/**
@@ -38,19 +50,50 @@
 		bindEvents: function() {
 			// API Key verification
 			$('#verify-api-key').on('click', this.verifyApiKey.bind(this));
-			$('#toggle-api-key').on('click', this.toggleApiKeyVisibility.bind(this));
+			$('.toggle-api-key').on('click', this.toggleApiKeyVisibility);
 
 			// Settings form
 			$('#ai-blog-posts-settings-form').on('submit', this.saveSettings.bind(this));
 
 			// Model selector pricing display
-			$('#model').on('change', this.updateModelPricing);
+			$('#model').on('change', this.updateModelPricing.bind(this));
+
+			// Image optimization watermark and preview
+			$('#choose-watermark-btn').on('click', this.chooseWatermark.bind(this));
+			$('#remove-watermark-btn').on('click', this.removeWatermark.bind(this));
+			$('#preview-image-processing-btn').on('click', this.previewImageProcessing.bind(this));
+
+			// Live cost estimate on the Generate page and for bulk generation
+			$('#model, #content_type, #generate_image, #inline_images, .step-model-select').on('change', this.scheduleCostEstimate.bind(this));
+			$('#bulk-action, #select-all-topics').on('change', this.scheduleCostEstimate.bind(this));
+			$(document).on('change', '.topics-table .topic-checkbox', this.scheduleCostEstimate.bind(this));
 
 			// Generate post
 			$('#generate-post-form').on('submit', this.generatePost.bind(this));
 			$('#add-to-queue-btn').on('click', this.addToQueue.bind(this));
 			$('#generate-another-btn, #retry-btn').on('click', this.resetGenerateForm);
 			$('#close-preview').on('click', this.closePreview);
+			$('#stop-generation-btn').on('click', this.stopGeneration.bind(this));
+			$('#add-outline-section').on('click', this.addOutlineSection.bind(this));
+			$('#approve-outline-btn').on('click', this.approveOutline.bind(this));
+			$('#generate-candidates-btn').on('click', this.generateImageCandidates.bind(this));
+			$('#use-image-btn').on('click', this.chooseImage.bind(this));
+			$('#skip-image-btn').on('click', this.skipImage.bind(this));
+			$(document).on('click', '.image-candidate:not(.is-loading)', function() {
+				$('.image-candidate').removeClass('is-selected');
+				$(this).addClass('is-selected');
+				$('#use-image-btn').prop('disabled', $('#generate-candidates-btn').prop('disabled'));
+			});
+			$(document).on('click', '.section-action-btn', this.rewriteSection.bind(this));
+			$(document).on('change', '.section-tone-select', this.rewriteSection.bind(this));
+			$(document).on('click', '.remove-outline-section', function() {
+				$(this).closest('.outline-section').remove();
+			});
+			$(document).on('change', '.outline-section-level', function() {
+				$(this).closest('.outline-section').toggleClass('is-h3', $(this).val() === '3');
+			});
+			$(document).on('click', '.resume-job-btn', this.resumeJob.bind(this));
+			$(document).on('click', '.discard-job-btn', this.discardJob.bind(this));
 
 			// Topics
 			$('#add-topic-form').on('submit', this.addTopic.bind(this));
@@ -60,29 +103,121 @@
 			$('#save-topic-edit').on('click', this.saveTopicEdit.bind(this));
 			$('#fetch-trending').on('click', this.fetchTrending.bind(this));
 			$('#add-selected-trends').on('click', this.addSelectedTrends.bind(this));
-			$('#select-all-topics').on('change', this.toggleAllTopics);
+			$('#select-all-topics').on('change', this.toggleAllTopics.bind(this));
 			$('#apply-bulk').on('click', this.applyBulkAction.bind(this));
+			$('#cancel-batch').on('click', this.cancelBatch.bind(this));
+
+			// Topic queue inline editing and keyboard shortcuts
+			$(document).on('dblclick', '.topics-table [data-field]', function() {
+				AIBlogPosts.startInlineEdit($(this));
+			});
+			$(document).on('keydown focusout', '.topics-table .inline-editor', this.handleInlineEditorKey.bind(this));
+			$(document).on('click', '.topics-table tbody tr[data-topic-id]', function(e) {
+				if (!$(e.target).closest('a, button, input, select').length) {
+					AIBlogPosts.focusTopicRow($(this));
+				}
+			});
+			$(document).on('keydown', this.handleTopicShortcuts.bind(this));
 			
-			// Select all checkbox for topic table
-			$('.topics-table thead .topic-checkbox').on('change', function() {
-				$('.topics-table tbody .topic-checkbox').prop('checked', $(this).is(':checked'));
+			// Topic list filters, sorting, paging and selection
+			$('#topic-filters').on('submit', this.filterTopics.bind(this));
+			$('#filter-source, #filter-category, #filter-date-from, #filter-date-to').on('change', this.filterTopics.bind(this));
+			$('#topic-search').on('input', this.scheduleTopicSearch.bind(this));
+			$('#reset-topic-filters').on('click', this.resetTopicFilters.bind(this));
+			$('.topic-status-filter a').on('click', this.filterTopicStatus.bind(this));
+			$('.topics-table thead th[data-orderby] a').on('click', this.sortTopics.bind(this));
+			$(document).on('click', '#topics-pagination a.page-numbers', this.changeTopicsPage.bind(this));
+			$(document).on('change', '.topics-table tbody .topic-checkbox', this.toggleTopicSelection.bind(this));
+			$('#clear-topic-selection').on('click', this.clearTopicSelection.bind(this));
+
+			// Duplicate detection
+			$('#find-duplicates').on('click', this.findDuplicates.bind(this));
+			$('#duplicates-only').on('change', this.toggleDuplicateRows);
+			$('#add-duplicate-anyway').on('click', function() {
+				AIBlogPosts.submitTopic($.extend({}, AIBlogPosts.pendingTopic, { on_duplicate: 'add' }));
+			});
+			$(document).on('click', '.merge-duplicate', function() {
+				AIBlogPosts.submitTopic($.extend({}, AIBlogPosts.pendingTopic, { on_duplicate: 'merge', merge_into: $(this).data('id') }));
+			});
+
+			// Editorial calendar
+			$('.calendar-prev').on('click', function() { AIBlogPosts.moveCalendar(-1); });
+			$('.calendar-next').on('click', function() { AIBlogPosts.moveCalendar(1); });
+			$('.calendar-today').on('click', function() {
+				AIBlogPosts.loadCalendar(AIBlogPosts.calendarView, $('#aibp-calendar-page').data('today'));
+			});
+			$('.calendar-view').on('click', function() {
+				AIBlogPosts.loadCalendar($(this).data('view'), AIBlogPosts.calendarDate);
+			});
+			$(document).on('click', '.calendar-unpin', function(e) {
+				e.stopPropagation();
+				AIBlogPosts.pinTopic($(this).closest('.calendar-item').data('topic-id'), '');
 			});
 
 			// Modals
-			$('#bulk-import').on('click', function() { $('#csv-import-modal').show(); });
 			$('.modal-close, .modal-cancel').on('click', function() { 
 				$(this).closest('.ai-blog-posts-modal').hide(); 
 			});
 
-			// CSV Import
-			$('#do-csv-import').on('click', this.importCsv.bind(this));
+			// Import wizard
+			$('#bulk-import').on('click', this.openImportWizard.bind(this));
+			$('#import-file').on('change', this.readImportFile.bind(this));
+			$('.import-column').on('change', this.updateImportSample.bind(this));
+			$('#import-back').on('click', this.importBack.bind(this));
+			$('#import-preview').on('click', this.previewImport.bind(this));
+			$('#import-run').on('click', this.runImport.bind(this));
+			$('#import-problems-only').on('change', this.toggleImportProblems);
 
 			// Website analysis (both quick and AI-powered buttons)
 			$('#analyze-website, #analyze-website-ai').on('click', this.analyzeWebsite.bind(this));
+			$('#analysis-scope').on('change', this.loadAnalysisReport.bind(this));
+			$(document).on('change', '.analysis-finding-toggle', this.saveAnalysisFindings.bind(this));
+			$(document).on('click', '.delete-analysis', this.deleteAnalysis.bind(this));
 
 			// Export CSV and Clear Logs
 			$('#export-csv').on('click', this.exportLogs.bind(this));
+
+			// Configuration export and import
+			$('#export-config-form').on('submit', this.exportConfig.bind(this));
+			$('#import-config-form').on('submit', this.checkConfigImport.bind(this));
+			$('#import-config-form').on('change', function() { $('#config-import-report').hide(); });
+			$('#run-config-import').on('click', this.runConfigImport.bind(this));
 			$('#clear-logs').on('click', this.clearLogs.bind(this));
+
+			// Spending analytics
+			$('#apply-analytics-range').on('click', this.loadAnalytics.bind(this));
+			$('#analytics-preset').on('change', this.applyAnalyticsPreset.bind(this));
+			$('#analytics-from, #analytics-to').on('change', function() {
+				$('#analytics-preset').val('custom');
+			});
+			$('.export-chart').on('click', this.exportChart.bind(this));
+			$('.analytics-chart canvas').on('mousemove', this.showChartTooltip.bind(this));
+			$('.analytics-chart canvas').on('mouseleave', function() {
+				$(this).siblings('.analytics-chart-tooltip').hide();
+			});
+			$(window).on('resize', function() {
+				if (!AIBlogPosts.analyticsData) return;
+				clearTimeout(AIBlogPosts.analyticsResizeTimer);
+				AIBlogPosts.analyticsResizeTimer = setTimeout(AIBlogPosts.renderAnalytics.bind(AIBlogPosts), 200);
+			});
+
+			// Prompt templates
+			$('#prompt-templates-form').on('submit', this.savePrompts.bind(this));
+			$('.preview-prompt').on('click', this.previewPrompt.bind(this));
+			$('.reset-prompt').on('click', this.resetPrompt.bind(this));
+			$('.prompt-variable').on('click', this.insertPromptVariable.bind(this));
+			$('.prompt-template').on('focus', function() {
+				AIBlogPosts.lastPromptField = this;
+			});
+			$('#load-prompt-preset').on('click', this.loadPromptPreset.bind(this));
+			$('#save-prompt-preset').on('click', this.savePromptPreset.bind(this));
+			$('#delete-prompt-preset').on('click', this.deletePromptPreset.bind(this));
+
+			// Voice profiles
+			$('#voice-profile-form').on('submit', this.saveVoiceProfile.bind(this));
+			$('#delete-voice-profile').on('click', this.deleteVoiceProfile.bind(this));
+			$('#seed-voice-profile').on('click', this.seedVoiceProfile.bind(this));
+			$('#preview-voice-profile').on('click', this.previewVoiceProfile.bind(this));
 		},
 
 		/**
@@ -97,6 +232,7 @@
 					$(this).addClass('nav-tab-active');
 					$('.settings-tab').removeClass('active');
 					$('.settings-tab[data-tab="' + tab + '"]').addClass('active');
+					AIBlogPosts.toggleSettingsFooter();
 					
 					// Update URL without reload
 					const url = new URL(window.location);
@@ -104,6 +240,15 @@
 					window.history.pushState({}, '', url);
 				}
 			});
+
+			this.toggleSettingsFooter();
+		},
+
+		/**
+		 * Hide the save button while a tab outside the settings form is open
+		 */
+		toggleSettingsFooter: function() {
+			$('#ai-blog-posts-settings-form .settings-footer').toggle($('#ai-blog-posts-settings-form .settings-tab.active').length > 0);
 		},
 
 		/**
@@ -130,10 +275,35 @@
 			// Initial check on page load
 			this.updateScheduleTimeVisibility();
 
+			// Schedule rule rows (times, blackouts, category cadence)
+			$('.schedule-rule-add').on('click', function() {
+				const $list = $($(this).data('list'));
+				$list.find('.schedule-rule.is-template').clone().removeClass('is-template').appendTo($list);
+				AIBlogPosts.updateSchedulePreview();
+			});
+			$(document).on('click', '.schedule-rule-remove', function() {
+				$(this).closest('.schedule-rule').remove();
+				AIBlogPosts.updateSchedulePreview();
+			});
+
+			// Refresh the run preview as the schedule changes
+			$('.settings-tab[data-tab="schedule"]').on('change', 'input, select', function() {
+				AIBlogPosts.updateSchedulePreview();
+			});
+			if ($('#schedule-preview').length) {
+				this.updateSchedulePreview();
+			}
+
 			// Trending settings toggle
 			$('#trending_enabled').on('change', function() {
 				$('.trending-settings').toggle($(this).is(':checked'));
 			});
+
+			// Image optimization toggle
+			$('#image_optimize').on('change', function() {
+				$('.image-optimize-settings').toggle($(this).is(':checked'));
+				$('.watermark-settings').toggle($(this).is(':checked') && parseInt($('#image_watermark_id').val(), 10) > 0);
+			});
 		},
 
 		/**
@@ -145,13 +315,194 @@
 			const scheduleEnabled = $('#schedule_enabled').is(':checked');
 			
 			// Hide time field for hourly frequency (doesn't make sense)
+			// and custom rules (which have their own times)
 			// Also hide if schedule is disabled
-			if (frequency === 'hourly' || !scheduleEnabled) {
+			if (frequency === 'hourly' || frequency === 'custom' || !scheduleEnabled) {
 				$timeRow.hide();
 			} else {
 				// Show time field for other frequencies when schedule is enabled
 				$timeRow.show();
 			}
+
+			$('.schedule-custom-row').toggle(frequency === 'custom' && scheduleEnabled);
+		},
+
+		/**
+		 * Collect the schedule rule rows as setting values
+		 */
+		getScheduleRules: function() {
+			const rules = {
+				schedule_days: [],
+				schedule_slots: [],
+				schedule_blackouts: [],
+				schedule_category_cadence: []
+			};
+
+			$('.schedule-day:checked').each(function() {
+				rules.schedule_days.push($(this).val());
+			});
+
+			$('#schedule-slots .schedule-rule:not(.is-template) .schedule-slot-time').each(function() {
+				if ($(this).val()) {
+					rules.schedule_slots.push($(this).val());
+				}
+			});
+
+			$('#schedule-blackouts .schedule-rule:not(.is-template)').each(function() {
+				const start = $(this).find('.schedule-blackout-start').val();
+				if (start) {
+					const end = $(this).find('.schedule-blackout-end').val() || start;
+					rules.schedule_blackouts.push(start + '|' + end + '|' + $(this).find('.schedule-blackout-label').val());
+				}
+			});
+
+			$('#schedule-cadence .schedule-rule:not(.is-template)').each(function() {
+				const category = $(this).find('.schedule-cadence-category').val();
+				const days = $(this).find('.schedule-cadence-days').val();
+				if (category && days) {
+					rules.schedule_category_cadence.push(category + ':' + days);
+				}
+			});
+
+			// Empty arrays are not sent, so send an empty string to clear a list
+			$.each(rules, function(key, value) {
+				if (!value.length) {
+					rules[key] = '';
+				}
+			});
+
+			return rules;
+		},
+
+		/**
+		 * Timer for the debounced schedule preview
+		 */
+		schedulePreviewTimer: null,
+
+		/**
+		 * Show the next run times for the schedule as currently entered
+		 */
+		updateSchedulePreview: function() {
+			const $preview = $('#schedule-preview');
+
+			if (!$preview.length) return;
+
+			clearTimeout(this.schedulePreviewTimer);
+			this.schedulePreviewTimer = setTimeout(function() {
+				const settings = $.extend({
+					schedule_frequency: $('#schedule_frequency').val(),
+					schedule_time: $('#schedule_time').val(),
+					schedule_jitter: $('#schedule_jitter').val()
+				}, AIBlogPosts.getScheduleRules());
+
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: 'ai_blog_posts_preview_schedule',
+						nonce: aiBlogPosts.nonce,
+						settings: settings
+					},
+					success: function(response) {
+						if (!response.success) {
+							$preview.find('.schedule-preview-note').text(response.data.message);
+							return;
+						}
+
+						const $list = $preview.find('.schedule-preview-list').empty();
+						response.data.runs.forEach(function(run) {
+							$('<li>').text(run).appendTo($list);
+						});
+						$preview.find('.schedule-preview-note').text(response.data.note);
+					}
+				});
+			}, 400);
+		},
+
+		/**
+		 * Model options for every provider, filtered by the chosen one
+		 */
+		modelOptions: null,
+
+		/**
+		 * API key field for each provider
+		 */
+		providerKeyFields: {
+			openai: '#api_key',
+			anthropic: '#anthropic_api_key',
+			gemini: '#gemini_api_key',
+			openai_compatible: '#compatible_api_key'
+		},
+
+		/**
+		 * Set up the provider switcher on the settings page
+		 */
+		initProviderSettings: function() {
+			if (!$('#provider').length) return;
+
+			this.modelOptions = $('#model option').clone();
+
+			$('#provider').on('change', this.updateProviderFields.bind(this));
+			$('#image_enabled').on('change', this.updateProviderFields.bind(this));
+			$('#compatible_model, #compatible_input_cost, #compatible_output_cost').on('change', this.updateModelOptions.bind(this));
+
+			this.updateProviderFields();
+		},
+
+		/**
+		 * Show the fields for the chosen provider
+		 */
+		updateProviderFields: function() {
+			const provider = $('#provider').val();
+
+			$('.provider-settings').each(function() {
+				const $row = $(this);
+				// The OpenAI key is still needed for images whichever provider writes
+				const needed = $row.data('provider') === provider ||
+					($row.find('#api_key').length && $('#image_enabled').is(':checked'));
+				$row.toggle(needed);
+			});
+
+			this.updateModelOptions();
+		},
+
+		/**
+		 * Rebuild the model dropdown for the chosen provider
+		 */
+		updateModelOptions: function() {
+			const provider = $('#provider').val();
+			const $select = $('#model');
+			const current = $select.val();
+			let $options = this.modelOptions.filter('[data-provider="' + provider + '"]').clone();
+
+			// The custom endpoint has a single model, typed in by the user
+			if (provider === 'openai_compatible') {
+				const name = $('#compatible_model').val().trim();
+				$options = name ? $('<option>')
+					.val(name)
+					.text(name)
+					.attr('data-provider', provider)
+					.attr('data-input-cost', parseFloat($('#compatible_input_cost').val()) || 0)
+					.attr('data-output-cost', parseFloat($('#compatible_output_cost').val()) || 0) : $();
+			}
+
+			$select.empty().append($options);
+
+			if ($select.find('option[value="' + current + '"]').length) {
+				$select.val(current);
+			}
+
+			// Per-step selects keep their "default" option and offer the same models
+			$('.step-model-select').each(function() {
+				const $stepSelect = $(this);
+				const stepCurrent = $stepSelect.val();
+
+				$stepSelect.find('option[value!=""]').remove();
+				$stepSelect.append($options.clone().removeAttr('selected'));
+				$stepSelect.val($stepSelect.find('option[value="' + stepCurrent + '"]').length ? stepCurrent : '');
+			});
+
+			this.updateModelPricing();
 		},
 
 		/**
@@ -162,9 +513,16 @@
 			
 			const $button = $('#verify-api-key');
 			const $status = $('#api-key-status');
-			const apiKey = $('#api_key').val().trim();
+			const provider = $('#provider').val() || 'openai';
+			const apiKey = $(this.providerKeyFields[provider]).val().trim();
+			const baseUrl = $('#compatible_base_url').val();
 
-			if (!apiKey) {
+			if (provider === 'openai_compatible') {
+				if (!$.trim(baseUrl)) {
+					$status.html('<span class="status-warning">Please enter a base URL.</span>');
+					return;
+				}
+			} else if (!apiKey) {
 				$status.html('<span class="status-warning">Please enter an API key.</span>');
 				return;
 			}
@@ -177,7 +535,9 @@
 				data: {
 					action: 'ai_blog_posts_verify_api',
 					nonce: aiBlogPosts.nonce,
-					api_key: apiKey
+					provider: provider,
+					api_key: apiKey,
+					base_url: baseUrl
 				},
 				success: function(response) {
 					if (response.success) {
@@ -191,7 +551,7 @@
 					$status.html('<span class="status-error">Connection error. Please try again.</span>');
 				},
 				complete: function() {
-					$button.prop('disabled', false).text('Verify Key');
+					$button.prop('disabled', false).text('Verify Connection');
 				}
 			});
 		},
@@ -200,7 +560,7 @@
 		 * Toggle API key visibility
 		 */
 		toggleApiKeyVisibility: function() {
-			const $input = $('#api_key');
+			const $input = $('#' + $(this).data('target'));
 			const $icon = $(this).find('.dashicons');
 			
 			if ($input.attr('type') === 'password') {
@@ -216,9 +576,236 @@
 		 * Update model pricing display
 		 */
 		updateModelPricing: function() {
-			const model = $(this).val();
-			$('.model-price').hide();
-			$('.model-price[data-model="' + model + '"]').show();
+			const $option = $('#model option:selected');
+			const $price = $('.model-price');
+
+			if (!$option.length || $option.attr('data-input-cost') === undefined) {
+				$price.hide();
+				return;
+			}
+
+			$price.find('.model-input-cost').text($option.attr('data-input-cost'));
+			$price.find('.model-output-cost').text($option.attr('data-output-cost'));
+			$price.show();
+		},
+
+		/**
+		 * Pending cost estimate request timer
+		 */
+		estimateTimer: null,
+
+		/**
+		 * Refresh the cost estimate once the form stops changing
+		 */
+		scheduleCostEstimate: function() {
+			clearTimeout(this.estimateTimer);
+			this.estimateTimer = setTimeout(this.updateCostEstimate.bind(this), 300);
+		},
+
+		/**
+		 * Update the Generate page or bulk action cost estimate
+		 */
+		updateCostEstimate: function() {
+			const self = this;
+			let $estimate = $('#cost-estimate');
+			let data;
+
+			if ($estimate.length) {
+				data = this.getEstimateFormData();
+			} else {
+				$estimate = $('#bulk-cost-estimate');
+				const ids = this.getSelectedTopicIds();
+
+				if (!$estimate.length || $('#bulk-action').val() !== 'generate' || ids.length === 0) {
+					$estimate.hide();
+					return;
+				}
+
+				data = { topic_ids: ids };
+			}
+
+			this.fetchCostEstimate(data, function(estimate) {
+				if (estimate) {
+					self.renderCostEstimate($estimate, estimate);
+				}
+			});
+		},
+
+		/**
+		 * Collect the Generate form options that affect cost
+		 */
+		getEstimateFormData: function() {
+			const data = {
+				model: $('#model').val(),
+				content_type: $('#content_type').val(),
+				generate_image: $('#generate_image').is(':checked'),
+				inline_images: $('#inline_images').val() || 0,
+				step_models: {}
+			};
+
+			$('.step-model-select').each(function() {
+				data.step_models[$(this).data('stage')] = $(this).val();
+			});
+
+			return data;
+		},
+
+		/**
+		 * Request a cost estimate, passing null to the callback on failure
+		 */
+		fetchCostEstimate: function(data, callback) {
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: $.extend({
+					action: 'ai_blog_posts_estimate_cost',
+					nonce: aiBlogPosts.nonce
+				}, data),
+				success: function(response) {
+					callback(response.success ? response.data : null);
+				},
+				error: function() {
+					callback(null);
+				}
+			});
+		},
+
+		/**
+		 * Format a cost in USD
+		 */
+		formatCost: function(cost) {
+			return '$' + cost.toFixed(cost >= 1 ? 2 : 4);
+		},
+
+		/**
+		 * Format an estimate as a cost range
+		 */
+		formatCostRange: function(estimate) {
+			let range = this.formatCost(estimate.low) + ' – ' + this.formatCost(estimate.high);
+
+			if (estimate.count > 1) {
+				range += ' for ' + estimate.count + ' posts';
+			}
+
+			return range;
+		},
+
+		/**
+		 * Show an estimate with its budget state
+		 */
+		renderCostEstimate: function($estimate, estimate) {
+			let details = estimate.history_posts >= 3
+				? 'Based on your last ' + estimate.history_posts + ' posts.'
+				: 'Based on typical token usage.';
+
+			if (estimate.remaining !== null) {
+				details += ' ' + this.formatCost(estimate.remaining) + ' left in this month\'s budget.';
+			}
+
+			$estimate.find('.cost-estimate-range').text(this.formatCostRange(estimate));
+			$estimate.find('.cost-estimate-details').text(details);
+			$estimate.find('.cost-estimate-message').text(estimate.message).toggle(!!estimate.message);
+			$estimate
+				.removeClass('is-ok is-warning is-exceeded is-none')
+				.addClass('is-' + estimate.budget_status)
+				.show();
+		},
+
+		watermarkFrame: null,
+
+		/**
+		 * Pick the watermark image from the media library
+		 */
+		chooseWatermark: function(e) {
+			e.preventDefault();
+
+			if (!this.watermarkFrame) {
+				this.watermarkFrame = wp.media({
+					title: 'Choose Watermark',
+					button: { text: 'Use as Watermark' },
+					library: { type: 'image' },
+					multiple: false
+				});
+
+				this.watermarkFrame.on('select', function() {
+					const attachment = AIBlogPosts.watermarkFrame.state().get('selection').first().toJSON();
+					const url = attachment.sizes && attachment.sizes.thumbnail ? attachment.sizes.thumbnail.url : attachment.url;
+
+					$('#image_watermark_id').val(attachment.id);
+					$('.watermark-preview').html($('<img>').attr({ src: url, alt: '' }));
+					$('#remove-watermark-btn, .watermark-settings').show();
+				});
+			}
+
+			this.watermarkFrame.open();
+		},
+
+		/**
+		 * Clear the watermark image
+		 */
+		removeWatermark: function(e) {
+			e.preventDefault();
+
+			$('#image_watermark_id').val('0');
+			$('.watermark-preview').empty();
+			$('#remove-watermark-btn, .watermark-settings').hide();
+		},
+
+		/**
+		 * Run the image settings as entered on a sample image
+		 */
+		previewImageProcessing: function(e) {
+			e.preventDefault();
+
+			const $button = $('#preview-image-processing-btn');
+			const $preview = $('#image-processing-preview');
+			const label = $button.html();
+			const settings = {};
+
+			$('.image-optimize-section').find('input, select').each(function() {
+				const $input = $(this);
+				if ($input.attr('type') === 'checkbox') {
+					settings[$input.attr('name')] = $input.is(':checked') ? '1' : '0';
+				} else {
+					settings[$input.attr('name')] = $input.val();
+				}
+			});
+
+			$button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> Processing...');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_preview_image_processing',
+					nonce: aiBlogPosts.nonce,
+					settings: settings
+				},
+				success: function(response) {
+					if (!response.success) {
+						alert('Error: ' + response.data.message);
+						return;
+					}
+
+					['original', 'processed'].forEach(function(key) {
+						const image = response.data[key];
+						const $figure = $preview.find('.preview-' + key);
+						$figure.find('img').attr('src', image.url);
+						$figure.find('.preview-stats').text(image.width + '×' + image.height + ' · ' + image.format + ' · ' + image.size);
+					});
+
+					$preview.find('.preview-saving').text(response.data.saving > 0
+						? response.data.saving + '% smaller than the original.'
+						: 'Not smaller than the original. Try a lower quality or another format.');
+					$preview.show();
+				},
+				error: function() {
+					alert('Connection error. Please try again.');
+				},
+				complete: function() {
+					$button.prop('disabled', false).html(label);
+				}
+			});
 		},
 
 		/**
@@ -252,6 +839,10 @@
 				}
 			});
 
+			if ($form.find('#schedule-slots').length) {
+				$.extend(settings, this.getScheduleRules());
+			}
+
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
@@ -288,8 +879,9 @@
 			'humanize': { index: 2, label: 'Humanizing text...' },
 			'seo': { index: 3, label: 'Optimizing for SEO...' },
 			'finalize': { index: 4, label: 'Creating post...' },
-			'image': { index: 5, label: 'Generating image...' },
-			'complete': { index: 6, label: 'Complete!' }
+			'inline_images': { index: 5, label: 'Adding in-article images...' },
+			'image': { index: 6, label: 'Generating image...' },
+			'complete': { index: 7, label: 'Complete!' }
 		},
 
 		/**
@@ -298,35 +890,28 @@
 		generatePost: function(e) {
 			e.preventDefault();
 
-			const $form = $(e.target);
-			const $preview = $('#preview-container');
-			const $progress = $('#generation-progress');
-			const $content = $('#preview-content');
-			const $error = $('#preview-error');
 			const self = this;
 
-			// Show preview container
-			$preview.show();
-			$progress.show();
-			$content.hide();
-			$error.hide();
-
-			// Reset progress
-			$('.progress-step').removeClass('active complete');
-			$('#progress-fill').css('width', '0%');
-			$('#progress-status').text('Starting generation...');
-			$('.progress-step[data-step="outline"]').addClass('active');
-
 			// Collect form data
 			const formData = {
 				topic: $('#topic').val(),
 				keywords: $('#keywords').val(),
+				content_type: $('#content_type').val(),
+				voice_profile: $('#voice_profile').val() || '',
 				additional_instructions: $('#additional_instructions').val(),
 				category_id: $('#category_id').val(),
 				model: $('#model').val(),
 				post_status: $('#post_status').val(),
-				generate_image: $('#generate_image').is(':checked')
+				generate_image: $('#generate_image').is(':checked'),
+				inline_images: $('#inline_images').val() || 0,
+				review_outline: $('#review_outline').is(':checked'),
+				review_image: $('#review_image').is(':checked'),
+				step_models: {}
 			};
+
+			$('.step-model-select').each(function() {
+				formData.step_models[$(this).data('stage')] = $(this).val();
+			});
 			
 			// Include queue topic ID if generating from queue
 			const queueTopicId = $('#queue_topic_id').val();
@@ -334,15 +919,55 @@
 				formData.queue_topic_id = queueTopicId;
 			}
 
-			// Start step-by-step generation
-			this.startStepByStepGeneration(formData);
+			this.fetchCostEstimate(this.getEstimateFormData(), function(estimate) {
+				if (estimate && estimate.budget_status === 'exceeded') {
+					alert(estimate.message);
+					return;
+				}
+
+				if (estimate && estimate.budget_status === 'warning' && !confirm(estimate.message + ' Generate anyway?')) {
+					return;
+				}
+
+				// Start step-by-step generation
+				self.showGenerationProgress();
+				self.startStepByStepGeneration(formData);
+			});
 		},
 
 		/**
-		 * Start step-by-step generation process
+		 * Show and reset the progress panel
 		 */
-		startStepByStepGeneration: function(formData) {
-			const self = this;
+		showGenerationProgress: function() {
+			$('#preview-container').show();
+			$('#generation-progress').show();
+			$('#preview-content').hide();
+			$('#preview-error').hide();
+
+			$('.progress-step').removeClass('active complete');
+			$('.progress-step .step-cost').text('').removeAttr('title');
+			$('#result-step-costs').hide().find('tbody').empty();
+			$('#progress-fill').css('width', '0%');
+			$('#progress-status').text('Starting generation...');
+			$('.progress-step[data-step="outline"]').addClass('active');
+
+			this.stopStreamPreview();
+			this.currentJobId = null;
+			this.stopRequested = false;
+			$('#stream-preview').hide();
+			$('#stream-preview-body').empty();
+			$('#outline-review').hide();
+			$('#outline-sections').empty();
+			$('#image-review').hide();
+			$('#image-review-candidates').empty();
+			$('#stop-generation-btn').prop('disabled', false).show();
+		},
+
+		/**
+		 * Start step-by-step generation process
+		 */
+		startStepByStepGeneration: function(formData) {
+			const self = this;
 
 			// Step 1: Create the job
 			$.ajax({
@@ -354,10 +979,18 @@
 					nonce: aiBlogPosts.nonce,
 					topic: formData.topic,
 					keywords: formData.keywords,
+					content_type: formData.content_type || 'article',
+					voice_profile: formData.voice_profile || '',
+					additional_instructions: formData.additional_instructions || '',
 					category_id: formData.category_id,
 					publish: formData.post_status === 'publish' ? 'true' : 'false',
 					generate_image: formData.generate_image,
-					queue_topic_id: formData.queue_topic_id || 0
+					inline_images: formData.inline_images || 0,
+					review_outline: formData.review_outline ? 'true' : 'false',
+					review_image: formData.review_image ? 'true' : 'false',
+					queue_topic_id: formData.queue_topic_id || 0,
+					model: formData.model,
+					step_models: formData.step_models
 				},
 				success: function(response) {
 					if (response.success) {
@@ -385,16 +1018,21 @@
 			retryCount = retryCount || 0;
 			const maxRetries = 2;
 
+			// Remember the job so it can be resumed after a reload
+			this.rememberJob(jobId, step, formData);
+			this.currentJobId = jobId;
+			$('#stop-generation-btn').show();
+
 			// Update progress UI
 			const stepInfo = this.generationSteps[step];
 			if (stepInfo) {
 				$('#progress-status').text(stepInfo.label);
-				// 7 total steps (indices 0-6): outline, content, humanize, seo, finalize, image, complete
-				const progress = ((stepInfo.index + 1) / 7) * 100;
+				// 8 total steps (indices 0-7): outline, content, humanize, seo, finalize, inline_images, image, complete
+				const progress = ((stepInfo.index + 1) / 8) * 100;
 				$('#progress-fill').css('width', Math.min(progress, 100) + '%');
 
 				// Mark previous steps as complete - must include all steps from generationSteps
-				const allSteps = ['outline', 'content', 'humanize', 'seo', 'finalize', 'image', 'complete'];
+				const allSteps = ['outline', 'content', 'humanize', 'seo', 'finalize', 'inline_images', 'image', 'complete'];
 				allSteps.forEach(function(s, idx) {
 					const $step = $('.progress-step[data-step="' + s + '"]');
 					if (idx < stepInfo.index) {
@@ -407,6 +1045,11 @@
 				});
 			}
 
+			// Show the draft as it is written
+			if (step === 'content' || step === 'humanize') {
+				this.startStreamPreview(jobId, step);
+			}
+
 			// Process the step
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
@@ -418,20 +1061,42 @@
 					job_id: jobId,
 					step: step
 				},
+				complete: function() {
+					self.stopStreamPreview();
+				},
 				success: function(response) {
+					// The job was stopped while this step was in flight
+					if (self.currentJobId !== jobId) return;
+
 					if (response.success) {
 						const data = response.data;
 
+						if (data.step_cost) {
+							self.showStepCost(data.step, data.step_cost);
+						}
+
 						// Check if generation is complete
 						if (data.job_status === 'completed' || data.next_step === null) {
+							self.forgetJob(jobId);
 							self.showGenerationComplete(data);
+						} else if (data.job_status === 'awaiting_review') {
+							// Wait for the editor to approve the outline
+							self.rememberJob(jobId, data.next_step, formData);
+							self.showOutlineReview(jobId, data.outline, formData);
+						} else if (data.job_status === 'awaiting_image') {
+							// Wait for the editor to pick a featured image
+							self.rememberJob(jobId, data.next_step, formData);
+							self.showImageReview(jobId, data.image_review);
 						} else if (data.next_step) {
 							// Process next step
 							self.processNextStep(jobId, data.next_step, formData);
 						}
+					} else if (response.data.code === 'generation_stopped') {
+						self.forgetJob(jobId);
+						self.showError(response.data.message);
 					} else {
 						// Retry on certain errors
-						if (retryCount < maxRetries && self.isRetryableError(response.data.message)) {
+						if (!self.stopRequested && retryCount < maxRetries && self.isRetryableError(response.data.message)) {
 							setTimeout(function() {
 								self.processNextStep(jobId, step, formData, retryCount + 1);
 							}, 2000);
@@ -441,8 +1106,10 @@
 					}
 				},
 				error: function(xhr, status, error) {
+					if (self.currentJobId !== jobId) return;
+
 					// Retry on timeout or connection errors
-					if (retryCount < maxRetries && (status === 'timeout' || status === 'error')) {
+					if (!self.stopRequested && retryCount < maxRetries && (status === 'timeout' || status === 'error')) {
 						setTimeout(function() {
 							self.processNextStep(jobId, step, formData, retryCount + 1);
 						}, 3000);
@@ -460,1049 +1127,4445 @@
 		},
 
 		/**
-		 * Check if an error is retryable
+		 * Timer for polling the streamed draft
 		 */
-		isRetryableError: function(message) {
-			if (!message) return false;
-			const retryablePatterns = [
-				'timeout', 'timed out', 'connection', 'temporarily',
-				'server error', 'rate limit', '429', '500', '502', '503', '504'
-			];
-			const msgLower = message.toLowerCase();
-			return retryablePatterns.some(pattern => msgLower.includes(pattern));
-		},
+		streamPollTimer: null,
 
 		/**
-		 * Show generation complete
+		 * Poll the draft text streamed so far for the current step
 		 */
-		showGenerationComplete: function(data) {
-						// Complete all steps
-						$('.progress-step').removeClass('active').addClass('complete');
-						$('#progress-fill').css('width', '100%');
-						$('#progress-status').text('Complete!');
+		startStreamPreview: function(jobId, step) {
+			const self = this;
 
-			const $progress = $('#generation-progress');
-			const $content = $('#preview-content');
+			this.stopStreamPreview();
+			$('#stream-preview-label').text(step === 'humanize' ? 'Live Draft (humanizing)' : 'Live Draft');
 
-						setTimeout(function() {
-							$progress.hide();
-							$content.show();
+			const poll = function() {
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: 'ai_blog_posts_get_stream',
+						nonce: aiBlogPosts.nonce,
+						job_id: jobId
+					},
+					success: function(response) {
+						// Ignore responses that arrive after the step finished
+						if (!self.streamPollTimer || !response.success || response.data.step !== step || !response.data.html) {
+							return;
+						}
 
-							// Populate preview
-				$('#result-model').text(data.model || 'N/A');
-				$('#result-tokens').text((data.tokens || 0).toLocaleString());
-				$('#result-cost').text((data.cost_usd || 0).toFixed(4));
-				$('#result-time').text(data.generation_time || 'N/A');
-				$('#preview-title-text').text(data.title || 'Untitled');
-				$('#preview-body').html(data.content_preview || '');
-				$('#edit-post-btn').attr('href', data.edit_url || '#');
-				$('#view-post-btn').attr('href', data.view_url || '#');
-						}, 1000);
-		},
+						const $body = $('#stream-preview-body');
+						$body.html(response.data.html);
+						$body.scrollTop($body[0].scrollHeight);
+						$('#stream-preview').show();
+					}
+				});
+			};
 
-		/**
-		 * Show error in preview
-		 */
-		showError: function(message) {
-			$('#generation-progress').hide();
-			$('#preview-content').hide();
-			$('#preview-error').show();
-			$('#error-message').text(message);
+			this.streamPollTimer = setInterval(poll, 1000);
 		},
 
 		/**
-		 * Reset generate form
+		 * Stop polling the streamed draft
 		 */
-		resetGenerateForm: function() {
-			$('#preview-container').hide();
-			$('#topic').val('').focus();
+		stopStreamPreview: function() {
+			if (this.streamPollTimer) {
+				clearInterval(this.streamPollTimer);
+				this.streamPollTimer = null;
+			}
 		},
 
 		/**
-		 * Close preview
+		 * Stop the running generation job
 		 */
-		closePreview: function() {
-			$('#preview-container').hide();
-		},
+		stopGeneration: function() {
+			const self = this;
+			const jobId = this.currentJobId;
 
-		/**
-		 * Add topic to queue
-		 */
-		addToQueue: function(e) {
-			e.preventDefault();
-			
-			const topic = $('#topic').val();
-			if (!topic) {
-				alert('Please enter a topic.');
+			if (!jobId || !confirm('Stop generating this post? The draft so far will be discarded and its cost logged.')) {
 				return;
 			}
 
+			this.stopRequested = true;
+			$('#stop-generation-btn').prop('disabled', true);
+			$('#progress-status').text('Stopping...');
+
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'ai_blog_posts_add_topic',
+					action: 'ai_blog_posts_stop_job',
 					nonce: aiBlogPosts.nonce,
-					topic: topic,
-					keywords: $('#keywords').val(),
-					category_id: $('#category_id').val(),
-					priority: 50
+					job_id: jobId
 				},
 				success: function(response) {
-					if (response.success) {
-						alert('Topic added to queue!');
-						$('#topic').val('');
-						$('#keywords').val('');
+					if (!response.success) {
+						self.stopRequested = false;
+						$('#stop-generation-btn').prop('disabled', false);
+						alert(response.data.message || 'Failed to stop generation.');
+						return;
+					}
+
+					// Otherwise the running step reports the stop when it returns
+					if (response.data.stopped) {
+						self.currentJobId = null;
+						self.stopStreamPreview();
+						self.forgetJob(jobId);
+						self.showError(response.data.message);
 					} else {
-						alert('Error: ' + response.data.message);
+						$('#progress-status').text(response.data.message);
 					}
 				},
 				error: function() {
-					alert('Connection error.');
+					self.stopRequested = false;
+					$('#stop-generation-btn').prop('disabled', false);
+					alert('Connection error. Please try again.');
 				}
 			});
 		},
 
 		/**
-		 * Add topic from topics page
+		 * Job whose outline is being reviewed
 		 */
-		addTopic: function(e) {
-			e.preventDefault();
-			
-			const $form = $(e.target);
-			const $button = $form.find('button[type="submit"]');
+		reviewJob: null,
 
-			$button.prop('disabled', true);
+		/**
+		 * Show the outline as an editable, reorderable list of sections
+		 */
+		showOutlineReview: function(jobId, outline, formData) {
+			const self = this;
+			const $list = $('#outline-sections');
+
+			this.reviewJob = { jobId: jobId, formData: formData };
+
+			$('#progress-status').text('Review the outline, then approve it to write the content.');
+			$('#outline-title').val(outline.title || '');
+			$list.empty();
+
+			(outline.sections || []).forEach(function(section) {
+				$list.append(self.renderOutlineSection(section));
+			});
+
+			if ($.fn.sortable && !$list.hasClass('ui-sortable')) {
+				$list.sortable({ handle: '.outline-drag-handle', axis: 'y' });
+			}
+
+			$('#approve-outline-btn').prop('disabled', false);
+			$('#outline-review').show();
+		},
+
+		/**
+		 * Fetch a saved job's outline and show it for review
+		 */
+		loadOutlineReview: function(jobId, formData) {
+			const self = this;
+
+			$('#progress-status').text('Loading outline...');
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'ai_blog_posts_add_topic',
+					action: 'ai_blog_posts_get_outline',
 					nonce: aiBlogPosts.nonce,
-					topic: $('#new-topic').val(),
-					keywords: $('#new-keywords').val(),
-					category_id: $('#new-category').val(),
-					priority: $('#new-priority').val() || 0
+					job_id: jobId
 				},
 				success: function(response) {
 					if (response.success) {
-						location.reload();
+						self.currentJobId = jobId;
+						self.showOutlineReview(jobId, response.data, formData);
 					} else {
-						alert('Error: ' + response.data.message);
+						self.showError(response.data.message || 'Failed to load the outline.');
 					}
 				},
 				error: function() {
-					alert('Connection error.');
-				},
-				complete: function() {
-					$button.prop('disabled', false);
+					self.showError('Connection error. Please try again.');
 				}
 			});
 		},
 
 		/**
-		 * Edit topic - open modal with topic data
+		 * Build the markup for one outline section
 		 */
-		editTopic: function(e) {
-			e.preventDefault();
-
-			const $link = $(e.target).closest('.edit-topic-link');
-			const topicId = $link.data('id');
-			const topic = $link.data('topic');
-			const keywords = $link.data('keywords') || '';
-			const category = $link.data('category') || '';
-			const priority = $link.data('priority') || 0;
-
-			// Populate edit form
-			$('#edit-topic-id').val(topicId);
-			$('#edit-topic-title').val(topic);
-			$('#edit-topic-keywords').val(keywords);
-			$('#edit-topic-category').val(category);
-			$('#edit-topic-priority').val(priority);
-
-			// Show modal
-			$('#edit-topic-modal').show();
+		renderOutlineSection: function(section) {
+			const isH3 = parseInt(section.level, 10) === 3;
+
+			return '<li class="outline-section' + (isH3 ? ' is-h3' : '') + '">' +
+				'<span class="outline-drag-handle dashicons dashicons-menu" title="Drag to reorder"></span>' +
+				'<div class="outline-section-fields">' +
+					'<div class="outline-section-heading">' +
+						'<select class="outline-section-level">' +
+							'<option value="2"' + (isH3 ? '' : ' selected') + '>H2</option>' +
+							'<option value="3"' + (isH3 ? ' selected' : '') + '>H3</option>' +
+						'</select>' +
+						'<input type="text" class="outline-section-text" placeholder="Section heading" value="' + this.escapeHtml(section.heading) + '">' +
+						'<label class="outline-section-image" title="Place an in-article image at the end of this section"><input type="checkbox" class="outline-section-image-toggle"' + (section.image ? ' checked' : '') + '> Image</label>' +
+						'<button type="button" class="button-link remove-outline-section" title="Remove section"><span class="dashicons dashicons-trash"></span></button>' +
+					'</div>' +
+					'<textarea class="outline-section-notes" rows="2" placeholder="Points to cover (one per line)">' + this.escapeHtml(section.notes) + '</textarea>' +
+				'</div>' +
+			'</li>';
 		},
 
 		/**
-		 * Save topic edit
+		 * Add an empty section to the end of the outline
 		 */
-		saveTopicEdit: function(e) {
-			e.preventDefault();
+		addOutlineSection: function() {
+			const $section = $(this.renderOutlineSection({ level: 2, heading: '', notes: '' }));
+			$('#outline-sections').append($section);
+			$section.find('.outline-section-text').trigger('focus');
+		},
 
-			const $button = $('#save-topic-edit');
-			const $form = $('#edit-topic-form');
+		/**
+		 * Send the edited outline and continue with the content step
+		 */
+		approveOutline: function() {
+			const self = this;
+			const review = this.reviewJob;
+			if (!review) return;
+
+			const sections = [];
+			$('#outline-sections .outline-section').each(function() {
+				const $section = $(this);
+				const heading = $.trim($section.find('.outline-section-text').val());
+				if (heading) {
+					sections.push({
+						level: $section.find('.outline-section-level').val(),
+						heading: heading,
+						notes: $section.find('.outline-section-notes').val(),
+						image: $section.find('.outline-section-image-toggle').is(':checked')
+					});
+				}
+			});
 
-			// Validate
-			const topic = $('#edit-topic-title').val().trim();
-			if (!topic) {
-				alert('Topic is required.');
+			if (!sections.length) {
+				alert('Add at least one section with a heading.');
 				return;
 			}
 
-			$button.prop('disabled', true).text('Updating...');
+			const $btn = $('#approve-outline-btn');
+			$btn.prop('disabled', true);
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'ai_blog_posts_update_topic',
+					action: 'ai_blog_posts_approve_outline',
 					nonce: aiBlogPosts.nonce,
-					topic_id: $('#edit-topic-id').val(),
-					topic: topic,
-					keywords: $('#edit-topic-keywords').val().trim(),
-					category_id: $('#edit-topic-category').val() || 0,
-					priority: $('#edit-topic-priority').val() || 0
+					job_id: review.jobId,
+					title: $('#outline-title').val(),
+					sections: sections
 				},
 				success: function(response) {
 					if (response.success) {
-						// Close modal
-						$('#edit-topic-modal').hide();
-						// Reload page to show updated data
-						location.reload();
+						self.reviewJob = null;
+						$('#outline-review').hide();
+						self.processNextStep(review.jobId, response.data.next_step, review.formData);
 					} else {
-						alert('Error: ' + response.data.message);
-						$button.prop('disabled', false).text('Update Topic');
+						$btn.prop('disabled', false);
+						alert(response.data.message || 'Failed to save the outline.');
 					}
 				},
 				error: function() {
-					alert('Connection error.');
-					$button.prop('disabled', false).text('Update Topic');
+					$btn.prop('disabled', false);
+					alert('Connection error. Please try again.');
 				}
 			});
 		},
 
 		/**
-		 * Delete topic
+		 * Job whose featured image is being reviewed
 		 */
-		deleteTopic: function(e) {
-			e.preventDefault();
+		imageReviewJob: null,
 
-			if (!confirm(aiBlogPosts.strings.confirmDelete)) {
-				return;
-			}
+		/**
+		 * Show the image prompt and the candidates generated so far
+		 */
+		showImageReview: function(jobId, review) {
+			const self = this;
+			const $candidates = $('#image-review-candidates').empty();
 
-			const $link = $(e.target);
-			const topicId = $link.data('id');
-			const $row = $link.closest('tr');
+			this.imageReviewJob = jobId;
+
+			$('#progress-status').text('Edit the prompt if needed, generate candidates, then pick the featured image.');
+			$('#stop-generation-btn').hide();
+			$('#image-review-prompt').val(review.prompt || '');
+			$('#image-review-count').val(String(review.count || 3));
+
+			(review.candidates || []).forEach(function(candidate) {
+				$candidates.append(self.renderImageCandidate(candidate));
+			});
+
+			this.updateImageReviewCost(review.cost_usd);
+			this.setImageReviewBusy(false);
+			$('#image-review').show();
+		},
+
+		/**
+		 * Fetch a saved job's image review and show it
+		 */
+		loadImageReview: function(jobId) {
+			const self = this;
+
+			$('#progress-status').text('Loading image review...');
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'ai_blog_posts_delete_topic',
+					action: 'ai_blog_posts_get_image_review',
 					nonce: aiBlogPosts.nonce,
-					topic_id: topicId
+					job_id: jobId
 				},
 				success: function(response) {
 					if (response.success) {
-						$row.fadeOut(function() { $(this).remove(); });
+						self.currentJobId = jobId;
+						self.showImageReview(jobId, response.data);
 					} else {
-						alert('Error: ' + response.data.message);
+						self.showError(response.data.message || 'Failed to load the image review.');
 					}
 				},
 				error: function() {
-					alert('Connection error.');
+					self.showError('Connection error. Please try again.');
 				}
 			});
 		},
 
 		/**
-		 * Generate from topic using step-by-step process
+		 * Build the markup for one image candidate
 		 */
-		generateFromTopic: function(e) {
-			e.preventDefault();
-			e.stopPropagation();
-			
-			// Get the clicked link - handle both direct click and child element click
-			let $link = $(e.target);
-			if (!$link.hasClass('generate-topic') && !$link.hasClass('retry-topic')) {
-				$link = $link.closest('.generate-topic, .retry-topic');
-			}
-			
-			if (!$link.length) return;
-			
-			const $row = $link.closest('tr');
-			const topicId = $link.data('id');
-			const topicText = $row.find('.column-topic strong').text().trim();
-			const isRetry = $link.hasClass('retry-topic');
+		renderImageCandidate: function(candidate) {
+			return $('<button type="button" class="image-candidate"></button>')
+				.attr('data-attachment-id', candidate.attachment_id)
+				.attr('title', 'Use this image')
+				.append($('<img alt="">').attr('src', candidate.url))
+				.append($('<span class="image-candidate-cost"></span>').text('$' + (candidate.cost_usd || 0).toFixed(4)));
+		},
+
+		/**
+		 * Show what the image step has cost so far
+		 */
+		updateImageReviewCost: function(cost) {
+			const count = $('#image-review-candidates .image-candidate:not(.is-loading)').length;
+
+			$('#image-review-cost').text(count ? count + ' candidate' + (count === 1 ? '' : 's') + ' · $' + (cost || 0).toFixed(4) + ' spent on the image so far' : '');
+			$('#generate-candidates-btn .button-text').text(count ? 'Regenerate' : 'Generate Candidates');
+		},
+
+		/**
+		 * Disable the review buttons while candidates are generated or a choice is saved
+		 */
+		setImageReviewBusy: function(busy) {
+			$('#generate-candidates-btn, #skip-image-btn, #image-review-count, #image-review-prompt').prop('disabled', busy);
+			$('#use-image-btn').prop('disabled', busy || !$('.image-candidate.is-selected').length);
+		},
+
+		/**
+		 * Generate candidates one at a time so each request stays short
+		 */
+		generateImageCandidates: function() {
 			const self = this;
-			
-			// Prevent double-clicks
-			if ($row.hasClass('generating')) {
-				return;
-			}
-			
-			if (!confirm((isRetry ? 'Retry generating' : 'Generate') + ' a post for "' + topicText + '"?')) {
+			const jobId = this.imageReviewJob;
+			const prompt = $.trim($('#image-review-prompt').val());
+			let remaining = parseInt($('#image-review-count').val(), 10) || 1;
+
+			if (!jobId) return;
+
+			if (!prompt) {
+				alert('Enter a prompt to generate images from.');
 				return;
 			}
 
-			// Show generating state - replace all row actions with spinner
-			const $rowActions = $row.find('.row-actions');
-			$rowActions.html(
-				'<span class="generating-indicator">' +
-				'<span class="spinner is-active" style="float:none;margin:0 5px 0 0;visibility:visible;"></span>' +
-				'<span class="step-status" style="color:#0073aa;font-weight:500;">Starting...</span>' +
-				'</span>'
-			);
-			$row.addClass('generating');
-			
-			// Update status badge to "Generating"
-			$row.find('.column-status').html('<span class="status-badge generating">Generating</span>');
+			this.setImageReviewBusy(true);
 
-			// Start step-by-step generation for this topic
-			this.generateTopicStepByStep(topicId, $row, $rowActions);
+			const next = function() {
+				if (remaining-- <= 0) {
+					self.setImageReviewBusy(false);
+					return;
+				}
+
+				const $placeholder = $('<div class="image-candidate is-loading"><span class="spinner is-active"></span></div>')
+					.prependTo('#image-review-candidates');
+
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
+					type: 'POST',
+					timeout: 120000,
+					data: {
+						action: 'ai_blog_posts_generate_image_candidate',
+						nonce: aiBlogPosts.nonce,
+						job_id: jobId,
+						prompt: prompt
+					},
+					success: function(response) {
+						if (!response.success) {
+							$placeholder.remove();
+							self.setImageReviewBusy(false);
+							alert('Error: ' + response.data.message);
+							return;
+						}
+
+						$placeholder.replaceWith(self.renderImageCandidate(response.data.candidate));
+						self.updateImageReviewCost(response.data.step_cost.cost_usd);
+						self.showStepCost('image', response.data.step_cost);
+						next();
+					},
+					error: function() {
+						$placeholder.remove();
+						self.setImageReviewBusy(false);
+						alert('Connection error. Please try again.');
+					}
+				});
+			};
+
+			next();
 		},
 
 		/**
-		 * Step-by-step generation for queue topics
+		 * Use the selected candidate as the featured image
 		 */
-		generateTopicStepByStep: function(topicId, $row, $rowActions) {
-			const self = this;
+		chooseImage: function() {
+			const attachmentId = $('.image-candidate.is-selected').data('attachment-id');
+			if (attachmentId) {
+				this.finishImageReview(attachmentId);
+			}
+		},
 
-			// Step 1: Start the generation job
-			$.ajax({
-				url: aiBlogPosts.ajaxUrl,
-				type: 'POST',
-				timeout: 30000,
-				data: {
-					action: 'ai_blog_posts_generate_from_queue',
-					nonce: aiBlogPosts.nonce,
-					topic_id: topicId,
-					use_steps: true  // Signal to use step-by-step mode
-				},
-				success: function(response) {
-					if (response.success && response.data.job_id) {
-						// Process steps
-						self.processTopicStep(response.data.job_id, response.data.next_step, topicId, $row, $rowActions);
-					} else if (response.success) {
-						// Legacy single-request mode succeeded
-						self.handleTopicGenerationSuccess(response.data, topicId, $row, $rowActions);
-					} else {
-						self.handleTopicGenerationError(response.data.message || 'Unknown error', topicId, $row, $rowActions);
-					}
-				},
-				error: function(xhr, status) {
-					let errorMsg = 'Connection error';
-					if (status === 'timeout') {
-						errorMsg = 'Request timed out. Please try again.';
-					}
-					self.handleTopicGenerationError(errorMsg, topicId, $row, $rowActions);
-				}
-			});
+		/**
+		 * Finish without a featured image
+		 */
+		skipImage: function() {
+			if ($('#image-review-candidates .image-candidate').length && !confirm('Finish without a featured image? The candidates will be deleted.')) {
+				return;
+			}
+			this.finishImageReview(0);
 		},
 
 		/**
-		 * Process a single step for topic generation
+		 * Save the image choice and show the finished post
 		 */
-		processTopicStep: function(jobId, step, topicId, $row, $rowActions, retryCount) {
+		finishImageReview: function(attachmentId) {
 			const self = this;
-			retryCount = retryCount || 0;
-			const maxRetries = 2;
+			const jobId = this.imageReviewJob;
+			if (!jobId) return;
 
-			// Update status text
-			const stepLabels = {
-				'outline': 'Creating outline...',
-				'content': 'Writing content...',
-				'humanize': 'Humanizing...',
-				'seo': 'Optimizing SEO...',
-				'finalize': 'Creating post...',
-				'image': 'Generating image...'
-			};
-			$rowActions.find('.step-status').text(stepLabels[step] || 'Processing...');
+			this.setImageReviewBusy(true);
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
-				timeout: 120000, // 2 minutes per step
 				data: {
-					action: 'ai_blog_posts_process_step',
+					action: 'ai_blog_posts_choose_image',
 					nonce: aiBlogPosts.nonce,
 					job_id: jobId,
-					step: step
+					attachment_id: attachmentId
 				},
 				success: function(response) {
 					if (response.success) {
-						const data = response.data;
-
-						if (data.job_status === 'completed' || data.next_step === null) {
-							self.handleTopicGenerationSuccess(data, topicId, $row, $rowActions);
-						} else if (data.next_step) {
-							self.processTopicStep(jobId, data.next_step, topicId, $row, $rowActions);
-						}
+						self.imageReviewJob = null;
+						self.currentJobId = null;
+						self.forgetJob(jobId);
+						$('#image-review').hide();
+						self.showGenerationComplete(response.data);
 					} else {
-						if (retryCount < maxRetries && self.isRetryableError(response.data.message)) {
-							setTimeout(function() {
-								self.processTopicStep(jobId, step, topicId, $row, $rowActions, retryCount + 1);
-							}, 2000);
-						} else {
-							self.handleTopicGenerationError(response.data.message, topicId, $row, $rowActions);
-						}
+						self.setImageReviewBusy(false);
+						alert('Error: ' + response.data.message);
 					}
 				},
-				error: function(xhr, status) {
-					if (retryCount < maxRetries) {
-						setTimeout(function() {
-							self.processTopicStep(jobId, step, topicId, $row, $rowActions, retryCount + 1);
-						}, 3000);
-					} else {
-						let errorMsg = status === 'timeout' ? 'Request timed out' : 'Connection error';
-						self.handleTopicGenerationError(errorMsg, topicId, $row, $rowActions);
-					}
+				error: function() {
+					self.setImageReviewBusy(false);
+					alert('Connection error. Please try again.');
 				}
 			});
 		},
 
 		/**
-		 * Handle successful topic generation
+		 * Check if an error is retryable
 		 */
-		handleTopicGenerationSuccess: function(data, topicId, $row, $rowActions) {
-			$row.removeClass('generating').addClass('generated');
-						$row.find('.column-status').html('<span class="status-badge completed">Completed</span>');
-						
-						let newActions = '';
-			if (data.view_url || data.post_url) {
-				newActions += '<span class="view"><a href="' + (data.view_url || data.post_url) + '" target="_blank">View Post</a> | </span>';
-						}
-			if (data.edit_url) {
-				newActions += '<span class="edit"><a href="' + data.edit_url + '">Edit</a> | </span>';
-						}
-						newActions += '<span class="delete"><a href="#" class="delete-topic" data-id="' + topicId + '">Delete</a></span>';
-						$rowActions.html(newActions);
+		isRetryableError: function(message) {
+			if (!message) return false;
+			const retryablePatterns = [
+				'timeout', 'timed out', 'connection', 'temporarily',
+				'server error', 'rate limit', '429', '500', '502', '503', '504'
+			];
+			const msgLower = message.toLowerCase();
+			return retryablePatterns.some(pattern => msgLower.includes(pattern));
 		},
 
 		/**
-		 * Handle topic generation error
+		 * Show generation complete
 		 */
-		handleTopicGenerationError: function(errorMsg, topicId, $row, $rowActions) {
-					$row.removeClass('generating').addClass('generation-failed');
-					$row.find('.column-status').html(
-						'<span class="status-badge failed">Failed</span> ' +
-				'<span class="error-tooltip" title="' + this.escapeHtml(errorMsg) + '">' +
-						'<span class="dashicons dashicons-info"></span></span>'
-					);
-					$rowActions.html(
-						'<span class="retry"><a href="#" class="retry-topic" data-id="' + topicId + '">Retry</a> | </span>' +
-						'<span class="delete"><a href="#" class="delete-topic" data-id="' + topicId + '">Delete</a></span>'
-					);
+		showGenerationComplete: function(data) {
+			const self = this;
+			$('#stop-generation-btn').hide();
+
+						// Complete all steps
+						$('.progress-step').removeClass('active').addClass('complete');
+						$('#progress-fill').css('width', '100%');
+						$('#progress-status').text('Complete!');
+
+			const $progress = $('#generation-progress');
+			const $content = $('#preview-content');
+
+						setTimeout(function() {
+							$progress.hide();
+							$content.show();
+
+							// Populate preview
+				$('#result-model').text(data.model || 'N/A');
+				$('#result-tokens').text((data.tokens || 0).toLocaleString());
+				$('#result-cost').text((data.cost_usd || 0).toFixed(4));
+				$('#result-time').text(data.generation_time || 'N/A');
+				self.renderStepCosts(data.step_costs);
+				self.renderVoiceReport(data.voice_report);
+				$('#preview-title-text').text(data.title || 'Untitled');
+				if (data.sections && data.sections.length) {
+					self.renderPreviewSections(data.post_id, data.sections);
+				} else {
+					$('#preview-body').text(data.content_preview || '');
+				}
+				$('#edit-post-btn').attr('href', data.edit_url || '#');
+				$('#view-post-btn').attr('href', data.view_url || '#');
+						}, 1000);
 		},
 
 		/**
-		 * Apply bulk action to selected topics
+		 * Show what a finished step cost next to it in the progress list
 		 */
-		applyBulkAction: function(e) {
-			e.preventDefault();
+		showStepCost: function(step, cost) {
+			$('.progress-step[data-step="' + step + '"] .step-cost')
+				.text('$' + (cost.cost_usd || 0).toFixed(4))
+				.attr('title', cost.model || '');
+		},
 
-			const action = $('#bulk-action').val();
-			if (!action) {
-				alert('Please select a bulk action.');
+		/**
+		 * Render the model, tokens and cost of each step
+		 */
+		renderStepCosts: function(stepCosts) {
+			const self = this;
+			const $table = $('#result-step-costs');
+			const $body = $table.find('tbody').empty();
+			const labels = {
+				outline: 'Outline',
+				content: 'Content',
+				humanize: 'Humanize',
+				seo: 'SEO Meta',
+				inline_images: 'In-Article Images',
+				image: 'Featured Image'
+			};
+
+			if (!stepCosts || $.isEmptyObject(stepCosts)) {
+				$table.hide();
 				return;
 			}
 
-			// Get selected topic IDs
-			const selectedIds = [];
-			$('.topics-table tbody .topic-checkbox:checked').each(function() {
-				selectedIds.push($(this).val());
+			$.each(stepCosts, function(step, cost) {
+				$body.append(
+					'<tr>' +
+						'<td>' + self.escapeHtml(labels[step] || step) + '</td>' +
+						'<td>' + self.escapeHtml(cost.model || '—') + '</td>' +
+						'<td>' + (cost.tokens || 0).toLocaleString() + '</td>' +
+						'<td>$' + (cost.cost_usd || 0).toFixed(4) + '</td>' +
+					'</tr>'
+				);
 			});
 
-			if (selectedIds.length === 0) {
-				alert('Please select at least one topic.');
+			$table.show();
+		},
+
+		/**
+		 * Show how the post measured up against its voice profile
+		 */
+		renderVoiceReport: function(report) {
+			const self = this;
+			const $report = $('#result-voice-report');
+
+			if (!report) {
+				$report.hide();
 				return;
 			}
 
-			if (action === 'delete') {
-				this.bulkDeleteTopics(selectedIds);
-			} else if (action === 'generate') {
-				this.bulkGenerateTopics(selectedIds);
+			let html = '<strong>Voice profile: ' + self.escapeHtml(report.profile) + '</strong> ';
+
+			if (!report.violations.length) {
+				html += '<span class="status-badge completed">Follows the measurable rules</span>';
+			} else {
+				html += '<span class="status-badge warning">' + report.violations.length + ' issue(s)</span>' +
+					'<ul>' + report.violations.map(v => '<li>' + self.escapeHtml(v.message) + '</li>').join('') + '</ul>';
 			}
+
+			$report.html(html).show();
 		},
 
 		/**
-		 * Bulk delete topics
+		 * Render the finished post as sections with rewrite actions under each H2
 		 */
-		bulkDeleteTopics: function(ids) {
-			if (!confirm('Are you sure you want to delete ' + ids.length + ' topic(s)?')) {
-				return;
-			}
+		renderPreviewSections: function(postId, sections) {
+			const self = this;
+			const $body = $('#preview-body');
 
-			const $button = $('#apply-bulk');
-			$button.prop('disabled', true).text('Deleting...');
+			let toneOptions = '<option value="">Change tone...</option>';
+			$.each(aiBlogPosts.sectionTones || {}, function(key, label) {
+				toneOptions += '<option value="' + self.escapeHtml(key) + '">' + self.escapeHtml(label) + '</option>';
+			});
+
+			$body.empty().data('post-id', postId);
+
+			sections.forEach(function(section) {
+				const $section = $('<div class="preview-section"></div>')
+					.attr('data-index', section.index)
+					.html(section.html);
+
+				// The introduction has no heading of its own
+				if (section.index > 0) {
+					$section.append(
+						'<div class="section-actions">' +
+							'<button type="button" class="button button-small section-action-btn" data-section-action="regenerate"><span class="dashicons dashicons-update"></span> Regenerate</button>' +
+							'<button type="button" class="button button-small section-action-btn" data-section-action="expand"><span class="dashicons dashicons-editor-expand"></span> Expand</button>' +
+							'<button type="button" class="button button-small section-action-btn" data-section-action="shorten"><span class="dashicons dashicons-editor-contract"></span> Shorten</button>' +
+							'<select class="section-tone-select">' + toneOptions + '</select>' +
+						'</div>'
+					);
+				}
+
+				$body.append($section);
+			});
+		},
+
+		/**
+		 * Rewrite one section of the finished post
+		 */
+		rewriteSection: function(e) {
+			const self = this;
+			const $control = $(e.currentTarget);
+			const $section = $control.closest('.preview-section');
+			const $body = $('#preview-body');
+			const isTone = $control.is('select');
+			const tone = isTone ? $control.val() : '';
+
+			if (isTone && !tone) return;
+
+			$section.addClass('is-rewriting');
+			$body.find('.section-actions button, .section-actions select').prop('disabled', true);
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
+				timeout: 120000,
 				data: {
-					action: 'ai_blog_posts_bulk_delete_topics',
+					action: 'ai_blog_posts_rewrite_section',
 					nonce: aiBlogPosts.nonce,
-					topic_ids: ids
+					post_id: $body.data('post-id'),
+					index: $section.data('index'),
+					section_action: isTone ? 'tone' : $control.data('section-action'),
+					tone: tone
 				},
 				success: function(response) {
 					if (response.success) {
-						alert(response.data.message);
-						location.reload();
+						const data = response.data;
+						self.renderPreviewSections($body.data('post-id'), data.sections);
+
+						// Add the rewrite to the totals shown above the preview
+						const $tokens = $('#result-tokens');
+						const $cost = $('#result-cost');
+						$tokens.text((parseInt($tokens.text().replace(/[^0-9]/g, ''), 10) + data.tokens).toLocaleString());
+						$cost.text((parseFloat($cost.text()) + data.cost_usd).toFixed(4));
+
+						$body.find('.preview-section[data-index="' + data.index + '"]').addClass('is-updated');
 					} else {
-						alert('Error: ' + response.data.message);
+						alert(response.data.message || 'Failed to rewrite the section.');
 					}
 				},
 				error: function() {
-					alert('Connection error.');
+					alert('Connection error. Please try again.');
 				},
 				complete: function() {
-					$button.prop('disabled', false).text('Apply');
+					$section.removeClass('is-rewriting');
+					$body.find('.section-actions button, .section-actions select').prop('disabled', false);
+					if (isTone) $control.val('');
 				}
 			});
 		},
 
 		/**
-		 * Bulk generate topics (one at a time)
+		 * Show error in preview
 		 */
-		bulkGenerateTopics: function(ids) {
-			if (!confirm('Generate posts for ' + ids.length + ' topic(s)? This may take several minutes.')) {
-				return;
-			}
+		showError: function(message) {
+			this.stopStreamPreview();
+			$('#stop-generation-btn').hide();
+			$('#generation-progress').hide();
+			$('#preview-content').hide();
+			$('#preview-error').show();
+			$('#error-message').text(message);
 
-			const $button = $('#apply-bulk');
-			$button.prop('disabled', true);
+			// A failed job can be resumed from the step that failed
+			this.checkUnfinishedJobs();
+		},
 
-			let completed = 0;
-			let failed = 0;
-			let index = 0;
+		/**
+		 * Key for in-flight jobs in localStorage
+		 */
+		jobStorageKey: 'aiBlogPostsJobs',
 
-			const generateNext = function() {
-				if (index >= ids.length) {
-					$button.prop('disabled', false).text('Apply');
-					alert('Generation complete! ' + completed + ' succeeded, ' + failed + ' failed.');
-					location.reload();
-					return;
-				}
+		/**
+		 * Get in-flight jobs saved in this browser
+		 */
+		getStoredJobs: function() {
+			try {
+				return JSON.parse(window.localStorage.getItem(this.jobStorageKey)) || {};
+			} catch (err) {
+				return {};
+			}
+		},
 
-				const topicId = ids[index];
-				const $row = $('.topic-checkbox[value="' + topicId + '"]').closest('tr');
-				const topicText = $row.find('.column-topic strong').text();
+		/**
+		 * Save in-flight jobs to this browser
+		 */
+		setStoredJobs: function(jobs) {
+			try {
+				window.localStorage.setItem(this.jobStorageKey, JSON.stringify(jobs));
+			} catch (err) {
+				// Storage unavailable (private mode, quota) - resuming just won't be offered
+			}
+		},
 
-				$button.text('Generating ' + (index + 1) + '/' + ids.length + '...');
-				$row.addClass('generating');
+		/**
+		 * Remember a job and the step it is on
+		 */
+		rememberJob: function(jobId, step, formData) {
+			const jobs = this.getStoredJobs();
+			const existing = jobs[jobId] || {};
+
+			jobs[jobId] = {
+				step: step,
+				formData: formData || existing.formData || {},
+				updated: Date.now()
+			};
+			this.setStoredJobs(jobs);
+		},
 
-				$.ajax({
-					url: aiBlogPosts.ajaxUrl,
+		/**
+		 * Forget a finished or discarded job
+		 */
+		forgetJob: function(jobId) {
+			const jobs = this.getStoredJobs();
+			delete jobs[jobId];
+			this.setStoredJobs(jobs);
+		},
+
+		/**
+		 * Look up saved jobs and offer to resume the unfinished ones
+		 */
+		checkUnfinishedJobs: function() {
+			const $list = $('#resume-jobs-list');
+			if (!$list.length) return;
+
+			const self = this;
+			const jobs = this.getStoredJobs();
+
+			$list.empty();
+			$('#resume-jobs').hide();
+
+			Object.keys(jobs).forEach(function(jobId) {
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
 					type: 'POST',
-					timeout: 300000, // 5 minutes timeout
 					data: {
-						action: 'ai_blog_posts_generate_from_queue',
+						action: 'ai_blog_posts_get_job_status',
 						nonce: aiBlogPosts.nonce,
-						topic_id: topicId
+						job_id: jobId
 					},
 					success: function(response) {
-						if (response.success) {
-							completed++;
-							$row.removeClass('generating').addClass('generated');
-						} else {
-							failed++;
-							$row.removeClass('generating').addClass('generation-failed');
-							console.error('Failed to generate:', topicText, response.data.message);
+						// Expired, missing or already finished
+						if (!response.success || response.data.status === 'completed' || !response.data.current_step) {
+							self.forgetJob(jobId);
+							return;
 						}
-					},
-					error: function() {
-						failed++;
-						$row.removeClass('generating').addClass('generation-failed');
-					},
-					complete: function() {
-						index++;
-						generateNext();
+						self.renderUnfinishedJob(jobId, response.data);
 					}
 				});
-			};
+			});
+		},
+
+		/**
+		 * Add an unfinished job to the resume list
+		 */
+		renderUnfinishedJob: function(jobId, data) {
+			const $list = $('#resume-jobs-list');
+			if ($list.find('[data-job-id="' + jobId + '"]').length) return;
+
+			let meta = 'Stopped at: ' + data.current_step;
+			if (data.status === 'awaiting_review') {
+				meta = 'Outline waiting for approval';
+			} else if (data.status === 'awaiting_image') {
+				meta = 'Featured image waiting for review';
+			} else if (data.status === 'error' && data.error) {
+				meta += ' (' + data.error + ')';
+			}
+			if (data.cost_usd) {
+				meta += ' · $' + parseFloat(data.cost_usd).toFixed(4) + ' spent so far';
+			}
 
-			generateNext();
+			$list.append(
+				'<li class="resume-job" data-job-id="' + this.escapeHtml(jobId) + '">' +
+					'<span class="resume-job-info">' +
+						'<strong>' + this.escapeHtml(data.topic) + '</strong>' +
+						'<span class="resume-job-meta">' + this.escapeHtml(meta) + '</span>' +
+					'</span>' +
+					'<span class="resume-job-actions">' +
+						'<button type="button" class="button button-primary resume-job-btn" data-job-id="' + this.escapeHtml(jobId) + '" data-step="' + this.escapeHtml(data.current_step) + '" data-status="' + this.escapeHtml(data.status) + '">' + ({ awaiting_review: 'Review Outline', awaiting_image: 'Review Image' }[data.status] || 'Resume') + '</button>' +
+						'<button type="button" class="button discard-job-btn" data-job-id="' + this.escapeHtml(jobId) + '">Discard</button>' +
+					'</span>' +
+				'</li>'
+			);
+			$('#resume-jobs').show();
 		},
 
 		/**
-		 * Fetch trending topics
+		 * Resume an unfinished job from its current step
 		 */
-		fetchTrending: function(e, forceRefresh) {
+		resumeJob: function(e) {
 			e.preventDefault();
-			
-			const $modal = $('#trending-modal');
-			const $loading = $('#trending-loading');
-			const $list = $('#trending-list');
-			const self = this;
 
-			// Determine if force refresh
-			const isForceRefresh = forceRefresh === true || $(e.target).attr('id') === 'refresh-trending';
+			const $btn = $(e.currentTarget);
+			const jobId = $btn.data('job-id');
+			const step = $btn.data('step');
+			const stored = this.getStoredJobs()[jobId] || {};
 
-			$modal.show();
-			$loading.show();
-			$list.hide().empty();
+			$btn.closest('.resume-job').remove();
+			if (!$('#resume-jobs-list').children().length) {
+				$('#resume-jobs').hide();
+			}
+
+			this.showGenerationProgress();
+
+			if ($btn.data('status') === 'awaiting_review') {
+				$('.progress-step[data-step="outline"]').removeClass('active').addClass('complete');
+				$('.progress-step[data-step="content"]').addClass('active');
+				this.loadOutlineReview(jobId, stored.formData || {});
+				return;
+			}
+
+			if ($btn.data('status') === 'awaiting_image') {
+				$('.progress-step').not('[data-step="image"], [data-step="complete"]').removeClass('active').addClass('complete');
+				$('.progress-step[data-step="image"]').addClass('active');
+				this.currentJobId = jobId;
+				this.loadImageReview(jobId);
+				return;
+			}
+
+			this.processNextStep(jobId, step, stored.formData || {});
+		},
+
+		/**
+		 * Discard an unfinished job
+		 */
+		discardJob: function(e) {
+			e.preventDefault();
+
+			if (!confirm('Discard this unfinished post? Tokens already used will still be logged.')) {
+				return;
+			}
+
+			const $btn = $(e.currentTarget);
+			const jobId = $btn.data('job-id');
+			const self = this;
+
+			$btn.prop('disabled', true);
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
-				timeout: 30000,
 				data: {
-					action: 'ai_blog_posts_fetch_trending',
+					action: 'ai_blog_posts_discard_job',
 					nonce: aiBlogPosts.nonce,
-					force_refresh: isForceRefresh ? '1' : '0'
+					job_id: jobId
 				},
 				success: function(response) {
-					$loading.hide();
-
-					if (response.success && response.data.topics && response.data.topics.length > 0) {
-						// Check source type for header message
-						const source = response.data.topics[0].source || 'trending';
-						let headerMsg = '';
-						let sourceLabel = '';
-						if (source === 'curated') {
-							headerMsg = '<p class="topics-source-note"><span class="dashicons dashicons-lightbulb"></span> Curated evergreen topics based on your categories.</p>';
-							sourceLabel = 'curated';
-						} else if (source === 'ai_generated') {
-							headerMsg = '<p class="topics-source-note"><span class="dashicons dashicons-superhero-alt"></span> AI-generated trending topics for your region.</p>';
-							sourceLabel = 'AI';
-						} else {
-							headerMsg = '<p class="topics-source-note"><span class="dashicons dashicons-chart-line"></span> Live trending topics from Google Trends.</p>';
-							sourceLabel = 'Google';
-						}
-						
-						// Add refresh button
-						headerMsg += '<p class="topics-refresh"><button type="button" id="refresh-trending" class="button button-small"><span class="dashicons dashicons-update"></span> Get Fresh Topics</button></p>';
-						
-						let html = headerMsg + '<div class="trending-topics-list">';
-						response.data.topics.forEach(function(topic, index) {
-							const title = topic.title || topic;
-							const traffic = topic.traffic || '';
-							
-							html += '<label class="trending-item">';
-							html += '<input type="checkbox" value="' + AIBlogPosts.escapeHtml(title) + '" checked>';
-							html += '<span class="topic-title">' + AIBlogPosts.escapeHtml(title) + '</span>';
-							if (traffic) {
-								html += '<span class="topic-traffic">' + AIBlogPosts.escapeHtml(traffic) + '</span>';
-							}
-							html += '</label>';
-						});
-						html += '</div>';
-						html += '<p class="select-hint"><small>Uncheck topics you don\'t want to add to your queue.</small></p>';
-						$list.html(html).show();
-						
-						// Bind refresh button
-						$('#refresh-trending').on('click', function(e) {
-							self.fetchTrending(e, true);
-						});
-					} else {
-						$list.html('<div class="no-topics-message"><span class="dashicons dashicons-warning"></span><p>No topics available. Please try again later.</p></div>').show();
+					if (!response.success) {
+						alert(response.data.message || 'Failed to discard job.');
 					}
 				},
-				error: function(xhr, status, error) {
-					$loading.hide();
-					let errorMsg = 'Error fetching topics.';
-					if (status === 'timeout') {
-						errorMsg = 'Request timed out. Please try again.';
+				complete: function() {
+					// Forget it either way - an expired job can't be resumed
+					self.forgetJob(jobId);
+					$btn.closest('.resume-job').remove();
+					if (!$('#resume-jobs-list').children().length) {
+						$('#resume-jobs').hide();
 					}
-					$list.html('<div class="no-topics-message"><span class="dashicons dashicons-warning"></span><p>' + errorMsg + '</p></div>').show();
 				}
 			});
 		},
 
 		/**
-		 * Add selected trending topics to queue
+		 * Reset generate form
 		 */
-		addSelectedTrends: function(e) {
-			e.preventDefault();
-
-			const $button = $(e.target);
-			const $modal = $('#trending-modal');
-			const selectedTopics = [];
+		resetGenerateForm: function() {
+			$('#preview-container').hide();
+			$('#topic').val('').focus();
+		},
 
-			// Collect all checked topics
-			$('#trending-list input[type="checkbox"]:checked').each(function() {
-				selectedTopics.push($(this).val());
-			});
+		/**
+		 * Close preview
+		 */
+		closePreview: function() {
+			$('#preview-container').hide();
+		},
 
-			if (selectedTopics.length === 0) {
-				alert('Please select at least one topic to add.');
+		/**
+		 * Add topic to queue
+		 */
+		addToQueue: function(e) {
+			e.preventDefault();
+			
+			const topic = $('#topic').val();
+			if (!topic) {
+				alert('Please enter a topic.');
 				return;
 			}
 
-			$button.prop('disabled', true).text('Adding...');
-
-			// Add topics one by one
-			let addedCount = 0;
-			let failedCount = 0;
-			let processed = 0;
-
-			selectedTopics.forEach(function(topic) {
-				// Auto-generate keywords from topic title
-				const keywords = AIBlogPosts.extractKeywords(topic);
-				
-				$.ajax({
-					url: aiBlogPosts.ajaxUrl,
-					type: 'POST',
-					data: {
-						action: 'ai_blog_posts_add_topic',
-						nonce: aiBlogPosts.nonce,
-						topic: topic,
-						keywords: keywords,
-						category_id: 0,
-						priority: 0
-					},
-					success: function(response) {
-						if (response.success) {
-							addedCount++;
-						} else {
-							failedCount++;
-						}
-					},
-					error: function() {
-						failedCount++;
-					},
-					complete: function() {
-						processed++;
-						
-						// All done?
-						if (processed === selectedTopics.length) {
-							$button.prop('disabled', false).text('Add Selected');
-							$modal.hide();
-							
-							// Show result message
-							let msg = addedCount + ' topic(s) added to queue.';
-							if (failedCount > 0) {
-								msg += ' ' + failedCount + ' failed.';
-							}
-							alert(msg);
-							
-							// Reload page to show new topics
-							location.reload();
-						}
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_add_topic',
+					nonce: aiBlogPosts.nonce,
+					topic: topic,
+					keywords: $('#keywords').val(),
+					category_id: $('#category_id').val(),
+					content_type: $('#content_type').val(),
+					voice_profile: $('#voice_profile').val() || '',
+					priority: 50
+				},
+				success: function(response) {
+					if (response.success) {
+						alert('Topic added to queue!');
+						$('#topic').val('');
+						$('#keywords').val('');
+					} else {
+						alert('Error: ' + response.data.message);
 					}
-				});
+				},
+				error: function() {
+					alert('Connection error.');
+				}
 			});
 		},
 
 		/**
-		 * Import topics from CSV file
+		 * Add topic from topics page
 		 */
-		importCsv: function(e) {
+		addTopic: function(e) {
 			e.preventDefault();
 
-			const $button = $('#do-csv-import');
-			const $fileInput = $('#csv-file');
-			const $modal = $('#csv-import-modal');
-			const file = $fileInput[0].files[0];
-
-			if (!file) {
-				alert('Please select a CSV file.');
-				return;
-			}
-
-			// Check file size (2MB max)
-			if (file.size > 2 * 1024 * 1024) {
-				alert('File size exceeds 2MB limit.');
-				return;
-			}
+			this.submitTopic({
+				topic: $('#new-topic').val(),
+				keywords: $('#new-keywords').val(),
+				content_type: $('#new-content-type').val(),
+				voice_profile: $('#new-voice-profile').val() || '',
+				category_id: $('#new-category').val(),
+				priority: $('#new-priority').val() || 0,
+				generate_by: $('#new-generate-by').val(),
+				publish_at: $('#new-publish-at').val()
+			});
+		},
 
-			$button.prop('disabled', true).text('Importing...');
+		/**
+		 * Send a new topic, asking what to do if it looks like a duplicate
+		 */
+		submitTopic: function(topicData) {
+			const $form = $('#add-topic-form');
+			const $button = $form.find('button[type="submit"]').add('#duplicate-topic-modal .modal-footer button, #duplicate-topic-modal .merge-duplicate');
+			const self = this;
 
-			// Read and parse CSV
-			const reader = new FileReader();
-			reader.onload = function(event) {
-				const csvContent = event.target.result;
-				const rows = AIBlogPosts.parseCsv(csvContent);
+			$button.prop('disabled', true);
 
-				if (rows.length < 2) {
-					alert('CSV file is empty or has no data rows.');
-					$button.prop('disabled', false).text('Import');
-					return;
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: $.extend({
+					action: 'ai_blog_posts_add_topic',
+					nonce: aiBlogPosts.nonce
+				}, topicData),
+				success: function(response) {
+					if (response.success) {
+						$('#duplicate-topic-modal').hide();
+						$form[0].reset();
+						self.loadTopics();
+					} else if (response.data.code === 'duplicate') {
+						self.showDuplicateWarning(topicData, response.data.duplicates);
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false);
 				}
+			});
+		},
 
-				// Get header row (normalize to lowercase)
-				const headers = rows[0].map(h => h.toLowerCase().trim());
-				
-				// Find column indices
-				const topicIdx = headers.indexOf('topic');
-				const keywordsIdx = headers.indexOf('keywords');
-				const categoryIdx = headers.indexOf('category');
-				const priorityIdx = headers.indexOf('priority');
-
-				if (topicIdx === -1) {
-					alert('CSV must have a "Topic" column.');
-					$button.prop('disabled', false).text('Import');
-					return;
+		/**
+		 * List the topics and posts a new topic duplicates
+		 */
+		showDuplicateWarning: function(topicData, duplicates) {
+			const self = this;
+			const $modal = $('#duplicate-topic-modal');
+			const $list = $modal.find('.duplicate-list').empty();
+
+			this.pendingTopic = topicData;
+
+			$modal.find('.duplicate-topic-intro').text('"' + topicData.topic + '" is similar to:');
+
+			duplicates.forEach(function(match) {
+				const $item = $('<li><div>' + self.renderDuplicateMatch(match, 0) + '</div></li>');
+
+				// Only topics still waiting in the queue can take the new keywords
+				if (match.type === 'topic' && (match.status === 'pending' || match.status === 'failed')) {
+					$item.append('<button type="button" class="button merge-duplicate" data-id="' + match.id + '">Merge Into This</button>');
+				}
+
+				$list.append($item);
+			});
+
+			$modal.show();
+		},
+
+		/**
+		 * Describe a matching topic or post with its similarity
+		 */
+		renderDuplicateMatch: function(match, threshold) {
+			const title = match.url
+				? '<a href="' + this.escapeHtml(match.url) + '" target="_blank">' + this.escapeHtml(match.title) + '</a>'
+				: this.escapeHtml(match.title);
+			const type = (match.type === 'post' ? 'Post' : 'Queued topic') + ' · ' + match.status;
+
+			return title + ' <span class="similarity-badge' + (match.score >= threshold ? ' is-duplicate' : '') + '">' + match.score + '%</span>' +
+				'<span class="duplicate-match-meta">' + this.escapeHtml(type) + '</span>';
+		},
+
+		/**
+		 * Compare the queue against itself and existing posts
+		 */
+		findDuplicates: function() {
+			const self = this;
+			const $modal = $('#duplicates-report-modal');
+
+			$('#duplicates-loading').show();
+			$('#duplicates-report').hide();
+			$modal.show();
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_find_duplicates',
+					nonce: aiBlogPosts.nonce
+				},
+				success: function(response) {
+					if (response.success) {
+						self.renderDuplicatesReport(response.data);
+					} else {
+						alert('Error: ' + response.data.message);
+						$modal.hide();
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+					$modal.hide();
 				}
+			});
+		},
+
+		/**
+		 * Fill the duplicates report table
+		 */
+		renderDuplicatesReport: function(report) {
+			const self = this;
+			const $tbody = $('#duplicates-report tbody').empty();
+			const likely = report.rows.filter(row => row.score >= report.threshold).length;
+
+			report.rows.forEach(function(row) {
+				const matches = row.matches.map(function(match) {
+					return '<li>' + self.renderDuplicateMatch(match, report.threshold) + '</li>';
+				}).join('');
+
+				$tbody.append(
+					'<tr class="' + (row.score >= report.threshold ? 'is-duplicate' : 'is-below-threshold') + '">' +
+						'<td><strong>' + self.escapeHtml(row.topic) + '</strong><span class="duplicate-match-meta">' + self.escapeHtml(row.status) + '</span></td>' +
+						'<td>' + (row.closest_post ? self.renderDuplicateMatch(row.closest_post, report.threshold) : '<em>—</em>') + '</td>' +
+						'<td>' + (matches ? '<ul class="duplicate-matches">' + matches + '</ul>' : '<em>—</em>') + '</td>' +
+						'<td><a href="#" class="delete-topic" data-id="' + row.id + '">Delete</a></td>' +
+					'</tr>'
+				);
+			});
+
+			$('#duplicates-report .duplicates-summary').text(
+				likely + ' likely duplicate(s) at ' + report.threshold + '% similarity or more. ' +
+				'Each queued topic is shown with the existing post closest to it.'
+			);
+
+			$('#duplicates-loading').hide();
+			$('#duplicates-report').show();
+			this.toggleDuplicateRows();
+		},
+
+		/**
+		 * Show or hide report rows below the similarity threshold
+		 */
+		toggleDuplicateRows: function() {
+			$('#duplicates-report tr.is-below-threshold').toggle(!$('#duplicates-only').is(':checked'));
+		},
+
+		/**
+		 * Reload the topics table for the current filters
+		 */
+		loadTopics: function(page) {
+			const self = this;
+			const $table = $('.topics-table');
+			const data = { action: 'ai_blog_posts_get_topics', nonce: aiBlogPosts.nonce, paged: page || this.topicsPage || 1 };
+
+			$.each($('#topic-filters').serializeArray(), function(i, field) {
+				data[field.name] = field.value;
+			});
+
+			// Only the latest request should fill the table
+			if (this.topicsRequest) {
+				this.topicsRequest.abort();
+			}
+
+			$table.addClass('is-loading');
+
+			this.topicsRequest = $.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: data,
+				success: function(response) {
+					if (!response.success) {
+						alert('Error: ' + response.data.message);
+						return;
+					}
 
-				// Prepare topics data
-				const topics = [];
-				for (let i = 1; i < rows.length; i++) {
-					const row = rows[i];
-					if (!row[topicIdx] || !row[topicIdx].trim()) continue;
+					self.topicsPage = response.data.page;
+					$table.find('tbody').html(response.data.rows);
+					$('#topics-pagination').html(response.data.pagination);
 
-					topics.push({
-						topic: row[topicIdx] ? row[topicIdx].trim() : '',
-						keywords: keywordsIdx !== -1 && row[keywordsIdx] ? row[keywordsIdx].trim() : '',
-						category: categoryIdx !== -1 && row[categoryIdx] ? row[categoryIdx].trim() : '',
-						priority: priorityIdx !== -1 && row[priorityIdx] ? parseInt(row[priorityIdx], 10) || 0 : 0
+					$.each(response.data.counts, function(status, count) {
+						$('.topic-status-filter a[data-status="' + (status === 'total' ? '' : status) + '"] .count').text('(' + count + ')');
 					});
+
+					self.renderNextUp(response.data.upcoming);
+					self.restoreTopicSelection();
+					self.updateTopicsUrl(data);
+				},
+				error: function(xhr, status) {
+					if (status !== 'abort') {
+						alert('Connection error.');
+					}
+				},
+				complete: function(xhr, status) {
+					if (status !== 'abort') {
+						$table.removeClass('is-loading');
+					}
 				}
+			});
+		},
 
-				if (topics.length === 0) {
-					alert('No valid topics found in CSV.');
-					$button.prop('disabled', false).text('Import');
-					return;
+		/**
+		 * Go back to the first page after a filter changes
+		 */
+		filterTopics: function(e) {
+			if (e) e.preventDefault();
+			this.loadTopics(1);
+		},
+
+		/**
+		 * Re-run the search once typing pauses
+		 */
+		scheduleTopicSearch: function() {
+			clearTimeout(this.topicSearchTimer);
+			this.topicSearchTimer = setTimeout(this.filterTopics.bind(this), 400);
+		},
+
+		/**
+		 * Clear every filter and return to queue order
+		 */
+		resetTopicFilters: function(e) {
+			e.preventDefault();
+
+			const $form = $('#topic-filters');
+			$form.find('input:not([name="page"]), select').val('');
+			$('.topic-status-filter a').removeClass('current').filter('[data-status=""]').addClass('current');
+			this.setTopicSort('', '');
+			this.loadTopics(1);
+		},
+
+		/**
+		 * Show topics with one status
+		 */
+		filterTopicStatus: function(e) {
+			e.preventDefault();
+
+			const $link = $(e.currentTarget);
+			$('.topic-status-filter a').removeClass('current');
+			$link.addClass('current');
+			$('#topic-filters [name="status"]').val($link.data('status'));
+			this.loadTopics(1);
+		},
+
+		/**
+		 * Sort by a column header, flipping the order on a second click
+		 */
+		sortTopics: function(e) {
+			e.preventDefault();
+
+			const $th = $(e.currentTarget).closest('th');
+			const orderby = $th.data('orderby');
+			let order = $th.data('default-order');
+
+			if ($th.hasClass('sorted')) {
+				order = $th.hasClass('asc') ? 'desc' : 'asc';
+			}
+
+			this.setTopicSort(orderby, order);
+			this.loadTopics(1);
+		},
+
+		/**
+		 * Mark the sorted column and turn dragging off while sorted
+		 */
+		setTopicSort: function(orderby, order) {
+			const $table = $('.topics-table');
+
+			$('#topic-filters [name="orderby"]').val(orderby);
+			$('#topic-filters [name="order"]').val(order);
+
+			$table.find('thead th[data-orderby]').each(function() {
+				const $th = $(this);
+				const defaultOrder = $th.data('default-order');
+
+				$th.removeClass('sorted sortable asc desc');
+				if ($th.data('orderby') === orderby) {
+					$th.addClass('sorted ' + order);
+				} else {
+					$th.addClass('sortable ' + (defaultOrder === 'asc' ? 'desc' : 'asc'));
 				}
+			});
 
-				// Send to server
-				$.ajax({
-					url: aiBlogPosts.ajaxUrl,
-					type: 'POST',
-					data: {
-						action: 'ai_blog_posts_import_csv',
-						nonce: aiBlogPosts.nonce,
-						topics: JSON.stringify(topics)
-					},
-					success: function(response) {
-						if (response.success) {
-							alert(response.data.message);
-							$modal.hide();
-							location.reload();
-						} else {
-							alert('Error: ' + response.data.message);
-						}
-					},
-					error: function() {
-						alert('Connection error. Please try again.');
-					},
-					complete: function() {
-						$button.prop('disabled', false).text('Import');
+			// Dragging rows only makes sense in queue order
+			$table.toggleClass('is-sorted', !!orderby);
+			if ($table.find('tbody').sortable('instance')) {
+				$table.find('tbody').sortable('option', 'disabled', !!orderby);
+			}
+		},
+
+		/**
+		 * Load another page of topics
+		 */
+		changeTopicsPage: function(e) {
+			const match = /[?&]paged=(\d+)/.exec($(e.currentTarget).attr('href') || '');
+
+			if (match) {
+				e.preventDefault();
+				this.loadTopics(parseInt(match[1], 10));
+			}
+		},
+
+		/**
+		 * Keep the address bar in step so a reload shows the same view
+		 */
+		updateTopicsUrl: function(data) {
+			if (!window.history || !window.history.replaceState) return;
+
+			const query = { page: 'ai-blog-posts-topics' };
+			['status', 'source', 'category', 'date_from', 'date_to', 's', 'orderby'].forEach(function(key) {
+				if (data[key]) query[key] = data[key];
+			});
+			if (data.orderby && data.order === 'asc') query.order = 'asc';
+			if (this.topicsPage > 1) query.paged = this.topicsPage;
+
+			window.history.replaceState(null, '', 'admin.php?' + $.param(query));
+		},
+
+		/**
+		 * Remember a topic's checkbox across pages
+		 */
+		toggleTopicSelection: function(e) {
+			const $checkbox = $(e.currentTarget);
+
+			if ($checkbox.is(':checked')) {
+				this.selectedTopics[$checkbox.val()] = true;
+			} else {
+				delete this.selectedTopics[$checkbox.val()];
+			}
+
+			this.updateTopicSelection();
+		},
+
+		/**
+		 * Tick the topics selected on other visits to this page
+		 */
+		restoreTopicSelection: function() {
+			const self = this;
+
+			$('.topics-table tbody .topic-checkbox').each(function() {
+				$(this).prop('checked', !!self.selectedTopics[$(this).val()]);
+			});
+
+			this.updateTopicSelection();
+		},
+
+		/**
+		 * Show how many topics are selected and sync the select-all box
+		 */
+		updateTopicSelection: function() {
+			const count = Object.keys(this.selectedTopics).length;
+			const $boxes = $('.topics-table tbody .topic-checkbox');
+
+			$('#select-all-topics').prop('checked', $boxes.length > 0 && $boxes.filter(':checked').length === $boxes.length);
+			$('#topic-selection').toggle(count > 0)
+				.find('.topic-selection-count').text(count + ' topic' + (count === 1 ? '' : 's') + ' selected across all pages');
+		},
+
+		/**
+		 * Deselect every topic on every page
+		 */
+		clearTopicSelection: function() {
+			this.selectedTopics = {};
+			$('.topics-table .topic-checkbox').prop('checked', false);
+			this.updateTopicSelection();
+			this.scheduleCostEstimate();
+		},
+
+		/**
+		 * Set up drag-and-drop ordering and the next up list on the Topics page
+		 */
+		initTopicQueue: function() {
+			const $tbody = $('.topics-table tbody');
+			if (!$tbody.length) return;
+
+			const self = this;
+
+			this.renderNextUp($('#queue-next-up').data('upcoming') || []);
+
+			// Browsers can restore ticked boxes on back navigation, so start clean
+			this.restoreTopicSelection();
+
+			$tbody.sortable({
+				items: 'tr[data-status="pending"]:not(.generating):not(.is-dated)',
+				handle: '.topic-drag-handle',
+				axis: 'y',
+				disabled: $('.topics-table').hasClass('is-sorted'),
+				helper: function(e, $row) {
+					// Keep cell widths while the row is lifted out of the table
+					$row.children().each(function() {
+						$(this).width($(this).width());
+					});
+					return $row;
+				},
+				stop: function(e, ui) {
+					ui.item.children().css('width', '');
+				},
+				update: function(e, ui) {
+					// Dated topics run first whatever the order, so nothing can go above them
+					if (ui.item.nextAll('tr.is-dated').length) {
+						$tbody.sortable('cancel');
+						return;
 					}
-				});
-			};
+					self.saveTopicOrder(ui.item);
+				}
+			});
+		},
 
-			reader.onerror = function() {
-				alert('Error reading file.');
-				$button.prop('disabled', false).text('Import');
-			};
+		/**
+		 * Save where a topic row was moved to, between its new neighbours
+		 */
+		saveTopicOrder: function($row) {
+			const self = this;
+			const movable = 'tr[data-status="pending"]:not(.is-dated)';
 
-			reader.readAsText(file);
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_reorder_topics',
+					nonce: aiBlogPosts.nonce,
+					topic_id: $row.data('topic-id'),
+					after_id: $row.prevAll(movable).first().data('topic-id') || 0,
+					before_id: $row.nextAll(movable).first().data('topic-id') || 0
+				},
+				success: function(response) {
+					if (response.success) {
+						self.renderNextUp(response.data.upcoming);
+					} else {
+						alert('Error: ' + response.data.message);
+						location.reload();
+					}
+				},
+				error: function() {
+					alert('Connection error. The previous order has been restored.');
+					location.reload();
+				}
+			});
+		},
+
+		/**
+		 * Show which topics the scheduler picks next, and when
+		 */
+		renderNextUp: function(upcoming) {
+			const self = this;
+			const $list = $('#queue-next-up .queue-next-up-list').empty();
+
+			this.upcomingTopics = upcoming;
+
+			$('.topics-table .next-up-badge').hide().text('');
+			$('#queue-next-up .queue-next-up-empty').toggle(upcoming.length === 0);
+
+			upcoming.forEach(function(item) {
+				const when = item.run_at ? item.run_at : 'When started manually';
+
+				$list.append(
+					'<li><span class="queue-next-up-topic">' + self.escapeHtml(item.topic) + '</span>' +
+					'<span class="queue-next-up-time">' + self.escapeHtml(when) + '</span></li>'
+				);
+
+				$('.topics-table tr[data-topic-id="' + item.id + '"] .next-up-badge')
+					.text('Next up #' + item.position + (item.run_at ? ' · ' + item.run_at : ''))
+					.show();
+			});
+		},
+
+		/**
+		 * Set up the editorial calendar page
+		 */
+		initCalendar: function() {
+			const $page = $('#aibp-calendar-page');
+			if (!$page.length) return;
+
+			const self = this;
+
+			// Dropping a pinned topic back on the list unpins it
+			$page.find('.calendar-sidebar').droppable({
+				accept: '.calendar-item.is-pinned',
+				hoverClass: 'is-drop-target',
+				drop: function(e, ui) {
+					self.pinTopic(ui.draggable.data('topic-id'), '');
+				}
+			});
+
+			this.loadCalendar('month', $page.data('today'));
 		},
 
-		/**
-		 * Parse CSV content into rows
-		 */
-		parseCsv: function(content) {
-			const rows = [];
-			let currentRow = [];
-			let currentField = '';
-			let inQuotes = false;
+		/**
+		 * Load the calendar for the month or week containing a date
+		 */
+		loadCalendar: function(view, date) {
+			const self = this;
+
+			this.calendarView = view;
+			this.calendarDate = date;
+
+			$('.calendar-view').removeClass('active').filter('[data-view="' + view + '"]').addClass('active');
+			$('#aibp-calendar').addClass('is-loading');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_get_calendar',
+					nonce: aiBlogPosts.nonce,
+					view: view,
+					date: date
+				},
+				success: function(response) {
+					if (response.success) {
+						self.renderCalendar(response.data);
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$('#aibp-calendar').removeClass('is-loading');
+				}
+			});
+		},
+
+		/**
+		 * Step the calendar back or forward by one month or week
+		 */
+		moveCalendar: function(direction) {
+			const parts = this.calendarDate.split('-').map(Number);
+			const date = this.calendarView === 'week' ?
+				new Date(parts[0], parts[1] - 1, parts[2] + direction * 7) :
+				new Date(parts[0], parts[1] - 1 + direction, 1);
+
+			this.loadCalendar(this.calendarView, this.formatCalendarDate(date));
+		},
+
+		/**
+		 * Format a Date as Y-m-d
+		 */
+		formatCalendarDate: function(date) {
+			return date.getFullYear() + '-' +
+				String(date.getMonth() + 1).padStart(2, '0') + '-' +
+				String(date.getDate()).padStart(2, '0');
+		},
+
+		/**
+		 * Draw the calendar grid and the list of unscheduled topics
+		 */
+		renderCalendar: function(data) {
+			const self = this;
+			const $page = $('#aibp-calendar-page');
+			const weekdays = $page.data('weekdays') || [];
+			const $grid = $('#aibp-calendar').empty().toggleClass('is-week', data.view === 'week');
+			const parts = data.start.split('-').map(Number);
+			const day = new Date(parts[0], parts[1] - 1, parts[2]);
+
+			$('.calendar-label').text(data.label);
+
+			const $head = $('<div class="calendar-row calendar-weekdays"></div>');
+			weekdays.forEach(function(name) {
+				$head.append($('<div class="calendar-weekday"></div>').text(name));
+			});
+			$grid.append($head);
+
+			let $row;
+			for (let date = data.start, i = 0; date <= data.end; i++) {
+				if (i % 7 === 0) {
+					$row = $('<div class="calendar-row"></div>').appendTo($grid);
+				}
+
+				const $day = $('<div class="calendar-day"></div>')
+					.attr('data-date', date)
+					.toggleClass('is-today', date === data.today)
+					.toggleClass('is-past', date < data.today)
+					.toggleClass('is-other-month', data.view === 'month' && date.substr(0, 7) !== data.month)
+					.append($('<span class="calendar-day-number"></span>').text(day.getDate()));
+
+				if (data.blackouts && data.blackouts[date] !== undefined) {
+					$day.addClass('is-blackout')
+						.append($('<span class="calendar-blackout"></span>').text(data.blackouts[date] || 'No posting'));
+				}
+
+				(data.days[date] || []).forEach(function(item) {
+					$day.append(self.renderCalendarItem(item));
+				});
+
+				if (date >= data.today) {
+					$day.droppable({
+						accept: '.calendar-item.is-topic',
+						hoverClass: 'is-drop-target',
+						drop: function(e, ui) {
+							self.pinTopic(ui.draggable.data('topic-id'), $(this).data('date'));
+						}
+					});
+				}
+
+				$row.append($day);
+
+				day.setDate(day.getDate() + 1);
+				date = this.formatCalendarDate(day);
+			}
+
+			const $unscheduled = $page.find('.calendar-unscheduled').empty();
+			data.unscheduled.forEach(function(item) {
+				$unscheduled.append($('<li></li>').append(self.renderCalendarItem(item)));
+			});
+			$page.find('.calendar-unscheduled-empty').toggle(data.unscheduled.length === 0);
+
+			$page.find('.calendar-item.is-topic').draggable({
+				revert: 'invalid',
+				helper: 'clone',
+				appendTo: 'body',
+				zIndex: 1000,
+				cursor: 'move'
+			});
+		},
+
+		/**
+		 * Build the element for a generated post or a queued topic
+		 */
+		renderCalendarItem: function(item) {
+			const time = item.time ? '<span class="calendar-item-time">' + this.escapeHtml(item.time) + '</span> ' : '';
+
+			if (item.type === 'post') {
+				return $('<a class="calendar-item is-post"></a>')
+					.addClass('status-' + item.status)
+					.attr('href', item.url)
+					.attr('title', item.title + ' (' + item.status + ')')
+					.html(time + '<span class="calendar-item-title">' + this.escapeHtml(item.title) + '</span>');
+			}
+
+			const $item = $('<div class="calendar-item is-topic"></div>')
+				.attr('data-topic-id', item.id)
+				.attr('title', item.title +
+					(item.pinned_date ? ' (pinned to ' + item.pinned_date + ')' : '') +
+					(item.publish_at ? ' · publishes ' + item.publish_at : ''))
+				.html(time + '<span class="calendar-item-title">' + this.escapeHtml(item.title) + '</span>');
+
+			if (item.pinned_date) {
+				$item.addClass('is-pinned').append(
+					'<button type="button" class="calendar-unpin" title="Unpin">&times;</button>'
+				);
+			}
+
+			return $item;
+		},
+
+		/**
+		 * Pin a topic to a day, or unpin it with an empty date, then redraw
+		 */
+		pinTopic: function(topicId, date) {
+			const self = this;
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_pin_topic',
+					nonce: aiBlogPosts.nonce,
+					topic_id: topicId,
+					date: date
+				},
+				success: function(response) {
+					if (!response.success) {
+						alert('Error: ' + response.data.message);
+					}
+					self.loadCalendar(self.calendarView, self.calendarDate);
+				},
+				error: function() {
+					alert('Connection error.');
+					self.loadCalendar(self.calendarView, self.calendarDate);
+				}
+			});
+		},
+
+		/**
+		 * Swap a cell for an input so it can be edited in place
+		 */
+		startInlineEdit: function($cell) {
+			const $row = $cell.closest('tr');
+			const $link = $row.find('.edit-topic-link');
+
+			// Only pending and failed topics can be edited
+			if (!$link.length || $cell.hasClass('is-editing')) return;
+
+			const field = $cell.data('field');
+			const value = field === 'category_id' ? String($link.data('category') || '') : String($link.data(field) || '');
+			let $input;
+
+			if (field === 'category_id') {
+				$input = $('#new-category').clone().removeAttr('id name');
+				$input.find('option[value=""]').text('—');
+			} else {
+				$input = $('<input type="text">');
+			}
+
+			$cell.data('original-html', $cell.html()).addClass('is-editing');
+			$input.addClass('inline-editor').val(value).data('original', value);
+			$cell.empty().append($input);
+			$input.trigger('focus');
+		},
+
+		/**
+		 * Handle Enter, Escape and blur in an inline editor
+		 */
+		handleInlineEditorKey: function(e) {
+			const $cell = $(e.target).closest('.is-editing');
+
+			if (e.type === 'focusout') {
+				this.saveInlineEdit($cell);
+			} else if (e.key === 'Enter') {
+				e.preventDefault();
+				this.saveInlineEdit($cell);
+			} else if (e.key === 'Escape') {
+				e.preventDefault();
+				this.cancelInlineEdit($cell);
+			}
+		},
+
+		/**
+		 * Put back the cell as it was before editing
+		 */
+		cancelInlineEdit: function($cell) {
+			if (!$cell.hasClass('is-editing')) return;
+
+			$cell.removeClass('is-editing').html($cell.data('original-html'));
+			$cell.closest('tr').trigger('focus');
+		},
+
+		/**
+		 * Save an inline edit through the topic update handler
+		 */
+		saveInlineEdit: function($cell) {
+			if (!$cell.hasClass('is-editing') || $cell.hasClass('is-saving')) return;
+
+			const self = this;
+			const $input = $cell.find('.inline-editor');
+			const field = $cell.data('field');
+			const value = String($input.val()).trim();
+			const $link = $cell.closest('tr').find('.edit-topic-link');
+
+			if (value === $input.data('original')) {
+				this.cancelInlineEdit($cell);
+				return;
+			}
+
+			if (field === 'topic' && !value) {
+				alert('Topic is required.');
+				this.cancelInlineEdit($cell);
+				return;
+			}
+
+			const data = {
+				topic: $link.data('topic'),
+				keywords: $link.data('keywords') || '',
+				content_type: $link.data('content-type') || 'article',
+				voice_profile: $link.data('voice-profile') || '',
+				category_id: $link.data('category') || 0,
+				priority: $link.data('priority') || 0,
+				generate_by: $link.data('generate-by') || '',
+				publish_at: $link.data('publish-at') || ''
+			};
+			data[field] = value;
+
+			$cell.addClass('is-saving');
+			$input.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: $.extend({
+					action: 'ai_blog_posts_update_topic',
+					nonce: aiBlogPosts.nonce,
+					topic_id: $link.data('id')
+				}, data),
+				success: function(response) {
+					if (response.success) {
+						$link.data(field === 'category_id' ? 'category' : field, value);
+						$cell.removeClass('is-editing').html(self.renderTopicField(field, value, $input));
+						$cell.closest('tr').trigger('focus');
+
+						if (field === 'topic') {
+							self.upcomingTopics.forEach(function(item) {
+								if (String(item.id) === String($link.data('id'))) item.topic = value;
+							});
+							self.renderNextUp(self.upcomingTopics);
+						}
+					} else {
+						alert('Error: ' + response.data.message);
+						self.cancelInlineEdit($cell);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+					self.cancelInlineEdit($cell);
+				},
+				complete: function() {
+					$cell.removeClass('is-saving');
+				}
+			});
+		},
+
+		/**
+		 * Build a topic table cell's display for a value
+		 */
+		renderTopicField: function(field, value, $input) {
+			if (field === 'topic') {
+				return this.escapeHtml(value);
+			}
+
+			if (field === 'category_id') {
+				return value ? this.escapeHtml($input.find('option:selected').text().trim()) : '<em>—</em>';
+			}
+
+			const self = this;
+			const keywords = value.split(',').map(k => k.trim()).filter(Boolean);
+
+			return keywords.length
+				? keywords.map(function(keyword) {
+					return '<span class="keyword-tag">' + self.escapeHtml(keyword) + '</span>';
+				}).join(' ')
+				: '<em>—</em>';
+		},
+
+		/**
+		 * Keyboard shortcuts for the topics table
+		 */
+		handleTopicShortcuts: function(e) {
+			if (!$('.topics-table').length || $('.ai-blog-posts-modal:visible').length) return;
+			if ($(e.target).is('input, textarea, select, [contenteditable]') || e.ctrlKey || e.metaKey) return;
+
+			const $rows = $('.topics-table tbody tr[data-topic-id]');
+			let $current = $rows.filter('.is-focused');
+
+			if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+				if (!$current.length || $current.data('status') !== 'pending' || $current.hasClass('is-dated') || $('.topics-table').hasClass('is-sorted')) return;
+
+				e.preventDefault();
+				const $target = e.key === 'ArrowUp'
+					? $current.prevAll('tr[data-status="pending"]:not(.is-dated)').first()
+					: $current.nextAll('tr[data-status="pending"]:not(.is-dated)').first();
+
+				if ($target.length) {
+					e.key === 'ArrowUp' ? $current.insertBefore($target) : $current.insertAfter($target);
+					$current.trigger('focus');
+					this.saveTopicOrder($current);
+				}
+				return;
+			}
+
+			if (e.altKey) return;
+
+			switch (e.key) {
+				case 'j':
+				case 'ArrowDown':
+				case 'k':
+				case 'ArrowUp': {
+					e.preventDefault();
+					const down = e.key === 'j' || e.key === 'ArrowDown';
+					let $next = $current.length ? (down ? $current.next('tr[data-topic-id]') : $current.prev('tr[data-topic-id]')) : $rows.first();
+					if (!$next.length) $next = $current;
+					this.focusTopicRow($next);
+					break;
+				}
+				case 'x':
+					if ($current.length) {
+						const $checkbox = $current.find('.topic-checkbox');
+						$checkbox.prop('checked', !$checkbox.prop('checked')).trigger('change');
+					}
+					break;
+				case 'e':
+					if ($current.length) {
+						e.preventDefault();
+						this.startInlineEdit($current.find('.topic-title'));
+					}
+					break;
+				case 'g':
+					$current.find('.generate-topic, .retry-topic').first().trigger('click');
+					break;
+				case 'Delete':
+					$current.find('.delete-topic').first().trigger('click');
+					break;
+				case 'n':
+					e.preventDefault();
+					$('#new-topic').trigger('focus');
+					break;
+			}
+		},
+
+		/**
+		 * Highlight a topic row and scroll it into view
+		 */
+		focusTopicRow: function($row) {
+			if (!$row.length) return;
+
+			$('.topics-table tbody tr.is-focused').removeClass('is-focused');
+			$row.addClass('is-focused').trigger('focus');
+		},
+
+		/**
+		 * Edit topic - open modal with topic data
+		 */
+		editTopic: function(e) {
+			e.preventDefault();
+
+			const $link = $(e.target).closest('.edit-topic-link');
+			const topicId = $link.data('id');
+			const topic = $link.data('topic');
+			const keywords = $link.data('keywords') || '';
+			const contentType = $link.data('content-type') || 'article';
+			const voiceProfile = $link.data('voice-profile') || '';
+			const category = $link.data('category') || '';
+			const priority = $link.data('priority') || 0;
+			const generateBy = $link.data('generate-by') || '';
+			const publishAt = $link.data('publish-at') || '';
+
+			// Populate edit form
+			$('#edit-topic-id').val(topicId);
+			$('#edit-topic-title').val(topic);
+			$('#edit-topic-keywords').val(keywords);
+			$('#edit-topic-content-type').val(contentType);
+			$('#edit-topic-voice-profile').val(voiceProfile);
+			$('#edit-topic-category').val(category);
+			$('#edit-topic-priority').val(priority);
+			$('#edit-topic-generate-by').val(generateBy);
+			$('#edit-topic-publish-at').val(publishAt);
+
+			// Show modal
+			$('#edit-topic-modal').show();
+		},
+
+		/**
+		 * Save topic edit
+		 */
+		saveTopicEdit: function(e) {
+			e.preventDefault();
+
+			const $button = $('#save-topic-edit');
+			const $form = $('#edit-topic-form');
+			const self = this;
+
+			// Validate
+			const topic = $('#edit-topic-title').val().trim();
+			if (!topic) {
+				alert('Topic is required.');
+				return;
+			}
+
+			$button.prop('disabled', true).text('Updating...');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_update_topic',
+					nonce: aiBlogPosts.nonce,
+					topic_id: $('#edit-topic-id').val(),
+					topic: topic,
+					keywords: $('#edit-topic-keywords').val().trim(),
+					content_type: $('#edit-topic-content-type').val(),
+					voice_profile: $('#edit-topic-voice-profile').val() || '',
+					category_id: $('#edit-topic-category').val() || 0,
+					priority: $('#edit-topic-priority').val() || 0,
+					generate_by: $('#edit-topic-generate-by').val(),
+					publish_at: $('#edit-topic-publish-at').val()
+				},
+				success: function(response) {
+					if (response.success) {
+						// Close modal
+						$('#edit-topic-modal').hide();
+						$button.prop('disabled', false).text('Update Topic');
+						// Reload the table to show updated data
+						self.loadTopics();
+					} else {
+						alert('Error: ' + response.data.message);
+						$button.prop('disabled', false).text('Update Topic');
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+					$button.prop('disabled', false).text('Update Topic');
+				}
+			});
+		},
+
+		/**
+		 * Delete topic
+		 */
+		deleteTopic: function(e) {
+			e.preventDefault();
+
+			if (!confirm(aiBlogPosts.strings.confirmDelete)) {
+				return;
+			}
+
+			const $link = $(e.target);
+			const topicId = $link.data('id');
+			// Also matches the row in the duplicates report
+			const $row = $link.closest('tr').add('.topics-table tr[data-topic-id="' + topicId + '"]');
+			const self = this;
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_delete_topic',
+					nonce: aiBlogPosts.nonce,
+					topic_id: topicId
+				},
+				success: function(response) {
+					if (response.success) {
+						delete self.selectedTopics[topicId];
+						self.updateTopicSelection();
+						$row.fadeOut(function() { $(this).remove(); });
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				}
+			});
+		},
+
+		/**
+		 * Generate from topic using step-by-step process
+		 */
+		generateFromTopic: function(e) {
+			e.preventDefault();
+			e.stopPropagation();
+			
+			// Get the clicked link - handle both direct click and child element click
+			let $link = $(e.target);
+			if (!$link.hasClass('generate-topic') && !$link.hasClass('retry-topic')) {
+				$link = $link.closest('.generate-topic, .retry-topic');
+			}
+			
+			if (!$link.length) return;
+			
+			const $row = $link.closest('tr');
+			const topicId = $link.data('id');
+			const topicText = $row.find('.column-topic strong').text().trim();
+			const isRetry = $link.hasClass('retry-topic');
+			const self = this;
+			
+			// Prevent double-clicks
+			if ($row.hasClass('generating')) {
+				return;
+			}
+			
+			if (!confirm((isRetry ? 'Retry generating' : 'Generate') + ' a post for "' + topicText + '"?')) {
+				return;
+			}
+
+			// Show generating state - replace all row actions with spinner
+			const $rowActions = $row.find('.row-actions');
+			$rowActions.html(
+				'<span class="generating-indicator">' +
+				'<span class="spinner is-active" style="float:none;margin:0 5px 0 0;visibility:visible;"></span>' +
+				'<span class="step-status" style="color:#0073aa;font-weight:500;">Starting...</span>' +
+				'</span>'
+			);
+			$row.addClass('generating');
+			
+			// Update status badge to "Generating"
+			$row.find('.column-status').html('<span class="status-badge generating">Generating</span>');
+
+			// Start step-by-step generation for this topic
+			this.generateTopicStepByStep(topicId, $row, $rowActions);
+		},
+
+		/**
+		 * Step-by-step generation for queue topics
+		 */
+		generateTopicStepByStep: function(topicId, $row, $rowActions) {
+			const self = this;
+
+			// Step 1: Start the generation job
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				timeout: 30000,
+				data: {
+					action: 'ai_blog_posts_generate_from_queue',
+					nonce: aiBlogPosts.nonce,
+					topic_id: topicId,
+					use_steps: true  // Signal to use step-by-step mode
+				},
+				success: function(response) {
+					if (response.success && response.data.job_id) {
+						self.rememberJob(response.data.job_id, response.data.next_step, {
+							topic: $row.find('.column-topic strong').text().trim(),
+							queue_topic_id: topicId
+						});
+
+						// Process steps
+						self.processTopicStep(response.data.job_id, response.data.next_step, topicId, $row, $rowActions);
+					} else if (response.success) {
+						// Legacy single-request mode succeeded
+						self.handleTopicGenerationSuccess(response.data, topicId, $row, $rowActions);
+					} else {
+						self.handleTopicGenerationError(response.data.message || 'Unknown error', topicId, $row, $rowActions);
+					}
+				},
+				error: function(xhr, status) {
+					let errorMsg = 'Connection error';
+					if (status === 'timeout') {
+						errorMsg = 'Request timed out. Please try again.';
+					}
+					self.handleTopicGenerationError(errorMsg, topicId, $row, $rowActions);
+				}
+			});
+		},
+
+		/**
+		 * Row status text for each generation step
+		 */
+		topicStepLabels: {
+			'outline': 'Creating outline...',
+			'content': 'Writing content...',
+			'humanize': 'Humanizing...',
+			'seo': 'Optimizing SEO...',
+			'finalize': 'Creating post...',
+			'inline_images': 'Adding images...',
+			'image': 'Generating image...'
+		},
+
+		/**
+		 * Process a single step for topic generation
+		 */
+		processTopicStep: function(jobId, step, topicId, $row, $rowActions, retryCount) {
+			const self = this;
+			retryCount = retryCount || 0;
+			const maxRetries = 2;
+
+			// Update status text
+			$rowActions.find('.step-status').text(this.topicStepLabels[step] || 'Processing...');
+			this.rememberJob(jobId, step);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				timeout: 120000, // 2 minutes per step
+				data: {
+					action: 'ai_blog_posts_process_step',
+					nonce: aiBlogPosts.nonce,
+					job_id: jobId,
+					step: step
+				},
+				success: function(response) {
+					if (response.success) {
+						const data = response.data;
+
+						if (data.job_status === 'completed' || data.next_step === null) {
+							self.forgetJob(jobId);
+							self.handleTopicGenerationSuccess(data, topicId, $row, $rowActions);
+						} else if (data.next_step) {
+							self.processTopicStep(jobId, data.next_step, topicId, $row, $rowActions);
+						}
+					} else {
+						if (retryCount < maxRetries && self.isRetryableError(response.data.message)) {
+							setTimeout(function() {
+								self.processTopicStep(jobId, step, topicId, $row, $rowActions, retryCount + 1);
+							}, 2000);
+						} else {
+							self.handleTopicGenerationError(response.data.message, topicId, $row, $rowActions);
+						}
+					}
+				},
+				error: function(xhr, status) {
+					if (retryCount < maxRetries) {
+						setTimeout(function() {
+							self.processTopicStep(jobId, step, topicId, $row, $rowActions, retryCount + 1);
+						}, 3000);
+					} else {
+						let errorMsg = status === 'timeout' ? 'Request timed out' : 'Connection error';
+						self.handleTopicGenerationError(errorMsg, topicId, $row, $rowActions);
+					}
+				}
+			});
+		},
+
+		/**
+		 * Handle successful topic generation
+		 */
+		handleTopicGenerationSuccess: function(data, topicId, $row, $rowActions) {
+			$row.removeClass('generating').addClass('generated');
+						$row.find('.column-status').html('<span class="status-badge completed">Completed</span>');
+						
+						let newActions = '';
+			if (data.view_url || data.post_url) {
+				newActions += '<span class="view"><a href="' + (data.view_url || data.post_url) + '" target="_blank">View Post</a> | </span>';
+						}
+			if (data.edit_url) {
+				newActions += '<span class="edit"><a href="' + data.edit_url + '">Edit</a> | </span>';
+						}
+						newActions += '<span class="delete"><a href="#" class="delete-topic" data-id="' + topicId + '">Delete</a></span>';
+						$rowActions.html(newActions);
+		},
+
+		/**
+		 * Handle topic generation error
+		 */
+		handleTopicGenerationError: function(errorMsg, topicId, $row, $rowActions) {
+					$row.removeClass('generating').addClass('generation-failed');
+					$row.find('.column-status').html(
+						'<span class="status-badge failed">Failed</span> ' +
+				'<span class="error-tooltip" title="' + this.escapeHtml(errorMsg) + '">' +
+						'<span class="dashicons dashicons-info"></span></span>'
+					);
+					$rowActions.html(
+						'<span class="retry"><a href="#" class="retry-topic" data-id="' + topicId + '">Retry</a> | </span>' +
+						'<span class="delete"><a href="#" class="delete-topic" data-id="' + topicId + '">Delete</a></span>'
+					);
+		},
+
+		/**
+		 * Apply bulk action to selected topics
+		 */
+		applyBulkAction: function(e) {
+			e.preventDefault();
+
+			const action = $('#bulk-action').val();
+			if (!action) {
+				alert('Please select a bulk action.');
+				return;
+			}
+
+			const selectedIds = this.getSelectedTopicIds();
+
+			if (selectedIds.length === 0) {
+				alert('Please select at least one topic.');
+				return;
+			}
+
+			if (action === 'delete') {
+				this.bulkDeleteTopics(selectedIds);
+			} else if (action === 'generate') {
+				this.bulkGenerateTopics(selectedIds);
+			}
+		},
+
+		/**
+		 * Get the IDs of the checked topics on every page
+		 */
+		getSelectedTopicIds: function() {
+			return Object.keys(this.selectedTopics);
+		},
+
+		/**
+		 * Bulk delete topics
+		 */
+		bulkDeleteTopics: function(ids) {
+			if (!confirm('Are you sure you want to delete ' + ids.length + ' topic(s)?')) {
+				return;
+			}
+
+			const $button = $('#apply-bulk');
+			const self = this;
+
+			$button.prop('disabled', true).text('Deleting...');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_bulk_delete_topics',
+					nonce: aiBlogPosts.nonce,
+					topic_ids: ids
+				},
+				success: function(response) {
+					if (response.success) {
+						alert(response.data.message);
+						self.clearTopicSelection();
+						self.loadTopics();
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false).text('Apply');
+				}
+			});
+		},
+
+		/**
+		 * Bulk generate topics in a server-side background batch
+		 */
+		bulkGenerateTopics: function(ids) {
+			const $button = $('#apply-bulk');
+			const self = this;
+
+			$button.prop('disabled', true).text('Estimating...');
+
+			this.fetchCostEstimate({ topic_ids: ids }, function(estimate) {
+				$button.prop('disabled', false).text('Apply');
+
+				if (estimate && estimate.budget_status === 'exceeded') {
+					alert(estimate.message);
+					return;
+				}
+
+				let message = 'Generate posts for ' + ids.length + ' topic(s)? They will be generated in the background, so you can leave this page.';
+				if (estimate) {
+					message += '\n\nEstimated cost: ' + self.formatCostRange(estimate);
+					if (estimate.message) {
+						message += '\n' + estimate.message;
+					}
+				}
+
+				if (confirm(message)) {
+					self.startBatch(ids);
+				}
+			});
+		},
+
+		/**
+		 * Queue topics for background generation
+		 */
+		startBatch: function(ids) {
+			const $button = $('#apply-bulk');
+			const self = this;
+
+			$button.prop('disabled', true).text('Queueing...');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_start_batch',
+					nonce: aiBlogPosts.nonce,
+					topic_ids: ids
+				},
+				success: function(response) {
+					if (response.success) {
+						self.clearTopicSelection();
+						$('#bulk-cost-estimate').hide();
+						self.renderBatchStatus(response.data.batch);
+						self.pollBatchStatus();
+					} else {
+						alert(response.data.message || 'Failed to start generation.');
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false).text('Apply');
+				}
+			});
+		},
+
+		/**
+		 * Timer for batch status polling
+		 */
+		batchPollTimer: null,
+
+		/**
+		 * Poll the background batch and update the Topics page
+		 */
+		pollBatchStatus: function(initial) {
+			if (!$('#batch-progress').length) return;
+
+			const self = this;
+			clearTimeout(this.batchPollTimer);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_get_batch_status',
+					nonce: aiBlogPosts.nonce
+				},
+				success: function(response) {
+					const batch = response.success ? response.data.batch : null;
+
+					// On page load, only show a batch that is still running
+					if (!batch || (initial && batch.status !== 'running')) {
+						return;
+					}
+
+					self.renderBatchStatus(batch);
+
+					if (batch.status === 'running') {
+						self.batchPollTimer = setTimeout(function() {
+							self.pollBatchStatus();
+						}, 5000);
+					}
+				},
+				error: function() {
+					// Keep trying - the batch runs on the server regardless
+					self.batchPollTimer = setTimeout(function() {
+						self.pollBatchStatus();
+					}, 15000);
+				}
+			});
+		},
+
+		/**
+		 * Render batch progress and per-row status
+		 */
+		renderBatchStatus: function(batch) {
+			if (!batch) return;
+
+			const self = this;
+			const counts = batch.counts;
+			const done = counts.completed + counts.failed + counts.cancelled;
+
+			$('#batch-progress').show();
+			$('#batch-progress-fill').css('width', (batch.total ? (done / batch.total) * 100 : 0) + '%');
+			$('#cancel-batch').toggle(batch.status === 'running');
+
+			let statusText = done + ' of ' + batch.total + ' topic(s) processed: ' +
+				counts.completed + ' generated, ' + counts.failed + ' failed.';
+			if (batch.status === 'finished') {
+				statusText = 'Batch finished. ' + statusText;
+			} else if (batch.status === 'cancelled') {
+				statusText = 'Batch cancelled. ' + statusText;
+			} else if (batch.status === 'stalled') {
+				statusText = 'Batch stopped responding, remaining topics were returned to the queue. ' + statusText;
+			}
+			$('#batch-progress-status').text(statusText);
+
+			batch.items.forEach(function(item) {
+				const $row = $('.topics-table tr[data-topic-id="' + item.topic_id + '"]');
+				if (!$row.length) return;
+
+				// Skip rows already showing this state
+				const state = item.status + ':' + item.step;
+				if ($row.data('batch-state') === state) return;
+				$row.data('batch-state', state);
+
+				const $rowActions = $row.find('.row-actions');
+
+				if (item.status === 'queued') {
+					$row.find('.column-status').html('<span class="status-badge queued">Queued</span>');
+				} else if (item.status === 'processing') {
+					$row.addClass('generating');
+					$row.find('.column-status').html('<span class="status-badge generating">Generating</span>');
+					$rowActions.html(
+						'<span class="generating-indicator">' +
+						'<span class="spinner is-active" style="float:none;margin:0 5px 0 0;visibility:visible;"></span>' +
+						'<span class="step-status" style="color:#0073aa;font-weight:500;">' + (self.topicStepLabels[item.step] || 'Starting...') + '</span>' +
+						'</span>'
+					);
+				} else if (item.status === 'completed') {
+					self.handleTopicGenerationSuccess(item, item.topic_id, $row, $rowActions);
+				} else if (item.status === 'failed') {
+					self.handleTopicGenerationError(item.error || 'Unknown error', item.topic_id, $row, $rowActions);
+				}
+			});
+		},
+
+		/**
+		 * Cancel the background batch
+		 */
+		cancelBatch: function(e) {
+			e.preventDefault();
+
+			if (!confirm('Cancel the background batch? Topics not yet generated go back to pending.')) {
+				return;
+			}
+
+			const $button = $(e.currentTarget);
+			$button.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_cancel_batch',
+					nonce: aiBlogPosts.nonce
+				},
+				success: function(response) {
+					if (response.success) {
+						location.reload();
+					} else {
+						alert(response.data.message || 'Failed to cancel batch.');
+						$button.prop('disabled', false);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+					$button.prop('disabled', false);
+				}
+			});
+		},
+
+		/**
+		 * Fetch trending topics
+		 */
+		fetchTrending: function(e, forceRefresh) {
+			e.preventDefault();
+			
+			const $modal = $('#trending-modal');
+			const $loading = $('#trending-loading');
+			const $list = $('#trending-list');
+			const self = this;
+
+			// Determine if force refresh
+			const isForceRefresh = forceRefresh === true || $(e.target).attr('id') === 'refresh-trending';
+
+			$modal.show();
+			$loading.show();
+			$list.hide().empty();
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				timeout: 30000,
+				data: {
+					action: 'ai_blog_posts_fetch_trending',
+					nonce: aiBlogPosts.nonce,
+					force_refresh: isForceRefresh ? '1' : '0'
+				},
+				success: function(response) {
+					$loading.hide();
+
+					if (response.success && response.data.topics && response.data.topics.length > 0) {
+						// Check source type for header message
+						const source = response.data.topics[0].source || 'trending';
+						let headerMsg = '';
+						let sourceLabel = '';
+						if (source === 'curated') {
+							headerMsg = '<p class="topics-source-note"><span class="dashicons dashicons-lightbulb"></span> Curated evergreen topics based on your categories.</p>';
+							sourceLabel = 'curated';
+						} else if (source === 'ai_generated') {
+							headerMsg = '<p class="topics-source-note"><span class="dashicons dashicons-superhero-alt"></span> AI-generated trending topics for your region.</p>';
+							sourceLabel = 'AI';
+						} else {
+							headerMsg = '<p class="topics-source-note"><span class="dashicons dashicons-chart-line"></span> Live trending topics from Google Trends.</p>';
+							sourceLabel = 'Google';
+						}
+						
+						// Add refresh button
+						headerMsg += '<p class="topics-refresh"><button type="button" id="refresh-trending" class="button button-small"><span class="dashicons dashicons-update"></span> Get Fresh Topics</button></p>';
+						
+						let html = headerMsg + '<div class="trending-topics-list">';
+						response.data.topics.forEach(function(topic, index) {
+							const title = topic.title || topic;
+							const traffic = topic.traffic || '';
+							
+							html += '<label class="trending-item">';
+							html += '<input type="checkbox" value="' + AIBlogPosts.escapeHtml(title) + '" checked>';
+							html += '<span class="topic-title">' + AIBlogPosts.escapeHtml(title) + '</span>';
+							if (traffic) {
+								html += '<span class="topic-traffic">' + AIBlogPosts.escapeHtml(traffic) + '</span>';
+							}
+							html += '</label>';
+						});
+						html += '</div>';
+						html += '<p class="select-hint"><small>Uncheck topics you don\'t want to add to your queue.</small></p>';
+						$list.html(html).show();
+						
+						// Bind refresh button
+						$('#refresh-trending').on('click', function(e) {
+							self.fetchTrending(e, true);
+						});
+					} else {
+						$list.html('<div class="no-topics-message"><span class="dashicons dashicons-warning"></span><p>No topics available. Please try again later.</p></div>').show();
+					}
+				},
+				error: function(xhr, status, error) {
+					$loading.hide();
+					let errorMsg = 'Error fetching topics.';
+					if (status === 'timeout') {
+						errorMsg = 'Request timed out. Please try again.';
+					}
+					$list.html('<div class="no-topics-message"><span class="dashicons dashicons-warning"></span><p>' + errorMsg + '</p></div>').show();
+				}
+			});
+		},
+
+		/**
+		 * Add selected trending topics to queue
+		 */
+		addSelectedTrends: function(e) {
+			e.preventDefault();
+
+			const $button = $(e.target);
+			const $modal = $('#trending-modal');
+			const selectedTopics = [];
+
+			// Collect all checked topics
+			$('#trending-list input[type="checkbox"]:checked').each(function() {
+				selectedTopics.push($(this).val());
+			});
+
+			if (selectedTopics.length === 0) {
+				alert('Please select at least one topic to add.');
+				return;
+			}
+
+			$button.prop('disabled', true).text('Adding...');
+
+			// Add topics one by one
+			let addedCount = 0;
+			let skippedCount = 0;
+			let failedCount = 0;
+			let processed = 0;
+
+			selectedTopics.forEach(function(topic) {
+				// Auto-generate keywords from topic title
+				const keywords = AIBlogPosts.extractKeywords(topic);
+				
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: 'ai_blog_posts_add_topic',
+						nonce: aiBlogPosts.nonce,
+						topic: topic,
+						keywords: keywords,
+						category_id: 0,
+						priority: 0,
+						on_duplicate: 'skip'
+					},
+					success: function(response) {
+						if (response.success && response.data.skipped) {
+							skippedCount++;
+						} else if (response.success) {
+							addedCount++;
+						} else {
+							failedCount++;
+						}
+					},
+					error: function() {
+						failedCount++;
+					},
+					complete: function() {
+						processed++;
+						
+						// All done?
+						if (processed === selectedTopics.length) {
+							$button.prop('disabled', false).text('Add Selected');
+							$modal.hide();
+							
+							// Show result message
+							let msg = addedCount + ' topic(s) added to queue.';
+							if (skippedCount > 0) {
+								msg += ' ' + skippedCount + ' skipped as duplicates of existing topics or posts.';
+							}
+							if (failedCount > 0) {
+								msg += ' ' + failedCount + ' failed.';
+							}
+							alert(msg);
+							
+							// Reload page to show new topics
+							location.reload();
+						}
+					}
+				});
+			});
+		},
+
+		/**
+		 * Open the import wizard at the file step
+		 */
+		openImportWizard: function() {
+			this.importRows = [];
+			this.importHeaders = [];
+			this.importValidRows = [];
+
+			$('#import-file').val('');
+			$('#import-modal .modal-cancel').text('Cancel');
+			this.setImportStep('upload');
+			$('#import-modal').show();
+		},
+
+		/**
+		 * Show one step of the import wizard with its buttons
+		 */
+		setImportStep: function(step) {
+			const steps = ['upload', 'mapping', 'preview', 'import'];
+			const index = steps.indexOf(step);
+
+			this.importStep = step;
+
+			$('#import-modal .import-step').hide().filter('[data-step="' + step + '"]').show();
+			$('#import-modal .import-steps li').each(function() {
+				const itemIndex = steps.indexOf($(this).data('step'));
+				$(this).toggleClass('active', itemIndex === index).toggleClass('completed', itemIndex < index);
+			});
+
+			$('#import-back').toggle(step === 'mapping' || step === 'preview');
+			$('#import-preview').toggle(step === 'mapping');
+			$('#import-run').toggle(step === 'preview');
+		},
+
+		/**
+		 * Go back one step in the import wizard
+		 */
+		importBack: function() {
+			this.setImportStep(this.importStep === 'preview' ? 'mapping' : 'upload');
+		},
+
+		/**
+		 * Read the chosen import file into rows
+		 */
+		readImportFile: function(e) {
+			const file = e.target.files[0];
+			const maxSize = parseInt($(e.target).data('max-size'), 10);
+			const extension = file ? file.name.split('.').pop().toLowerCase() : '';
+			const self = this;
+
+			if (!file) {
+				return;
+			}
+
+			if (maxSize && file.size > maxSize) {
+				alert('File is too large.');
+				$(e.target).val('');
+				return;
+			}
+
+			// XLSX files are zipped XML, so the server reads them
+			if (extension === 'xlsx') {
+				const formData = new FormData();
+				formData.append('action', 'ai_blog_posts_parse_import_file');
+				formData.append('nonce', aiBlogPosts.nonce);
+				formData.append('file', file);
+
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
+					type: 'POST',
+					data: formData,
+					processData: false,
+					contentType: false,
+					success: function(response) {
+						if (response.success) {
+							self.setImportData(file.name, response.data.rows);
+						} else {
+							alert('Error: ' + response.data.message);
+						}
+					},
+					error: function() {
+						alert('Connection error.');
+					}
+				});
+				return;
+			}
+
+			const reader = new FileReader();
+			reader.onload = function(event) {
+				let rows;
+
+				try {
+					rows = self.parseImportContent(event.target.result, extension);
+				} catch (error) {
+					alert('Could not read the file: ' + error.message);
+					return;
+				}
+
+				self.setImportData(file.name, rows);
+			};
+
+			reader.onerror = function() {
+				alert('Error reading file.');
+			};
+
+			reader.readAsText(file);
+		},
+
+		/**
+		 * Turn CSV, TSV or JSON text into rows, header row first
+		 */
+		parseImportContent: function(content, extension) {
+			// Spreadsheet apps often start UTF-8 files with a byte order mark
+			content = content.replace(/^\uFEFF/, '');
+
+			if (extension === 'json') {
+				return this.parseJsonRows(JSON.parse(content));
+			}
+
+			if (extension === 'tsv') {
+				return this.parseCsv(content, '\t');
+			}
+
+			// Guess the delimiter from the header line
+			const firstLine = content.split(/\r?\n/)[0];
+			const delimiter = ['\t', ';', ','].reduce(function(best, candidate) {
+				return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+			}, ',');
+
+			return this.parseCsv(content, delimiter);
+		},
+
+		/**
+		 * Flatten a JSON list of topic objects into rows
+		 */
+		parseJsonRows: function(data) {
+			const items = Array.isArray(data) ? data : (data && Array.isArray(data.topics) ? data.topics : null);
+			const flatten = function(value) {
+				if (Array.isArray(value)) {
+					return value.join(', ');
+				}
+				return value === null || typeof value === 'object' ? '' : String(value);
+			};
+
+			if (!items) {
+				throw new Error('expected a list of topics.');
+			}
+
+			// A list of lists is already rows
+			if (items.length && Array.isArray(items[0])) {
+				return items.map(row => row.map(flatten));
+			}
+
+			const headers = [];
+			items.forEach(function(item) {
+				Object.keys(item || {}).forEach(function(key) {
+					if (headers.indexOf(key) === -1) {
+						headers.push(key);
+					}
+				});
+			});
+
+			return [headers].concat(items.map(item => headers.map(key => flatten((item || {})[key]))));
+		},
+
+		/**
+		 * Store parsed rows and match columns to topic fields
+		 */
+		setImportData: function(fileName, rows) {
+			const self = this;
+			const headers = (rows[0] || []).map((header, i) => String(header).trim() || 'Column ' + (i + 1));
+
+			// Keep the line number of each row for error messages
+			this.importRows = rows.slice(1).map(function(cells, i) {
+				return { line: i + 2, cells: cells.map(cell => String(cell).trim()) };
+			}).filter(row => row.cells.some(cell => cell !== ''));
+			this.importHeaders = headers;
+
+			if (!this.importRows.length) {
+				alert('The file has no data rows.');
+				return;
+			}
+
+			const normalize = value => String(value).toLowerCase().replace(/[_-]+/g, ' ').trim();
+			const used = [];
+
+			$('#import-modal .import-mapping tbody tr').each(function() {
+				const $select = $(this).find('.import-column').empty();
+				const aliases = $(this).data('aliases') || [];
+				const match = headers.findIndex((header, i) => used.indexOf(i) === -1 && aliases.indexOf(normalize(header)) !== -1);
+
+				$select.append('<option value="">— Don\'t import —</option>');
+				headers.forEach(function(header, i) {
+					$select.append('<option value="' + i + '">' + self.escapeHtml(header) + '</option>');
+				});
+
+				if (match !== -1) {
+					used.push(match);
+					$select.val(match);
+				}
+
+				$select.trigger('change');
+			});
+
+			$('#import-modal .import-file-summary').text(
+				fileName + ': ' + this.importRows.length + ' row(s), ' + headers.length + ' column(s).'
+			);
+
+			this.setImportStep('mapping');
+		},
+
+		/**
+		 * Show the first value of the mapped column
+		 */
+		updateImportSample: function(e) {
+			const column = $(e.target).val();
+			const sample = column === '' ? null : this.importRows.find(row => row.cells[column]);
+
+			$(e.target).closest('tr').find('.import-sample').text(sample ? sample.cells[column] : '—');
+		},
+
+		/**
+		 * Build topic rows from the mapped columns
+		 */
+		getMappedImportRows: function() {
+			const mapping = {};
+
+			$('#import-modal .import-column').each(function() {
+				if ($(this).val() !== '') {
+					mapping[$(this).data('field')] = parseInt($(this).val(), 10);
+				}
+			});
+
+			return this.importRows.map(function(row) {
+				const topic = { line: row.line };
+				Object.keys(mapping).forEach(function(field) {
+					topic[field] = row.cells[mapping[field]] || '';
+				});
+				return topic;
+			});
+		},
+
+		/**
+		 * Send rows to the server in chunks, one request at a time
+		 */
+		sendImportChunks: function(rows, dryRun, onProgress, onDone) {
+			const chunkSize = 100;
+			const result = { rows: [], totals: {} };
+			// Rows a dry run would import, so later chunks are checked against them
+			let ready = [];
+			let offset = 0;
+
+			const sendNext = function() {
+				if (offset >= rows.length) {
+					onDone(result);
+					return;
+				}
+
+				const chunk = rows.slice(offset, offset + chunkSize);
+
+				$.ajax({
+					url: aiBlogPosts.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: 'ai_blog_posts_import_topics',
+						nonce: aiBlogPosts.nonce,
+						rows: JSON.stringify(chunk),
+						previous: dryRun ? JSON.stringify(ready) : '',
+						on_duplicate: $('#import-on-duplicate').val(),
+						dry_run: dryRun
+					},
+					success: function(response) {
+						if (!response.success) {
+							alert('Error: ' + response.data.message);
+							onDone(null);
+							return;
+						}
+
+						result.rows = result.rows.concat(response.data.rows);
+						ready = ready.concat(chunk.filter(function(row, i) {
+							return response.data.rows[i] && response.data.rows[i].status === 'ready';
+						}));
+						$.each(response.data.totals, function(key, count) {
+							result.totals[key] = (result.totals[key] || 0) + count;
+						});
+
+						offset += chunkSize;
+						onProgress(Math.min(offset, rows.length), rows.length);
+						sendNext();
+					},
+					error: function() {
+						alert('Connection error.');
+						onDone(null);
+					}
+				});
+			};
+
+			sendNext();
+		},
+
+		/**
+		 * Validate the mapped rows without importing them
+		 */
+		previewImport: function() {
+			const self = this;
+			const $button = $('#import-preview');
+			const $summary = $('#import-modal .import-preview-summary');
+
+			if ($('#import-modal .import-column[data-field="topic"]').val() === '') {
+				alert('Choose the column that holds the topic.');
+				return;
+			}
+
+			const rows = this.getMappedImportRows();
+
+			$button.prop('disabled', true);
+			$('#import-modal .import-preview tbody').empty();
+			$summary.text('Checking rows...');
+			this.setImportStep('preview');
+			$('#import-run').prop('disabled', true);
+
+			this.sendImportChunks(rows, true, function(done, total) {
+				$summary.text('Checking rows... ' + done + ' / ' + total);
+			}, function(result) {
+				$button.prop('disabled', false);
+
+				if (!result) {
+					self.setImportStep('mapping');
+					return;
+				}
+
+				// Only rows that passed validation are sent for import
+				const validLines = result.rows.filter(row => row.status !== 'invalid').map(row => row.line);
+				self.importValidRows = rows.filter(row => validLines.indexOf(row.line) !== -1);
+				self.renderImportPreview(result);
+			});
+		},
+
+		/**
+		 * Show the dry-run result for each row
+		 */
+		renderImportPreview: function(result) {
+			const self = this;
+			const $tbody = $('#import-modal .import-preview tbody').empty();
+			const labels = {
+				ready: 'Ready',
+				invalid: 'Error',
+				skipped: 'Duplicate, will be skipped',
+				merged: 'Duplicate, will be merged'
+			};
+			const totals = result.totals;
+
+			result.rows.forEach(function(row) {
+				let details = '';
+
+				if (row.errors.length || row.notices.length) {
+					details += '<ul class="import-messages">' +
+						row.errors.map(message => '<li class="import-error">' + self.escapeHtml(message) + '</li>').join('') +
+						row.notices.map(message => '<li class="import-notice">' + self.escapeHtml(message) + '</li>').join('') +
+						'</ul>';
+				}
+
+				if (row.duplicate) {
+					details += '<div class="import-duplicate">' + self.renderDuplicateMatch(row.duplicate, 0) + '</div>';
+				}
+
+				$tbody.append(
+					'<tr class="import-row-' + row.status + (details ? ' has-problems' : '') + '">' +
+						'<td class="column-line">' + row.line + '</td>' +
+						'<td>' + (row.topic ? self.escapeHtml(row.topic) : '<em>—</em>') + '</td>' +
+						'<td>' + (row.category ? self.escapeHtml(row.category) : '<em>—</em>') + '</td>' +
+						'<td><span class="import-result">' + labels[row.status] + '</span>' + details + '</td>' +
+					'</tr>'
+				);
+			});
+
+			let summary = (totals.valid - (totals.skipped || 0) - (totals.merged || 0)) + ' topic(s) ready to import.';
+			if (totals.invalid) {
+				summary += ' ' + totals.invalid + ' row(s) have errors and will not be imported.';
+			}
+			if (totals.skipped) {
+				summary += ' ' + totals.skipped + ' duplicate(s) will be skipped.';
+			}
+			if (totals.merged) {
+				summary += ' ' + totals.merged + ' duplicate(s) will be merged into queued topics.';
+			}
+
+			$('#import-modal .import-preview-summary').text(summary);
+			$('#import-run').prop('disabled', !this.importValidRows.length);
+			this.toggleImportProblems();
+		},
+
+		/**
+		 * Show or hide preview rows without errors or notices
+		 */
+		toggleImportProblems: function() {
+			$('#import-modal .import-preview tbody tr:not(.has-problems)').toggle(!$('#import-problems-only').is(':checked'));
+		},
+
+		/**
+		 * Import the rows that passed the preview
+		 */
+		runImport: function() {
+			const self = this;
+			const rows = this.importValidRows;
+			const $status = $('#import-modal .import-status');
+
+			$('#import-modal .import-progress').css('width', '0%');
+			$status.text('Importing...');
+			this.setImportStep('import');
+
+			this.sendImportChunks(rows, false, function(done, total) {
+				$('#import-modal .import-progress').css('width', Math.round(done / total * 100) + '%');
+				$status.text('Imported ' + done + ' of ' + total + ' row(s)...');
+			}, function(result) {
+				if (!result) {
+					$status.text('The import stopped. Topics imported before the error were kept.');
+				} else {
+					const totals = result.totals;
+					let message = (totals.imported || 0) + ' topic(s) imported.';
+					if (totals.merged) {
+						message += ' ' + totals.merged + ' merged into similar queued topics.';
+					}
+					if (totals.skipped) {
+						message += ' ' + totals.skipped + ' skipped as duplicates.';
+					}
+					if (totals.invalid) {
+						message += ' ' + totals.invalid + ' could not be saved.';
+					}
+					$status.text(message);
+				}
+
+				$('#import-modal .modal-cancel').text('Close');
+				self.loadTopics();
+			});
+		},
+
+		/**
+		 * Parse CSV content into rows, comma-separated unless a delimiter is given
+		 */
+		parseCsv: function(content, delimiter) {
+			delimiter = delimiter || ',';
+
+			const rows = [];
+			let currentRow = [];
+			let currentField = '';
+			let inQuotes = false;
+
+			for (let i = 0; i < content.length; i++) {
+				const char = content[i];
+				const nextChar = content[i + 1];
+
+				if (inQuotes) {
+					if (char === '"' && nextChar === '"') {
+						// Escaped quote
+						currentField += '"';
+						i++;
+					} else if (char === '"') {
+						// End of quoted field
+						inQuotes = false;
+					} else {
+						currentField += char;
+					}
+				} else {
+					if (char === '"') {
+						// Start of quoted field
+						inQuotes = true;
+					} else if (char === delimiter) {
+						// Field separator
+						currentRow.push(currentField);
+						currentField = '';
+					} else if (char === '\r' && nextChar === '\n') {
+						// Windows line ending
+						currentRow.push(currentField);
+						rows.push(currentRow);
+						currentRow = [];
+						currentField = '';
+						i++;
+					} else if (char === '\n' || char === '\r') {
+						// Unix or old Mac line ending
+						currentRow.push(currentField);
+						rows.push(currentRow);
+						currentRow = [];
+						currentField = '';
+					} else {
+						currentField += char;
+					}
+				}
+			}
+
+			// Handle last field/row
+			if (currentField || currentRow.length > 0) {
+				currentRow.push(currentField);
+				rows.push(currentRow);
+			}
+
+			return rows;
+		},
+
+		/**
+		 * Extract keywords from a topic title
+		 */
+		extractKeywords: function(topic) {
+			// Common words to filter out
+			const stopWords = [
+				'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+				'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+				'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+				'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
+				'it', 'its', 'you', 'your', 'we', 'our', 'they', 'their', 'what', 'which',
+				'who', 'whom', 'how', 'when', 'where', 'why', 'all', 'each', 'every',
+				'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'not',
+				'only', 'same', 'so', 'than', 'too', 'very', 'just', 'also', 'now',
+				'here', 'there', 'about', 'into', 'through', 'during', 'before', 'after',
+				'above', 'below', 'between', 'under', 'again', 'further', 'then', 'once'
+			];
+			
+			// Clean and split the topic
+			const words = topic
+				.toLowerCase()
+				.replace(/[^\w\s]/g, ' ')  // Remove punctuation
+				.split(/\s+/)               // Split by whitespace
+				.filter(word => {
+					return word.length > 2 && !stopWords.includes(word);
+				});
+			
+			// Get unique keywords (max 5)
+			const uniqueKeywords = [...new Set(words)].slice(0, 5);
+			
+			return uniqueKeywords.join(', ');
+		},
+
+		/**
+		 * Toggle all topics checkboxes
+		 */
+		toggleAllTopics: function(e) {
+			const self = this;
+			const checked = $(e.currentTarget).is(':checked');
+
+			$('.topics-table tbody .topic-checkbox').prop('checked', checked).each(function() {
+				if (checked) {
+					self.selectedTopics[$(this).val()] = true;
+				} else {
+					delete self.selectedTopics[$(this).val()];
+				}
+			});
+
+			this.updateTopicSelection();
+		},
+
+		/**
+		 * Analyze website
+		 */
+		analyzeWebsite: function(e) {
+			e.preventDefault();
+			
+			const self = this;
+			const $button = $(e.currentTarget);
+			const $status = $('#analysis-status');
+			const $result = $('#analysis-result');
+			const scope = $('#analysis-scope').val() || 'site';
+			const useAi = $button.data('use-ai') === true || $button.data('use-ai') === 'true';
+			const originalHtml = $button.html();
+
+			// Disable both buttons during analysis
+			$('#analyze-website, #analyze-website-ai').prop('disabled', true);
+			
+			if (useAi) {
+				$button.html('<span class="dashicons dashicons-update spin"></span> AI Analyzing...');
+			} else {
+				$button.html('<span class="dashicons dashicons-update spin"></span> Analyzing...');
+			}
+			
+			$status.html('<span class="status-warning">Analyzing your content...</span>');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_analyze_website',
+					nonce: aiBlogPosts.nonce,
+					use_ai: useAi,
+					scope: scope
+				},
+				timeout: 120000, // 2 minutes for AI analysis
+				success: function(response) {
+					$('#analyze-website, #analyze-website-ai').prop('disabled', false);
+					$button.html(originalHtml);
+
+					if (response.success) {
+						$status.html('<span class="status-success"><span class="dashicons dashicons-yes-alt"></span> ' + response.data.message + '</span>');
+						$result.html(response.data.report);
+						self.markAnalyzedScope(scope, true);
+					} else {
+						$status.html('<span class="status-error"><span class="dashicons dashicons-warning"></span> ' + response.data.message + '</span>');
+					}
+				},
+				error: function(xhr, status, error) {
+					let errorMsg = 'Connection error.';
+					if (status === 'timeout') {
+						errorMsg = 'Request timed out. Please try again.';
+					}
+					$status.html('<span class="status-error"><span class="dashicons dashicons-warning"></span> ' + errorMsg + '</span>');
+					$('#analyze-website, #analyze-website-ai').prop('disabled', false);
+					$button.html(originalHtml);
+				}
+			});
+		},
+
+		/**
+		 * Show the saved analysis report for the chosen scope
+		 */
+		loadAnalysisReport: function() {
+			const $result = $('#analysis-result');
+
+			$('#analysis-status').empty();
+			$result.addClass('loading');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_get_analysis_report',
+					nonce: aiBlogPosts.nonce,
+					scope: $('#analysis-scope').val()
+				},
+				success: function(response) {
+					if (response.success) {
+						$result.html(response.data.report);
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error. Please try again.');
+				},
+				complete: function() {
+					$result.removeClass('loading');
+				}
+			});
+		},
+
+		/**
+		 * Save which analysis findings feed generation
+		 */
+		saveAnalysisFindings: function(e) {
+			const $card = $(e.currentTarget).closest('.analysis-findings-card');
+			const $toggles = $card.find('.analysis-finding-toggle');
+			const accepted = $toggles.filter(':checked').map(function() {
+				return $(this).val();
+			}).get();
+
+			$(e.currentTarget).closest('li').toggleClass('rejected', !e.currentTarget.checked);
+			$toggles.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_save_analysis_findings',
+					nonce: aiBlogPosts.nonce,
+					scope: $card.data('scope'),
+					accepted: accepted
+				},
+				success: function(response) {
+					if (response.success) {
+						$('.analysis-style-prompt').text(response.data.style_prompt);
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error. Please try again.');
+				},
+				complete: function() {
+					$toggles.prop('disabled', false);
+				}
+			});
+		},
+
+		/**
+		 * Remove a category or author analysis
+		 */
+		deleteAnalysis: function(e) {
+			const self = this;
+			const scope = $(e.currentTarget).data('scope');
+
+			if (!confirm('Remove this analysis? Posts in this scope will follow the next closest analysis.')) {
+				return;
+			}
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_delete_analysis',
+					nonce: aiBlogPosts.nonce,
+					scope: scope
+				},
+				success: function(response) {
+					if (response.success) {
+						$('#analysis-result').html(response.data.report);
+						$('#analysis-status').html('<span class="status-success"><span class="dashicons dashicons-yes-alt"></span> ' + response.data.message + '</span>');
+						self.markAnalyzedScope(scope, false);
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error. Please try again.');
+				}
+			});
+		},
+
+		/**
+		 * Add or remove the analyzed mark on a scope option
+		 */
+		markAnalyzedScope: function(scope, analyzed) {
+			const $option = $('#analysis-scope option').filter(function() {
+				return $(this).val() === scope;
+			});
+
+			if (!$option.length || scope === 'site') {
+				return;
+			}
+
+			const label = $.trim($option.text()).replace(/ ✓$/, '');
+			$option.text(analyzed ? label + ' ✓' : label);
+		},
+
+		/**
+		 * Export logs to CSV
+		 */
+		exportLogs: function(e) {
+			e.preventDefault();
+			
+			// Create a temporary form to trigger download
+			const form = document.createElement('form');
+			form.method = 'POST';
+			form.action = aiBlogPosts.ajaxUrl;
+			
+			const actionInput = document.createElement('input');
+			actionInput.type = 'hidden';
+			actionInput.name = 'action';
+			actionInput.value = 'ai_blog_posts_export_logs';
+			form.appendChild(actionInput);
+			
+			const nonceInput = document.createElement('input');
+			nonceInput.type = 'hidden';
+			nonceInput.name = 'nonce';
+			nonceInput.value = aiBlogPosts.nonce;
+			form.appendChild(nonceInput);
+			
+			document.body.appendChild(form);
+			form.submit();
+			document.body.removeChild(form);
+		},
+
+		/**
+		 * Download the chosen parts of the configuration
+		 */
+		exportConfig: function(e) {
+			e.preventDefault();
+
+			const $sections = $(e.target).find('input[name="sections[]"]:checked');
+
+			if (!$sections.length) {
+				alert('Choose at least one part to export.');
+				return;
+			}
+
+			// Create a temporary form to trigger download
+			const $form = $('<form method="POST"></form>').attr('action', aiBlogPosts.ajaxUrl)
+				.append($('<input type="hidden" name="action">').val('ai_blog_posts_export_config'))
+				.append($('<input type="hidden" name="nonce">').val(aiBlogPosts.nonce));
+
+			$sections.each(function() {
+				$form.append($('<input type="hidden" name="sections[]">').val($(this).val()));
+			});
+
+			$form.appendTo('body').trigger('submit').remove();
+		},
+
+		/**
+		 * Read a configuration file and check it without importing
+		 */
+		checkConfigImport: function(e) {
+			e.preventDefault();
+
+			const file = $('#import-config-file')[0].files[0];
+			const self = this;
+
+			if (!file) {
+				alert('Please select an export file.');
+				return;
+			}
+
+			const reader = new FileReader();
+			reader.onload = function(event) {
+				self.configImportData = event.target.result;
+				self.sendConfigImport(true);
+			};
+			reader.onerror = function() {
+				alert('Error reading file.');
+			};
+			reader.readAsText(file);
+		},
+
+		/**
+		 * Import the checked configuration file
+		 */
+		runConfigImport: function() {
+			if (!confirm('Import this configuration? Settings on this site will be overwritten.')) {
+				return;
+			}
+
+			this.sendConfigImport(false);
+		},
+
+		/**
+		 * Post the configuration file for checking or importing
+		 */
+		sendConfigImport: function(dryRun) {
+			const $buttons = $('#check-config-import, #run-config-import');
+			const self = this;
+
+			$buttons.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_import_config',
+					nonce: aiBlogPosts.nonce,
+					data: this.configImportData,
+					sections: $('#import-config-form input[name="sections[]"]:checked').map(function() { return $(this).val(); }).get(),
+					topic_mode: $('#import-topic-mode').val(),
+					dry_run: dryRun
+				},
+				success: function(response) {
+					if (response.success) {
+						self.renderConfigReport(response.data, dryRun);
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$buttons.prop('disabled', false);
+				}
+			});
+		},
+
+		/**
+		 * Describe what an import changes, section by section
+		 */
+		renderConfigReport: function(report, dryRun) {
+			const self = this;
+			const labels = {
+				settings: 'Settings',
+				prompts: 'Prompt templates and presets',
+				analysis: 'Website analysis',
+				voices: 'Voice profiles',
+				topics: 'Topic queue'
+			};
+			const $sections = $('#config-import-report .config-import-sections').empty();
+			const list = (items, className) => items.length
+				? '<ul class="' + className + '">' + items.map(item => '<li>' + self.escapeHtml(item) + '</li>').join('') + '</ul>'
+				: '';
+
+			$.each(report.sections, function(section, result) {
+				let summary;
+
+				if (section === 'settings') {
+					summary = result.count + ' valid setting(s), ' + result.changed.length + ' different from this site.';
+				} else if (section === 'topics') {
+					summary = result.count + ' topic(s) ' + (dryRun ? 'to import.' : 'imported.');
+				} else if (section === 'prompts') {
+					summary = result.count + ' template set(s) and preset(s).';
+				} else if (section === 'voices') {
+					summary = result.count + ' voice profile(s).';
+				} else {
+					summary = result.count ? 'Included.' : 'Not included.';
+				}
+
+				$sections.append(
+					'<div class="config-import-section">' +
+						'<h4>' + labels[section] + (result.errors.length ? ' <span class="status-badge failed">' + result.errors.length + ' error(s)</span>' : '') + '</h4>' +
+						'<p>' + summary + '</p>' +
+						list(result.errors, 'config-import-errors') +
+						list(result.notices, 'config-import-notices') +
+						(result.changed && result.changed.length ? '<p class="description">Changes: ' + self.escapeHtml(result.changed.join(', ')) + '</p>' : '') +
+					'</div>'
+				);
+			});
+
+			$('#config-import-report .config-import-source').text(
+				dryRun
+					? 'Exported from ' + (report.site || 'an unknown site') + (report.exported_at ? ' on ' + report.exported_at : '') + '. Items with errors are skipped.'
+					: report.message
+			);
+
+			$('#run-config-import').toggle(dryRun);
+			$('#config-import-report').show();
+		},
+
+		/**
+		 * Latest analytics response
+		 */
+		analyticsData: null,
+
+		/**
+		 * Timer for redrawing charts after a resize
+		 */
+		analyticsResizeTimer: null,
+
+		/**
+		 * Load spending analytics for the selected range
+		 */
+		loadAnalytics: function() {
+			if (!$('#cost-analytics').length) return;
+
+			const self = this;
+			const $button = $('#apply-analytics-range');
+
+			$button.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_get_analytics',
+					nonce: aiBlogPosts.nonce,
+					date_from: $('#analytics-from').val(),
+					date_to: $('#analytics-to').val()
+				},
+				success: function(response) {
+					if (response.success) {
+						self.analyticsData = response.data;
+						self.renderAnalytics();
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false);
+				}
+			});
+		},
+
+		/**
+		 * Fill the date range from the selected preset and reload
+		 */
+		applyAnalyticsPreset: function() {
+			const preset = $('#analytics-preset').val();
+			if (preset === 'custom') return;
+
+			// Count back from the site's today, not the browser's
+			const to = new Date($('#analytics-to').attr('max') + 'T00:00:00');
+			const from = new Date(to.getTime());
+
+			if (preset === 'month') {
+				from.setDate(1);
+			} else {
+				from.setDate(from.getDate() - parseInt(preset, 10) + 1);
+			}
+
+			$('#analytics-from').val(this.formatDate(from));
+			$('#analytics-to').val(this.formatDate(to));
+			this.loadAnalytics();
+		},
+
+		/**
+		 * Format a date as YYYY-MM-DD
+		 */
+		formatDate: function(date) {
+			return date.getFullYear() + '-' +
+				String(date.getMonth() + 1).padStart(2, '0') + '-' +
+				String(date.getDate()).padStart(2, '0');
+		},
+
+		/**
+		 * Render summary, forecast and charts from the loaded analytics
+		 */
+		renderAnalytics: function() {
+			const data = this.analyticsData;
+			const self = this;
+
+			$('[data-summary="cost"]').text(this.formatCost(data.totals.cost));
+			$('[data-summary="posts"]').text(data.totals.posts);
+			$('[data-summary="failed"]').text(data.totals.failed);
+			$('[data-summary="avg_cost"]').text(this.formatCost(data.totals.avg_cost));
+
+			this.renderForecast(data.forecast);
+
+			$('.analytics-chart').each(function() {
+				const chart = self.getChartData($(this).data('chart'));
+				const hasData = chart.rows.some(function(row) {
+					return row.values.some(value => value > 0);
+				});
+
+				$(this).find('.analytics-chart-canvas').toggle(hasData);
+				$(this).find('.analytics-chart-empty').toggle(!hasData);
+
+				if (hasData) {
+					self.drawChart($(this).find('canvas')[0], chart);
+				}
+			});
+		},
+
+		/**
+		 * Show month-to-date spend and the month-end projection
+		 */
+		renderForecast: function(forecast) {
+			const $forecast = $('#analytics-forecast');
+			const $bar = $forecast.find('.analytics-forecast-bar');
+			const limit = forecast.budget_limit;
+			let text = this.formatCost(forecast.month_to_date) + ' spent this month, on track for ' +
+				this.formatCost(forecast.projected) + ' by the end of the month.';
+
+			if (limit > 0) {
+				text += forecast.projected > limit
+					? ' That is over the ' + this.formatCost(limit) + ' monthly budget.'
+					: ' Monthly budget: ' + this.formatCost(limit) + '.';
+
+				$bar.find('.progress-fill').css('width', Math.min(100, forecast.month_to_date / limit * 100) + '%');
+				$bar.find('.analytics-forecast-marker').css('left', Math.min(100, forecast.projected / limit * 100) + '%');
+				$bar.show();
+			} else {
+				$bar.hide();
+			}
+
+			$forecast.toggleClass('is-over', limit > 0 && forecast.projected > limit);
+			$forecast.find('.analytics-forecast-text').text(text);
+			$forecast.show();
+		},
+
+		/**
+		 * Build the rows, tooltips and CSV for a chart
+		 */
+		getChartData: function(chartId) {
+			const data = this.analyticsData;
+			const self = this;
+			const capitalize = function(text) {
+				return String(text).charAt(0).toUpperCase() + String(text).slice(1);
+			};
+
+			if (chartId === 'daily_cost') {
+				return {
+					type: 'columns',
+					format: 'cost',
+					rows: data.daily.map(function(day) {
+						return { label: day.label, values: [day.cost], tooltip: day.label + ': ' + self.formatCost(day.cost) };
+					}),
+					csv: [['Date', 'Spend (USD)']].concat(data.daily.map(day => [day.label, day.cost]))
+				};
+			}
+
+			if (chartId === 'daily_posts') {
+				return {
+					type: 'columns',
+					format: 'count',
+					rows: data.daily.map(function(day) {
+						return {
+							label: day.label,
+							values: [day.posts, day.failed],
+							tooltip: day.label + ': ' + day.posts + ' posts, ' + day.failed + ' failed'
+						};
+					}),
+					csv: [['Date', 'Posts', 'Failed']].concat(data.daily.map(day => [day.label, day.posts, day.failed]))
+				};
+			}
+
+			const rows = data[chartId] || [];
+
+			return {
+				type: 'bars',
+				format: 'cost',
+				rows: rows.map(function(row) {
+					const label = chartId === 'by_model' ? row.label : capitalize(row.label);
+					return {
+						label: label,
+						values: [row.cost],
+						tooltip: label + ': ' + self.formatCost(row.cost) + ' across ' + row.count + ' generation(s)'
+					};
+				}),
+				csv: [['Name', 'Spend (USD)', 'Generations']].concat(rows.map(row => [row.label, row.cost, row.count]))
+			};
+		},
+
+		/**
+		 * Round a chart's top value up to a tidy axis maximum
+		 */
+		niceMax: function(value, whole) {
+			if (whole) {
+				return Math.max(4, Math.ceil(value / 4) * 4);
+			}
+
+			if (value <= 0) return 1;
+
+			const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+			return Math.ceil(value / magnitude * 2) / 2 * magnitude;
+		},
+
+		/**
+		 * Shorten text to fit a width on the canvas
+		 */
+		truncateText: function(ctx, text, maxWidth) {
+			if (ctx.measureText(text).width <= maxWidth) return text;
+
+			while (text.length > 1 && ctx.measureText(text + '…').width > maxWidth) {
+				text = text.slice(0, -1);
+			}
+
+			return text + '…';
+		},
+
+		/**
+		 * Draw a column (time series) or horizontal bar (breakdown) chart
+		 */
+		drawChart: function(canvas, chart) {
+			const self = this;
+			const ratio = window.devicePixelRatio || 1;
+			const width = canvas.parentNode.clientWidth;
+			const rowHeight = 28;
+			const height = chart.type === 'bars' ? chart.rows.length * rowHeight + 16 : 220;
+			const ctx = canvas.getContext('2d');
+			const styles = getComputedStyle(document.documentElement);
+			const colors = [
+				styles.getPropertyValue('--aibp-primary').trim() || '#2563eb',
+				styles.getPropertyValue('--aibp-error').trim() || '#dc2626'
+			];
+			const textColor = styles.getPropertyValue('--aibp-gray-600').trim() || '#4b5563';
+			const gridColor = styles.getPropertyValue('--aibp-gray-200').trim() || '#e5e7eb';
+			const format = function(value) {
+				return chart.format === 'cost' ? self.formatCost(value) : String(value);
+			};
+
+			canvas.width = width * ratio;
+			canvas.height = height * ratio;
+			canvas.style.width = width + 'px';
+			canvas.style.height = height + 'px';
+			ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+			// Solid background so exported PNGs aren't transparent
+			ctx.fillStyle = '#fff';
+			ctx.fillRect(0, 0, width, height);
+			ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+			ctx.textBaseline = 'middle';
+
+			// Hover areas for the tooltip
+			canvas.chartRegions = [];
+
+			if (chart.type === 'bars') {
+				const labelWidth = Math.min(160, width * 0.35);
+				const valueWidth = 70;
+				const max = Math.max.apply(null, chart.rows.map(row => row.values[0])) || 1;
+
+				chart.rows.forEach(function(row, i) {
+					const y = 8 + i * rowHeight;
+					const barWidth = (width - labelWidth - valueWidth) * row.values[0] / max;
+
+					ctx.fillStyle = textColor;
+					ctx.textAlign = 'right';
+					ctx.fillText(self.truncateText(ctx, row.label, labelWidth - 16), labelWidth - 8, y + rowHeight / 2);
+
+					ctx.fillStyle = colors[0];
+					ctx.fillRect(labelWidth, y + 6, Math.max(barWidth, 1), rowHeight - 12);
+
+					ctx.fillStyle = textColor;
+					ctx.textAlign = 'left';
+					ctx.fillText(format(row.values[0]), labelWidth + barWidth + 6, y + rowHeight / 2);
+
+					canvas.chartRegions.push({ x: 0, y: y, w: width, h: rowHeight, text: row.tooltip });
+				});
+
+				return;
+			}
+
+			const left = 60;
+			const top = 10;
+			const bottom = 24;
+			const plotWidth = width - left - 10;
+			const plotHeight = height - top - bottom;
+			const totals = chart.rows.map(function(row) {
+				return row.values.reduce((sum, value) => sum + value, 0);
+			});
+			const max = this.niceMax(Math.max.apply(null, totals), chart.format === 'count');
+			const step = plotWidth / chart.rows.length;
+			const labelEvery = Math.ceil(chart.rows.length / Math.max(1, Math.floor(plotWidth / 60)));
+
+			// Gridlines with axis labels
+			ctx.strokeStyle = gridColor;
+			ctx.textAlign = 'right';
+			for (let i = 0; i <= 4; i++) {
+				const y = Math.round(top + plotHeight - plotHeight * i / 4) + 0.5;
+
+				ctx.beginPath();
+				ctx.moveTo(left, y);
+				ctx.lineTo(width - 10, y);
+				ctx.stroke();
+
+				ctx.fillStyle = textColor;
+				ctx.fillText(format(max * i / 4), left - 6, y);
+			}
+
+			chart.rows.forEach(function(row, i) {
+				const x = left + i * step;
+				let y = top + plotHeight;
+
+				// Stack each series on top of the last
+				row.values.forEach(function(value, series) {
+					const barHeight = plotHeight * value / max;
+
+					ctx.fillStyle = colors[series % colors.length];
+					ctx.fillRect(x + step * 0.15, y - barHeight, Math.max(step * 0.7, 1), barHeight);
+					y -= barHeight;
+				});
+
+				if (i % labelEvery === 0) {
+					ctx.fillStyle = textColor;
+					ctx.textAlign = 'center';
+					ctx.fillText(row.label.slice(5), x + step / 2, height - bottom / 2);
+				}
+
+				canvas.chartRegions.push({ x: x, y: top, w: step, h: plotHeight, text: row.tooltip });
+			});
+		},
+
+		/**
+		 * Show the tooltip for the bar under the mouse
+		 */
+		showChartTooltip: function(e) {
+			const canvas = e.currentTarget;
+			const rect = canvas.getBoundingClientRect();
+			const x = e.clientX - rect.left;
+			const y = e.clientY - rect.top;
+			const $tooltip = $(canvas).siblings('.analytics-chart-tooltip');
+			const region = (canvas.chartRegions || []).find(function(area) {
+				return x >= area.x && x < area.x + area.w && y >= area.y && y < area.y + area.h;
+			});
+
+			if (!region) {
+				$tooltip.hide();
+				return;
+			}
+
+			$tooltip.text(region.text).css({ left: x + 12, top: y + 12 }).show();
+		},
+
+		/**
+		 * Download a chart as PNG or its data as CSV
+		 */
+		exportChart: function(e) {
+			const $button = $(e.currentTarget);
+			const chartId = $button.data('chart');
+			const $chart = $('.analytics-chart[data-chart="' + chartId + '"]');
+			const data = this.analyticsData;
+
+			if (!data) return;
+
+			const filename = 'ai-blog-posts-' + chartId.replace('_', '-') + '-' + data.date_from + '-to-' + data.date_to;
+
+			if ($button.data('format') === 'csv') {
+				const csv = this.getChartData(chartId).csv.map(function(cols) {
+					return cols.map(function(value) {
+						value = String(value);
+						return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+					}).join(',');
+				}).join('\n');
+				const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+
+				this.downloadFile(filename + '.csv', url);
+				setTimeout(function() {
+					URL.revokeObjectURL(url);
+				}, 1000);
+				return;
+			}
+
+			if ($chart.find('.analytics-chart-empty').is(':visible')) {
+				alert('There is no data to export for this range.');
+				return;
+			}
+
+			// Add the title and range above the chart in the image
+			const canvas = $chart.find('canvas')[0];
+			const ratio = window.devicePixelRatio || 1;
+			const output = document.createElement('canvas');
+			const ctx = output.getContext('2d');
+
+			output.width = canvas.width;
+			output.height = canvas.height + 32 * ratio;
+			ctx.fillStyle = '#fff';
+			ctx.fillRect(0, 0, output.width, output.height);
+			ctx.drawImage(canvas, 0, 32 * ratio);
+			ctx.scale(ratio, ratio);
+			ctx.fillStyle = '#111827';
+			ctx.font = '600 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+			ctx.textBaseline = 'middle';
+			ctx.fillText($(canvas).data('title') + ' (' + data.date_from + ' – ' + data.date_to + ')', 8, 16);
+
+			this.downloadFile(filename + '.png', output.toDataURL('image/png'));
+		},
+
+		/**
+		 * Trigger a browser download of a URL
+		 */
+		downloadFile: function(filename, url) {
+			const link = document.createElement('a');
+			link.href = url;
+			link.download = filename;
+			document.body.appendChild(link);
+			link.click();
+			document.body.removeChild(link);
+		},
+
+		/**
+		 * Clear all logs
+		 */
+		clearLogs: function(e) {
+			e.preventDefault();
+			
+			if (!confirm('Are you sure you want to delete ALL generation logs? This action cannot be undone.')) {
+				return;
+			}
+
+			const $button = $('#clear-logs');
+			$button.prop('disabled', true).text('Clearing...');
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_clear_logs',
+					nonce: aiBlogPosts.nonce
+				},
+				success: function(response) {
+					if (response.success) {
+						alert(response.data.message);
+						location.reload();
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false).html('<span class="dashicons dashicons-trash"></span> Clear All Logs');
+				}
+			});
+		},
+
+		/**
+		 * Prompt textarea that last had focus, for inserting variables
+		 */
+		lastPromptField: null,
+
+		/**
+		 * Collect the prompt editor contents, optionally for one stage
+		 */
+		collectPromptTemplates: function(stage) {
+			const templates = {};
+
+			$('.prompt-template').each(function() {
+				const $field = $(this);
+				const fieldStage = $field.data('stage');
+
+				if (stage && fieldStage !== stage) return;
+
+				templates[fieldStage] = templates[fieldStage] || {};
+				templates[fieldStage][$field.data('part')] = $field.val();
+			});
+
+			return templates;
+		},
+
+		/**
+		 * Fill the prompt editors from a set of templates
+		 */
+		fillPromptTemplates: function(templates) {
+			$('.prompt-template').each(function() {
+				const $field = $(this);
+				const stageTemplates = templates[$field.data('stage')];
+
+				if (stageTemplates && typeof stageTemplates[$field.data('part')] === 'string') {
+					$field.val(stageTemplates[$field.data('part')]);
+				}
+			});
+
+			$('.prompt-preview').hide();
+		},
+
+		/**
+		 * Save prompt templates
+		 */
+		savePrompts: function(e) {
+			e.preventDefault();
+
+			const $button = $('#save-prompts');
+			const $status = $('.save-status');
+
+			$button.prop('disabled', true);
+			$status.removeClass('success').text(aiBlogPosts.strings.saving);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_save_prompts',
+					nonce: aiBlogPosts.nonce,
+					templates: this.collectPromptTemplates()
+				},
+				success: function(response) {
+					if (response.success) {
+						$status.addClass('success').text(aiBlogPosts.strings.success + ' ' + response.data.message);
+						$.each(response.data.customized, function(stage, customized) {
+							$('.nav-tab[data-stage="' + stage + '"] .prompt-customized').toggle(customized);
+						});
+					} else {
+						$status.text(aiBlogPosts.strings.error + ': ' + response.data.message);
+					}
+				},
+				error: function() {
+					$status.text('Connection error. Please try again.');
+				},
+				complete: function() {
+					$button.prop('disabled', false);
+					setTimeout(function() {
+						$status.text('');
+					}, 3000);
+				}
+			});
+		},
+
+		/**
+		 * Render a stage's unsaved templates with the sample topic
+		 */
+		previewPrompt: function(e) {
+			const $button = $(e.currentTarget);
+			const stage = $button.data('stage');
+			const $preview = $('.prompt-preview[data-stage="' + stage + '"]');
+
+			$button.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_preview_prompt',
+					nonce: aiBlogPosts.nonce,
+					stage: stage,
+					sample_topic: $('#prompt-sample-topic').val(),
+					sample_content_type: $('#prompt-sample-type').val(),
+					templates: this.collectPromptTemplates(stage)[stage]
+				},
+				success: function(response) {
+					if (response.success) {
+						$preview.find('.prompt-preview-system').text(response.data.system);
+						$preview.find('.prompt-preview-user').text(response.data.user);
+						$preview.show();
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false);
+				}
+			});
+		},
+
+		/**
+		 * Put a stage's built-in prompts back in the editor
+		 */
+		resetPrompt: function(e) {
+			const stage = $(e.currentTarget).data('stage');
+
+			if (!confirm('Replace this stage\'s prompts with the defaults? Click Save Templates afterwards to keep the change.')) {
+				return;
+			}
+
+			$('.prompt-template[data-stage="' + stage + '"]').each(function() {
+				$(this).val($(this).data('default'));
+			});
+			$('.prompt-preview[data-stage="' + stage + '"]').hide();
+		},
+
+		/**
+		 * Insert a variable at the cursor of the last focused prompt field
+		 */
+		insertPromptVariable: function(e) {
+			const variable = '{' + $(e.currentTarget).data('variable') + '}';
+			const $tab = $(e.currentTarget).closest('.settings-tab');
+			let field = this.lastPromptField;
+
+			if (!field || !$.contains($tab[0], field)) {
+				field = $tab.find('.prompt-template[data-part="user"]')[0];
+			}
+
+			const start = field.selectionStart;
+			const end = field.selectionEnd;
+
+			field.value = field.value.substring(0, start) + variable + field.value.substring(end);
+			field.focus();
+			field.selectionStart = field.selectionEnd = start + variable.length;
+		},
+
+		/**
+		 * Load the selected preset into the editors
+		 */
+		loadPromptPreset: function() {
+			const $option = $('#prompt-preset option:selected');
+
+			if (!$option.val()) {
+				alert('Please select a preset.');
+				return;
+			}
+
+			this.fillPromptTemplates($option.data('templates'));
+			$('#prompt-preset-name').val($option.val());
+			$('.save-status').removeClass('success').text('Preset loaded. Click Save Templates to start using it.');
+		},
+
+		/**
+		 * Save the editor contents as a named preset
+		 */
+		savePromptPreset: function() {
+			const self = this;
+			const name = $('#prompt-preset-name').val().trim();
+			const $button = $('#save-prompt-preset');
+
+			if (!name) {
+				alert('Please enter a preset name.');
+				return;
+			}
+
+			if ($('#prompt-preset option').filter(function() { return $(this).val() === name; }).length &&
+				!confirm('A preset named "' + name + '" already exists. Overwrite it?')) {
+				return;
+			}
 
-			for (let i = 0; i < content.length; i++) {
-				const char = content[i];
-				const nextChar = content[i + 1];
+			$button.prop('disabled', true);
 
-				if (inQuotes) {
-					if (char === '"' && nextChar === '"') {
-						// Escaped quote
-						currentField += '"';
-						i++;
-					} else if (char === '"') {
-						// End of quoted field
-						inQuotes = false;
-					} else {
-						currentField += char;
-					}
-				} else {
-					if (char === '"') {
-						// Start of quoted field
-						inQuotes = true;
-					} else if (char === ',') {
-						// Field separator
-						currentRow.push(currentField);
-						currentField = '';
-					} else if (char === '\r' && nextChar === '\n') {
-						// Windows line ending
-						currentRow.push(currentField);
-						rows.push(currentRow);
-						currentRow = [];
-						currentField = '';
-						i++;
-					} else if (char === '\n' || char === '\r') {
-						// Unix or old Mac line ending
-						currentRow.push(currentField);
-						rows.push(currentRow);
-						currentRow = [];
-						currentField = '';
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_save_prompt_preset',
+					nonce: aiBlogPosts.nonce,
+					name: name,
+					templates: this.collectPromptTemplates()
+				},
+				success: function(response) {
+					if (response.success) {
+						self.renderPromptPresets(response.data.presets, name);
+						$('.save-status').addClass('success').text(response.data.message);
 					} else {
-						currentField += char;
+						alert('Error: ' + response.data.message);
 					}
+				},
+				error: function() {
+					alert('Connection error.');
+				},
+				complete: function() {
+					$button.prop('disabled', false);
 				}
+			});
+		},
+
+		/**
+		 * Delete the selected preset
+		 */
+		deletePromptPreset: function() {
+			const self = this;
+			const name = $('#prompt-preset').val();
+
+			if (!name) {
+				alert('Please select a preset.');
+				return;
 			}
 
-			// Handle last field/row
-			if (currentField || currentRow.length > 0) {
-				currentRow.push(currentField);
-				rows.push(currentRow);
+			if (!confirm('Delete the preset "' + name + '"?')) {
+				return;
 			}
 
-			return rows;
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_delete_prompt_preset',
+					nonce: aiBlogPosts.nonce,
+					name: name
+				},
+				success: function(response) {
+					if (response.success) {
+						self.renderPromptPresets(response.data.presets, '');
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error.');
+				}
+			});
 		},
 
 		/**
-		 * Extract keywords from a topic title
+		 * Rebuild the preset dropdown
 		 */
-		extractKeywords: function(topic) {
-			// Common words to filter out
-			const stopWords = [
-				'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-				'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
-				'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-				'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
-				'it', 'its', 'you', 'your', 'we', 'our', 'they', 'their', 'what', 'which',
-				'who', 'whom', 'how', 'when', 'where', 'why', 'all', 'each', 'every',
-				'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'not',
-				'only', 'same', 'so', 'than', 'too', 'very', 'just', 'also', 'now',
-				'here', 'there', 'about', 'into', 'through', 'during', 'before', 'after',
-				'above', 'below', 'between', 'under', 'again', 'further', 'then', 'once'
-			];
-			
-			// Clean and split the topic
-			const words = topic
-				.toLowerCase()
-				.replace(/[^\w\s]/g, ' ')  // Remove punctuation
-				.split(/\s+/)               // Split by whitespace
-				.filter(word => {
-					return word.length > 2 && !stopWords.includes(word);
-				});
-			
-			// Get unique keywords (max 5)
-			const uniqueKeywords = [...new Set(words)].slice(0, 5);
-			
-			return uniqueKeywords.join(', ');
+		renderPromptPresets: function(presets, selected) {
+			const $select = $('#prompt-preset');
+
+			$select.find('option').not(':first').remove();
+
+			$.each(presets, function(name, templates) {
+				$('<option>').val(name).text(name).data('templates', templates).appendTo($select);
+			});
+
+			$select.val(selected);
 		},
 
 		/**
-		 * Toggle all topics checkboxes
+		 * Collect the voice profile form
 		 */
-		toggleAllTopics: function() {
-			const checked = $(this).is(':checked');
-			$('.topic-checkbox').prop('checked', checked);
+		collectVoiceProfile: function() {
+			const $form = $('#voice-profile-form');
+			const profile = {
+				id: $form.find('[name="id"]').val(),
+				name: $('#voice-name').val().trim(),
+				description: $('#voice-description').val(),
+				tone: {},
+				reading_level: $('#voice-reading-level').val(),
+				person: $('#voice-person').val(),
+				banned: $('#voice-banned').val(),
+				preferred: $('#voice-preferred').val(),
+				max_sentence_words: $('#voice-max-sentence-words').val() || 0,
+				max_paragraph_sentences: $('#voice-max-paragraph-sentences').val() || 0,
+				headings: $('#voice-headings').val(),
+				exclamations: $form.find('[name="exclamations"]').is(':checked') ? 1 : 0,
+				rules: $('#voice-rules').val(),
+				examples: $('#voice-examples').val(),
+				categories: $form.find('[name="categories[]"]:checked').map(function() { return $(this).val(); }).get()
+			};
+
+			$form.find('input[type="range"]').each(function() {
+				profile.tone[$(this).attr('name').replace(/^tone\[|\]$/g, '')] = $(this).val();
+			});
+
+			return profile;
 		},
 
 		/**
-		 * Analyze website
+		 * Save the voice profile and reload it
 		 */
-		analyzeWebsite: function(e) {
+		saveVoiceProfile: function(e) {
 			e.preventDefault();
-			
-			const $button = $(e.currentTarget);
-			const $status = $('#analysis-status');
-			const $result = $('#analysis-result');
-			const useAi = $button.data('use-ai') === true || $button.data('use-ai') === 'true';
-			const originalHtml = $button.html();
 
-			// Disable both buttons during analysis
-			$('#analyze-website, #analyze-website-ai').prop('disabled', true);
-			
-			if (useAi) {
-				$button.html('<span class="dashicons dashicons-update spin"></span> AI Analyzing...');
-			} else {
-				$button.html('<span class="dashicons dashicons-update spin"></span> Analyzing...');
+			const $button = $('#save-voice-profile');
+			const $status = $('#voice-profile-form .save-status');
+			const profile = this.collectVoiceProfile();
+
+			if (!profile.name) {
+				alert('Please enter a profile name.');
+				return;
 			}
-			
-			$status.html('<span class="status-warning">Analyzing your content...</span>');
+
+			$button.prop('disabled', true);
+			$status.removeClass('success error').text('Saving...');
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'ai_blog_posts_analyze_website',
+					action: 'ai_blog_posts_save_voice_profile',
 					nonce: aiBlogPosts.nonce,
-					use_ai: useAi
+					profile: profile,
+					is_default: $('#voice-is-default').is(':checked')
 				},
-				timeout: 120000, // 2 minutes for AI analysis
 				success: function(response) {
 					if (response.success) {
-						$status.html('<span class="status-success"><span class="dashicons dashicons-yes-alt"></span> ' + response.data.message + '</span>');
-						
-						// Reload page to show full analysis with PHP rendering
-						setTimeout(function() {
-							location.reload();
-						}, 500);
+						$status.addClass('success').text(response.data.message);
+						window.location.href = response.data.redirect;
 					} else {
-						$status.html('<span class="status-error"><span class="dashicons dashicons-warning"></span> ' + response.data.message + '</span>');
-						$('#analyze-website, #analyze-website-ai').prop('disabled', false);
-						$button.html(originalHtml);
+						$status.addClass('error').text(response.data.message);
+						$button.prop('disabled', false);
 					}
 				},
-				error: function(xhr, status, error) {
-					let errorMsg = 'Connection error.';
-					if (status === 'timeout') {
-						errorMsg = 'Request timed out. Please try again.';
-					}
-					$status.html('<span class="status-error"><span class="dashicons dashicons-warning"></span> ' + errorMsg + '</span>');
-					$('#analyze-website, #analyze-website-ai').prop('disabled', false);
-					$button.html(originalHtml);
+				error: function() {
+					$status.addClass('error').text('Connection error. Please try again.');
+					$button.prop('disabled', false);
 				}
 			});
 		},
 
 		/**
-		 * Export logs to CSV
+		 * Delete the open voice profile
 		 */
-		exportLogs: function(e) {
-			e.preventDefault();
-			
-			// Create a temporary form to trigger download
-			const form = document.createElement('form');
-			form.method = 'POST';
-			form.action = aiBlogPosts.ajaxUrl;
-			
-			const actionInput = document.createElement('input');
-			actionInput.type = 'hidden';
-			actionInput.name = 'action';
-			actionInput.value = 'ai_blog_posts_export_logs';
-			form.appendChild(actionInput);
-			
-			const nonceInput = document.createElement('input');
-			nonceInput.type = 'hidden';
-			nonceInput.name = 'nonce';
-			nonceInput.value = aiBlogPosts.nonce;
-			form.appendChild(nonceInput);
-			
-			document.body.appendChild(form);
-			form.submit();
-			document.body.removeChild(form);
+		deleteVoiceProfile: function(e) {
+			const id = $(e.currentTarget).data('id');
+
+			if (!confirm('Delete this voice profile? Topics that use it will fall back to their category\'s profile.')) {
+				return;
+			}
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_delete_voice_profile',
+					nonce: aiBlogPosts.nonce,
+					id: id
+				},
+				success: function(response) {
+					if (response.success) {
+						window.location.href = response.data.redirect;
+					} else {
+						alert('Error: ' + response.data.message);
+					}
+				},
+				error: function() {
+					alert('Connection error. Please try again.');
+				}
+			});
 		},
 
 		/**
-		 * Clear all logs
+		 * Fill the form with a new profile based on the website analysis
 		 */
-		clearLogs: function(e) {
-			e.preventDefault();
-			
-			if (!confirm('Are you sure you want to delete ALL generation logs? This action cannot be undone.')) {
+		seedVoiceProfile: function() {
+			const $button = $('#seed-voice-profile');
+
+			if ($('#voice-name').val() && !confirm('Replace the form contents with a new profile based on the website analysis?')) {
 				return;
 			}
 
-			const $button = $('#clear-logs');
-			$button.prop('disabled', true).text('Clearing...');
+			$button.prop('disabled', true);
 
 			$.ajax({
 				url: aiBlogPosts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'ai_blog_posts_clear_logs',
+					action: 'ai_blog_posts_seed_voice_profile',
 					nonce: aiBlogPosts.nonce
 				},
 				success: function(response) {
-					if (response.success) {
-						alert(response.data.message);
-						location.reload();
-					} else {
+					if (!response.success) {
+						alert('Error: ' + response.data.message);
+						return;
+					}
+
+					const profile = response.data.profile;
+					const $form = $('#voice-profile-form');
+
+					// Saving creates a new profile rather than changing the open one
+					$form.find('[name="id"]').val('');
+					$('#delete-voice-profile').remove();
+					$('#voice-name').val(profile.name);
+					$('#voice-description').val(profile.description);
+					$.each(profile.tone, function(tone, value) {
+						$('#voice-tone-' + tone).val(value);
+					});
+					$('#voice-reading-level').val(profile.reading_level);
+					$('#voice-person').val(profile.person);
+					$('#voice-banned').val(profile.banned.join('\n'));
+					$('#voice-preferred').val(profile.preferred.join('\n'));
+					$('#voice-max-sentence-words').val(profile.max_sentence_words);
+					$('#voice-max-paragraph-sentences').val(profile.max_paragraph_sentences);
+					$('#voice-headings').val(profile.headings);
+					$form.find('[name="exclamations"]').prop('checked', profile.exclamations);
+					$('#voice-rules').val(profile.rules);
+					$('#voice-examples').val(profile.examples);
+					$form.find('[name="categories[]"]').prop('checked', false);
+					$('#voice-is-default').prop('checked', false);
+					$('#voice-name').trigger('focus');
+				},
+				error: function() {
+					alert('Connection error. Please try again.');
+				},
+				complete: function() {
+					$button.prop('disabled', false);
+				}
+			});
+		},
+
+		/**
+		 * Show the style instructions and check the sample text
+		 */
+		previewVoiceProfile: function() {
+			const self = this;
+			const $button = $('#preview-voice-profile');
+			const $preview = $('#voice-profile-preview');
+
+			$button.prop('disabled', true);
+
+			$.ajax({
+				url: aiBlogPosts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'ai_blog_posts_preview_voice_profile',
+					nonce: aiBlogPosts.nonce,
+					profile: this.collectVoiceProfile(),
+					sample: $('#voice-sample').val()
+				},
+				success: function(response) {
+					if (!response.success) {
 						alert('Error: ' + response.data.message);
+						return;
+					}
+
+					const violations = response.data.violations;
+					let check = '';
+
+					if (violations && violations.length) {
+						check = '<h4>Issues in the Sample</h4><ul class="voice-violations">' +
+							violations.map(v => '<li>' + self.escapeHtml(v.message) + '</li>').join('') + '</ul>';
+					} else if (violations) {
+						check = '<p class="status-success">The sample follows the measurable rules.</p>';
 					}
+
+					$preview.find('.voice-preview-prompt').text(response.data.prompt || 'This profile adds no instructions yet.');
+					$preview.find('.voice-preview-check').html(check);
+					$preview.show();
 				},
 				error: function() {
-					alert('Connection error.');
+					alert('Connection error. Please try again.');
 				},
 				complete: function() {
-					$button.prop('disabled', false).html('<span class="dashicons dashicons-trash"></span> Clear All Logs');
+					$button.prop('disabled', false);
 				}
 			});
 		}
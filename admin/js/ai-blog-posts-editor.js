@@ -0,0 +1,287 @@
+/**
+ * AI Blog Posts block editor sidebar
+ *
+ * Runs the same step-by-step generation as the Generate Post page and
+ * inserts the result into the post being edited.
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ */
+
+(function(wp, $) {
+	'use strict';
+
+	const el = wp.element.createElement;
+	const { Fragment, useState } = wp.element;
+	const { PanelBody, TextControl, TextareaControl, Button, Spinner, Notice } = wp.components;
+	const { useSelect, useDispatch } = wp.data;
+	const { __ } = wp.i18n;
+
+	// PluginSidebar moved from edit-post to editor in WordPress 6.6
+	const PluginSidebar = (wp.editor && wp.editor.PluginSidebar) || wp.editPost.PluginSidebar;
+	const PluginSidebarMoreMenuItem = (wp.editor && wp.editor.PluginSidebarMoreMenuItem) || wp.editPost.PluginSidebarMoreMenuItem;
+
+	const SIDEBAR_NAME = 'ai-blog-posts-sidebar';
+
+	/**
+	 * Labels for each generation step
+	 */
+	const stepLabels = {
+		outline: __('Creating outline...', 'ai-blog-posts'),
+		content: __('Writing content...', 'ai-blog-posts'),
+		humanize: __('Humanizing text...', 'ai-blog-posts'),
+		seo: __('Optimizing for SEO...', 'ai-blog-posts'),
+		finalize: __('Preparing blocks...', 'ai-blog-posts')
+	};
+
+	/**
+	 * Post to admin-ajax and resolve with the response data
+	 */
+	function request(action, data, timeout) {
+		return new Promise(function(resolve, reject) {
+			$.ajax({
+				url: aiBlogPostsEditor.ajaxUrl,
+				type: 'POST',
+				timeout: timeout || 120000,
+				data: $.extend({ action: action, nonce: aiBlogPostsEditor.nonce }, data),
+				success: function(response) {
+					if (response.success) {
+						resolve(response.data);
+					} else {
+						reject(new Error((response.data && response.data.message) || __('Request failed.', 'ai-blog-posts')));
+					}
+				},
+				error: function(xhr, status) {
+					reject(new Error(status === 'timeout'
+						? __('The request timed out. Please try again.', 'ai-blog-posts')
+						: __('Connection error. Please try again.', 'ai-blog-posts')));
+				}
+			});
+		});
+	}
+
+	/**
+	 * Run each generation step until the job completes
+	 */
+	function runSteps(jobId, step, onStep) {
+		onStep(step);
+
+		return request('ai_blog_posts_process_step', { job_id: jobId, step: step }).then(function(data) {
+			if (data.job_status === 'completed' || !data.next_step) {
+				return data;
+			}
+			return runSteps(jobId, data.next_step, onStep);
+		});
+	}
+
+	/**
+	 * Check whether the editor holds nothing but empty paragraphs
+	 */
+	function isEditorEmpty(blocks) {
+		return blocks.every(function(block) {
+			return block.name === 'core/paragraph' && !$.trim(block.attributes.content || '');
+		});
+	}
+
+	/**
+	 * Sidebar panel for writing a new draft
+	 */
+	function GeneratePanel() {
+		const [topic, setTopic] = useState('');
+		const [keywords, setKeywords] = useState('');
+		const [instructions, setInstructions] = useState('');
+		const [status, setStatus] = useState('');
+		const [busy, setBusy] = useState(false);
+		const [notice, setNotice] = useState(null);
+
+		const editor = useSelect(function(select) {
+			return {
+				postId: select('core/editor').getCurrentPostId(),
+				title: select('core/editor').getEditedPostAttribute('title'),
+				blocks: select('core/block-editor').getBlocks()
+			};
+		}, []);
+
+		const { editPost } = useDispatch('core/editor');
+		const { insertBlocks, resetBlocks } = useDispatch('core/block-editor');
+
+		const generate = function() {
+			setBusy(true);
+			setNotice(null);
+			setStatus(__('Starting generation...', 'ai-blog-posts'));
+
+			request('ai_blog_posts_start_generation', {
+				topic: topic,
+				keywords: keywords,
+				additional_instructions: instructions,
+				editor_post_id: editor.postId,
+				generate_image: 'false'
+			}, 30000).then(function(data) {
+				return runSteps(data.job_id, data.next_step, function(step) {
+					setStatus(stepLabels[step] || step);
+				});
+			}).then(function(data) {
+				const blocks = wp.blocks.parse(data.content || '');
+
+				if (isEditorEmpty(editor.blocks)) {
+					resetBlocks(blocks);
+				} else {
+					insertBlocks(blocks);
+				}
+
+				if (!editor.title && data.title) {
+					editPost({ title: data.title });
+				}
+
+				setNotice({
+					status: 'success',
+					message: __('Content inserted. Cost:', 'ai-blog-posts') + ' $' + (data.cost_usd || 0).toFixed(4)
+				});
+			}).catch(function(err) {
+				setNotice({ status: 'error', message: err.message });
+			}).then(function() {
+				setBusy(false);
+				setStatus('');
+			});
+		};
+
+		return el(PanelBody, { title: __('Write with AI', 'ai-blog-posts'), initialOpen: true },
+			el(TextControl, {
+				label: __('Topic', 'ai-blog-posts'),
+				value: topic,
+				onChange: setTopic,
+				disabled: busy
+			}),
+			el(TextControl, {
+				label: __('Focus Keywords', 'ai-blog-posts'),
+				help: __('Comma-separated (optional).', 'ai-blog-posts'),
+				value: keywords,
+				onChange: setKeywords,
+				disabled: busy
+			}),
+			el(TextareaControl, {
+				label: __('Additional Instructions', 'ai-blog-posts'),
+				value: instructions,
+				onChange: setInstructions,
+				rows: 3,
+				disabled: busy
+			}),
+			notice && el(Notice, { status: notice.status, isDismissible: true, onRemove: function() { setNotice(null); } }, notice.message),
+			el(Button, {
+				variant: 'primary',
+				onClick: generate,
+				disabled: busy || !$.trim(topic)
+			}, __('Generate Content', 'ai-blog-posts')),
+			busy && el('p', { className: 'ai-blog-posts-editor-status' }, el(Spinner), ' ', status)
+		);
+	}
+
+	/**
+	 * Sidebar panel for SEO meta and featured image on the current post
+	 */
+	function ToolsPanel() {
+		const [busy, setBusy] = useState('');
+		const [notice, setNotice] = useState(null);
+		const [seo, setSeo] = useState(null);
+
+		const editor = useSelect(function(select) {
+			return {
+				postId: select('core/editor').getCurrentPostId(),
+				title: select('core/editor').getEditedPostAttribute('title'),
+				getContent: select('core/editor').getEditedPostContent
+			};
+		}, []);
+
+		const { editPost } = useDispatch('core/editor');
+
+		const generateSeo = function() {
+			setBusy('seo');
+			setNotice(null);
+
+			request('ai_blog_posts_generate_post_seo', {
+				post_id: editor.postId,
+				title: editor.title,
+				content: editor.getContent()
+			}).then(function(data) {
+				setSeo(data.seo_data);
+				setNotice({ status: data.saved ? 'success' : 'warning', message: data.message });
+			}).catch(function(err) {
+				setNotice({ status: 'error', message: err.message });
+			}).then(function() {
+				setBusy('');
+			});
+		};
+
+		const generateImage = function() {
+			setBusy('image');
+			setNotice(null);
+
+			request('ai_blog_posts_generate_post_image', {
+				post_id: editor.postId,
+				title: editor.title
+			}).then(function(data) {
+				// Keep the editor in sync so saving doesn't clear the new image
+				editPost({ featured_media: data.attachment_id });
+				setNotice({
+					status: 'success',
+					message: __('Featured image set. Cost:', 'ai-blog-posts') + ' $' + (data.cost_usd || 0).toFixed(4)
+				});
+			}).catch(function(err) {
+				setNotice({ status: 'error', message: err.message });
+			}).then(function() {
+				setBusy('');
+			});
+		};
+
+		return el(PanelBody, { title: __('SEO & Featured Image', 'ai-blog-posts'), initialOpen: true },
+			notice && el(Notice, { status: notice.status, isDismissible: true, onRemove: function() { setNotice(null); } }, notice.message),
+			seo && el('dl', { className: 'ai-blog-posts-editor-seo' },
+				seo.seo_title && el(Fragment, null, el('dt', null, __('SEO Title', 'ai-blog-posts')), el('dd', null, seo.seo_title)),
+				seo.meta_description && el(Fragment, null, el('dt', null, __('Meta Description', 'ai-blog-posts')), el('dd', null, seo.meta_description)),
+				seo.focus_keyword && el(Fragment, null, el('dt', null, __('Focus Keyword', 'ai-blog-posts')), el('dd', null, seo.focus_keyword))
+			),
+			el('p', null,
+				el(Button, {
+					variant: 'secondary',
+					onClick: generateSeo,
+					disabled: !!busy,
+					isBusy: busy === 'seo'
+				}, __('Generate SEO Meta', 'ai-blog-posts'))
+			),
+			el('p', null,
+				el(Button, {
+					variant: 'secondary',
+					onClick: generateImage,
+					disabled: !!busy || !$.trim(editor.title),
+					isBusy: busy === 'image'
+				}, __('Generate Featured Image', 'ai-blog-posts'))
+			)
+		);
+	}
+
+	/**
+	 * The sidebar itself
+	 */
+	function Sidebar() {
+		if (!aiBlogPostsEditor.isVerified) {
+			return el(PluginSidebar, { name: SIDEBAR_NAME, title: __('AI Blog Posts', 'ai-blog-posts'), icon: 'edit-page' },
+				el(PanelBody, null,
+					el('p', null, __('Please configure and verify your AI provider before generating posts.', 'ai-blog-posts')),
+					el('a', { href: aiBlogPostsEditor.settingsUrl }, __('Go to Settings', 'ai-blog-posts'))
+				)
+			);
+		}
+
+		return el(Fragment, null,
+			el(PluginSidebarMoreMenuItem, { target: SIDEBAR_NAME, icon: 'edit-page' }, __('AI Blog Posts', 'ai-blog-posts')),
+			el(PluginSidebar, { name: SIDEBAR_NAME, title: __('AI Blog Posts', 'ai-blog-posts'), icon: 'edit-page' },
+				el(GeneratePanel),
+				el(ToolsPanel)
+			)
+		);
+	}
+
+	wp.plugins.registerPlugin('ai-blog-posts', { render: Sidebar });
+
+})(window.wp, jQuery);
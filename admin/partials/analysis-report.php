@@ -0,0 +1,304 @@
+<?php
+/**
+ * Website analysis report
+ *
+ * Used by the Settings page and when an analysis is run or switched over AJAX.
+ * Expects $analysis, $scope and $analyzer.
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/admin/partials
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+$yes_icon = '<span class="dashicons dashicons-yes-alt" style="color: var(--aibp-success);"></span>';
+$no_icon = '<span class="dashicons dashicons-minus" style="color: var(--aibp-gray-400);"></span>';
+?>
+<?php if ( empty( $analysis ) ) : ?>
+	<div class="ai-blog-posts-empty-state">
+		<span class="dashicons dashicons-search"></span>
+		<p>
+			<?php
+			printf(
+				/* translators: %s: analysis scope, e.g. Category: News */
+				esc_html__( 'No analysis for %s yet. Run a quick or AI-powered analysis to see the report.', 'ai-blog-posts' ),
+				esc_html( Ai_Blog_Posts_Analyzer::get_scope_label( $scope ) )
+			);
+			?>
+		</p>
+	</div>
+<?php else : ?>
+	<?php
+	$findings = $analyzer->get_findings( $analysis );
+	$rejected = $analysis['rejected'] ?? array();
+	$new_posts = $analyzer->count_new_posts( $analysis );
+	?>
+	<div class="analysis-grid">
+		<!-- Content Stats -->
+		<div class="analysis-card">
+			<h4><span class="dashicons dashicons-chart-bar"></span> <?php esc_html_e( 'Content Statistics', 'ai-blog-posts' ); ?></h4>
+			<div class="analysis-data">
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Average Word Count', 'ai-blog-posts' ); ?></span>
+					<span class="data-value"><?php echo esc_html( $analysis['content_stats']['avg_word_count'] ?? 'N/A' ); ?></span>
+				</div>
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Word Count Range', 'ai-blog-posts' ); ?></span>
+					<span class="data-value">
+						<?php
+						echo esc_html(
+							( $analysis['content_stats']['min_word_count'] ?? 0 ) . ' - ' .
+							( $analysis['content_stats']['max_word_count'] ?? 0 )
+						);
+						?>
+					</span>
+				</div>
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Avg Paragraphs', 'ai-blog-posts' ); ?></span>
+					<span class="data-value"><?php echo esc_html( $analysis['content_stats']['avg_paragraphs'] ?? 'N/A' ); ?></span>
+				</div>
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Avg Headings', 'ai-blog-posts' ); ?></span>
+					<span class="data-value"><?php echo esc_html( $analysis['content_stats']['avg_headings'] ?? 'N/A' ); ?></span>
+				</div>
+			</div>
+		</div>
+
+		<!-- Writing Style -->
+		<div class="analysis-card">
+			<h4><span class="dashicons dashicons-edit"></span> <?php esc_html_e( 'Writing Style', 'ai-blog-posts' ); ?></h4>
+			<div class="analysis-data">
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Tone', 'ai-blog-posts' ); ?></span>
+					<span class="data-value style-badge tone-<?php echo esc_attr( $analysis['writing_style']['tone'] ?? '' ); ?>">
+						<?php echo esc_html( ucfirst( $analysis['writing_style']['tone'] ?? 'N/A' ) ); ?>
+					</span>
+				</div>
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Voice', 'ai-blog-posts' ); ?></span>
+					<span class="data-value style-badge">
+						<?php
+						$voice = $analysis['writing_style']['voice'] ?? '';
+						$voice_labels = array(
+							'first_person' => __( 'First Person (we, our)', 'ai-blog-posts' ),
+							'second_person' => __( 'Second Person (you)', 'ai-blog-posts' ),
+							'third_person' => __( 'Third Person', 'ai-blog-posts' ),
+						);
+						echo esc_html( $voice_labels[ $voice ] ?? ucfirst( str_replace( '_', ' ', $voice ) ) );
+						?>
+					</span>
+				</div>
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Avg Sentence Length', 'ai-blog-posts' ); ?></span>
+					<span class="data-value"><?php echo esc_html( $analysis['writing_style']['avg_sentence_length'] ?? 'N/A' ); ?> <?php esc_html_e( 'words', 'ai-blog-posts' ); ?></span>
+				</div>
+				<div class="data-row">
+					<span class="data-label"><?php esc_html_e( 'Uses Questions', 'ai-blog-posts' ); ?></span>
+					<span class="data-value">
+						<?php if ( ! empty( $analysis['writing_style']['uses_questions'] ) ) : ?>
+							<?php echo $yes_icon; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?> <?php esc_html_e( 'Yes', 'ai-blog-posts' ); ?>
+						<?php else : ?>
+							<?php echo $no_icon; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?> <?php esc_html_e( 'Rarely', 'ai-blog-posts' ); ?>
+						<?php endif; ?>
+					</span>
+				</div>
+			</div>
+		</div>
+
+		<!-- Structure -->
+		<div class="analysis-card">
+			<h4><span class="dashicons dashicons-layout"></span> <?php esc_html_e( 'Content Structure', 'ai-blog-posts' ); ?></h4>
+			<div class="analysis-data">
+				<?php
+				$structure_rows = array(
+					'typically_has_intro'      => __( 'Has Introduction', 'ai-blog-posts' ),
+					'typically_has_conclusion' => __( 'Has Conclusion', 'ai-blog-posts' ),
+					'uses_lists_frequently'    => __( 'Uses Lists', 'ai-blog-posts' ),
+					'uses_blockquotes'         => __( 'Uses Quotes', 'ai-blog-posts' ),
+					'uses_images'              => __( 'Uses Images', 'ai-blog-posts' ),
+				);
+				foreach ( $structure_rows as $key => $label ) :
+					?>
+					<div class="data-row">
+						<span class="data-label"><?php echo esc_html( $label ); ?></span>
+						<span class="data-value">
+							<?php echo ! empty( $analysis['structure'][ $key ] ) ? $yes_icon : $no_icon; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+						</span>
+					</div>
+				<?php endforeach; ?>
+			</div>
+			<?php if ( ! empty( $analysis['structure']['common_heading_patterns'] ) ) : ?>
+				<h5><?php esc_html_e( 'Common Heading Patterns', 'ai-blog-posts' ); ?></h5>
+				<ul class="heading-patterns">
+					<?php foreach ( $analysis['structure']['common_heading_patterns'] as $pattern => $count ) : ?>
+						<?php $levels = explode( '-', (string) $pattern ); ?>
+						<li>
+							<code><?php echo esc_html( 'H' . implode( ' H', array_slice( $levels, 0, 8 ) ) . ( count( $levels ) > 8 ? ' …' : '' ) ); ?></code>
+							<?php
+							/* translators: %d: number of posts */
+							echo esc_html( sprintf( _n( '%d post', '%d posts', $count, 'ai-blog-posts' ), $count ) );
+							?>
+						</li>
+					<?php endforeach; ?>
+				</ul>
+			<?php endif; ?>
+		</div>
+
+		<!-- Topics & Keywords -->
+		<div class="analysis-card">
+			<h4><span class="dashicons dashicons-tag"></span> <?php esc_html_e( 'Common Keywords', 'ai-blog-posts' ); ?></h4>
+			<div class="keyword-cloud">
+				<?php
+				$keywords = $analysis['topics']['common_keywords'] ?? array();
+				$keywords = array_slice( $keywords, 0, 15 );
+				foreach ( $keywords as $keyword ) : ?>
+					<span class="keyword-tag"><?php echo esc_html( $keyword ); ?></span>
+				<?php endforeach; ?>
+				<?php if ( empty( $keywords ) ) : ?>
+					<em><?php esc_html_e( 'No keywords extracted', 'ai-blog-posts' ); ?></em>
+				<?php endif; ?>
+			</div>
+			<?php if ( ! empty( $analysis['topics']['categories_used'] ) ) : ?>
+				<h5><?php esc_html_e( 'Categories Used', 'ai-blog-posts' ); ?></h5>
+				<div class="analysis-data">
+					<?php foreach ( array_slice( $analysis['topics']['categories_used'], 0, 5, true ) as $name => $count ) : ?>
+						<div class="data-row">
+							<span class="data-label"><?php echo esc_html( $name ); ?></span>
+							<span class="data-value"><?php echo esc_html( $count ); ?></span>
+						</div>
+					<?php endforeach; ?>
+				</div>
+			<?php endif; ?>
+		</div>
+	</div>
+
+	<!-- Topic Clusters -->
+	<div class="analysis-card topic-clusters-card">
+		<h4><span class="dashicons dashicons-networking"></span> <?php esc_html_e( 'Topic Clusters', 'ai-blog-posts' ); ?></h4>
+		<?php if ( empty( $analysis['topics']['clusters'] ) ) : ?>
+			<p class="description"><?php esc_html_e( 'No keywords turn up together often enough to form clusters. Analyze more posts to find them.', 'ai-blog-posts' ); ?></p>
+		<?php else : ?>
+			<div class="topic-clusters">
+				<?php foreach ( $analysis['topics']['clusters'] as $cluster ) : ?>
+					<div class="topic-cluster">
+						<div class="keyword-cloud">
+							<?php foreach ( $cluster['keywords'] as $keyword ) : ?>
+								<span class="keyword-tag"><?php echo esc_html( $keyword ); ?></span>
+							<?php endforeach; ?>
+						</div>
+						<p class="cluster-posts">
+							<?php
+							/* translators: %d: number of posts */
+							echo esc_html( sprintf( _n( 'In %d post, e.g.', 'In %d posts, e.g.', $cluster['posts'], 'ai-blog-posts' ), $cluster['posts'] ) );
+							?>
+						</p>
+						<ul>
+							<?php foreach ( $cluster['titles'] as $title ) : ?>
+								<li><?php echo esc_html( $title ); ?></li>
+							<?php endforeach; ?>
+						</ul>
+					</div>
+				<?php endforeach; ?>
+			</div>
+		<?php endif; ?>
+	</div>
+
+	<!-- AI Insights (if available) -->
+	<?php if ( ! empty( $analysis['ai_insights']['style_guide'] ) ) : ?>
+		<div class="analysis-card ai-insights-card">
+			<h4><span class="dashicons dashicons-superhero-alt"></span> <?php esc_html_e( 'AI Style Guide', 'ai-blog-posts' ); ?></h4>
+			<div class="ai-style-guide">
+				<?php echo wp_kses_post( nl2br( esc_html( $analysis['ai_insights']['style_guide'] ) ) ); ?>
+			</div>
+			<p class="tokens-used">
+				<small>
+					<?php printf( esc_html__( 'Tokens used: %d', 'ai-blog-posts' ), $analysis['ai_insights']['tokens_used'] ?? 0 ); ?>
+					<?php if ( ! empty( $analysis['ai_insights']['analyzed_at'] ) && $analysis['ai_insights']['analyzed_at'] !== $analysis['analyzed_at'] ) : ?>
+						&middot;
+						<?php
+						printf(
+							/* translators: %s: date of the last AI-powered analysis */
+							esc_html__( 'From the AI-powered analysis on %s', 'ai-blog-posts' ),
+							esc_html( date_i18n( $date_format, strtotime( $analysis['ai_insights']['analyzed_at'] ) ) )
+						);
+						?>
+					<?php endif; ?>
+				</small>
+			</p>
+		</div>
+	<?php endif; ?>
+
+	<!-- Findings -->
+	<div class="analysis-card analysis-findings-card" data-scope="<?php echo esc_attr( $analysis['scope'] ?? $scope ); ?>">
+		<h4><span class="dashicons dashicons-yes"></span> <?php esc_html_e( 'Findings Used for Generation', 'ai-blog-posts' ); ?></h4>
+		<p class="description"><?php esc_html_e( 'Untick a finding that does not describe how you want to write. Changes are saved straight away and kept when the analysis is refreshed.', 'ai-blog-posts' ); ?></p>
+		<?php if ( empty( $findings ) ) : ?>
+			<p><em><?php esc_html_e( 'The analysis found nothing distinctive enough to add to the prompt.', 'ai-blog-posts' ); ?></em></p>
+		<?php else : ?>
+			<ul class="analysis-findings">
+				<?php foreach ( $findings as $key => $finding ) : ?>
+					<li class="<?php echo in_array( $key, $rejected, true ) ? 'rejected' : ''; ?>">
+						<label>
+							<input type="checkbox" class="analysis-finding-toggle" value="<?php echo esc_attr( $key ); ?>" <?php checked( ! in_array( $key, $rejected, true ) ); ?>>
+							<strong><?php echo esc_html( $finding['label'] ); ?></strong>
+							<?php if ( 'style_guide' !== $key ) : ?>
+								<span class="finding-value"><?php echo esc_html( $finding['value'] ); ?></span>
+							<?php endif; ?>
+						</label>
+						<span class="finding-prompt"><?php echo esc_html( wp_trim_words( $finding['prompt'], 20 ) ); ?></span>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+		<?php endif; ?>
+	</div>
+
+	<!-- Generated Style Prompt -->
+	<div class="analysis-card style-prompt-card">
+		<h4><span class="dashicons dashicons-format-quote"></span> <?php esc_html_e( 'Generated Style Prompt', 'ai-blog-posts' ); ?></h4>
+		<p class="description">
+			<?php
+			if ( Ai_Blog_Posts_Analyzer::SITE === $scope ) {
+				esc_html_e( 'This prompt is automatically added when generating content without a voice profile or a closer category or author analysis:', 'ai-blog-posts' );
+			} else {
+				esc_html_e( 'This prompt is automatically added when generating content for this scope without a voice profile:', 'ai-blog-posts' );
+			}
+			?>
+		</p>
+		<div class="style-prompt-preview">
+			<code class="analysis-style-prompt"><?php echo esc_html( $analyzer->build_style_prompt( $analysis ) ); ?></code>
+		</div>
+	</div>
+
+	<p class="analysis-meta">
+		<span class="dashicons dashicons-clock"></span>
+		<?php
+		printf(
+			esc_html__( 'Based on %d posts analyzed on %s', 'ai-blog-posts' ),
+			(int) ( $analysis['posts_analyzed'] ?? 0 ),
+			esc_html( date_i18n( $date_format, strtotime( $analysis['analyzed_at'] ?? '' ) ) )
+		);
+		?>
+		<?php if ( $new_posts ) : ?>
+			&middot;
+			<?php
+			printf(
+				/* translators: %d: number of posts */
+				esc_html( _n( '%d post published since', '%d posts published since', $new_posts, 'ai-blog-posts' ) ),
+				(int) $new_posts
+			);
+			?>
+		<?php endif; ?>
+		<?php if ( Ai_Blog_Posts_Analyzer::SITE !== $scope ) : ?>
+			<button type="button" class="button-link button-link-delete delete-analysis" data-scope="<?php echo esc_attr( $scope ); ?>">
+				<?php esc_html_e( 'Remove this analysis', 'ai-blog-posts' ); ?>
+			</button>
+		<?php endif; ?>
+	</p>
+<?php endif; ?>
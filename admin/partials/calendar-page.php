@@ -0,0 +1,104 @@
+<?php
+/**
+ * Editorial calendar page template
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/admin/partials
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$schedule_enabled = Ai_Blog_Posts_Settings::get( 'schedule_enabled' );
+$next_run = wp_next_scheduled( 'ai_blog_posts_scheduled_generation' );
+
+$frequencies = array(
+	'hourly'     => __( 'Hourly', 'ai-blog-posts' ),
+	'twicedaily' => __( 'Twice Daily', 'ai-blog-posts' ),
+	'daily'      => __( 'Daily', 'ai-blog-posts' ),
+	'weekly'     => __( 'Weekly', 'ai-blog-posts' ),
+	'custom'     => __( 'Custom Rules', 'ai-blog-posts' ),
+);
+$frequency = Ai_Blog_Posts_Settings::get( 'schedule_frequency' );
+
+// Day names in the site's week order
+global $wp_locale;
+$start_of_week = (int) get_option( 'start_of_week', 1 );
+$weekdays = array();
+for ( $i = 0; $i < 7; $i++ ) {
+	$weekdays[] = $wp_locale->get_weekday_abbrev( $wp_locale->get_weekday( ( $start_of_week + $i ) % 7 ) );
+}
+?>
+
+<div class="wrap ai-blog-posts-wrap">
+	<h1 class="wp-heading-inline">
+		<span class="dashicons dashicons-calendar-alt"></span>
+		<?php esc_html_e( 'Editorial Calendar', 'ai-blog-posts' ); ?>
+	</h1>
+
+	<div class="ai-blog-posts-calendar" id="aibp-calendar-page"
+		data-today="<?php echo esc_attr( current_time( 'Y-m-d' ) ); ?>"
+		data-weekdays="<?php echo esc_attr( wp_json_encode( $weekdays ) ); ?>">
+
+		<div class="calendar-toolbar">
+			<div class="calendar-nav">
+				<button type="button" class="button calendar-prev" title="<?php esc_attr_e( 'Previous', 'ai-blog-posts' ); ?>">
+					<span class="dashicons dashicons-arrow-left-alt2"></span>
+				</button>
+				<button type="button" class="button calendar-today"><?php esc_html_e( 'Today', 'ai-blog-posts' ); ?></button>
+				<button type="button" class="button calendar-next" title="<?php esc_attr_e( 'Next', 'ai-blog-posts' ); ?>">
+					<span class="dashicons dashicons-arrow-right-alt2"></span>
+				</button>
+				<h2 class="calendar-label"></h2>
+			</div>
+			<div class="calendar-views">
+				<button type="button" class="button calendar-view active" data-view="month"><?php esc_html_e( 'Month', 'ai-blog-posts' ); ?></button>
+				<button type="button" class="button calendar-view" data-view="week"><?php esc_html_e( 'Week', 'ai-blog-posts' ); ?></button>
+			</div>
+		</div>
+
+		<div class="calendar-schedule">
+			<?php if ( $schedule_enabled && $next_run ) : ?>
+				<span class="dashicons dashicons-clock"></span>
+				<?php
+				printf(
+					/* translators: 1: schedule frequency, 2: daily post limit, 3: next run date and time */
+					esc_html__( '%1$s, up to %2$d posts a day. Next run: %3$s.', 'ai-blog-posts' ),
+					esc_html( $frequencies[ $frequency ] ?? $frequency ),
+					(int) Ai_Blog_Posts_Settings::get( 'max_posts_per_day' ),
+					esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $next_run ) )
+				);
+				?>
+			<?php else : ?>
+				<span class="dashicons dashicons-warning"></span>
+				<?php esc_html_e( 'Automatic posting is off, so the calendar only shows generated posts and pinned topics. Pinned topics are generated once scheduling is turned on.', 'ai-blog-posts' ); ?>
+				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-settings' ) ); ?>"><?php esc_html_e( 'Scheduling settings', 'ai-blog-posts' ); ?></a>
+			<?php endif; ?>
+		</div>
+
+		<div class="calendar-layout">
+			<div class="calendar-main">
+				<div class="calendar-legend">
+					<span class="calendar-item is-post"><?php esc_html_e( 'Generated', 'ai-blog-posts' ); ?></span>
+					<span class="calendar-item is-topic"><?php esc_html_e( 'Expected', 'ai-blog-posts' ); ?></span>
+					<span class="calendar-item is-topic is-pinned"><?php esc_html_e( 'Pinned', 'ai-blog-posts' ); ?></span>
+				</div>
+				<div id="aibp-calendar" class="calendar-grid">
+					<p class="calendar-loading"><span class="spinner is-active"></span></p>
+				</div>
+			</div>
+
+			<div class="calendar-sidebar">
+				<h3><?php esc_html_e( 'Not Yet Scheduled', 'ai-blog-posts' ); ?></h3>
+				<p class="description"><?php esc_html_e( 'Drag a topic onto a day to generate it on that day. Drop a pinned topic here to unpin it.', 'ai-blog-posts' ); ?></p>
+				<ul class="calendar-unscheduled"></ul>
+				<p class="calendar-unscheduled-empty description" style="display: none;"><?php esc_html_e( 'Every pending topic is on the calendar.', 'ai-blog-posts' ); ?></p>
+			</div>
+		</div>
+	</div>
+</div>
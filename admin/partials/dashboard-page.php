@@ -197,7 +197,7 @@ $schedule_enabled = Ai_Blog_Posts_Settings::get( 'schedule_enabled' );
 					<div class="step-number">1</div>
 					<div class="step-content">
 						<h4><?php esc_html_e( 'Configure API Key', 'ai-blog-posts' ); ?></h4>
-						<p><?php esc_html_e( 'Add your OpenAI API key in the settings page.', 'ai-blog-posts' ); ?></p>
+						<p><?php esc_html_e( 'Choose an AI provider and add your API key in the settings page.', 'ai-blog-posts' ); ?></p>
 					</div>
 				</div>
 				<div class="guide-step <?php echo $is_verified ? 'completed' : ( $is_configured ? 'active' : '' ); ?>">
@@ -19,11 +19,15 @@ $is_configured = Ai_Blog_Posts_Settings::is_configured();
 $is_verified = Ai_Blog_Posts_Settings::is_verified();
 $models = Ai_Blog_Posts_Settings::get_models();
 $current_model = Ai_Blog_Posts_Settings::get( 'model' );
+$model_stages = Ai_Blog_Posts_Settings::get_model_stages();
+$content_types = Ai_Blog_Posts_Content_Types::get_labels();
+$voice_profiles = Ai_Blog_Posts_Voice_Profiles::get_labels();
 
 // Get pre-filled values from URL
 $prefill_topic = isset( $_GET['topic'] ) ? sanitize_text_field( wp_unslash( $_GET['topic'] ) ) : '';
 $prefill_keywords = isset( $_GET['keywords'] ) ? sanitize_text_field( wp_unslash( $_GET['keywords'] ) ) : '';
 $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0;
+$prefill_content_type = isset( $_GET['content_type'] ) ? Ai_Blog_Posts_Content_Types::sanitize( wp_unslash( $_GET['content_type'] ) ) : Ai_Blog_Posts_Content_Types::DEFAULT_TYPE;
 ?>
 
 <div class="wrap ai-blog-posts-wrap">
@@ -35,7 +39,7 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 	<?php if ( ! $is_verified ) : ?>
 		<div class="notice notice-warning">
 			<p>
-				<?php esc_html_e( 'Please configure and verify your OpenAI API key before generating posts.', 'ai-blog-posts' ); ?>
+				<?php esc_html_e( 'Please configure and verify your AI provider before generating posts.', 'ai-blog-posts' ); ?>
 				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-settings' ) ); ?>">
 					<?php esc_html_e( 'Go to Settings', 'ai-blog-posts' ); ?>
 				</a>
@@ -43,6 +47,16 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 		</div>
 	<?php endif; ?>
 
+	<!-- Unfinished jobs (filled in by JS from browser storage) -->
+	<div class="resume-jobs" id="resume-jobs" style="display: none;">
+		<h3>
+			<span class="dashicons dashicons-backup"></span>
+			<?php esc_html_e( 'Unfinished Generations', 'ai-blog-posts' ); ?>
+		</h3>
+		<p class="description"><?php esc_html_e( 'These posts were interrupted before they finished. Resume to continue from the last step without paying for completed steps again.', 'ai-blog-posts' ); ?></p>
+		<ul class="resume-jobs-list" id="resume-jobs-list"></ul>
+	</div>
+
 	<div class="ai-blog-posts-generate">
 		<div class="generate-form-container">
 			<form id="generate-post-form" class="ai-blog-posts-form" <?php echo ! $is_verified ? 'disabled' : ''; ?>>
@@ -79,6 +93,38 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 						<p class="description"><?php esc_html_e( 'Comma-separated keywords to focus on (optional).', 'ai-blog-posts' ); ?></p>
 					</div>
 
+					<div class="form-field">
+						<label for="content_type"><?php esc_html_e( 'Content Type', 'ai-blog-posts' ); ?></label>
+						<select id="content_type" name="content_type" <?php echo ! $is_verified ? 'disabled' : ''; ?>>
+							<?php foreach ( $content_types as $type_id => $type_label ) : ?>
+								<option value="<?php echo esc_attr( $type_id ); ?>" <?php selected( $prefill_content_type, $type_id ); ?>>
+									<?php echo esc_html( $type_label ); ?>
+								</option>
+							<?php endforeach; ?>
+						</select>
+						<p class="description"><?php esc_html_e( 'Shapes the outline and layout: numbered lists for listicles, steps for how-tos, a table for comparisons, pros and cons for reviews.', 'ai-blog-posts' ); ?></p>
+					</div>
+
+					<div class="form-field">
+						<label for="voice_profile"><?php esc_html_e( 'Voice Profile', 'ai-blog-posts' ); ?></label>
+						<select id="voice_profile" name="voice_profile" <?php echo ! $is_verified ? 'disabled' : ''; ?>>
+							<option value=""><?php esc_html_e( 'Automatic (by category)', 'ai-blog-posts' ); ?></option>
+							<option value="<?php echo esc_attr( Ai_Blog_Posts_Voice_Profiles::NONE ); ?>"><?php esc_html_e( 'None (website analysis only)', 'ai-blog-posts' ); ?></option>
+							<?php foreach ( $voice_profiles as $profile_id => $profile_name ) : ?>
+								<option value="<?php echo esc_attr( $profile_id ); ?>"><?php echo esc_html( $profile_name ); ?></option>
+							<?php endforeach; ?>
+						</select>
+						<p class="description">
+							<?php
+							printf(
+								/* translators: %s: link to the voice profiles page */
+								esc_html__( 'Tone, vocabulary and formatting rules to write in. Manage them under %s.', 'ai-blog-posts' ),
+								'<a href="' . esc_url( admin_url( 'admin.php?page=ai-blog-posts-voices' ) ) . '">' . esc_html__( 'Voice Profiles', 'ai-blog-posts' ) . '</a>'
+							);
+							?>
+						</p>
+					</div>
+
 					<div class="form-field">
 						<label for="additional_instructions"><?php esc_html_e( 'Additional Instructions', 'ai-blog-posts' ); ?></label>
 						<textarea id="additional_instructions" 
@@ -118,6 +164,29 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 						</div>
 					</div>
 
+					<details class="step-models">
+						<summary><?php esc_html_e( 'Models per Step', 'ai-blog-posts' ); ?></summary>
+						<p class="description"><?php esc_html_e( 'Use a cheaper model for the outline and SEO meta and keep the premium one for the writing.', 'ai-blog-posts' ); ?></p>
+						<div class="step-models-grid">
+							<?php foreach ( $model_stages as $stage => $stage_label ) : ?>
+								<?php $stage_model = Ai_Blog_Posts_Settings::get( 'model_' . $stage ); ?>
+								<div class="form-field">
+									<label for="step_model_<?php echo esc_attr( $stage ); ?>"><?php echo esc_html( $stage_label ); ?></label>
+									<select id="step_model_<?php echo esc_attr( $stage ); ?>" class="step-model-select" data-stage="<?php echo esc_attr( $stage ); ?>" <?php echo ! $is_verified ? 'disabled' : ''; ?>>
+										<option value="">
+											<?php echo esc_html( 'image_prompt' === $stage ? __( 'Built-in (no AI cost)', 'ai-blog-posts' ) : __( 'Same as AI Model', 'ai-blog-posts' ) ); ?>
+										</option>
+										<?php foreach ( $models as $model_id => $model_info ) : ?>
+											<option value="<?php echo esc_attr( $model_id ); ?>" <?php selected( $stage_model, $model_id ); ?>>
+												<?php echo esc_html( $model_info['name'] ); ?>
+											</option>
+										<?php endforeach; ?>
+									</select>
+								</div>
+							<?php endforeach; ?>
+						</div>
+					</details>
+
 					<div class="form-row">
 						<div class="form-field half">
 							<label for="post_status"><?php esc_html_e( 'Post Status', 'ai-blog-posts' ); ?></label>
@@ -138,6 +207,52 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 							<p class="description"><?php esc_html_e( 'Create an AI-generated featured image using DALL-E.', 'ai-blog-posts' ); ?></p>
 						</div>
 					</div>
+
+					<div class="form-row">
+						<div class="form-field half">
+							<label for="inline_images"><?php esc_html_e( 'In-Article Images', 'ai-blog-posts' ); ?></label>
+							<input type="number" id="inline_images" name="inline_images" class="small-text" min="0" max="5"
+								   value="<?php echo esc_attr( Ai_Blog_Posts_Settings::get( 'inline_images' ) ); ?>"
+								   <?php echo ! $is_verified ? 'disabled' : ''; ?>>
+							<p class="description">
+								<?php
+								echo esc_html( Ai_Blog_Posts_Settings::get( 'inline_images_reuse' )
+									? __( 'Images placed at the end of sections. Matching media library images are reused before new ones are generated.', 'ai-blog-posts' )
+									: __( 'Images generated and placed at the end of sections.', 'ai-blog-posts' ) );
+								?>
+							</p>
+						</div>
+					</div>
+
+					<div class="form-row">
+						<div class="form-field half">
+							<label for="review_outline">
+								<input type="checkbox" id="review_outline" name="review_outline" value="1"
+									   <?php echo ! $is_verified ? 'disabled' : ''; ?>>
+								<?php esc_html_e( 'Review Outline First', 'ai-blog-posts' ); ?>
+							</label>
+							<p class="description"><?php esc_html_e( 'Pause after the outline so you can edit and approve the structure before the content is written.', 'ai-blog-posts' ); ?></p>
+						</div>
+
+						<div class="form-field half">
+							<label for="review_image">
+								<input type="checkbox" id="review_image" name="review_image" value="1"
+									   <?php echo ! $is_verified ? 'disabled' : ''; ?>>
+								<?php esc_html_e( 'Review Featured Image', 'ai-blog-posts' ); ?>
+							</label>
+							<p class="description"><?php esc_html_e( 'Edit the image prompt and pick from several candidates instead of using the first image generated.', 'ai-blog-posts' ); ?></p>
+						</div>
+					</div>
+				</div>
+
+				<div class="cost-estimate" id="cost-estimate" style="display: none;">
+					<span class="dashicons dashicons-money-alt"></span>
+					<div class="cost-estimate-body">
+						<strong><?php esc_html_e( 'Estimated cost:', 'ai-blog-posts' ); ?></strong>
+						<span class="cost-estimate-range"></span>
+						<p class="description cost-estimate-details"></p>
+						<p class="cost-estimate-message" style="display: none;"></p>
+					</div>
 				</div>
 
 				<div class="form-actions">
@@ -167,22 +282,32 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 					<div class="progress-step" data-step="outline">
 						<span class="step-icon"><span class="dashicons dashicons-list-view"></span></span>
 						<span class="step-label"><?php esc_html_e( 'Creating Outline', 'ai-blog-posts' ); ?></span>
+						<span class="step-cost"></span>
 					</div>
 					<div class="progress-step" data-step="content">
 						<span class="step-icon"><span class="dashicons dashicons-edit"></span></span>
 						<span class="step-label"><?php esc_html_e( 'Writing Content', 'ai-blog-posts' ); ?></span>
+						<span class="step-cost"></span>
 					</div>
 					<div class="progress-step" data-step="humanize">
 						<span class="step-icon"><span class="dashicons dashicons-admin-users"></span></span>
 						<span class="step-label"><?php esc_html_e( 'Humanizing', 'ai-blog-posts' ); ?></span>
+						<span class="step-cost"></span>
 					</div>
 					<div class="progress-step" data-step="seo">
 						<span class="step-icon"><span class="dashicons dashicons-search"></span></span>
 						<span class="step-label"><?php esc_html_e( 'SEO Optimization', 'ai-blog-posts' ); ?></span>
+						<span class="step-cost"></span>
+					</div>
+					<div class="progress-step" data-step="inline_images">
+						<span class="step-icon"><span class="dashicons dashicons-images-alt2"></span></span>
+						<span class="step-label"><?php esc_html_e( 'In-Article Images', 'ai-blog-posts' ); ?></span>
+						<span class="step-cost"></span>
 					</div>
 					<div class="progress-step" data-step="image">
 						<span class="step-icon"><span class="dashicons dashicons-format-image"></span></span>
 						<span class="step-label"><?php esc_html_e( 'Generating Image', 'ai-blog-posts' ); ?></span>
+						<span class="step-cost"></span>
 					</div>
 					<div class="progress-step" data-step="complete">
 						<span class="step-icon"><span class="dashicons dashicons-yes-alt"></span></span>
@@ -193,6 +318,77 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 					<div class="progress-fill" id="progress-fill"></div>
 				</div>
 				<p class="progress-status" id="progress-status"><?php esc_html_e( 'Starting generation...', 'ai-blog-posts' ); ?></p>
+
+				<!-- Outline review (shown when "Review Outline First" is checked) -->
+				<div class="outline-review" id="outline-review" style="display: none;">
+					<div class="form-field">
+						<label for="outline-title"><?php esc_html_e( 'Post Title', 'ai-blog-posts' ); ?></label>
+						<input type="text" id="outline-title" class="large-text">
+					</div>
+					<p class="description"><?php esc_html_e( 'Drag sections to reorder them. Notes under each heading tell the writer what to cover. Tick "Image" on the sections that should end with an in-article image.', 'ai-blog-posts' ); ?></p>
+					<ul class="outline-sections" id="outline-sections"></ul>
+					<div class="outline-review-actions">
+						<button type="button" id="add-outline-section" class="button">
+							<span class="dashicons dashicons-plus"></span>
+							<?php esc_html_e( 'Add Section', 'ai-blog-posts' ); ?>
+						</button>
+						<button type="button" id="approve-outline-btn" class="button button-primary">
+							<span class="dashicons dashicons-yes"></span>
+							<?php esc_html_e( 'Approve & Write Content', 'ai-blog-posts' ); ?>
+						</button>
+					</div>
+				</div>
+
+				<!-- Featured image review (shown when "Review Featured Image" is checked) -->
+				<div class="image-review" id="image-review" style="display: none;">
+					<div class="form-field">
+						<label for="image-review-prompt"><?php esc_html_e( 'Image Prompt', 'ai-blog-posts' ); ?></label>
+						<textarea id="image-review-prompt" class="large-text" rows="5"></textarea>
+					</div>
+					<div class="image-review-candidates" id="image-review-candidates"></div>
+					<p class="description" id="image-review-cost"></p>
+					<div class="image-review-actions">
+						<span class="image-review-generate">
+							<select id="image-review-count" aria-label="<?php esc_attr_e( 'Number of candidates', 'ai-blog-posts' ); ?>">
+								<?php for ( $i = 2; $i <= 4; $i++ ) : ?>
+									<option value="<?php echo esc_attr( $i ); ?>">
+										<?php
+										/* translators: %d: number of images */
+										echo esc_html( sprintf( __( '%d images', 'ai-blog-posts' ), $i ) );
+										?>
+									</option>
+								<?php endfor; ?>
+							</select>
+							<button type="button" id="generate-candidates-btn" class="button">
+								<span class="dashicons dashicons-format-gallery"></span>
+								<span class="button-text"><?php esc_html_e( 'Generate Candidates', 'ai-blog-posts' ); ?></span>
+							</button>
+						</span>
+						<span class="image-review-choose">
+							<button type="button" id="skip-image-btn" class="button"><?php esc_html_e( 'Skip Image', 'ai-blog-posts' ); ?></button>
+							<button type="button" id="use-image-btn" class="button button-primary" disabled>
+								<span class="dashicons dashicons-yes"></span>
+								<?php esc_html_e( 'Use Selected Image', 'ai-blog-posts' ); ?>
+							</button>
+						</span>
+					</div>
+				</div>
+
+				<!-- Live preview of the draft while it is being written -->
+				<div class="stream-preview" id="stream-preview" style="display: none;">
+					<div class="stream-preview-header">
+						<span class="dashicons dashicons-visibility"></span>
+						<span id="stream-preview-label"><?php esc_html_e( 'Live Draft', 'ai-blog-posts' ); ?></span>
+					</div>
+					<div class="stream-preview-body" id="stream-preview-body"></div>
+				</div>
+
+				<div class="generation-actions">
+					<button type="button" id="stop-generation-btn" class="button button-secondary" style="display: none;">
+						<span class="dashicons dashicons-controls-pause"></span>
+						<?php esc_html_e( 'Stop Generation', 'ai-blog-posts' ); ?>
+					</button>
+				</div>
 			</div>
 
 			<div class="preview-content" id="preview-content" style="display: none;">
@@ -203,6 +399,20 @@ $prefill_topic_id = isset( $_GET['topic_id'] ) ? absint( $_GET['topic_id'] ) : 0
 					<span class="preview-time"><span class="dashicons dashicons-clock"></span> <span id="result-time"></span>s</span>
 				</div>
 
+				<table class="widefat striped step-cost-breakdown" id="result-step-costs" style="display: none;">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Step', 'ai-blog-posts' ); ?></th>
+							<th><?php esc_html_e( 'Model', 'ai-blog-posts' ); ?></th>
+							<th><?php esc_html_e( 'Tokens', 'ai-blog-posts' ); ?></th>
+							<th><?php esc_html_e( 'Cost', 'ai-blog-posts' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+
+				<div class="voice-report" id="result-voice-report" style="display: none;"></div>
+
 				<div class="preview-title">
 					<h3 id="preview-title-text"></h3>
 				</div>
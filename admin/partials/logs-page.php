@@ -24,6 +24,18 @@ $logs_data = $cost_tracker->get_logs( $page, $per_page );
 $logs = $logs_data['logs'];
 $total_logs = $logs_data['total'];
 $total_pages = ceil( $total_logs / $per_page );
+
+// Analytics charts, drawn by the admin JS
+$analytics_charts = array(
+	'daily_cost'  => __( 'Spend per Day', 'ai-blog-posts' ),
+	'daily_posts' => __( 'Posts per Day', 'ai-blog-posts' ),
+	'by_model'    => __( 'Spend by Model', 'ai-blog-posts' ),
+	'by_source'   => __( 'Spend by Source', 'ai-blog-posts' ),
+	'by_status'   => __( 'Success vs Failure', 'ai-blog-posts' ),
+	'by_step'     => __( 'Spend by Step', 'ai-blog-posts' ),
+);
+$analytics_to = current_time( 'Y-m-d' );
+$analytics_from = gmdate( 'Y-m-d', strtotime( $analytics_to ) - 29 * DAY_IN_SECONDS );
 ?>
 
 <div class="wrap ai-blog-posts-wrap">
@@ -101,6 +113,72 @@ $total_pages = ceil( $total_logs / $per_page );
 			</div>
 		</div>
 
+		<!-- Analytics -->
+		<div class="cost-analytics" id="cost-analytics">
+			<div class="analytics-header">
+				<h2><?php esc_html_e( 'Spending Analytics', 'ai-blog-posts' ); ?></h2>
+				<div class="analytics-range">
+					<select id="analytics-preset">
+						<option value="7"><?php esc_html_e( 'Last 7 days', 'ai-blog-posts' ); ?></option>
+						<option value="30" selected><?php esc_html_e( 'Last 30 days', 'ai-blog-posts' ); ?></option>
+						<option value="90"><?php esc_html_e( 'Last 90 days', 'ai-blog-posts' ); ?></option>
+						<option value="month"><?php esc_html_e( 'This month', 'ai-blog-posts' ); ?></option>
+						<option value="custom"><?php esc_html_e( 'Custom range', 'ai-blog-posts' ); ?></option>
+					</select>
+					<input type="date" id="analytics-from" value="<?php echo esc_attr( $analytics_from ); ?>" max="<?php echo esc_attr( $analytics_to ); ?>">
+					<span>&ndash;</span>
+					<input type="date" id="analytics-to" value="<?php echo esc_attr( $analytics_to ); ?>" max="<?php echo esc_attr( $analytics_to ); ?>">
+					<button type="button" id="apply-analytics-range" class="button"><?php esc_html_e( 'Apply', 'ai-blog-posts' ); ?></button>
+				</div>
+			</div>
+
+			<div class="analytics-summary">
+				<div class="period-card">
+					<h4><?php esc_html_e( 'Spend', 'ai-blog-posts' ); ?></h4>
+					<span class="period-cost" data-summary="cost">&mdash;</span>
+				</div>
+				<div class="period-card">
+					<h4><?php esc_html_e( 'Posts', 'ai-blog-posts' ); ?></h4>
+					<span class="period-cost" data-summary="posts">&mdash;</span>
+				</div>
+				<div class="period-card">
+					<h4><?php esc_html_e( 'Failed', 'ai-blog-posts' ); ?></h4>
+					<span class="period-cost" data-summary="failed">&mdash;</span>
+				</div>
+				<div class="period-card">
+					<h4><?php esc_html_e( 'Avg Cost/Post', 'ai-blog-posts' ); ?></h4>
+					<span class="period-cost" data-summary="avg_cost">&mdash;</span>
+				</div>
+			</div>
+
+			<div class="analytics-forecast" id="analytics-forecast" style="display: none;">
+				<p class="analytics-forecast-text"></p>
+				<div class="progress-bar analytics-forecast-bar">
+					<div class="progress-fill"></div>
+					<span class="analytics-forecast-marker"></span>
+				</div>
+			</div>
+
+			<div class="analytics-charts">
+				<?php foreach ( $analytics_charts as $chart_id => $chart_label ) : ?>
+					<div class="analytics-chart" data-chart="<?php echo esc_attr( $chart_id ); ?>">
+						<div class="analytics-chart-header">
+							<h3><?php echo esc_html( $chart_label ); ?></h3>
+							<div class="analytics-chart-actions">
+								<button type="button" class="button button-small export-chart" data-chart="<?php echo esc_attr( $chart_id ); ?>" data-format="png"><?php esc_html_e( 'PNG', 'ai-blog-posts' ); ?></button>
+								<button type="button" class="button button-small export-chart" data-chart="<?php echo esc_attr( $chart_id ); ?>" data-format="csv"><?php esc_html_e( 'CSV', 'ai-blog-posts' ); ?></button>
+							</div>
+						</div>
+						<div class="analytics-chart-canvas">
+							<canvas data-title="<?php echo esc_attr( $chart_label ); ?>"></canvas>
+							<div class="analytics-chart-tooltip" style="display: none;"></div>
+						</div>
+						<p class="analytics-chart-empty description" style="display: none;"><?php esc_html_e( 'No generations in this range.', 'ai-blog-posts' ); ?></p>
+					</div>
+				<?php endforeach; ?>
+			</div>
+		</div>
+
 		<!-- Actions -->
 		<div class="logs-actions">
 			<button type="button" id="export-csv" class="button">
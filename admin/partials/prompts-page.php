@@ -0,0 +1,168 @@
+<?php
+/**
+ * Prompt templates page template
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/admin/partials
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$stages = Ai_Blog_Posts_Prompts::get_stages();
+$templates = Ai_Blog_Posts_Prompts::get_all();
+$defaults = Ai_Blog_Posts_Prompts::get_defaults();
+$presets = Ai_Blog_Posts_Prompts::get_presets();
+
+// Get current tab
+$current_tab = isset( $_GET['tab'] ) ? sanitize_key( $_GET['tab'] ) : 'outline';
+if ( ! isset( $stages[ $current_tab ] ) ) {
+	$current_tab = 'outline';
+}
+?>
+
+<div class="wrap ai-blog-posts-wrap">
+	<h1 class="wp-heading-inline">
+		<span class="dashicons dashicons-media-text"></span>
+		<?php esc_html_e( 'Prompt Templates', 'ai-blog-posts' ); ?>
+	</h1>
+
+	<p class="description">
+		<?php esc_html_e( 'Edit the instructions sent to the AI at each step. Use variables like {topic} to insert details of the post being written.', 'ai-blog-posts' ); ?>
+	</p>
+
+	<div class="prompt-toolbar">
+		<div class="prompt-presets">
+			<label for="prompt-preset"><?php esc_html_e( 'Presets', 'ai-blog-posts' ); ?></label>
+			<select id="prompt-preset">
+				<option value=""><?php esc_html_e( '— Select Preset —', 'ai-blog-posts' ); ?></option>
+				<?php foreach ( $presets as $preset_name => $preset_templates ) : ?>
+					<option value="<?php echo esc_attr( $preset_name ); ?>" data-templates="<?php echo esc_attr( wp_json_encode( $preset_templates ) ); ?>">
+						<?php echo esc_html( $preset_name ); ?>
+					</option>
+				<?php endforeach; ?>
+			</select>
+			<button type="button" class="button" id="load-prompt-preset"><?php esc_html_e( 'Load', 'ai-blog-posts' ); ?></button>
+			<button type="button" class="button" id="delete-prompt-preset"><?php esc_html_e( 'Delete', 'ai-blog-posts' ); ?></button>
+			<input type="text" id="prompt-preset-name" placeholder="<?php esc_attr_e( 'New preset name', 'ai-blog-posts' ); ?>">
+			<button type="button" class="button" id="save-prompt-preset"><?php esc_html_e( 'Save as Preset', 'ai-blog-posts' ); ?></button>
+		</div>
+
+		<div class="prompt-sample">
+			<label for="prompt-sample-topic"><?php esc_html_e( 'Sample topic', 'ai-blog-posts' ); ?></label>
+			<input type="text" id="prompt-sample-topic" value="<?php esc_attr_e( 'How to Start a Vegetable Garden', 'ai-blog-posts' ); ?>">
+			<select id="prompt-sample-type">
+				<?php foreach ( Ai_Blog_Posts_Content_Types::get_labels() as $type_id => $type_label ) : ?>
+					<option value="<?php echo esc_attr( $type_id ); ?>"><?php echo esc_html( $type_label ); ?></option>
+				<?php endforeach; ?>
+			</select>
+		</div>
+	</div>
+
+	<nav class="nav-tab-wrapper">
+		<?php foreach ( $stages as $stage => $stage_info ) : ?>
+			<a href="?page=ai-blog-posts-prompts&tab=<?php echo esc_attr( $stage ); ?>" class="nav-tab <?php echo $stage === $current_tab ? 'nav-tab-active' : ''; ?>" data-stage="<?php echo esc_attr( $stage ); ?>">
+				<?php echo esc_html( $stage_info['label'] ); ?>
+				<span class="prompt-customized" title="<?php esc_attr_e( 'Customized', 'ai-blog-posts' ); ?>" <?php echo Ai_Blog_Posts_Prompts::is_customized( $stage ) ? '' : 'style="display: none;"'; ?>></span>
+			</a>
+		<?php endforeach; ?>
+	</nav>
+
+	<div class="ai-blog-posts-settings-content">
+		<form id="prompt-templates-form" class="ai-blog-posts-form">
+			<?php foreach ( $stages as $stage => $stage_info ) : ?>
+				<div class="settings-tab <?php echo $stage === $current_tab ? 'active' : ''; ?>" data-tab="<?php echo esc_attr( $stage ); ?>">
+					<p class="description"><?php echo esc_html( $stage_info['description'] ); ?></p>
+
+					<div class="prompt-editor">
+						<div class="prompt-editor-fields">
+							<?php foreach ( array( 'system', 'user' ) as $part ) : ?>
+								<div class="form-field">
+									<label for="prompt-<?php echo esc_attr( $stage . '-' . $part ); ?>">
+										<?php echo 'system' === $part ? esc_html__( 'System Prompt', 'ai-blog-posts' ) : esc_html__( 'User Prompt', 'ai-blog-posts' ); ?>
+									</label>
+									<textarea id="prompt-<?php echo esc_attr( $stage . '-' . $part ); ?>"
+											  name="templates[<?php echo esc_attr( $stage ); ?>][<?php echo esc_attr( $part ); ?>]"
+											  class="large-text code prompt-template"
+											  rows="<?php echo 'system' === $part ? 6 : 14; ?>"
+											  data-stage="<?php echo esc_attr( $stage ); ?>"
+											  data-part="<?php echo esc_attr( $part ); ?>"
+											  data-default="<?php echo esc_attr( $defaults[ $stage ][ $part ] ); ?>"><?php echo esc_textarea( $templates[ $stage ][ $part ] ); ?></textarea>
+									<?php if ( 'system' === $part ) : ?>
+										<p class="description"><?php esc_html_e( 'Who the AI should be: voice, rules and phrases to avoid.', 'ai-blog-posts' ); ?></p>
+									<?php else : ?>
+										<p class="description">
+											<?php
+											printf(
+												/* translators: %s: required variable placeholder */
+												esc_html__( 'The task itself. Must include %s.', 'ai-blog-posts' ),
+												'<code>{' . esc_html( $stage_info['required'] ) . '}</code>'
+											);
+											?>
+										</p>
+									<?php endif; ?>
+								</div>
+							<?php endforeach; ?>
+
+							<div class="prompt-actions">
+								<button type="button" class="button preview-prompt" data-stage="<?php echo esc_attr( $stage ); ?>">
+									<span class="dashicons dashicons-visibility"></span>
+									<?php esc_html_e( 'Preview with Sample Topic', 'ai-blog-posts' ); ?>
+								</button>
+								<button type="button" class="button reset-prompt" data-stage="<?php echo esc_attr( $stage ); ?>">
+									<span class="dashicons dashicons-undo"></span>
+									<?php esc_html_e( 'Reset to Default', 'ai-blog-posts' ); ?>
+								</button>
+							</div>
+
+							<div class="prompt-preview" data-stage="<?php echo esc_attr( $stage ); ?>" style="display: none;">
+								<h4><?php esc_html_e( 'System Prompt', 'ai-blog-posts' ); ?></h4>
+								<pre class="prompt-preview-system"></pre>
+								<h4><?php esc_html_e( 'User Prompt', 'ai-blog-posts' ); ?></h4>
+								<pre class="prompt-preview-user"></pre>
+							</div>
+						</div>
+
+						<div class="prompt-variables">
+							<h4><?php esc_html_e( 'Variables', 'ai-blog-posts' ); ?></h4>
+							<p class="description"><?php esc_html_e( 'Click to insert at the cursor.', 'ai-blog-posts' ); ?></p>
+							<ul>
+								<?php foreach ( Ai_Blog_Posts_Prompts::get_variables( $stage ) as $variable => $variable_description ) : ?>
+									<li>
+										<button type="button" class="button-link prompt-variable" data-variable="<?php echo esc_attr( $variable ); ?>">
+											<code>{<?php echo esc_html( $variable ); ?>}</code>
+										</button>
+										<span><?php echo esc_html( $variable_description ); ?></span>
+									</li>
+								<?php endforeach; ?>
+							</ul>
+							<p class="description">
+								<?php
+								printf(
+									/* translators: 1: opening block example, 2: closing block example */
+									esc_html__( 'Wrap text in %1$s ... %2$s to include it only when keywords were given. This works for any variable.', 'ai-blog-posts' ),
+									'<code>{#keywords}</code>',
+									'<code>{/keywords}</code>'
+								);
+								?>
+							</p>
+						</div>
+					</div>
+				</div>
+			<?php endforeach; ?>
+
+			<div class="settings-footer">
+				<button type="submit" class="button button-primary button-large" id="save-prompts">
+					<span class="dashicons dashicons-saved"></span>
+					<?php esc_html_e( 'Save Templates', 'ai-blog-posts' ); ?>
+				</button>
+				<span class="save-status"></span>
+			</div>
+		</form>
+	</div>
+</div>
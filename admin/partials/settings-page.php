@@ -16,11 +16,47 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // Get current settings
 $settings = Ai_Blog_Posts_Settings::get_all( true );
-$models = Ai_Blog_Posts_Settings::get_models();
+$providers = Ai_Blog_Posts_Providers::get_all();
+$provider_models = array();
+foreach ( array_keys( $providers ) as $provider_id ) {
+	$provider_models[ $provider_id ] = Ai_Blog_Posts_Settings::get_models( $provider_id );
+}
 $image_models = Ai_Blog_Posts_Settings::get_image_models();
 $categories = get_categories( array( 'hide_empty' => false ) );
 $authors = get_users( array( 'role__in' => array( 'administrator', 'editor', 'author' ) ) );
 
+// Schedule rules, with weekdays in the site's week order
+$schedule_rules = Ai_Blog_Posts_Schedule_Rules::from_settings();
+$weekdays = array();
+for ( $i = 0; $i < 7; $i++ ) {
+	$day = ( (int) get_option( 'start_of_week', 1 ) + $i ) % 7;
+	$weekdays[ $day ] = $GLOBALS['wp_locale']->get_weekday( $day );
+}
+
+// Image optimization choices
+$aspect_ratios = array(
+	'original' => __( 'Keep original', 'ai-blog-posts' ),
+	'16:9'     => __( '16:9 (Widescreen)', 'ai-blog-posts' ),
+	'3:2'      => __( '3:2 (Landscape)', 'ai-blog-posts' ),
+	'4:3'      => __( '4:3 (Standard)', 'ai-blog-posts' ),
+	'1:1'      => __( '1:1 (Square)', 'ai-blog-posts' ),
+	'4:5'      => __( '4:5 (Portrait)', 'ai-blog-posts' ),
+);
+$image_formats = array(
+	'original' => __( 'Keep original (PNG)', 'ai-blog-posts' ),
+	'webp'     => 'WebP',
+	'avif'     => 'AVIF',
+	'jpeg'     => 'JPEG',
+);
+$watermark_positions = array(
+	'top-left'     => __( 'Top left', 'ai-blog-posts' ),
+	'top-right'    => __( 'Top right', 'ai-blog-posts' ),
+	'bottom-left'  => __( 'Bottom left', 'ai-blog-posts' ),
+	'bottom-right' => __( 'Bottom right', 'ai-blog-posts' ),
+	'center'       => __( 'Center', 'ai-blog-posts' ),
+);
+$watermark_url = $settings['image_watermark_id'] ? wp_get_attachment_image_url( $settings['image_watermark_id'], 'thumbnail' ) : false;
+
 // Get current tab
 $current_tab = isset( $_GET['tab'] ) ? sanitize_text_field( wp_unslash( $_GET['tab'] ) ) : 'api';
 
@@ -52,6 +88,10 @@ $rankmath_active = class_exists( 'RankMath' );
 			<span class="dashicons dashicons-search"></span>
 			<?php esc_html_e( 'SEO Integration', 'ai-blog-posts' ); ?>
 		</a>
+		<a href="?page=ai-blog-posts-settings&tab=tools" class="nav-tab <?php echo 'tools' === $current_tab ? 'nav-tab-active' : ''; ?>">
+			<span class="dashicons dashicons-migrate"></span>
+			<?php esc_html_e( 'Export / Import', 'ai-blog-posts' ); ?>
+		</a>
 	</nav>
 
 	<div class="ai-blog-posts-settings-content">
@@ -61,85 +101,203 @@ $rankmath_active = class_exists( 'RankMath' );
 			<!-- API Configuration Tab -->
 			<div class="settings-tab <?php echo 'api' === $current_tab ? 'active' : ''; ?>" data-tab="api">
 				<div class="settings-section">
-					<h2><?php esc_html_e( 'OpenAI API Configuration', 'ai-blog-posts' ); ?></h2>
-					<p class="description">
-						<?php 
-						printf(
-							/* translators: %s: OpenAI platform URL */
-							esc_html__( 'Get your API key from the %s.', 'ai-blog-posts' ),
-							'<a href="https://platform.openai.com/api-keys" target="_blank">OpenAI Platform</a>'
-						);
-						?>
-					</p>
+					<h2><?php esc_html_e( 'AI Provider', 'ai-blog-posts' ); ?></h2>
+					<p class="description"><?php esc_html_e( 'Choose which service writes your posts. Featured images always use OpenAI.', 'ai-blog-posts' ); ?></p>
 
 					<table class="form-table">
 						<tr>
 							<th scope="row">
-								<label for="api_key"><?php esc_html_e( 'API Key', 'ai-blog-posts' ); ?></label>
+								<label for="provider"><?php esc_html_e( 'Provider', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<select id="provider" name="provider">
+									<?php foreach ( $providers as $provider_id => $provider_info ) : ?>
+										<option value="<?php echo esc_attr( $provider_id ); ?>" <?php selected( $settings['provider'], $provider_id ); ?>>
+											<?php echo esc_html( $provider_info['name'] ); ?>
+										</option>
+									<?php endforeach; ?>
+								</select>
+							</td>
+						</tr>
+						<?php foreach ( array( 'openai', 'anthropic', 'gemini' ) as $provider_id ) : ?>
+							<?php $key_setting = $providers[ $provider_id ]['key_setting']; ?>
+							<tr class="provider-settings" data-provider="<?php echo esc_attr( $provider_id ); ?>">
+								<th scope="row">
+									<label for="<?php echo esc_attr( $key_setting ); ?>">
+										<?php
+										/* translators: %s: provider name */
+										printf( esc_html__( '%s API Key', 'ai-blog-posts' ), esc_html( $providers[ $provider_id ]['name'] ) );
+										?>
+									</label>
+								</th>
+								<td>
+									<div class="api-key-wrapper">
+										<input type="password" 
+											   id="<?php echo esc_attr( $key_setting ); ?>" 
+											   name="<?php echo esc_attr( $key_setting ); ?>" 
+											   class="regular-text api-key-input" 
+											   value="<?php echo esc_attr( $settings[ $key_setting ] ); ?>"
+											   autocomplete="off">
+										<button type="button" class="button toggle-api-key" data-target="<?php echo esc_attr( $key_setting ); ?>" title="<?php esc_attr_e( 'Show/Hide API Key', 'ai-blog-posts' ); ?>">
+											<span class="dashicons dashicons-visibility"></span>
+										</button>
+									</div>
+									<p class="description">
+										<?php
+										printf(
+											/* translators: %s: provider console link */
+											esc_html__( 'Get your API key from the %s.', 'ai-blog-posts' ),
+											'<a href="' . esc_url( $providers[ $provider_id ]['key_url'] ) . '" target="_blank">' . esc_html( $providers[ $provider_id ]['name'] ) . '</a>'
+										);
+										?>
+									</p>
+								</td>
+							</tr>
+						<?php endforeach; ?>
+						<tr class="provider-settings" data-provider="openai">
+							<th scope="row">
+								<label for="org_id"><?php esc_html_e( 'Organization ID', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="text" 
+									   id="org_id" 
+									   name="org_id" 
+									   class="regular-text" 
+									   placeholder="org-..."
+									   value="<?php echo esc_attr( $settings['org_id'] ); ?>">
+								<p class="description"><?php esc_html_e( 'Optional. Only required if you belong to multiple organizations.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="provider-settings" data-provider="openai_compatible">
+							<th scope="row">
+								<label for="compatible_base_url"><?php esc_html_e( 'Base URL', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="url" 
+									   id="compatible_base_url" 
+									   name="compatible_base_url" 
+									   class="regular-text" 
+									   placeholder="http://localhost:11434/v1"
+									   value="<?php echo esc_attr( $settings['compatible_base_url'] ); ?>">
+								<p class="description"><?php esc_html_e( 'The /v1 endpoint of Ollama, LM Studio or any other server that speaks the OpenAI chat completions API.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="provider-settings" data-provider="openai_compatible">
+							<th scope="row">
+								<label for="compatible_api_key"><?php esc_html_e( 'API Key', 'ai-blog-posts' ); ?></label>
 							</th>
 							<td>
 								<div class="api-key-wrapper">
 									<input type="password" 
-										   id="api_key" 
-										   name="api_key" 
-										   class="regular-text" 
-										   placeholder="sk-..."
-										   value="<?php echo esc_attr( $settings['api_key'] ); ?>"
+										   id="compatible_api_key" 
+										   name="compatible_api_key" 
+										   class="regular-text api-key-input" 
+										   value="<?php echo esc_attr( $settings['compatible_api_key'] ); ?>"
 										   autocomplete="off">
-									<button type="button" id="toggle-api-key" class="button" title="<?php esc_attr_e( 'Show/Hide API Key', 'ai-blog-posts' ); ?>">
+									<button type="button" class="button toggle-api-key" data-target="compatible_api_key" title="<?php esc_attr_e( 'Show/Hide API Key', 'ai-blog-posts' ); ?>">
 										<span class="dashicons dashicons-visibility"></span>
 									</button>
-									<button type="button" id="verify-api-key" class="button button-secondary">
-										<?php esc_html_e( 'Verify Key', 'ai-blog-posts' ); ?>
-									</button>
 								</div>
+								<p class="description"><?php esc_html_e( 'Optional. Local servers usually don\'t need one.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="provider-settings" data-provider="openai_compatible">
+							<th scope="row">
+								<label for="compatible_model"><?php esc_html_e( 'Model Name', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="text" 
+									   id="compatible_model" 
+									   name="compatible_model" 
+									   class="regular-text" 
+									   placeholder="llama3.1"
+									   value="<?php echo esc_attr( $settings['compatible_model'] ); ?>">
+							</td>
+						</tr>
+						<tr class="provider-settings" data-provider="openai_compatible">
+							<th scope="row">
+								<?php esc_html_e( 'Pricing', 'ai-blog-posts' ); ?>
+							</th>
+							<td>
+								$<input type="number" id="compatible_input_cost" name="compatible_input_cost" class="small-text" min="0" step="0.01" value="<?php echo esc_attr( $settings['compatible_input_cost'] ); ?>">
+								<?php esc_html_e( '/1M input tokens', 'ai-blog-posts' ); ?>,
+								$<input type="number" id="compatible_output_cost" name="compatible_output_cost" class="small-text" min="0" step="0.01" value="<?php echo esc_attr( $settings['compatible_output_cost'] ); ?>">
+								<?php esc_html_e( '/1M output tokens', 'ai-blog-posts' ); ?>
+								<p class="description"><?php esc_html_e( 'Used for cost tracking. Leave at 0 for local models.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">
+								<?php esc_html_e( 'Connection', 'ai-blog-posts' ); ?>
+							</th>
+							<td>
+								<button type="button" id="verify-api-key" class="button button-secondary">
+									<?php esc_html_e( 'Verify Connection', 'ai-blog-posts' ); ?>
+								</button>
 								<p class="description" id="api-key-status">
 									<?php if ( Ai_Blog_Posts_Settings::is_verified() ) : ?>
 										<span class="status-success"><span class="dashicons dashicons-yes-alt"></span> <?php esc_html_e( 'API key verified and working.', 'ai-blog-posts' ); ?></span>
 									<?php elseif ( Ai_Blog_Posts_Settings::is_configured() ) : ?>
 										<span class="status-warning"><span class="dashicons dashicons-warning"></span> <?php esc_html_e( 'API key set but not verified.', 'ai-blog-posts' ); ?></span>
 									<?php else : ?>
-										<?php esc_html_e( 'Enter your OpenAI API key to get started.', 'ai-blog-posts' ); ?>
+										<?php esc_html_e( 'Enter your API key to get started.', 'ai-blog-posts' ); ?>
 									<?php endif; ?>
 								</p>
 							</td>
 						</tr>
 						<tr>
 							<th scope="row">
-								<label for="org_id"><?php esc_html_e( 'Organization ID', 'ai-blog-posts' ); ?></label>
+								<label for="model"><?php esc_html_e( 'Default Model', 'ai-blog-posts' ); ?></label>
 							</th>
 							<td>
-								<input type="text" 
-									   id="org_id" 
-									   name="org_id" 
-									   class="regular-text" 
-									   placeholder="org-..."
-									   value="<?php echo esc_attr( $settings['org_id'] ); ?>">
-								<p class="description"><?php esc_html_e( 'Optional. Only required if you belong to multiple organizations.', 'ai-blog-posts' ); ?></p>
+								<select id="model" name="model" class="regular-text">
+									<?php foreach ( $provider_models as $provider_id => $models ) : ?>
+										<?php foreach ( $models as $model_id => $model_info ) : ?>
+											<option value="<?php echo esc_attr( $model_id ); ?>"
+													data-provider="<?php echo esc_attr( $provider_id ); ?>"
+													data-input-cost="<?php echo esc_attr( $model_info['input_cost'] ); ?>"
+													data-output-cost="<?php echo esc_attr( $model_info['output_cost'] ); ?>"
+													<?php selected( $settings['model'], $model_id ); ?>>
+												<?php echo esc_html( $model_info['name'] ); ?><?php echo ! empty( $model_info['recommended'] ) ? ' ⭐' : ''; ?> - <?php echo esc_html( $model_info['description'] ); ?>
+											</option>
+										<?php endforeach; ?>
+									<?php endforeach; ?>
+								</select>
+								<p class="description"><?php esc_html_e( '⭐ = Recommended for blog writing.', 'ai-blog-posts' ); ?></p>
+								<div class="model-pricing">
+									<p class="model-price">
+										<strong><?php esc_html_e( 'Pricing:', 'ai-blog-posts' ); ?></strong>
+										$<span class="model-input-cost"></span>/1M input tokens, 
+										$<span class="model-output-cost"></span>/1M output tokens
+									</p>
+								</div>
 							</td>
 						</tr>
 						<tr>
 							<th scope="row">
-								<label for="model"><?php esc_html_e( 'Default Model', 'ai-blog-posts' ); ?></label>
+								<?php esc_html_e( 'Models per Step', 'ai-blog-posts' ); ?>
 							</th>
 							<td>
-								<select id="model" name="model" class="regular-text">
-									<?php foreach ( $models as $model_id => $model_info ) : ?>
-										<option value="<?php echo esc_attr( $model_id ); ?>" <?php selected( $settings['model'], $model_id ); ?>>
-											<?php echo esc_html( $model_info['name'] ); ?><?php echo ! empty( $model_info['recommended'] ) ? ' ⭐' : ''; ?> - <?php echo esc_html( $model_info['description'] ); ?>
-										</option>
-									<?php endforeach; ?>
-								</select>
-								<p class="description"><?php esc_html_e( '⭐ = Recommended for blog writing. GPT-4o Mini offers the best value.', 'ai-blog-posts' ); ?></p>
-								<div class="model-pricing">
-									<?php foreach ( $models as $model_id => $model_info ) : ?>
-										<p class="model-price" data-model="<?php echo esc_attr( $model_id ); ?>" style="display: <?php echo $model_id === $settings['model'] ? 'block' : 'none'; ?>;">
-											<strong><?php esc_html_e( 'Pricing:', 'ai-blog-posts' ); ?></strong>
-											$<?php echo esc_html( $model_info['input_cost'] ); ?>/1M input tokens, 
-											$<?php echo esc_html( $model_info['output_cost'] ); ?>/1M output tokens
-										</p>
+								<div class="step-models-grid">
+									<?php foreach ( Ai_Blog_Posts_Settings::get_model_stages() as $stage => $stage_label ) : ?>
+										<div class="form-field">
+											<label for="model_<?php echo esc_attr( $stage ); ?>"><?php echo esc_html( $stage_label ); ?></label>
+											<select id="model_<?php echo esc_attr( $stage ); ?>" name="model_<?php echo esc_attr( $stage ); ?>" class="step-model-select">
+												<option value="">
+													<?php echo esc_html( 'image_prompt' === $stage ? __( 'Built-in (no AI cost)', 'ai-blog-posts' ) : __( 'Default model', 'ai-blog-posts' ) ); ?>
+												</option>
+												<?php foreach ( $provider_models as $provider_id => $models ) : ?>
+													<?php foreach ( $models as $model_id => $model_info ) : ?>
+														<option value="<?php echo esc_attr( $model_id ); ?>" data-provider="<?php echo esc_attr( $provider_id ); ?>" <?php selected( $settings[ 'model_' . $stage ], $model_id ); ?>>
+															<?php echo esc_html( $model_info['name'] ); ?>
+														</option>
+													<?php endforeach; ?>
+												<?php endforeach; ?>
+											</select>
+										</div>
 									<?php endforeach; ?>
 								</div>
+								<p class="description"><?php esc_html_e( 'Route cheap steps like the outline and SEO meta to a smaller model. The image prompt stage can ask a model to describe the scene instead of using the built-in keyword prompt.', 'ai-blog-posts' ); ?></p>
 							</td>
 						</tr>
 					</table>
@@ -187,6 +345,193 @@ $rankmath_active = class_exists( 'RankMath' );
 								</select>
 							</td>
 						</tr>
+						<tr>
+							<th scope="row">
+								<label for="inline_images"><?php esc_html_e( 'In-Article Images', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="inline_images" name="inline_images" class="small-text"
+									   value="<?php echo esc_attr( $settings['inline_images'] ); ?>" min="0" max="5">
+								<p class="description">
+									<?php esc_html_e( 'Images to place in the body of each post, each at the end of a section. Spread evenly across the sections unless you pick them when reviewing the outline. 0 turns this off.', 'ai-blog-posts' ); ?>
+								</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">
+								<label for="inline_images_reuse"><?php esc_html_e( 'Reuse Media Library', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<label class="switch">
+									<input type="checkbox" id="inline_images_reuse" name="inline_images_reuse" value="1" <?php checked( $settings['inline_images_reuse'] ); ?>>
+									<span class="slider"></span>
+								</label>
+								<p class="description"><?php esc_html_e( 'Before generating an in-article image, search the media library by section heading and keywords and use a matching image for free.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-settings" style="<?php echo $settings['image_enabled'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_candidates"><?php esc_html_e( 'Review Candidates', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="image_candidates" name="image_candidates" class="small-text"
+									   value="<?php echo esc_attr( $settings['image_candidates'] ); ?>" min="2" max="4">
+								<p class="description">
+									<?php esc_html_e( 'How many images to generate side by side when you review the featured image on the Generate page. Each candidate is charged.', 'ai-blog-posts' ); ?>
+								</p>
+							</td>
+						</tr>
+					</table>
+				</div>
+
+				<div class="settings-section image-optimize-section">
+					<h2><?php esc_html_e( 'Image Optimization', 'ai-blog-posts' ); ?></h2>
+					<p class="description"><?php esc_html_e( 'Process generated images before they are added to the media library. Thumbnails are made from the processed image.', 'ai-blog-posts' ); ?></p>
+
+					<table class="form-table">
+						<tr>
+							<th scope="row">
+								<label for="image_optimize"><?php esc_html_e( 'Optimize Images', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<label class="switch">
+									<input type="checkbox" id="image_optimize" name="image_optimize" value="1" <?php checked( $settings['image_optimize'] ); ?>>
+									<span class="slider"></span>
+								</label>
+								<p class="description"><?php esc_html_e( 'Crop, resize, convert and compress featured and in-article images. Images from the media library are left as they are.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_aspect_ratio"><?php esc_html_e( 'Aspect Ratio', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<select id="image_aspect_ratio" name="image_aspect_ratio">
+									<?php foreach ( $aspect_ratios as $ratio => $label ) : ?>
+										<option value="<?php echo esc_attr( $ratio ); ?>" <?php selected( $settings['image_aspect_ratio'], $ratio ); ?>><?php echo esc_html( $label ); ?></option>
+									<?php endforeach; ?>
+								</select>
+								<p class="description"><?php esc_html_e( 'Crops from the center to fit your theme\'s featured image area.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_max_width"><?php esc_html_e( 'Maximum Width', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="image_max_width" name="image_max_width" class="small-text"
+									   value="<?php echo esc_attr( $settings['image_max_width'] ); ?>" min="0" max="4096"> px
+								<p class="description"><?php esc_html_e( 'Larger images are scaled down. Smaller ones are never enlarged. 0 keeps the original width.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_format"><?php esc_html_e( 'Format', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<select id="image_format" name="image_format">
+									<?php foreach ( $image_formats as $format => $label ) : ?>
+										<?php $supported = Ai_Blog_Posts_Image_Processor::supports_format( $format ); ?>
+										<option value="<?php echo esc_attr( $format ); ?>" <?php selected( $settings['image_format'], $format ); ?> <?php disabled( ! $supported && $settings['image_format'] !== $format ); ?>>
+											<?php echo esc_html( $supported ? $label : sprintf( /* translators: %s: image format */ __( '%s (not supported by this server)', 'ai-blog-posts' ), $label ) ); ?>
+										</option>
+									<?php endforeach; ?>
+								</select>
+								<p class="description"><?php esc_html_e( 'WebP and AVIF are much smaller than PNG at the same quality.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_quality"><?php esc_html_e( 'Quality', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="image_quality" name="image_quality" class="small-text"
+									   value="<?php echo esc_attr( $settings['image_quality'] ); ?>" min="10" max="100">
+								<p class="description"><?php esc_html_e( 'Compression quality from 10 to 100. Around 80 is hard to tell from the original.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_strip_metadata"><?php esc_html_e( 'Strip Metadata', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<label class="switch">
+									<input type="checkbox" id="image_strip_metadata" name="image_strip_metadata" value="1" <?php checked( $settings['image_strip_metadata'] ); ?>>
+									<span class="slider"></span>
+								</label>
+								<p class="description"><?php esc_html_e( 'Remove embedded metadata such as EXIF and color profiles to save space.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label><?php esc_html_e( 'Watermark', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="hidden" id="image_watermark_id" name="image_watermark_id" value="<?php echo esc_attr( $settings['image_watermark_id'] ); ?>">
+								<div class="watermark-preview">
+									<?php if ( $watermark_url ) : ?>
+										<img src="<?php echo esc_url( $watermark_url ); ?>" alt="">
+									<?php endif; ?>
+								</div>
+								<button type="button" class="button" id="choose-watermark-btn"><?php esc_html_e( 'Choose Image', 'ai-blog-posts' ); ?></button>
+								<button type="button" class="button-link button-link-delete" id="remove-watermark-btn" <?php echo $watermark_url ? '' : 'style="display:none;"'; ?>><?php esc_html_e( 'Remove', 'ai-blog-posts' ); ?></button>
+								<p class="description"><?php esc_html_e( 'Optional logo drawn over every generated image. A PNG with a transparent background works best.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings watermark-settings" style="<?php echo $settings['image_optimize'] && $watermark_url ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_watermark_position"><?php esc_html_e( 'Watermark Position', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<select id="image_watermark_position" name="image_watermark_position">
+									<?php foreach ( $watermark_positions as $position => $label ) : ?>
+										<option value="<?php echo esc_attr( $position ); ?>" <?php selected( $settings['image_watermark_position'], $position ); ?>><?php echo esc_html( $label ); ?></option>
+									<?php endforeach; ?>
+								</select>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings watermark-settings" style="<?php echo $settings['image_optimize'] && $watermark_url ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_watermark_size"><?php esc_html_e( 'Watermark Size', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="image_watermark_size" name="image_watermark_size" class="small-text"
+									   value="<?php echo esc_attr( $settings['image_watermark_size'] ); ?>" min="5" max="50"> %
+								<p class="description"><?php esc_html_e( 'Width of the watermark as a percentage of the image width.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="image-optimize-settings watermark-settings" style="<?php echo $settings['image_optimize'] && $watermark_url ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="image_watermark_opacity"><?php esc_html_e( 'Watermark Opacity', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="image_watermark_opacity" name="image_watermark_opacity" class="small-text"
+									   value="<?php echo esc_attr( $settings['image_watermark_opacity'] ); ?>" min="10" max="100"> %
+							</td>
+						</tr>
+						<tr class="image-optimize-settings" style="<?php echo $settings['image_optimize'] ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label><?php esc_html_e( 'Preview', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<button type="button" class="button" id="preview-image-processing-btn">
+									<span class="dashicons dashicons-visibility"></span>
+									<?php esc_html_e( 'Preview', 'ai-blog-posts' ); ?>
+								</button>
+								<p class="description"><?php esc_html_e( 'Runs these settings, saved or not, on the latest generated image. Nothing is added to the media library.', 'ai-blog-posts' ); ?></p>
+								<div id="image-processing-preview" class="image-processing-preview" style="display: none;">
+									<figure class="preview-original">
+										<img src="" alt="">
+										<figcaption><strong><?php esc_html_e( 'Before', 'ai-blog-posts' ); ?></strong> <span class="preview-stats"></span></figcaption>
+									</figure>
+									<figure class="preview-processed">
+										<img src="" alt="">
+										<figcaption><strong><?php esc_html_e( 'After', 'ai-blog-posts' ); ?></strong> <span class="preview-stats"></span></figcaption>
+									</figure>
+									<p class="preview-saving"></p>
+								</div>
+							</td>
+						</tr>
 					</table>
 				</div>
 			</div>
@@ -287,8 +632,82 @@ $rankmath_active = class_exists( 'RankMath' );
 
 				<div class="settings-section">
 					<h2><?php esc_html_e( 'Website Context', 'ai-blog-posts' ); ?></h2>
-					<p class="description"><?php esc_html_e( 'Analyze your existing content to help the AI match your writing style.', 'ai-blog-posts' ); ?></p>
-					
+					<p class="description">
+						<?php esc_html_e( 'Analyze your existing content to help the AI match your writing style.', 'ai-blog-posts' ); ?>
+						<?php
+						printf(
+							/* translators: %s: link to the voice profiles page */
+							esc_html__( 'For tone, vocabulary and formatting rules per category, use %s.', 'ai-blog-posts' ),
+							'<a href="' . esc_url( admin_url( 'admin.php?page=ai-blog-posts-voices' ) ) . '">' . esc_html__( 'Voice Profiles', 'ai-blog-posts' ) . '</a>'
+						);
+						?>
+					</p>
+
+
+					<?php
+					$analyzer = new Ai_Blog_Posts_Analyzer();
+					$scope = Ai_Blog_Posts_Analyzer::SITE;
+					$analysis = $analyzer->get_cached_analysis();
+					$analyzed_scopes = $analyzer->get_scopes();
+					$analysis_authors = get_users( array(
+						'has_published_posts' => array( 'post' ),
+						'orderby'             => 'display_name',
+					) );
+					?>
+
+					<table class="form-table">
+						<tr>
+							<th scope="row">
+								<label for="analysis-scope"><?php esc_html_e( 'Analyze', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<select id="analysis-scope">
+									<option value="<?php echo esc_attr( Ai_Blog_Posts_Analyzer::SITE ); ?>"><?php esc_html_e( 'Whole site', 'ai-blog-posts' ); ?></option>
+									<optgroup label="<?php esc_attr_e( 'Categories', 'ai-blog-posts' ); ?>">
+										<?php foreach ( get_categories( array( 'hide_empty' => true ) ) as $category ) : ?>
+											<?php $option_scope = 'category:' . $category->term_id; ?>
+											<option value="<?php echo esc_attr( $option_scope ); ?>">
+												<?php echo esc_html( $category->name . ( isset( $analyzed_scopes[ $option_scope ] ) ? ' ✓' : '' ) ); ?>
+											</option>
+										<?php endforeach; ?>
+									</optgroup>
+									<optgroup label="<?php esc_attr_e( 'Authors', 'ai-blog-posts' ); ?>">
+										<?php foreach ( $analysis_authors as $author ) : ?>
+											<?php $option_scope = 'author:' . $author->ID; ?>
+											<option value="<?php echo esc_attr( $option_scope ); ?>">
+												<?php echo esc_html( $author->display_name . ( isset( $analyzed_scopes[ $option_scope ] ) ? ' ✓' : '' ) ); ?>
+											</option>
+										<?php endforeach; ?>
+									</optgroup>
+								</select>
+								<p class="description"><?php esc_html_e( 'Posts generated for an analyzed category (or its subcategories) use that analysis, then the default author\'s, then the whole site\'s. Analyzed scopes are marked ✓.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">
+								<label for="analysis_sample_size"><?php esc_html_e( 'Posts to Analyze', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="analysis_sample_size" name="analysis_sample_size" 
+									   value="<?php echo esc_attr( $settings['analysis_sample_size'] ); ?>" 
+									   min="5" max="100" step="1" class="small-text">
+								<p class="description"><?php esc_html_e( 'The most recent posts in the chosen scope. AI-powered analysis reads the latest three of them.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">
+								<label for="analysis_auto_refresh"><?php esc_html_e( 'Keep Up to Date', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<label class="switch">
+									<input type="checkbox" id="analysis_auto_refresh" name="analysis_auto_refresh" value="1" <?php checked( $settings['analysis_auto_refresh'] ); ?>>
+									<span class="slider"></span>
+								</label>
+								<p class="description"><?php esc_html_e( 'Re-run the quick analysis of each scope a few minutes after new posts are published in it. The AI style guide is kept until you run an AI-powered analysis again.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+					</table>
+
 					<div class="analysis-actions">
 						<button type="button" id="analyze-website" class="button button-secondary" data-use-ai="false">
 							<span class="dashicons dashicons-search"></span>
@@ -314,167 +733,8 @@ $rankmath_active = class_exists( 'RankMath' );
 						</span>
 					</div>
 
-					<?php
-					// Get cached analysis
-					$analyzer = new Ai_Blog_Posts_Analyzer();
-					$cached_analysis = $analyzer->get_cached_analysis();
-					?>
-
-					<div id="analysis-result" class="analysis-result-full" <?php echo empty( $cached_analysis ) ? 'style="display:none;"' : ''; ?>>
-						<?php if ( ! empty( $cached_analysis ) ) : ?>
-							<div class="analysis-grid">
-								<!-- Content Stats -->
-								<div class="analysis-card">
-									<h4><span class="dashicons dashicons-chart-bar"></span> <?php esc_html_e( 'Content Statistics', 'ai-blog-posts' ); ?></h4>
-									<div class="analysis-data">
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Average Word Count', 'ai-blog-posts' ); ?></span>
-											<span class="data-value"><?php echo esc_html( $cached_analysis['content_stats']['avg_word_count'] ?? 'N/A' ); ?></span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Word Count Range', 'ai-blog-posts' ); ?></span>
-											<span class="data-value">
-												<?php 
-												echo esc_html( 
-													( $cached_analysis['content_stats']['min_word_count'] ?? 0 ) . ' - ' . 
-													( $cached_analysis['content_stats']['max_word_count'] ?? 0 ) 
-												); 
-												?>
-											</span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Avg Paragraphs', 'ai-blog-posts' ); ?></span>
-											<span class="data-value"><?php echo esc_html( $cached_analysis['content_stats']['avg_paragraphs'] ?? 'N/A' ); ?></span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Avg Headings', 'ai-blog-posts' ); ?></span>
-											<span class="data-value"><?php echo esc_html( $cached_analysis['content_stats']['avg_headings'] ?? 'N/A' ); ?></span>
-										</div>
-									</div>
-								</div>
-
-								<!-- Writing Style -->
-								<div class="analysis-card">
-									<h4><span class="dashicons dashicons-edit"></span> <?php esc_html_e( 'Writing Style', 'ai-blog-posts' ); ?></h4>
-									<div class="analysis-data">
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Tone', 'ai-blog-posts' ); ?></span>
-											<span class="data-value style-badge tone-<?php echo esc_attr( $cached_analysis['writing_style']['tone'] ?? '' ); ?>">
-												<?php echo esc_html( ucfirst( $cached_analysis['writing_style']['tone'] ?? 'N/A' ) ); ?>
-											</span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Voice', 'ai-blog-posts' ); ?></span>
-											<span class="data-value style-badge">
-												<?php 
-												$voice = $cached_analysis['writing_style']['voice'] ?? '';
-												$voice_labels = array(
-													'first_person' => __( 'First Person (we, our)', 'ai-blog-posts' ),
-													'second_person' => __( 'Second Person (you)', 'ai-blog-posts' ),
-													'third_person' => __( 'Third Person', 'ai-blog-posts' ),
-												);
-												echo esc_html( $voice_labels[ $voice ] ?? ucfirst( str_replace( '_', ' ', $voice ) ) );
-												?>
-											</span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Avg Sentence Length', 'ai-blog-posts' ); ?></span>
-											<span class="data-value"><?php echo esc_html( $cached_analysis['writing_style']['avg_sentence_length'] ?? 'N/A' ); ?> <?php esc_html_e( 'words', 'ai-blog-posts' ); ?></span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Uses Questions', 'ai-blog-posts' ); ?></span>
-											<span class="data-value">
-												<?php if ( ! empty( $cached_analysis['writing_style']['uses_questions'] ) ) : ?>
-													<span class="dashicons dashicons-yes-alt" style="color: var(--aibp-success);"></span> <?php esc_html_e( 'Yes', 'ai-blog-posts' ); ?>
-												<?php else : ?>
-													<span class="dashicons dashicons-minus" style="color: var(--aibp-gray-400);"></span> <?php esc_html_e( 'Rarely', 'ai-blog-posts' ); ?>
-												<?php endif; ?>
-											</span>
-										</div>
-									</div>
-								</div>
-
-								<!-- Structure -->
-								<div class="analysis-card">
-									<h4><span class="dashicons dashicons-layout"></span> <?php esc_html_e( 'Content Structure', 'ai-blog-posts' ); ?></h4>
-									<div class="analysis-data">
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Has Introduction', 'ai-blog-posts' ); ?></span>
-											<span class="data-value">
-												<?php echo ! empty( $cached_analysis['structure']['typically_has_intro'] ) ? '<span class="dashicons dashicons-yes-alt" style="color: var(--aibp-success);"></span>' : '<span class="dashicons dashicons-minus" style="color: var(--aibp-gray-400);"></span>'; ?>
-											</span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Has Conclusion', 'ai-blog-posts' ); ?></span>
-											<span class="data-value">
-												<?php echo ! empty( $cached_analysis['structure']['typically_has_conclusion'] ) ? '<span class="dashicons dashicons-yes-alt" style="color: var(--aibp-success);"></span>' : '<span class="dashicons dashicons-minus" style="color: var(--aibp-gray-400);"></span>'; ?>
-											</span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Uses Lists', 'ai-blog-posts' ); ?></span>
-											<span class="data-value">
-												<?php echo ! empty( $cached_analysis['structure']['uses_lists_frequently'] ) ? '<span class="dashicons dashicons-yes-alt" style="color: var(--aibp-success);"></span>' : '<span class="dashicons dashicons-minus" style="color: var(--aibp-gray-400);"></span>'; ?>
-											</span>
-										</div>
-										<div class="data-row">
-											<span class="data-label"><?php esc_html_e( 'Uses Images', 'ai-blog-posts' ); ?></span>
-											<span class="data-value">
-												<?php echo ! empty( $cached_analysis['structure']['uses_images'] ) ? '<span class="dashicons dashicons-yes-alt" style="color: var(--aibp-success);"></span>' : '<span class="dashicons dashicons-minus" style="color: var(--aibp-gray-400);"></span>'; ?>
-											</span>
-										</div>
-									</div>
-								</div>
-
-								<!-- Topics & Keywords -->
-								<div class="analysis-card">
-									<h4><span class="dashicons dashicons-tag"></span> <?php esc_html_e( 'Common Keywords', 'ai-blog-posts' ); ?></h4>
-									<div class="keyword-cloud">
-										<?php 
-										$keywords = $cached_analysis['topics']['common_keywords'] ?? array();
-										$keywords = array_slice( $keywords, 0, 15 );
-										foreach ( $keywords as $keyword ) : ?>
-											<span class="keyword-tag"><?php echo esc_html( $keyword ); ?></span>
-										<?php endforeach; ?>
-										<?php if ( empty( $keywords ) ) : ?>
-											<em><?php esc_html_e( 'No keywords extracted', 'ai-blog-posts' ); ?></em>
-										<?php endif; ?>
-									</div>
-								</div>
-							</div>
-
-							<!-- AI Insights (if available) -->
-							<?php if ( ! empty( $cached_analysis['ai_insights']['style_guide'] ) ) : ?>
-								<div class="analysis-card ai-insights-card">
-									<h4><span class="dashicons dashicons-superhero-alt"></span> <?php esc_html_e( 'AI Style Guide', 'ai-blog-posts' ); ?></h4>
-									<div class="ai-style-guide">
-										<?php echo wp_kses_post( nl2br( esc_html( $cached_analysis['ai_insights']['style_guide'] ) ) ); ?>
-									</div>
-									<p class="tokens-used">
-										<small><?php printf( esc_html__( 'Tokens used: %d', 'ai-blog-posts' ), $cached_analysis['ai_insights']['tokens_used'] ?? 0 ); ?></small>
-									</p>
-								</div>
-							<?php endif; ?>
-
-							<!-- Generated Style Prompt -->
-							<div class="analysis-card style-prompt-card">
-								<h4><span class="dashicons dashicons-format-quote"></span> <?php esc_html_e( 'Generated Style Prompt', 'ai-blog-posts' ); ?></h4>
-								<p class="description"><?php esc_html_e( 'This prompt is automatically added when generating content:', 'ai-blog-posts' ); ?></p>
-								<div class="style-prompt-preview">
-									<code><?php echo esc_html( $analyzer->get_style_prompt() ); ?></code>
-								</div>
-							</div>
-
-							<p class="analysis-meta">
-								<span class="dashicons dashicons-clock"></span>
-								<?php 
-								printf(
-									esc_html__( 'Based on %d posts analyzed on %s', 'ai-blog-posts' ),
-									$cached_analysis['posts_analyzed'] ?? 0,
-									date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $cached_analysis['analyzed_at'] ?? '' ) )
-								);
-								?>
-							</p>
-						<?php endif; ?>
+					<div id="analysis-result" class="analysis-result-full">
+						<?php include plugin_dir_path( __FILE__ ) . 'analysis-report.php'; ?>
 					</div>
 				</div>
 			</div>
@@ -507,11 +767,12 @@ $rankmath_active = class_exists( 'RankMath' );
 									<option value="twicedaily" <?php selected( $settings['schedule_frequency'], 'twicedaily' ); ?>><?php esc_html_e( 'Twice Daily', 'ai-blog-posts' ); ?></option>
 									<option value="daily" <?php selected( $settings['schedule_frequency'], 'daily' ); ?>><?php esc_html_e( 'Daily', 'ai-blog-posts' ); ?></option>
 									<option value="weekly" <?php selected( $settings['schedule_frequency'], 'weekly' ); ?>><?php esc_html_e( 'Weekly', 'ai-blog-posts' ); ?></option>
+									<option value="custom" <?php selected( $settings['schedule_frequency'], 'custom' ); ?>><?php esc_html_e( 'Custom Rules', 'ai-blog-posts' ); ?></option>
 								</select>
 							</td>
 						</tr>
 						<tr class="schedule-settings schedule-time-row" style="<?php 
-							echo ( $settings['schedule_enabled'] && $settings['schedule_frequency'] !== 'hourly' ) ? '' : 'display:none;'; 
+							echo ( $settings['schedule_enabled'] && ! in_array( $settings['schedule_frequency'], array( 'hourly', 'custom' ), true ) ) ? '' : 'display:none;'; 
 						?>">
 							<th scope="row">
 								<label for="schedule_time"><?php esc_html_e( 'Preferred Time', 'ai-blog-posts' ); ?></label>
@@ -527,6 +788,113 @@ $rankmath_active = class_exists( 'RankMath' );
 								</p>
 							</td>
 						</tr>
+						<tr class="schedule-settings schedule-custom-row" style="<?php echo ( $settings['schedule_enabled'] && 'custom' === $settings['schedule_frequency'] ) ? '' : 'display:none;'; ?>">
+							<th scope="row"><?php esc_html_e( 'Days', 'ai-blog-posts' ); ?></th>
+							<td>
+								<fieldset class="schedule-days">
+									<?php foreach ( $weekdays as $day => $day_name ) : ?>
+										<label>
+											<input type="checkbox" class="schedule-day" value="<?php echo esc_attr( $day ); ?>" <?php checked( in_array( $day, $schedule_rules['days'], true ) ); ?>>
+											<?php echo esc_html( $day_name ); ?>
+										</label>
+									<?php endforeach; ?>
+								</fieldset>
+							</td>
+						</tr>
+						<tr class="schedule-settings schedule-custom-row" style="<?php echo ( $settings['schedule_enabled'] && 'custom' === $settings['schedule_frequency'] ) ? '' : 'display:none;'; ?>">
+							<th scope="row"><?php esc_html_e( 'Times', 'ai-blog-posts' ); ?></th>
+							<td>
+								<div class="schedule-rule-list" id="schedule-slots">
+									<div class="schedule-rule is-template">
+										<input type="time" class="schedule-slot-time" value="09:00">
+										<button type="button" class="button-link schedule-rule-remove" title="<?php esc_attr_e( 'Remove', 'ai-blog-posts' ); ?>">&times;</button>
+									</div>
+									<?php foreach ( $schedule_rules['slots'] as $slot ) : ?>
+										<div class="schedule-rule">
+											<input type="time" class="schedule-slot-time" value="<?php echo esc_attr( $slot ); ?>">
+											<button type="button" class="button-link schedule-rule-remove" title="<?php esc_attr_e( 'Remove', 'ai-blog-posts' ); ?>">&times;</button>
+										</div>
+									<?php endforeach; ?>
+								</div>
+								<button type="button" class="button schedule-rule-add" data-list="#schedule-slots"><?php esc_html_e( 'Add Time', 'ai-blog-posts' ); ?></button>
+								<p class="description">
+									<?php
+									/* translators: %s: WordPress timezone string */
+									printf( esc_html__( 'One post is generated at each time on the chosen days (WordPress timezone: %s).', 'ai-blog-posts' ), esc_html( wp_timezone_string() ) );
+									?>
+								</p>
+							</td>
+						</tr>
+						<tr class="schedule-settings schedule-custom-row" style="<?php echo ( $settings['schedule_enabled'] && 'custom' === $settings['schedule_frequency'] ) ? '' : 'display:none;'; ?>">
+							<th scope="row">
+								<label for="schedule_jitter"><?php esc_html_e( 'Random Delay', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="schedule_jitter" name="schedule_jitter" class="small-text"
+									   value="<?php echo esc_attr( $settings['schedule_jitter'] ); ?>"
+									   min="0" max="<?php echo esc_attr( Ai_Blog_Posts_Schedule_Rules::MAX_JITTER ); ?>">
+								<?php esc_html_e( 'minutes', 'ai-blog-posts' ); ?>
+								<p class="description"><?php esc_html_e( 'Each run starts up to this many minutes after its time, so posts do not appear at exactly the same minute.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="schedule-settings" style="<?php echo $settings['schedule_enabled'] ? '' : 'display:none;'; ?>">
+							<th scope="row"><?php esc_html_e( 'Blackout Dates', 'ai-blog-posts' ); ?></th>
+							<td>
+								<div class="schedule-rule-list" id="schedule-blackouts">
+									<div class="schedule-rule is-template">
+										<input type="date" class="schedule-blackout-start" aria-label="<?php esc_attr_e( 'From', 'ai-blog-posts' ); ?>">
+										&ndash;
+										<input type="date" class="schedule-blackout-end" aria-label="<?php esc_attr_e( 'To', 'ai-blog-posts' ); ?>">
+										<input type="text" class="schedule-blackout-label" placeholder="<?php esc_attr_e( 'Label, e.g. Bank holiday', 'ai-blog-posts' ); ?>">
+										<button type="button" class="button-link schedule-rule-remove" title="<?php esc_attr_e( 'Remove', 'ai-blog-posts' ); ?>">&times;</button>
+									</div>
+									<?php foreach ( $schedule_rules['blackouts'] as $blackout ) : ?>
+										<div class="schedule-rule">
+											<input type="date" class="schedule-blackout-start" value="<?php echo esc_attr( $blackout['start'] ); ?>" aria-label="<?php esc_attr_e( 'From', 'ai-blog-posts' ); ?>">
+											&ndash;
+											<input type="date" class="schedule-blackout-end" value="<?php echo esc_attr( $blackout['end'] ); ?>" aria-label="<?php esc_attr_e( 'To', 'ai-blog-posts' ); ?>">
+											<input type="text" class="schedule-blackout-label" value="<?php echo esc_attr( $blackout['label'] ); ?>" placeholder="<?php esc_attr_e( 'Label, e.g. Bank holiday', 'ai-blog-posts' ); ?>">
+											<button type="button" class="button-link schedule-rule-remove" title="<?php esc_attr_e( 'Remove', 'ai-blog-posts' ); ?>">&times;</button>
+										</div>
+									<?php endforeach; ?>
+								</div>
+								<button type="button" class="button schedule-rule-add" data-list="#schedule-blackouts"><?php esc_html_e( 'Add Blackout', 'ai-blog-posts' ); ?></button>
+								<p class="description"><?php esc_html_e( 'Nothing is generated on these days, for any frequency. Use them for holidays and launch freezes.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr class="schedule-settings" style="<?php echo $settings['schedule_enabled'] ? '' : 'display:none;'; ?>">
+							<th scope="row"><?php esc_html_e( 'Category Cadence', 'ai-blog-posts' ); ?></th>
+							<td>
+								<div class="schedule-rule-list" id="schedule-cadence">
+									<div class="schedule-rule is-template">
+										<select class="schedule-cadence-category">
+											<?php foreach ( $categories as $category ) : ?>
+												<option value="<?php echo esc_attr( $category->term_id ); ?>"><?php echo esc_html( $category->name ); ?></option>
+											<?php endforeach; ?>
+										</select>
+										<?php esc_html_e( 'at most once every', 'ai-blog-posts' ); ?>
+										<input type="number" class="schedule-cadence-days small-text" value="7" min="1" max="<?php echo esc_attr( Ai_Blog_Posts_Schedule_Rules::MAX_CADENCE ); ?>">
+										<?php esc_html_e( 'days', 'ai-blog-posts' ); ?>
+										<button type="button" class="button-link schedule-rule-remove" title="<?php esc_attr_e( 'Remove', 'ai-blog-posts' ); ?>">&times;</button>
+									</div>
+									<?php foreach ( $schedule_rules['cadence'] as $category_id => $days ) : ?>
+										<div class="schedule-rule">
+											<select class="schedule-cadence-category">
+												<?php foreach ( $categories as $category ) : ?>
+													<option value="<?php echo esc_attr( $category->term_id ); ?>" <?php selected( $category->term_id, $category_id ); ?>><?php echo esc_html( $category->name ); ?></option>
+												<?php endforeach; ?>
+											</select>
+											<?php esc_html_e( 'at most once every', 'ai-blog-posts' ); ?>
+											<input type="number" class="schedule-cadence-days small-text" value="<?php echo esc_attr( $days ); ?>" min="1" max="<?php echo esc_attr( Ai_Blog_Posts_Schedule_Rules::MAX_CADENCE ); ?>">
+											<?php esc_html_e( 'days', 'ai-blog-posts' ); ?>
+											<button type="button" class="button-link schedule-rule-remove" title="<?php esc_attr_e( 'Remove', 'ai-blog-posts' ); ?>">&times;</button>
+										</div>
+									<?php endforeach; ?>
+								</div>
+								<button type="button" class="button schedule-rule-add" data-list="#schedule-cadence"><?php esc_html_e( 'Add Category Rule', 'ai-blog-posts' ); ?></button>
+								<p class="description"><?php esc_html_e( 'Queued topics in a category are held back until enough days have passed since its last scheduled post.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
 						<tr class="schedule-settings" style="<?php echo $settings['schedule_enabled'] ? '' : 'display:none;'; ?>">
 							<th scope="row">
 								<label for="max_posts_per_day"><?php esc_html_e( 'Max Posts Per Day', 'ai-blog-posts' ); ?></label>
@@ -538,6 +906,15 @@ $rankmath_active = class_exists( 'RankMath' );
 								<p class="description"><?php esc_html_e( 'Limit the number of posts generated per day.', 'ai-blog-posts' ); ?></p>
 							</td>
 						</tr>
+						<tr class="schedule-settings" style="<?php echo $settings['schedule_enabled'] ? '' : 'display:none;'; ?>">
+							<th scope="row"><?php esc_html_e( 'Next Runs', 'ai-blog-posts' ); ?></th>
+							<td>
+								<div class="schedule-preview" id="schedule-preview">
+									<ol class="schedule-preview-list"></ol>
+									<p class="schedule-preview-note description"></p>
+								</div>
+							</td>
+						</tr>
 					</table>
 				</div>
 
@@ -576,6 +953,36 @@ $rankmath_active = class_exists( 'RankMath' );
 					</table>
 				</div>
 
+				<div class="settings-section">
+					<h2><?php esc_html_e( 'Duplicate Detection', 'ai-blog-posts' ); ?></h2>
+
+					<table class="form-table">
+						<tr>
+							<th scope="row">
+								<label for="duplicate_threshold"><?php esc_html_e( 'Similarity Threshold', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<input type="number" id="duplicate_threshold" name="duplicate_threshold"
+									   value="<?php echo esc_attr( $settings['duplicate_threshold'] ); ?>"
+									   min="30" max="100" step="5" class="small-text"> %
+								<p class="description"><?php esc_html_e( 'New topics at least this similar to a queued topic or existing post are flagged as duplicates. Lower catches more, higher catches only near-identical titles.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">
+								<label for="duplicate_embeddings"><?php esc_html_e( 'Compare Meaning', 'ai-blog-posts' ); ?></label>
+							</th>
+							<td>
+								<label class="switch">
+									<input type="checkbox" id="duplicate_embeddings" name="duplicate_embeddings" value="1" <?php checked( $settings['duplicate_embeddings'] ); ?>>
+									<span class="slider"></span>
+								</label>
+								<p class="description"><?php esc_html_e( 'Also use OpenAI embeddings to catch topics that say the same thing in different words. Needs an OpenAI API key and costs a fraction of a cent per thousand titles.', 'ai-blog-posts' ); ?></p>
+							</td>
+						</tr>
+					</table>
+				</div>
+
 				<div class="settings-section">
 					<h2><?php esc_html_e( 'Budget Control', 'ai-blog-posts' ); ?></h2>
 					
@@ -675,6 +1082,70 @@ $rankmath_active = class_exists( 'RankMath' );
 				<span class="save-status"></span>
 			</div>
 		</form>
+
+		<!-- Export / Import Tab -->
+		<div class="settings-tab <?php echo 'tools' === $current_tab ? 'active' : ''; ?>" data-tab="tools">
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Export Configuration', 'ai-blog-posts' ); ?></h2>
+				<p class="description"><?php esc_html_e( 'Download a JSON file to set up another site the same way. API keys are never exported, so add them again on the new site.', 'ai-blog-posts' ); ?></p>
+
+				<form id="export-config-form" class="config-sections">
+					<?php foreach ( Ai_Blog_Posts_Migration::get_sections() as $section => $section_label ) : ?>
+						<label>
+							<input type="checkbox" name="sections[]" value="<?php echo esc_attr( $section ); ?>" checked>
+							<?php echo esc_html( $section_label ); ?>
+						</label>
+					<?php endforeach; ?>
+					<p>
+						<button type="submit" class="button button-primary">
+							<span class="dashicons dashicons-download"></span>
+							<?php esc_html_e( 'Download Export File', 'ai-blog-posts' ); ?>
+						</button>
+					</p>
+				</form>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Import Configuration', 'ai-blog-posts' ); ?></h2>
+				<p class="description"><?php esc_html_e( 'Load a file exported from another site. It is checked first, and nothing changes until you confirm.', 'ai-blog-posts' ); ?></p>
+
+				<form id="import-config-form" class="config-sections">
+					<p>
+						<input type="file" id="import-config-file" accept=".json,application/json">
+					</p>
+					<?php foreach ( Ai_Blog_Posts_Migration::get_sections() as $section => $section_label ) : ?>
+						<label>
+							<input type="checkbox" name="sections[]" value="<?php echo esc_attr( $section ); ?>" checked>
+							<?php echo esc_html( $section_label ); ?>
+						</label>
+					<?php endforeach; ?>
+					<p>
+						<label for="import-topic-mode"><?php esc_html_e( 'Imported topics:', 'ai-blog-posts' ); ?></label>
+						<select id="import-topic-mode" name="topic_mode">
+							<option value="append"><?php esc_html_e( 'Add to the current queue, skipping duplicates', 'ai-blog-posts' ); ?></option>
+							<option value="replace"><?php esc_html_e( 'Replace pending and failed topics', 'ai-blog-posts' ); ?></option>
+						</select>
+					</p>
+					<p>
+						<button type="submit" class="button" id="check-config-import">
+							<span class="dashicons dashicons-search"></span>
+							<?php esc_html_e( 'Check File', 'ai-blog-posts' ); ?>
+						</button>
+					</p>
+				</form>
+
+				<div id="config-import-report" style="display: none;">
+					<p class="config-import-source"></p>
+					<div class="config-import-sections"></div>
+					<p>
+						<button type="button" class="button button-primary" id="run-config-import">
+							<span class="dashicons dashicons-upload"></span>
+							<?php esc_html_e( 'Import Now', 'ai-blog-posts' ); ?>
+						</button>
+					</p>
+				</div>
+			</div>
+		</div>
 	</div>
 </div>
 
@@ -0,0 +1,197 @@
+<?php
+/**
+ * Topic queue table rows
+ *
+ * Used by the Topics page and when the table is reloaded over AJAX.
+ * Expects $topics, $content_types, $voice_profiles and $filters.
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/admin/partials
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+<?php if ( empty( $topics ) ) : ?>
+	<tr>
+		<td colspan="10" class="no-topics">
+			<div class="ai-blog-posts-empty-state">
+				<span class="dashicons dashicons-list-view"></span>
+				<?php if ( array_filter( wp_array_slice_assoc( $filters, array( 'status', 'source', 'category', 'date_from', 'date_to', 's' ) ) ) ) : ?>
+					<p><?php esc_html_e( 'No topics match these filters.', 'ai-blog-posts' ); ?></p>
+				<?php else : ?>
+					<p><?php esc_html_e( 'No topics in the queue. Add some topics to get started!', 'ai-blog-posts' ); ?></p>
+				<?php endif; ?>
+			</div>
+		</td>
+	</tr>
+<?php else : ?>
+	<?php foreach ( $topics as $topic ) : ?>
+		<?php
+		// Dated topics are ordered by their date, so they can't be dragged
+		$dated = 'pending' === $topic->status && ( $topic->pinned_date || $topic->generate_by || $topic->publish_at );
+		?>
+		<tr data-topic-id="<?php echo esc_attr( $topic->id ); ?>" data-status="<?php echo esc_attr( $topic->status ); ?>"<?php echo $dated ? ' class="is-dated"' : ''; ?> tabindex="-1">
+			<td class="column-order">
+				<?php if ( 'pending' === $topic->status && ! $dated ) : ?>
+					<span class="topic-drag-handle dashicons dashicons-menu" title="<?php esc_attr_e( 'Drag to reorder', 'ai-blog-posts' ); ?>"></span>
+				<?php endif; ?>
+			</td>
+			<th class="check-column">
+				<input type="checkbox" class="topic-checkbox" value="<?php echo esc_attr( $topic->id ); ?>">
+			</th>
+			<td class="column-topic">
+				<strong class="topic-title" data-field="topic"><?php echo esc_html( $topic->topic ); ?></strong>
+				<span class="next-up-badge" style="display: none;"></span>
+				<?php $pinned = 'pending' === $topic->status && ! empty( $topic->pinned_date ); ?>
+				<?php $overdue = 'pending' === $topic->status && $topic->generate_by && $topic->generate_by < current_time( 'Y-m-d' ); ?>
+				<?php if ( $topic->publish_at || $topic->generate_by || $topic->instructions || $pinned ) : ?>
+					<div class="topic-meta">
+						<?php if ( $pinned ) : ?>
+							<span class="topic-pinned-date" title="<?php esc_attr_e( 'Pinned on the editorial calendar', 'ai-blog-posts' ); ?>">
+								<span class="dashicons dashicons-sticky"></span>
+								<?php
+								/* translators: %s: date the topic is pinned to */
+								printf( esc_html__( 'Pinned to %s', 'ai-blog-posts' ), esc_html( date_i18n( get_option( 'date_format' ), strtotime( $topic->pinned_date ) ) ) );
+								?>
+							</span>
+						<?php endif; ?>
+						<?php if ( $topic->generate_by ) : ?>
+							<span class="topic-generate-by<?php echo $overdue ? ' is-overdue' : ''; ?>" title="<?php echo $overdue ? esc_attr__( 'This topic was not generated by its generate-by date.', 'ai-blog-posts' ) : ''; ?>">
+								<span class="dashicons dashicons-flag"></span>
+								<?php
+								/* translators: %s: date the topic must be generated by */
+								printf( esc_html__( 'Generate by %s', 'ai-blog-posts' ), esc_html( date_i18n( get_option( 'date_format' ), strtotime( $topic->generate_by ) ) ) );
+								?>
+							</span>
+						<?php endif; ?>
+						<?php if ( $topic->publish_at ) : ?>
+							<span class="topic-publish-at">
+								<span class="dashicons dashicons-calendar-alt"></span>
+								<?php
+								/* translators: %s: date and time the post goes live */
+								printf( esc_html__( 'Publishes %s', 'ai-blog-posts' ), esc_html( date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $topic->publish_at ) ) ) );
+								?>
+							</span>
+						<?php endif; ?>
+						<?php if ( $topic->instructions ) : ?>
+							<span class="topic-instructions" title="<?php echo esc_attr( $topic->instructions ); ?>">
+								<span class="dashicons dashicons-editor-help"></span>
+								<?php esc_html_e( 'Instructions', 'ai-blog-posts' ); ?>
+							</span>
+						<?php endif; ?>
+					</div>
+				<?php endif; ?>
+				<div class="row-actions">
+					<?php if ( 'pending' === $topic->status || 'failed' === $topic->status ) : ?>
+						<span class="edit-topic">
+							<a href="#" class="edit-topic-link" data-id="<?php echo esc_attr( $topic->id ); ?>" 
+							   data-topic="<?php echo esc_attr( $topic->topic ); ?>"
+							   data-keywords="<?php echo esc_attr( $topic->keywords ); ?>"
+							   data-content-type="<?php echo esc_attr( $topic->content_type ); ?>"
+							   data-voice-profile="<?php echo esc_attr( (string) $topic->voice_profile ); ?>"
+							   data-category="<?php echo esc_attr( $topic->category_id ); ?>"
+							   data-priority="<?php echo esc_attr( $topic->priority ); ?>"
+							   data-generate-by="<?php echo esc_attr( (string) $topic->generate_by ); ?>"
+							   data-publish-at="<?php echo esc_attr( $topic->publish_at ? gmdate( 'Y-m-d\TH:i', strtotime( $topic->publish_at ) ) : '' ); ?>">
+								<?php esc_html_e( 'Edit', 'ai-blog-posts' ); ?>
+							</a> | 
+						</span>
+					<?php endif; ?>
+					<?php if ( 'pending' === $topic->status ) : ?>
+						<span class="generate">
+							<a href="#" class="generate-topic" data-id="<?php echo esc_attr( $topic->id ); ?>">
+								<?php esc_html_e( 'Generate', 'ai-blog-posts' ); ?>
+							</a> | 
+						</span>
+					<?php elseif ( 'failed' === $topic->status ) : ?>
+						<span class="retry">
+							<a href="#" class="retry-topic" data-id="<?php echo esc_attr( $topic->id ); ?>">
+								<?php esc_html_e( 'Retry', 'ai-blog-posts' ); ?>
+							</a> | 
+						</span>
+					<?php elseif ( 'generating' === $topic->status ) : ?>
+						<span class="generating-text">
+							<span class="spinner is-active" style="float: none; margin: 0;"></span>
+							<?php esc_html_e( 'Generating...', 'ai-blog-posts' ); ?>
+						</span>
+					<?php endif; ?>
+					<?php if ( $topic->post_id ) : ?>
+						<span class="view">
+							<a href="<?php echo esc_url( get_permalink( $topic->post_id ) ); ?>" target="_blank">
+								<?php esc_html_e( 'View Post', 'ai-blog-posts' ); ?>
+							</a> | 
+						</span>
+						<span class="edit-post">
+							<a href="<?php echo esc_url( get_edit_post_link( $topic->post_id ) ); ?>">
+								<?php esc_html_e( 'Edit Post', 'ai-blog-posts' ); ?>
+							</a> | 
+						</span>
+					<?php endif; ?>
+					<?php if ( 'generating' !== $topic->status ) : ?>
+					<span class="delete">
+						<a href="#" class="delete-topic" data-id="<?php echo esc_attr( $topic->id ); ?>">
+							<?php esc_html_e( 'Delete', 'ai-blog-posts' ); ?>
+						</a>
+					</span>
+					<?php endif; ?>
+				</div>
+			</td>
+			<td class="column-keywords" data-field="keywords">
+				<?php if ( $topic->keywords ) : ?>
+					<?php 
+					$keywords = explode( ',', $topic->keywords );
+					foreach ( $keywords as $keyword ) : ?>
+						<span class="keyword-tag"><?php echo esc_html( trim( $keyword ) ); ?></span>
+					<?php endforeach; ?>
+				<?php else : ?>
+					<em>—</em>
+				<?php endif; ?>
+			</td>
+			<td class="column-content-type">
+				<?php echo esc_html( $content_types[ $topic->content_type ] ?? $content_types[ Ai_Blog_Posts_Content_Types::DEFAULT_TYPE ] ); ?>
+				<?php if ( isset( $voice_profiles[ $topic->voice_profile ] ) ) : ?>
+					<br><span class="description" title="<?php esc_attr_e( 'Voice profile', 'ai-blog-posts' ); ?>"><?php echo esc_html( $voice_profiles[ $topic->voice_profile ] ); ?></span>
+				<?php endif; ?>
+			</td>
+			<td class="column-category" data-field="category_id">
+				<?php if ( $topic->category_id ) : ?>
+					<?php $cat = get_category( $topic->category_id ); ?>
+					<?php echo $cat ? esc_html( $cat->name ) : '—'; ?>
+				<?php else : ?>
+					<em>—</em>
+				<?php endif; ?>
+			</td>
+			<td class="column-source">
+				<span class="source-badge source-<?php echo esc_attr( $topic->source ); ?>">
+					<?php echo esc_html( ucfirst( $topic->source ) ); ?>
+				</span>
+			</td>
+			<td class="column-priority">
+				<span class="priority-badge priority-<?php echo $topic->priority > 50 ? 'high' : ( $topic->priority > 0 ? 'medium' : 'low' ); ?>">
+					<?php echo esc_html( $topic->priority ); ?>
+				</span>
+			</td>
+			<td class="column-status">
+				<span class="status-badge <?php echo esc_attr( $topic->status ); ?>">
+					<?php echo esc_html( ucfirst( $topic->status ) ); ?>
+				</span>
+				<?php if ( 'failed' === $topic->status && $topic->last_error ) : ?>
+					<span class="error-tooltip" title="<?php echo esc_attr( $topic->last_error ); ?>">
+						<span class="dashicons dashicons-info"></span>
+					</span>
+				<?php endif; ?>
+			</td>
+			<td class="column-date">
+				<span title="<?php echo esc_attr( $topic->created_at ); ?>">
+					<?php echo esc_html( human_time_diff( strtotime( $topic->created_at ), current_time( 'timestamp' ) ) ); ?> ago
+				</span>
+			</td>
+		</tr>
+	<?php endforeach; ?>
+<?php endif; ?>
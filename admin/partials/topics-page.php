@@ -14,38 +14,52 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-global $wpdb;
-$topics_table = $wpdb->prefix . 'ai_blog_posts_topics';
 $categories = get_categories( array( 'hide_empty' => false ) );
+$content_types = Ai_Blog_Posts_Content_Types::get_labels();
+$voice_profiles = Ai_Blog_Posts_Voice_Profiles::get_labels();
 
 // Get topics with pagination
 $page = isset( $_GET['paged'] ) ? max( 1, intval( $_GET['paged'] ) ) : 1;
 $per_page = 20;
-$offset = ( $page - 1 ) * $per_page;
+$filters = Ai_Blog_Posts_Scheduler::get_topic_filters( $_GET );
 
-$status_filter = isset( $_GET['status'] ) ? sanitize_text_field( wp_unslash( $_GET['status'] ) ) : '';
-$where_clause = '';
-if ( $status_filter ) {
-	$where_clause = $wpdb->prepare( ' WHERE status = %s', $status_filter );
-}
+$scheduler = new Ai_Blog_Posts_Scheduler();
+$topics_data = $scheduler->get_topics( $page, $per_page, $filters );
+$topics = $topics_data['topics'];
+$total_topics = $topics_data['total'];
 
-// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $where_clause is already prepared above
-$total_topics = $wpdb->get_var( "SELECT COUNT(*) FROM $topics_table" . $where_clause );
+// Topics the scheduler picks next
+$upcoming = $scheduler->get_upcoming_topics();
 
-// Build query without double-preparing the WHERE clause
-// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $where_clause is already prepared
-$query = "SELECT * FROM $topics_table $where_clause ORDER BY priority DESC, created_at DESC LIMIT %d OFFSET %d";
-$topics = $wpdb->get_results( 
-	$wpdb->prepare( $query, $per_page, $offset ) // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+// Get counts by status
+$status_counts = $scheduler->get_queue_stats();
+$statuses = array(
+	''           => __( 'All', 'ai-blog-posts' ),
+	'pending'    => __( 'Pending', 'ai-blog-posts' ),
+	'processing' => __( 'Processing', 'ai-blog-posts' ),
+	'completed'  => __( 'Completed', 'ai-blog-posts' ),
+	'failed'     => __( 'Failed', 'ai-blog-posts' ),
 );
 
-$total_pages = ceil( $total_topics / $per_page );
+$columns = array(
+	'topic'        => __( 'Topic', 'ai-blog-posts' ),
+	'keywords'     => __( 'Keywords', 'ai-blog-posts' ),
+	'content-type' => __( 'Type', 'ai-blog-posts' ),
+	'category'     => __( 'Category', 'ai-blog-posts' ),
+	'source'       => __( 'Source', 'ai-blog-posts' ),
+	'priority'     => __( 'Priority', 'ai-blog-posts' ),
+	'status'       => __( 'Status', 'ai-blog-posts' ),
+	'date'         => __( 'Date', 'ai-blog-posts' ),
+);
 
-// Get counts by status
-$status_counts = array(
-	'pending'   => $wpdb->get_var( "SELECT COUNT(*) FROM $topics_table WHERE status = 'pending'" ),
-	'completed' => $wpdb->get_var( "SELECT COUNT(*) FROM $topics_table WHERE status = 'completed'" ),
-	'failed'    => $wpdb->get_var( "SELECT COUNT(*) FROM $topics_table WHERE status = 'failed'" ),
+// Sortable columns and the order a first click sorts them in
+$sortable_columns = array(
+	'topic'    => 'asc',
+	'category' => 'asc',
+	'source'   => 'asc',
+	'priority' => 'desc',
+	'status'   => 'asc',
+	'date'     => 'desc',
 );
 ?>
 
@@ -69,6 +83,24 @@ $status_counts = array(
 					<div class="form-field">
 						<input type="text" id="new-keywords" name="keywords" placeholder="<?php esc_attr_e( 'Keywords (optional)', 'ai-blog-posts' ); ?>">
 					</div>
+					<div class="form-field">
+						<select id="new-content-type" name="content_type" title="<?php esc_attr_e( 'Content type', 'ai-blog-posts' ); ?>">
+							<?php foreach ( $content_types as $type_id => $type_label ) : ?>
+								<option value="<?php echo esc_attr( $type_id ); ?>"><?php echo esc_html( $type_label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</div>
+					<?php if ( $voice_profiles ) : ?>
+						<div class="form-field">
+							<select id="new-voice-profile" name="voice_profile" title="<?php esc_attr_e( 'Voice profile', 'ai-blog-posts' ); ?>">
+								<option value=""><?php esc_html_e( 'Voice: by category', 'ai-blog-posts' ); ?></option>
+								<option value="<?php echo esc_attr( Ai_Blog_Posts_Voice_Profiles::NONE ); ?>"><?php esc_html_e( 'Voice: none', 'ai-blog-posts' ); ?></option>
+								<?php foreach ( $voice_profiles as $profile_id => $profile_name ) : ?>
+									<option value="<?php echo esc_attr( $profile_id ); ?>"><?php echo esc_html( $profile_name ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
+					<?php endif; ?>
 					<div class="form-field">
 						<select id="new-category" name="category_id">
 							<option value=""><?php esc_html_e( 'Category', 'ai-blog-posts' ); ?></option>
@@ -82,6 +114,14 @@ $status_counts = array(
 					<div class="form-field">
 						<input type="number" id="new-priority" name="priority" placeholder="<?php esc_attr_e( 'Priority', 'ai-blog-posts' ); ?>" min="0" max="100" value="0">
 					</div>
+					<div class="form-field topic-date-field">
+						<label for="new-generate-by"><?php esc_html_e( 'Generate by', 'ai-blog-posts' ); ?></label>
+						<input type="date" id="new-generate-by" name="generate_by" min="<?php echo esc_attr( current_time( 'Y-m-d' ) ); ?>">
+					</div>
+					<div class="form-field topic-date-field">
+						<label for="new-publish-at"><?php esc_html_e( 'Publish at', 'ai-blog-posts' ); ?></label>
+						<input type="datetime-local" id="new-publish-at" name="publish_at" min="<?php echo esc_attr( current_time( 'Y-m-d\TH:i' ) ); ?>">
+					</div>
 					<div class="form-field">
 						<button type="submit" class="button button-primary">
 							<span class="dashicons dashicons-plus"></span>
@@ -103,6 +143,14 @@ $status_counts = array(
 				<button type="button" id="apply-bulk" class="button">
 					<?php esc_html_e( 'Apply', 'ai-blog-posts' ); ?>
 				</button>
+				<div class="cost-estimate is-compact" id="bulk-cost-estimate" style="display: none;">
+					<span class="dashicons dashicons-money-alt"></span>
+					<div class="cost-estimate-body">
+						<span class="cost-estimate-range"></span>
+						<span class="description cost-estimate-details"></span>
+						<p class="cost-estimate-message" style="display: none;"></p>
+					</div>
+				</div>
 			</div>
 			<div class="actions-right">
 				<button type="button" id="fetch-trending" class="button">
@@ -111,232 +159,269 @@ $status_counts = array(
 				</button>
 				<button type="button" id="bulk-import" class="button">
 					<span class="dashicons dashicons-upload"></span>
-					<?php esc_html_e( 'Import from CSV', 'ai-blog-posts' ); ?>
+					<?php esc_html_e( 'Import Topics', 'ai-blog-posts' ); ?>
+				</button>
+				<button type="button" id="find-duplicates" class="button">
+					<span class="dashicons dashicons-admin-page"></span>
+					<?php esc_html_e( 'Find Duplicates', 'ai-blog-posts' ); ?>
 				</button>
 			</div>
 		</div>
 
+		<!-- Background Batch Progress -->
+		<div class="batch-progress" id="batch-progress" style="display: none;">
+			<div class="batch-progress-header">
+				<h3>
+					<span class="dashicons dashicons-controls-repeat"></span>
+					<?php esc_html_e( 'Background Generation', 'ai-blog-posts' ); ?>
+				</h3>
+				<button type="button" id="cancel-batch" class="button">
+					<?php esc_html_e( 'Cancel Batch', 'ai-blog-posts' ); ?>
+				</button>
+			</div>
+			<div class="progress-bar">
+				<div class="progress-fill" id="batch-progress-fill"></div>
+			</div>
+			<p class="batch-progress-status" id="batch-progress-status"></p>
+			<p class="description"><?php esc_html_e( 'Posts are generated on the server. You can leave this page and check back later.', 'ai-blog-posts' ); ?></p>
+		</div>
+
+		<!-- Next Up -->
+		<div class="queue-next-up" id="queue-next-up" data-upcoming="<?php echo esc_attr( wp_json_encode( $upcoming ) ); ?>">
+			<h3>
+				<span class="dashicons dashicons-clock"></span>
+				<?php esc_html_e( 'Next Up', 'ai-blog-posts' ); ?>
+				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-calendar' ) ); ?>" class="queue-next-up-calendar"><?php esc_html_e( 'View calendar', 'ai-blog-posts' ); ?></a>
+			</h3>
+			<?php if ( ! Ai_Blog_Posts_Settings::get( 'schedule_enabled' ) ) : ?>
+				<p class="description"><?php esc_html_e( 'Auto-posting is off, so these topics will only be generated when you start them.', 'ai-blog-posts' ); ?></p>
+			<?php endif; ?>
+			<ol class="queue-next-up-list"></ol>
+			<p class="queue-next-up-empty description" style="display: none;"><?php esc_html_e( 'No pending topics.', 'ai-blog-posts' ); ?></p>
+		</div>
+
 		<!-- Status Filter -->
-		<ul class="subsubsub">
-			<li>
-				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-topics' ) ); ?>" 
-				   class="<?php echo empty( $status_filter ) ? 'current' : ''; ?>">
-					<?php esc_html_e( 'All', 'ai-blog-posts' ); ?>
-					<span class="count">(<?php echo esc_html( $total_topics ); ?>)</span>
-				</a> |
-			</li>
-			<li>
-				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-topics&status=pending' ) ); ?>" 
-				   class="<?php echo 'pending' === $status_filter ? 'current' : ''; ?>">
-					<?php esc_html_e( 'Pending', 'ai-blog-posts' ); ?>
-					<span class="count">(<?php echo esc_html( $status_counts['pending'] ); ?>)</span>
-				</a> |
-			</li>
-			<li>
-				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-topics&status=completed' ) ); ?>" 
-				   class="<?php echo 'completed' === $status_filter ? 'current' : ''; ?>">
-					<?php esc_html_e( 'Completed', 'ai-blog-posts' ); ?>
-					<span class="count">(<?php echo esc_html( $status_counts['completed'] ); ?>)</span>
-				</a> |
-			</li>
-			<li>
-				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-topics&status=failed' ) ); ?>" 
-				   class="<?php echo 'failed' === $status_filter ? 'current' : ''; ?>">
-					<?php esc_html_e( 'Failed', 'ai-blog-posts' ); ?>
-					<span class="count">(<?php echo esc_html( $status_counts['failed'] ); ?>)</span>
-				</a>
-			</li>
+		<ul class="subsubsub topic-status-filter">
+			<?php foreach ( $statuses as $status_key => $status_label ) : ?>
+				<li>
+					<a href="<?php echo esc_url( Ai_Blog_Posts_Admin::get_topics_url( array_merge( $filters, array( 'status' => $status_key ) ) ) ); ?>"
+					   class="<?php echo $status_key === $filters['status'] ? 'current' : ''; ?>"
+					   data-status="<?php echo esc_attr( $status_key ); ?>">
+						<?php echo esc_html( $status_label ); ?>
+						<span class="count">(<?php echo esc_html( number_format_i18n( $status_counts[ $status_key ? $status_key : 'total' ] ) ); ?>)</span>
+					</a><?php echo 'failed' !== $status_key ? ' |' : ''; ?>
+				</li>
+			<?php endforeach; ?>
 		</ul>
 
+		<!-- Filters -->
+		<form id="topic-filters" class="topic-filters" method="get" action="<?php echo esc_url( admin_url( 'admin.php' ) ); ?>">
+			<input type="hidden" name="page" value="ai-blog-posts-topics">
+			<input type="hidden" name="status" value="<?php echo esc_attr( $filters['status'] ); ?>">
+			<input type="hidden" name="orderby" value="<?php echo esc_attr( $filters['orderby'] ); ?>">
+			<input type="hidden" name="order" value="<?php echo esc_attr( $filters['order'] ); ?>">
+
+			<p class="search-box">
+				<label class="screen-reader-text" for="topic-search"><?php esc_html_e( 'Search topics', 'ai-blog-posts' ); ?></label>
+				<input type="search" id="topic-search" name="s" value="<?php echo esc_attr( $filters['s'] ); ?>" placeholder="<?php esc_attr_e( 'Search topics and keywords...', 'ai-blog-posts' ); ?>">
+			</p>
+
+			<select name="source" id="filter-source">
+				<option value=""><?php esc_html_e( 'All sources', 'ai-blog-posts' ); ?></option>
+				<?php foreach ( $scheduler->get_topic_sources() as $source ) : ?>
+					<option value="<?php echo esc_attr( $source ); ?>" <?php selected( $filters['source'], $source ); ?>>
+						<?php echo esc_html( ucwords( str_replace( '_', ' ', $source ) ) ); ?>
+					</option>
+				<?php endforeach; ?>
+			</select>
+
+			<select name="category" id="filter-category">
+				<option value=""><?php esc_html_e( 'All categories', 'ai-blog-posts' ); ?></option>
+				<?php foreach ( $categories as $category ) : ?>
+					<option value="<?php echo esc_attr( $category->term_id ); ?>" <?php selected( $filters['category'], $category->term_id ); ?>>
+						<?php echo esc_html( $category->name ); ?>
+					</option>
+				<?php endforeach; ?>
+			</select>
+
+			<label for="filter-date-from" class="screen-reader-text"><?php esc_html_e( 'Added from', 'ai-blog-posts' ); ?></label>
+			<input type="date" name="date_from" id="filter-date-from" value="<?php echo esc_attr( $filters['date_from'] ); ?>" title="<?php esc_attr_e( 'Added from', 'ai-blog-posts' ); ?>">
+			<span class="topic-filters-separator">&ndash;</span>
+			<label for="filter-date-to" class="screen-reader-text"><?php esc_html_e( 'Added to', 'ai-blog-posts' ); ?></label>
+			<input type="date" name="date_to" id="filter-date-to" value="<?php echo esc_attr( $filters['date_to'] ); ?>" title="<?php esc_attr_e( 'Added to', 'ai-blog-posts' ); ?>">
+
+			<button type="submit" class="button"><?php esc_html_e( 'Filter', 'ai-blog-posts' ); ?></button>
+			<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-topics' ) ); ?>" class="button-link" id="reset-topic-filters"><?php esc_html_e( 'Reset', 'ai-blog-posts' ); ?></a>
+		</form>
+
+		<div class="topic-selection" id="topic-selection" style="display: none;">
+			<span class="topic-selection-count"></span>
+			<button type="button" class="button-link" id="clear-topic-selection"><?php esc_html_e( 'Clear selection', 'ai-blog-posts' ); ?></button>
+		</div>
+
 		<!-- Topics Table -->
-		<table class="wp-list-table widefat fixed striped topics-table">
+		<table class="wp-list-table widefat fixed striped topics-table<?php echo $filters['orderby'] ? ' is-sorted' : ''; ?>">
 			<thead>
 				<tr>
+					<th class="manage-column column-order"><span class="screen-reader-text"><?php esc_html_e( 'Reorder', 'ai-blog-posts' ); ?></span></th>
 					<th class="manage-column column-cb check-column">
 						<input type="checkbox" id="select-all-topics" class="topic-checkbox">
 					</th>
-					<th class="manage-column column-topic"><?php esc_html_e( 'Topic', 'ai-blog-posts' ); ?></th>
-					<th class="manage-column column-keywords"><?php esc_html_e( 'Keywords', 'ai-blog-posts' ); ?></th>
-					<th class="manage-column column-category"><?php esc_html_e( 'Category', 'ai-blog-posts' ); ?></th>
-					<th class="manage-column column-source"><?php esc_html_e( 'Source', 'ai-blog-posts' ); ?></th>
-					<th class="manage-column column-priority"><?php esc_html_e( 'Priority', 'ai-blog-posts' ); ?></th>
-					<th class="manage-column column-status"><?php esc_html_e( 'Status', 'ai-blog-posts' ); ?></th>
-					<th class="manage-column column-date"><?php esc_html_e( 'Date', 'ai-blog-posts' ); ?></th>
+					<?php foreach ( $columns as $column => $column_label ) : ?>
+						<?php if ( isset( $sortable_columns[ $column ] ) ) : ?>
+							<?php
+							$is_sorted = $column === $filters['orderby'];
+							$next_order = $is_sorted ? ( 'asc' === $filters['order'] ? 'desc' : 'asc' ) : $sortable_columns[ $column ];
+							?>
+							<th class="manage-column column-<?php echo esc_attr( $column ); ?> <?php echo $is_sorted ? 'sorted ' . esc_attr( $filters['order'] ) : 'sortable ' . ( 'asc' === $next_order ? 'desc' : 'asc' ); ?>"
+								data-orderby="<?php echo esc_attr( $column ); ?>" data-default-order="<?php echo esc_attr( $sortable_columns[ $column ] ); ?>">
+								<a href="<?php echo esc_url( Ai_Blog_Posts_Admin::get_topics_url( $filters, array( 'orderby' => $column, 'order' => $next_order ) ) ); ?>">
+									<span><?php echo esc_html( $column_label ); ?></span>
+									<span class="sorting-indicators">
+										<span class="sorting-indicator asc" aria-hidden="true"></span>
+										<span class="sorting-indicator desc" aria-hidden="true"></span>
+									</span>
+								</a>
+							</th>
+						<?php else : ?>
+							<th class="manage-column column-<?php echo esc_attr( $column ); ?>"><?php echo esc_html( $column_label ); ?></th>
+						<?php endif; ?>
+					<?php endforeach; ?>
 				</tr>
 			</thead>
 			<tbody>
-				<?php if ( empty( $topics ) ) : ?>
-					<tr>
-						<td colspan="8" class="no-topics">
-							<div class="ai-blog-posts-empty-state">
-								<span class="dashicons dashicons-list-view"></span>
-								<p><?php esc_html_e( 'No topics in the queue. Add some topics to get started!', 'ai-blog-posts' ); ?></p>
-							</div>
-						</td>
-					</tr>
-				<?php else : ?>
-					<?php foreach ( $topics as $topic ) : ?>
-						<tr data-topic-id="<?php echo esc_attr( $topic->id ); ?>">
-							<th class="check-column">
-								<input type="checkbox" class="topic-checkbox" value="<?php echo esc_attr( $topic->id ); ?>">
-							</th>
-							<td class="column-topic">
-								<strong><?php echo esc_html( $topic->topic ); ?></strong>
-								<div class="row-actions">
-									<?php if ( 'pending' === $topic->status || 'failed' === $topic->status ) : ?>
-										<span class="edit-topic">
-											<a href="#" class="edit-topic-link" data-id="<?php echo esc_attr( $topic->id ); ?>" 
-											   data-topic="<?php echo esc_attr( $topic->topic ); ?>"
-											   data-keywords="<?php echo esc_attr( $topic->keywords ); ?>"
-											   data-category="<?php echo esc_attr( $topic->category_id ); ?>"
-											   data-priority="<?php echo esc_attr( $topic->priority ); ?>">
-												<?php esc_html_e( 'Edit', 'ai-blog-posts' ); ?>
-											</a> | 
-										</span>
-									<?php endif; ?>
-									<?php if ( 'pending' === $topic->status ) : ?>
-										<span class="generate">
-											<a href="#" class="generate-topic" data-id="<?php echo esc_attr( $topic->id ); ?>">
-												<?php esc_html_e( 'Generate', 'ai-blog-posts' ); ?>
-											</a> | 
-										</span>
-									<?php elseif ( 'failed' === $topic->status ) : ?>
-										<span class="retry">
-											<a href="#" class="retry-topic" data-id="<?php echo esc_attr( $topic->id ); ?>">
-												<?php esc_html_e( 'Retry', 'ai-blog-posts' ); ?>
-											</a> | 
-										</span>
-									<?php elseif ( 'generating' === $topic->status ) : ?>
-										<span class="generating-text">
-											<span class="spinner is-active" style="float: none; margin: 0;"></span>
-											<?php esc_html_e( 'Generating...', 'ai-blog-posts' ); ?>
-										</span>
-									<?php endif; ?>
-									<?php if ( $topic->post_id ) : ?>
-										<span class="view">
-											<a href="<?php echo esc_url( get_permalink( $topic->post_id ) ); ?>" target="_blank">
-												<?php esc_html_e( 'View Post', 'ai-blog-posts' ); ?>
-											</a> | 
-										</span>
-										<span class="edit-post">
-											<a href="<?php echo esc_url( get_edit_post_link( $topic->post_id ) ); ?>">
-												<?php esc_html_e( 'Edit Post', 'ai-blog-posts' ); ?>
-											</a> | 
-										</span>
-									<?php endif; ?>
-									<?php if ( 'generating' !== $topic->status ) : ?>
-									<span class="delete">
-										<a href="#" class="delete-topic" data-id="<?php echo esc_attr( $topic->id ); ?>">
-											<?php esc_html_e( 'Delete', 'ai-blog-posts' ); ?>
-										</a>
-									</span>
-									<?php endif; ?>
-								</div>
-							</td>
-							<td class="column-keywords">
-								<?php if ( $topic->keywords ) : ?>
-									<?php 
-									$keywords = explode( ',', $topic->keywords );
-									foreach ( $keywords as $keyword ) : ?>
-										<span class="keyword-tag"><?php echo esc_html( trim( $keyword ) ); ?></span>
-									<?php endforeach; ?>
-								<?php else : ?>
-									<em>—</em>
-								<?php endif; ?>
-							</td>
-							<td class="column-category">
-								<?php if ( $topic->category_id ) : ?>
-									<?php $cat = get_category( $topic->category_id ); ?>
-									<?php echo $cat ? esc_html( $cat->name ) : '—'; ?>
-								<?php else : ?>
-									<em>—</em>
-								<?php endif; ?>
-							</td>
-							<td class="column-source">
-								<span class="source-badge source-<?php echo esc_attr( $topic->source ); ?>">
-									<?php echo esc_html( ucfirst( $topic->source ) ); ?>
-								</span>
-							</td>
-							<td class="column-priority">
-								<span class="priority-badge priority-<?php echo $topic->priority > 50 ? 'high' : ( $topic->priority > 0 ? 'medium' : 'low' ); ?>">
-									<?php echo esc_html( $topic->priority ); ?>
-								</span>
-							</td>
-							<td class="column-status">
-								<span class="status-badge <?php echo esc_attr( $topic->status ); ?>">
-									<?php echo esc_html( ucfirst( $topic->status ) ); ?>
-								</span>
-								<?php if ( 'failed' === $topic->status && $topic->last_error ) : ?>
-									<span class="error-tooltip" title="<?php echo esc_attr( $topic->last_error ); ?>">
-										<span class="dashicons dashicons-info"></span>
-									</span>
-								<?php endif; ?>
-							</td>
-							<td class="column-date">
-								<span title="<?php echo esc_attr( $topic->created_at ); ?>">
-									<?php echo esc_html( human_time_diff( strtotime( $topic->created_at ), current_time( 'timestamp' ) ) ); ?> ago
-								</span>
-							</td>
-						</tr>
-					<?php endforeach; ?>
-				<?php endif; ?>
+				<?php include plugin_dir_path( __FILE__ ) . 'topic-rows.php'; ?>
 			</tbody>
 		</table>
 
+		<details class="topic-shortcuts">
+			<summary><?php esc_html_e( 'Keyboard shortcuts', 'ai-blog-posts' ); ?></summary>
+			<p class="description"><?php esc_html_e( 'Drag pending topics by their handle to change the order the scheduler picks them in. Dragging is only available while the table is in queue order, with no column sorted. Double-click a topic, its keywords or category to edit it in place.', 'ai-blog-posts' ); ?></p>
+			<ul>
+				<li><kbd>j</kbd> / <kbd>k</kbd> <?php esc_html_e( 'Move to the next or previous topic', 'ai-blog-posts' ); ?></li>
+				<li><kbd>Alt</kbd> + <kbd>&uarr;</kbd> / <kbd>&darr;</kbd> <?php esc_html_e( 'Move the topic up or down the queue', 'ai-blog-posts' ); ?></li>
+				<li><kbd>x</kbd> <?php esc_html_e( 'Select or deselect the topic', 'ai-blog-posts' ); ?></li>
+				<li><kbd>e</kbd> <?php esc_html_e( 'Edit the topic in place', 'ai-blog-posts' ); ?></li>
+				<li><kbd>g</kbd> <?php esc_html_e( 'Generate the topic now', 'ai-blog-posts' ); ?></li>
+				<li><kbd>Delete</kbd> <?php esc_html_e( 'Delete the topic', 'ai-blog-posts' ); ?></li>
+				<li><kbd>n</kbd> <?php esc_html_e( 'Add a new topic', 'ai-blog-posts' ); ?></li>
+				<li><kbd>Enter</kbd> / <kbd>Esc</kbd> <?php esc_html_e( 'Save or cancel an edit', 'ai-blog-posts' ); ?></li>
+			</ul>
+		</details>
+
 		<!-- Pagination -->
-		<?php if ( $total_pages > 1 ) : ?>
-			<div class="tablenav bottom">
-				<div class="tablenav-pages">
-					<span class="displaying-num">
-						<?php 
-						printf(
-							/* translators: %s: number of items */
-							esc_html( _n( '%s item', '%s items', $total_topics, 'ai-blog-posts' ) ),
-							number_format_i18n( $total_topics )
-						);
-						?>
-					</span>
-					<span class="pagination-links">
-						<?php
-						echo paginate_links( array(
-							'base'      => add_query_arg( 'paged', '%#%' ),
-							'format'    => '',
-							'prev_text' => '&laquo;',
-							'next_text' => '&raquo;',
-							'total'     => $total_pages,
-							'current'   => $page,
-						) );
-						?>
-					</span>
-				</div>
-			</div>
-		<?php endif; ?>
+		<div class="tablenav bottom" id="topics-pagination">
+			<?php include plugin_dir_path( __FILE__ ) . 'topics-pagination.php'; ?>
+		</div>
 
-		<!-- CSV Import Modal -->
-		<div id="csv-import-modal" class="ai-blog-posts-modal" style="display: none;">
-			<div class="modal-content">
+		<!-- Import Wizard Modal -->
+		<div id="import-modal" class="ai-blog-posts-modal" style="display: none;">
+			<div class="modal-content modal-wide">
 				<div class="modal-header">
-					<h2><?php esc_html_e( 'Import Topics from CSV', 'ai-blog-posts' ); ?></h2>
+					<h2><?php esc_html_e( 'Import Topics', 'ai-blog-posts' ); ?></h2>
 					<button type="button" class="modal-close">&times;</button>
 				</div>
 				<div class="modal-body">
-					<p><?php esc_html_e( 'Upload a CSV file with topics. Expected columns:', 'ai-blog-posts' ); ?></p>
-					<ul style="margin: 10px 0 10px 20px; list-style: disc;">
-						<li><strong>Topic</strong> <?php esc_html_e( '(required)', 'ai-blog-posts' ); ?></li>
-						<li><strong>Keywords</strong> <?php esc_html_e( '(optional - comma-separated)', 'ai-blog-posts' ); ?></li>
-						<li><strong>Category</strong> <?php esc_html_e( '(optional - name or slug, will be auto-created if not found)', 'ai-blog-posts' ); ?></li>
-						<li><strong>Priority</strong> <?php esc_html_e( '(optional - 0-100)', 'ai-blog-posts' ); ?></li>
-					</ul>
-					<form id="csv-import-form" enctype="multipart/form-data">
-						<input type="file" id="csv-file" name="csv_file" accept=".csv" required>
+					<ol class="import-steps">
+						<li data-step="upload" class="active"><?php esc_html_e( 'Choose File', 'ai-blog-posts' ); ?></li>
+						<li data-step="mapping"><?php esc_html_e( 'Map Columns', 'ai-blog-posts' ); ?></li>
+						<li data-step="preview"><?php esc_html_e( 'Preview', 'ai-blog-posts' ); ?></li>
+						<li data-step="import"><?php esc_html_e( 'Import', 'ai-blog-posts' ); ?></li>
+					</ol>
+
+					<div class="import-step" data-step="upload">
+						<p><?php esc_html_e( 'Upload a CSV, TSV, JSON or XLSX file with one topic per row. The first row should hold the column names. You can match the columns to topic fields in the next step.', 'ai-blog-posts' ); ?></p>
+						<p>
+							<input type="file" id="import-file" accept=".csv,.tsv,.txt,.json,.xlsx" data-max-size="<?php echo esc_attr( wp_max_upload_size() ); ?>">
+						</p>
 						<p class="description">
-							<?php esc_html_e( 'Maximum file size: 2MB', 'ai-blog-posts' ); ?>
+							<?php
+							printf(
+								/* translators: %s: maximum file size */
+								esc_html__( 'Maximum file size: %s. JSON files should hold a list of objects, one per topic.', 'ai-blog-posts' ),
+								esc_html( size_format( wp_max_upload_size() ) )
+							);
+							?>
 						</p>
-					</form>
+					</div>
+
+					<div class="import-step" data-step="mapping" style="display: none;">
+						<p class="import-file-summary"></p>
+						<table class="widefat import-mapping">
+							<thead>
+								<tr>
+									<th><?php esc_html_e( 'Topic Field', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'Column in File', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'First Value', 'ai-blog-posts' ); ?></th>
+								</tr>
+							</thead>
+							<tbody>
+								<?php foreach ( Ai_Blog_Posts_Importer::get_fields() as $field => $field_info ) : ?>
+									<tr data-field="<?php echo esc_attr( $field ); ?>" data-aliases="<?php echo esc_attr( wp_json_encode( $field_info['aliases'] ) ); ?>">
+										<td>
+											<strong><?php echo esc_html( $field_info['label'] ); ?></strong>
+											<?php if ( $field_info['required'] ) : ?>
+												<span class="required">*</span>
+											<?php endif; ?>
+										</td>
+										<td>
+											<select class="import-column" data-field="<?php echo esc_attr( $field ); ?>"></select>
+										</td>
+										<td class="import-sample"></td>
+									</tr>
+								<?php endforeach; ?>
+							</tbody>
+						</table>
+						<p class="description">
+							<?php
+							echo esc_html( sprintf(
+								/* translators: %s: list of content type IDs */
+								__( 'Categories are matched by name or slug and created if missing. Content types can be given by name or ID (%s). Voice profiles are matched by name. Dates use the site timezone.', 'ai-blog-posts' ),
+								implode( ', ', array_keys( $content_types ) )
+							) );
+							?>
+						</p>
+						<p>
+							<label for="import-on-duplicate"><?php esc_html_e( 'Topics similar to a queued topic or post:', 'ai-blog-posts' ); ?></label>
+							<select id="import-on-duplicate">
+								<option value="skip"><?php esc_html_e( 'Skip them', 'ai-blog-posts' ); ?></option>
+								<option value="merge"><?php esc_html_e( 'Merge keywords into the queued topic', 'ai-blog-posts' ); ?></option>
+								<option value="add"><?php esc_html_e( 'Import them anyway', 'ai-blog-posts' ); ?></option>
+							</select>
+						</p>
+					</div>
+
+					<div class="import-step" data-step="preview" style="display: none;">
+						<p class="import-preview-summary"></p>
+						<label class="import-errors-toggle">
+							<input type="checkbox" id="import-problems-only">
+							<?php esc_html_e( 'Only show rows with problems', 'ai-blog-posts' ); ?>
+						</label>
+						<table class="widefat striped import-preview">
+							<thead>
+								<tr>
+									<th class="column-line"><?php esc_html_e( 'Row', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'Topic', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'Category', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'Result', 'ai-blog-posts' ); ?></th>
+								</tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+					</div>
+
+					<div class="import-step" data-step="import" style="display: none;">
+						<div class="progress-bar">
+							<div class="progress-fill import-progress"></div>
+						</div>
+						<p class="progress-status import-status"></p>
+					</div>
 				</div>
 				<div class="modal-footer">
 					<button type="button" class="button modal-cancel"><?php esc_html_e( 'Cancel', 'ai-blog-posts' ); ?></button>
-					<button type="button" id="do-csv-import" class="button button-primary"><?php esc_html_e( 'Import', 'ai-blog-posts' ); ?></button>
+					<button type="button" id="import-back" class="button" style="display: none;"><?php esc_html_e( 'Back', 'ai-blog-posts' ); ?></button>
+					<button type="button" id="import-preview" class="button button-primary" style="display: none;"><?php esc_html_e( 'Preview Import', 'ai-blog-posts' ); ?></button>
+					<button type="button" id="import-run" class="button button-primary" style="display: none;"><?php esc_html_e( 'Import Topics', 'ai-blog-posts' ); ?></button>
 				</div>
 			</div>
 		</div>
@@ -362,6 +447,61 @@ $status_counts = array(
 			</div>
 		</div>
 
+		<!-- Duplicate Warning Modal -->
+		<div id="duplicate-topic-modal" class="ai-blog-posts-modal" style="display: none;">
+			<div class="modal-content">
+				<div class="modal-header">
+					<h2><?php esc_html_e( 'Possible Duplicate', 'ai-blog-posts' ); ?></h2>
+					<button type="button" class="modal-close">&times;</button>
+				</div>
+				<div class="modal-body">
+					<p class="duplicate-topic-intro"></p>
+					<ul class="duplicate-list"></ul>
+				</div>
+				<div class="modal-footer">
+					<button type="button" class="button modal-cancel"><?php esc_html_e( 'Cancel', 'ai-blog-posts' ); ?></button>
+					<button type="button" id="add-duplicate-anyway" class="button button-primary"><?php esc_html_e( 'Add Anyway', 'ai-blog-posts' ); ?></button>
+				</div>
+			</div>
+		</div>
+
+		<!-- Duplicates Report Modal -->
+		<div id="duplicates-report-modal" class="ai-blog-posts-modal" style="display: none;">
+			<div class="modal-content modal-wide">
+				<div class="modal-header">
+					<h2><?php esc_html_e( 'Duplicate Topics', 'ai-blog-posts' ); ?></h2>
+					<button type="button" class="modal-close">&times;</button>
+				</div>
+				<div class="modal-body">
+					<div id="duplicates-loading" class="loading-spinner">
+						<span class="spinner is-active"></span>
+						<p><?php esc_html_e( 'Comparing topics with the queue and your posts...', 'ai-blog-posts' ); ?></p>
+					</div>
+					<div id="duplicates-report" style="display: none;">
+						<p class="description duplicates-summary"></p>
+						<label>
+							<input type="checkbox" id="duplicates-only" checked>
+							<?php esc_html_e( 'Only show likely duplicates', 'ai-blog-posts' ); ?>
+						</label>
+						<table class="widefat striped duplicates-table">
+							<thead>
+								<tr>
+									<th><?php esc_html_e( 'Queued Topic', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'Closest Post', 'ai-blog-posts' ); ?></th>
+									<th><?php esc_html_e( 'Similar To', 'ai-blog-posts' ); ?></th>
+									<th></th>
+								</tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+					</div>
+				</div>
+				<div class="modal-footer">
+					<button type="button" class="button modal-cancel"><?php esc_html_e( 'Close', 'ai-blog-posts' ); ?></button>
+				</div>
+			</div>
+		</div>
+
 		<!-- Edit Topic Modal -->
 		<div id="edit-topic-modal" class="ai-blog-posts-modal" style="display: none;">
 			<div class="modal-content">
@@ -384,6 +524,26 @@ $status_counts = array(
 							<input type="text" id="edit-topic-keywords" name="keywords" placeholder="<?php esc_attr_e( 'Comma-separated keywords', 'ai-blog-posts' ); ?>">
 							<p class="description"><?php esc_html_e( 'Optional: Enter keywords separated by commas', 'ai-blog-posts' ); ?></p>
 						</div>
+
+						<div class="form-field">
+							<label for="edit-topic-content-type"><?php esc_html_e( 'Content Type', 'ai-blog-posts' ); ?></label>
+							<select id="edit-topic-content-type" name="content_type">
+								<?php foreach ( $content_types as $type_id => $type_label ) : ?>
+									<option value="<?php echo esc_attr( $type_id ); ?>"><?php echo esc_html( $type_label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
+
+						<div class="form-field">
+							<label for="edit-topic-voice-profile"><?php esc_html_e( 'Voice Profile', 'ai-blog-posts' ); ?></label>
+							<select id="edit-topic-voice-profile" name="voice_profile">
+								<option value=""><?php esc_html_e( 'Automatic (by category)', 'ai-blog-posts' ); ?></option>
+								<option value="<?php echo esc_attr( Ai_Blog_Posts_Voice_Profiles::NONE ); ?>"><?php esc_html_e( 'None (website analysis only)', 'ai-blog-posts' ); ?></option>
+								<?php foreach ( $voice_profiles as $profile_id => $profile_name ) : ?>
+									<option value="<?php echo esc_attr( $profile_id ); ?>"><?php echo esc_html( $profile_name ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
 						
 						<div class="form-field">
 							<label for="edit-topic-category"><?php esc_html_e( 'Category', 'ai-blog-posts' ); ?></label>
@@ -402,6 +562,18 @@ $status_counts = array(
 							<input type="number" id="edit-topic-priority" name="priority" min="0" max="100" value="0">
 							<p class="description"><?php esc_html_e( 'Priority from 0-100 (higher = processed sooner)', 'ai-blog-posts' ); ?></p>
 						</div>
+
+						<div class="form-field">
+							<label for="edit-topic-generate-by"><?php esc_html_e( 'Generate By', 'ai-blog-posts' ); ?></label>
+							<input type="date" id="edit-topic-generate-by" name="generate_by">
+							<p class="description"><?php esc_html_e( 'Optional: the scheduler picks topics with the earliest generate-by or publish date first.', 'ai-blog-posts' ); ?></p>
+						</div>
+
+						<div class="form-field">
+							<label for="edit-topic-publish-at"><?php esc_html_e( 'Publish At', 'ai-blog-posts' ); ?></label>
+							<input type="datetime-local" id="edit-topic-publish-at" name="publish_at">
+							<p class="description"><?php esc_html_e( 'Optional: the post is created as scheduled and goes live at this time.', 'ai-blog-posts' ); ?></p>
+						</div>
 					</form>
 				</div>
 				<div class="modal-footer">
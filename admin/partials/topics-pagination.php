@@ -0,0 +1,47 @@
+<?php
+/**
+ * Topic queue pagination
+ *
+ * Used by the Topics page and when the table is reloaded over AJAX.
+ * Expects $total_topics, $per_page, $page and $filters.
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/admin/partials
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$total_pages = (int) ceil( $total_topics / $per_page );
+?>
+<div class="tablenav-pages">
+	<span class="displaying-num">
+		<?php 
+		printf(
+			/* translators: %s: number of items */
+			esc_html( _n( '%s item', '%s items', $total_topics, 'ai-blog-posts' ) ),
+			esc_html( number_format_i18n( $total_topics ) )
+		);
+		?>
+	</span>
+	<?php if ( $total_pages > 1 ) : ?>
+		<span class="pagination-links">
+			<?php
+			// paginate_links() swaps %#% for the page number, so it must not be encoded
+			echo paginate_links( array(
+				'base'      => str_replace( '%25%23%25', '%#%', Ai_Blog_Posts_Admin::get_topics_url( $filters, array( 'paged' => '%#%' ) ) ),
+				'format'    => '',
+				'prev_text' => '&laquo;',
+				'next_text' => '&raquo;',
+				'total'     => $total_pages,
+				'current'   => $page,
+			) );
+			?>
+		</span>
+	<?php endif; ?>
+</div>
@@ -0,0 +1,293 @@
+<?php
+/**
+ * Voice profiles page template
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/admin/partials
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+$profiles = Ai_Blog_Posts_Voice_Profiles::get_all();
+$default_profile = Ai_Blog_Posts_Settings::get( 'voice_profile_default' );
+$categories = get_categories( array( 'hide_empty' => false ) );
+
+// Open the requested profile, the first one, or a blank form
+$current_id = isset( $_GET['profile'] ) ? sanitize_key( $_GET['profile'] ) : (string) key( $profiles );
+$profile = isset( $profiles[ $current_id ] ) ? $profiles[ $current_id ] : Ai_Blog_Posts_Voice_Profiles::get_defaults();
+
+// Which profile each category belongs to, to show when assigning it elsewhere
+$category_owners = array();
+foreach ( $profiles as $profile_id => $other ) {
+	foreach ( $other['categories'] as $category_id ) {
+		$category_owners[ $category_id ] = $other['name'];
+	}
+}
+?>
+
+<div class="wrap ai-blog-posts-wrap">
+	<h1 class="wp-heading-inline">
+		<span class="dashicons dashicons-megaphone"></span>
+		<?php esc_html_e( 'Voice Profiles', 'ai-blog-posts' ); ?>
+	</h1>
+
+	<p class="description">
+		<?php esc_html_e( 'Describe how posts should sound. A topic can pick a profile; otherwise the profile assigned to its category is used, then the default profile, then the website analysis.', 'ai-blog-posts' ); ?>
+	</p>
+
+	<div class="voice-profiles">
+		<div class="voice-profile-list">
+			<h2><?php esc_html_e( 'Profiles', 'ai-blog-posts' ); ?></h2>
+
+			<?php if ( empty( $profiles ) ) : ?>
+				<p class="description"><?php esc_html_e( 'No profiles yet.', 'ai-blog-posts' ); ?></p>
+			<?php else : ?>
+				<ul>
+					<?php foreach ( $profiles as $profile_id => $item ) : ?>
+						<li class="<?php echo $profile_id === $profile['id'] ? 'is-active' : ''; ?>">
+							<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-voices&profile=' . rawurlencode( $profile_id ) ) ); ?>">
+								<strong><?php echo esc_html( $item['name'] ); ?></strong>
+								<?php if ( $profile_id === $default_profile ) : ?>
+									<span class="status-badge completed"><?php esc_html_e( 'Default', 'ai-blog-posts' ); ?></span>
+								<?php endif; ?>
+							</a>
+							<?php if ( $item['categories'] ) : ?>
+								<span class="description">
+									<?php
+									echo esc_html( implode( ', ', array_filter( array_map( function( $category_id ) {
+										$category = get_category( $category_id );
+										return $category && ! is_wp_error( $category ) ? $category->name : '';
+									}, $item['categories'] ) ) ) );
+									?>
+								</span>
+							<?php endif; ?>
+						</li>
+					<?php endforeach; ?>
+				</ul>
+			<?php endif; ?>
+
+			<div class="voice-profile-list-actions">
+				<a href="<?php echo esc_url( admin_url( 'admin.php?page=ai-blog-posts-voices&profile=new' ) ); ?>" class="button">
+					<span class="dashicons dashicons-plus-alt2"></span>
+					<?php esc_html_e( 'New Profile', 'ai-blog-posts' ); ?>
+				</a>
+				<button type="button" class="button" id="seed-voice-profile">
+					<span class="dashicons dashicons-search"></span>
+					<?php esc_html_e( 'Create from Website Analysis', 'ai-blog-posts' ); ?>
+				</button>
+			</div>
+		</div>
+
+		<form id="voice-profile-form" class="ai-blog-posts-form voice-profile-editor">
+			<input type="hidden" name="id" value="<?php echo esc_attr( $profile['id'] ); ?>">
+
+			<div class="settings-section">
+				<h2><?php echo $profile['id'] ? esc_html__( 'Edit Profile', 'ai-blog-posts' ) : esc_html__( 'New Profile', 'ai-blog-posts' ); ?></h2>
+				<table class="form-table">
+					<tr>
+						<th scope="row"><label for="voice-name"><?php esc_html_e( 'Name', 'ai-blog-posts' ); ?></label></th>
+						<td><input type="text" id="voice-name" name="name" class="regular-text" value="<?php echo esc_attr( $profile['name'] ); ?>" required></td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="voice-description"><?php esc_html_e( 'Description', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<input type="text" id="voice-description" name="description" class="large-text" value="<?php echo esc_attr( $profile['description'] ); ?>">
+							<p class="description"><?php esc_html_e( 'A note for your team. It is not sent to the AI.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+				</table>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Tone', 'ai-blog-posts' ); ?></h2>
+				<p class="description"><?php esc_html_e( 'The middle of each slider leaves that part of the tone to the AI.', 'ai-blog-posts' ); ?></p>
+				<table class="form-table">
+					<?php foreach ( Ai_Blog_Posts_Voice_Profiles::get_tones() as $tone => $slider ) : ?>
+						<tr>
+							<th scope="row"><label for="voice-tone-<?php echo esc_attr( $tone ); ?>"><?php echo esc_html( $slider['label'] ); ?></label></th>
+							<td>
+								<div class="voice-tone-slider">
+									<span><?php echo esc_html( $slider['low'] ); ?></span>
+									<input type="range" id="voice-tone-<?php echo esc_attr( $tone ); ?>" name="tone[<?php echo esc_attr( $tone ); ?>]" min="1" max="5" step="1" value="<?php echo esc_attr( $profile['tone'][ $tone ] ); ?>">
+									<span><?php echo esc_html( $slider['high'] ); ?></span>
+								</div>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+					<tr>
+						<th scope="row"><label for="voice-reading-level"><?php esc_html_e( 'Reading Level', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<select id="voice-reading-level" name="reading_level">
+								<option value=""><?php esc_html_e( 'Any', 'ai-blog-posts' ); ?></option>
+								<?php foreach ( Ai_Blog_Posts_Voice_Profiles::get_reading_levels() as $level => $level_info ) : ?>
+									<option value="<?php echo esc_attr( $level ); ?>" <?php selected( $profile['reading_level'], $level ); ?>><?php echo esc_html( $level_info['label'] ); ?></option>
+								<?php endforeach; ?>
+							</select>
+							<p class="description"><?php esc_html_e( 'Checked with the Flesch-Kincaid grade, which only suits English text.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="voice-person"><?php esc_html_e( 'Person', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<select id="voice-person" name="person">
+								<option value=""><?php esc_html_e( 'Any', 'ai-blog-posts' ); ?></option>
+								<?php foreach ( Ai_Blog_Posts_Voice_Profiles::get_persons() as $person => $person_info ) : ?>
+									<option value="<?php echo esc_attr( $person ); ?>" <?php selected( $profile['person'], $person ); ?>><?php echo esc_html( $person_info['label'] ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+				</table>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Vocabulary', 'ai-blog-posts' ); ?></h2>
+				<table class="form-table">
+					<tr>
+						<th scope="row"><label for="voice-banned"><?php esc_html_e( 'Banned Words', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<textarea id="voice-banned" name="banned" rows="5" class="large-text"><?php echo esc_textarea( implode( "\n", $profile['banned'] ) ); ?></textarea>
+							<p class="description"><?php esc_html_e( 'One word or phrase per line. Generated posts are checked for them.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="voice-preferred"><?php esc_html_e( 'Preferred Words', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<textarea id="voice-preferred" name="preferred" rows="5" class="large-text" placeholder="<?php esc_attr_e( 'customers, not clients', 'ai-blog-posts' ); ?>"><?php echo esc_textarea( implode( "\n", $profile['preferred'] ) ); ?></textarea>
+							<p class="description"><?php esc_html_e( 'One per line: product names, spellings and terms to use instead of others.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+				</table>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Formatting Rules', 'ai-blog-posts' ); ?></h2>
+				<table class="form-table">
+					<tr>
+						<th scope="row"><label for="voice-max-sentence-words"><?php esc_html_e( 'Longest Sentence', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<input type="number" id="voice-max-sentence-words" name="max_sentence_words" min="0" max="100" class="small-text" value="<?php echo esc_attr( $profile['max_sentence_words'] ); ?>">
+							<?php esc_html_e( 'words', 'ai-blog-posts' ); ?>
+							<p class="description"><?php esc_html_e( '0 for no limit.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="voice-max-paragraph-sentences"><?php esc_html_e( 'Longest Paragraph', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<input type="number" id="voice-max-paragraph-sentences" name="max_paragraph_sentences" min="0" max="20" class="small-text" value="<?php echo esc_attr( $profile['max_paragraph_sentences'] ); ?>">
+							<?php esc_html_e( 'sentences', 'ai-blog-posts' ); ?>
+							<p class="description"><?php esc_html_e( '0 for no limit.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="voice-headings"><?php esc_html_e( 'Headings', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<select id="voice-headings" name="headings">
+								<option value=""><?php esc_html_e( 'Any', 'ai-blog-posts' ); ?></option>
+								<?php foreach ( Ai_Blog_Posts_Voice_Profiles::get_heading_styles() as $style => $style_label ) : ?>
+									<option value="<?php echo esc_attr( $style ); ?>" <?php selected( $profile['headings'], $style ); ?>><?php echo esc_html( $style_label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Exclamation Marks', 'ai-blog-posts' ); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" name="exclamations" value="1" <?php checked( $profile['exclamations'] ); ?>>
+								<?php esc_html_e( 'Allow exclamation marks', 'ai-blog-posts' ); ?>
+							</label>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="voice-rules"><?php esc_html_e( 'Other Rules', 'ai-blog-posts' ); ?></label></th>
+						<td>
+							<textarea id="voice-rules" name="rules" rows="4" class="large-text"><?php echo esc_textarea( $profile['rules'] ); ?></textarea>
+							<p class="description"><?php esc_html_e( 'Anything else the AI should follow, e.g. "Spell out numbers under ten." These are not checked automatically.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+				</table>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Example Paragraphs', 'ai-blog-posts' ); ?></h2>
+				<p class="description"><?php esc_html_e( 'Paste a few paragraphs that sound the way you want. The AI imitates their voice without copying them.', 'ai-blog-posts' ); ?></p>
+				<textarea id="voice-examples" name="examples" rows="8" class="large-text"><?php echo esc_textarea( $profile['examples'] ); ?></textarea>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Assignment', 'ai-blog-posts' ); ?></h2>
+				<table class="form-table">
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Categories', 'ai-blog-posts' ); ?></th>
+						<td>
+							<div class="voice-categories">
+								<?php foreach ( $categories as $category ) : ?>
+									<?php $owner = $category_owners[ $category->term_id ] ?? ''; ?>
+									<label>
+										<input type="checkbox" name="categories[]" value="<?php echo esc_attr( $category->term_id ); ?>" <?php checked( in_array( (int) $category->term_id, $profile['categories'], true ) ); ?>>
+										<?php echo esc_html( $category->name ); ?>
+										<?php if ( $owner && ! in_array( (int) $category->term_id, $profile['categories'], true ) ) : ?>
+											<span class="description">
+												<?php
+												/* translators: %s: profile name */
+												printf( esc_html__( '(now %s)', 'ai-blog-posts' ), esc_html( $owner ) );
+												?>
+											</span>
+										<?php endif; ?>
+									</label>
+								<?php endforeach; ?>
+							</div>
+							<p class="description"><?php esc_html_e( 'Posts in these categories, and their subcategories, use this profile. A category belongs to one profile at a time.', 'ai-blog-posts' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Default', 'ai-blog-posts' ); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" id="voice-is-default" value="1" <?php checked( $profile['id'] && $profile['id'] === $default_profile ); ?>>
+								<?php esc_html_e( 'Use for posts whose category has no profile', 'ai-blog-posts' ); ?>
+							</label>
+						</td>
+					</tr>
+				</table>
+			</div>
+
+			<div class="settings-section">
+				<h2><?php esc_html_e( 'Preview', 'ai-blog-posts' ); ?></h2>
+				<p class="description"><?php esc_html_e( 'See the instructions this profile gives the AI, and optionally check some text against its rules.', 'ai-blog-posts' ); ?></p>
+				<textarea id="voice-sample" rows="6" class="large-text" placeholder="<?php esc_attr_e( 'Paste a post or a few paragraphs to check (optional)', 'ai-blog-posts' ); ?>"></textarea>
+				<p>
+					<button type="button" class="button" id="preview-voice-profile">
+						<span class="dashicons dashicons-visibility"></span>
+						<?php esc_html_e( 'Preview and Check', 'ai-blog-posts' ); ?>
+					</button>
+				</p>
+				<div id="voice-profile-preview" style="display: none;">
+					<h4><?php esc_html_e( 'Style Instructions', 'ai-blog-posts' ); ?></h4>
+					<pre class="voice-preview-prompt"></pre>
+					<div class="voice-preview-check"></div>
+				</div>
+			</div>
+
+			<div class="settings-footer">
+				<button type="submit" class="button button-primary button-large" id="save-voice-profile">
+					<span class="dashicons dashicons-saved"></span>
+					<?php esc_html_e( 'Save Profile', 'ai-blog-posts' ); ?>
+				</button>
+				<?php if ( $profile['id'] ) : ?>
+					<button type="button" class="button button-link-delete" id="delete-voice-profile" data-id="<?php echo esc_attr( $profile['id'] ); ?>">
+						<?php esc_html_e( 'Delete', 'ai-blog-posts' ); ?>
+					</button>
+				<?php endif; ?>
+				<span class="save-status"></span>
+			</div>
+		</form>
+	</div>
+</div>
@@ -0,0 +1,280 @@
+<?php
+
+/**
+ * Shared base for non-OpenAI text providers
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Request, retry and pricing helpers shared by the Anthropic and Gemini adapters.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+abstract class Ai_Blog_Posts_Provider_Base implements Ai_Blog_Posts_Provider {
+
+	/**
+	 * Maximum retry attempts for failed requests.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const MAX_RETRIES = 3;
+
+	/**
+	 * Timeout for API requests in seconds.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const TIMEOUT = 300;
+
+	/**
+	 * The API key.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @var      string
+	 */
+	protected $api_key;
+
+	/**
+	 * Last API response.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @var      array
+	 */
+	protected $last_response;
+
+	/**
+	 * Last error message.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @var      string
+	 */
+	protected $last_error;
+
+	/**
+	 * Initialize the class.
+	 *
+	 * @since    1.0.0
+	 * @param    string $api_key    Optional API key override.
+	 */
+	public function __construct( $api_key = null ) {
+		$providers = Ai_Blog_Posts_Providers::get_all();
+		$key_setting = $providers[ $this->get_id() ]['key_setting'];
+
+		$this->api_key = $api_key ?? Ai_Blog_Posts_Settings::get( $key_setting );
+	}
+
+	/**
+	 * Get the provider name used in error messages.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   string    Provider name.
+	 */
+	abstract protected function get_label();
+
+	/**
+	 * Build the request headers.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    string $key    API key.
+	 * @return   array          Headers.
+	 */
+	abstract protected function get_headers( $key );
+
+	/**
+	 * Pull the error message out of an error response body.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    array $data    Decoded response body.
+	 * @return   string         Error message.
+	 */
+	protected function get_error_message( $data ) {
+		return $data['error']['message'] ?? __( 'API request failed.', 'ai-blog-posts' );
+	}
+
+	/**
+	 * Make an API request with retries for rate limits and server errors.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    string $method     HTTP method.
+	 * @param    string $url        Full request URL.
+	 * @param    array  $body       Request body.
+	 * @param    string $api_key    Optional API key override.
+	 * @return   array|WP_Error     Response or error.
+	 */
+	protected function make_request( $method, $url, $body = array(), $api_key = null ) {
+		$key = $api_key ?? $this->api_key;
+
+		if ( empty( $key ) ) {
+			return new WP_Error(
+				'missing_api_key',
+				/* translators: %s: provider name */
+				sprintf( __( '%s API key is not configured.', 'ai-blog-posts' ), $this->get_label() )
+			);
+		}
+
+		$args = array(
+			'method'  => $method,
+			'headers' => $this->get_headers( $key ),
+			'timeout' => self::TIMEOUT,
+		);
+
+		if ( ! empty( $body ) && 'GET' !== $method ) {
+			$args['body'] = wp_json_encode( $body );
+		}
+
+		$attempts = 0;
+		$last_error = null;
+
+		while ( $attempts < self::MAX_RETRIES ) {
+			$attempts++;
+
+			if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+				error_log( sprintf( 'AI Blog Posts: %s request attempt %d', $this->get_label(), $attempts ) );
+			}
+
+			$response = wp_remote_request( $url, $args );
+
+			if ( is_wp_error( $response ) ) {
+				$last_error = $response;
+
+				// Connection problems won't fix themselves between retries
+				if ( strpos( $response->get_error_message(), 'cURL' ) !== false ) {
+					break;
+				}
+
+				if ( $attempts < self::MAX_RETRIES ) {
+					sleep( pow( 2, $attempts ) );
+				}
+				continue;
+			}
+
+			$code = wp_remote_retrieve_response_code( $response );
+			$data = json_decode( wp_remote_retrieve_body( $response ), true );
+
+			$this->last_response = $data;
+
+			if ( $code >= 200 && $code < 300 ) {
+				return $data;
+			}
+
+			if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+				error_log( sprintf( 'AI Blog Posts: %s HTTP %d - %s', $this->get_label(), $code, substr( wp_json_encode( $data ), 0, 500 ) ) );
+			}
+
+			// Rate limited or overloaded - retry with backoff
+			if ( 429 === $code || $code >= 500 ) {
+				/* translators: 1: provider name, 2: HTTP status code */
+				$last_error = new WP_Error( 'server_error', sprintf( __( '%1$s server error (HTTP %2$d)', 'ai-blog-posts' ), $this->get_label(), $code ) );
+
+				$retry_after = wp_remote_retrieve_header( $response, 'retry-after' );
+				$wait = $retry_after ? (int) $retry_after : pow( 2, $attempts );
+
+				if ( $attempts < self::MAX_RETRIES ) {
+					sleep( min( $wait, 60 ) );
+				}
+				continue;
+			}
+
+			$this->last_error = $this->get_error_message( $data );
+
+			if ( 401 === $code ) {
+				return new WP_Error( 'invalid_api_key', __( 'Invalid API key. Please check your API key in Settings.', 'ai-blog-posts' ) );
+			}
+			if ( 403 === $code ) {
+				return new WP_Error( 'access_denied', __( 'Access denied. Your API key may not have permission for this model.', 'ai-blog-posts' ) );
+			}
+			if ( 404 === $code ) {
+				return new WP_Error( 'model_not_found', __( 'The selected model was not found. Please choose a different model.', 'ai-blog-posts' ) );
+			}
+
+			return new WP_Error( 'api_error', $this->last_error, array( 'status' => $code ) );
+		}
+
+		if ( $last_error && strpos( $last_error->get_error_message(), 'cURL' ) !== false ) {
+			return new WP_Error(
+				'connection_error',
+				/* translators: 1: provider name, 2: error message */
+				sprintf( __( 'Cannot connect to %1$s: %2$s', 'ai-blog-posts' ), $this->get_label(), $last_error->get_error_message() )
+			);
+		}
+
+		return $last_error ?? new WP_Error(
+			'max_retries',
+			__( 'API request failed after multiple attempts. Please check the debug log for details.', 'ai-blog-posts' )
+		);
+	}
+
+	/**
+	 * Hand the finished text to a stream callback.
+	 *
+	 * These adapters don't stream, so the callback gets the whole response
+	 * at once and the preview catches up when the request finishes.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    array $options    Generation options.
+	 * @param    array $result     Generation result.
+	 * @return   array|WP_Error    The result, or a 'generation_stopped' error.
+	 */
+	protected function notify_stream( $options, $result ) {
+		if ( empty( $options['stream_callback'] ) || ! is_callable( $options['stream_callback'] ) || '' === $result['content'] ) {
+			return $result;
+		}
+
+		if ( false === call_user_func( $options['stream_callback'], $result['content'], $result['content'] ) ) {
+			return new WP_Error( 'generation_stopped', __( 'Generation stopped.', 'ai-blog-posts' ), $result );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Calculate the cost of a text generation request.
+	 *
+	 * @since    1.0.0
+	 * @param    string $model              The model used.
+	 * @param    int    $prompt_tokens      Number of input tokens.
+	 * @param    int    $completion_tokens  Number of output tokens.
+	 * @return   float                      Cost in USD.
+	 */
+	public function calculate_text_cost( $model, $prompt_tokens, $completion_tokens ) {
+		$models = Ai_Blog_Posts_Settings::get_models( $this->get_id() );
+
+		if ( ! isset( $models[ $model ] ) ) {
+			return 0.0;
+		}
+
+		$pricing = $models[ $model ];
+		$input_cost = ( $prompt_tokens / 1000000 ) * $pricing['input_cost'];
+		$output_cost = ( $completion_tokens / 1000000 ) * $pricing['output_cost'];
+
+		return round( $input_cost + $output_cost, 6 );
+	}
+
+	/**
+	 * Get the last error message.
+	 *
+	 * @since    1.0.0
+	 * @return   string    The last error message.
+	 */
+	public function get_last_error() {
+		return $this->last_error ?? '';
+	}
+}
@@ -23,6 +23,14 @@
  */
 class Ai_Blog_Posts_Activator {
 
+	/**
+	 * Database schema version, bumped whenever a table changes.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const DB_VERSION = 7;
+
 	/**
 	 * Plugin activation handler.
 	 *
@@ -37,6 +45,7 @@ class Ai_Blog_Posts_Activator {
 		
 		// Store the plugin version for future upgrades
 		update_option( 'ai_blog_posts_version', AI_BLOG_POSTS_VERSION );
+		update_option( 'ai_blog_posts_db_version', self::DB_VERSION );
 	}
 
 	/**
@@ -48,12 +57,14 @@ class Ai_Blog_Posts_Activator {
 	 */
 	public static function maybe_upgrade() {
 		$current_version = get_option( 'ai_blog_posts_version', '0' );
+		$db_version = (int) get_option( 'ai_blog_posts_db_version', 1 );
 		
-		// If version changed, run database upgrade
-		if ( version_compare( $current_version, AI_BLOG_POSTS_VERSION, '<' ) ) {
+		// If version or schema changed, run database upgrade
+		if ( version_compare( $current_version, AI_BLOG_POSTS_VERSION, '<' ) || $db_version < self::DB_VERSION ) {
 			self::create_database_tables(); // dbDelta handles adding new columns
 			self::add_missing_columns();
 			update_option( 'ai_blog_posts_version', AI_BLOG_POSTS_VERSION );
+			update_option( 'ai_blog_posts_db_version', self::DB_VERSION );
 		}
 	}
 
@@ -72,6 +83,54 @@ class Ai_Blog_Posts_Activator {
 		if ( empty( $column_exists ) ) {
 			$wpdb->query( "ALTER TABLE $table ADD COLUMN locked_at datetime DEFAULT NULL" );
 		}
+
+		// Check if content_type column exists
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'content_type'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN content_type varchar(20) NOT NULL DEFAULT 'article' AFTER keywords" );
+		}
+
+		// Check if instructions and publish_at columns exist
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'instructions'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN instructions text DEFAULT NULL AFTER category_id" );
+		}
+
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'publish_at'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN publish_at datetime DEFAULT NULL AFTER instructions" );
+		}
+
+		// Check if pinned_date column exists
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'pinned_date'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN pinned_date date DEFAULT NULL AFTER publish_at" );
+		}
+
+		// Check if generate_by column exists
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'generate_by'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN generate_by date DEFAULT NULL AFTER publish_at" );
+		}
+
+		// Check if voice_profile column exists
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'voice_profile'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN voice_profile varchar(64) DEFAULT NULL AFTER content_type" );
+		}
+
+		// Check if sort_order column exists
+		$column_exists = $wpdb->get_results( "SHOW COLUMNS FROM $table LIKE 'sort_order'" );
+
+		if ( empty( $column_exists ) ) {
+			$wpdb->query( "ALTER TABLE $table ADD COLUMN sort_order int(11) DEFAULT NULL AFTER priority" );
+		}
 	}
 
 	/**
@@ -113,10 +172,17 @@ class Ai_Blog_Posts_Activator {
 			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
 			topic varchar(500) NOT NULL,
 			keywords text DEFAULT NULL,
+			content_type varchar(20) NOT NULL DEFAULT 'article',
+			voice_profile varchar(64) DEFAULT NULL,
 			category_id bigint(20) unsigned DEFAULT NULL,
+			instructions text DEFAULT NULL,
+			publish_at datetime DEFAULT NULL,
+			generate_by date DEFAULT NULL,
+			pinned_date date DEFAULT NULL,
 			source varchar(50) NOT NULL DEFAULT 'manual',
 			status varchar(20) NOT NULL DEFAULT 'pending',
 			priority int(11) NOT NULL DEFAULT 0,
+			sort_order int(11) DEFAULT NULL,
 			attempts int(11) NOT NULL DEFAULT 0,
 			last_error text DEFAULT NULL,
 			post_id bigint(20) unsigned DEFAULT NULL,
@@ -142,8 +208,11 @@ class Ai_Blog_Posts_Activator {
 	 */
 	private static function set_default_options() {
 		$defaults = array(
+			'ai_blog_posts_provider'           => 'openai',
 			'ai_blog_posts_api_key'            => '',
 			'ai_blog_posts_org_id'             => '',
+			'ai_blog_posts_anthropic_api_key'  => '',
+			'ai_blog_posts_gemini_api_key'     => '',
 			'ai_blog_posts_model'              => 'gpt-4o-mini',
 			'ai_blog_posts_image_enabled'      => false,
 			'ai_blog_posts_image_model'        => 'dall-e-3',
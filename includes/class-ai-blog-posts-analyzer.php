@@ -23,29 +23,110 @@
 class Ai_Blog_Posts_Analyzer {
 
 	/**
-	 * Number of posts to analyze.
+	 * Scope for the analysis of the whole site.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const SITE = 'site';
+
+	/**
+	 * Option holding the category and author analyses, keyed by scope.
+	 *
+	 * The whole-site analysis stays in the website_context setting.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const OPTION = 'ai_blog_posts_analyses';
+
+	/**
+	 * Cron hook that refreshes analyses after new posts are published.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const REFRESH_HOOK = 'ai_blog_posts_refresh_analysis';
+
+	/**
+	 * Most topic clusters to keep.
 	 *
 	 * @since    1.0.0
 	 * @var      int
 	 */
-	private const SAMPLE_SIZE = 10;
+	const MAX_CLUSTERS = 6;
+
+	/**
+	 * Split a scope such as "category:12" into its type and ID.
+	 *
+	 * Anything that is not a category or author scope is the whole site.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope    Scope.
+	 * @return   array            Type ("site", "category" or "author") and ID.
+	 */
+	public static function parse_scope( $scope ) {
+		if ( preg_match( '/^(category|author):(\d+)$/', (string) $scope, $matches ) && (int) $matches[2] ) {
+			return array( $matches[1], (int) $matches[2] );
+		}
+		return array( self::SITE, 0 );
+	}
+
+	/**
+	 * Clean up a scope from user input.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope    Scope.
+	 * @return   string           "site", "category:ID" or "author:ID".
+	 */
+	public static function sanitize_scope( $scope ) {
+		list( $type, $id ) = self::parse_scope( $scope );
+		return self::SITE === $type ? self::SITE : $type . ':' . $id;
+	}
+
+	/**
+	 * Get a readable name for a scope.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope    Scope.
+	 * @return   string           Label.
+	 */
+	public static function get_scope_label( $scope ) {
+		list( $type, $id ) = self::parse_scope( $scope );
+
+		if ( 'category' === $type ) {
+			$category = get_category( $id );
+			/* translators: %s: category name */
+			return $category && ! is_wp_error( $category ) ? sprintf( __( 'Category: %s', 'ai-blog-posts' ), $category->name ) : __( 'Deleted category', 'ai-blog-posts' );
+		}
+
+		if ( 'author' === $type ) {
+			$user = get_userdata( $id );
+			/* translators: %s: author display name */
+			return $user ? sprintf( __( 'Author: %s', 'ai-blog-posts' ), $user->display_name ) : __( 'Deleted author', 'ai-blog-posts' );
+		}
+
+		return __( 'Whole site', 'ai-blog-posts' );
+	}
 
 	/**
 	 * Analyze the website's existing content.
 	 *
+	 * Findings rejected on an earlier run stay rejected. Without AI, the
+	 * insights of the last AI run are kept, so a refresh does not lose them.
+	 *
 	 * @since    1.0.0
-	 * @param    bool $use_ai    Whether to use AI for deeper analysis.
-	 * @return   array|WP_Error  Analysis results or error.
+	 * @param    bool   $use_ai    Whether to use AI for deeper analysis.
+	 * @param    string $scope     "site", "category:ID" or "author:ID".
+	 * @return   array|WP_Error    Analysis results or error.
 	 */
-	public function analyze( $use_ai = false ) {
+	public function analyze( $use_ai = false, $scope = self::SITE ) {
+		$scope = self::sanitize_scope( $scope );
+
 		// Get recent published posts
-		$posts = get_posts( array(
-			'post_type'      => 'post',
-			'post_status'    => 'publish',
-			'posts_per_page' => self::SAMPLE_SIZE,
-			'orderby'        => 'date',
-			'order'          => 'DESC',
-		) );
+		$posts = get_posts( array_merge( $this->get_query_args( $scope ), array(
+			'posts_per_page' => Ai_Blog_Posts_Settings::get( 'analysis_sample_size' ),
+		) ) );
 
 		if ( empty( $posts ) ) {
 			return new WP_Error(
@@ -54,7 +135,10 @@ class Ai_Blog_Posts_Analyzer {
 			);
 		}
 
+		$previous = $this->get_cached_analysis( $scope );
+
 		$analysis = array(
+			'scope'            => $scope,
 			'site_info'        => $this->get_site_info(),
 			'content_stats'    => $this->analyze_content_stats( $posts ),
 			'writing_style'    => $this->analyze_writing_style( $posts ),
@@ -62,23 +146,154 @@ class Ai_Blog_Posts_Analyzer {
 			'structure'        => $this->analyze_structure( $posts ),
 			'analyzed_at'      => current_time( 'mysql' ),
 			'posts_analyzed'   => count( $posts ),
+			'post_ids'         => wp_list_pluck( $posts, 'ID' ),
+			'rejected'         => $previous['rejected'] ?? array(),
 		);
 
 		// Use AI for deeper style analysis if requested and API is available
 		if ( $use_ai && Ai_Blog_Posts_Settings::is_verified() ) {
 			$ai_analysis = $this->ai_style_analysis( $posts );
 			if ( ! is_wp_error( $ai_analysis ) ) {
+				$ai_analysis['analyzed_at'] = current_time( 'mysql' );
 				$analysis['ai_insights'] = $ai_analysis;
 			}
+		} elseif ( ! empty( $previous['ai_insights'] ) ) {
+			$analysis['ai_insights'] = $previous['ai_insights'];
 		}
 
-		// Cache the analysis
-		Ai_Blog_Posts_Settings::set( 'website_context', wp_json_encode( $analysis ) );
-		Ai_Blog_Posts_Settings::set( 'last_analysis', current_time( 'mysql' ) );
+		$this->save_analysis( $analysis );
 
 		return $analysis;
 	}
 
+	/**
+	 * Re-analyze a scope if posts have been published since it was analyzed.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope    Scope.
+	 * @return   bool             Whether the analysis was refreshed.
+	 */
+	public function refresh( $scope ) {
+		$analysis = $this->get_cached_analysis( $scope );
+		if ( empty( $analysis ) ) {
+			return false;
+		}
+
+		$latest = get_posts( array_merge( $this->get_query_args( $scope ), array(
+			'posts_per_page' => Ai_Blog_Posts_Settings::get( 'analysis_sample_size' ),
+			'fields'         => 'ids',
+		) ) );
+
+		if ( ! array_diff( $latest, $analysis['post_ids'] ?? array() ) ) {
+			return false;
+		}
+
+		return ! is_wp_error( $this->analyze( false, $scope ) );
+	}
+
+	/**
+	 * Refresh every saved analysis. Runs on the refresh cron hook.
+	 *
+	 * @since    1.0.0
+	 */
+	public function refresh_all() {
+		foreach ( array_keys( $this->get_scopes() ) as $scope ) {
+			$this->refresh( $scope );
+		}
+	}
+
+	/**
+	 * Queue a refresh when a post is published.
+	 *
+	 * The refresh runs a few minutes later, so a batch of posts published
+	 * together is analyzed once.
+	 *
+	 * @since    1.0.0
+	 * @param    string  $new_status    New post status.
+	 * @param    string  $old_status    Old post status.
+	 * @param    WP_Post $post          Post.
+	 */
+	public function maybe_schedule_refresh( $new_status, $old_status, $post ) {
+		if ( 'publish' !== $new_status || 'publish' === $old_status || 'post' !== $post->post_type ) {
+			return;
+		}
+
+		if ( ! Ai_Blog_Posts_Settings::get( 'analysis_auto_refresh' ) || ! $this->get_scopes() ) {
+			return;
+		}
+
+		if ( ! wp_next_scheduled( self::REFRESH_HOOK ) ) {
+			wp_schedule_single_event( time() + 5 * MINUTE_IN_SECONDS, self::REFRESH_HOOK );
+		}
+	}
+
+	/**
+	 * Count the posts published in a scope since it was analyzed.
+	 *
+	 * @since    1.0.0
+	 * @param    array $analysis    Analysis.
+	 * @return   int                Number of new posts.
+	 */
+	public function count_new_posts( $analysis ) {
+		if ( empty( $analysis['analyzed_at'] ) ) {
+			return 0;
+		}
+
+		$query = new WP_Query( array_merge( $this->get_query_args( $analysis['scope'] ?? self::SITE ), array(
+			'posts_per_page' => 1,
+			'fields'         => 'ids',
+			'date_query'     => array(
+				array( 'after' => $analysis['analyzed_at'] ),
+			),
+		) ) );
+
+		return (int) $query->found_posts;
+	}
+
+	/**
+	 * Get the query arguments for the published posts in a scope.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope    Scope.
+	 * @return   array            WP_Query arguments.
+	 */
+	private function get_query_args( $scope ) {
+		list( $type, $id ) = self::parse_scope( $scope );
+
+		$args = array(
+			'post_type'   => 'post',
+			'post_status' => 'publish',
+			'orderby'     => 'date',
+			'order'       => 'DESC',
+		);
+
+		if ( 'category' === $type ) {
+			$args['cat'] = $id;
+		} elseif ( 'author' === $type ) {
+			$args['author'] = $id;
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Store an analysis under its scope.
+	 *
+	 * @since    1.0.0
+	 * @param    array $analysis    Analysis.
+	 */
+	private function save_analysis( $analysis ) {
+		if ( self::SITE === $analysis['scope'] ) {
+			Ai_Blog_Posts_Settings::set( 'website_context', wp_json_encode( $analysis ) );
+			Ai_Blog_Posts_Settings::set( 'last_analysis', $analysis['analyzed_at'] );
+			return;
+		}
+
+		$analyses = get_option( self::OPTION, array() );
+		$analyses[ $analysis['scope'] ] = $analysis;
+		update_option( self::OPTION, $analyses, false );
+	}
+
 	/**
 	 * Get basic site information.
 	 *
@@ -239,9 +454,12 @@ class Ai_Blog_Posts_Analyzer {
 		$all_words = array();
 		$stop_words = array( 'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been', 'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'we', 'they', 'what', 'which', 'who', 'when', 'where', 'why', 'how', 'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just' );
 
-		foreach ( $posts as $post ) {
+		$post_words = array();
+
+		foreach ( $posts as $index => $post ) {
 			$content = strtolower( wp_strip_all_tags( $post->post_content . ' ' . $post->post_title ) );
 			$words = preg_split( '/\W+/', $content, -1, PREG_SPLIT_NO_EMPTY );
+			$post_words[ $index ] = array();
 
 			foreach ( $words as $word ) {
 				if ( strlen( $word ) > 3 && ! in_array( $word, $stop_words, true ) ) {
@@ -249,6 +467,7 @@ class Ai_Blog_Posts_Analyzer {
 						$all_words[ $word ] = 0;
 					}
 					$all_words[ $word ]++;
+					$post_words[ $index ][ $word ] = true;
 				}
 			}
 		}
@@ -268,12 +487,84 @@ class Ai_Blog_Posts_Analyzer {
 			}
 		}
 
+		arsort( $categories );
+
 		return array(
 			'common_keywords' => array_keys( $top_words ),
 			'categories_used' => $categories,
+			'clusters'        => $this->cluster_topics( $posts, $post_words, array_keys( array_slice( $all_words, 0, 30, true ) ) ),
 		);
 	}
 
+	/**
+	 * Group keywords that turn up in the same posts into topic clusters.
+	 *
+	 * Each keyword, most frequent first, seeds a cluster of the unused
+	 * keywords whose posts overlap with its own by at least half.
+	 *
+	 * @since    1.0.0
+	 * @param    array $posts         Posts to analyze.
+	 * @param    array $post_words    Keywords in each post, keyed by post index.
+	 * @param    array $keywords      Keywords to cluster, most frequent first.
+	 * @return   array                Clusters with their keywords, post count and sample titles.
+	 */
+	private function cluster_topics( $posts, $post_words, $keywords ) {
+		$keyword_posts = array();
+		foreach ( $keywords as $keyword ) {
+			$keyword_posts[ $keyword ] = array_keys( array_filter( $post_words, function ( $words ) use ( $keyword ) {
+				return isset( $words[ $keyword ] );
+			} ) );
+		}
+
+		$clusters = array();
+		$used = array();
+
+		foreach ( $keyword_posts as $seed => $seed_posts ) {
+			if ( isset( $used[ $seed ] ) || count( $seed_posts ) < 2 ) {
+				continue;
+			}
+
+			$members = array( $seed );
+			foreach ( $keyword_posts as $keyword => $indexes ) {
+				if ( $keyword === $seed || isset( $used[ $keyword ] ) ) {
+					continue;
+				}
+
+				$shared = count( array_intersect( $seed_posts, $indexes ) );
+				$combined = count( array_unique( array_merge( $seed_posts, $indexes ) ) );
+				if ( $shared / $combined >= 0.5 ) {
+					$members[] = $keyword;
+				}
+			}
+
+			// A lone keyword is not a topic
+			if ( count( $members ) < 2 ) {
+				continue;
+			}
+
+			foreach ( $members as $member ) {
+				$used[ $member ] = true;
+			}
+
+			$titles = array();
+			foreach ( array_slice( $seed_posts, 0, 3 ) as $index ) {
+				$titles[] = $posts[ $index ]->post_title;
+			}
+
+			$clusters[] = array(
+				'keywords' => array_map( 'strval', array_slice( $members, 0, 6 ) ),
+				'posts'    => count( $seed_posts ),
+				'titles'   => $titles,
+			);
+
+			if ( count( $clusters ) >= self::MAX_CLUSTERS ) {
+				break;
+			}
+		}
+
+		return $clusters;
+	}
+
 	/**
 	 * Analyze content structure patterns.
 	 *
@@ -329,6 +620,7 @@ class Ai_Blog_Posts_Analyzer {
 		}
 
 		$total = count( $posts );
+		arsort( $heading_patterns );
 
 		return array(
 			'typically_has_intro'       => ( $has_intro / $total ) > 0.5,
@@ -359,7 +651,7 @@ class Ai_Blog_Posts_Analyzer {
 			$sample_content .= implode( ' ', array_slice( $words, 0, 500 ) ) . "\n\n---\n\n";
 		}
 
-		$openai = new Ai_Blog_Posts_OpenAI();
+		$provider = Ai_Blog_Posts_Providers::create();
 		
 		$system_prompt = 'You are a writing style analyst. Analyze the provided blog post samples and describe the writing style in a concise format suitable for instructing an AI to replicate this style.';
 		
@@ -376,7 +668,7 @@ $sample_content
 
 Provide a brief, actionable style guide (max 200 words).";
 
-		$result = $openai->generate_text( $prompt, $system_prompt, array(
+		$result = $provider->generate_text( $prompt, $system_prompt, array(
 			'max_tokens'  => 500,
 			'temperature' => 0.3,
 		) );
@@ -395,86 +687,240 @@ Provide a brief, actionable style guide (max 200 words).";
 	 * Get cached analysis.
 	 *
 	 * @since    1.0.0
-	 * @return   array|null    Cached analysis or null.
+	 * @param    string $scope    Scope, the whole site by default.
+	 * @return   array|null       Cached analysis or null.
 	 */
-	public function get_cached_analysis() {
+	public function get_cached_analysis( $scope = self::SITE ) {
+		if ( self::SITE !== $scope ) {
+			$analyses = get_option( self::OPTION, array() );
+			return $analyses[ $scope ] ?? null;
+		}
+
 		$cached = Ai_Blog_Posts_Settings::get( 'website_context' );
 		
 		if ( empty( $cached ) ) {
 			return null;
 		}
 
-		return json_decode( $cached, true );
+		$analysis = json_decode( $cached, true );
+		if ( is_array( $analysis ) ) {
+			$analysis['scope'] = self::SITE;
+		}
+
+		return $analysis;
 	}
 
 	/**
-	 * Generate a style prompt from analysis.
+	 * Get every saved analysis.
 	 *
 	 * @since    1.0.0
-	 * @return   string    Style prompt for AI.
+	 * @return   array    Analyses keyed by scope, the whole site first.
 	 */
-	public function get_style_prompt() {
-		$analysis = $this->get_cached_analysis();
-		
+	public function get_scopes() {
+		$site = $this->get_cached_analysis();
+		$scopes = $site ? array( self::SITE => $site ) : array();
+		return array_merge( $scopes, get_option( self::OPTION, array() ) );
+	}
+
+	/**
+	 * Delete a category or author analysis.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope    Scope.
+	 * @return   bool             Whether an analysis was deleted.
+	 */
+	public function delete_analysis( $scope ) {
+		$analyses = get_option( self::OPTION, array() );
+		if ( ! isset( $analyses[ $scope ] ) ) {
+			return false;
+		}
+
+		unset( $analyses[ $scope ] );
+		update_option( self::OPTION, $analyses, false );
+		return true;
+	}
+
+	/**
+	 * Set which findings of an analysis are left out of generation.
+	 *
+	 * @since    1.0.0
+	 * @param    string $scope       Scope.
+	 * @param    array  $rejected    Keys of the rejected findings.
+	 * @return   array|WP_Error      Updated analysis or error.
+	 */
+	public function save_findings( $scope, $rejected ) {
+		$analysis = $this->get_cached_analysis( $scope );
 		if ( empty( $analysis ) ) {
-			return '';
+			return new WP_Error( 'no_analysis', __( 'This analysis no longer exists. Run it again.', 'ai-blog-posts' ) );
 		}
 
+		$analysis['rejected'] = array_values( array_intersect( array_keys( $this->get_findings( $analysis ) ), (array) $rejected ) );
+		$this->save_analysis( $analysis );
+
+		return $analysis;
+	}
+
+	/**
+	 * Get the findings of an analysis that can steer generation.
+	 *
+	 * @since    1.0.0
+	 * @param    array $analysis    Analysis.
+	 * @return   array              Findings keyed by ID, each with a label, value and prompt.
+	 */
+	public function get_findings( $analysis ) {
 		$style = $analysis['writing_style'] ?? array();
 		$structure = $analysis['structure'] ?? array();
 		$stats = $analysis['content_stats'] ?? array();
 
-		$prompt_parts = array();
+		$findings = array();
 
 		// Tone
 		if ( ! empty( $style['tone'] ) ) {
-			$prompt_parts[] = sprintf( 'Write in a %s tone.', $style['tone'] );
+			$findings['tone'] = array(
+				'label'  => __( 'Tone', 'ai-blog-posts' ),
+				'value'  => ucfirst( $style['tone'] ),
+				'prompt' => sprintf( 'Write in a %s tone.', $style['tone'] ),
+			);
 		}
 
 		// Voice
-		if ( ! empty( $style['voice'] ) ) {
-			$voice_map = array(
-				'first_person'  => 'Use first person (we, our) perspective.',
-				'second_person' => 'Address the reader directly using "you".',
-				'third_person'  => 'Use third person perspective.',
+		$voice_map = array(
+			'first_person'  => 'Use first person (we, our) perspective.',
+			'second_person' => 'Address the reader directly using "you".',
+			'third_person'  => 'Use third person perspective.',
+		);
+		if ( ! empty( $style['voice'] ) && isset( $voice_map[ $style['voice'] ] ) ) {
+			$findings['voice'] = array(
+				'label'  => __( 'Perspective', 'ai-blog-posts' ),
+				'value'  => ucwords( str_replace( '_', ' ', $style['voice'] ) ),
+				'prompt' => $voice_map[ $style['voice'] ],
 			);
-			$prompt_parts[] = $voice_map[ $style['voice'] ] ?? '';
 		}
 
 		// Sentence length
-		if ( ! empty( $style['avg_sentence_length'] ) ) {
-			if ( $style['avg_sentence_length'] < 15 ) {
-				$prompt_parts[] = 'Use concise, punchy sentences.';
-			} elseif ( $style['avg_sentence_length'] > 25 ) {
-				$prompt_parts[] = 'Use detailed, flowing sentences.';
-			}
+		if ( ! empty( $style['avg_sentence_length'] ) && ( $style['avg_sentence_length'] < 15 || $style['avg_sentence_length'] > 25 ) ) {
+			$findings['sentence_length'] = array(
+				'label'  => __( 'Sentence length', 'ai-blog-posts' ),
+				/* translators: %d: average number of words per sentence */
+				'value'  => sprintf( __( '%d words on average', 'ai-blog-posts' ), $style['avg_sentence_length'] ),
+				'prompt' => $style['avg_sentence_length'] < 15 ? 'Use concise, punchy sentences.' : 'Use detailed, flowing sentences.',
+			);
 		}
 
 		// Questions
 		if ( ! empty( $style['uses_questions'] ) ) {
-			$prompt_parts[] = 'Include rhetorical questions to engage readers.';
+			$findings['questions'] = array(
+				'label'  => __( 'Questions', 'ai-blog-posts' ),
+				/* translators: %s: average number of questions per post */
+				'value'  => sprintf( __( '%s per post', 'ai-blog-posts' ), $style['question_frequency'] ?? '' ),
+				'prompt' => 'Include rhetorical questions to engage readers.',
+			);
 		}
 
 		// Structure
 		if ( ! empty( $structure['typically_has_intro'] ) ) {
-			$prompt_parts[] = 'Start with an engaging introduction.';
+			$findings['intro'] = array(
+				'label'  => __( 'Introduction', 'ai-blog-posts' ),
+				'value'  => __( 'Opens with a paragraph', 'ai-blog-posts' ),
+				'prompt' => 'Start with an engaging introduction.',
+			);
 		}
 
 		if ( ! empty( $structure['uses_lists_frequently'] ) ) {
-			$prompt_parts[] = 'Use bullet points or numbered lists where appropriate.';
+			$findings['lists'] = array(
+				'label'  => __( 'Lists', 'ai-blog-posts' ),
+				'value'  => __( 'Used in most posts', 'ai-blog-posts' ),
+				'prompt' => 'Use bullet points or numbered lists where appropriate.',
+			);
 		}
 
 		// Word count
 		if ( ! empty( $stats['avg_word_count'] ) ) {
-			$prompt_parts[] = sprintf( 'Target approximately %d words.', $stats['avg_word_count'] );
+			$findings['word_count'] = array(
+				'label'  => __( 'Length', 'ai-blog-posts' ),
+				/* translators: %s: average word count */
+				'value'  => sprintf( __( '%s words on average', 'ai-blog-posts' ), number_format_i18n( $stats['avg_word_count'] ) ),
+				'prompt' => sprintf( 'Target approximately %d words.', $stats['avg_word_count'] ),
+			);
 		}
 
 		// AI insights
 		if ( ! empty( $analysis['ai_insights']['style_guide'] ) ) {
-			$prompt_parts[] = "\n" . $analysis['ai_insights']['style_guide'];
+			$findings['style_guide'] = array(
+				'label'  => __( 'AI style guide', 'ai-blog-posts' ),
+				'value'  => $analysis['ai_insights']['style_guide'],
+				'prompt' => "\n" . $analysis['ai_insights']['style_guide'],
+			);
 		}
 
-		return implode( ' ', array_filter( $prompt_parts ) );
+		return $findings;
 	}
-}
 
+	/**
+	 * Find the analysis that best fits a post.
+	 *
+	 * The post's category, or its nearest analyzed parent, wins over the
+	 * author, and the author over the whole site.
+	 *
+	 * @since    1.0.0
+	 * @param    int $category_id    Category ID, 0 for none.
+	 * @param    int $author_id      Author ID, 0 for none.
+	 * @return   string              Scope.
+	 */
+	public function find_scope( $category_id = 0, $author_id = 0 ) {
+		$analyses = get_option( self::OPTION, array() );
+
+		if ( $category_id ) {
+			$category_ids = array_merge( array( (int) $category_id ), get_ancestors( $category_id, 'category' ) );
+			foreach ( $category_ids as $id ) {
+				if ( isset( $analyses[ 'category:' . $id ] ) ) {
+					return 'category:' . $id;
+				}
+			}
+		}
+
+		if ( $author_id && isset( $analyses[ 'author:' . (int) $author_id ] ) ) {
+			return 'author:' . (int) $author_id;
+		}
+
+		return self::SITE;
+	}
+
+	/**
+	 * Generate a style prompt from analysis.
+	 *
+	 * Uses the analysis that best fits the category and author.
+	 *
+	 * @since    1.0.0
+	 * @param    int $category_id    Category ID, 0 for none.
+	 * @param    int $author_id      Author ID, 0 for none.
+	 * @return   string              Style prompt for AI.
+	 */
+	public function get_style_prompt( $category_id = 0, $author_id = 0 ) {
+		return $this->build_style_prompt( $this->get_cached_analysis( $this->find_scope( $category_id, $author_id ) ) );
+	}
+
+	/**
+	 * Build the style prompt from the accepted findings of an analysis.
+	 *
+	 * @since    1.0.0
+	 * @param    array|null $analysis    Analysis.
+	 * @return   string                  Style prompt for AI.
+	 */
+	public function build_style_prompt( $analysis ) {
+		if ( empty( $analysis ) ) {
+			return '';
+		}
+
+		$rejected = $analysis['rejected'] ?? array();
+		$prompt_parts = array();
+
+		foreach ( $this->get_findings( $analysis ) as $key => $finding ) {
+			if ( ! in_array( $key, $rejected, true ) ) {
+				$prompt_parts[] = $finding['prompt'];
+			}
+		}
+
+		return implode( ' ', $prompt_parts );
+	}
+}
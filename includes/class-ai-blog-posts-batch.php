@@ -0,0 +1,668 @@
+<?php
+
+/**
+ * Background batch generation worker
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Runs bulk generation on the server so it doesn't depend on an open browser tab.
+ *
+ * Queued topics are advanced one generation step at a time by a worker that
+ * re-dispatches itself through a loopback request, with a WP Cron event as a
+ * safety net when loopbacks are blocked.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Batch {
+
+	/**
+	 * Option holding the current batch.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const OPTION = 'ai_blog_posts_batch';
+
+	/**
+	 * Lock preventing two workers from running at once.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const LOCK = 'ai_blog_posts_batch_lock';
+
+	/**
+	 * Cron hook used as a fallback when loopbacks fail.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const CRON_HOOK = 'ai_blog_posts_process_batch';
+
+	/**
+	 * Seconds a single worker run may keep starting new steps.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const TIME_BUDGET = 45;
+
+	/**
+	 * Retries per step before a topic is marked as failed.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const MAX_STEP_RETRIES = 2;
+
+	/**
+	 * Seconds without progress after which a running batch is given up.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const STALE_AFTER = 3600;
+
+	/**
+	 * Generator instance.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      Ai_Blog_Posts_Generator
+	 */
+	private $generator;
+
+	/**
+	 * Cost tracker instance.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      Ai_Blog_Posts_Cost_Tracker
+	 */
+	private $cost_tracker;
+
+	/**
+	 * Initialize the class.
+	 *
+	 * @since    1.0.0
+	 */
+	public function __construct() {
+		$this->generator = new Ai_Blog_Posts_Generator();
+		$this->cost_tracker = new Ai_Blog_Posts_Cost_Tracker();
+	}
+
+	/**
+	 * Get the current batch.
+	 *
+	 * @since    1.0.0
+	 * @return   array|false    Batch data or false if none.
+	 */
+	public function get_batch() {
+		// Other requests change the batch (cancel, new topics), so read past this request's option cache
+		wp_cache_delete( self::OPTION, 'options' );
+		return get_option( self::OPTION, false );
+	}
+
+	/**
+	 * Queue topics for background generation.
+	 *
+	 * Topics are appended to a running batch, otherwise a new batch is started.
+	 *
+	 * @since    1.0.0
+	 * @param    array $topic_ids    Topic IDs to generate.
+	 * @return   int|WP_Error        Number of topics queued or error.
+	 */
+	public function enqueue( $topic_ids ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$topic_ids = array_filter( array_map( 'absint', (array) $topic_ids ) );
+
+		if ( empty( $topic_ids ) ) {
+			return new WP_Error( 'no_topics', __( 'No topics selected.', 'ai-blog-posts' ) );
+		}
+
+		if ( ! Ai_Blog_Posts_Settings::is_configured() ) {
+			return new WP_Error(
+				'api_not_configured',
+				__( 'The AI provider is not configured. Please add your API key in Settings.', 'ai-blog-posts' )
+			);
+		}
+
+		$estimate = $this->cost_tracker->estimate_topics( $topic_ids );
+		if ( 'exceeded' === $estimate['budget_status'] ) {
+			return new WP_Error( 'budget_exceeded', $this->cost_tracker->get_budget_message( $estimate ) );
+		}
+
+		// Don't append to a batch nobody is working on anymore
+		$this->recover_stale();
+
+		$batch = $this->get_batch();
+
+		if ( ! $batch || 'running' !== $batch['status'] ) {
+			$batch = array(
+				'id'         => wp_generate_uuid4(),
+				'token'      => wp_generate_password( 32, false ),
+				'status'     => 'running',
+				'created_at' => current_time( 'mysql' ),
+				'updated_at' => time(),
+				'items'      => array(),
+			);
+		}
+
+		$placeholders = implode( ', ', array_fill( 0, count( $topic_ids ), '%d' ) );
+		$topics = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, topic, status FROM $table WHERE id IN ($placeholders)", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				...$topic_ids
+			)
+		);
+
+		$added_ids = array();
+
+		foreach ( $topics as $topic ) {
+			$existing = $batch['items'][ $topic->id ] ?? null;
+			if ( $existing && in_array( $existing['status'], array( 'queued', 'processing' ), true ) ) {
+				continue;
+			}
+
+			// Already being generated elsewhere, e.g. by the scheduler
+			if ( 'processing' === $topic->status ) {
+				continue;
+			}
+
+			$batch['items'][ $topic->id ] = array(
+				'topic_id' => (int) $topic->id,
+				'topic'    => $topic->topic,
+				'status'   => 'queued',
+				'job_id'   => '',
+				'step'     => '',
+				'retries'  => 0,
+				'post_id'  => 0,
+				'error'    => '',
+			);
+			$added_ids[] = (int) $topic->id;
+		}
+
+		// Queued topics are no longer picked up by the scheduler
+		if ( $added_ids ) {
+			$placeholders = implode( ', ', array_fill( 0, count( $added_ids ), '%d' ) );
+			$wpdb->query(
+				$wpdb->prepare(
+					"UPDATE $table SET status = 'queued' WHERE id IN ($placeholders) AND status IN ('pending', 'failed')", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+					...$added_ids
+				)
+			);
+		}
+
+		update_option( self::OPTION, $batch, false );
+		$this->dispatch();
+
+		return count( $added_ids );
+	}
+
+	/**
+	 * Cancel the current batch.
+	 *
+	 * Queued topics go back to pending and the topic in progress is discarded.
+	 *
+	 * @since    1.0.0
+	 * @return   bool|WP_Error    True on success or error.
+	 */
+	public function cancel() {
+		$batch = $this->get_batch();
+
+		if ( ! $batch || 'running' !== $batch['status'] ) {
+			return new WP_Error( 'no_batch', __( 'No batch is running.', 'ai-blog-posts' ) );
+		}
+
+		$this->close( $batch, 'cancelled' );
+
+		return true;
+	}
+
+	/**
+	 * Give up on a batch that has made no progress for too long.
+	 *
+	 * Runs on the scheduled generation hook and while the Topics page polls,
+	 * so queued topics are released even when no worker ever starts again.
+	 *
+	 * @since    1.0.0
+	 * @return   bool    Whether a stalled batch was closed.
+	 */
+	public function recover_stale() {
+		$batch = $this->get_batch();
+
+		if ( ! $batch || 'running' !== $batch['status'] || get_transient( self::LOCK ) ) {
+			return false;
+		}
+
+		if ( time() - $batch['updated_at'] <= self::STALE_AFTER ) {
+			return false;
+		}
+
+		$this->close( $batch, 'stalled' );
+		$this->log_event( 'Batch stalled, queued topics were returned to pending.' );
+
+		return true;
+	}
+
+	/**
+	 * Stop a batch and return its unfinished topics to the queue.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array  $batch     Batch data.
+	 * @param    string $status    Final batch status.
+	 */
+	private function close( $batch, $status ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		foreach ( $batch['items'] as $topic_id => $item ) {
+			if ( 'processing' === $item['status'] && $item['job_id'] ) {
+				$discarded = $this->generator->discard_job( $item['job_id'] );
+
+				// An expired job can't put its topic back, so release it here
+				if ( is_wp_error( $discarded ) ) {
+					$wpdb->update(
+						$table,
+						array( 'status' => 'pending' ),
+						array( 'id' => $topic_id, 'status' => 'processing' ),
+						array( '%s' ),
+						array( '%d', '%s' )
+					);
+				}
+			}
+
+			if ( in_array( $item['status'], array( 'queued', 'processing' ), true ) ) {
+				$batch['items'][ $topic_id ]['status'] = 'cancelled';
+				$wpdb->update(
+					$table,
+					array( 'status' => 'pending' ),
+					array( 'id' => $topic_id, 'status' => 'queued' ),
+					array( '%s' ),
+					array( '%d', '%s' )
+				);
+			}
+		}
+
+		$batch['status'] = $status;
+		$batch['updated_at'] = time();
+		update_option( self::OPTION, $batch, false );
+
+		wp_clear_scheduled_hook( self::CRON_HOOK );
+	}
+
+	/**
+	 * Get a summary of the current batch for the admin UI.
+	 *
+	 * @since    1.0.0
+	 * @return   array|false    Batch status or false if none.
+	 */
+	public function get_status() {
+		$batch = $this->get_batch();
+
+		if ( ! $batch ) {
+			return false;
+		}
+
+		$counts = array(
+			'queued'     => 0,
+			'processing' => 0,
+			'completed'  => 0,
+			'failed'     => 0,
+			'cancelled'  => 0,
+		);
+		$items = array();
+
+		foreach ( $batch['items'] as $item ) {
+			if ( isset( $counts[ $item['status'] ] ) ) {
+				$counts[ $item['status'] ]++;
+			}
+
+			$items[] = array(
+				'topic_id' => $item['topic_id'],
+				'status'   => $item['status'],
+				'step'     => $item['step'],
+				'error'    => $item['error'],
+				'edit_url' => $item['post_id'] ? get_edit_post_link( $item['post_id'], 'raw' ) : '',
+				'view_url' => $item['post_id'] ? get_permalink( $item['post_id'] ) : '',
+			);
+		}
+
+		return array(
+			'status'     => $batch['status'],
+			'total'      => count( $batch['items'] ),
+			'counts'     => $counts,
+			'items'      => $items,
+			'created_at' => $batch['created_at'],
+		);
+	}
+
+	/**
+	 * Restart the worker if a running batch has stalled.
+	 *
+	 * Called while the Topics page polls, so a batch keeps moving even when
+	 * both the loopback and WP Cron were missed. A batch stuck for longer
+	 * than STALE_AFTER is closed instead.
+	 *
+	 * @since    1.0.0
+	 */
+	public function maybe_dispatch() {
+		if ( $this->recover_stale() ) {
+			return;
+		}
+
+		$batch = $this->get_batch();
+
+		if ( ! $batch || 'running' !== $batch['status'] || get_transient( self::LOCK ) ) {
+			return;
+		}
+
+		if ( time() - $batch['updated_at'] > 2 * MINUTE_IN_SECONDS ) {
+			$this->dispatch();
+		}
+	}
+
+	/**
+	 * Handle the loopback request that runs the worker.
+	 *
+	 * @since    1.0.0
+	 */
+	public function handle_loopback() {
+		$batch = $this->get_batch();
+		$token = isset( $_POST['token'] ) ? sanitize_text_field( wp_unslash( $_POST['token'] ) ) : '';
+
+		if ( ! $batch || empty( $token ) || ! hash_equals( $batch['token'], $token ) ) {
+			wp_die( '', '', array( 'response' => 403 ) );
+		}
+
+		ignore_user_abort( true );
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			@set_time_limit( 300 ); // 5 minutes
+		}
+
+		$this->run();
+
+		wp_die();
+	}
+
+	/**
+	 * Advance the current batch.
+	 *
+	 * Processes steps until the time budget is used up, then hands over to
+	 * the next worker run.
+	 *
+	 * @since    1.0.0
+	 */
+	public function run() {
+		// Prevent concurrent workers
+		if ( get_transient( self::LOCK ) ) {
+			return;
+		}
+
+		// Set lock for 10 minutes max (in case of crash)
+		set_transient( self::LOCK, time(), 10 * MINUTE_IN_SECONDS );
+
+		$start_time = microtime( true );
+		$has_more = false;
+
+		try {
+			do {
+				$has_more = $this->process_next();
+			} while ( $has_more && ( microtime( true ) - $start_time ) < self::TIME_BUDGET );
+		} finally {
+			delete_transient( self::LOCK );
+		}
+
+		if ( $has_more ) {
+			$this->dispatch();
+		}
+	}
+
+	/**
+	 * Process one step of the next unfinished topic.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   bool    Whether the batch has more work.
+	 */
+	private function process_next() {
+		$batch = $this->get_batch();
+
+		if ( ! $batch || 'running' !== $batch['status'] ) {
+			return false;
+		}
+
+		$item = $this->get_next_item( $batch );
+
+		if ( ! $item ) {
+			$batch['status'] = 'finished';
+			$batch['updated_at'] = time();
+			update_option( self::OPTION, $batch, false );
+			$this->log_event( 'Batch finished.' );
+			return false;
+		}
+
+		if ( 'queued' === $item['status'] ) {
+			$item = $this->start_item( $item );
+		} else {
+			$item = $this->advance_item( $item );
+		}
+
+		// Re-read so a cancel issued during the step isn't overwritten
+		$batch = $this->get_batch();
+		if ( ! $batch || 'running' !== $batch['status'] ) {
+			return false;
+		}
+
+		$batch['items'][ $item['topic_id'] ] = $item;
+		$batch['updated_at'] = time();
+		update_option( self::OPTION, $batch, false );
+
+		return true;
+	}
+
+	/**
+	 * Pick the topic to work on: the one in progress, otherwise the next queued one.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $batch    Batch data.
+	 * @return   array|null      Batch item or null when done.
+	 */
+	private function get_next_item( $batch ) {
+		$next = null;
+
+		foreach ( $batch['items'] as $item ) {
+			if ( 'processing' === $item['status'] ) {
+				return $item;
+			}
+			if ( ! $next && 'queued' === $item['status'] ) {
+				$next = $item;
+			}
+		}
+
+		return $next;
+	}
+
+	/**
+	 * Create the generation job for a queued topic.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $item    Batch item.
+	 * @return   array          Updated item.
+	 */
+	private function start_item( $item ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$topic = $wpdb->get_row(
+			$wpdb->prepare( "SELECT * FROM $table WHERE id = %d", $item['topic_id'] ) // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		);
+
+		if ( ! $topic ) {
+			$item['status'] = 'failed';
+			$item['error'] = __( 'Topic not found.', 'ai-blog-posts' );
+			return $item;
+		}
+
+		if ( ! $this->cost_tracker->within_budget() ) {
+			return $this->fail_item( $item, __( 'Monthly budget limit reached.', 'ai-blog-posts' ) );
+		}
+
+		$wpdb->update(
+			$table,
+			array( 'status' => 'processing' ),
+			array( 'id' => $topic->id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+
+		$job_id = $this->generator->create_job( $topic->topic, Ai_Blog_Posts_Generator::get_topic_options( $topic ) );
+
+		if ( is_wp_error( $job_id ) ) {
+			return $this->fail_item( $item, $job_id->get_error_message() );
+		}
+
+		$this->log_event( sprintf( 'Batch started topic "%s" (ID: %d)', $topic->topic, $topic->id ) );
+
+		$item['status'] = 'processing';
+		$item['job_id'] = $job_id;
+		$item['step'] = 'outline';
+		$item['retries'] = 0;
+
+		return $item;
+	}
+
+	/**
+	 * Run the next step of a topic in progress.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $item    Batch item.
+	 * @return   array          Updated item.
+	 */
+	private function advance_item( $item ) {
+		$step = $item['step'];
+
+		if ( 'complete' === $step ) {
+			$result = $this->generator->complete_with_image( $item['job_id'] );
+		} else {
+			$result = $this->generator->process_step( $item['job_id'], $step );
+
+			if ( ! is_wp_error( $result ) && 'image' === $step && 'complete' === $result['next_step'] ) {
+				$result = $this->generator->complete_with_image( $item['job_id'] );
+			}
+		}
+
+		if ( is_wp_error( $result ) ) {
+			$item['retries']++;
+
+			if ( 'job_not_found' === $result->get_error_code() || $item['retries'] > self::MAX_STEP_RETRIES ) {
+				return $this->fail_item( $item, $result->get_error_message() );
+			}
+
+			$this->log_event( sprintf( 'Batch step "%s" failed for topic %d, retrying: %s', $step, $item['topic_id'], $result->get_error_message() ) );
+			return $item;
+		}
+
+		$item['retries'] = 0;
+
+		if ( 'completed' === $result['job_status'] || null === $result['next_step'] ) {
+			$item['status'] = 'completed';
+			$item['step'] = 'complete';
+			$item['post_id'] = (int) $result['post_id'];
+			$this->log_event( sprintf( 'Batch completed topic %d (Post ID: %d)', $item['topic_id'], $item['post_id'] ) );
+		} else {
+			$item['step'] = $result['next_step'];
+		}
+
+		return $item;
+	}
+
+	/**
+	 * Mark a batch item and its topic as failed.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array  $item     Batch item.
+	 * @param    string $error    Error message.
+	 * @return   array            Updated item.
+	 */
+	private function fail_item( $item, $error ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$wpdb->query(
+			$wpdb->prepare(
+				"UPDATE $table SET status = 'failed', attempts = attempts + 1, last_error = %s WHERE id = %d", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				$error,
+				$item['topic_id']
+			)
+		);
+
+		$this->log_event( sprintf( 'Batch failed topic %d: %s', $item['topic_id'], $error ) );
+
+		$item['status'] = 'failed';
+		$item['error'] = $error;
+
+		return $item;
+	}
+
+	/**
+	 * Start the next worker run.
+	 *
+	 * Fires a non-blocking loopback request and schedules a cron event in
+	 * case the loopback never arrives.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 */
+	private function dispatch() {
+		$batch = $this->get_batch();
+
+		if ( ! $batch ) {
+			return;
+		}
+
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_single_event( time() + MINUTE_IN_SECONDS, self::CRON_HOOK );
+		}
+
+		wp_remote_post( admin_url( 'admin-ajax.php' ), array(
+			'timeout'   => 0.01,
+			'blocking'  => false,
+			'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+			'body'      => array(
+				'action' => 'ai_blog_posts_batch_worker',
+				'token'  => $batch['token'],
+			),
+		) );
+	}
+
+	/**
+	 * Log batch events.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $message    Log message.
+	 */
+	private function log_event( $message ) {
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+			error_log( '[AI Blog Posts] ' . $message );
+		}
+	}
+}
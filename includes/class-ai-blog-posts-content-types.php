@@ -0,0 +1,140 @@
+<?php
+
+/**
+ * Content type registry
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Lists the post formats the generator can write and the structure each one asks for.
+ *
+ * The outline and content instructions reach the prompt templates through the
+ * {content_type}, {outline_structure} and {content_structure} variables.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Content_Types {
+
+	/**
+	 * Content type used when none is given.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const DEFAULT_TYPE = 'article';
+
+	/**
+	 * Get all content types.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Type definitions keyed by ID.
+	 */
+	public static function get_all() {
+		return array(
+			'article'    => array(
+				'label'     => __( 'Article', 'ai-blog-posts' ),
+				'noun'      => 'blog post',
+				'outline'   => "- 4-6 main sections with H2 headings\n" .
+					"- 2-3 key points under each section",
+				'content'   => '',
+			),
+			'listicle'   => array(
+				'label'     => __( 'Listicle', 'ai-blog-posts' ),
+				'noun'      => 'listicle blog post',
+				'outline'   => "- A numbered list of 7-12 items, each with a short H2 heading\n" .
+					"- One or two points to cover for each item",
+				'content'   => "- After the introduction, add a quick summary of every item as a numbered <ol> list\n" .
+					"- Give each item its own H2 heading starting with its number, e.g. \"1. Item name\"\n" .
+					"- Keep each item to 1-3 short paragraphs",
+			),
+			'how_to'     => array(
+				'label'     => __( 'How-to Guide', 'ai-blog-posts' ),
+				'noun'      => 'step-by-step how-to guide',
+				'outline'   => "- A \"What you'll need\" list of tools or prerequisites\n" .
+					"- 5-10 steps in the order they are carried out, each with a short action-led name\n" .
+					"- Common mistakes or troubleshooting tips",
+				'content'   => "- Start with a \"What you'll need\" H2 followed by a <ul> list\n" .
+					"- Put the steps under a single H2 as a numbered <ol> list, one <li> per step starting with the step name in <strong>\n" .
+					"- Follow the list with an H3 per step (\"Step 1: ...\") where a step needs more explanation\n" .
+					"- Finish with an H2 covering common mistakes or troubleshooting",
+			),
+			'comparison' => array(
+				'label'     => __( 'Comparison (X vs Y)', 'ai-blog-posts' ),
+				'noun'      => 'comparison article',
+				'outline'   => "- The options being compared and who each one suits\n" .
+					"- 4-6 criteria to compare them on, each with an H2 heading\n" .
+					"- A verdict recommending an option for each type of reader",
+				'content'   => "- Near the top, add a comparison <table> with a <thead> row naming the options and one <tbody> row per criterion\n" .
+					"- Keep table cells to plain text, no paragraphs or lists inside cells\n" .
+					"- Give each criterion its own H2 section comparing the options\n" .
+					"- End with a \"Verdict\" H2 that says which option to choose and when",
+			),
+			'review'     => array(
+				'label'     => __( 'Review', 'ai-blog-posts' ),
+				'noun'      => 'review',
+				'outline'   => "- What is being reviewed and who it is for\n" .
+					"- 3-5 H2 sections on the areas that matter most, such as features, quality and value\n" .
+					"- Pros and cons\n" .
+					"- A final verdict",
+				'content'   => "- Include a pros and cons section as exactly: <h3>Pros</h3> followed by a <ul> list, then <h3>Cons</h3> followed by a <ul> list\n" .
+					"- Be specific and balanced, give real downsides as well as strengths\n" .
+					"- End with a \"Verdict\" H2 summing up who should and shouldn't choose it",
+			),
+			'news_brief' => array(
+				'label'      => __( 'News Brief', 'ai-blog-posts' ),
+				'noun'       => 'short news brief',
+				'outline'    => "- The key facts: what happened, who is involved, when and where\n" .
+					"- 2-3 short H2 sections on background and why it matters\n" .
+					"- What happens next",
+				'content'    => "- Open with the most important facts in the first paragraph\n" .
+					"- Follow with a \"Key points\" <ul> list of 3-5 items\n" .
+					"- Keep to short, factual paragraphs and avoid speculation",
+				'word_count' => array( 300, 600 ),
+			),
+		);
+	}
+
+	/**
+	 * Get a content type, falling back to the default type.
+	 *
+	 * @since    1.0.0
+	 * @param    string $type    Type ID.
+	 * @return   array           Type definition.
+	 */
+	public static function get( $type ) {
+		$types = self::get_all();
+
+		return $types[ $type ] ?? $types[ self::DEFAULT_TYPE ];
+	}
+
+	/**
+	 * Get the type labels for select fields.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Labels keyed by type ID.
+	 */
+	public static function get_labels() {
+		return wp_list_pluck( self::get_all(), 'label' );
+	}
+
+	/**
+	 * Normalize a submitted type ID.
+	 *
+	 * @since    1.0.0
+	 * @param    string $type    Type ID.
+	 * @return   string          A known type ID.
+	 */
+	public static function sanitize( $type ) {
+		$type = sanitize_key( (string) $type );
+
+		return isset( self::get_all()[ $type ] ) ? $type : self::DEFAULT_TYPE;
+	}
+}
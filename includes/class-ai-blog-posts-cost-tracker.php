@@ -22,6 +22,18 @@
  */
 class Ai_Blog_Posts_Cost_Tracker {
 
+	/**
+	 * Sources of log rows that don't generate a post, such as edits to an
+	 * existing post or duplicate checks.
+	 *
+	 * Their spend counts towards the totals and the budget, but they are not
+	 * counted as generated posts.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	const NON_POST_SOURCES = array( 'section_rewrite', 'editor_action', 'duplicate_check' );
+
 	/**
 	 * The database table name.
 	 *
@@ -31,6 +43,15 @@ class Ai_Blog_Posts_Cost_Tracker {
 	 */
 	private $table_name;
 
+	/**
+	 * Cached token usage of recent posts.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      array|null
+	 */
+	private $token_history = null;
+
 	/**
 	 * Initialize the class.
 	 *
@@ -169,16 +190,17 @@ class Ai_Blog_Posts_Cost_Tracker {
 		global $wpdb;
 
 		$stats = array();
+		$is_post = $this->get_post_condition();
 
 		// All time stats
 		$all_time = $wpdb->get_row(
 			"SELECT 
-				COUNT(*) as total_posts,
+				SUM($is_post) as total_posts,
 				SUM(total_tokens) as total_tokens,
 				SUM(cost_usd) as total_text_cost,
 				SUM(image_cost_usd) as total_image_cost,
 				SUM(cost_usd + image_cost_usd) as total_cost,
-				AVG(cost_usd + image_cost_usd) as avg_cost
+				AVG(CASE WHEN $is_post THEN cost_usd + image_cost_usd END) as avg_cost
 			FROM {$this->table_name}
 			WHERE status = 'success'"
 		);
@@ -193,7 +215,7 @@ class Ai_Blog_Posts_Cost_Tracker {
 		$this_month = $wpdb->get_row(
 			$wpdb->prepare(
 				"SELECT 
-					COUNT(*) as posts,
+					SUM($is_post) as posts,
 					SUM(cost_usd + image_cost_usd) as cost
 				FROM {$this->table_name}
 				WHERE status = 'success' AND created_at >= %s",
@@ -209,7 +231,7 @@ class Ai_Blog_Posts_Cost_Tracker {
 		$this_week = $wpdb->get_row(
 			$wpdb->prepare(
 				"SELECT 
-					COUNT(*) as posts,
+					SUM($is_post) as posts,
 					SUM(cost_usd + image_cost_usd) as cost
 				FROM {$this->table_name}
 				WHERE status = 'success' AND created_at >= %s",
@@ -225,7 +247,7 @@ class Ai_Blog_Posts_Cost_Tracker {
 		$today_stats = $wpdb->get_row(
 			$wpdb->prepare(
 				"SELECT 
-					COUNT(*) as posts,
+					SUM($is_post) as posts,
 					SUM(cost_usd + image_cost_usd) as cost
 				FROM {$this->table_name}
 				WHERE status = 'success' AND created_at >= %s",
@@ -240,7 +262,7 @@ class Ai_Blog_Posts_Cost_Tracker {
 		$by_model = $wpdb->get_results(
 			"SELECT 
 				model_used,
-				COUNT(*) as count,
+				SUM($is_post) as count,
 				SUM(total_tokens) as tokens,
 				SUM(cost_usd + image_cost_usd) as cost
 			FROM {$this->table_name}
@@ -254,6 +276,194 @@ class Ai_Blog_Posts_Cost_Tracker {
 		return $stats;
 	}
 
+	/**
+	 * Get spending analytics for a date range.
+	 *
+	 * @since    1.0.0
+	 * @param    string $date_from    Start date (Y-m-d).
+	 * @param    string $date_to      End date (Y-m-d).
+	 * @return   array                Daily series, breakdowns, totals and forecast.
+	 */
+	public function get_analytics( $date_from, $date_to ) {
+		global $wpdb;
+
+		$range = array( $date_from . ' 00:00:00', $date_to . ' 23:59:59' );
+		$is_post = $this->get_post_condition();
+
+		// Daily spend and posts, with every day in the range present
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT 
+					DATE(created_at) as day,
+					SUM(cost_usd + image_cost_usd) as cost,
+					SUM($is_post) as posts,
+					SUM(status <> 'success') as failed
+				FROM {$this->table_name}
+				WHERE created_at BETWEEN %s AND %s
+				GROUP BY DATE(created_at)",
+				$range
+			),
+			OBJECT_K
+		);
+
+		$daily = array();
+		for ( $day = strtotime( $date_from ); $day <= strtotime( $date_to ); $day += DAY_IN_SECONDS ) {
+			$date = gmdate( 'Y-m-d', $day );
+			$daily[] = array(
+				'label'  => $date,
+				'cost'   => round( (float) ( $rows[ $date ]->cost ?? 0 ), 6 ),
+				'posts'  => (int) ( $rows[ $date ]->posts ?? 0 ),
+				'failed' => (int) ( $rows[ $date ]->failed ?? 0 ),
+			);
+		}
+
+		$totals = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT 
+					SUM(cost_usd + image_cost_usd) as cost,
+					SUM($is_post) as posts,
+					SUM(status <> 'success') as failed,
+					AVG(CASE WHEN $is_post THEN cost_usd + image_cost_usd END) as avg_cost
+				FROM {$this->table_name}
+				WHERE created_at BETWEEN %s AND %s",
+				$range
+			)
+		);
+
+		return array(
+			'daily'     => $daily,
+			'by_model'  => $this->get_breakdown( 'model_used', $range ),
+			'by_source' => $this->get_breakdown( 'topic_source', $range ),
+			'by_status' => $this->get_breakdown( 'status', $range ),
+			'by_step'   => $this->get_step_breakdown( $range ),
+			'totals'    => array(
+				'cost'     => round( (float) ( $totals->cost ?? 0 ), 6 ),
+				'posts'    => (int) ( $totals->posts ?? 0 ),
+				'failed'   => (int) ( $totals->failed ?? 0 ),
+				'avg_cost' => round( (float) ( $totals->avg_cost ?? 0 ), 6 ),
+			),
+			'forecast'  => $this->get_month_forecast(),
+		);
+	}
+
+	/**
+	 * Sum spend and generations by a log column.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $column    Log column to group by.
+	 * @param    array  $range     Start and end datetimes.
+	 * @return   array             Rows with label, cost and count, most expensive first.
+	 */
+	private function get_breakdown( $column, $range ) {
+		global $wpdb;
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT 
+					$column as label,
+					SUM(cost_usd + image_cost_usd) as cost,
+					COUNT(*) as count
+				FROM {$this->table_name}
+				WHERE created_at BETWEEN %s AND %s
+				GROUP BY $column
+				ORDER BY cost DESC",
+				$range
+			)
+		);
+
+		return array_map( function( $row ) {
+			return array(
+				'label' => '' === (string) $row->label ? __( 'Unknown', 'ai-blog-posts' ) : $row->label,
+				'cost'  => round( (float) $row->cost, 6 ),
+				'count' => (int) $row->count,
+			);
+		}, $rows );
+	}
+
+	/**
+	 * Sum spend by generation step.
+	 *
+	 * Step costs are only kept with the post, so this covers generations
+	 * whose post still exists.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $range    Start and end datetimes.
+	 * @return   array           Rows with label, cost and count in step order.
+	 */
+	private function get_step_breakdown( $range ) {
+		global $wpdb;
+
+		$post_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT DISTINCT post_id FROM {$this->table_name}
+				WHERE {$this->get_post_condition()} AND post_id IS NOT NULL AND created_at BETWEEN %s AND %s",
+				$range
+			)
+		);
+
+		$labels = array_merge(
+			Ai_Blog_Posts_Settings::get_model_stages(),
+			array( 'image' => __( 'Image', 'ai-blog-posts' ) )
+		);
+		$steps = array();
+
+		foreach ( $post_ids as $post_id ) {
+			$step_costs = get_post_meta( $post_id, '_ai_blog_posts_step_costs', true );
+
+			foreach ( (array) $step_costs as $step => $cost ) {
+				if ( ! isset( $labels[ $step ] ) ) {
+					continue;
+				}
+
+				if ( ! isset( $steps[ $step ] ) ) {
+					$steps[ $step ] = array(
+						'label' => $labels[ $step ],
+						'cost'  => 0,
+						'count' => 0,
+					);
+				}
+
+				$steps[ $step ]['cost'] += (float) ( $cost['cost_usd'] ?? 0 );
+				$steps[ $step ]['count']++;
+			}
+		}
+
+		// Keep the order the steps run in
+		$ordered = array();
+		foreach ( array_keys( $labels ) as $step ) {
+			if ( isset( $steps[ $step ] ) ) {
+				$steps[ $step ]['cost'] = round( $steps[ $step ]['cost'], 6 );
+				$ordered[] = $steps[ $step ];
+			}
+		}
+
+		return $ordered;
+	}
+
+	/**
+	 * Project this month's spend from the daily average so far.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Spend to date, projected total and budget limit.
+	 */
+	private function get_month_forecast() {
+		$now = current_time( 'timestamp' );
+		$days_elapsed = (int) gmdate( 'j', $now );
+		$days_in_month = (int) gmdate( 't', $now );
+		$month_cost = $this->get_monthly_cost();
+
+		return array(
+			'month_to_date' => round( $month_cost, 6 ),
+			'projected'     => round( $month_cost / $days_elapsed * $days_in_month, 6 ),
+			'budget_limit'  => (float) Ai_Blog_Posts_Settings::get( 'budget_limit' ),
+			'days_elapsed'  => $days_elapsed,
+			'days_in_month' => $days_in_month,
+		);
+	}
+
 	/**
 	 * Get the cost for the current month.
 	 *
@@ -450,6 +660,18 @@ Auto-posting has been automatically paused. You can resume it by increasing your
 		return $csv;
 	}
 
+	/**
+	 * Get the SQL condition for log rows that generated a post.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   string    WHERE condition.
+	 */
+	private function get_post_condition() {
+		$sources = "'" . implode( "', '", array_map( 'esc_sql', self::NON_POST_SOURCES ) ) . "'";
+		return "status = 'success' AND topic_source NOT IN ($sources)";
+	}
+
 	/**
 	 * Get posts generated today.
 	 *
@@ -465,7 +687,7 @@ Auto-posting has been automatically paused. You can resume it by increasing your
 		return (int) $wpdb->get_var(
 			$wpdb->prepare(
 				"SELECT COUNT(*) FROM {$this->table_name} 
-				WHERE status = 'success' AND created_at >= %s",
+				WHERE {$this->get_post_condition()} AND created_at >= %s",
 				$today
 			)
 		);
@@ -484,6 +706,291 @@ Auto-posting has been automatically paused. You can resume it by increasing your
 		return $generated_today < $max_per_day;
 	}
 
+	/**
+	 * Estimate what generating a set of posts will cost.
+	 *
+	 * Each post is priced from its models, word count range and enabled steps,
+	 * then scaled by how many tokens recent posts actually used. The range is
+	 * checked against what is left of the monthly budget.
+	 *
+	 * @since    1.0.0
+	 * @param    array $posts    Generation options for each post.
+	 * @return   array           Cost range, remaining budget and budget status.
+	 */
+	public function estimate( $posts ) {
+		$low = 0;
+		$high = 0;
+
+		foreach ( $posts as $options ) {
+			$range = $this->estimate_post( $options );
+			$low += $range['low'];
+			$high += $range['high'];
+		}
+
+		$estimate = array(
+			'count'          => count( $posts ),
+			'low'            => round( $low, 4 ),
+			'high'           => round( $high, 4 ),
+			'history_posts'  => $this->get_token_history()['posts'],
+			'budget_limit'   => (float) Ai_Blog_Posts_Settings::get( 'budget_limit' ),
+			'remaining'      => null,
+			'budget_status'  => 'none',
+		);
+
+		if ( $estimate['budget_limit'] > 0 ) {
+			$estimate['remaining'] = round( max( 0, $estimate['budget_limit'] - $this->get_monthly_cost() ), 4 );
+
+			if ( $estimate['low'] > $estimate['remaining'] ) {
+				$estimate['budget_status'] = 'exceeded';
+			} elseif ( $estimate['high'] > $estimate['remaining'] ) {
+				$estimate['budget_status'] = 'warning';
+			} else {
+				$estimate['budget_status'] = 'ok';
+			}
+		}
+
+		return $estimate;
+	}
+
+	/**
+	 * Describe how an estimate compares with the remaining budget.
+	 *
+	 * @since    1.0.0
+	 * @param    array $estimate    Estimate from estimate().
+	 * @return   string             Message, empty when the budget isn't at risk.
+	 */
+	public function get_budget_message( $estimate ) {
+		if ( 'exceeded' === $estimate['budget_status'] ) {
+			return sprintf(
+				/* translators: 1: lowest estimated cost, 2: remaining budget */
+				__( 'Estimated cost of at least $%1$s exceeds the $%2$s left in this month\'s budget.', 'ai-blog-posts' ),
+				number_format( $estimate['low'], 2 ),
+				number_format( $estimate['remaining'], 2 )
+			);
+		}
+
+		if ( 'warning' === $estimate['budget_status'] ) {
+			return sprintf(
+				/* translators: 1: highest estimated cost, 2: remaining budget */
+				__( 'Estimated cost of up to $%1$s may exceed the $%2$s left in this month\'s budget.', 'ai-blog-posts' ),
+				number_format( $estimate['high'], 2 ),
+				number_format( $estimate['remaining'], 2 )
+			);
+		}
+
+		return '';
+	}
+
+	/**
+	 * Estimate the cost of generating queued topics in a batch.
+	 *
+	 * Uses the same options the batch runner passes to the generator.
+	 *
+	 * @since    1.0.0
+	 * @param    array $topic_ids    Topic IDs.
+	 * @return   array               Estimate from estimate().
+	 */
+	public function estimate_topics( $topic_ids ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$topic_ids = array_filter( array_map( 'absint', (array) $topic_ids ) );
+		$content_types = array();
+
+		if ( ! empty( $topic_ids ) ) {
+			$placeholders = implode( ', ', array_fill( 0, count( $topic_ids ), '%d' ) );
+			$content_types = $wpdb->get_col(
+				$wpdb->prepare( "SELECT content_type FROM $table WHERE id IN ($placeholders)", $topic_ids ) // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			);
+		}
+
+		$posts = array();
+		foreach ( $content_types as $content_type ) {
+			$posts[] = array(
+				'content_type'   => $content_type,
+				'generate_image' => Ai_Blog_Posts_Settings::get( 'image_enabled' ),
+			);
+		}
+
+		return $this->estimate( $posts );
+	}
+
+	/**
+	 * Estimate the cost range of a single post.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $options    Generation options.
+	 * @return   array             Low and high cost in USD.
+	 */
+	private function estimate_post( $options ) {
+		$options = wp_parse_args( $options, array(
+			'model'          => Ai_Blog_Posts_Settings::get( 'model' ),
+			'step_models'    => array(),
+			'content_type'   => Ai_Blog_Posts_Content_Types::DEFAULT_TYPE,
+			'generate_image' => Ai_Blog_Posts_Settings::get( 'image_enabled' ),
+			'inline_images'  => Ai_Blog_Posts_Settings::get( 'inline_images' ),
+		) );
+
+		if ( ! isset( Ai_Blog_Posts_Settings::get_models()[ $options['model'] ] ) ) {
+			$options['model'] = Ai_Blog_Posts_Settings::get( 'model' );
+		}
+
+		$step_models = Ai_Blog_Posts_Settings::resolve_step_models( $options['step_models'], $options['model'] );
+		$type = Ai_Blog_Posts_Content_Types::get( Ai_Blog_Posts_Content_Types::sanitize( $options['content_type'] ) );
+		$factor = $this->get_history_factor();
+
+		$range = array();
+		foreach ( array( 'low' => 0, 'high' => 1 ) as $bound => $index ) {
+			$words = $type['word_count'][ $index ] ?? Ai_Blog_Posts_Settings::get( 0 === $index ? 'word_count_min' : 'word_count_max' );
+			$cost = 0;
+
+			foreach ( $this->estimate_step_tokens( $words, ! empty( $step_models['image_prompt'] ) && $options['generate_image'] ) as $stage => $tokens ) {
+				$cost += $this->get_token_cost( $step_models[ $stage ], $tokens[0] * $factor, $tokens[1] * $factor );
+			}
+
+			$range[ $bound ] = $cost;
+		}
+
+		$inline_images = min( 5, absint( $options['inline_images'] ) );
+
+		if ( $options['generate_image'] || $inline_images ) {
+			$openai = new Ai_Blog_Posts_OpenAI();
+			$image_cost = $openai->calculate_image_cost(
+				Ai_Blog_Posts_Settings::get( 'image_model' ),
+				Ai_Blog_Posts_Settings::get( 'image_size' ),
+				'hd'
+			);
+
+			if ( $options['generate_image'] ) {
+				$range['low'] += $image_cost;
+				$range['high'] += $image_cost;
+			}
+
+			// In-article images may all be found in the media library, or all be generated
+			$range['high'] += $image_cost * $inline_images;
+			if ( ! Ai_Blog_Posts_Settings::get( 'inline_images_reuse' ) ) {
+				$range['low'] += $image_cost * $inline_images;
+			}
+		}
+
+		return $range;
+	}
+
+	/**
+	 * Estimate prompt and completion tokens for each step of a post.
+	 *
+	 * Roughly 1.35 tokens per English word, plus about 10% for HTML tags in
+	 * the written content. Fixed amounts cover the prompt templates themselves.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    int  $words           Target word count.
+	 * @param    bool $image_prompt    Whether a model writes the image prompt.
+	 * @return   array                 Prompt and completion tokens keyed by stage.
+	 */
+	private function estimate_step_tokens( $words, $image_prompt = false ) {
+		$content_tokens = $words * 1.35 * 1.1;
+
+		$steps = array(
+			'outline' => array( 700, 400 ),
+			'content' => array( 1100, $content_tokens ),
+		);
+
+		// Lower humanization levels skip the rewrite, as the generator does
+		if ( Ai_Blog_Posts_Settings::get( 'humanize_level' ) >= 3 ) {
+			$steps['humanize'] = array( 900 + $content_tokens, $content_tokens );
+		}
+
+		if ( Ai_Blog_Posts_Settings::get( 'seo_enabled' ) ) {
+			// The SEO step only sees the first 300 words
+			$steps['seo'] = array( 400 + min( $words, 300 ) * 1.35, 250 );
+		}
+
+		if ( $image_prompt ) {
+			$steps['image_prompt'] = array( 300, 100 );
+		}
+
+		return $steps;
+	}
+
+	/**
+	 * Price a number of tokens for a model.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $model                Model ID.
+	 * @param    float  $prompt_tokens        Prompt tokens.
+	 * @param    float  $completion_tokens    Completion tokens.
+	 * @return   float                        Cost in USD.
+	 */
+	private function get_token_cost( $model, $prompt_tokens, $completion_tokens ) {
+		$models = Ai_Blog_Posts_Settings::get_models();
+
+		if ( ! isset( $models[ $model ] ) ) {
+			return 0.0;
+		}
+
+		return ( $prompt_tokens / 1000000 ) * $models[ $model ]['input_cost'] +
+			( $completion_tokens / 1000000 ) * $models[ $model ]['output_cost'];
+	}
+
+	/**
+	 * Get how many tokens recent posts used on average.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Number of posts and average tokens per post.
+	 */
+	private function get_token_history() {
+		global $wpdb;
+
+		if ( null === $this->token_history ) {
+			$row = $wpdb->get_row(
+				$wpdb->prepare(
+					"SELECT COUNT(*) as posts, AVG(total_tokens) as tokens
+					FROM {$this->table_name}
+					WHERE {$this->get_post_condition()} AND post_id IS NOT NULL AND total_tokens > 0 AND created_at >= %s",
+					date( 'Y-m-d H:i:s', current_time( 'timestamp' ) - 90 * DAY_IN_SECONDS )
+				)
+			);
+
+			$this->token_history = array(
+				'posts'  => (int) ( $row->posts ?? 0 ),
+				'tokens' => (float) ( $row->tokens ?? 0 ),
+			);
+		}
+
+		return $this->token_history;
+	}
+
+	/**
+	 * Get the factor that scales estimated tokens to match recent posts.
+	 *
+	 * Compares the average tokens of the last 90 days against the estimate
+	 * for a post with the current settings. Needs at least three posts and is
+	 * kept between 0.5 and 2 so one unusual post can't skew it.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   float    Scaling factor, 1 without enough history.
+	 */
+	private function get_history_factor() {
+		$history = $this->get_token_history();
+
+		if ( $history['posts'] < 3 ) {
+			return 1.0;
+		}
+
+		$words = ( Ai_Blog_Posts_Settings::get( 'word_count_min' ) + Ai_Blog_Posts_Settings::get( 'word_count_max' ) ) / 2;
+		$expected = 0;
+		foreach ( $this->estimate_step_tokens( $words ) as $tokens ) {
+			$expected += $tokens[0] + $tokens[1];
+		}
+
+		return max( 0.5, min( 2.0, $history['tokens'] / $expected ) );
+	}
+
 	/**
 	 * Check if budget allows generation.
 	 *
@@ -53,5 +53,7 @@ class Ai_Blog_Posts_Deactivator {
 		// Clear all instances of our hooks
 		wp_clear_scheduled_hook( 'ai_blog_posts_scheduled_generation' );
 		wp_clear_scheduled_hook( 'ai_blog_posts_trending_refresh' );
+		wp_clear_scheduled_hook( 'ai_blog_posts_process_batch' );
+		wp_clear_scheduled_hook( 'ai_blog_posts_refresh_analysis' );
 	}
 }
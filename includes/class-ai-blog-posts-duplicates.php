@@ -0,0 +1,766 @@
+<?php
+
+/**
+ * Duplicate topic detection
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Finds queued topics and posts that cover the same subject as a topic.
+ *
+ * Titles are compared on their normalized words, with keyword overlap
+ * (topic keywords, post tags) adding weight. When enabled, OpenAI embeddings
+ * also catch topics that say the same thing in different words.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Duplicates {
+
+	/**
+	 * Embedding model used for meaning comparison.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	private const EMBEDDING_MODEL = 'text-embedding-3-small';
+
+	/**
+	 * Embedding size. Short vectors are plenty for titles and cheap to cache.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	private const EMBEDDING_DIMENSIONS = 256;
+
+	/**
+	 * Option that caches embedding vectors, keyed by the MD5 of their text.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const EMBEDDINGS_OPTION = 'ai_blog_posts_embeddings';
+
+	/**
+	 * Most vectors kept in the cache. The oldest are dropped first. About
+	 * 1.4 KB each.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	private const MAX_CACHED_EMBEDDINGS = 2000;
+
+	/**
+	 * Most recent posts compared against. Older posts are left out so a
+	 * large site doesn't load every post for each check.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	private const MAX_POSTS = 500;
+
+	/**
+	 * Words that say nothing about a topic's subject.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	private const STOPWORDS = array(
+		'a', 'about', 'after', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'best', 'by', 'can', 'do',
+		'does', 'for', 'from', 'get', 'guide', 'how', 'in', 'into', 'is', 'it', 'its', 'know', 'need',
+		'of', 'on', 'or', 'our', 'should', 'that', 'the', 'their', 'this', 'to', 'top', 'ultimate',
+		'vs', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+	);
+
+	/**
+	 * Share of the score that comes from the title when both sides have keywords.
+	 *
+	 * @since    1.0.0
+	 * @var      float
+	 */
+	private const TITLE_WEIGHT = 0.7;
+
+	/**
+	 * Similarity from 0 to 1 at which a topic counts as a duplicate.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      float
+	 */
+	private $threshold;
+
+	/**
+	 * Whether to compare embeddings as well as words.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      bool
+	 */
+	private $use_embeddings;
+
+	/**
+	 * Queued topics and posts to compare against, built on first use.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      array|null
+	 */
+	private $candidates = null;
+
+	/**
+	 * Candidate positions keyed by the words they contain.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      array
+	 */
+	private $index = array();
+
+	/**
+	 * Embedding vectors keyed by normalized text.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      array
+	 */
+	private $embeddings = array();
+
+	/**
+	 * Cached vectors as stored, decoded when used.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      array|null
+	 */
+	private $embedding_cache = null;
+
+	/**
+	 * Whether cached vectors of every candidate have been looked up.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      bool
+	 */
+	private $cached_loaded = false;
+
+	/**
+	 * Initialize the class.
+	 *
+	 * @since    1.0.0
+	 */
+	public function __construct() {
+		$this->threshold = Ai_Blog_Posts_Settings::get( 'duplicate_threshold' ) / 100;
+		$this->use_embeddings = Ai_Blog_Posts_Settings::get( 'duplicate_embeddings' ) && Ai_Blog_Posts_Settings::get( 'api_key' );
+	}
+
+	/**
+	 * Normalize text for comparison.
+	 *
+	 * Lowercases, strips accents and punctuation, and collapses whitespace.
+	 *
+	 * @since    1.0.0
+	 * @param    string $text    Text to normalize.
+	 * @return   string          Normalized text.
+	 */
+	public static function normalize( $text ) {
+		$text = strtolower( remove_accents( wp_strip_all_tags( html_entity_decode( (string) $text, ENT_QUOTES, 'UTF-8' ) ) ) );
+		$text = preg_replace( '/[^a-z0-9]+/', ' ', $text );
+
+		return trim( $text );
+	}
+
+	/**
+	 * Split text into the distinct words that describe its subject.
+	 *
+	 * Stopwords are dropped and plurals reduced, so "The Best Running Shoes"
+	 * and "running shoe" share the same words.
+	 *
+	 * @since    1.0.0
+	 * @param    string $text    Text to split.
+	 * @return   array           Unique words.
+	 */
+	public static function get_words( $text ) {
+		$words = array();
+
+		foreach ( explode( ' ', self::normalize( $text ) ) as $word ) {
+			if ( '' === $word || in_array( $word, self::STOPWORDS, true ) ) {
+				continue;
+			}
+
+			if ( strlen( $word ) > 4 && 'ies' === substr( $word, -3 ) ) {
+				$word = substr( $word, 0, -3 ) . 'y';
+			} elseif ( strlen( $word ) > 3 && 's' === substr( $word, -1 ) && 'ss' !== substr( $word, -2 ) ) {
+				$word = substr( $word, 0, -1 );
+			}
+
+			$words[ $word ] = true;
+		}
+
+		return array_keys( $words );
+	}
+
+	/**
+	 * Find queued topics and posts similar to a topic.
+	 *
+	 * @since    1.0.0
+	 * @param    string $topic         Topic title.
+	 * @param    string $keywords      Comma-separated keywords.
+	 * @param    int    $exclude_id    Queued topic ID to leave out, e.g. the topic itself.
+	 * @param    bool   $full_scan     Embed every candidate. Otherwise only the topic is
+	 *                                 embedded and compared against cached vectors. Slow
+	 *                                 for large batches.
+	 * @return   array                 Matches at or above the threshold, closest first.
+	 */
+	public function find_matches( $topic, $keywords = '', $exclude_id = 0, $full_scan = true ) {
+		$item = $this->prepare( $topic, $keywords );
+		$matches = array();
+
+		foreach ( $this->score_candidates( $item, $full_scan ) as $position => $score ) {
+			$candidate = $this->candidates[ $position ];
+
+			if ( $score >= $this->threshold && ! ( 'topic' === $candidate['type'] && (int) $exclude_id === $candidate['id'] ) ) {
+				$matches[] = $this->format_match( $candidate, $score );
+			}
+		}
+
+		return array_slice( $matches, 0, 5 );
+	}
+
+	/**
+	 * Add a newly queued topic so later checks in the same request see it.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $topic_id    Topic ID.
+	 * @param    string $topic       Topic title.
+	 * @param    string $keywords    Comma-separated keywords.
+	 */
+	public function remember( $topic_id, $topic, $keywords = '' ) {
+		$this->get_candidates();
+
+		$this->add_candidate( array(
+			'type'     => 'topic',
+			'id'       => (int) $topic_id,
+			'title'    => $topic,
+			'keywords' => $keywords,
+			'status'   => 'pending',
+		) );
+	}
+
+	/**
+	 * Merge a topic into a queued topic that covers the same subject.
+	 *
+	 * The queued topic keeps its title, gains any new keywords and takes
+	 * the higher of the two priorities.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $topic_id    Queued topic to merge into.
+	 * @param    string $keywords    Keywords from the duplicate.
+	 * @param    int    $priority    Priority of the duplicate.
+	 * @return   bool|WP_Error       True on success, or error.
+	 */
+	public function merge_into( $topic_id, $keywords = '', $priority = 0 ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$target = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM $table WHERE id = %d", $topic_id ) );
+
+		if ( ! $target || ! in_array( $target->status, array( 'pending', 'failed' ), true ) ) {
+			return new WP_Error( 'invalid_topic', __( 'Only pending or failed topics can be merged into.', 'ai-blog-posts' ) );
+		}
+
+		$merged = array();
+		foreach ( array_merge( explode( ',', (string) $target->keywords ), explode( ',', (string) $keywords ) ) as $keyword ) {
+			$keyword = trim( $keyword );
+			if ( '' !== $keyword ) {
+				$merged[ strtolower( $keyword ) ] = $keyword;
+			}
+		}
+
+		$data = array(
+			'keywords' => implode( ', ', $merged ),
+			'priority' => max( (int) $target->priority, min( 100, absint( $priority ) ) ),
+		);
+		$format = array( '%s', '%d' );
+
+		// A raised priority moves the topic to that priority's place in the queue
+		if ( (int) $target->priority !== $data['priority'] ) {
+			$data['sort_order'] = null;
+			$format[] = '%d';
+		}
+
+		$wpdb->update( $table, $data, array( 'id' => $target->id ), $format, array( '%d' ) );
+
+		return true;
+	}
+
+	/**
+	 * Build the duplicates report for the Topics page.
+	 *
+	 * Lists pending and failed topics with the closest existing post and any
+	 * queued topics or posts at or above the threshold. Embeddings only
+	 * re-score candidates that share a word, to keep large queues fast.
+	 *
+	 * @since    1.0.0
+	 * @param    int $limit    Maximum rows.
+	 * @return   array         Report rows, likely duplicates first.
+	 */
+	public function get_report( $limit = 200 ) {
+		$rows = array();
+
+		foreach ( $this->get_candidates() as $position => $candidate ) {
+			if ( 'topic' !== $candidate['type'] || ! in_array( $candidate['status'], array( 'pending', 'failed' ), true ) ) {
+				continue;
+			}
+
+			$closest_post = null;
+			$matches = array();
+
+			foreach ( $this->score_candidates( $candidate, false ) as $other => $score ) {
+				if ( $other === $position ) {
+					continue;
+				}
+
+				$match = $this->format_match( $this->candidates[ $other ], $score );
+
+				if ( 'post' === $match['type'] && ! $closest_post ) {
+					$closest_post = $match;
+				}
+
+				if ( $score >= $this->threshold && count( $matches ) < 5 ) {
+					$matches[] = $match;
+				}
+			}
+
+			if ( ! $closest_post && empty( $matches ) ) {
+				continue;
+			}
+
+			$rows[] = array(
+				'id'           => $candidate['id'],
+				'topic'        => $candidate['title'],
+				'status'       => $candidate['status'],
+				'closest_post' => $closest_post,
+				'matches'      => $matches,
+				'score'        => max( $closest_post ? $closest_post['score'] : 0, $matches ? $matches[0]['score'] : 0 ),
+			);
+		}
+
+		usort( $rows, function( $a, $b ) {
+			return $b['score'] <=> $a['score'];
+		} );
+
+		return array(
+			'threshold' => (int) round( $this->threshold * 100 ),
+			'rows'      => array_slice( $rows, 0, $limit ),
+		);
+	}
+
+	/**
+	 * Score candidates against an item.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $item         Prepared item.
+	 * @param    bool  $full_scan    Embed every candidate, not just the item.
+	 * @return   array               Scores keyed by candidate position, highest first.
+	 */
+	private function score_candidates( $item, $full_scan ) {
+		$candidates = $this->get_candidates();
+		$positions = array();
+
+		foreach ( array_merge( $item['words'], $item['keyword_words'] ) as $word ) {
+			foreach ( $this->index[ $word ] ?? array() as $position ) {
+				$positions[ $position ] = true;
+			}
+		}
+
+		if ( $this->use_embeddings && $full_scan ) {
+			$positions = array_fill_keys( array_keys( $candidates ), true );
+		} elseif ( $this->use_embeddings ) {
+			// Comparing against vectors we already have costs nothing
+			$this->load_cached_embeddings();
+
+			foreach ( $candidates as $position => $candidate ) {
+				if ( isset( $this->embeddings[ $candidate['normalized'] ] ) ) {
+					$positions[ $position ] = true;
+				}
+			}
+		}
+
+		$positions = array_keys( $positions );
+
+		if ( $this->use_embeddings && $positions ) {
+			$texts = array( $item['normalized'] );
+
+			if ( $full_scan ) {
+				$texts = array_merge( $texts, array_map( function( $position ) {
+					return $this->candidates[ $position ]['normalized'];
+				}, $positions ) );
+			}
+
+			$this->load_embeddings( $texts );
+		}
+
+		$scores = array();
+		foreach ( $positions as $position ) {
+			$score = $this->get_similarity( $item, $candidates[ $position ] );
+
+			if ( $score > 0 ) {
+				$scores[ $position ] = $score;
+			}
+		}
+
+		arsort( $scores );
+
+		return $scores;
+	}
+
+	/**
+	 * Score how alike two prepared items are, from 0 to 1.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $a    Prepared item.
+	 * @param    array $b    Prepared item.
+	 * @return   float       Similarity.
+	 */
+	private function get_similarity( $a, $b ) {
+		if ( '' !== $a['normalized'] && $a['normalized'] === $b['normalized'] ) {
+			return 1.0;
+		}
+
+		// Dice coefficient over title words
+		$total = count( $a['words'] ) + count( $b['words'] );
+		$title = $total ? 2 * count( array_intersect( $a['words'], $b['words'] ) ) / $total : 0;
+		$score = $title;
+
+		// Keyword overlap can raise the score but never lower it
+		if ( $a['keyword_words'] && $b['keyword_words'] ) {
+			$shared = count( array_intersect( $a['keyword_words'], $b['keyword_words'] ) );
+			$overlap = $shared / min( count( $a['keyword_words'] ), count( $b['keyword_words'] ) );
+			$score = max( $title, self::TITLE_WEIGHT * $title + ( 1 - self::TITLE_WEIGHT ) * $overlap );
+		}
+
+		if ( $this->use_embeddings ) {
+			$score = max( $score, $this->get_embedding_similarity( $a['normalized'], $b['normalized'] ) );
+		}
+
+		return round( $score, 2 );
+	}
+
+	/**
+	 * Turn the cosine similarity of two texts' embeddings into a score.
+	 *
+	 * Unrelated titles still land around 0.2-0.4 cosine, so the scale is
+	 * shifted to start at 0.4.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $a    Normalized text.
+	 * @param    string $b    Normalized text.
+	 * @return   float        Score from 0 to 1, 0 when either embedding is missing.
+	 */
+	private function get_embedding_similarity( $a, $b ) {
+		$vector_a = $this->embeddings[ $a ] ?? null;
+		$vector_b = $this->embeddings[ $b ] ?? null;
+
+		if ( ! $vector_a || ! $vector_b ) {
+			return 0;
+		}
+
+		// OpenAI embeddings are unit length, so the dot product is the cosine
+		$cosine = 0;
+		foreach ( $vector_a as $i => $value ) {
+			$cosine += $value * ( $vector_b[ $i ] ?? 0 );
+		}
+
+		return max( 0, ( $cosine - 0.4 ) / 0.6 );
+	}
+
+	/**
+	 * Load the cached embeddings of all candidates, without calling the API.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 */
+	private function load_cached_embeddings() {
+		if ( $this->cached_loaded ) {
+			return;
+		}
+
+		$this->cached_loaded = true;
+
+		foreach ( $this->get_candidates() as $candidate ) {
+			$text = $candidate['normalized'];
+
+			if ( '' === $text || isset( $this->embeddings[ $text ] ) ) {
+				continue;
+			}
+
+			$cached = $this->get_cached_embedding( $text );
+			if ( $cached ) {
+				$this->embeddings[ $text ] = $cached;
+			}
+		}
+	}
+
+	/**
+	 * Look up the cached vector of a text.
+	 *
+	 * All vectors are kept in one option, so checking many candidates is
+	 * a single query.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $text    Normalized text.
+	 * @return   array|null      Vector, or null if not cached.
+	 */
+	private function get_cached_embedding( $text ) {
+		if ( null === $this->embedding_cache ) {
+			$this->embedding_cache = get_option( self::EMBEDDINGS_OPTION, array() );
+			if ( ! is_array( $this->embedding_cache ) ) {
+				$this->embedding_cache = array();
+			}
+		}
+
+		$key = md5( $text );
+		if ( ! isset( $this->embedding_cache[ $key ] ) ) {
+			return null;
+		}
+
+		$vector = unpack( 'g*', (string) base64_decode( $this->embedding_cache[ $key ] ) );
+
+		return $vector ? array_values( $vector ) : null;
+	}
+
+	/**
+	 * Add vectors to the cache, dropping the oldest beyond the limit.
+	 *
+	 * Vectors are stored as base64 encoded 32-bit floats, a quarter of the
+	 * size of serialized PHP floats.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $vectors    Vectors keyed by normalized text.
+	 */
+	private function cache_embeddings( $vectors ) {
+		if ( null === $this->embedding_cache ) {
+			$this->get_cached_embedding( '' );
+		}
+
+		foreach ( $vectors as $text => $vector ) {
+			$key = md5( $text );
+			unset( $this->embedding_cache[ $key ] );
+			$this->embedding_cache[ $key ] = base64_encode( pack( 'g*', ...$vector ) );
+		}
+
+		$this->embedding_cache = array_slice( $this->embedding_cache, -self::MAX_CACHED_EMBEDDINGS, null, true );
+		update_option( self::EMBEDDINGS_OPTION, $this->embedding_cache, false );
+	}
+
+	/**
+	 * Load embeddings for texts, from cache where possible.
+	 *
+	 * If the API call fails, embeddings are switched off for the rest of
+	 * the request and words alone are used.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $texts    Normalized texts.
+	 */
+	private function load_embeddings( $texts ) {
+		$missing = array();
+
+		foreach ( array_unique( $texts ) as $text ) {
+			if ( '' === $text || isset( $this->embeddings[ $text ] ) ) {
+				continue;
+			}
+
+			$cached = $this->get_cached_embedding( $text );
+			if ( $cached ) {
+				$this->embeddings[ $text ] = $cached;
+			} else {
+				$missing[] = $text;
+			}
+		}
+
+		if ( empty( $missing ) ) {
+			return;
+		}
+
+		$openai = new Ai_Blog_Posts_OpenAI();
+		$cost_tracker = new Ai_Blog_Posts_Cost_Tracker();
+
+		foreach ( array_chunk( $missing, 2048 ) as $chunk ) {
+			$start_time = microtime( true );
+			$result = $openai->create_embeddings( $chunk, array(
+				'model'      => self::EMBEDDING_MODEL,
+				'dimensions' => self::EMBEDDING_DIMENSIONS,
+			) );
+
+			if ( is_wp_error( $result ) ) {
+				if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+					error_log( '[AI Blog Posts] Embeddings failed, using word matching only: ' . $result->get_error_message() );
+				}
+				$this->use_embeddings = false;
+				return;
+			}
+
+			$cost_tracker->log( array(
+				'model_used'      => $result['model'],
+				'prompt_tokens'   => $result['prompt_tokens'],
+				'cost_usd'        => $result['cost_usd'],
+				'generation_time' => microtime( true ) - $start_time,
+				'topic_source'    => 'duplicate_check',
+			) );
+
+			$new = array();
+			foreach ( $chunk as $i => $text ) {
+				if ( isset( $result['vectors'][ $i ] ) ) {
+					$this->embeddings[ $text ] = $result['vectors'][ $i ];
+					$new[ $text ] = $result['vectors'][ $i ];
+				}
+			}
+
+			$this->cache_embeddings( $new );
+		}
+	}
+
+	/**
+	 * Get the queued topics and posts to compare against.
+	 *
+	 * Completed topics are left out because their posts are already listed.
+	 * Only the most recent posts are included, see MAX_POSTS.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Prepared candidates.
+	 */
+	private function get_candidates() {
+		if ( null !== $this->candidates ) {
+			return $this->candidates;
+		}
+
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$this->candidates = array();
+		$this->index = array();
+
+		$topics = $wpdb->get_results(
+			"SELECT id, topic, keywords, status FROM $table WHERE status <> 'completed' ORDER BY id ASC" // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		);
+
+		foreach ( $topics as $topic ) {
+			$this->add_candidate( array(
+				'type'     => 'topic',
+				'id'       => (int) $topic->id,
+				'title'    => $topic->topic,
+				'keywords' => $topic->keywords,
+				'status'   => $topic->status,
+			) );
+		}
+
+		$posts = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT ID, post_title, post_status FROM {$wpdb->posts}
+				WHERE post_type = 'post' AND post_status IN ('publish', 'future', 'draft', 'pending', 'private')
+				AND post_title <> ''
+				ORDER BY post_date DESC
+				LIMIT %d",
+				self::MAX_POSTS
+			)
+		);
+
+		// Post tags stand in for keywords
+		$tags = array();
+		if ( $posts ) {
+			$terms = wp_get_object_terms( wp_list_pluck( $posts, 'ID' ), 'post_tag', array( 'fields' => 'all_with_object_id' ) );
+			if ( ! is_wp_error( $terms ) ) {
+				foreach ( $terms as $term ) {
+					$tags[ $term->object_id ][] = $term->name;
+				}
+			}
+		}
+
+		foreach ( $posts as $post ) {
+			$this->add_candidate( array(
+				'type'     => 'post',
+				'id'       => (int) $post->ID,
+				'title'    => $post->post_title,
+				'keywords' => implode( ',', $tags[ $post->ID ] ?? array() ),
+				'status'   => $post->post_status,
+			) );
+		}
+
+		return $this->candidates;
+	}
+
+	/**
+	 * Prepare a candidate and add it to the word index.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $candidate    Candidate type, ID, title, keywords and status.
+	 */
+	private function add_candidate( $candidate ) {
+		$candidate = array_merge( $candidate, $this->prepare( $candidate['title'], $candidate['keywords'] ) );
+		$position = count( $this->candidates );
+
+		$this->candidates[] = $candidate;
+
+		foreach ( array_unique( array_merge( $candidate['words'], $candidate['keyword_words'] ) ) as $word ) {
+			$this->index[ $word ][] = $position;
+		}
+	}
+
+	/**
+	 * Prepare a title and keywords for comparison.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $title       Title.
+	 * @param    string $keywords    Comma-separated keywords.
+	 * @return   array               Normalized title, title words and keyword words.
+	 */
+	private function prepare( $title, $keywords ) {
+		return array(
+			'normalized'    => self::normalize( $title ),
+			'words'         => self::get_words( $title ),
+			'keyword_words' => self::get_words( str_replace( ',', ' ', (string) $keywords ) ),
+		);
+	}
+
+	/**
+	 * Format a candidate for output.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $candidate    Candidate.
+	 * @param    float $score        Similarity.
+	 * @return   array               Match details.
+	 */
+	private function format_match( $candidate, $score ) {
+		$match = array(
+			'type'   => $candidate['type'],
+			'id'     => $candidate['id'],
+			'title'  => $candidate['title'],
+			'status' => $candidate['status'],
+			'score'  => (int) round( $score * 100 ),
+			'url'    => '',
+		);
+
+		if ( 'post' === $candidate['type'] ) {
+			$match['url'] = 'publish' === $candidate['status'] ? get_permalink( $candidate['id'] ) : get_edit_post_link( $candidate['id'], 'raw' );
+		}
+
+		return $match;
+	}
+}
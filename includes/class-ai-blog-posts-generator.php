@@ -23,7 +23,24 @@
 class Ai_Blog_Posts_Generator {
 
 	/**
-	 * OpenAI API instance.
+	 * How long an unfinished job is kept so it can be resumed.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const JOB_EXPIRATION = DAY_IN_SECONDS;
+
+	/**
+	 * Text provider used for writing.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      Ai_Blog_Posts_Provider
+	 */
+	private $provider;
+
+	/**
+	 * OpenAI API instance, used for images.
 	 *
 	 * @since    1.0.0
 	 * @access   private
@@ -72,18 +89,52 @@ class Ai_Blog_Posts_Generator {
 		'cost_usd'          => 0,
 	);
 
+	/**
+	 * Callback receiving streamed text during the current step.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      callable|null
+	 */
+	private $stream_callback = null;
+
 	/**
 	 * Initialize the class.
 	 *
 	 * @since    1.0.0
 	 */
 	public function __construct() {
+		$this->provider = Ai_Blog_Posts_Providers::create();
 		$this->openai = new Ai_Blog_Posts_OpenAI();
 		$this->analyzer = new Ai_Blog_Posts_Analyzer();
 		$this->cost_tracker = new Ai_Blog_Posts_Cost_Tracker();
 		$this->seo = new Ai_Blog_Posts_SEO();
 	}
 
+	/**
+	 * Build the generation options for a queued topic.
+	 *
+	 * Generated as a draft from the queue unless the caller overrides it.
+	 *
+	 * @since    1.0.0
+	 * @param    object $topic    Row from the topics table.
+	 * @return   array            Options for create_job() or generate_post().
+	 */
+	public static function get_topic_options( $topic ) {
+		return array(
+			'keywords'       => $topic->keywords,
+			'content_type'   => $topic->content_type,
+			'voice_profile'  => (string) $topic->voice_profile,
+			'category_id'    => $topic->category_id,
+			'instructions'   => (string) $topic->instructions,
+			'publish_at'     => (string) $topic->publish_at,
+			'publish'        => false,
+			'source'         => 'queue',
+			'generate_image' => Ai_Blog_Posts_Settings::get( 'image_enabled' ),
+			'queue_topic_id' => (int) $topic->id,
+		);
+	}
+
 	/**
 	 * Create a new generation job for step-by-step processing.
 	 *
@@ -97,7 +148,7 @@ class Ai_Blog_Posts_Generator {
 		if ( ! Ai_Blog_Posts_Settings::is_configured() ) {
 			return new WP_Error( 
 				'api_not_configured', 
-				__( 'OpenAI API key is not configured. Please add your API key in Settings.', 'ai-blog-posts' ) 
+				__( 'The AI provider is not configured. Please add your API key in Settings.', 'ai-blog-posts' ) 
 			);
 		}
 
@@ -108,11 +159,22 @@ class Ai_Blog_Posts_Generator {
 			'publish'        => false,
 			'source'         => 'manual',
 			'instructions'   => '',
+			'publish_at'     => '',
+			'content_type'   => Ai_Blog_Posts_Content_Types::DEFAULT_TYPE,
+			'voice_profile'  => '',
 			'model'          => Ai_Blog_Posts_Settings::get( 'model' ),
+			'step_models'    => array(),
 			'generate_image' => Ai_Blog_Posts_Settings::get( 'image_enabled' ),
+			'inline_images'  => Ai_Blog_Posts_Settings::get( 'inline_images' ),
 			'queue_topic_id' => 0,
+			'review_outline' => false,
+			'review_image'   => false,
+			'editor_post_id' => 0,
 		);
 		$options = wp_parse_args( $options, $defaults );
+		$options['content_type'] = Ai_Blog_Posts_Content_Types::sanitize( $options['content_type'] );
+		$options['voice_profile'] = Ai_Blog_Posts_Voice_Profiles::resolve( $options['voice_profile'], $options['category_id'] );
+		$options['step_models'] = Ai_Blog_Posts_Settings::resolve_step_models( $options['step_models'], $options['model'] );
 
 		// Create unique job ID
 		$job_id = 'aibp_' . wp_generate_uuid4();
@@ -132,13 +194,14 @@ class Ai_Blog_Posts_Generator {
 				'total_tokens'      => 0,
 				'cost_usd'          => 0,
 			),
+			'step_costs'     => array(),  // Model, tokens and cost per step
 			'data'           => array(),  // Stores outline, content, etc.
 			'error'          => null,
 			'post_id'        => null,
 		);
 
-		// Store job state (1 hour expiry)
-		set_transient( $job_id, $job_state, HOUR_IN_SECONDS );
+		// Store job state
+		set_transient( $job_id, $job_state, self::JOB_EXPIRATION );
 
 		return $job_id;
 	}
@@ -146,14 +209,46 @@ class Ai_Blog_Posts_Generator {
 	/**
 	 * Get job state.
 	 *
+	 * Job IDs come from requests, so anything that isn't one of ours is
+	 * refused rather than read as a transient name.
+	 *
 	 * @since    1.0.0
 	 * @param    string $job_id    Job ID.
 	 * @return   array|false       Job state or false if not found.
 	 */
 	public function get_job( $job_id ) {
+		if ( ! $this->is_job_id( $job_id ) ) {
+			return false;
+		}
+
 		return get_transient( $job_id );
 	}
 
+	/**
+	 * Check that a string has the format of a job ID made by create_job().
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $job_id    Job ID.
+	 * @return   bool
+	 */
+	private function is_job_id( $job_id ) {
+		return is_string( $job_id ) && 1 === preg_match( '/^aibp_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/', $job_id );
+	}
+
+	/**
+	 * Delete a finished job and its stream and stop flags.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $job_id    Job ID.
+	 */
+	private function delete_job( $job_id ) {
+		delete_transient( $job_id );
+		delete_transient( $job_id . '_stream' );
+		delete_transient( $job_id . '_stop' );
+	}
+
 	/**
 	 * Update job state.
 	 *
@@ -168,7 +263,7 @@ class Ai_Blog_Posts_Generator {
 			return false;
 		}
 		$job = array_merge( $job, $updates );
-		return set_transient( $job_id, $job, HOUR_IN_SECONDS );
+		return set_transient( $job_id, $job, self::JOB_EXPIRATION );
 	}
 
 	/**
@@ -186,18 +281,27 @@ class Ai_Blog_Posts_Generator {
 			return new WP_Error( 'job_not_found', __( 'Generation job not found or expired.', 'ai-blog-posts' ) );
 		}
 
+		// Initialize token tracking for this step
+		$this->token_usage = $job['token_usage'];
+
+		if ( $this->is_stop_requested( $job_id ) ) {
+			return $this->stop_job( $job_id );
+		}
+
+		if ( 'content' === $step && 'awaiting_review' === $job['status'] ) {
+			return new WP_Error( 'outline_not_approved', __( 'Approve the outline before the content is written.', 'ai-blog-posts' ) );
+		}
+
 		// Update status
 		$this->update_job( $job_id, array( 
 			'status' => 'processing',
 			'current_step' => $step,
 		) );
 
-		// Initialize token tracking for this step
-		$this->token_usage = $job['token_usage'];
-
 		$result = null;
 		$next_step = null;
 		$data_key = null;
+		$usage_before = $this->token_usage;
 
 		try {
 			switch ( $step ) {
@@ -211,6 +315,7 @@ class Ai_Blog_Posts_Generator {
 					if ( empty( $job['data']['outline'] ) ) {
 						return new WP_Error( 'missing_outline', __( 'Outline not generated yet.', 'ai-blog-posts' ) );
 					}
+					$this->stream_callback = $this->get_stream_callback( $job_id, $step );
 					$result = $this->generate_content( $job['topic'], $job['data']['outline'], $job['options'] );
 					$data_key = 'content';
 					$next_step = 'humanize';
@@ -220,9 +325,10 @@ class Ai_Blog_Posts_Generator {
 					if ( empty( $job['data']['content'] ) ) {
 						return new WP_Error( 'missing_content', __( 'Content not generated yet.', 'ai-blog-posts' ) );
 					}
-					$result = $this->humanize_content( $job['data']['content'], $job['options'] );
+					$this->stream_callback = $this->get_stream_callback( $job_id, $step );
+					$result = $this->humanize_content( $job['topic'], $job['data']['content'], $job['options'] );
 					// If humanization fails, use original content
-					if ( is_wp_error( $result ) ) {
+					if ( is_wp_error( $result ) && 'generation_stopped' !== $result->get_error_code() ) {
 						$result = $job['data']['content'];
 					}
 					$data_key = 'humanized';
@@ -246,6 +352,12 @@ class Ai_Blog_Posts_Generator {
 				case 'finalize':
 					return $this->finalize_job( $job_id );
 
+				case 'inline_images':
+					if ( empty( $job['post_id'] ) ) {
+						return new WP_Error( 'missing_post', __( 'Post not created yet.', 'ai-blog-posts' ) );
+					}
+					return $this->process_inline_image( $job_id, $job );
+
 				case 'image':
 					// Image is processed after post creation
 					if ( empty( $job['post_id'] ) ) {
@@ -253,7 +365,13 @@ class Ai_Blog_Posts_Generator {
 					}
 					$content = $job['data']['humanized'] ?? $job['data']['content'];
 					$title = $this->extract_title( $job['topic'], $job['data']['outline'] );
-					$result = $this->generate_featured_image( $job['post_id'], $job['topic'], $title );
+
+					// Pause for the editor to review the prompt and pick from several candidates
+					if ( ! empty( $job['options']['review_image'] ) ) {
+						return $this->start_image_review( $job_id, $job, $title );
+					}
+
+					$result = $this->generate_featured_image( $job['post_id'], $job['topic'], $title, $this->get_step_model( $job['options'], 'image_prompt' ) );
 					$data_key = 'image_result';
 					$next_step = 'complete';
 					break;
@@ -269,6 +387,17 @@ class Ai_Blog_Posts_Generator {
 			return new WP_Error( 'generation_error', $e->getMessage() );
 		}
 
+		$this->stream_callback = null;
+
+		// Stopped mid-stream, or the stop arrived while a non-streamed step was running
+		if ( is_wp_error( $result ) && 'generation_stopped' === $result->get_error_code() ) {
+			$this->track_tokens( $result->get_error_data() );
+			return $this->stop_job( $job_id );
+		}
+		if ( $this->is_stop_requested( $job_id ) ) {
+			return $this->stop_job( $job_id );
+		}
+
 		if ( is_wp_error( $result ) ) {
 			$this->update_job( $job_id, array( 
 				'status' => 'error',
@@ -285,18 +414,211 @@ class Ai_Blog_Posts_Generator {
 		$job['data'][ $data_key ] = $result;
 		$job['steps_completed'][] = $step;
 		$job['token_usage'] = $this->token_usage;
+		$job['step_costs'][ $step ] = $this->get_step_cost( $step, $job['options'], $usage_before, $result );
 		$job['current_step'] = $next_step;
 		$job['status'] = 'in_progress';
-		set_transient( $job_id, $job, HOUR_IN_SECONDS );
 
-		return array(
+		// Pause for the editor to approve the outline before paying for the draft
+		if ( 'outline' === $step && ! empty( $job['options']['review_outline'] ) ) {
+			$job['status'] = 'awaiting_review';
+		}
+
+		set_transient( $job_id, $job, self::JOB_EXPIRATION );
+
+		$response = array(
 			'success'    => true,
 			'step'       => $step,
 			'next_step'  => $next_step,
-			'job_status' => 'in_progress',
+			'job_status' => $job['status'],
+			'step_cost'  => $job['step_costs'][ $step ],
+		);
+
+		if ( 'awaiting_review' === $job['status'] ) {
+			$response['outline'] = $this->get_outline_review( $job_id );
+		}
+
+		return $response;
+	}
+
+	/**
+	 * Get a job's outline as editable sections.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   array|WP_Error    Title and sections, or error.
+	 */
+	public function get_outline_review( $job_id ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found or expired.', 'ai-blog-posts' ) );
+		}
+
+		if ( empty( $job['data']['outline'] ) ) {
+			return new WP_Error( 'missing_outline', __( 'Outline not generated yet.', 'ai-blog-posts' ) );
+		}
+
+		return array(
+			'title'    => $this->extract_title( $job['topic'], $job['data']['outline'] ),
+			'sections' => $this->parse_outline( $job['data']['outline'] ),
 		);
 	}
 
+	/**
+	 * Save the editor's version of the outline and release the job.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id      Job ID.
+	 * @param    string $title       Post title.
+	 * @param    array  $sections    Sections with level (2 or 3), heading, notes and
+	 *                               whether an in-article image goes after an H2.
+	 * @return   bool|WP_Error       True on success, or error.
+	 */
+	public function approve_outline( $job_id, $title, $sections ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found or expired.', 'ai-blog-posts' ) );
+		}
+
+		if ( 'awaiting_review' !== $job['status'] ) {
+			return new WP_Error( 'not_awaiting_review', __( 'This outline is not waiting for review.', 'ai-blog-posts' ) );
+		}
+
+		$sections = array_values( array_filter( $sections, function( $section ) {
+			return '' !== $section['heading'];
+		} ) );
+
+		if ( empty( $sections ) ) {
+			return new WP_Error( 'empty_outline', __( 'The outline needs at least one section.', 'ai-blog-posts' ) );
+		}
+
+		$job['data']['outline'] = $this->build_outline( $title, $sections );
+		$job['options']['inline_image_headings'] = array();
+		foreach ( $sections as $section ) {
+			if ( 2 === (int) $section['level'] && ! empty( $section['image'] ) ) {
+				$job['options']['inline_image_headings'][] = $section['heading'];
+			}
+		}
+		$job['status'] = 'in_progress';
+		set_transient( $job_id, $job, self::JOB_EXPIRATION );
+
+		return true;
+	}
+
+	/**
+	 * Split an outline into H2/H3 sections.
+	 *
+	 * Markdown headings are used when the outline has them; otherwise numbered
+	 * lines become H2s and lettered or indented numbered lines become H3s. Bullets
+	 * and other text are kept as notes on the section above them.
+	 *
+	 * @since    1.0.0
+	 * @param    string $outline    Outline text.
+	 * @return   array              Sections with level, heading and notes.
+	 */
+	private function parse_outline( $outline ) {
+		$lines = preg_split( '/\r\n|\r|\n/', $outline );
+		$has_headings = (bool) preg_match( '/^\s*#{1,6}\s+/m', $outline );
+		// A lone "#" is the post title when the sections use "##"
+		$top_depth = preg_match( '/^\s*##\s+/m', $outline ) ? 2 : 1;
+		$sections = array();
+		$current = null;
+
+		foreach ( $lines as $line ) {
+			if ( '' === trim( $line ) ) {
+				continue;
+			}
+
+			// The title is edited separately
+			if ( preg_match( '/^[\s#*]*(?:suggested\s+)?title(?:\s+suggestion)?\**\s*:/i', $line ) ) {
+				continue;
+			}
+
+			$level = 0;
+			$heading = '';
+
+			if ( $has_headings ) {
+				if ( preg_match( '/^\s*(#{1,6})\s+(.+)$/', $line, $matches ) ) {
+					$depth = strlen( $matches[1] );
+					if ( $depth < $top_depth ) {
+						continue;
+					}
+					$level = $depth === $top_depth ? 2 : 3;
+					$heading = $matches[2];
+				}
+			} elseif ( preg_match( '/^((?:\d+|[IVXLC]+)[.)])\s+(.+)$/', $line, $matches ) ) {
+				$level = 2;
+				$heading = $matches[2];
+			} elseif ( preg_match( '/^\s*(?:[A-Za-z][.)]|\s+\d+[.)])\s+(.+)$/', $line, $matches ) ) {
+				$level = 3;
+				$heading = $matches[1];
+			} elseif ( preg_match( '/^\*\*([^*]+)\*\*:?\s*$/', $line, $matches ) ) {
+				$level = 2;
+				$heading = $matches[1];
+			}
+
+			if ( $level ) {
+				$heading = trim( str_replace( '**', '', $heading ), " \t:" );
+				if ( '' !== $heading ) {
+					if ( $current ) {
+						$sections[] = $current;
+					}
+					$current = array(
+						'level'   => $level,
+						'heading' => $heading,
+						'notes'   => array(),
+					);
+					continue;
+				}
+			}
+
+			if ( $current ) {
+				$current['notes'][] = trim( preg_replace( '/^\s*[-*+•]\s+/u', '', $line ) );
+			}
+		}
+
+		if ( $current ) {
+			$sections[] = $current;
+		}
+
+		foreach ( $sections as &$section ) {
+			$section['notes'] = implode( "\n", $section['notes'] );
+		}
+		unset( $section );
+
+		return $sections;
+	}
+
+	/**
+	 * Turn reviewed sections back into an outline for the content prompt.
+	 *
+	 * @since    1.0.0
+	 * @param    string $title       Post title.
+	 * @param    array  $sections    Sections with level, heading and notes.
+	 * @return   string              Outline in markdown.
+	 */
+	private function build_outline( $title, $sections ) {
+		$lines = array();
+
+		if ( '' !== $title ) {
+			$lines[] = 'Title: ' . $title;
+			$lines[] = '';
+		}
+
+		foreach ( $sections as $section ) {
+			$lines[] = str_repeat( '#', 3 === (int) $section['level'] ? 3 : 2 ) . ' ' . $section['heading'];
+
+			foreach ( preg_split( '/\r\n|\r|\n/', $section['notes'] ) as $note ) {
+				if ( '' !== trim( $note ) ) {
+					$lines[] = '- ' . trim( $note );
+				}
+			}
+		}
+
+		return implode( "\n", $lines );
+	}
+
 	/**
 	 * Finalize the job - create the post and set metadata.
 	 *
@@ -321,14 +643,18 @@ class Ai_Blog_Posts_Generator {
 		$outline = $job['data']['outline'] ?? '';
 		$title = $this->extract_title( $job['topic'], $outline );
 
+		// Started from the block editor: hand the blocks back instead of creating a post
+		if ( ! empty( $job['options']['editor_post_id'] ) ) {
+			return $this->finalize_editor_job( $job_id, $job, $gutenberg_content, $title );
+		}
+
 		// Create the post
-		$post_data = array(
+		$post_data = array_merge( array(
 			'post_title'   => $title,
 			'post_content' => $gutenberg_content,
-			'post_status'  => $job['options']['publish'] ? 'publish' : Ai_Blog_Posts_Settings::get( 'post_status' ),
 			'post_author'  => Ai_Blog_Posts_Settings::get( 'default_author' ),
 			'post_type'    => 'post',
-		);
+		), $this->get_post_schedule( $job['options'] ) );
 
 		// Add category
 		if ( $job['options']['category_id'] ) {
@@ -363,19 +689,35 @@ class Ai_Blog_Posts_Generator {
 		update_post_meta( $post_id, '_ai_blog_posts_generated', true );
 		update_post_meta( $post_id, '_ai_blog_posts_topic', $job['topic'] );
 		update_post_meta( $post_id, '_ai_blog_posts_model', $job['options']['model'] );
+		update_post_meta( $post_id, '_ai_blog_posts_content_type', $job['options']['content_type'] ?? Ai_Blog_Posts_Content_Types::DEFAULT_TYPE );
 		update_post_meta( $post_id, '_ai_blog_posts_tokens', $job['token_usage']['total_tokens'] );
 		update_post_meta( $post_id, '_ai_blog_posts_cost', $job['token_usage']['cost_usd'] );
+		update_post_meta( $post_id, '_ai_blog_posts_step_costs', $job['step_costs'] ?? array() );
+		$job['data']['voice_report'] = $this->save_voice_report( $post_id, $job['options']['voice_profile'] ?? '', $content );
 
 		// Update job with post ID
 		$job['post_id'] = $post_id;
 		$job['steps_completed'][] = 'finalize';
 		
 		// Determine next step
-		$next_step = $job['options']['generate_image'] ? 'image' : 'complete';
+		$inline_images = $this->plan_inline_images( $gutenberg_content, $job['options'] );
+		if ( $inline_images ) {
+			$job['data']['inline_images'] = array(
+				'pending'  => $inline_images,
+				'cost_usd' => 0,
+			);
+			$next_step = 'inline_images';
+		} else {
+			$next_step = $job['options']['generate_image'] ? 'image' : 'complete';
+		}
 		$job['current_step'] = $next_step;
 		$job['status'] = $next_step === 'complete' ? 'completed' : 'in_progress';
 		
-		set_transient( $job_id, $job, HOUR_IN_SECONDS );
+		if ( $next_step === 'complete' ) {
+			$this->delete_job( $job_id );
+		} else {
+			set_transient( $job_id, $job, self::JOB_EXPIRATION );
+		}
 
 		$generation_time = microtime( true ) - $job['start_time'];
 
@@ -401,70 +743,879 @@ class Ai_Blog_Posts_Generator {
 			'model'           => $job['options']['model'],
 			'tokens'          => $job['token_usage']['total_tokens'],
 			'cost_usd'        => $job['token_usage']['cost_usd'],
+			'step_costs'      => $job['step_costs'] ?? array(),
 			'generation_time' => round( $generation_time, 2 ),
 			'content_preview' => wp_trim_words( wp_strip_all_tags( $content ), 100 ),
+			'sections'        => $this->get_post_sections( $post_id ),
+			'voice_report'    => $job['data']['voice_report'],
 		);
 	}
 
 	/**
-	 * Complete image step and finalize everything.
+	 * Finish a job started from the block editor sidebar.
+	 *
+	 * The editor owns the post content, so the blocks are returned for the editor
+	 * to insert. Only the SEO and tracking meta are written to the post.
 	 *
 	 * @since    1.0.0
-	 * @param    string $job_id    Job ID.
-	 * @return   array|WP_Error    Final result.
+	 * @param    string $job_id     Job ID.
+	 * @param    array  $job        Job state.
+	 * @param    string $content    Gutenberg block content.
+	 * @param    string $title      Post title.
+	 * @return   array              Final result.
 	 */
-	public function complete_with_image( $job_id ) {
-		$job = $this->get_job( $job_id );
-		
-		if ( ! $job || empty( $job['post_id'] ) ) {
-			return new WP_Error( 'job_not_found', __( 'Generation job not found.', 'ai-blog-posts' ) );
-		}
-
-		$generation_time = microtime( true ) - $job['start_time'];
-		$image_cost = 0;
+	private function finalize_editor_job( $job_id, $job, $content, $title ) {
+		$post_id = $job['options']['editor_post_id'];
 
-		// Get image cost if generated
-		if ( isset( $job['data']['image_result'] ) && ! is_wp_error( $job['data']['image_result'] ) ) {
-			$image_cost = $job['data']['image_result']['cost_usd'] ?? 0;
+		$seo_data = $job['data']['seo_data'] ?? array();
+		if ( ! empty( $seo_data ) ) {
+			$this->seo->set_post_meta( $post_id, $seo_data );
 		}
 
-		// Update post meta with image cost
-		$total_cost = $job['token_usage']['cost_usd'] + $image_cost;
-		update_post_meta( $job['post_id'], '_ai_blog_posts_cost', $total_cost );
-
-		// Log completion
-		$job['token_usage']['image_cost_usd'] = $image_cost;
-		$this->log_job_completion( $job, $generation_time );
-
-		// Update queue topic if applicable
-		if ( $job['options']['queue_topic_id'] ) {
-			$this->update_queue_topic( $job['options']['queue_topic_id'], $job['post_id'] );
-		}
+		update_post_meta( $post_id, '_ai_blog_posts_generated', true );
+		update_post_meta( $post_id, '_ai_blog_posts_topic', $job['topic'] );
+		update_post_meta( $post_id, '_ai_blog_posts_model', $job['options']['model'] );
+		update_post_meta( $post_id, '_ai_blog_posts_content_type', $job['options']['content_type'] ?? Ai_Blog_Posts_Content_Types::DEFAULT_TYPE );
+		update_post_meta( $post_id, '_ai_blog_posts_tokens', $job['token_usage']['total_tokens'] );
+		update_post_meta( $post_id, '_ai_blog_posts_cost', $job['token_usage']['cost_usd'] );
+		$voice_report = $this->save_voice_report( $post_id, $job['options']['voice_profile'] ?? '', $content );
 
-		// Mark job complete
-		$job['status'] = 'completed';
-		$job['steps_completed'][] = 'image';
+		$job['post_id'] = $post_id;
+		$job['steps_completed'][] = 'finalize';
 		$job['current_step'] = 'complete';
-		set_transient( $job_id, $job, HOUR_IN_SECONDS );
+		$job['status'] = 'completed';
+		$this->delete_job( $job_id );
 
-		$content = $job['data']['humanized'] ?? $job['data']['content'] ?? '';
-		$outline = $job['data']['outline'] ?? '';
-		$title = $this->extract_title( $job['topic'], $outline );
+		$generation_time = microtime( true ) - $job['start_time'];
+		$this->log_job_completion( $job, $generation_time );
 
 		return array(
 			'success'         => true,
-			'step'            => 'complete',
+			'step'            => 'finalize',
 			'next_step'       => null,
 			'job_status'      => 'completed',
-			'post_id'         => $job['post_id'],
+			'post_id'         => $post_id,
 			'title'           => $title,
-			'edit_url'        => get_edit_post_link( $job['post_id'], 'raw' ),
-			'view_url'        => get_permalink( $job['post_id'] ),
+			'content'         => $content,
+			'seo_data'        => $seo_data,
 			'model'           => $job['options']['model'],
 			'tokens'          => $job['token_usage']['total_tokens'],
-			'cost_usd'        => $total_cost,
+			'cost_usd'        => $job['token_usage']['cost_usd'],
+			'step_costs'      => $job['step_costs'] ?? array(),
 			'generation_time' => round( $generation_time, 2 ),
-			'content_preview' => wp_trim_words( wp_strip_all_tags( $content ), 100 ),
+			'voice_report'    => $voice_report,
+		);
+	}
+
+	/**
+	 * Check generated content against its voice profile and store the result.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $post_id       Post ID.
+	 * @param    string $profile_id    Resolved voice profile ID.
+	 * @param    string $content       Generated HTML.
+	 * @return   array|null            Profile name and violations, or null without a profile.
+	 */
+	private function save_voice_report( $post_id, $profile_id, $content ) {
+		$profile = Ai_Blog_Posts_Voice_Profiles::get( $profile_id );
+
+		if ( ! $profile ) {
+			return null;
+		}
+
+		$report = array(
+			'profile'    => $profile['name'],
+			'violations' => Ai_Blog_Posts_Voice_Profiles::check( $profile, $content ),
+		);
+
+		update_post_meta( $post_id, '_ai_blog_posts_voice_profile', $profile_id );
+		update_post_meta( $post_id, '_ai_blog_posts_voice_report', $report );
+
+		return $report;
+	}
+
+	/**
+	 * Generate SEO meta for an existing post.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $post_id    Post ID.
+	 * @param    string $title      Post title.
+	 * @param    string $content    Post content, which may be newer than the saved copy.
+	 * @return   array|WP_Error     SEO data and cost, or error.
+	 */
+	public function generate_post_seo( $post_id, $title, $content ) {
+		if ( ! Ai_Blog_Posts_Settings::is_configured() ) {
+			return new WP_Error( 'api_not_configured', __( 'The AI provider is not configured. Please add your API key in Settings.', 'ai-blog-posts' ) );
+		}
+
+		if ( '' === trim( wp_strip_all_tags( $content ) ) ) {
+			return new WP_Error( 'missing_content', __( 'Write some content before generating SEO meta.', 'ai-blog-posts' ) );
+		}
+
+		$start_time = microtime( true );
+		$options = array(
+			'model'       => Ai_Blog_Posts_Settings::get( 'model' ),
+			'step_models' => Ai_Blog_Posts_Settings::resolve_step_models(),
+			'source'      => 'editor_action',
+		);
+
+		$seo_data = $this->generate_seo_meta( $title, $content, $options );
+
+		if ( empty( $seo_data ) ) {
+			$error = new WP_Error( 'seo_failed', __( 'Could not generate SEO meta. Please try again.', 'ai-blog-posts' ) );
+			$this->log_failure( $title, $error, $options, $start_time );
+			return $error;
+		}
+
+		$saved = $this->seo->set_post_meta( $post_id, $seo_data );
+
+		$this->cost_tracker->log( array(
+			'post_id'           => $post_id,
+			'model_used'        => $options['step_models']['seo'],
+			'prompt_tokens'     => $this->token_usage['prompt_tokens'],
+			'completion_tokens' => $this->token_usage['completion_tokens'],
+			'total_tokens'      => $this->token_usage['total_tokens'],
+			'cost_usd'          => $this->token_usage['cost_usd'],
+			'generation_time'   => microtime( true ) - $start_time,
+			'topic_source'      => $options['source'],
+			'status'            => 'success',
+		) );
+
+		return array(
+			'seo_data' => $seo_data,
+			'saved'    => (bool) $saved,
+			'cost_usd' => $this->token_usage['cost_usd'],
+		);
+	}
+
+	/**
+	 * Generate a featured image for an existing post.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $post_id    Post ID.
+	 * @param    string $title      Post title.
+	 * @return   array|WP_Error     Attachment ID, URL and cost, or error.
+	 */
+	public function generate_post_image( $post_id, $title ) {
+		if ( ! Ai_Blog_Posts_Settings::is_configured() ) {
+			return new WP_Error( 'api_not_configured', __( 'The AI provider is not configured. Please add your API key in Settings.', 'ai-blog-posts' ) );
+		}
+
+		if ( '' === trim( $title ) ) {
+			return new WP_Error( 'missing_title', __( 'Add a title before generating a featured image.', 'ai-blog-posts' ) );
+		}
+
+		$start_time = microtime( true );
+		$topic = get_post_meta( $post_id, '_ai_blog_posts_topic', true );
+		$step_models = Ai_Blog_Posts_Settings::resolve_step_models();
+		$result = $this->generate_featured_image( $post_id, $topic ? $topic : $title, $title, $step_models['image_prompt'] );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$this->cost_tracker->log( array(
+			'post_id'           => $post_id,
+			'model_used'        => Ai_Blog_Posts_Settings::get( 'image_model' ),
+			'prompt_tokens'     => $this->token_usage['prompt_tokens'],
+			'completion_tokens' => $this->token_usage['completion_tokens'],
+			'total_tokens'      => $this->token_usage['total_tokens'],
+			'cost_usd'          => $this->token_usage['cost_usd'],
+			'image_cost_usd'    => $result['cost_usd'],
+			'generation_time'   => microtime( true ) - $start_time,
+			'topic_source'      => 'editor_action',
+			'status'            => 'success',
+		) );
+
+		return array(
+			'attachment_id' => $result['attachment_id'],
+			'url'           => wp_get_attachment_image_url( $result['attachment_id'], 'medium' ),
+			'cost_usd'      => $result['cost_usd'] + $this->token_usage['cost_usd'],
+		);
+	}
+
+	/**
+	 * Add the next planned in-article image to the job's post.
+	 *
+	 * One image is handled per request so each stays well inside the time
+	 * limit. A failed image is skipped rather than failing the post.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $job_id    Job ID.
+	 * @param    array  $job       Job state.
+	 * @return   array             Step result.
+	 */
+	private function process_inline_image( $job_id, $job ) {
+		$pending = $job['data']['inline_images']['pending'] ?? array();
+		$heading = array_shift( $pending );
+		$usage_before = $this->token_usage;
+
+		$result = array( 'cost_usd' => 0 );
+		if ( null !== $heading ) {
+			$title = $this->extract_title( $job['topic'], $job['data']['outline'] ?? '' );
+			$result = $this->add_inline_image( $job['post_id'], $heading, $title, $job['options'] );
+
+			if ( is_wp_error( $result ) ) {
+				if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+					error_log( sprintf( 'AI Blog Posts: In-article image failed: %s', $result->get_error_message() ) );
+				}
+				$result = array( 'cost_usd' => 0 );
+			}
+		}
+
+		$job = $this->get_job( $job_id );
+		if ( ! $job ) {
+			return new WP_Error( 'job_expired', __( 'Generation job expired during processing. Please try again.', 'ai-blog-posts' ) );
+		}
+
+		$step_cost = $this->get_step_cost( 'image', $job['options'], $usage_before, $result );
+		$previous = $job['step_costs']['inline_images'] ?? array( 'tokens' => 0, 'cost_usd' => 0 );
+
+		$job['data']['inline_images']['pending'] = $pending;
+		$job['data']['inline_images']['cost_usd'] = ( $job['data']['inline_images']['cost_usd'] ?? 0 ) + $result['cost_usd'];
+		$job['token_usage'] = $this->token_usage;
+		$job['step_costs']['inline_images'] = array(
+			'model'    => $step_cost['model'],
+			'tokens'   => $previous['tokens'] + $step_cost['tokens'],
+			'cost_usd' => round( $previous['cost_usd'] + $step_cost['cost_usd'], 6 ),
+		);
+
+		if ( $pending ) {
+			$next_step = 'inline_images';
+		} else {
+			$next_step = $job['options']['generate_image'] ? 'image' : 'complete';
+			$job['steps_completed'][] = 'inline_images';
+		}
+		$job['current_step'] = $next_step;
+		$job['status'] = 'in_progress';
+		set_transient( $job_id, $job, self::JOB_EXPIRATION );
+
+		return array(
+			'success'    => true,
+			'step'       => 'inline_images',
+			'next_step'  => $next_step,
+			'job_status' => $job['status'],
+			'step_cost'  => $job['step_costs']['inline_images'],
+			'remaining'  => count( $pending ),
+		);
+	}
+
+	/**
+	 * Write the image prompt and wait for the editor to review candidates.
+	 *
+	 * A job resumed while waiting keeps its prompt and the candidates so far.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $job_id    Job ID.
+	 * @param    array  $job       Job state.
+	 * @param    string $title     Post title.
+	 * @return   array             Step result with the image review.
+	 */
+	private function start_image_review( $job_id, $job, $title ) {
+		if ( ! isset( $job['data']['image_prompt'] ) ) {
+			$usage_before = $this->token_usage;
+			$job['data']['image_prompt'] = $this->create_image_prompt( $title, $job['topic'], $this->get_step_model( $job['options'], 'image_prompt' ) );
+			$job['data']['image_candidates'] = array();
+			$job['token_usage'] = $this->token_usage;
+			$job['step_costs']['image'] = $this->get_step_cost( 'image', $job['options'], $usage_before, array() );
+		}
+
+		$job['status'] = 'awaiting_image';
+		$job['current_step'] = 'image';
+		set_transient( $job_id, $job, self::JOB_EXPIRATION );
+
+		return array(
+			'success'      => true,
+			'step'         => 'image',
+			'next_step'    => 'image',
+			'job_status'   => $job['status'],
+			'step_cost'    => $job['step_costs']['image'],
+			'image_review' => $this->get_image_review( $job_id ),
+		);
+	}
+
+	/**
+	 * Get a job's image prompt and the candidates generated so far.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   array|WP_Error    Prompt, candidates, candidate count and cost, or error.
+	 */
+	public function get_image_review( $job_id ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job || 'awaiting_image' !== $job['status'] ) {
+			return new WP_Error( 'image_not_awaiting_review', __( 'This job has no featured image waiting for review.', 'ai-blog-posts' ) );
+		}
+
+		return array(
+			'prompt'     => $job['data']['image_prompt'],
+			'candidates' => $job['data']['image_candidates'],
+			'count'      => (int) Ai_Blog_Posts_Settings::get( 'image_candidates' ),
+			'cost_usd'   => $job['step_costs']['image']['cost_usd'] ?? 0,
+		);
+	}
+
+	/**
+	 * Generate one featured image candidate for a job under review.
+	 *
+	 * Candidate costs add up in the job and are logged with the finished
+	 * post, or as partial spend if the job is discarded.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @param    string $prompt    Image prompt, as edited by the editor.
+	 * @return   array|WP_Error    The candidate and the image step cost so far, or error.
+	 */
+	public function generate_image_candidate( $job_id, $prompt ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job || 'awaiting_image' !== $job['status'] ) {
+			return new WP_Error( 'image_not_awaiting_review', __( 'This job has no featured image waiting for review.', 'ai-blog-posts' ) );
+		}
+
+		if ( '' === trim( $prompt ) ) {
+			return new WP_Error( 'missing_prompt', __( 'Enter a prompt to generate images from.', 'ai-blog-posts' ) );
+		}
+
+		$title = $this->extract_title( $job['topic'], $job['data']['outline'] ?? '' );
+		$result = $this->request_image( $prompt, $job['post_id'], sanitize_title( $title ) . '-candidate' );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$candidate = array(
+			'attachment_id' => $result['attachment_id'],
+			'url'           => wp_get_attachment_image_url( $result['attachment_id'], 'medium_large' ),
+			'cost_usd'      => $result['cost_usd'],
+		);
+
+		$job['data']['image_prompt'] = $prompt;
+		$job['data']['image_candidates'][] = $candidate;
+		$job['data']['image_candidates_cost'] = ( $job['data']['image_candidates_cost'] ?? 0 ) + $result['cost_usd'];
+		$job['step_costs']['image']['cost_usd'] = round( ( $job['step_costs']['image']['cost_usd'] ?? 0 ) + $result['cost_usd'], 6 );
+		set_transient( $job_id, $job, self::JOB_EXPIRATION );
+
+		return array(
+			'candidate' => $candidate,
+			'step_cost' => $job['step_costs']['image'],
+		);
+	}
+
+	/**
+	 * Set the chosen candidate as the featured image and finish the job.
+	 *
+	 * The other candidates are deleted. Passing 0 skips the featured image.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id           Job ID.
+	 * @param    int    $attachment_id    Chosen candidate, or 0 to skip.
+	 * @return   array|WP_Error           Final result or error.
+	 */
+	public function choose_image_candidate( $job_id, $attachment_id ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job || 'awaiting_image' !== $job['status'] ) {
+			return new WP_Error( 'image_not_awaiting_review', __( 'This job has no featured image waiting for review.', 'ai-blog-posts' ) );
+		}
+
+		$candidates = $job['data']['image_candidates'];
+		$candidate_ids = array_map( 'intval', wp_list_pluck( $candidates, 'attachment_id' ) );
+
+		if ( $attachment_id && ! in_array( $attachment_id, $candidate_ids, true ) ) {
+			return new WP_Error( 'invalid_candidate', __( 'That image is not one of the candidates.', 'ai-blog-posts' ) );
+		}
+
+		foreach ( $candidate_ids as $candidate_id ) {
+			if ( $candidate_id !== $attachment_id ) {
+				wp_delete_attachment( $candidate_id, true );
+			}
+		}
+
+		if ( $attachment_id ) {
+			set_post_thumbnail( $job['post_id'], $attachment_id );
+			update_post_meta( $attachment_id, '_wp_attachment_image_alt', $this->extract_title( $job['topic'], $job['data']['outline'] ?? '' ) );
+		}
+
+		// Rejected candidates were paid for too, so they count towards this post
+		$job['data']['image_result'] = array(
+			'attachment_id' => $attachment_id,
+			'cost_usd'      => $job['data']['image_candidates_cost'] ?? 0,
+		);
+		$job['status'] = 'in_progress';
+		set_transient( $job_id, $job, self::JOB_EXPIRATION );
+
+		return $this->complete_with_image( $job_id );
+	}
+
+	/**
+	 * Complete image step and finalize everything.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   array|WP_Error    Final result.
+	 */
+	public function complete_with_image( $job_id ) {
+		$job = $this->get_job( $job_id );
+		
+		if ( ! $job || empty( $job['post_id'] ) ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found.', 'ai-blog-posts' ) );
+		}
+
+		// A resumed or repeated request must not log the post twice
+		if ( 'completed' === $job['status'] ) {
+			return new WP_Error( 'job_completed', __( 'This post has already been generated.', 'ai-blog-posts' ) );
+		}
+
+		// Gone before the slow work below, so a request racing this one finds nothing
+		$this->delete_job( $job_id );
+
+		$generation_time = microtime( true ) - $job['start_time'];
+		$image_cost = 0;
+
+		// Get image cost if generated
+		if ( isset( $job['data']['image_result'] ) && ! is_wp_error( $job['data']['image_result'] ) ) {
+			$image_cost = $job['data']['image_result']['cost_usd'] ?? 0;
+		}
+
+		$image_cost += $job['data']['inline_images']['cost_usd'] ?? 0;
+
+		// Update post meta with image cost
+		$total_cost = $job['token_usage']['cost_usd'] + $image_cost;
+		update_post_meta( $job['post_id'], '_ai_blog_posts_cost', $total_cost );
+		update_post_meta( $job['post_id'], '_ai_blog_posts_step_costs', $job['step_costs'] ?? array() );
+
+		// Log completion
+		$job['token_usage']['image_cost_usd'] = $image_cost;
+		$this->log_job_completion( $job, $generation_time );
+
+		// Update queue topic if applicable
+		if ( $job['options']['queue_topic_id'] ) {
+			$this->update_queue_topic( $job['options']['queue_topic_id'], $job['post_id'] );
+		}
+
+		$content = $job['data']['humanized'] ?? $job['data']['content'] ?? '';
+		$outline = $job['data']['outline'] ?? '';
+		$title = $this->extract_title( $job['topic'], $outline );
+
+		return array(
+			'success'         => true,
+			'step'            => 'complete',
+			'next_step'       => null,
+			'job_status'      => 'completed',
+			'post_id'         => $job['post_id'],
+			'title'           => $title,
+			'edit_url'        => get_edit_post_link( $job['post_id'], 'raw' ),
+			'view_url'        => get_permalink( $job['post_id'] ),
+			'model'           => $job['options']['model'],
+			'tokens'          => $job['token_usage']['total_tokens'],
+			'cost_usd'        => $total_cost,
+			'step_costs'      => $job['step_costs'] ?? array(),
+			'generation_time' => round( $generation_time, 2 ),
+			'content_preview' => wp_trim_words( wp_strip_all_tags( $content ), 100 ),
+			'sections'        => $this->get_post_sections( $job['post_id'] ),
+			'voice_report'    => $job['data']['voice_report'] ?? null,
+		);
+	}
+
+	/**
+	 * Split a post's content into sections at each H2 heading.
+	 *
+	 * The first section is the introduction before the first H2 and has no heading.
+	 *
+	 * @since    1.0.0
+	 * @param    int $post_id    Post ID.
+	 * @return   array           Sections with index, heading and html.
+	 */
+	public function get_post_sections( $post_id ) {
+		$post = get_post( $post_id );
+		if ( ! $post ) {
+			return array();
+		}
+
+		$sections = array();
+		foreach ( $this->split_sections( $post->post_content ) as $index => $block_html ) {
+			$heading = '';
+			if ( preg_match( '/<h2[^>]*>(.*?)<\/h2>/s', $block_html, $matches ) ) {
+				$heading = wp_strip_all_tags( $matches[1] );
+			}
+
+			$sections[] = array(
+				'index'   => $index,
+				'heading' => $heading,
+				'html'    => wp_kses_post( $this->strip_block_comments( $block_html ) ),
+			);
+		}
+
+		return $sections;
+	}
+
+	/**
+	 * Rewrite one H2 section of a generated post and save it back.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $post_id    Post ID.
+	 * @param    int    $index      Section index from get_post_sections().
+	 * @param    string $action     One of regenerate, expand, shorten or tone.
+	 * @param    string $tone       Tone for the tone action.
+	 * @return   array|WP_Error     Updated sections and cost, or error.
+	 */
+	public function rewrite_section( $post_id, $index, $action, $tone = '' ) {
+		$post = get_post( $post_id );
+
+		if ( ! $post || ! get_post_meta( $post_id, '_ai_blog_posts_generated', true ) ) {
+			return new WP_Error( 'invalid_post', __( 'Only posts created by AI Blog Posts can be rewritten section by section.', 'ai-blog-posts' ) );
+		}
+
+		if ( ! in_array( $action, array( 'regenerate', 'expand', 'shorten', 'tone' ), true ) ) {
+			return new WP_Error( 'invalid_action', __( 'Unknown section action.', 'ai-blog-posts' ) );
+		}
+
+		$tones = self::get_section_tones();
+		if ( 'tone' === $action && ! isset( $tones[ $tone ] ) ) {
+			return new WP_Error( 'invalid_tone', __( 'Unknown tone.', 'ai-blog-posts' ) );
+		}
+
+		$blocks = $this->split_sections( $post->post_content );
+
+		// Section 0 is the introduction, which has no H2 of its own
+		if ( $index < 1 || ! isset( $blocks[ $index ] ) ) {
+			return new WP_Error( 'invalid_section', __( 'Section not found. The post may have been edited since the preview was shown.', 'ai-blog-posts' ) );
+		}
+
+		// In-article images stay at the end of the section instead of being rewritten
+		preg_match_all( '/<!-- wp:image\b.*?<!-- \/wp:image -->/s', $blocks[ $index ], $image_blocks );
+		$image_blocks = $image_blocks[0];
+
+		$start_time = microtime( true );
+		$section_html = $this->strip_block_comments( str_replace( $image_blocks, '', $blocks[ $index ] ) );
+		$topic = get_post_meta( $post_id, '_ai_blog_posts_topic', true );
+		$topic = $topic ? $topic : $post->post_title;
+
+		$options = array(
+			'model'         => get_post_meta( $post_id, '_ai_blog_posts_model', true ),
+			'source'        => 'section_rewrite',
+			'voice_profile' => get_post_meta( $post_id, '_ai_blog_posts_voice_profile', true ),
+			'category_id'   => (int) current( wp_get_post_categories( $post_id ) ),
+		);
+		if ( ! $options['model'] ) {
+			$options['model'] = Ai_Blog_Posts_Settings::get( 'model' );
+		}
+
+		$format = "Output ONLY the HTML for this one section, starting with its <h2> heading. " .
+			"Use <h2>, <h3>, <p>, <ul>, <li> tags. Do not add an introduction or conclusion for the whole post.";
+
+		$variables = $this->get_prompt_variables( $topic, $options );
+
+		if ( 'regenerate' === $action ) {
+			$system_prompt = Ai_Blog_Posts_Prompts::render( 'content', 'system', $variables );
+			$prompt = sprintf(
+				"Rewrite this section of a blog post about '%s' from scratch. Keep the same H2 heading and subject, " .
+				"but write fresh, engaging content with short paragraphs (2-4 sentences each) and lists where appropriate.\n\n" .
+				"%s\n\nCURRENT SECTION:\n\n%s",
+				$topic,
+				$format,
+				$section_html
+			);
+		} else {
+			$instructions = array(
+				'expand'  => 'Expand this section to roughly twice its length by adding detail, examples and practical tips. Do not pad it with filler.',
+				'shorten' => 'Shorten this section to roughly half its length. Keep the key points and cut repetition.',
+				'tone'    => sprintf( 'Rewrite this section in a %s tone. Keep the same facts and structure.', strtolower( $tones[ $tone ] ?? '' ) ),
+			);
+
+			$system_prompt = Ai_Blog_Posts_Prompts::render( 'humanize', 'system', $variables );
+			$prompt = sprintf(
+				"TASK: %s\n\n" .
+				"This section is part of a blog post about '%s'.\n\n" .
+				"RULES:\n%s\n\n%s\n\n" .
+				"SECTION TO REWRITE:\n\n%s",
+				$instructions[ $action ],
+				$topic,
+				$this->get_humanize_rules(),
+				$format,
+				$section_html
+			);
+		}
+
+		$this->token_usage = array(
+			'prompt_tokens'     => 0,
+			'completion_tokens' => 0,
+			'total_tokens'      => 0,
+			'cost_usd'          => 0,
+		);
+
+		$result = $this->provider->generate_text( $prompt, $system_prompt, array(
+			'model'       => $options['model'],
+			'max_tokens'  => 2000,
+			'temperature' => 'regenerate' === $action ? 0.7 : 0.8,
+		) );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$this->track_tokens( $result );
+
+		$new_html = $this->clean_title_suggestions( $result['content'] ?? '' );
+		if ( false === strpos( $new_html, '<h2' ) ) {
+			$error = new WP_Error( 'invalid_section', __( 'The AI did not return a usable section. Nothing was changed.', 'ai-blog-posts' ) );
+			$this->log_failure( $topic, $error, $options, $start_time );
+			return $error;
+		}
+
+		// Keep it to one section even if the model wandered into the next heading
+		$new_blocks = $this->split_sections( $this->convert_to_gutenberg( $new_html ) );
+		$blocks[ $index ] = implode( "\n\n", array_merge( array( trim( $new_blocks[1] ?? $new_blocks[0] ) ), $image_blocks ) );
+
+		$updated = wp_update_post( array(
+			'ID'           => $post_id,
+			'post_content' => implode( "\n\n", array_map( 'trim', $blocks ) ),
+		), true );
+
+		if ( is_wp_error( $updated ) ) {
+			return $updated;
+		}
+
+		update_post_meta( $post_id, '_ai_blog_posts_tokens', (int) get_post_meta( $post_id, '_ai_blog_posts_tokens', true ) + $this->token_usage['total_tokens'] );
+		update_post_meta( $post_id, '_ai_blog_posts_cost', (float) get_post_meta( $post_id, '_ai_blog_posts_cost', true ) + $this->token_usage['cost_usd'] );
+
+		$this->cost_tracker->log( array(
+			'post_id'           => $post_id,
+			'model_used'        => $options['model'],
+			'prompt_tokens'     => $this->token_usage['prompt_tokens'],
+			'completion_tokens' => $this->token_usage['completion_tokens'],
+			'total_tokens'      => $this->token_usage['total_tokens'],
+			'cost_usd'          => $this->token_usage['cost_usd'],
+			'generation_time'   => microtime( true ) - $start_time,
+			'topic_source'      => $options['source'],
+			'status'            => 'success',
+		) );
+
+		return array(
+			'index'    => $index,
+			'sections' => $this->get_post_sections( $post_id ),
+			'tokens'   => $this->token_usage['total_tokens'],
+			'cost_usd' => $this->token_usage['cost_usd'],
+		);
+	}
+
+	/**
+	 * Get the tones offered by the "Change tone" section action.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Tone key => label.
+	 */
+	public static function get_section_tones() {
+		return array(
+			'conversational' => __( 'Conversational', 'ai-blog-posts' ),
+			'professional'   => __( 'Professional', 'ai-blog-posts' ),
+			'friendly'       => __( 'Friendly', 'ai-blog-posts' ),
+			'authoritative'  => __( 'Authoritative', 'ai-blog-posts' ),
+			'persuasive'     => __( 'Persuasive', 'ai-blog-posts' ),
+			'playful'        => __( 'Playful', 'ai-blog-posts' ),
+		);
+	}
+
+	/**
+	 * Split post content before each H2, keeping Gutenberg block comments attached.
+	 *
+	 * @since    1.0.0
+	 * @param    string $content    Post content.
+	 * @return   array              Content chunks; the first is everything before the first H2.
+	 */
+	private function split_sections( $content ) {
+		if ( false !== strpos( $content, '<!-- wp:heading' ) ) {
+			$pattern = '/(?=<!-- wp:heading\b[^>]*-->\s*<h2[\s>])/';
+		} else {
+			$pattern = '/(?=<h2[\s>])/';
+		}
+
+		return preg_split( $pattern, $content );
+	}
+
+	/**
+	 * Remove Gutenberg block comments, leaving plain HTML.
+	 *
+	 * @since    1.0.0
+	 * @param    string $content    Block content.
+	 * @return   string             HTML.
+	 */
+	private function strip_block_comments( $content ) {
+		return trim( preg_replace( '/<!--\s*\/?wp:[^>]*-->\s*/', '', $content ) );
+	}
+
+	/**
+	 * Discard an unfinished job.
+	 *
+	 * Logs any tokens already spent so they still count towards the budget,
+	 * releases the queue topic and removes the stored job state.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   bool|WP_Error     True on success or error.
+	 */
+	public function discard_job( $job_id ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found or expired.', 'ai-blog-posts' ) );
+		}
+
+		if ( 'completed' !== $job['status'] ) {
+			// Nobody picked a featured image
+			foreach ( $job['data']['image_candidates'] ?? array() as $candidate ) {
+				wp_delete_attachment( $candidate['attachment_id'], true );
+			}
+
+			// Record partial spend, including images nobody kept
+			$image_cost = ( $job['data']['image_candidates_cost'] ?? 0 ) + ( $job['data']['inline_images']['cost_usd'] ?? 0 );
+			if ( $job['token_usage']['total_tokens'] > 0 || $image_cost > 0 ) {
+				$this->token_usage = $job['token_usage'];
+				$this->log_failure(
+					$job['topic'],
+					new WP_Error( 'job_discarded', __( 'Generation discarded before completion.', 'ai-blog-posts' ) ),
+					$job['options'],
+					$job['start_time'],
+					$image_cost
+				);
+			}
+
+			// A created post keeps its topic completed, otherwise the topic goes back to the queue
+			if ( $job['options']['queue_topic_id'] ) {
+				if ( ! empty( $job['post_id'] ) ) {
+					$this->update_queue_topic( $job['options']['queue_topic_id'], $job['post_id'] );
+				} else {
+					global $wpdb;
+					$table = $wpdb->prefix . 'ai_blog_posts_topics';
+					$wpdb->update(
+						$table,
+						array( 'status' => 'pending' ),
+						array( 'id' => $job['options']['queue_topic_id'] ),
+						array( '%s' ),
+						array( '%d' )
+					);
+				}
+			}
+		}
+
+		$this->delete_job( $job_id );
+
+		return true;
+	}
+
+	/**
+	 * Ask a running job to stop.
+	 *
+	 * A job between steps is discarded right away. A job in the middle of a
+	 * step stops at the next streamed chunk, or once the step returns.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   bool|WP_Error     True if discarded now, false if the running step will stop it, or error.
+	 */
+	public function request_stop( $job_id ) {
+		$job = $this->get_job( $job_id );
+
+		if ( ! $job ) {
+			return new WP_Error( 'job_not_found', __( 'Generation job not found or expired.', 'ai-blog-posts' ) );
+		}
+
+		if ( 'processing' !== $job['status'] ) {
+			$result = $this->discard_job( $job_id );
+			return is_wp_error( $result ) ? $result : true;
+		}
+
+		set_transient( $job_id . '_stop', time(), HOUR_IN_SECONDS );
+
+		return false;
+	}
+
+	/**
+	 * Get the text streamed so far for a job.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   array|false       Step and text, or false if nothing is streaming.
+	 */
+	public function get_stream( $job_id ) {
+		if ( ! $this->is_job_id( $job_id ) ) {
+			return false;
+		}
+
+		return get_transient( $job_id . '_stream' );
+	}
+
+	/**
+	 * Build the callback that publishes streamed text and watches for a stop request.
+	 *
+	 * Writes are throttled so a long article doesn't hit the database on every token.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @param    string $step      Step being streamed.
+	 * @return   callable          Chunk callback for Ai_Blog_Posts_Provider::generate_text().
+	 */
+	private function get_stream_callback( $job_id, $step ) {
+		$last_flush = 0;
+
+		delete_transient( $job_id . '_stream' );
+
+		return function( $chunk, $text ) use ( $job_id, $step, &$last_flush ) {
+			$now = microtime( true );
+
+			if ( $now - $last_flush < 0.5 ) {
+				return true;
+			}
+			$last_flush = $now;
+
+			set_transient( $job_id . '_stream', array(
+				'step' => $step,
+				'text' => $text,
+			), 10 * MINUTE_IN_SECONDS );
+
+			return ! $this->is_stop_requested( $job_id );
+		};
+	}
+
+	/**
+	 * Check whether a stop was requested for a job.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   bool
+	 */
+	private function is_stop_requested( $job_id ) {
+		$key = $job_id . '_stop';
+
+		if ( wp_using_ext_object_cache() ) {
+			return (bool) get_transient( $key );
+		}
+
+		// The flag is set by another request, so read past this request's option cache
+		global $wpdb;
+		return (bool) $wpdb->get_var(
+			$wpdb->prepare( "SELECT option_value FROM $wpdb->options WHERE option_name = %s", '_transient_' . $key )
+		);
+	}
+
+	/**
+	 * Stop a job, logging the tokens it used.
+	 *
+	 * @since    1.0.0
+	 * @param    string $job_id    Job ID.
+	 * @return   WP_Error          Stopped error for the caller.
+	 */
+	private function stop_job( $job_id ) {
+		$this->update_job( $job_id, array( 'token_usage' => $this->token_usage ) );
+		$this->discard_job( $job_id );
+
+		return new WP_Error(
+			'generation_stopped',
+			__( 'Generation stopped. The cost of the partial draft has been logged.', 'ai-blog-posts' )
 		);
 	}
 
@@ -530,16 +1681,7 @@ class Ai_Blog_Posts_Generator {
 		if ( ! Ai_Blog_Posts_Settings::is_configured() ) {
 			return new WP_Error( 
 				'api_not_configured', 
-				__( 'OpenAI API key is not configured. Please add your API key in Settings.', 'ai-blog-posts' ) 
-			);
-		}
-
-		// Verify API key is working
-		$api_key = Ai_Blog_Posts_Settings::get( 'api_key' );
-		if ( empty( $api_key ) ) {
-			return new WP_Error( 
-				'api_key_empty', 
-				__( 'API key could not be retrieved. Please re-enter your API key in Settings.', 'ai-blog-posts' ) 
+				__( 'The AI provider is not configured. Please add your API key in Settings.', 'ai-blog-posts' ) 
 			);
 		}
 
@@ -558,10 +1700,18 @@ class Ai_Blog_Posts_Generator {
 			'publish'       => false,
 			'source'        => 'manual',
 			'instructions'  => '',
+			'publish_at'    => '',
+			'content_type'  => Ai_Blog_Posts_Content_Types::DEFAULT_TYPE,
+			'voice_profile' => '',
 			'model'         => Ai_Blog_Posts_Settings::get( 'model' ),
+			'step_models'   => array(),
 			'generate_image'=> Ai_Blog_Posts_Settings::get( 'image_enabled' ),
+			'inline_images' => Ai_Blog_Posts_Settings::get( 'inline_images' ),
 		);
 		$options = wp_parse_args( $options, $defaults );
+		$options['content_type'] = Ai_Blog_Posts_Content_Types::sanitize( $options['content_type'] );
+		$options['voice_profile'] = Ai_Blog_Posts_Voice_Profiles::resolve( $options['voice_profile'], $options['category_id'] );
+		$options['step_models'] = Ai_Blog_Posts_Settings::resolve_step_models( $options['step_models'], $options['model'] );
 
 		// Check if we're within limits
 		if ( 'scheduled' === $options['source'] ) {
@@ -588,7 +1738,7 @@ class Ai_Blog_Posts_Generator {
 		}
 
 		// Step 3: Humanize content
-		$humanized = $this->humanize_content( $content, $options );
+		$humanized = $this->humanize_content( $topic, $content, $options );
 		if ( is_wp_error( $humanized ) ) {
 			// Use original content if humanization fails
 			$humanized = $content;
@@ -604,13 +1754,12 @@ class Ai_Blog_Posts_Generator {
 		$gutenberg_content = $this->convert_to_gutenberg( $humanized );
 
 		// Step 6: Create the post
-		$post_data = array(
+		$post_data = array_merge( array(
 			'post_title'   => $this->extract_title( $topic, $outline ),
 			'post_content' => $gutenberg_content,
-			'post_status'  => $options['publish'] ? 'publish' : Ai_Blog_Posts_Settings::get( 'post_status' ),
 			'post_author'  => Ai_Blog_Posts_Settings::get( 'default_author' ),
 			'post_type'    => 'post',
-		);
+		), $this->get_post_schedule( $options ) );
 
 		// Add category
 		if ( $options['category_id'] ) {
@@ -639,7 +1788,7 @@ class Ai_Blog_Posts_Generator {
 					error_log( sprintf( 'AI Blog Posts: Starting image generation for post %d', $post_id ) );
 				}
 				
-				$image_result = $this->generate_featured_image( $post_id, $topic, $post_data['post_title'] );
+				$image_result = $this->generate_featured_image( $post_id, $topic, $post_data['post_title'], $options['step_models']['image_prompt'] );
 				
 				if ( is_wp_error( $image_result ) ) {
 					// Log error but don't fail the whole generation
@@ -660,7 +1809,20 @@ class Ai_Blog_Posts_Generator {
 			}
 		}
 
-		// Step 9: Generate and set tags
+		// Step 9: Add in-article images. A failed image just leaves its section without one.
+		foreach ( $this->plan_inline_images( $gutenberg_content, $options ) as $heading ) {
+			$inline_result = $this->add_inline_image( $post_id, $heading, $post_data['post_title'], $options );
+
+			if ( is_wp_error( $inline_result ) ) {
+				if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+					error_log( sprintf( 'AI Blog Posts: In-article image failed: %s', $inline_result->get_error_message() ) );
+				}
+			} else {
+				$image_cost += $inline_result['cost_usd'];
+			}
+		}
+
+		// Step 10: Generate and set tags
 		$tags = $this->generate_tags( $topic, $options['keywords'], $humanized );
 		if ( ! empty( $tags ) ) {
 			wp_set_post_tags( $post_id, $tags, false );
@@ -670,8 +1832,10 @@ class Ai_Blog_Posts_Generator {
 		update_post_meta( $post_id, '_ai_blog_posts_generated', true );
 		update_post_meta( $post_id, '_ai_blog_posts_topic', $topic );
 		update_post_meta( $post_id, '_ai_blog_posts_model', $options['model'] );
+		update_post_meta( $post_id, '_ai_blog_posts_content_type', $options['content_type'] );
 		update_post_meta( $post_id, '_ai_blog_posts_tokens', $this->token_usage['total_tokens'] );
 		update_post_meta( $post_id, '_ai_blog_posts_cost', $this->token_usage['cost_usd'] + $image_cost );
+		$voice_report = $this->save_voice_report( $post_id, $options['voice_profile'], $humanized );
 
 		$generation_time = microtime( true ) - $start_time;
 
@@ -700,6 +1864,7 @@ class Ai_Blog_Posts_Generator {
 			'cost_usd'          => $this->token_usage['cost_usd'] + $image_cost,
 			'generation_time'   => round( $generation_time, 2 ),
 			'content_preview'   => wp_trim_words( wp_strip_all_tags( $humanized ), 100 ),
+			'voice_report'      => $voice_report,
 		);
 	}
 
@@ -712,36 +1877,17 @@ class Ai_Blog_Posts_Generator {
 	 * @return   string|WP_Error    Outline or error.
 	 */
 	private function generate_outline( $topic, $options ) {
-		$system_prompt = $this->get_system_prompt( 'outline' );
-		
-		$prompt = sprintf(
-			"Create a detailed outline for a blog post about: %s\n\n" .
-			"Include:\n" .
-			"- A compelling title suggestion\n" .
-			"- 4-6 main sections with H2 headings\n" .
-			"- 2-3 key points under each section\n" .
-			"- A brief intro and conclusion plan\n\n" .
-			"Target word count: %d-%d words\n",
-			$topic,
-			Ai_Blog_Posts_Settings::get( 'word_count_min' ),
-			Ai_Blog_Posts_Settings::get( 'word_count_max' )
-		);
-
-		if ( $options['keywords'] ) {
-			$prompt .= sprintf( "\nFocus keywords to include: %s", $options['keywords'] );
-		}
-
-		if ( $options['instructions'] ) {
-			$prompt .= sprintf( "\n\nAdditional instructions: %s", $options['instructions'] );
-		}
+		$variables = $this->get_prompt_variables( $topic, $options );
+		$system_prompt = Ai_Blog_Posts_Prompts::render( 'outline', 'system', $variables );
+		$prompt = Ai_Blog_Posts_Prompts::render( 'outline', 'user', $variables );
 
 		// Log model being used for debugging
 		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
-			error_log( sprintf( 'AI Blog Posts: Generating outline using model: %s', $options['model'] ) );
+			error_log( sprintf( 'AI Blog Posts: Generating outline using model: %s', $this->get_step_model( $options, 'outline' ) ) );
 		}
 
-		$result = $this->openai->generate_text( $prompt, $system_prompt, array(
-			'model'       => $options['model'],
+		$result = $this->provider->generate_text( $prompt, $system_prompt, array(
+			'model'       => $this->get_step_model( $options, 'outline' ),
 			'max_tokens'  => 1000,
 			'temperature' => 0.7,
 		) );
@@ -773,7 +1919,7 @@ class Ai_Blog_Posts_Generator {
 				sprintf(
 					/* translators: %s: model name */
 					__( 'The AI returned an empty outline using model "%s". This can happen if: 1) The model does not exist, 2) Your API key lacks permissions, or 3) You have no API credits. Please check your Settings page.', 'ai-blog-posts' ),
-					$options['model']
+					$this->get_step_model( $options, 'outline' )
 				)
 			);
 		}
@@ -791,43 +1937,20 @@ class Ai_Blog_Posts_Generator {
 	 * @return   string|WP_Error    Content or error.
 	 */
 	private function generate_content( $topic, $outline, $options ) {
-		$system_prompt = $this->get_system_prompt( 'content' );
-		
-		// Get website style prompt if available
-		$style_prompt = $this->analyzer->get_style_prompt();
-		if ( $style_prompt ) {
-			$system_prompt .= "\n\nWebsite Writing Style:\n" . $style_prompt;
-		}
-
-		$word_target = floor( ( Ai_Blog_Posts_Settings::get( 'word_count_min' ) + Ai_Blog_Posts_Settings::get( 'word_count_max' ) ) / 2 );
-
-		$prompt = sprintf(
-			"Write a complete blog post based on this outline:\n\n%s\n\n" .
-			"Requirements:\n" .
-			"- Write approximately %d words\n" .
-			"- Use proper H2 and H3 heading hierarchy\n" .
-			"- Write engaging, informative content\n" .
-			"- Include a compelling introduction that hooks the reader\n" .
-			"- End with a strong conclusion or call-to-action\n" .
-			"- Use short paragraphs (2-4 sentences each)\n" .
-			"- Include bullet points or numbered lists where appropriate\n" .
-			"- Make it SEO-friendly but natural\n\n" .
-			"Format: Use HTML with <h2>, <h3>, <p>, <ul>, <li> tags. Do NOT include <h1> as WordPress adds the title automatically.",
-			$outline,
-			$word_target
-		);
+		$variables = $this->get_prompt_variables( $topic, $options, array( 'outline' => $outline ) );
+		$word_target = $variables['word_count'];
 
-		if ( $options['keywords'] ) {
-			$prompt .= sprintf( "\n\nNaturally incorporate these keywords: %s", $options['keywords'] );
-		}
+		$system_prompt = Ai_Blog_Posts_Prompts::render( 'content', 'system', $variables );
+		$prompt = Ai_Blog_Posts_Prompts::render( 'content', 'user', $variables );
 
 		// Calculate max tokens based on word count
 		$max_tokens = min( 4000, $word_target * 2 );
 
-		$result = $this->openai->generate_text( $prompt, $system_prompt, array(
-			'model'       => $options['model'],
-			'max_tokens'  => $max_tokens,
-			'temperature' => 0.7,
+		$result = $this->provider->generate_text( $prompt, $system_prompt, array(
+			'model'           => $this->get_step_model( $options, 'content' ),
+			'max_tokens'      => $max_tokens,
+			'temperature'     => 0.7,
+			'stream_callback' => $this->stream_callback,
 		) );
 
 		if ( is_wp_error( $result ) ) {
@@ -878,11 +2001,12 @@ class Ai_Blog_Posts_Generator {
 	 * Humanize the content to reduce AI detection.
 	 *
 	 * @since    1.0.0
+	 * @param    string $topic      The topic.
 	 * @param    string $content    Original content.
 	 * @param    array  $options    Options.
 	 * @return   string|WP_Error    Humanized content or error.
 	 */
-	private function humanize_content( $content, $options ) {
+	private function humanize_content( $topic, $content, $options ) {
 		$level = Ai_Blog_Posts_Settings::get( 'humanize_level' );
 		
 		// Lower levels skip this step
@@ -903,30 +2027,19 @@ class Ai_Blog_Posts_Generator {
 
 		$intensity = $intensity_map[ $level ] ?? 'moderate';
 
-		$system_prompt = "You are an expert editor. Your task is to rewrite the provided HTML blog content to sound more natural and human-written. " .
-			"You MUST output the complete rewritten content with all HTML tags preserved. Do not ask questions or request clarification - just rewrite the content provided below.";
+		$variables = $this->get_prompt_variables( $topic, $options, array(
+			'content'   => $content,
+			'intensity' => $intensity,
+		) );
 
-		$prompt = sprintf(
-			"TASK: Rewrite this blog post to sound more natural and human-written.\n\n" .
-			"INTENSITY: %s rewriting\n\n" .
-			"RULES:\n" .
-			"1. Output ONLY the rewritten HTML content - no explanations or questions\n" .
-			"2. Vary sentence structures and lengths\n" .
-			"3. Add conversational elements where appropriate\n" .
-			"4. Use more varied vocabulary\n" .
-			"5. Remove robotic or formulaic patterns\n" .
-			"6. NEVER use: 'dive into', 'delve into', 'it's important to note', 'in today's world', 'in conclusion', 'firstly/secondly/thirdly', 'game-changer', 'leverage', 'unlock', 'landscape', 'tapestry'\n" .
-			"7. PRESERVE all HTML tags (<h2>, <h3>, <p>, <ul>, <li>, etc.)\n" .
-			"8. Keep approximately the same length\n\n" .
-			"CONTENT TO REWRITE:\n\n%s",
-			$intensity,
-			$content
-		);
+		$system_prompt = Ai_Blog_Posts_Prompts::render( 'humanize', 'system', $variables );
+		$prompt = Ai_Blog_Posts_Prompts::render( 'humanize', 'user', $variables );
 
-		$result = $this->openai->generate_text( $prompt, $system_prompt, array(
-			'model'       => $options['model'],
-			'max_tokens'  => 4000,
-			'temperature' => 0.8,
+		$result = $this->provider->generate_text( $prompt, $system_prompt, array(
+			'model'           => $this->get_step_model( $options, 'humanize' ),
+			'max_tokens'      => 4000,
+			'temperature'     => 0.8,
+			'stream_callback' => $this->stream_callback,
 		) );
 
 		if ( is_wp_error( $result ) ) {
@@ -955,24 +2068,16 @@ class Ai_Blog_Posts_Generator {
 	 * @return   array              SEO data.
 	 */
 	private function generate_seo_meta( $topic, $content, $options ) {
-		$system_prompt = "You are an SEO specialist. Generate SEO metadata that is compelling and optimized.";
-
 		// Truncate content for efficiency
-		$content_sample = wp_trim_words( wp_strip_all_tags( $content ), 300 );
+		$variables = $this->get_prompt_variables( $topic, $options, array(
+			'content' => wp_trim_words( wp_strip_all_tags( $content ), 300 ),
+		) );
 
-		$prompt = sprintf(
-			"Based on this blog post about '%s', generate:\n\n" .
-			"1. Meta description (150-160 characters, compelling and includes main keyword)\n" .
-			"2. Focus keyword (single phrase, 2-4 words)\n" .
-			"3. SEO title (if different from post title, 50-60 characters)\n\n" .
-			"Content summary:\n%s\n\n" .
-			"Format your response as JSON: {\"meta_description\": \"...\", \"focus_keyword\": \"...\", \"seo_title\": \"...\"}",
-			$topic,
-			$content_sample
-		);
+		$system_prompt = Ai_Blog_Posts_Prompts::render( 'seo', 'system', $variables );
+		$prompt = Ai_Blog_Posts_Prompts::render( 'seo', 'user', $variables );
 
-		$result = $this->openai->generate_text( $prompt, $system_prompt, array(
-			'model'       => $options['model'],
+		$result = $this->provider->generate_text( $prompt, $system_prompt, array(
+			'model'       => $this->get_step_model( $options, 'seo' ),
 			'max_tokens'  => 1500, // Increased for GPT-5 reasoning overhead
 			'temperature' => 0.5,
 		) );
@@ -1031,6 +2136,15 @@ class Ai_Blog_Posts_Generator {
 		// Clean title suggestions (as a backup, in case they weren't removed earlier)
 		$content = $this->clean_title_suggestions( $content );
 
+		// Review pros and cons side by side; the headings and lists inside are converted below
+		$content = preg_replace(
+			'/(<h3[^>]*>\s*Pros\b.*?<\/h3>\s*<ul[^>]*>.*?<\/ul>)\s*(<h3[^>]*>\s*Cons\b.*?<\/h3>\s*<ul[^>]*>.*?<\/ul>)/si',
+			"<!-- wp:columns {\"className\":\"ai-blog-posts-pros-cons\"} -->\n<div class=\"wp-block-columns ai-blog-posts-pros-cons\">" .
+			"<!-- wp:column -->\n<div class=\"wp-block-column\">\n$1\n</div>\n<!-- /wp:column -->\n\n" .
+			"<!-- wp:column -->\n<div class=\"wp-block-column\">\n$2\n</div>\n<!-- /wp:column --></div>\n<!-- /wp:columns -->\n",
+			$content
+		);
+
 		// Convert paragraphs to Gutenberg blocks
 		$content = preg_replace(
 			'/<p([^>]*)>(.*?)<\/p>/s',
@@ -1073,6 +2187,13 @@ class Ai_Blog_Posts_Generator {
 			$content
 		);
 
+		// Convert tables (comparison articles)
+		$content = preg_replace(
+			'/<table([^>]*)>(.*?)<\/table>/s',
+			"<!-- wp:table -->\n<figure class=\"wp-block-table\"><table$1>$2</table></figure>\n<!-- /wp:table -->\n",
+			$content
+		);
+
 		// Convert blockquotes
 		$content = preg_replace(
 			'/<blockquote([^>]*)>(.*?)<\/blockquote>/s',
@@ -1090,16 +2211,43 @@ class Ai_Blog_Posts_Generator {
 	 * Generate and set featured image.
 	 *
 	 * @since    1.0.0
-	 * @param    int    $post_id    Post ID.
-	 * @param    string $topic      Topic.
-	 * @param    string $title      Post title.
-	 * @return   array|WP_Error     Result or error.
+	 * @param    int    $post_id         Post ID.
+	 * @param    string $topic           Topic.
+	 * @param    string $title           Post title.
+	 * @param    string $prompt_model    Optional model for writing the image prompt.
+	 * @return   array|WP_Error          Result or error.
 	 */
-	private function generate_featured_image( $post_id, $topic, $title ) {
+	private function generate_featured_image( $post_id, $topic, $title, $prompt_model = '' ) {
 		// Create a visual concept prompt - NO text allowed
-		$image_prompt = $this->create_image_prompt( $title, $topic );
+		$image_prompt = $this->create_image_prompt( $title, $topic, $prompt_model );
+
+		$result = $this->request_image( $image_prompt, $post_id, sanitize_title( $title ) . '-featured' );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
 
-		$result = $this->openai->generate_image( $image_prompt, array(
+		// Set as featured image
+		set_post_thumbnail( $post_id, $result['attachment_id'] );
+
+		// Set alt text
+		update_post_meta( $result['attachment_id'], '_wp_attachment_image_alt', $title );
+
+		return $result;
+	}
+
+	/**
+	 * Generate an image and add it to the media library, attached to a post.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $prompt      Image prompt.
+	 * @param    int    $post_id     Post to attach the image to.
+	 * @param    string $filename    File name without extension.
+	 * @return   array|WP_Error      Attachment ID and cost, or error.
+	 */
+	private function request_image( $prompt, $post_id, $filename ) {
+		$result = $this->openai->generate_image( $prompt, array(
 			'model'   => Ai_Blog_Posts_Settings::get( 'image_model' ),
 			'size'    => Ai_Blog_Posts_Settings::get( 'image_size' ),
 			'style'   => 'natural', // More photorealistic
@@ -1111,22 +2259,217 @@ class Ai_Blog_Posts_Generator {
 		}
 
 		// Download and attach the image
-		$filename = sanitize_title( $title ) . '-featured';
 		$attachment_id = $this->openai->download_image_to_media( $result['url'], $filename, $post_id );
 
 		if ( is_wp_error( $attachment_id ) ) {
 			return $attachment_id;
 		}
 
-		// Set as featured image
-		set_post_thumbnail( $post_id, $attachment_id );
+		return array(
+			'attachment_id' => $attachment_id,
+			'cost_usd'      => $result['cost_usd'],
+		);
+	}
 
-		// Set alt text
-		update_post_meta( $attachment_id, '_wp_attachment_image_alt', $title );
+	/**
+	 * Choose the H2 sections that get an in-article image.
+	 *
+	 * Headings picked during outline review win. Otherwise the requested
+	 * number of images is spread evenly across the sections.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $content    Post content in blocks.
+	 * @param    array  $options    Generation options.
+	 * @return   array              H2 headings, in content order.
+	 */
+	private function plan_inline_images( $content, $options ) {
+		$count = min( 5, absint( $options['inline_images'] ?? 0 ) );
+		$chosen = array_map( array( $this, 'normalize_heading' ), (array) ( $options['inline_image_headings'] ?? array() ) );
+
+		$headings = array();
+		foreach ( $this->split_sections( $content ) as $index => $block_html ) {
+			if ( $index > 0 && preg_match( '/<h2[^>]*>(.*?)<\/h2>/s', $block_html, $matches ) ) {
+				$headings[] = wp_strip_all_tags( $matches[1] );
+			}
+		}
+
+		if ( $chosen ) {
+			$planned = array_values( array_filter( $headings, function( $heading ) use ( $chosen ) {
+				return in_array( $this->normalize_heading( $heading ), $chosen, true );
+			} ) );
+
+			// The writer renamed the chosen sections; keep the number of images
+			if ( $planned ) {
+				return $planned;
+			}
+			$count = count( $chosen );
+		}
+
+		$count = min( $count, count( $headings ) );
+		$planned = array();
+		for ( $i = 0; $i < $count; $i++ ) {
+			$planned[] = $headings[ (int) floor( $i * count( $headings ) / $count ) ];
+		}
+
+		return $planned;
+	}
+
+	/**
+	 * Normalize a heading for matching outline sections to the written post.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $heading    Heading text.
+	 * @return   string             Lowercase heading without punctuation.
+	 */
+	private function normalize_heading( $heading ) {
+		return trim( preg_replace( '/[^\p{L}\p{N}]+/u', ' ', strtolower( wp_strip_all_tags( $heading ) ) ) );
+	}
+
+	/**
+	 * Add an image block to the end of an H2 section of a post.
+	 *
+	 * A matching image from the media library is used when reuse is on,
+	 * otherwise a new image is generated for the section.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $post_id    Post ID.
+	 * @param    string $heading    H2 heading of the section.
+	 * @param    string $title      Post title.
+	 * @param    array  $options    Generation options.
+	 * @return   array|WP_Error     Attachment ID, whether it was reused and cost, or error.
+	 */
+	public function add_inline_image( $post_id, $heading, $title, $options ) {
+		$post = get_post( $post_id );
+		if ( ! $post ) {
+			return new WP_Error( 'invalid_post', __( 'Post not found.', 'ai-blog-posts' ) );
+		}
+
+		// Find the section before paying for an image
+		$blocks = $this->split_sections( $post->post_content );
+		$section = null;
+		foreach ( $blocks as $index => $block_html ) {
+			if ( $index > 0 && preg_match( '/<h2[^>]*>(.*?)<\/h2>/s', $block_html, $matches ) && $this->normalize_heading( $matches[1] ) === $this->normalize_heading( $heading ) ) {
+				$section = $index;
+				break;
+			}
+		}
+
+		if ( null === $section ) {
+			return new WP_Error( 'invalid_section', __( 'Section not found. The post may have been edited.', 'ai-blog-posts' ) );
+		}
+
+		// Images already in the post are not reused twice
+		preg_match_all( '/wp-image-(\d+)/', $post->post_content, $matches );
+		$used = array_map( 'intval', $matches[1] );
+		$used[] = (int) get_post_thumbnail_id( $post_id );
+
+		$attachment_id = 0;
+		if ( Ai_Blog_Posts_Settings::get( 'inline_images_reuse' ) ) {
+			$terms = array_merge( array( $heading ), explode( ',', $options['keywords'] ?? '' ), array( $title ) );
+			$attachment_id = $this->find_library_image( $terms, $used );
+		}
+
+		$reused = (bool) $attachment_id;
+		$cost = 0;
+		if ( $reused ) {
+			$alt = get_post_meta( $attachment_id, '_wp_attachment_image_alt', true );
+			$caption = wp_get_attachment_caption( $attachment_id );
+		} else {
+			$alt = $this->get_visual_subject( $heading, $title, $this->get_step_model( $options, 'image_prompt' ) );
+			$result = $this->request_image( $this->build_image_prompt( $alt ), $post_id, sanitize_title( $heading ) );
+
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			$attachment_id = $result['attachment_id'];
+			$cost = $result['cost_usd'];
+			$caption = $heading;
+
+			update_post_meta( $attachment_id, '_wp_attachment_image_alt', $alt );
+			wp_update_post( array(
+				'ID'           => $attachment_id,
+				'post_excerpt' => $caption,
+			) );
+		}
+
+		$blocks[ $section ] = rtrim( $blocks[ $section ] ) . "\n\n" . $this->get_image_block( $attachment_id, $alt ? $alt : $heading, $caption );
+
+		$updated = wp_update_post( array(
+			'ID'           => $post_id,
+			'post_content' => implode( "\n\n", array_map( 'trim', $blocks ) ),
+		), true );
+
+		if ( is_wp_error( $updated ) ) {
+			return $updated;
+		}
 
 		return array(
 			'attachment_id' => $attachment_id,
-			'cost_usd'      => $result['cost_usd'],
+			'reused'        => $reused,
+			'cost_usd'      => $cost,
+		);
+	}
+
+	/**
+	 * Search the media library for an image matching any of the terms.
+	 *
+	 * Terms are tried in order against image titles, captions and descriptions.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $terms      Search terms, most specific first.
+	 * @param    array $exclude    Attachment IDs not to return.
+	 * @return   int               Attachment ID, or 0 when nothing matches.
+	 */
+	private function find_library_image( $terms, $exclude ) {
+		foreach ( $terms as $term ) {
+			$term = trim( wp_strip_all_tags( $term ) );
+			if ( strlen( $term ) < 3 ) {
+				continue;
+			}
+
+			$ids = get_posts( array(
+				'post_type'      => 'attachment',
+				'post_status'    => 'inherit',
+				'post_mime_type' => 'image',
+				's'              => $term,
+				'post__not_in'   => array_filter( $exclude ),
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+			) );
+
+			if ( $ids ) {
+				return (int) $ids[0];
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Build a core/image block.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    int    $attachment_id    Attachment ID.
+	 * @param    string $alt              Alt text.
+	 * @param    string $caption          Caption, may be empty.
+	 * @return   string                   Block markup.
+	 */
+	private function get_image_block( $attachment_id, $alt, $caption ) {
+		$figcaption = '' !== trim( (string) $caption ) ? '<figcaption class="wp-element-caption">' . esc_html( $caption ) . '</figcaption>' : '';
+
+		return sprintf(
+			"<!-- wp:image {\"id\":%1\$d,\"sizeSlug\":\"large\",\"linkDestination\":\"none\"} -->\n" .
+			"<figure class=\"wp-block-image size-large\"><img src=\"%2\$s\" alt=\"%3\$s\" class=\"wp-image-%1\$d\"/>%4\$s</figure>\n" .
+			'<!-- /wp:image -->',
+			$attachment_id,
+			esc_url( wp_get_attachment_image_url( $attachment_id, 'large' ) ),
+			esc_attr( $alt ),
+			$figcaption
 		);
 	}
 
@@ -1136,12 +2479,43 @@ class Ai_Blog_Posts_Generator {
 	 * @since    1.0.0
 	 * @param    string $title    Post title.
 	 * @param    string $topic    Original topic.
+	 * @param    string $model    Optional model for describing the scene.
 	 * @return   string           Optimized prompt.
 	 */
-	private function create_image_prompt( $title, $topic ) {
+	private function create_image_prompt( $title, $topic, $model = '' ) {
+		return $this->build_image_prompt( $this->get_visual_subject( $title, $topic, $model ) );
+	}
+
+	/**
+	 * Describe what an image for a title should show.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $title    Post or section title.
+	 * @param    string $topic    Original topic.
+	 * @param    string $model    Optional model for describing the scene.
+	 * @return   string           Visual subject.
+	 */
+	private function get_visual_subject( $title, $topic, $model = '' ) {
+		$visual_subject = $model ? $this->describe_visual_concept( $title, $topic, $model ) : '';
+
 		// Extract key concepts from the title for visual representation
-		$visual_subject = $this->extract_visual_concept( $title );
-		
+		if ( '' === $visual_subject ) {
+			$visual_subject = $this->extract_visual_concept( $title );
+		}
+
+		return $visual_subject;
+	}
+
+	/**
+	 * Wrap a visual subject in the no-text photo prompt.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $visual_subject    What the image should show.
+	 * @return   string                    Image prompt.
+	 */
+	private function build_image_prompt( $visual_subject ) {
 		$prompt = sprintf(
 			"Professional photorealistic image representing: %s. " .
 			"CRITICAL REQUIREMENTS: " .
@@ -1159,6 +2533,41 @@ class Ai_Blog_Posts_Generator {
 		return $prompt;
 	}
 
+	/**
+	 * Ask the model for a short scene description to illustrate a post.
+	 *
+	 * @since    1.0.0
+	 * @param    string $title    Post title.
+	 * @param    string $topic    Original topic.
+	 * @param    string $model    Model to use.
+	 * @return   string           Scene description, or empty on failure.
+	 */
+	private function describe_visual_concept( $title, $topic, $model ) {
+		$prompt = sprintf(
+			"Describe in one or two sentences a photograph that would work as the featured image for a blog post titled \"%s\" (topic: %s).\n\n" .
+			"Describe only visible subjects, setting, lighting and mood. No text, signs, screens or logos. Return only the description.",
+			$title,
+			$topic
+		);
+
+		$result = $this->provider->generate_text( $prompt, 'You are a photo editor choosing stock imagery for blog posts.', array(
+			'model'       => $model,
+			'max_tokens'  => 200,
+			'temperature' => 0.7,
+		) );
+
+		if ( is_wp_error( $result ) ) {
+			if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+				error_log( sprintf( 'AI Blog Posts: Image prompt generation failed: %s', $result->get_error_message() ) );
+			}
+			return '';
+		}
+
+		$this->track_tokens( $result );
+
+		return trim( wp_strip_all_tags( $result['content'] ?? '' ) );
+	}
+
 	/**
 	 * Extract visual concepts from a title for image generation.
 	 *
@@ -1274,6 +2683,40 @@ class Ai_Blog_Posts_Generator {
 		return "the concept of: " . $title . " - shown through relevant objects, environments, and visual metaphors";
 	}
 
+	/**
+	 * Get the status and date for a new post.
+	 *
+	 * A topic with a publish time still ahead is created as a scheduled
+	 * post, whatever the default post status. Once that time has passed
+	 * the post is created with the default status instead.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $options    Generation options.
+	 * @return   array             Post fields: post_status, and post_date when scheduled.
+	 */
+	private function get_post_schedule( $options ) {
+		$schedule = array(
+			'post_status' => $options['publish'] ? 'publish' : Ai_Blog_Posts_Settings::get( 'post_status' ),
+		);
+
+		if ( empty( $options['publish_at'] ) ) {
+			return $schedule;
+		}
+
+		$publish_at = date_create_immutable( $options['publish_at'], wp_timezone() );
+
+		if ( ! $publish_at || $publish_at->getTimestamp() <= time() ) {
+			return $schedule;
+		}
+
+		return array(
+			'post_status'   => 'future',
+			'post_date'     => $publish_at->format( 'Y-m-d H:i:s' ),
+			'post_date_gmt' => get_gmt_from_date( $publish_at->format( 'Y-m-d H:i:s' ) ),
+		);
+	}
+
 	/**
 	 * Extract title from outline.
 	 *
@@ -1457,32 +2900,96 @@ class Ai_Blog_Posts_Generator {
 	}
 
 	/**
-	 * Get system prompt for different generation stages.
+	 * Collect the values for prompt template variables.
+	 *
+	 * @since    1.0.0
+	 * @param    string $topic      The topic.
+	 * @param    array  $options    Generation options.
+	 * @param    array  $extra      Stage-specific values such as the outline or content.
+	 * @return   array              Values keyed by variable name.
+	 */
+	private function get_prompt_variables( $topic, $options, $extra = array() ) {
+		$type = Ai_Blog_Posts_Content_Types::get( $options['content_type'] ?? '' );
+
+		// Some types have a natural length that overrides the configured range
+		$min = $type['word_count'][0] ?? Ai_Blog_Posts_Settings::get( 'word_count_min' );
+		$max = $type['word_count'][1] ?? Ai_Blog_Posts_Settings::get( 'word_count_max' );
+
+		// A voice profile replaces the style picked up by the website analysis
+		$profile = Ai_Blog_Posts_Voice_Profiles::get( $options['voice_profile'] ?? '' );
+		$style = $profile ? Ai_Blog_Posts_Voice_Profiles::get_prompt( $profile ) : $this->analyzer->get_style_prompt( $options['category_id'] ?? 0, Ai_Blog_Posts_Settings::get( 'default_author' ) );
+
+		return array_merge( array(
+			'topic'             => $topic,
+			'keywords'          => $options['keywords'] ?? '',
+			'instructions'      => $options['instructions'] ?? '',
+			'word_count'        => floor( ( $min + $max ) / 2 ),
+			'word_count_min'    => $min,
+			'word_count_max'    => $max,
+			'style'             => $style,
+			'site_name'         => get_bloginfo( 'name' ),
+			'content_type'      => $type['noun'],
+			'outline_structure' => $type['outline'],
+			'content_structure' => $type['content'],
+		), $extra );
+	}
+
+	/**
+	 * Get the numbered rewriting rules shared by humanization and section edits.
 	 *
 	 * @since    1.0.0
-	 * @param    string $stage    Generation stage.
-	 * @return   string           System prompt.
+	 * @return   string    Rules, one per line.
 	 */
-	private function get_system_prompt( $stage ) {
-		$base = "You are an expert blog content writer with years of experience in creating engaging, well-researched articles. ";
-		
-		$prompts = array(
-			'outline' => $base . 
-				"You excel at creating comprehensive outlines that lead to well-structured, valuable content. " .
-				"Your outlines are detailed enough to guide writing but flexible enough to allow creativity.",
-			
-			'content' => $base .
-				"You write in a natural, engaging style that connects with readers. " .
-				"Your content is informative, accurate, and easy to read. " .
-				"You always provide value and actionable insights. " .
-				"You write content that doesn't sound AI-generated - it's authentic and personable. " .
-				"Avoid clichés, filler phrases, and overly formal language. " .
-				"IMPORTANT: Never use these phrases: 'dive into', 'delve into', 'let's explore', " .
-				"'in today's fast-paced world', 'it's important to note', 'at the end of the day', " .
-				"'game-changer', 'leverage', 'synergy', 'unlock the power of'.",
+	private function get_humanize_rules() {
+		return "1. Output ONLY the rewritten HTML content - no explanations or questions\n" .
+			"2. Vary sentence structures and lengths\n" .
+			"3. Add conversational elements where appropriate\n" .
+			"4. Use more varied vocabulary\n" .
+			"5. Remove robotic or formulaic patterns\n" .
+			"6. NEVER use: 'dive into', 'delve into', 'it's important to note', 'in today's world', 'in conclusion', 'firstly/secondly/thirdly', 'game-changer', 'leverage', 'unlock', 'landscape', 'tapestry'\n" .
+			"7. PRESERVE all HTML tags (<h2>, <h3>, <p>, <ul>, <li>, etc.)";
+	}
+
+	/**
+	 * Get the model for a generation stage.
+	 *
+	 * @since    1.0.0
+	 * @param    array  $options    Generation options.
+	 * @param    string $stage      Stage key from Ai_Blog_Posts_Settings::get_model_stages().
+	 * @return   string             Model ID, or empty for the built-in image prompt.
+	 */
+	private function get_step_model( $options, $stage ) {
+		if ( isset( $options['step_models'][ $stage ] ) ) {
+			return $options['step_models'][ $stage ];
+		}
+
+		return 'image_prompt' === $stage ? '' : $options['model'];
+	}
+
+	/**
+	 * Work out what a finished step used and cost.
+	 *
+	 * @since    1.0.0
+	 * @param    string $step            Step name.
+	 * @param    array  $options         Generation options.
+	 * @param    array  $usage_before    Token usage before the step ran.
+	 * @param    mixed  $result          Step result.
+	 * @return   array                   Model, tokens and cost in USD.
+	 */
+	private function get_step_cost( $step, $options, $usage_before, $result ) {
+		$cost = array(
+			'model'    => in_array( $step, array( 'outline', 'content', 'humanize', 'seo' ), true ) ? $this->get_step_model( $options, $step ) : '',
+			'tokens'   => $this->token_usage['total_tokens'] - $usage_before['total_tokens'],
+			'cost_usd' => round( $this->token_usage['cost_usd'] - $usage_before['cost_usd'], 6 ),
 		);
 
-		return $prompts[ $stage ] ?? $base;
+		// The image step pays for the picture on top of any prompt tokens
+		if ( 'image' === $step ) {
+			$cost['model'] = Ai_Blog_Posts_Settings::get( 'image_model' );
+			$cost['cost_usd'] += $result['cost_usd'] ?? 0;
+		}
+
+		return $cost;
 	}
 
 	/**
@@ -1506,8 +3013,9 @@ class Ai_Blog_Posts_Generator {
 	 * @param    WP_Error $error       Error object.
 	 * @param    array    $options     Options.
 	 * @param    float    $start_time  Start timestamp.
+	 * @param    float    $image_cost  Image spend to record, e.g. discarded candidates.
 	 */
-	private function log_failure( $topic, $error, $options, $start_time ) {
+	private function log_failure( $topic, $error, $options, $start_time, $image_cost = 0 ) {
 		$this->cost_tracker->log( array(
 			'post_id'           => null,
 			'model_used'        => $options['model'],
@@ -1515,7 +3023,7 @@ class Ai_Blog_Posts_Generator {
 			'completion_tokens' => $this->token_usage['completion_tokens'],
 			'total_tokens'      => $this->token_usage['total_tokens'],
 			'cost_usd'          => $this->token_usage['cost_usd'],
-			'image_cost_usd'    => 0,
+			'image_cost_usd'    => $image_cost,
 			'generation_time'   => microtime( true ) - $start_time,
 			'topic_source'      => $options['source'],
 			'status'            => 'failed',
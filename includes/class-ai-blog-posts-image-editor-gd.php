@@ -0,0 +1,75 @@
+<?php
+
+/**
+ * GD image editor with watermark support
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Adds a watermark overlay and metadata stripping to WordPress's GD image editor.
+ *
+ * Only loaded by Ai_Blog_Posts_Image_Processor, after the core editor
+ * classes it extends.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Image_Editor_GD extends WP_Image_Editor_GD {
+
+	/**
+	 * Draw another image over this one.
+	 *
+	 * @since    1.0.0
+	 * @param    string $file        Path to the watermark image.
+	 * @param    string $position    Corner, or "center".
+	 * @param    int    $size        Watermark width as a percentage of the image width.
+	 * @param    int    $opacity     Watermark opacity, 0 to 100.
+	 * @return   true|WP_Error
+	 */
+	public function overlay( $file, $position, $size, $opacity ) {
+		$contents = file_get_contents( $file );
+		$watermark = $contents ? imagecreatefromstring( $contents ) : false;
+		if ( ! $watermark ) {
+			return new WP_Error( 'image_overlay_error', __( 'Could not read the watermark image.', 'ai-blog-posts' ) );
+		}
+
+		$width = max( 1, (int) round( $this->size['width'] * $size / 100 ) );
+		$height = max( 1, (int) round( imagesy( $watermark ) * $width / imagesx( $watermark ) ) );
+
+		$scaled = wp_imagecreatetruecolor( $width, $height );
+		imagecopyresampled( $scaled, $watermark, 0, 0, 0, 0, $width, $height, imagesx( $watermark ), imagesy( $watermark ) );
+		imagedestroy( $watermark );
+
+		// GD alpha runs from 0 (opaque) to 127 (transparent)
+		if ( $opacity < 100 ) {
+			imagefilter( $scaled, IMG_FILTER_COLORIZE, 0, 0, 0, (int) round( 127 * ( 100 - $opacity ) / 100 ) );
+		}
+
+		list( $x, $y ) = Ai_Blog_Posts_Image_Processor::get_watermark_position( $this->size['width'], $this->size['height'], $width, $height, $position );
+
+		imagealphablending( $this->image, true );
+		imagecopy( $this->image, $scaled, $x, $y, 0, 0, $width, $height );
+		imagedestroy( $scaled );
+
+		return true;
+	}
+
+	/**
+	 * Remove metadata from the saved image.
+	 *
+	 * GD never writes metadata when it saves, so there is nothing to do.
+	 *
+	 * @since    1.0.0
+	 * @return   true
+	 */
+	public function strip_metadata() {
+		return true;
+	}
+}
@@ -0,0 +1,71 @@
+<?php
+
+/**
+ * Imagick image editor with watermark support
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Adds a watermark overlay and metadata stripping to WordPress's Imagick image editor.
+ *
+ * Only loaded by Ai_Blog_Posts_Image_Processor, after the core editor
+ * classes it extends.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Image_Editor_Imagick extends WP_Image_Editor_Imagick {
+
+	/**
+	 * Draw another image over this one.
+	 *
+	 * @since    1.0.0
+	 * @param    string $file        Path to the watermark image.
+	 * @param    string $position    Corner, or "center".
+	 * @param    int    $size        Watermark width as a percentage of the image width.
+	 * @param    int    $opacity     Watermark opacity, 0 to 100.
+	 * @return   true|WP_Error
+	 */
+	public function overlay( $file, $position, $size, $opacity ) {
+		try {
+			$watermark = new Imagick( $file );
+
+			$width = max( 1, (int) round( $this->size['width'] * $size / 100 ) );
+			$watermark->scaleImage( $width, 0 );
+			$height = $watermark->getImageHeight();
+
+			if ( $opacity < 100 ) {
+				$watermark->setImageAlphaChannel( Imagick::ALPHACHANNEL_ACTIVATE );
+				$watermark->evaluateImage( Imagick::EVALUATE_MULTIPLY, $opacity / 100, Imagick::CHANNEL_ALPHA );
+			}
+
+			list( $x, $y ) = Ai_Blog_Posts_Image_Processor::get_watermark_position( $this->size['width'], $this->size['height'], $width, $height, $position );
+
+			$this->image->compositeImage( $watermark, Imagick::COMPOSITE_OVER, $x, $y );
+			$watermark->clear();
+		} catch ( Exception $e ) {
+			return new WP_Error( 'image_overlay_error', $e->getMessage() );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Remove EXIF, IPTC and other metadata, keeping the colour profile.
+	 *
+	 * Core only strips metadata when it makes thumbnails, not on crop().
+	 *
+	 * @since    1.0.0
+	 * @return   true|WP_Error
+	 */
+	public function strip_metadata() {
+		return $this->strip_meta();
+	}
+}
@@ -0,0 +1,273 @@
+<?php
+
+/**
+ * Post-processing for generated images
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Crops, resizes, converts, compresses and watermarks generated images.
+ *
+ * Runs on the downloaded file before it reaches the media library, so
+ * the attachment and every thumbnail WordPress makes from it are built
+ * from the processed image. The work is done by the site's image editor
+ * (Imagick or GD) through small subclasses that add the watermark.
+ *
+ * Options are plain arrays built by from_settings() or from_input(), so
+ * unsaved settings can be previewed.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Image_Processor {
+
+	/**
+	 * Output formats and their MIME types. "original" keeps the source format.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	const FORMATS = array(
+		'webp' => 'image/webp',
+		'avif' => 'image/avif',
+		'jpeg' => 'image/jpeg',
+	);
+
+	/**
+	 * Gap between the watermark and the image edge, as a percentage of the width.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const WATERMARK_MARGIN = 2;
+
+	/**
+	 * Settings the options are built from, keyed by option name.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	const SETTINGS = array(
+		'aspect_ratio'       => 'image_aspect_ratio',
+		'max_width'          => 'image_max_width',
+		'format'             => 'image_format',
+		'quality'            => 'image_quality',
+		'strip_metadata'     => 'image_strip_metadata',
+		'watermark_id'       => 'image_watermark_id',
+		'watermark_position' => 'image_watermark_position',
+		'watermark_size'     => 'image_watermark_size',
+		'watermark_opacity'  => 'image_watermark_opacity',
+	);
+
+	/**
+	 * Build the options from the saved settings.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Options.
+	 */
+	public static function from_settings() {
+		$options = array();
+		foreach ( self::SETTINGS as $option => $key ) {
+			$options[ $option ] = Ai_Blog_Posts_Settings::get( $key );
+		}
+		return $options;
+	}
+
+	/**
+	 * Build the options from unsaved settings, e.g. to preview them.
+	 *
+	 * Values that fail validation fall back to the setting's default.
+	 *
+	 * @since    1.0.0
+	 * @param    array $input    Settings keyed like the saved ones.
+	 * @return   array           Options.
+	 */
+	public static function from_input( $input ) {
+		$options = array();
+		foreach ( self::SETTINGS as $option => $key ) {
+			$definition = Ai_Blog_Posts_Settings::get_definition( $key );
+			$value = isset( $input[ $key ] ) ? Ai_Blog_Posts_Settings::validate( $key, $input[ $key ] ) : null;
+			$options[ $option ] = null === $value || is_wp_error( $value ) ? $definition['default'] : $value;
+		}
+		return $options;
+	}
+
+	/**
+	 * Check whether the server can write an output format.
+	 *
+	 * @since    1.0.0
+	 * @param    string $format    Format key, e.g. "webp".
+	 * @return   bool
+	 */
+	public static function supports_format( $format ) {
+		if ( ! isset( self::FORMATS[ $format ] ) ) {
+			return 'original' === $format;
+		}
+		return wp_image_editor_supports( array( 'mime_type' => self::FORMATS[ $format ] ) );
+	}
+
+	/**
+	 * Process an image file.
+	 *
+	 * Writes a new file next to the source and leaves the source alone,
+	 * so the caller decides what to keep.
+	 *
+	 * @since    1.0.0
+	 * @param    string $file       Path to the source image.
+	 * @param    array  $options    Options from from_settings() or from_input().
+	 * @return   array|WP_Error     Saved file (path, file, width, height, mime-type, filesize) or error.
+	 */
+	public static function process( $file, $options ) {
+		$mime_type = isset( self::FORMATS[ $options['format'] ] ) ? self::FORMATS[ $options['format'] ] : wp_get_image_mime( $file );
+		if ( ! $mime_type ) {
+			return new WP_Error( 'invalid_image', __( 'The file is not an image.', 'ai-blog-posts' ) );
+		}
+		if ( ! self::supports_format( $options['format'] ) ) {
+			return new WP_Error(
+				'format_not_supported',
+				sprintf(
+					/* translators: %s: image format, e.g. AVIF */
+					__( 'This server cannot save %s images. Choose another format.', 'ai-blog-posts' ),
+					strtoupper( $options['format'] )
+				)
+			);
+		}
+
+		$editor = self::get_editor( $file );
+		if ( is_wp_error( $editor ) ) {
+			return $editor;
+		}
+
+		// Crop to the aspect ratio and scale down to the maximum width in one pass
+		$size = $editor->get_size();
+		list( $src_x, $src_y, $src_w, $src_h ) = self::get_crop( $size['width'], $size['height'], $options['aspect_ratio'] );
+		$dst_w = $options['max_width'] ? min( $src_w, (int) $options['max_width'] ) : $src_w;
+		$dst_h = max( 1, (int) round( $src_h * $dst_w / $src_w ) );
+
+		$result = $editor->crop( $src_x, $src_y, $src_w, $src_h, $dst_w, $dst_h );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( $options['strip_metadata'] ) {
+			$result = $editor->strip_metadata();
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+		}
+
+		if ( $options['watermark_id'] ) {
+			$watermark = wp_get_original_image_path( $options['watermark_id'] );
+			if ( ! $watermark || ! file_exists( $watermark ) ) {
+				return new WP_Error( 'watermark_missing', __( 'The watermark image could not be found in the media library.', 'ai-blog-posts' ) );
+			}
+
+			$result = $editor->overlay( $watermark, $options['watermark_position'], $options['watermark_size'], $options['watermark_opacity'] );
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+		}
+
+		$editor->set_quality( (int) $options['quality'] );
+
+		$extension = wp_get_default_extension_for_mime_type( $mime_type );
+		$destination = preg_replace( '/\.[^.\/\\\\]*$/', '', $file ) . '-processed.' . $extension;
+
+		$saved = $editor->save( $destination, $mime_type );
+		if ( is_wp_error( $saved ) ) {
+			return $saved;
+		}
+
+		$saved['extension'] = $extension;
+		if ( ! isset( $saved['filesize'] ) ) {
+			$saved['filesize'] = (int) filesize( $saved['path'] );
+		}
+
+		return $saved;
+	}
+
+	/**
+	 * Work out where to place the watermark.
+	 *
+	 * Used by the image editor subclasses, which only know their own size.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $width              Image width.
+	 * @param    int    $height             Image height.
+	 * @param    int    $watermark_width    Watermark width.
+	 * @param    int    $watermark_height   Watermark height.
+	 * @param    string $position           Corner, or "center".
+	 * @return   array                      X and Y of the watermark's top left corner.
+	 */
+	public static function get_watermark_position( $width, $height, $watermark_width, $watermark_height, $position ) {
+		$margin = (int) round( $width * self::WATERMARK_MARGIN / 100 );
+
+		$x = false !== strpos( $position, 'left' ) ? $margin : $width - $watermark_width - $margin;
+		$y = false !== strpos( $position, 'top' ) ? $margin : $height - $watermark_height - $margin;
+
+		if ( 'center' === $position ) {
+			$x = (int) round( ( $width - $watermark_width ) / 2 );
+			$y = (int) round( ( $height - $watermark_height ) / 2 );
+		}
+
+		return array( max( 0, $x ), max( 0, $y ) );
+	}
+
+	/**
+	 * Get the largest centered crop with the given aspect ratio.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $width     Image width.
+	 * @param    int    $height    Image height.
+	 * @param    string $ratio     Ratio such as "16:9", or "original".
+	 * @return   array             Source x, y, width and height.
+	 */
+	private static function get_crop( $width, $height, $ratio ) {
+		if ( ! preg_match( '/^(\d+):(\d+)$/', (string) $ratio, $matches ) || ! (int) $matches[1] || ! (int) $matches[2] ) {
+			return array( 0, 0, $width, $height );
+		}
+
+		$target = (int) $matches[1] / (int) $matches[2];
+
+		if ( $width / $height > $target ) {
+			$crop_width = (int) round( $height * $target );
+			return array( (int) floor( ( $width - $crop_width ) / 2 ), 0, $crop_width, $height );
+		}
+
+		$crop_height = (int) round( $width / $target );
+		return array( 0, (int) floor( ( $height - $crop_height ) / 2 ), $width, $crop_height );
+	}
+
+	/**
+	 * Load an image with one of the plugin's editors.
+	 *
+	 * @since    1.0.0
+	 * @param    string $file    Path to the image.
+	 * @return   WP_Image_Editor|WP_Error
+	 */
+	private static function get_editor( $file ) {
+		require_once ABSPATH . WPINC . '/class-wp-image-editor.php';
+		require_once ABSPATH . WPINC . '/class-wp-image-editor-gd.php';
+		require_once ABSPATH . WPINC . '/class-wp-image-editor-imagick.php';
+		require_once plugin_dir_path( __FILE__ ) . 'class-ai-blog-posts-image-editor-gd.php';
+		require_once plugin_dir_path( __FILE__ ) . 'class-ai-blog-posts-image-editor-imagick.php';
+
+		$editors = function () {
+			return array( 'Ai_Blog_Posts_Image_Editor_Imagick', 'Ai_Blog_Posts_Image_Editor_GD' );
+		};
+
+		// Downloaded files have a .tmp extension, so pass the real type
+		add_filter( 'wp_image_editors', $editors, 99 );
+		$editor = wp_get_image_editor( $file, array( 'mime_type' => wp_get_image_mime( $file ) ) );
+		remove_filter( 'wp_image_editors', $editors, 99 );
+
+		return $editor;
+	}
+}
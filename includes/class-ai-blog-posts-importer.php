@@ -0,0 +1,671 @@
+<?php
+
+/**
+ * Topic import
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Validates and imports topic rows from spreadsheets.
+ *
+ * The browser parses CSV, TSV and JSON files and maps their columns to topic
+ * fields. XLSX files are read here. Mapped rows come back in chunks, either
+ * as a dry run that only reports problems or as a real import.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Importer {
+
+	/**
+	 * Most rows accepted in one request.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const CHUNK_SIZE = 100;
+
+	/**
+	 * Spreadsheet XML namespace used inside XLSX files.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	private const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+	/**
+	 * Relationship XML namespaces used inside XLSX files.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	private const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+	private const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+	/**
+	 * Duplicate detector shared by every row in the request.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      Ai_Blog_Posts_Duplicates
+	 */
+	private $duplicates;
+
+	/**
+	 * Categories already looked up, keyed by the lowercased value from the file.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      array
+	 */
+	private $categories = array();
+
+	/**
+	 * Last stand-in ID given to a row checked in a dry run.
+	 *
+	 * Negative, so it cannot clash with a queued topic.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      int
+	 */
+	private $preview_id = 0;
+
+	/**
+	 * Initialize the importer.
+	 *
+	 * @since    1.0.0
+	 */
+	public function __construct() {
+		$this->duplicates = new Ai_Blog_Posts_Duplicates();
+	}
+
+	/**
+	 * Get the topic fields a column can be mapped to.
+	 *
+	 * Aliases are header names matched automatically when a file is loaded.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Field ID => label, required flag and aliases.
+	 */
+	public static function get_fields() {
+		return array(
+			'topic'        => array(
+				'label'    => __( 'Topic', 'ai-blog-posts' ),
+				'required' => true,
+				'aliases'  => array( 'topic', 'title', 'post title', 'headline', 'subject', 'idea' ),
+			),
+			'keywords'     => array(
+				'label'    => __( 'Keywords', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'keywords', 'keyword', 'focus keyword', 'focus keywords', 'target keyword', 'tags' ),
+			),
+			'category'     => array(
+				'label'    => __( 'Category', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'category', 'categories', 'category name', 'category slug', 'section' ),
+			),
+			'priority'     => array(
+				'label'    => __( 'Priority', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'priority', 'rank', 'importance' ),
+			),
+			'content_type' => array(
+				'label'    => __( 'Content Type', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'content type', 'content_type', 'type', 'format', 'post type' ),
+			),
+			'voice'        => array(
+				'label'    => __( 'Voice Profile', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'voice', 'voice profile', 'voice_profile', 'brand voice', 'tone of voice' ),
+			),
+			'publish_at'   => array(
+				'label'    => __( 'Publish At', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'publish at', 'publish_at', 'publish date', 'scheduled date', 'schedule', 'date', 'go live' ),
+			),
+			'generate_by'  => array(
+				'label'    => __( 'Generate By', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'generate by', 'generate_by', 'deadline', 'due date', 'due' ),
+			),
+			'instructions' => array(
+				'label'    => __( 'Instructions', 'ai-blog-posts' ),
+				'required' => false,
+				'aliases'  => array( 'instructions', 'notes', 'brief', 'comments', 'additional instructions' ),
+			),
+		);
+	}
+
+	/**
+	 * Read the first worksheet of an XLSX file.
+	 *
+	 * @since    1.0.0
+	 * @param    string    $file    Path to the uploaded file.
+	 * @return   array|WP_Error     Rows of cell values, header row first.
+	 */
+	public static function read_xlsx( $file ) {
+		if ( ! class_exists( 'ZipArchive' ) ) {
+			return new WP_Error( 'xlsx_unsupported', __( 'This server cannot read XLSX files (the PHP zip extension is missing). Save the sheet as CSV and try again.', 'ai-blog-posts' ) );
+		}
+
+		$zip = new ZipArchive();
+		if ( true !== $zip->open( $file ) ) {
+			return new WP_Error( 'xlsx_invalid', __( 'The file is not a valid XLSX workbook.', 'ai-blog-posts' ) );
+		}
+
+		// Text cells point into a shared strings list
+		$strings = array();
+		$shared = $zip->getFromName( 'xl/sharedStrings.xml' );
+		if ( $shared ) {
+			$xml = simplexml_load_string( $shared );
+			if ( $xml ) {
+				foreach ( $xml->children( self::SHEET_NS )->si as $item ) {
+					$strings[] = self::get_string_item_text( $item );
+				}
+			}
+		}
+
+		$sheet = $zip->getFromName( self::get_first_sheet_path( $zip ) );
+		$zip->close();
+
+		$xml = $sheet ? simplexml_load_string( $sheet ) : false;
+		if ( ! $xml ) {
+			return new WP_Error( 'xlsx_invalid', __( 'Could not find a worksheet in the file.', 'ai-blog-posts' ) );
+		}
+
+		$rows = array();
+		foreach ( $xml->children( self::SHEET_NS )->sheetData->row as $row ) {
+			$values = array();
+
+			foreach ( $row->children( self::SHEET_NS )->c as $cell ) {
+				// Empty cells are left out, so place each value by its column letters
+				$column = self::get_column_index( (string) $cell['r'], count( $values ) );
+				$type = (string) $cell['t'];
+				$children = $cell->children( self::SHEET_NS );
+
+				if ( 's' === $type ) {
+					$value = $strings[ (int) $children->v ] ?? '';
+				} elseif ( 'inlineStr' === $type ) {
+					$value = self::get_string_item_text( $children->is );
+				} else {
+					$value = (string) $children->v;
+				}
+
+				$values = array_pad( $values, $column, '' );
+				$values[ $column ] = $value;
+			}
+
+			$rows[] = $values;
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Find the file holding the first worksheet of an XLSX workbook.
+	 *
+	 * Sheets are listed in workbook order in xl/workbook.xml, and their
+	 * files are named in its relationships. The file name says nothing
+	 * about the order once sheets have been moved or deleted.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    ZipArchive $zip    Open workbook.
+	 * @return   string             Path of the worksheet inside the archive.
+	 */
+	private static function get_first_sheet_path( $zip ) {
+		$default = 'xl/worksheets/sheet1.xml';
+
+		$workbook = $zip->getFromName( 'xl/workbook.xml' );
+		$rels = $zip->getFromName( 'xl/_rels/workbook.xml.rels' );
+		$workbook = $workbook ? simplexml_load_string( $workbook ) : false;
+		$rels = $rels ? simplexml_load_string( $rels ) : false;
+
+		if ( ! $workbook || ! $rels || ! isset( $workbook->children( self::SHEET_NS )->sheets->sheet ) ) {
+			return $default;
+		}
+
+		$sheet = $workbook->children( self::SHEET_NS )->sheets->sheet[0];
+		$id = (string) $sheet->attributes( self::RELATIONSHIP_NS )->id;
+
+		foreach ( $rels->children( self::PACKAGE_RELATIONSHIP_NS )->Relationship as $relationship ) {
+			if ( (string) $relationship['Id'] !== $id ) {
+				continue;
+			}
+
+			// Targets are relative to xl/ unless they start at the package root
+			$target = (string) $relationship['Target'];
+			return '/' === substr( $target, 0, 1 ) ? ltrim( $target, '/' ) : 'xl/' . $target;
+		}
+
+		return $default;
+	}
+
+	/**
+	 * Check rows from earlier chunks of a dry run, so duplicates of them are found.
+	 *
+	 * A dry run imports nothing, so each request only knows the rows it was
+	 * sent. Only rows that would be imported are remembered.
+	 *
+	 * @since    1.0.0
+	 * @param    array    $rows    Rows keyed by field ID.
+	 */
+	public function remember_rows( $rows ) {
+		foreach ( (array) $rows as $row ) {
+			$topic = $this->validate_row( is_array( $row ) ? $row : array(), false );
+
+			if ( ! $topic['errors'] ) {
+				$this->duplicates->remember( --$this->preview_id, $topic['topic'], $topic['keywords'] );
+			}
+		}
+	}
+
+	/**
+	 * Validate rows and, unless this is a dry run, import them.
+	 *
+	 * @since    1.0.0
+	 * @param    array     $rows            Rows keyed by field ID, each with its line number in the file.
+	 * @param    string    $on_duplicate    What to do with duplicates: skip, merge or add.
+	 * @param    bool      $dry_run         Only report what would happen.
+	 * @param    string    $source          Source recorded on imported topics.
+	 * @return   array                      Per-row results and totals.
+	 */
+	public function process( $rows, $on_duplicate = 'skip', $dry_run = true, $source = 'csv' ) {
+		$results = array();
+		$totals = array(
+			'valid'    => 0,
+			'invalid'  => 0,
+			'imported' => 0,
+			'merged'   => 0,
+			'skipped'  => 0,
+		);
+
+		foreach ( array_slice( $rows, 0, self::CHUNK_SIZE ) as $row ) {
+			$line = isset( $row['line'] ) ? absint( $row['line'] ) : 0;
+			$topic = $this->validate_row( $row, ! $dry_run );
+
+			$result = array(
+				'line'     => $line,
+				'topic'    => $topic['topic'],
+				'errors'   => $topic['errors'],
+				'notices'  => $topic['notices'],
+				'category' => $topic['category_label'],
+				'status'   => 'invalid',
+			);
+
+			if ( $topic['errors'] ) {
+				$totals['invalid']++;
+				$results[] = $result;
+				continue;
+			}
+
+			$totals['valid']++;
+			$result['status'] = 'ready';
+
+			if ( 'add' !== $on_duplicate ) {
+				// Word matching only, embedding every row against every candidate is too slow
+				$matches = $this->duplicates->find_matches( $topic['topic'], $topic['keywords'], 0, false );
+
+				if ( $matches ) {
+					$match = $matches[0];
+					$result['duplicate'] = $match;
+					$result['status'] = 'skipped';
+
+					if ( 'merge' === $on_duplicate && 'topic' === $match['type'] && in_array( $match['status'], array( 'pending', 'failed' ), true ) ) {
+						$result['status'] = 'merged';
+
+						if ( ! $dry_run && is_wp_error( $this->duplicates->merge_into( $match['id'], $topic['keywords'], $topic['priority'] ) ) ) {
+							$result['status'] = 'skipped';
+						}
+					}
+
+					$totals[ $result['status'] ]++;
+					$results[] = $result;
+					continue;
+				}
+			}
+
+			if ( ! $dry_run ) {
+				$topic_id = $this->insert_topic( $topic, $source );
+
+				if ( is_wp_error( $topic_id ) ) {
+					$result['status'] = 'invalid';
+					$result['errors'][] = $topic_id->get_error_message();
+					$totals['valid']--;
+					$totals['invalid']++;
+					$results[] = $result;
+					continue;
+				}
+
+				$result['status'] = 'imported';
+				$totals['imported']++;
+			} else {
+				// Later rows in the file are checked against this one, as they are on import
+				$this->duplicates->remember( --$this->preview_id, $topic['topic'], $topic['keywords'] );
+			}
+
+			$results[] = $result;
+		}
+
+		return array(
+			'rows'   => $results,
+			'totals' => $totals,
+		);
+	}
+
+	/**
+	 * Check one row and convert its values to topic columns.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $row                Raw values keyed by field ID.
+	 * @param    bool     $create_category    Create missing categories.
+	 * @return   array                        Topic columns plus errors and notices.
+	 */
+	private function validate_row( $row, $create_category ) {
+		$value = function( $field ) use ( $row ) {
+			return isset( $row[ $field ] ) && is_scalar( $row[ $field ] ) ? trim( (string) $row[ $field ] ) : '';
+		};
+
+		$errors = array();
+		$notices = array();
+
+		$topic = sanitize_text_field( $value( 'topic' ) );
+		if ( '' === $topic ) {
+			$errors[] = __( 'Topic is empty.', 'ai-blog-posts' );
+		} elseif ( strlen( $topic ) > 500 ) {
+			$errors[] = __( 'Topic is longer than 500 characters.', 'ai-blog-posts' );
+		}
+
+		$priority = 0;
+		if ( '' !== $value( 'priority' ) ) {
+			if ( ! is_numeric( $value( 'priority' ) ) || $value( 'priority' ) < 0 || $value( 'priority' ) > 100 ) {
+				$errors[] = __( 'Priority must be a number from 0 to 100.', 'ai-blog-posts' );
+			} else {
+				$priority = (int) round( (float) $value( 'priority' ) );
+			}
+		}
+
+		$content_type = Ai_Blog_Posts_Content_Types::DEFAULT_TYPE;
+		if ( '' !== $value( 'content_type' ) ) {
+			$content_type = $this->resolve_content_type( $value( 'content_type' ) );
+
+			if ( ! $content_type ) {
+				$errors[] = sprintf(
+					/* translators: %s: content type from the file */
+					__( 'Unknown content type "%s".', 'ai-blog-posts' ),
+					$value( 'content_type' )
+				);
+			}
+		}
+
+		// An unknown voice falls back to the category's profile rather than failing the row
+		$voice_profile = '';
+		if ( '' !== $value( 'voice' ) ) {
+			$voice_profile = Ai_Blog_Posts_Voice_Profiles::find( $value( 'voice' ) );
+
+			if ( ! $voice_profile ) {
+				$notices[] = sprintf(
+					/* translators: %s: voice profile from the file */
+					__( 'Unknown voice profile "%s"; the category\'s profile will be used.', 'ai-blog-posts' ),
+					$value( 'voice' )
+				);
+			}
+		}
+
+		$publish_at = null;
+		if ( '' !== $value( 'publish_at' ) ) {
+			$date = self::parse_date( $value( 'publish_at' ) );
+
+			if ( ! $date ) {
+				$errors[] = sprintf(
+					/* translators: %s: date from the file */
+					__( 'Could not read the date "%s".', 'ai-blog-posts' ),
+					$value( 'publish_at' )
+				);
+			} else {
+				$publish_at = $date->format( 'Y-m-d H:i:s' );
+
+				if ( $date->getTimestamp() < time() ) {
+					$notices[] = __( 'Publish date is in the past, so the post will use the default status.', 'ai-blog-posts' );
+				}
+			}
+		}
+
+		$generate_by = null;
+		if ( '' !== $value( 'generate_by' ) ) {
+			$date = self::parse_date( $value( 'generate_by' ) );
+
+			if ( ! $date ) {
+				$errors[] = sprintf(
+					/* translators: %s: date from the file */
+					__( 'Could not read the date "%s".', 'ai-blog-posts' ),
+					$value( 'generate_by' )
+				);
+			} else {
+				$generate_by = $date->format( 'Y-m-d' );
+
+				if ( $publish_at && $generate_by > substr( $publish_at, 0, 10 ) ) {
+					$errors[] = __( 'The generate-by date must not be after the publish date.', 'ai-blog-posts' );
+				} elseif ( $generate_by < current_time( 'Y-m-d' ) ) {
+					$notices[] = __( 'Generate-by date is in the past.', 'ai-blog-posts' );
+				}
+			}
+		}
+
+		$category_id = 0;
+		$category_label = '';
+		if ( '' !== $value( 'category' ) ) {
+			$category_label = sanitize_text_field( $value( 'category' ) );
+			$category_id = $this->resolve_category( $category_label, $create_category );
+
+			if ( is_wp_error( $category_id ) ) {
+				$errors[] = $category_id->get_error_message();
+				$category_id = 0;
+			} elseif ( ! $category_id ) {
+				$notices[] = sprintf(
+					/* translators: %s: category name */
+					__( 'Category "%s" will be created.', 'ai-blog-posts' ),
+					$category_label
+				);
+			}
+		}
+
+		return array(
+			'topic'          => $topic,
+			'keywords'       => sanitize_text_field( $value( 'keywords' ) ),
+			'category_id'    => $category_id,
+			'category_label' => $category_label,
+			'priority'       => $priority,
+			'content_type'   => $content_type,
+			'voice_profile'  => $voice_profile,
+			'publish_at'     => $publish_at,
+			'generate_by'    => $generate_by,
+			'instructions'   => sanitize_textarea_field( $value( 'instructions' ) ),
+			'errors'         => $errors,
+			'notices'        => $notices,
+		);
+	}
+
+	/**
+	 * Add a validated row to the queue.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array     $topic     Topic columns from validate_row().
+	 * @param    string    $source    Where the topic came from.
+	 * @return   int|WP_Error         New topic ID or error.
+	 */
+	private function insert_topic( $topic, $source ) {
+		global $wpdb;
+
+		$inserted = $wpdb->insert(
+			$wpdb->prefix . 'ai_blog_posts_topics',
+			array(
+				'topic'         => $topic['topic'],
+				'keywords'      => $topic['keywords'],
+				'content_type'  => $topic['content_type'],
+				'voice_profile' => $topic['voice_profile'] ? $topic['voice_profile'] : null,
+				'category_id'   => $topic['category_id'],
+				'instructions'  => $topic['instructions'],
+				'publish_at'    => $topic['publish_at'],
+				'generate_by'   => $topic['generate_by'],
+				'source'        => $source,
+				'status'        => 'pending',
+				'priority'      => $topic['priority'],
+				'created_at'    => current_time( 'mysql' ),
+			),
+			array( '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%d', '%s' )
+		);
+
+		if ( ! $inserted ) {
+			return new WP_Error( 'db_error', __( 'Could not save the topic.', 'ai-blog-posts' ) );
+		}
+
+		$this->duplicates->remember( $wpdb->insert_id, $topic['topic'], $topic['keywords'] );
+
+		return $wpdb->insert_id;
+	}
+
+	/**
+	 * Find a category by name or slug, creating it when asked.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string    $category    Category name or slug from the file.
+	 * @param    bool      $create      Create the category if it doesn't exist.
+	 * @return   int|WP_Error           Term ID, 0 if missing and not created, or error.
+	 */
+	private function resolve_category( $category, $create ) {
+		$key = strtolower( $category );
+
+		if ( ! empty( $this->categories[ $key ] ) ) {
+			return $this->categories[ $key ];
+		}
+
+		$term = get_term_by( 'name', $category, 'category' );
+		if ( ! $term ) {
+			$term = get_term_by( 'slug', sanitize_title( $category ), 'category' );
+		}
+
+		if ( $term ) {
+			$this->categories[ $key ] = (int) $term->term_id;
+		} elseif ( $create ) {
+			$new_term = wp_insert_term( $category, 'category' );
+
+			if ( is_wp_error( $new_term ) ) {
+				return $new_term;
+			}
+
+			$this->categories[ $key ] = (int) $new_term['term_id'];
+		} else {
+			return 0;
+		}
+
+		return $this->categories[ $key ];
+	}
+
+	/**
+	 * Match a content type by its ID or label.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string    $value    Content type from the file.
+	 * @return   string              Content type ID, or empty if unknown.
+	 */
+	private function resolve_content_type( $value ) {
+		$value = strtolower( $value );
+
+		foreach ( Ai_Blog_Posts_Content_Types::get_labels() as $type_id => $label ) {
+			if ( strtolower( $type_id ) === $value || strtolower( $label ) === $value || sanitize_key( $label ) === sanitize_key( $value ) ) {
+				return $type_id;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Read a date in the site's timezone.
+	 *
+	 * Spreadsheets often store dates as serial day numbers, so those are
+	 * accepted alongside anything strtotime() understands.
+	 *
+	 * @since    1.0.0
+	 * @param    string    $value    Date from the file.
+	 * @return   DateTimeImmutable|false
+	 */
+	public static function parse_date( $value ) {
+		$timezone = wp_timezone();
+
+		if ( is_numeric( $value ) ) {
+			// Days since 1899-12-30, with the time of day as the fraction
+			if ( $value < 20000 || $value > 80000 ) {
+				return false;
+			}
+
+			$date = new DateTimeImmutable( '1899-12-30 00:00:00', $timezone );
+			return $date->modify( '+' . (int) round( $value * DAY_IN_SECONDS ) . ' seconds' );
+		}
+
+		try {
+			return new DateTimeImmutable( $value, $timezone );
+		} catch ( Exception $e ) {
+			return false;
+		}
+	}
+
+	/**
+	 * Get the zero-based column index from a cell reference such as "C7".
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string    $reference    Cell reference.
+	 * @param    int       $fallback     Index to use when the reference is missing.
+	 * @return   int
+	 */
+	private static function get_column_index( $reference, $fallback ) {
+		if ( ! preg_match( '/^([A-Z]+)/', $reference, $matches ) ) {
+			return $fallback;
+		}
+
+		$index = 0;
+		foreach ( str_split( $matches[1] ) as $letter ) {
+			$index = $index * 26 + ( ord( $letter ) - 64 );
+		}
+
+		return $index - 1;
+	}
+
+	/**
+	 * Join the text runs of a shared or inline string.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    SimpleXMLElement    $item    The si or is element.
+	 * @return   string
+	 */
+	private static function get_string_item_text( $item ) {
+		$children = $item->children( self::SHEET_NS );
+
+		if ( isset( $children->t ) ) {
+			return (string) $children->t;
+		}
+
+		$text = '';
+		foreach ( $children->r as $run ) {
+			$text .= (string) $run->children( self::SHEET_NS )->t;
+		}
+
+		return $text;
+	}
+}
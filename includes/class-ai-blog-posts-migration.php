@@ -0,0 +1,735 @@
+<?php
+
+/**
+ * Configuration export and import
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Moves the plugin's configuration between sites as a JSON file.
+ *
+ * An export holds the settings (without API keys), prompt templates and
+ * presets, the cached website analysis, voice profiles and the topics
+ * still waiting in the queue. Imports are checked against the setting definitions first, and
+ * values tied to one site (authors, categories) travel by name.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Migration {
+
+	/**
+	 * Export file format, bumped when the layout changes.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const FORMAT = 1;
+
+	/**
+	 * Settings that never leave the site.
+	 *
+	 * API keys are secrets encrypted with this site's salts, and the
+	 * verified flag only holds for the key on this site. The watermark
+	 * is an attachment in this site's media library. The analysis
+	 * settings travel in their own section.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	private const EXCLUDED_SETTINGS = array(
+		'api_key',
+		'anthropic_api_key',
+		'gemini_api_key',
+		'compatible_api_key',
+		'api_verified',
+		'image_watermark_id',
+		'website_context',
+		'last_analysis',
+	);
+
+	/**
+	 * Get the parts of the configuration that can be exported.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Section ID => label.
+	 */
+	public static function get_sections() {
+		return array(
+			'settings' => __( 'Settings (without API keys)', 'ai-blog-posts' ),
+			'prompts'  => __( 'Prompt templates and presets', 'ai-blog-posts' ),
+			'analysis' => __( 'Website analysis', 'ai-blog-posts' ),
+			'voices'   => __( 'Voice profiles', 'ai-blog-posts' ),
+			'topics'   => __( 'Topic queue (topics not yet generated)', 'ai-blog-posts' ),
+		);
+	}
+
+	/**
+	 * Build the export data.
+	 *
+	 * @since    1.0.0
+	 * @param    array    $sections    Section IDs to include.
+	 * @return   array                 Data ready to encode as JSON.
+	 */
+	public function export( $sections ) {
+		$data = array(
+			'plugin'      => 'ai-blog-posts',
+			'format'      => self::FORMAT,
+			'version'     => AI_BLOG_POSTS_VERSION,
+			'site'        => home_url(),
+			'exported_at' => gmdate( 'c' ),
+		);
+
+		if ( in_array( 'settings', $sections, true ) ) {
+			$data['settings'] = array();
+
+			foreach ( array_keys( Ai_Blog_Posts_Settings::get_definitions() ) as $key ) {
+				if ( ! in_array( $key, self::EXCLUDED_SETTINGS, true ) ) {
+					$data['settings'][ $key ] = $this->export_setting( $key, Ai_Blog_Posts_Settings::get( $key ) );
+				}
+			}
+		}
+
+		if ( in_array( 'prompts', $sections, true ) ) {
+			$data['prompts'] = array(
+				'templates' => get_option( Ai_Blog_Posts_Prompts::OPTION, array() ),
+				'presets'   => Ai_Blog_Posts_Prompts::get_presets(),
+			);
+		}
+
+		if ( in_array( 'analysis', $sections, true ) ) {
+			$data['analysis'] = array(
+				'website_context' => Ai_Blog_Posts_Settings::get( 'website_context' ),
+				'last_analysis'   => Ai_Blog_Posts_Settings::get( 'last_analysis' ),
+				'scoped'          => $this->export_scoped_analyses(),
+			);
+		}
+
+		if ( in_array( 'voices', $sections, true ) ) {
+			$data['voices'] = $this->export_voices();
+		}
+
+		if ( in_array( 'topics', $sections, true ) ) {
+			$data['topics'] = $this->export_topics();
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Check an export file and report what importing it would change.
+	 *
+	 * @since    1.0.0
+	 * @param    array    $data          Decoded export file.
+	 * @param    array    $sections      Section IDs to import.
+	 * @param    string   $topic_mode    'append' to add to the queue or 'replace' to swap it.
+	 * @return   array|WP_Error          Report per section, or error if the file can't be used.
+	 */
+	public function validate( $data, $sections, $topic_mode = 'append' ) {
+		return $this->run( $data, $sections, $topic_mode, true );
+	}
+
+	/**
+	 * Import an export file.
+	 *
+	 * Invalid settings and topics are skipped and listed in the report,
+	 * everything else is saved.
+	 *
+	 * @since    1.0.0
+	 * @param    array    $data          Decoded export file.
+	 * @param    array    $sections      Section IDs to import.
+	 * @param    string   $topic_mode    'append' to add to the queue or 'replace' to swap it.
+	 * @return   array|WP_Error          Report per section, or error if the file can't be used.
+	 */
+	public function import( $data, $sections, $topic_mode = 'append' ) {
+		return $this->run( $data, $sections, $topic_mode, false );
+	}
+
+	/**
+	 * Validate and optionally import each chosen section.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $data          Decoded export file.
+	 * @param    array    $sections      Section IDs to import.
+	 * @param    string   $topic_mode    'append' or 'replace'.
+	 * @param    bool     $dry_run       Only report what would happen.
+	 * @return   array|WP_Error
+	 */
+	private function run( $data, $sections, $topic_mode, $dry_run ) {
+		if ( ! is_array( $data ) || ( $data['plugin'] ?? '' ) !== 'ai-blog-posts' ) {
+			return new WP_Error( 'invalid_file', __( 'This is not an AI Blog Posts export file.', 'ai-blog-posts' ) );
+		}
+
+		if ( (int) ( $data['format'] ?? 0 ) > self::FORMAT ) {
+			return new WP_Error( 'newer_format', __( 'This file was exported by a newer version of the plugin. Update the plugin and try again.', 'ai-blog-posts' ) );
+		}
+
+		$sections = array_values( array_intersect( $sections, array_keys( self::get_sections() ) ) );
+		$sections = array_filter( $sections, function( $section ) use ( $data ) {
+			return isset( $data[ $section ] ) && is_array( $data[ $section ] );
+		} );
+
+		if ( empty( $sections ) ) {
+			return new WP_Error( 'nothing_to_import', __( 'The file has none of the chosen sections.', 'ai-blog-posts' ) );
+		}
+
+		$report = array(
+			'site'        => esc_url_raw( $data['site'] ?? '' ),
+			'exported_at' => sanitize_text_field( $data['exported_at'] ?? '' ),
+			'sections'    => array(),
+		);
+
+		foreach ( $sections as $section ) {
+			$method = 'import_' . $section;
+			$report['sections'][ $section ] = $this->$method( $data[ $section ], $dry_run, $topic_mode );
+		}
+
+		return $report;
+	}
+
+	/**
+	 * Validate and save settings.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $settings    Setting values keyed by setting key.
+	 * @param    bool     $dry_run     Only report what would happen.
+	 * @return   array                 Counts, changed keys, errors and notices.
+	 */
+	private function import_settings( $settings, $dry_run ) {
+		$result = array(
+			'count'   => 0,
+			'changed' => array(),
+			'errors'  => array(),
+			'notices' => array(),
+		);
+		$schedule_changed = false;
+
+		foreach ( $settings as $key => $value ) {
+			if ( in_array( $key, self::EXCLUDED_SETTINGS, true ) ) {
+				$result['notices'][] = sprintf(
+					/* translators: %s: setting key */
+					__( '"%s" is never imported.', 'ai-blog-posts' ),
+					$key
+				);
+				continue;
+			}
+
+			$value = $this->import_setting( $key, $value, $result['notices'] );
+			$value = Ai_Blog_Posts_Settings::validate( $key, $value );
+
+			if ( is_wp_error( $value ) ) {
+				$result['errors'][] = $value->get_error_message();
+				continue;
+			}
+
+			$result['count']++;
+
+			if ( Ai_Blog_Posts_Settings::get( $key ) === $value ) {
+				continue;
+			}
+
+			$result['changed'][] = $key;
+
+			if ( ! $dry_run ) {
+				Ai_Blog_Posts_Settings::set( $key, $value );
+			}
+
+			if ( in_array( $key, Ai_Blog_Posts_Scheduler::SCHEDULE_SETTINGS, true ) ) {
+				$schedule_changed = true;
+			}
+		}
+
+		if ( ! $dry_run && $schedule_changed ) {
+			$scheduler = new Ai_Blog_Posts_Scheduler();
+			$scheduler->reschedule();
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Validate and save prompt templates and presets.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $prompts    Templates and presets.
+	 * @param    bool     $dry_run    Only report what would happen.
+	 * @return   array                Counts, errors and notices.
+	 */
+	private function import_prompts( $prompts, $dry_run ) {
+		$result = array(
+			'count'   => 0,
+			'errors'  => array(),
+			'notices' => array(),
+		);
+
+		$templates = isset( $prompts['templates'] ) && is_array( $prompts['templates'] ) ? $prompts['templates'] : array();
+		$clean = Ai_Blog_Posts_Prompts::sanitize( $templates );
+
+		if ( is_wp_error( $clean ) ) {
+			$result['errors'][] = $clean->get_error_message();
+		} else {
+			$result['count'] += count( $clean );
+
+			if ( ! $dry_run ) {
+				// Stages missing from the file go back to their defaults
+				Ai_Blog_Posts_Prompts::reset();
+				Ai_Blog_Posts_Prompts::save( $clean );
+			}
+		}
+
+		$presets = isset( $prompts['presets'] ) && is_array( $prompts['presets'] ) ? $prompts['presets'] : array();
+
+		foreach ( $presets as $name => $preset_templates ) {
+			$clean = Ai_Blog_Posts_Prompts::sanitize( $preset_templates );
+
+			if ( is_wp_error( $clean ) ) {
+				$result['errors'][] = sprintf(
+					/* translators: 1: preset name, 2: error message */
+					__( 'Preset "%1$s": %2$s', 'ai-blog-posts' ),
+					$name,
+					$clean->get_error_message()
+				);
+				continue;
+			}
+
+			$result['count']++;
+
+			if ( isset( Ai_Blog_Posts_Prompts::get_presets()[ $name ] ) ) {
+				$result['notices'][] = sprintf(
+					/* translators: %s: preset name */
+					__( 'Preset "%s" will be replaced.', 'ai-blog-posts' ),
+					$name
+				);
+			}
+
+			if ( ! $dry_run ) {
+				Ai_Blog_Posts_Prompts::save_preset( $name, $clean );
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Save the cached website analysis.
+	 *
+	 * Category and author analyses are matched by slug and login.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $analysis    Website context, analysis date and scoped analyses.
+	 * @param    bool     $dry_run     Only report what would happen.
+	 * @return   array                 Counts, errors and notices.
+	 */
+	private function import_analysis( $analysis, $dry_run ) {
+		$result = array(
+			'count'   => 0,
+			'errors'  => array(),
+			'notices' => array(),
+		);
+
+		$context = isset( $analysis['website_context'] ) && is_string( $analysis['website_context'] ) ? $analysis['website_context'] : '';
+		$scoped = isset( $analysis['scoped'] ) && is_array( $analysis['scoped'] ) ? $analysis['scoped'] : array();
+
+		if ( '' === $context && ! $scoped ) {
+			$result['notices'][] = __( 'The file has no website analysis.', 'ai-blog-posts' );
+			return $result;
+		}
+
+		// Analyses are stored as JSON, hand-written context as plain text
+		if ( '{' === substr( ltrim( $context ), 0, 1 ) && null === json_decode( $context ) ) {
+			$result['errors'][] = __( 'The website analysis is damaged.', 'ai-blog-posts' );
+			return $result;
+		}
+
+		$analyses = array();
+		foreach ( $scoped as $key => $scoped_analysis ) {
+			list( $type, $name ) = explode( ':', $key . ':' );
+			$id = 0;
+
+			if ( 'category' === $type ) {
+				$category = get_category_by_slug( $name );
+				$id = $category ? (int) $category->term_id : 0;
+			} elseif ( 'author' === $type ) {
+				$user = get_user_by( 'login', $name );
+				$id = $user ? (int) $user->ID : 0;
+			}
+
+			if ( ! $id || ! is_array( $scoped_analysis ) ) {
+				$result['notices'][] = sprintf(
+					/* translators: %s: analysis scope, e.g. category:news */
+					__( 'The analysis for "%s" was left out because it does not exist here.', 'ai-blog-posts' ),
+					$key
+				);
+				continue;
+			}
+
+			$scoped_analysis['scope'] = $type . ':' . $id;
+			$analyses[ $scoped_analysis['scope'] ] = $scoped_analysis;
+		}
+
+		$result['count'] = ( '' === $context ? 0 : 1 ) + count( $analyses );
+		if ( $result['count'] ) {
+			$result['notices'][] = __( 'The analysis describes the exported site. Run a new analysis once this site has its own posts.', 'ai-blog-posts' );
+		}
+
+		if ( ! $dry_run ) {
+			if ( '' !== $context ) {
+				Ai_Blog_Posts_Settings::set( 'website_context', $context );
+				Ai_Blog_Posts_Settings::set( 'last_analysis', sanitize_text_field( $analysis['last_analysis'] ?? '' ) );
+			}
+
+			if ( $analyses ) {
+				update_option( Ai_Blog_Posts_Analyzer::OPTION, array_merge( get_option( Ai_Blog_Posts_Analyzer::OPTION, array() ), $analyses ), false );
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Validate and save voice profiles.
+	 *
+	 * Profiles with the same ID are replaced. Categories are matched by slug.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $voices     Exported profiles keyed by ID.
+	 * @param    bool     $dry_run    Only report what would happen.
+	 * @return   array                Counts, errors and notices.
+	 */
+	private function import_voices( $voices, $dry_run ) {
+		$result = array(
+			'count'   => 0,
+			'errors'  => array(),
+			'notices' => array(),
+		);
+
+		foreach ( $voices as $id => $profile ) {
+			if ( ! is_array( $profile ) ) {
+				continue;
+			}
+
+			$profile['id'] = $id;
+			$profile['categories'] = $this->import_setting( 'categories', (array) ( $profile['categories'] ?? array() ), $result['notices'] );
+			$clean = Ai_Blog_Posts_Voice_Profiles::sanitize( $profile );
+
+			if ( is_wp_error( $clean ) ) {
+				$result['errors'][] = sprintf(
+					/* translators: 1: profile ID, 2: error message */
+					__( 'Voice profile "%1$s": %2$s', 'ai-blog-posts' ),
+					$id,
+					$clean->get_error_message()
+				);
+				continue;
+			}
+
+			$result['count']++;
+
+			if ( Ai_Blog_Posts_Voice_Profiles::get( $clean['id'] ) ) {
+				$result['notices'][] = sprintf(
+					/* translators: %s: profile name */
+					__( 'Voice profile "%s" will be replaced.', 'ai-blog-posts' ),
+					$clean['name']
+				);
+			}
+
+			if ( ! $dry_run ) {
+				$saved = Ai_Blog_Posts_Voice_Profiles::save( $clean );
+
+				if ( is_wp_error( $saved ) ) {
+					$result['count']--;
+					$result['errors'][] = sprintf(
+						/* translators: 1: profile ID, 2: error message */
+						__( 'Voice profile "%1$s": %2$s', 'ai-blog-posts' ),
+						$id,
+						$saved->get_error_message()
+					);
+				}
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Validate and add topics to the queue.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array     $topics        Exported topics.
+	 * @param    bool      $dry_run       Only report what would happen.
+	 * @param    string    $topic_mode    'append' or 'replace'.
+	 * @return   array                    Counts, errors and notices.
+	 */
+	private function import_topics( $topics, $dry_run, $topic_mode ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$result = array(
+			'count'   => 0,
+			'skipped' => 0,
+			'errors'  => array(),
+			'notices' => array(),
+		);
+
+		if ( 'replace' === $topic_mode ) {
+			$removed = (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status IN ('pending', 'failed')" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+			if ( $removed ) {
+				$result['notices'][] = sprintf(
+					/* translators: %d: number of topics */
+					__( '%d pending or failed topic(s) will be removed from the queue first.', 'ai-blog-posts' ),
+					$removed
+				);
+			}
+
+			if ( ! $dry_run ) {
+				$wpdb->query( "DELETE FROM $table WHERE status IN ('pending', 'failed')" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			}
+		}
+
+		// Appending twice should not double the queue, replacing starts clean
+		$on_duplicate = 'replace' === $topic_mode ? 'add' : 'skip';
+		$importer = new Ai_Blog_Posts_Importer();
+
+		$rows = array();
+		foreach ( array_values( $topics ) as $index => $topic ) {
+			$rows[] = array_merge( is_array( $topic ) ? $topic : array(), array( 'line' => $index + 1 ) );
+		}
+
+		foreach ( array_chunk( $rows, Ai_Blog_Posts_Importer::CHUNK_SIZE ) as $chunk ) {
+			$processed = $importer->process( $chunk, $on_duplicate, $dry_run, 'import' );
+
+			$result['count'] += $dry_run ? $processed['totals']['valid'] - $processed['totals']['skipped'] : $processed['totals']['imported'];
+			$result['skipped'] += $processed['totals']['skipped'];
+
+			foreach ( $processed['rows'] as $row ) {
+				if ( $row['errors'] ) {
+					$result['errors'][] = sprintf(
+						/* translators: 1: topic number, 2: error messages */
+						__( 'Topic %1$d: %2$s', 'ai-blog-posts' ),
+						$row['line'],
+						implode( ' ', $row['errors'] )
+					);
+				}
+			}
+		}
+
+		if ( $result['skipped'] ) {
+			$result['notices'][] = sprintf(
+				/* translators: %d: number of topics */
+				__( '%d topic(s) already in the queue or published will be skipped.', 'ai-blog-posts' ),
+				$result['skipped']
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the queued topics in the layout the importer reads.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Topics in queue order.
+	 */
+	private function export_topics() {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$topics = $wpdb->get_results(
+			"SELECT * FROM $table WHERE status <> 'completed' ORDER BY " . Ai_Blog_Posts_Scheduler::QUEUE_ORDER // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		);
+
+		$export = array();
+		foreach ( $topics as $topic ) {
+			$category = $topic->category_id ? get_category( $topic->category_id ) : null;
+			$voice = Ai_Blog_Posts_Voice_Profiles::get( (string) $topic->voice_profile );
+
+			$export[] = array(
+				'topic'        => $topic->topic,
+				'keywords'     => (string) $topic->keywords,
+				'category'     => $category && ! is_wp_error( $category ) ? $category->name : '',
+				'priority'     => (int) $topic->priority,
+				'content_type' => $topic->content_type,
+				'voice'        => $voice ? $voice['name'] : '',
+				'publish_at'   => (string) $topic->publish_at,
+				'generate_by'  => (string) $topic->generate_by,
+				'instructions' => (string) $topic->instructions,
+			);
+		}
+
+		return $export;
+	}
+
+	/**
+	 * Get the voice profiles with categories by slug.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Profiles keyed by ID.
+	 */
+	private function export_voices() {
+		$export = array();
+
+		foreach ( Ai_Blog_Posts_Voice_Profiles::get_all() as $id => $profile ) {
+			unset( $profile['id'] );
+			$profile['categories'] = $this->export_setting( 'categories', $profile['categories'] );
+			$export[ $id ] = $profile;
+		}
+
+		return $export;
+	}
+
+	/**
+	 * Get the category and author analyses keyed by category slug or user login.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Analyses keyed like "category:news" or "author:jane".
+	 */
+	private function export_scoped_analyses() {
+		$export = array();
+
+		foreach ( get_option( Ai_Blog_Posts_Analyzer::OPTION, array() ) as $scope => $analysis ) {
+			list( $type, $id ) = Ai_Blog_Posts_Analyzer::parse_scope( $scope );
+
+			if ( 'category' === $type ) {
+				$category = get_category( $id );
+				$name = $category && ! is_wp_error( $category ) ? $category->slug : '';
+			} else {
+				$user = get_userdata( $id );
+				$name = $user ? $user->user_login : '';
+			}
+
+			if ( '' !== $name ) {
+				unset( $analysis['scope'] );
+				$export[ $type . ':' . $name ] = $analysis;
+			}
+		}
+
+		return $export;
+	}
+
+	/**
+	 * Replace site-specific IDs in a setting with portable names.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string    $key      Setting key.
+	 * @param    mixed     $value    Setting value.
+	 * @return   mixed
+	 */
+	private function export_setting( $key, $value ) {
+		if ( 'default_author' === $key ) {
+			$user = get_userdata( $value );
+			return $user ? $user->user_login : '';
+		}
+
+		if ( 'categories' === $key ) {
+			$slugs = array();
+			foreach ( $value as $category_id ) {
+				$category = get_category( $category_id );
+				if ( $category && ! is_wp_error( $category ) ) {
+					$slugs[] = $category->slug;
+				}
+			}
+			return $slugs;
+		}
+
+		if ( 'schedule_category_cadence' === $key ) {
+			$rules = array();
+			foreach ( $value as $rule ) {
+				list( $category_id, $days ) = explode( ':', $rule . ':' );
+				$category = get_category( (int) $category_id );
+				if ( $category && ! is_wp_error( $category ) ) {
+					$rules[] = $category->slug . ':' . $days;
+				}
+			}
+			return $rules;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Turn the portable names of export_setting() back into IDs on this site.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string    $key        Setting key.
+	 * @param    mixed     $value      Value from the file.
+	 * @param    array     $notices    Messages about values that were not found, added to.
+	 * @return   mixed
+	 */
+	private function import_setting( $key, $value, &$notices ) {
+		if ( 'default_author' === $key && is_string( $value ) ) {
+			$user = get_user_by( 'login', $value );
+
+			if ( ! $user ) {
+				$notices[] = sprintf(
+					/* translators: %s: user login */
+					__( 'User "%s" does not exist here, the default author is unchanged.', 'ai-blog-posts' ),
+					$value
+				);
+				return Ai_Blog_Posts_Settings::get( 'default_author' );
+			}
+
+			return $user->ID;
+		}
+
+		if ( 'categories' === $key && is_array( $value ) ) {
+			$category_ids = array();
+
+			foreach ( $value as $slug ) {
+				$category = is_string( $slug ) ? get_category_by_slug( $slug ) : false;
+
+				if ( $category ) {
+					$category_ids[] = (int) $category->term_id;
+				} else {
+					$notices[] = sprintf(
+						/* translators: %s: category slug */
+						__( 'Category "%s" does not exist here and was left out.', 'ai-blog-posts' ),
+						is_scalar( $slug ) ? $slug : ''
+					);
+				}
+			}
+
+			return $category_ids;
+		}
+
+		if ( 'schedule_category_cadence' === $key && is_array( $value ) ) {
+			$rules = array();
+
+			foreach ( $value as $rule ) {
+				list( $slug, $days ) = explode( ':', ( is_string( $rule ) ? $rule : '' ) . ':' );
+				$category = get_category_by_slug( $slug );
+
+				if ( $category ) {
+					$rules[] = $category->term_id . ':' . $days;
+				} else {
+					$notices[] = sprintf(
+						/* translators: %s: category slug */
+						__( 'Category "%s" does not exist here, so its posting cadence was left out.', 'ai-blog-posts' ),
+						$slug
+					);
+				}
+			}
+
+			return $rules;
+		}
+
+		return $value;
+	}
+}
@@ -14,14 +14,15 @@
  * Handles all OpenAI API interactions.
  *
  * Provides methods for text generation (GPT) and image generation (DALL-E)
- * with built-in rate limiting, retry logic, and cost tracking.
+ * with built-in rate limiting, retry logic, and cost tracking. Image
+ * generation always goes through OpenAI, whichever text provider is chosen.
  *
  * @since      1.0.0
  * @package    Ai_Blog_Posts
  * @subpackage Ai_Blog_Posts/includes
  * @author     Ali Azlan <contact@devonicweb.co.uk>
  */
-class Ai_Blog_Posts_OpenAI {
+class Ai_Blog_Posts_OpenAI implements Ai_Blog_Posts_Provider {
 
 	/**
 	 * OpenAI API base URL.
@@ -47,41 +48,62 @@ class Ai_Blog_Posts_OpenAI {
 	 */
 	private const TIMEOUT = 300; // 5 minutes for longer generations
 
+	/**
+	 * Embedding model prices in USD per 1M tokens.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	private const EMBEDDING_COSTS = array(
+		'text-embedding-3-small' => 0.02,
+		'text-embedding-3-large' => 0.13,
+		'text-embedding-ada-002' => 0.10,
+	);
+
 	/**
 	 * The API key.
 	 *
 	 * @since    1.0.0
-	 * @access   private
+	 * @access   protected
 	 * @var      string
 	 */
-	private $api_key;
+	protected $api_key;
 
 	/**
 	 * The organization ID.
 	 *
 	 * @since    1.0.0
-	 * @access   private
+	 * @access   protected
+	 * @var      string
+	 */
+	protected $org_id;
+
+	/**
+	 * API base URL requests are sent to.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
 	 * @var      string
 	 */
-	private $org_id;
+	protected $api_base = self::API_BASE;
 
 	/**
 	 * Last API response.
 	 *
 	 * @since    1.0.0
-	 * @access   private
+	 * @access   protected
 	 * @var      array
 	 */
-	private $last_response;
+	protected $last_response;
 
 	/**
 	 * Last error message.
 	 *
 	 * @since    1.0.0
-	 * @access   private
+	 * @access   protected
 	 * @var      string
 	 */
-	private $last_error;
+	protected $last_error;
 
 	/**
 	 * Initialize the class.
@@ -95,6 +117,62 @@ class Ai_Blog_Posts_OpenAI {
 		$this->org_id = $org_id ?? Ai_Blog_Posts_Settings::get( 'org_id' );
 	}
 
+	/**
+	 * Get the provider ID.
+	 *
+	 * @since    1.0.0
+	 * @return   string    Provider ID.
+	 */
+	public function get_id() {
+		return 'openai';
+	}
+
+	/**
+	 * Get the provider name used in error messages.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   string    Provider name.
+	 */
+	protected function get_label() {
+		return 'OpenAI';
+	}
+
+	/**
+	 * Whether requests need an API key.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   bool    True if an API key is required.
+	 */
+	protected function requires_api_key() {
+		return true;
+	}
+
+	/**
+	 * Build the request headers.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    string $key    API key.
+	 * @return   array          Headers.
+	 */
+	protected function get_headers( $key ) {
+		$headers = array(
+			'Content-Type' => 'application/json',
+		);
+
+		if ( ! empty( $key ) ) {
+			$headers['Authorization'] = 'Bearer ' . $key;
+		}
+
+		if ( ! empty( $this->org_id ) ) {
+			$headers['OpenAI-Organization'] = $this->org_id;
+		}
+
+		return $headers;
+	}
+
 	/**
 	 * Verify the API key by making a test request.
 	 *
@@ -105,7 +183,7 @@ class Ai_Blog_Posts_OpenAI {
 	public function verify_api_key( $api_key = null ) {
 		$key = $api_key ?? $this->api_key;
 
-		if ( empty( $key ) ) {
+		if ( empty( $key ) && $this->requires_api_key() ) {
 			return array(
 				'success' => false,
 				'message' => __( 'API key is empty.', 'ai-blog-posts' ),
@@ -211,6 +289,11 @@ class Ai_Blog_Posts_OpenAI {
 			error_log( sprintf( 'AI Blog Posts: Making request to /chat/completions with model: %s', $model ) );
 		}
 
+		// Stream the response when the caller wants to follow along
+		if ( ! empty( $options['stream_callback'] ) && is_callable( $options['stream_callback'] ) ) {
+			return $this->generate_text_stream( $body, $options['stream_callback'] );
+		}
+
 		$start_time = microtime( true );
 		$response = $this->make_request( 'POST', '/chat/completions', $body );
 		$generation_time = microtime( true ) - $start_time;
@@ -261,6 +344,189 @@ class Ai_Blog_Posts_OpenAI {
 		);
 	}
 
+	/**
+	 * Generate text with a streamed response.
+	 *
+	 * The callback receives each new chunk and the text so far; returning
+	 * false from it stops the request. A stopped request returns a
+	 * 'generation_stopped' error whose data holds the estimated usage so
+	 * the partial cost can still be logged.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array    $body        Chat completion request body.
+	 * @param    callable $callback    Chunk callback.
+	 * @return   array|WP_Error        Same shape as generate_text() or error.
+	 */
+	private function generate_text_stream( $body, $callback ) {
+		$body['stream'] = true;
+		$body['stream_options'] = array( 'include_usage' => true );
+
+		$start_time = microtime( true );
+		$response = $this->make_stream_request( '/chat/completions', $body, $callback );
+		$generation_time = microtime( true ) - $start_time;
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		// Usage only arrives in the final chunk, so estimate it for stopped requests (~4 chars per token)
+		$usage = $response['usage'];
+		if ( empty( $usage ) ) {
+			$prompt_tokens = (int) ceil( strlen( wp_json_encode( $body['messages'] ) ) / 4 );
+			$completion_tokens = (int) ceil( strlen( $response['content'] ) / 4 );
+			$usage = array(
+				'prompt_tokens'     => $prompt_tokens,
+				'completion_tokens' => $completion_tokens,
+				'total_tokens'      => $prompt_tokens + $completion_tokens,
+			);
+		}
+
+		$result = array(
+			'content'           => $response['content'],
+			'model'             => $body['model'],
+			'prompt_tokens'     => $usage['prompt_tokens'] ?? 0,
+			'completion_tokens' => $usage['completion_tokens'] ?? 0,
+			'total_tokens'      => $usage['total_tokens'] ?? 0,
+			'cost_usd'          => $this->calculate_text_cost(
+				$body['model'],
+				$usage['prompt_tokens'] ?? 0,
+				$usage['completion_tokens'] ?? 0
+			),
+			'generation_time'   => $generation_time,
+			'finish_reason'     => $response['finish_reason'],
+		);
+
+		if ( $response['stopped'] ) {
+			return new WP_Error(
+				'generation_stopped',
+				__( 'Generation stopped.', 'ai-blog-posts' ),
+				$result
+			);
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Make a streaming API request.
+	 *
+	 * Reads the server-sent events as they arrive by swapping in our own cURL
+	 * write function. Transports other than cURL return the whole body at once,
+	 * which is parsed the same way afterwards.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string   $endpoint    API endpoint.
+	 * @param    array    $body        Request body.
+	 * @param    callable $callback    Chunk callback.
+	 * @return   array|WP_Error        Content, usage, finish reason and stopped flag, or error.
+	 */
+	private function make_stream_request( $endpoint, $body, $callback ) {
+		if ( empty( $this->api_key ) && $this->requires_api_key() ) {
+			return new WP_Error(
+				'missing_api_key',
+				/* translators: %s: provider name */
+				sprintf( __( '%s API key is not configured.', 'ai-blog-posts' ), $this->get_label() )
+			);
+		}
+
+		$headers = $this->get_headers( $this->api_key );
+
+		$state = array(
+			'buffer'        => '',
+			'raw'           => '',
+			'content'       => '',
+			'usage'         => array(),
+			'finish_reason' => 'unknown',
+			'stopped'       => false,
+		);
+
+		$parse = function( $chunk ) use ( &$state, $callback ) {
+			$state['raw'] .= $chunk;
+			$state['buffer'] .= $chunk;
+
+			while ( false !== ( $pos = strpos( $state['buffer'], "\n" ) ) ) {
+				$line = trim( substr( $state['buffer'], 0, $pos ) );
+				$state['buffer'] = substr( $state['buffer'], $pos + 1 );
+
+				if ( 0 !== strpos( $line, 'data:' ) ) {
+					continue;
+				}
+
+				$event = json_decode( trim( substr( $line, 5 ) ), true );
+				if ( ! is_array( $event ) ) {
+					continue; // [DONE] marker
+				}
+
+				if ( ! empty( $event['usage'] ) ) {
+					$state['usage'] = $event['usage'];
+				}
+				if ( ! empty( $event['choices'][0]['finish_reason'] ) ) {
+					$state['finish_reason'] = $event['choices'][0]['finish_reason'];
+				}
+
+				$delta = $event['choices'][0]['delta']['content'] ?? '';
+				if ( '' !== $delta ) {
+					$state['content'] .= $delta;
+					if ( false === call_user_func( $callback, $delta, $state['content'] ) ) {
+						$state['stopped'] = true;
+						return false;
+					}
+				}
+			}
+
+			return true;
+		};
+
+		$set_writer = function( $handle ) use ( $parse ) {
+			curl_setopt( $handle, CURLOPT_WRITEFUNCTION, function( $handle, $chunk ) use ( $parse ) {
+				// Returning fewer bytes than received makes cURL abort the transfer
+				return $parse( $chunk ) ? strlen( $chunk ) : 0;
+			} );
+		};
+
+		add_action( 'http_api_curl', $set_writer );
+		$response = wp_remote_post( $this->api_base . $endpoint, array(
+			'headers' => $headers,
+			'timeout' => self::TIMEOUT,
+			'body'    => wp_json_encode( $body ),
+		) );
+		remove_action( 'http_api_curl', $set_writer );
+
+		if ( $state['stopped'] ) {
+			return $state;
+		}
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		// Non-cURL transports hand over the whole body at the end
+		$remaining = wp_remote_retrieve_body( $response );
+		if ( '' !== $remaining ) {
+			$parse( $remaining . "\n" );
+			if ( $state['stopped'] ) {
+				return $state;
+			}
+		}
+
+		$code = wp_remote_retrieve_response_code( $response );
+		if ( $code >= 400 ) {
+			$data = json_decode( $state['raw'], true );
+			$this->last_response = $data;
+			$this->last_error = $data['error']['message'] ?? __( 'API request failed.', 'ai-blog-posts' );
+
+			if ( 401 === $code ) {
+				return new WP_Error( 'invalid_api_key', __( 'Invalid API key. Please check your API key in Settings.', 'ai-blog-posts' ) );
+			}
+
+			return new WP_Error( 'api_error', $this->last_error, array( 'status' => $code ) );
+		}
+
+		return $state;
+	}
+
 	/**
 	 * Check if a model uses max_completion_tokens parameter.
 	 *
@@ -388,6 +654,54 @@ class Ai_Blog_Posts_OpenAI {
 		);
 	}
 
+	/**
+	 * Get embedding vectors for a list of texts.
+	 *
+	 * @since    1.0.0
+	 * @param    array $texts      Texts to embed, at most 2048.
+	 * @param    array $options    Optional model and dimensions.
+	 * @return   array|WP_Error    Vectors in the same order as the texts with usage, or error.
+	 */
+	public function create_embeddings( $texts, $options = array() ) {
+		$model = $options['model'] ?? 'text-embedding-3-small';
+		$body = array(
+			'model' => $model,
+			'input' => array_values( $texts ),
+		);
+
+		if ( ! empty( $options['dimensions'] ) ) {
+			$body['dimensions'] = (int) $options['dimensions'];
+		}
+
+		$response = $this->make_request( 'POST', '/embeddings', $body );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		if ( isset( $response['error'] ) || empty( $response['data'] ) ) {
+			return new WP_Error(
+				'openai_error',
+				$response['error']['message'] ?? __( 'Unknown API error.', 'ai-blog-posts' )
+			);
+		}
+
+		$vectors = array();
+		foreach ( $response['data'] as $item ) {
+			$vectors[ $item['index'] ] = $item['embedding'];
+		}
+		ksort( $vectors );
+
+		$tokens = $response['usage']['prompt_tokens'] ?? 0;
+
+		return array(
+			'vectors'       => $vectors,
+			'model'         => $model,
+			'prompt_tokens' => $tokens,
+			'cost_usd'      => round( ( $tokens / 1000000 ) * ( self::EMBEDDING_COSTS[ $model ] ?? 0 ), 6 ),
+		);
+	}
+
 	/**
 	 * Download an image and add it to the media library.
 	 *
@@ -414,9 +728,28 @@ class Ai_Blog_Posts_OpenAI {
 			return $temp_file;
 		}
 
+		// Crop, convert and compress before WordPress builds the thumbnails.
+		// If processing fails the original image is still usable.
+		$extension = 'png';
+		$was_processed = false;
+		if ( Ai_Blog_Posts_Settings::get( 'image_optimize' ) ) {
+			$processed = Ai_Blog_Posts_Image_Processor::process( $temp_file, Ai_Blog_Posts_Image_Processor::from_settings() );
+
+			if ( is_wp_error( $processed ) ) {
+				if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
+					error_log( sprintf( 'AI Blog Posts: Image processing failed: %s', $processed->get_error_message() ) );
+				}
+			} else {
+				wp_delete_file( $temp_file );
+				$temp_file = $processed['path'];
+				$extension = $processed['extension'];
+				$was_processed = true;
+			}
+		}
+
 		// Prepare file array
 		$file_array = array(
-			'name'     => sanitize_file_name( $filename . '.png' ),
+			'name'     => sanitize_file_name( $filename . '.' . $extension ),
 			'tmp_name' => $temp_file,
 		);
 
@@ -436,6 +769,11 @@ class Ai_Blog_Posts_OpenAI {
 		update_post_meta( $attachment_id, '_ai_blog_posts_generated', true );
 		update_post_meta( $attachment_id, '_ai_blog_posts_generated_at', current_time( 'mysql' ) );
 
+		// The processing preview needs an untouched image to start from
+		if ( $was_processed ) {
+			update_post_meta( $attachment_id, '_ai_blog_posts_processed', true );
+		}
+
 		return $attachment_id;
 	}
 
@@ -470,34 +808,27 @@ class Ai_Blog_Posts_OpenAI {
 	 * Make an API request.
 	 *
 	 * @since    1.0.0
+	 * @access   protected
 	 * @param    string $method     HTTP method.
 	 * @param    string $endpoint   API endpoint.
 	 * @param    array  $body       Request body.
 	 * @param    string $api_key    Optional API key override.
 	 * @return   array|WP_Error     Response or error.
 	 */
-	private function make_request( $method, $endpoint, $body = array(), $api_key = null ) {
+	protected function make_request( $method, $endpoint, $body = array(), $api_key = null ) {
 		$key = $api_key ?? $this->api_key;
 
-		if ( empty( $key ) ) {
+		if ( empty( $key ) && $this->requires_api_key() ) {
 			return new WP_Error(
 				'missing_api_key',
-				__( 'OpenAI API key is not configured.', 'ai-blog-posts' )
+				/* translators: %s: provider name */
+				sprintf( __( '%s API key is not configured.', 'ai-blog-posts' ), $this->get_label() )
 			);
 		}
 
-		$headers = array(
-			'Authorization' => 'Bearer ' . $key,
-			'Content-Type'  => 'application/json',
-		);
-
-		if ( ! empty( $this->org_id ) ) {
-			$headers['OpenAI-Organization'] = $this->org_id;
-		}
-
 		$args = array(
 			'method'  => $method,
-			'headers' => $headers,
+			'headers' => $this->get_headers( $key ),
 			'timeout' => self::TIMEOUT,
 		);
 
@@ -505,7 +836,7 @@ class Ai_Blog_Posts_OpenAI {
 			$args['body'] = wp_json_encode( $body );
 		}
 
-		$url = self::API_BASE . $endpoint;
+		$url = $this->api_base . $endpoint;
 
 		// Retry logic
 		$attempts = 0;
@@ -589,7 +920,7 @@ class Ai_Blog_Posts_OpenAI {
 
 			// Server error - retry
 			if ( $code >= 500 ) {
-				$last_error = new WP_Error( 'server_error', sprintf( __( 'OpenAI server error (HTTP %d)', 'ai-blog-posts' ), $code ) );
+				$last_error = new WP_Error( 'server_error', sprintf( __( '%1$s server error (HTTP %2$d)', 'ai-blog-posts' ), $this->get_label(), $code ) );
 				if ( $attempts < self::MAX_RETRIES ) {
 					sleep( pow( 2, $attempts ) );
 				}
@@ -619,16 +950,16 @@ class Ai_Blog_Posts_OpenAI {
 			$error_msg = $last_error->get_error_message();
 			// Make error more helpful
 			if ( strpos( $error_msg, 'cURL error 6' ) !== false ) {
-				return new WP_Error( 'connection_error', __( 'Cannot connect to OpenAI. Please check your internet connection or server DNS settings.', 'ai-blog-posts' ) );
+				return new WP_Error( 'connection_error', sprintf( __( 'Cannot connect to %s. Please check your internet connection or server DNS settings.', 'ai-blog-posts' ), $this->get_label() ) );
 			}
 			if ( strpos( $error_msg, 'cURL error 28' ) !== false ) {
-				return new WP_Error( 'timeout_error', __( 'Connection to OpenAI timed out. The servers may be busy, please try again.', 'ai-blog-posts' ) );
+				return new WP_Error( 'timeout_error', sprintf( __( 'Connection to %s timed out. The servers may be busy, please try again.', 'ai-blog-posts' ), $this->get_label() ) );
 			}
 			if ( strpos( $error_msg, 'cURL error 7' ) !== false ) {
-				return new WP_Error( 'connection_refused', __( 'Connection to OpenAI was refused. Your server firewall may be blocking outbound HTTPS requests.', 'ai-blog-posts' ) );
+				return new WP_Error( 'connection_refused', sprintf( __( 'Connection to %s was refused. Your server firewall may be blocking outbound requests.', 'ai-blog-posts' ), $this->get_label() ) );
 			}
 			if ( strpos( $error_msg, 'cURL error 35' ) !== false || strpos( $error_msg, 'cURL error 60' ) !== false ) {
-				return new WP_Error( 'ssl_error', __( 'SSL certificate error connecting to OpenAI. Please contact your hosting provider.', 'ai-blog-posts' ) );
+				return new WP_Error( 'ssl_error', sprintf( __( 'SSL certificate error connecting to %s. Please contact your hosting provider.', 'ai-blog-posts' ), $this->get_label() ) );
 			}
 			if ( strpos( $error_msg, 'cURL' ) !== false ) {
 				return new WP_Error( 'curl_error', sprintf( __( 'Connection error: %s', 'ai-blog-posts' ), $error_msg ) );
@@ -640,7 +971,7 @@ class Ai_Blog_Posts_OpenAI {
 		if ( $last_http_code ) {
 			return new WP_Error(
 				'http_error',
-				sprintf( __( 'OpenAI returned HTTP %d. Please try again or contact support.', 'ai-blog-posts' ), $last_http_code )
+				sprintf( __( '%1$s returned HTTP %2$d. Please try again or contact support.', 'ai-blog-posts' ), $this->get_label(), $last_http_code )
 			);
 		}
 
@@ -660,7 +991,7 @@ class Ai_Blog_Posts_OpenAI {
 	 * @return   float                      Cost in USD.
 	 */
 	public function calculate_text_cost( $model, $prompt_tokens, $completion_tokens ) {
-		$models = Ai_Blog_Posts_Settings::get_models();
+		$models = Ai_Blog_Posts_Settings::get_models( $this->get_id() );
 
 		if ( ! isset( $models[ $model ] ) ) {
 			return 0.0;
@@ -706,10 +1037,11 @@ class Ai_Blog_Posts_OpenAI {
 	 * Filter API models to only relevant ones.
 	 *
 	 * @since    1.0.0
+	 * @access   protected
 	 * @param    array $models    All models from API.
 	 * @return   array            Filtered models.
 	 */
-	private function filter_relevant_models( $models ) {
+	protected function filter_relevant_models( $models ) {
 		// Include GPT-5, GPT-4, and image models
 		$relevant_prefixes = array(
 			'gpt-5',      // GPT-5.x series
@@ -0,0 +1,471 @@
+<?php
+
+/**
+ * Prompt templates for each generation stage
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Stores the editable system and user prompts used by the generator.
+ *
+ * Templates use {variable} placeholders. A block wrapped in {#variable}...{/variable}
+ * is only kept when that variable has a value, so optional lines such as the
+ * keyword list disappear cleanly when there is nothing to put in them.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Prompts {
+
+	/**
+	 * Option holding the customized templates.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const OPTION = 'ai_blog_posts_prompt_templates';
+
+	/**
+	 * Option holding the named presets.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const PRESETS_OPTION = 'ai_blog_posts_prompt_presets';
+
+	/**
+	 * Get the stages that have prompt templates.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Stage definitions with label, description, variables and required variable.
+	 */
+	public static function get_stages() {
+		return array(
+			'outline'  => array(
+				'label'       => __( 'Outline', 'ai-blog-posts' ),
+				'description' => __( 'Plans the title, sections and key points before anything is written.', 'ai-blog-posts' ),
+				'variables'   => array(),
+				'required'    => 'topic',
+			),
+			'content'  => array(
+				'label'       => __( 'Content', 'ai-blog-posts' ),
+				'description' => __( 'Writes the full post from the outline. The system prompt is also used when a single section is regenerated.', 'ai-blog-posts' ),
+				'variables'   => array(
+					'outline' => __( 'The outline from the previous step', 'ai-blog-posts' ),
+				),
+				'required'    => 'outline',
+			),
+			'humanize' => array(
+				'label'       => __( 'Humanize', 'ai-blog-posts' ),
+				'description' => __( 'Rewrites the draft so it reads naturally. Only runs at humanization level 3 and above. The system prompt is also used by the expand, shorten and tone section actions.', 'ai-blog-posts' ),
+				'variables'   => array(
+					'content'   => __( 'The drafted post HTML', 'ai-blog-posts' ),
+					'intensity' => __( 'moderate, substantial or extensive, from the humanization level', 'ai-blog-posts' ),
+				),
+				'required'    => 'content',
+			),
+			'seo'      => array(
+				'label'       => __( 'SEO Meta', 'ai-blog-posts' ),
+				'description' => __( 'Writes the meta description, focus keyword and SEO title. The reply must stay a JSON object with those three keys.', 'ai-blog-posts' ),
+				'variables'   => array(
+					'content' => __( 'The first 300 words of the post as plain text', 'ai-blog-posts' ),
+				),
+				'required'    => 'content',
+			),
+		);
+	}
+
+	/**
+	 * Get the variables available in every stage.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Variable descriptions keyed by name.
+	 */
+	public static function get_common_variables() {
+		return array(
+			'topic'             => __( 'The post topic', 'ai-blog-posts' ),
+			'keywords'          => __( 'Focus keywords, comma separated', 'ai-blog-posts' ),
+			'instructions'      => __( 'Additional instructions entered with the topic', 'ai-blog-posts' ),
+			'word_count'        => __( 'Target word count (midpoint of the range)', 'ai-blog-posts' ),
+			'word_count_min'    => __( 'Minimum word count', 'ai-blog-posts' ),
+			'word_count_max'    => __( 'Maximum word count', 'ai-blog-posts' ),
+			'style'             => __( 'Writing style from the voice profile, or from the website analysis', 'ai-blog-posts' ),
+			'site_name'         => __( 'Site title', 'ai-blog-posts' ),
+			'content_type'      => __( 'What is being written, e.g. "blog post" or "comparison article"', 'ai-blog-posts' ),
+			'outline_structure' => __( 'Outline instructions for the chosen content type', 'ai-blog-posts' ),
+			'content_structure' => __( 'Layout instructions for the chosen content type (empty for articles)', 'ai-blog-posts' ),
+		);
+	}
+
+	/**
+	 * Get the variables a stage's templates can use.
+	 *
+	 * @since    1.0.0
+	 * @param    string $stage    Stage key.
+	 * @return   array            Variable descriptions keyed by name.
+	 */
+	public static function get_variables( $stage ) {
+		$stages = self::get_stages();
+
+		return array_merge( self::get_common_variables(), $stages[ $stage ]['variables'] ?? array() );
+	}
+
+	/**
+	 * Get the built-in templates.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Templates keyed by stage, each with 'system' and 'user'.
+	 */
+	public static function get_defaults() {
+		$base = "You are an expert blog content writer with years of experience in creating engaging, well-researched articles. ";
+
+		return array(
+			'outline'  => array(
+				'system' => $base .
+					"You excel at creating comprehensive outlines that lead to well-structured, valuable content. " .
+					"Your outlines are detailed enough to guide writing but flexible enough to allow creativity.",
+				'user'   => "Create a detailed outline for a {content_type} about: {topic}\n\n" .
+					"Include:\n" .
+					"- A compelling title suggestion\n" .
+					"{outline_structure}\n" .
+					"- A brief intro and conclusion plan\n\n" .
+					"Target word count: {word_count_min}-{word_count_max} words\n" .
+					"{#keywords}\nFocus keywords to include: {keywords}{/keywords}" .
+					"{#instructions}\n\nAdditional instructions: {instructions}{/instructions}",
+			),
+			'content'  => array(
+				'system' => $base .
+					"You write in a natural, engaging style that connects with readers. " .
+					"Your content is informative, accurate, and easy to read. " .
+					"You always provide value and actionable insights. " .
+					"You write content that doesn't sound AI-generated - it's authentic and personable. " .
+					"Avoid clichés, filler phrases, and overly formal language. " .
+					"IMPORTANT: Never use these phrases: 'dive into', 'delve into', 'let's explore', " .
+					"'in today's fast-paced world', 'it's important to note', 'at the end of the day', " .
+					"'game-changer', 'leverage', 'synergy', 'unlock the power of'." .
+					"{#style}\n\nWebsite Writing Style:\n{style}{/style}",
+				'user'   => "Write a complete {content_type} based on this outline:\n\n{outline}\n\n" .
+					"Requirements:\n" .
+					"- Write approximately {word_count} words\n" .
+					"- Use proper H2 and H3 heading hierarchy\n" .
+					"- Write engaging, informative content\n" .
+					"- Include a compelling introduction that hooks the reader\n" .
+					"- End with a strong conclusion or call-to-action\n" .
+					"- Use short paragraphs (2-4 sentences each)\n" .
+					"- Include bullet points or numbered lists where appropriate\n" .
+					"- Make it SEO-friendly but natural\n\n" .
+					"{#content_structure}Structure for this {content_type}:\n{content_structure}\n\n{/content_structure}" .
+					"Format: Use HTML with <h2>, <h3>, <p>, <ul>, <li> tags. Do NOT include <h1> as WordPress adds the title automatically." .
+					"{#keywords}\n\nNaturally incorporate these keywords: {keywords}{/keywords}",
+			),
+			'humanize' => array(
+				'system' => "You are an expert editor. Your task is to rewrite the provided HTML blog content to sound more natural and human-written. " .
+					"You MUST output the complete rewritten content with all HTML tags preserved. Do not ask questions or request clarification - just rewrite the content provided below." .
+					"{#style}\n\nKeep to this writing style:\n{style}{/style}",
+				'user'   => "TASK: Rewrite this blog post to sound more natural and human-written.\n\n" .
+					"INTENSITY: {intensity} rewriting\n\n" .
+					"RULES:\n" .
+					"1. Output ONLY the rewritten HTML content - no explanations or questions\n" .
+					"2. Vary sentence structures and lengths\n" .
+					"3. Add conversational elements where appropriate\n" .
+					"4. Use more varied vocabulary\n" .
+					"5. Remove robotic or formulaic patterns\n" .
+					"6. NEVER use: 'dive into', 'delve into', 'it's important to note', 'in today's world', 'in conclusion', 'firstly/secondly/thirdly', 'game-changer', 'leverage', 'unlock', 'landscape', 'tapestry'\n" .
+					"7. PRESERVE all HTML tags (<h2>, <h3>, <p>, <ul>, <li>, etc.)\n" .
+					"8. Keep approximately the same length\n\n" .
+					"CONTENT TO REWRITE:\n\n{content}",
+			),
+			'seo'      => array(
+				'system' => "You are an SEO specialist. Generate SEO metadata that is compelling and optimized.",
+				'user'   => "Based on this blog post about '{topic}', generate:\n\n" .
+					"1. Meta description (150-160 characters, compelling and includes main keyword)\n" .
+					"2. Focus keyword (single phrase, 2-4 words)\n" .
+					"3. SEO title (if different from post title, 50-60 characters)\n\n" .
+					"Content summary:\n{content}\n\n" .
+					"Format your response as JSON: {\"meta_description\": \"...\", \"focus_keyword\": \"...\", \"seo_title\": \"...\"}",
+			),
+		);
+	}
+
+	/**
+	 * Get the active templates, with customizations over the defaults.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Templates keyed by stage.
+	 */
+	public static function get_all() {
+		$templates = self::get_defaults();
+		$custom = get_option( self::OPTION, array() );
+
+		foreach ( $templates as $stage => $parts ) {
+			foreach ( array_keys( $parts ) as $part ) {
+				if ( isset( $custom[ $stage ][ $part ] ) && '' !== trim( $custom[ $stage ][ $part ] ) ) {
+					$templates[ $stage ][ $part ] = $custom[ $stage ][ $part ];
+				}
+			}
+		}
+
+		return $templates;
+	}
+
+	/**
+	 * Check whether a stage has been customized.
+	 *
+	 * @since    1.0.0
+	 * @param    string $stage    Stage key.
+	 * @return   bool             True if either prompt differs from the default.
+	 */
+	public static function is_customized( $stage ) {
+		$custom = get_option( self::OPTION, array() );
+
+		return ! empty( $custom[ $stage ] );
+	}
+
+	/**
+	 * Save templates for one or more stages.
+	 *
+	 * Only prompts that differ from the default are stored, so plugin updates
+	 * that improve a default still reach sites that never touched it.
+	 *
+	 * @since    1.0.0
+	 * @param    array $templates    Templates keyed by stage, each with 'system' and 'user'.
+	 * @return   true|WP_Error       True on success or error.
+	 */
+	public static function save( $templates ) {
+		$clean = self::sanitize( $templates );
+
+		if ( is_wp_error( $clean ) ) {
+			return $clean;
+		}
+
+		$defaults = self::get_defaults();
+		$custom = get_option( self::OPTION, array() );
+
+		foreach ( $clean as $stage => $parts ) {
+			unset( $custom[ $stage ] );
+
+			foreach ( $parts as $part => $text ) {
+				if ( '' !== trim( $text ) && $text !== $defaults[ $stage ][ $part ] ) {
+					$custom[ $stage ][ $part ] = $text;
+				}
+			}
+		}
+
+		update_option( self::OPTION, $custom, false );
+
+		return true;
+	}
+
+	/**
+	 * Restore the default templates.
+	 *
+	 * @since    1.0.0
+	 * @param    string $stage    Optional stage key, defaults to every stage.
+	 */
+	public static function reset( $stage = null ) {
+		if ( null === $stage ) {
+			delete_option( self::OPTION );
+			return;
+		}
+
+		$custom = get_option( self::OPTION, array() );
+		unset( $custom[ $stage ] );
+		update_option( self::OPTION, $custom, false );
+	}
+
+	/**
+	 * Validate and normalize submitted templates.
+	 *
+	 * Prompts are plain text sent to the AI provider, not HTML for the page, and
+	 * legitimately mention tags like <h2>, so tags are kept rather than stripped.
+	 * Empty prompts fall back to the default.
+	 *
+	 * @since    1.0.0
+	 * @param    array $templates    Templates keyed by stage.
+	 * @return   array|WP_Error      Clean templates or error.
+	 */
+	public static function sanitize( $templates ) {
+		$stages = self::get_stages();
+		$defaults = self::get_defaults();
+		$clean = array();
+
+		if ( ! is_array( $templates ) ) {
+			return new WP_Error( 'invalid_templates', __( 'No templates were submitted.', 'ai-blog-posts' ) );
+		}
+
+		foreach ( $templates as $stage => $parts ) {
+			if ( ! isset( $stages[ $stage ] ) || ! is_array( $parts ) ) {
+				continue;
+			}
+
+			foreach ( array( 'system', 'user' ) as $part ) {
+				$text = isset( $parts[ $part ] ) ? str_replace( "\r\n", "\n", (string) $parts[ $part ] ) : '';
+				$clean[ $stage ][ $part ] = '' === trim( $text ) ? $defaults[ $stage ][ $part ] : $text;
+			}
+
+			// Without this the step has nothing to work on
+			$required = '{' . $stages[ $stage ]['required'] . '}';
+			if ( false === strpos( $clean[ $stage ]['user'], $required ) ) {
+				return new WP_Error(
+					'missing_variable',
+					sprintf(
+						/* translators: 1: stage name, 2: variable placeholder */
+						__( 'The %1$s prompt must include %2$s.', 'ai-blog-posts' ),
+						$stages[ $stage ]['label'],
+						$required
+					)
+				);
+			}
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Render one prompt of a stage.
+	 *
+	 * @since    1.0.0
+	 * @param    string $stage        Stage key.
+	 * @param    string $part         'system' or 'user'.
+	 * @param    array  $variables    Values keyed by variable name.
+	 * @return   string               Rendered prompt.
+	 */
+	public static function render( $stage, $part, $variables ) {
+		$templates = self::get_all();
+
+		return self::replace_variables( $templates[ $stage ][ $part ] ?? '', $variables );
+	}
+
+	/**
+	 * Fill the placeholders in a template.
+	 *
+	 * Unknown placeholders are left as they are so literal braces, such as
+	 * the JSON example in the SEO prompt, survive.
+	 *
+	 * @since    1.0.0
+	 * @param    string $template     Template text.
+	 * @param    array  $variables    Values keyed by variable name.
+	 * @return   string               Rendered text.
+	 */
+	public static function replace_variables( $template, $variables ) {
+		$template = preg_replace_callback(
+			'/\{#(\w+)\}(.*?)\{\/\1\}/s',
+			function ( $matches ) use ( $variables ) {
+				if ( ! array_key_exists( $matches[1], $variables ) ) {
+					return $matches[0];
+				}
+				return '' !== trim( (string) $variables[ $matches[1] ] ) ? $matches[2] : '';
+			},
+			$template
+		);
+
+		$pairs = array();
+		foreach ( $variables as $name => $value ) {
+			$pairs[ '{' . $name . '}' ] = (string) $value;
+		}
+
+		// strtr makes a single pass, so placeholders inside values stay literal
+		return trim( strtr( $template, $pairs ) );
+	}
+
+	/**
+	 * Get sample values for previewing templates.
+	 *
+	 * @since    1.0.0
+	 * @param    string $topic           Sample topic.
+	 * @param    string $content_type    Optional content type ID.
+	 * @return   array                   Values keyed by variable name.
+	 */
+	public static function get_sample_variables( $topic, $content_type = '' ) {
+		$type = Ai_Blog_Posts_Content_Types::get( $content_type );
+		$min = $type['word_count'][0] ?? Ai_Blog_Posts_Settings::get( 'word_count_min' );
+		$max = $type['word_count'][1] ?? Ai_Blog_Posts_Settings::get( 'word_count_max' );
+		$analyzer = new Ai_Blog_Posts_Analyzer();
+		$profile = Ai_Blog_Posts_Voice_Profiles::get( Ai_Blog_Posts_Settings::get( 'voice_profile_default' ) );
+
+		return array(
+			'topic'             => $topic,
+			'keywords'          => strtolower( $topic ),
+			'instructions'      => '',
+			'word_count'        => floor( ( $min + $max ) / 2 ),
+			'word_count_min'    => $min,
+			'word_count_max'    => $max,
+			'style'             => $profile ? Ai_Blog_Posts_Voice_Profiles::get_prompt( $profile ) : $analyzer->get_style_prompt(),
+			'site_name'         => get_bloginfo( 'name' ),
+			'content_type'      => $type['noun'],
+			'outline_structure' => $type['outline'],
+			'content_structure' => $type['content'],
+			'outline'           => "Title suggestion: " . $topic . "\n\n1. Introduction\n2. First main section\n   - Key point\n   - Key point\n3. Second main section\n   - Key point\n4. Conclusion",
+			'content'           => "<h2>First main section</h2>\n<p>The drafted post appears here...</p>",
+			'intensity'         => 'moderate',
+		);
+	}
+
+	/**
+	 * Get the saved presets.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Templates keyed by preset name.
+	 */
+	public static function get_presets() {
+		$presets = get_option( self::PRESETS_OPTION, array() );
+
+		return is_array( $presets ) ? $presets : array();
+	}
+
+	/**
+	 * Save a named preset, replacing any preset with the same name.
+	 *
+	 * @since    1.0.0
+	 * @param    string $name         Preset name.
+	 * @param    array  $templates    Templates keyed by stage.
+	 * @return   true|WP_Error        True on success or error.
+	 */
+	public static function save_preset( $name, $templates ) {
+		$name = sanitize_text_field( $name );
+
+		if ( '' === $name ) {
+			return new WP_Error( 'missing_name', __( 'Please enter a preset name.', 'ai-blog-posts' ) );
+		}
+
+		$clean = self::sanitize( $templates );
+		if ( is_wp_error( $clean ) ) {
+			return $clean;
+		}
+
+		$presets = self::get_presets();
+		$presets[ $name ] = $clean;
+		ksort( $presets, SORT_NATURAL | SORT_FLAG_CASE );
+
+		update_option( self::PRESETS_OPTION, $presets, false );
+
+		return true;
+	}
+
+	/**
+	 * Delete a named preset.
+	 *
+	 * @since    1.0.0
+	 * @param    string $name    Preset name.
+	 * @return   bool            True if the preset existed.
+	 */
+	public static function delete_preset( $name ) {
+		$presets = self::get_presets();
+
+		if ( ! isset( $presets[ $name ] ) ) {
+			return false;
+		}
+
+		unset( $presets[ $name ] );
+		update_option( self::PRESETS_OPTION, $presets, false );
+
+		return true;
+	}
+}
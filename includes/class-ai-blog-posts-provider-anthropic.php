@@ -0,0 +1,166 @@
+<?php
+
+/**
+ * Anthropic API adapter
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Text generation through the Anthropic Messages API (Claude models).
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Provider_Anthropic extends Ai_Blog_Posts_Provider_Base {
+
+	/**
+	 * Anthropic API base URL.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const API_BASE = 'https://api.anthropic.com/v1';
+
+	/**
+	 * API version sent with every request.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const API_VERSION = '2023-06-01';
+
+	/**
+	 * Get the provider ID.
+	 *
+	 * @since    1.0.0
+	 * @return   string    Provider ID.
+	 */
+	public function get_id() {
+		return 'anthropic';
+	}
+
+	/**
+	 * Get the provider name used in error messages.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   string    Provider name.
+	 */
+	protected function get_label() {
+		return 'Anthropic';
+	}
+
+	/**
+	 * Build the request headers.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    string $key    API key.
+	 * @return   array          Headers.
+	 */
+	protected function get_headers( $key ) {
+		return array(
+			'x-api-key'         => $key,
+			'anthropic-version' => self::API_VERSION,
+			'Content-Type'      => 'application/json',
+		);
+	}
+
+	/**
+	 * Verify the API key by listing models.
+	 *
+	 * @since    1.0.0
+	 * @param    string $api_key    Optional API key to test.
+	 * @return   array              Result with 'success' and 'message' keys.
+	 */
+	public function verify_api_key( $api_key = null ) {
+		$key = $api_key ?? $this->api_key;
+
+		if ( empty( $key ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'API key is empty.', 'ai-blog-posts' ),
+			);
+		}
+
+		$response = $this->make_request( 'GET', self::API_BASE . '/models', array(), $key );
+
+		if ( is_wp_error( $response ) ) {
+			return array(
+				'success' => false,
+				'message' => $response->get_error_message(),
+			);
+		}
+
+		return array(
+			'success' => true,
+			'message' => __( 'API key verified successfully!', 'ai-blog-posts' ),
+			'models'  => array_column( $response['data'] ?? array(), 'id' ),
+		);
+	}
+
+	/**
+	 * Generate text using Claude models.
+	 *
+	 * @since    1.0.0
+	 * @param    string $prompt         The user prompt.
+	 * @param    string $system_prompt  Optional system prompt.
+	 * @param    array  $options        Additional options.
+	 * @return   array|WP_Error         Response array or error.
+	 */
+	public function generate_text( $prompt, $system_prompt = '', $options = array() ) {
+		$model = $options['model'] ?? Ai_Blog_Posts_Settings::get( 'model' );
+
+		$body = array(
+			'model'       => $model,
+			'max_tokens'  => $options['max_tokens'] ?? 4000,
+			'temperature' => min( 1, $options['temperature'] ?? 0.7 ),
+			'messages'    => array(
+				array(
+					'role'    => 'user',
+					'content' => $prompt,
+				),
+			),
+		);
+
+		if ( ! empty( $system_prompt ) ) {
+			$body['system'] = $system_prompt;
+		}
+
+		$start_time = microtime( true );
+		$response = $this->make_request( 'POST', self::API_BASE . '/messages', $body );
+		$generation_time = microtime( true ) - $start_time;
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$content = '';
+		foreach ( $response['content'] ?? array() as $block ) {
+			if ( 'text' === ( $block['type'] ?? '' ) ) {
+				$content .= $block['text'];
+			}
+		}
+
+		$prompt_tokens = $response['usage']['input_tokens'] ?? 0;
+		$completion_tokens = $response['usage']['output_tokens'] ?? 0;
+
+		return $this->notify_stream( $options, array(
+			'content'           => $content,
+			'model'             => $model,
+			'prompt_tokens'     => $prompt_tokens,
+			'completion_tokens' => $completion_tokens,
+			'total_tokens'      => $prompt_tokens + $completion_tokens,
+			'cost_usd'          => $this->calculate_text_cost( $model, $prompt_tokens, $completion_tokens ),
+			'generation_time'   => $generation_time,
+			'finish_reason'     => $response['stop_reason'] ?? 'unknown',
+		) );
+	}
+}
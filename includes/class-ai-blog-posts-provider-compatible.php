@@ -0,0 +1,100 @@
+<?php
+
+/**
+ * OpenAI-compatible endpoint adapter
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Text generation through any server speaking the OpenAI chat completions API.
+ *
+ * Covers local runtimes such as Ollama and LM Studio as well as hosted
+ * gateways. The API key is optional since local servers usually ignore it.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Provider_Compatible extends Ai_Blog_Posts_OpenAI {
+
+	/**
+	 * Initialize the class.
+	 *
+	 * @since    1.0.0
+	 * @param    string $api_key     Optional API key override.
+	 * @param    string $base_url    Optional base URL override.
+	 */
+	public function __construct( $api_key = null, $base_url = null ) {
+		parent::__construct( $api_key ?? Ai_Blog_Posts_Settings::get( 'compatible_api_key' ), '' );
+
+		$this->api_base = untrailingslashit( $base_url ?? Ai_Blog_Posts_Settings::get( 'compatible_base_url' ) );
+	}
+
+	/**
+	 * Get the provider ID.
+	 *
+	 * @since    1.0.0
+	 * @return   string    Provider ID.
+	 */
+	public function get_id() {
+		return 'openai_compatible';
+	}
+
+	/**
+	 * Get the provider name used in error messages.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   string    Provider name.
+	 */
+	protected function get_label() {
+		return wp_parse_url( $this->api_base, PHP_URL_HOST ) ?: __( 'the custom endpoint', 'ai-blog-posts' );
+	}
+
+	/**
+	 * Whether requests need an API key.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   bool    Always false for custom endpoints.
+	 */
+	protected function requires_api_key() {
+		return false;
+	}
+
+	/**
+	 * Keep every model the endpoint reports.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    array $models    All models from API.
+	 * @return   array            Model IDs.
+	 */
+	protected function filter_relevant_models( $models ) {
+		return array_values( array_unique( array_filter( array_column( $models, 'id' ) ) ) );
+	}
+
+	/**
+	 * Verify the endpoint is reachable.
+	 *
+	 * @since    1.0.0
+	 * @param    string $api_key    Optional API key to test.
+	 * @return   array              Result with 'success' and 'message' keys.
+	 */
+	public function verify_api_key( $api_key = null ) {
+		if ( ! filter_var( $this->api_base, FILTER_VALIDATE_URL ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'Please enter a valid base URL.', 'ai-blog-posts' ),
+			);
+		}
+
+		return parent::verify_api_key( $api_key );
+	}
+}
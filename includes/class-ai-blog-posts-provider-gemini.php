@@ -0,0 +1,171 @@
+<?php
+
+/**
+ * Google Gemini API adapter
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Text generation through the Gemini generateContent API.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Provider_Gemini extends Ai_Blog_Posts_Provider_Base {
+
+	/**
+	 * Gemini API base URL.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+	/**
+	 * Get the provider ID.
+	 *
+	 * @since    1.0.0
+	 * @return   string    Provider ID.
+	 */
+	public function get_id() {
+		return 'gemini';
+	}
+
+	/**
+	 * Get the provider name used in error messages.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @return   string    Provider name.
+	 */
+	protected function get_label() {
+		return 'Gemini';
+	}
+
+	/**
+	 * Build the request headers.
+	 *
+	 * @since    1.0.0
+	 * @access   protected
+	 * @param    string $key    API key.
+	 * @return   array          Headers.
+	 */
+	protected function get_headers( $key ) {
+		return array(
+			'x-goog-api-key' => $key,
+			'Content-Type'   => 'application/json',
+		);
+	}
+
+	/**
+	 * Verify the API key by listing models.
+	 *
+	 * @since    1.0.0
+	 * @param    string $api_key    Optional API key to test.
+	 * @return   array              Result with 'success' and 'message' keys.
+	 */
+	public function verify_api_key( $api_key = null ) {
+		$key = $api_key ?? $this->api_key;
+
+		if ( empty( $key ) ) {
+			return array(
+				'success' => false,
+				'message' => __( 'API key is empty.', 'ai-blog-posts' ),
+			);
+		}
+
+		$response = $this->make_request( 'GET', self::API_BASE . '/models', array(), $key );
+
+		if ( is_wp_error( $response ) ) {
+			return array(
+				'success' => false,
+				'message' => $response->get_error_message(),
+			);
+		}
+
+		$models = array();
+		foreach ( $response['models'] ?? array() as $model ) {
+			if ( strpos( $model['name'] ?? '', 'models/gemini' ) === 0 ) {
+				$models[] = substr( $model['name'], 7 );
+			}
+		}
+
+		return array(
+			'success' => true,
+			'message' => __( 'API key verified successfully!', 'ai-blog-posts' ),
+			'models'  => $models,
+		);
+	}
+
+	/**
+	 * Generate text using Gemini models.
+	 *
+	 * @since    1.0.0
+	 * @param    string $prompt         The user prompt.
+	 * @param    string $system_prompt  Optional system prompt.
+	 * @param    array  $options        Additional options.
+	 * @return   array|WP_Error         Response array or error.
+	 */
+	public function generate_text( $prompt, $system_prompt = '', $options = array() ) {
+		$model = $options['model'] ?? Ai_Blog_Posts_Settings::get( 'model' );
+		$max_tokens = $options['max_tokens'] ?? 4000;
+
+		$body = array(
+			'contents'         => array(
+				array(
+					'role'  => 'user',
+					'parts' => array( array( 'text' => $prompt ) ),
+				),
+			),
+			'generationConfig' => array(
+				// 2.5 models spend part of the output budget on thinking
+				'maxOutputTokens' => $max_tokens * 3,
+				'temperature'     => $options['temperature'] ?? 0.7,
+			),
+		);
+
+		if ( ! empty( $system_prompt ) ) {
+			$body['systemInstruction'] = array(
+				'parts' => array( array( 'text' => $system_prompt ) ),
+			);
+		}
+
+		$start_time = microtime( true );
+		$response = $this->make_request( 'POST', self::API_BASE . '/models/' . rawurlencode( $model ) . ':generateContent', $body );
+		$generation_time = microtime( true ) - $start_time;
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$content = '';
+		foreach ( $response['candidates'][0]['content']['parts'] ?? array() as $part ) {
+			if ( empty( $part['thought'] ) ) {
+				$content .= $part['text'] ?? '';
+			}
+		}
+
+		// Thinking tokens are billed as output
+		$usage = $response['usageMetadata'] ?? array();
+		$prompt_tokens = $usage['promptTokenCount'] ?? 0;
+		$completion_tokens = ( $usage['candidatesTokenCount'] ?? 0 ) + ( $usage['thoughtsTokenCount'] ?? 0 );
+
+		return $this->notify_stream( $options, array(
+			'content'           => $content,
+			'model'             => $model,
+			'prompt_tokens'     => $prompt_tokens,
+			'completion_tokens' => $completion_tokens,
+			'total_tokens'      => $prompt_tokens + $completion_tokens,
+			'cost_usd'          => $this->calculate_text_cost( $model, $prompt_tokens, $completion_tokens ),
+			'generation_time'   => $generation_time,
+			'finish_reason'     => $response['candidates'][0]['finishReason'] ?? 'unknown',
+		) );
+	}
+}
@@ -0,0 +1,107 @@
+<?php
+
+/**
+ * Text provider registry
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Lists the supported text providers and builds the client for the active one.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Providers {
+
+	/**
+	 * Get all supported providers.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Provider definitions keyed by ID.
+	 */
+	public static function get_all() {
+		return array(
+			'openai'            => array(
+				'name'          => 'OpenAI',
+				'class'         => 'Ai_Blog_Posts_OpenAI',
+				'key_setting'   => 'api_key',
+				'key_url'       => 'https://platform.openai.com/api-keys',
+				'default_model' => 'gpt-5-mini',
+			),
+			'anthropic'         => array(
+				'name'          => 'Anthropic',
+				'class'         => 'Ai_Blog_Posts_Provider_Anthropic',
+				'key_setting'   => 'anthropic_api_key',
+				'key_url'       => 'https://console.anthropic.com/settings/keys',
+				'default_model' => 'claude-sonnet-4-5',
+			),
+			'gemini'            => array(
+				'name'          => 'Google Gemini',
+				'class'         => 'Ai_Blog_Posts_Provider_Gemini',
+				'key_setting'   => 'gemini_api_key',
+				'key_url'       => 'https://aistudio.google.com/app/apikey',
+				'default_model' => 'gemini-2.5-flash',
+			),
+			'openai_compatible' => array(
+				'name'          => __( 'OpenAI-compatible (Ollama, LM Studio...)', 'ai-blog-posts' ),
+				'class'         => 'Ai_Blog_Posts_Provider_Compatible',
+				'key_setting'   => 'compatible_api_key',
+				'key_url'       => '',
+				'default_model' => '',
+			),
+		);
+	}
+
+	/**
+	 * Create the client for a provider.
+	 *
+	 * @since    1.0.0
+	 * @param    string $provider    Optional provider ID, defaults to the active provider.
+	 * @param    string $api_key     Optional API key override.
+	 * @return   Ai_Blog_Posts_Provider    The provider client.
+	 */
+	public static function create( $provider = null, $api_key = null ) {
+		$providers = self::get_all();
+		$provider = $provider ?? Ai_Blog_Posts_Settings::get( 'provider' );
+
+		if ( ! isset( $providers[ $provider ] ) ) {
+			$provider = 'openai';
+		}
+
+		$class = $providers[ $provider ]['class'];
+
+		return new $class( $api_key );
+	}
+
+	/**
+	 * Check whether a provider has the credentials it needs.
+	 *
+	 * @since    1.0.0
+	 * @param    string $provider    Optional provider ID, defaults to the active provider.
+	 * @return   bool                True if configured.
+	 */
+	public static function is_configured( $provider = null ) {
+		$provider = $provider ?? Ai_Blog_Posts_Settings::get( 'provider' );
+
+		// Local endpoints run without a key but need somewhere to send requests
+		if ( 'openai_compatible' === $provider ) {
+			return '' !== Ai_Blog_Posts_Settings::get( 'compatible_base_url' )
+				&& '' !== Ai_Blog_Posts_Settings::get( 'compatible_model' );
+		}
+
+		$providers = self::get_all();
+		if ( ! isset( $providers[ $provider ] ) ) {
+			return false;
+		}
+
+		$api_key = Ai_Blog_Posts_Settings::get( $providers[ $provider ]['key_setting'] );
+		return ! empty( $api_key );
+	}
+}
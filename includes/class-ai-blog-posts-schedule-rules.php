@@ -0,0 +1,401 @@
+<?php
+
+/**
+ * Schedule rules for automatic posting
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Works out when scheduled generation runs.
+ *
+ * The simple frequencies (hourly, twice daily, daily, weekly) and the
+ * custom rules (chosen weekdays and time slots) are all expressed as
+ * time slots per day. Blackout date ranges remove whole days, and
+ * per-category cadence limits how often a category is picked.
+ *
+ * Rules are plain arrays built by from_settings() or from_input(), so
+ * unsaved settings can be previewed.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Schedule_Rules {
+
+	/**
+	 * Longest random delay after a slot, in minutes.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const MAX_JITTER = 120;
+
+	/**
+	 * Longest gap a category cadence can ask for, in days.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const MAX_CADENCE = 90;
+
+	/**
+	 * Build the rules from the saved settings.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Rules.
+	 */
+	public static function from_settings() {
+		return self::build( array(
+			'frequency'                 => Ai_Blog_Posts_Settings::get( 'schedule_frequency' ),
+			'schedule_time'             => Ai_Blog_Posts_Settings::get( 'schedule_time' ),
+			'schedule_days'             => Ai_Blog_Posts_Settings::get( 'schedule_days' ),
+			'schedule_slots'            => Ai_Blog_Posts_Settings::get( 'schedule_slots' ),
+			'schedule_jitter'           => Ai_Blog_Posts_Settings::get( 'schedule_jitter' ),
+			'schedule_blackouts'        => Ai_Blog_Posts_Settings::get( 'schedule_blackouts' ),
+			'schedule_category_cadence' => Ai_Blog_Posts_Settings::get( 'schedule_category_cadence' ),
+		) );
+	}
+
+	/**
+	 * Build the rules from unsaved settings, e.g. to preview them.
+	 *
+	 * @since    1.0.0
+	 * @param    array $input    Settings keyed like the saved ones.
+	 * @return   array           Rules.
+	 */
+	public static function from_input( $input ) {
+		$definition = Ai_Blog_Posts_Settings::get_definition( 'schedule_frequency' );
+		$frequency = isset( $input['schedule_frequency'] ) ? sanitize_text_field( $input['schedule_frequency'] ) : '';
+
+		return self::build( array(
+			'frequency'                 => in_array( $frequency, $definition['options'], true ) ? $frequency : $definition['default'],
+			'schedule_time'             => isset( $input['schedule_time'] ) ? sanitize_text_field( $input['schedule_time'] ) : '',
+			'schedule_days'             => self::sanitize_days( $input['schedule_days'] ?? array() ),
+			'schedule_slots'            => self::sanitize_slots( $input['schedule_slots'] ?? array() ),
+			'schedule_jitter'           => isset( $input['schedule_jitter'] ) ? min( self::MAX_JITTER, absint( $input['schedule_jitter'] ) ) : 0,
+			'schedule_blackouts'        => self::sanitize_blackouts( $input['schedule_blackouts'] ?? array() ),
+			'schedule_category_cadence' => self::sanitize_cadence( $input['schedule_category_cadence'] ?? array() ),
+		) );
+	}
+
+	/**
+	 * Turn sanitized setting values into rules.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $values    Sanitized setting values.
+	 * @return   array            Rules.
+	 */
+	private static function build( $values ) {
+		$time = self::sanitize_slots( array( $values['schedule_time'] ) );
+
+		$blackouts = array();
+		foreach ( (array) $values['schedule_blackouts'] as $blackout ) {
+			$parts = explode( '|', $blackout, 3 );
+			$blackouts[] = array(
+				'start' => $parts[0],
+				'end'   => $parts[1] ?? $parts[0],
+				'label' => $parts[2] ?? '',
+			);
+		}
+
+		$cadence = array();
+		foreach ( (array) $values['schedule_category_cadence'] as $rule ) {
+			list( $category_id, $days ) = array_map( 'absint', explode( ':', $rule . ':0' ) );
+			if ( $category_id && $days ) {
+				$cadence[ $category_id ] = $days;
+			}
+		}
+
+		return array(
+			'frequency' => $values['frequency'],
+			'time'      => $time ? $time[0] : '',
+			'days'      => array_map( 'intval', (array) $values['schedule_days'] ),
+			'slots'     => (array) $values['schedule_slots'],
+			'jitter'    => 'custom' === $values['frequency'] ? (int) $values['schedule_jitter'] : 0,
+			'blackouts' => $blackouts,
+			'cadence'   => $cadence,
+		);
+	}
+
+	/**
+	 * Sanitize the weekdays setting.
+	 *
+	 * @since    1.0.0
+	 * @param    mixed $value    Weekday numbers, 0 for Sunday.
+	 * @return   array
+	 */
+	public static function sanitize_days( $value ) {
+		$days = array();
+
+		foreach ( (array) $value as $day ) {
+			if ( is_numeric( $day ) && $day >= 0 && $day <= 6 ) {
+				$days[] = (int) $day;
+			}
+		}
+
+		$days = array_unique( $days );
+		sort( $days );
+
+		return $days;
+	}
+
+	/**
+	 * Sanitize the time slots setting.
+	 *
+	 * @since    1.0.0
+	 * @param    mixed $value    Times as HH:MM.
+	 * @return   array           Valid times as zero-padded HH:MM, sorted.
+	 */
+	public static function sanitize_slots( $value ) {
+		$slots = array();
+
+		foreach ( (array) $value as $slot ) {
+			if ( is_string( $slot ) && preg_match( '/^(\d{1,2}):(\d{2})$/', trim( $slot ), $matches ) && $matches[1] < 24 && $matches[2] < 60 ) {
+				$slots[] = sprintf( '%02d:%02d', $matches[1], $matches[2] );
+			}
+		}
+
+		$slots = array_unique( $slots );
+		sort( $slots );
+
+		return $slots;
+	}
+
+	/**
+	 * Sanitize the blackout ranges setting.
+	 *
+	 * @since    1.0.0
+	 * @param    mixed $value    Ranges as "start|end|label" with Y-m-d dates.
+	 * @return   array
+	 */
+	public static function sanitize_blackouts( $value ) {
+		$blackouts = array();
+
+		foreach ( (array) $value as $blackout ) {
+			if ( ! is_string( $blackout ) ) {
+				continue;
+			}
+
+			$parts = array_map( 'trim', explode( '|', $blackout, 3 ) );
+			$start = self::sanitize_date( $parts[0] );
+			$end = isset( $parts[1] ) && '' !== $parts[1] ? self::sanitize_date( $parts[1] ) : $start;
+
+			if ( ! $start || ! $end ) {
+				continue;
+			}
+
+			if ( $end < $start ) {
+				list( $start, $end ) = array( $end, $start );
+			}
+
+			$blackouts[] = $start . '|' . $end . '|' . str_replace( '|', '', sanitize_text_field( $parts[2] ?? '' ) );
+		}
+
+		sort( $blackouts );
+
+		return $blackouts;
+	}
+
+	/**
+	 * Sanitize the per-category cadence setting.
+	 *
+	 * @since    1.0.0
+	 * @param    mixed $value    Rules as "category_id:days".
+	 * @return   array
+	 */
+	public static function sanitize_cadence( $value ) {
+		$cadence = array();
+
+		foreach ( (array) $value as $rule ) {
+			if ( ! is_string( $rule ) || ! preg_match( '/^(\d+):(\d+)$/', trim( $rule ), $matches ) ) {
+				continue;
+			}
+
+			$days = min( self::MAX_CADENCE, (int) $matches[2] );
+			if ( (int) $matches[1] && $days ) {
+				$cadence[ (int) $matches[1] ] = $matches[1] . ':' . $days;
+			}
+		}
+
+		return array_values( $cadence );
+	}
+
+	/**
+	 * Check a Y-m-d date.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    string $date    Date.
+	 * @return   string|false    The date, or false if invalid.
+	 */
+	private static function sanitize_date( $date ) {
+		$parsed = DateTimeImmutable::createFromFormat( '!Y-m-d', $date );
+
+		return $parsed && $parsed->format( 'Y-m-d' ) === $date ? $date : false;
+	}
+
+	/**
+	 * Find the blackout range covering a day.
+	 *
+	 * @since    1.0.0
+	 * @param    array  $rules    Rules.
+	 * @param    string $day      Day as Y-m-d.
+	 * @return   array|null       Blackout with start, end and label, or null.
+	 */
+	public static function get_blackout( $rules, $day ) {
+		foreach ( $rules['blackouts'] as $blackout ) {
+			if ( $day >= $blackout['start'] && $day <= $blackout['end'] ) {
+				return $blackout;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the run times on a day, ignoring blackouts and jitter.
+	 *
+	 * @since    1.0.0
+	 * @param    array             $rules    Rules.
+	 * @param    DateTimeImmutable $day      Any time on the day, in the site timezone.
+	 * @return   array                       Unix timestamps, earliest first.
+	 */
+	public static function get_slots( $rules, $day ) {
+		$times = array();
+
+		switch ( $rules['frequency'] ) {
+			case 'hourly':
+				for ( $hour = 0; $hour < 24; $hour++ ) {
+					$times[] = sprintf( '%02d:00', $hour );
+				}
+				break;
+
+			case 'twicedaily':
+				if ( $rules['time'] ) {
+					$times[] = $rules['time'];
+					$times[] = sprintf( '%02d:%s', ( (int) substr( $rules['time'], 0, 2 ) + 12 ) % 24, substr( $rules['time'], 3, 2 ) );
+				}
+				break;
+
+			case 'daily':
+				if ( $rules['time'] ) {
+					$times[] = $rules['time'];
+				}
+				break;
+
+			case 'weekly':
+				// Weekly runs are on Monday
+				if ( $rules['time'] && 1 === (int) $day->format( 'w' ) ) {
+					$times[] = $rules['time'];
+				}
+				break;
+
+			case 'custom':
+				if ( in_array( (int) $day->format( 'w' ), $rules['days'], true ) ) {
+					$times = $rules['slots'];
+				}
+				break;
+		}
+
+		$slots = array();
+		foreach ( $times as $time ) {
+			$slots[] = $day->setTime( (int) substr( $time, 0, 2 ), (int) substr( $time, 3, 2 ) )->getTimestamp();
+		}
+
+		// Clock changes can make two slots the same moment
+		$slots = array_unique( $slots );
+		sort( $slots );
+
+		return $slots;
+	}
+
+	/**
+	 * Get the first run time after a moment, skipping blackout days.
+	 *
+	 * @since    1.0.0
+	 * @param    array $rules    Rules.
+	 * @param    int   $after    Unix timestamp.
+	 * @return   int|false       Unix timestamp, or false if nothing runs within a year.
+	 */
+	public static function get_next_run( $rules, $after ) {
+		$day = ( new DateTimeImmutable( '@' . $after ) )->setTimezone( wp_timezone() )->setTime( 0, 0 );
+
+		// A blackout can cover most of a year, so look a little further
+		for ( $checked = 0; $checked < 400; $checked++ ) {
+			if ( ! self::get_blackout( $rules, $day->format( 'Y-m-d' ) ) ) {
+				foreach ( self::get_slots( $rules, $day ) as $slot ) {
+					if ( $slot > $after ) {
+						return $slot;
+					}
+				}
+			}
+
+			$day = $day->modify( '+1 day' );
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the next run times after a moment.
+	 *
+	 * @since    1.0.0
+	 * @param    array $rules    Rules.
+	 * @param    int   $count    Number of runs.
+	 * @param    int   $after    Unix timestamp.
+	 * @return   array           Unix timestamps.
+	 */
+	public static function get_next_runs( $rules, $count, $after ) {
+		$runs = array();
+
+		while ( count( $runs ) < $count ) {
+			$after = self::get_next_run( $rules, $after );
+
+			if ( ! $after ) {
+				break;
+			}
+
+			$runs[] = $after;
+		}
+
+		return $runs;
+	}
+
+	/**
+	 * Pick a random delay for a run, in seconds.
+	 *
+	 * @since    1.0.0
+	 * @param    array $rules    Rules.
+	 * @return   int
+	 */
+	public static function get_jitter( $rules ) {
+		return $rules['jitter'] ? wp_rand( 0, $rules['jitter'] * MINUTE_IN_SECONDS ) : 0;
+	}
+
+	/**
+	 * Check whether a category may be generated on a day.
+	 *
+	 * @since    1.0.0
+	 * @param    array  $rules          Rules.
+	 * @param    int    $category_id    Category ID.
+	 * @param    string $last_day       Day the category was last generated, Y-m-d, or empty.
+	 * @param    string $day            Day to check, Y-m-d.
+	 * @return   bool
+	 */
+	public static function is_category_due( $rules, $category_id, $last_day, $day ) {
+		if ( empty( $rules['cadence'][ $category_id ] ) || ! $last_day ) {
+			return true;
+		}
+
+		$next_day = gmdate( 'Y-m-d', strtotime( $last_day . ' +' . $rules['cadence'][ $category_id ] . ' days' ) );
+
+		return $day >= $next_day;
+	}
+}
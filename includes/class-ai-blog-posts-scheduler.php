@@ -20,6 +20,46 @@
  */
 class Ai_Blog_Posts_Scheduler {
 
+	/**
+	 * Gap between the sort keys of two neighbouring priorities.
+	 *
+	 * Leaves room to drop topics between others many times before their
+	 * neighbours have to be renumbered.
+	 *
+	 * @since    1.0.0
+	 * @var      int
+	 */
+	const PRIORITY_SPACING = 10000;
+
+	/**
+	 * Sort key of an undated topic: its place set by hand on the Topics
+	 * page, or else a place matching its priority.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const SORT_KEY = 'COALESCE(sort_order, (100 - priority) * ' . self::PRIORITY_SPACING . ')';
+
+	/**
+	 * Order pending topics are generated in: pinned topics by day, then
+	 * topics with a generate-by date or publish time by the earlier of
+	 * the two, then the rest by their sort key, so topics placed by hand
+	 * sit between topics of neighbouring priority.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const QUEUE_ORDER = 'pinned_date IS NULL, pinned_date ASC, COALESCE(generate_by, DATE(publish_at)) IS NULL, COALESCE(generate_by, DATE(publish_at)) ASC, ' . self::SORT_KEY . ' ASC, priority DESC, created_at ASC';
+
+	/**
+	 * Settings that change when scheduled generation runs. The cron event
+	 * has to be rescheduled when any of them change.
+	 *
+	 * @since    1.0.0
+	 * @var      array
+	 */
+	const SCHEDULE_SETTINGS = array( 'schedule_enabled', 'schedule_frequency', 'schedule_time', 'schedule_days', 'schedule_slots', 'schedule_jitter', 'schedule_blackouts' );
+
 	/**
 	 * Generator instance.
 	 *
@@ -124,7 +164,7 @@ class Ai_Blog_Posts_Scheduler {
 			
 			// After generation, reschedule for the next occurrence
 			// This ensures the next run is scheduled at the exact time
-			$this->reschedule();
+			$this->reschedule( (int) get_option( 'ai_blog_posts_schedule_slot', 0 ) );
 		} finally {
 			// Always release lock when done
 			delete_transient( $lock_key );
@@ -150,8 +190,8 @@ class Ai_Blog_Posts_Scheduler {
 			$frequency = Ai_Blog_Posts_Settings::get( 'schedule_frequency' );
 			$scheduled_time = Ai_Blog_Posts_Settings::get( 'schedule_time' );
 			
-			// For non-hourly frequencies, check if we're at the scheduled time
-			if ( 'hourly' !== $frequency && ! empty( $scheduled_time ) && preg_match( '/^(\d{1,2}):(\d{2})$/', $scheduled_time, $matches ) ) {
+			// For single-time frequencies, check if we're at the scheduled time
+			if ( ! in_array( $frequency, array( 'hourly', 'custom' ), true ) && ! empty( $scheduled_time ) && preg_match( '/^(\d{1,2}):(\d{2})$/', $scheduled_time, $matches ) ) {
 				$timezone = wp_timezone();
 				$now = new DateTime( 'now', $timezone );
 				$scheduled_hour = (int) $matches[1];
@@ -176,7 +216,7 @@ class Ai_Blog_Posts_Scheduler {
 					return;
 				}
 			} else {
-				// For hourly or if we can't determine scheduled time, respect cooldown
+				// For hourly, custom rules or if we can't determine scheduled time, respect cooldown
 				$remaining = round( ( $cooldown_end - time() ) / 60 );
 				$this->log_event( sprintf( 'Scheduled generation skipped: Cooldown period active (%d minutes remaining).', $remaining ) );
 				return;
@@ -189,6 +229,13 @@ class Ai_Blog_Posts_Scheduler {
 			return;
 		}
 
+		// Check blackout dates
+		$blackout = Ai_Blog_Posts_Schedule_Rules::get_blackout( Ai_Blog_Posts_Schedule_Rules::from_settings(), current_time( 'Y-m-d' ) );
+		if ( $blackout ) {
+			$this->log_event( sprintf( 'Scheduled generation skipped: Blackout %s to %s %s.', $blackout['start'], $blackout['end'], $blackout['label'] ) );
+			return;
+		}
+
 		// Check daily limit
 		if ( ! $this->cost_tracker->can_generate_today() ) {
 			$this->log_event( 'Scheduled generation skipped: Daily limit reached.' );
@@ -243,12 +290,12 @@ class Ai_Blog_Posts_Scheduler {
 
 		try {
 			// Generate the post
-			$result = $this->generator->generate_post( $topic->topic, array(
-				'keywords'       => $topic->keywords,
-				'category_id'    => $topic->category_id,
-				'publish'        => Ai_Blog_Posts_Settings::get( 'post_status' ) === 'publish',
-				'source'         => 'scheduled',
-				'generate_image' => Ai_Blog_Posts_Settings::get( 'image_enabled' ),
+			$result = $this->generator->generate_post( $topic->topic, array_merge(
+				Ai_Blog_Posts_Generator::get_topic_options( $topic ),
+				array(
+					'publish' => Ai_Blog_Posts_Settings::get( 'post_status' ) === 'publish',
+					'source'  => 'scheduled',
+				)
 			) );
 
 		// Update topic status
@@ -286,46 +333,33 @@ class Ai_Blog_Posts_Scheduler {
 	 * @return   bool
 	 */
 	private function is_within_time_window() {
-		$frequency = Ai_Blog_Posts_Settings::get( 'schedule_frequency' );
-		$scheduled_time = Ai_Blog_Posts_Settings::get( 'schedule_time' );
+		$rules = Ai_Blog_Posts_Schedule_Rules::from_settings();
 
 		// For hourly, always allow (we schedule exactly 1 hour apart)
-		if ( 'hourly' === $frequency ) {
+		if ( 'hourly' === $rules['frequency'] ) {
 			return true;
 		}
 
-		// For frequencies that use a specific time, validate the time format
-		if ( empty( $scheduled_time ) || ! preg_match( '/^(\d{1,2}):(\d{2})$/', $scheduled_time, $matches ) ) {
-			return false;
-		}
+		$now = time();
 
-		// Get current time in WordPress timezone
-		$timezone = wp_timezone();
-		$now = new DateTime( 'now', $timezone );
-		
-		// Parse scheduled time
-		$scheduled_hour = (int) $matches[1];
-		$scheduled_minute = (int) $matches[2];
-
-		// Create scheduled time for today in WordPress timezone
-		$scheduled_datetime = clone $now;
-		$scheduled_datetime->setTime( $scheduled_hour, $scheduled_minute, 0 );
-		
-		// Calculate time difference
-		$time_diff = abs( $now->getTimestamp() - $scheduled_datetime->getTimestamp() );
-		
-		// Allow a 10-minute window (cron might run slightly early/late)
+		// Allow a 10-minute window (cron might run slightly early/late), plus any random delay
 		$window = 10 * MINUTE_IN_SECONDS;
-		
-		// For twicedaily, also check 12-hour offset
-		if ( 'twicedaily' === $frequency ) {
-			$scheduled_datetime_12h = clone $scheduled_datetime;
-			$scheduled_datetime_12h->modify( '+12 hours' );
-			$time_diff_12h = abs( $now->getTimestamp() - $scheduled_datetime_12h->getTimestamp() );
-			$time_diff = min( $time_diff, $time_diff_12h );
+		$delay = $rules['jitter'] * MINUTE_IN_SECONDS;
+
+		// Yesterday's late slots can run just after midnight
+		$today = new DateTimeImmutable( 'now', wp_timezone() );
+		$slots = array_merge(
+			Ai_Blog_Posts_Schedule_Rules::get_slots( $rules, $today->modify( '-1 day' ) ),
+			Ai_Blog_Posts_Schedule_Rules::get_slots( $rules, $today )
+		);
+
+		foreach ( $slots as $slot ) {
+			if ( $now >= $slot - $window && $now <= $slot + $delay + $window ) {
+				return true;
+			}
 		}
-		
-		return $time_diff <= $window;
+
+		return false;
 	}
 
 	/**
@@ -485,13 +519,32 @@ class Ai_Blog_Posts_Scheduler {
 			)
 		);
 
-		// Get highest priority pending topic
+		// Categories with a cadence wait until enough days have passed since their last post
+		$today = current_time( 'Y-m-d' );
+		$rules = Ai_Blog_Posts_Schedule_Rules::from_settings();
+		$resting = array();
+
+		foreach ( $this->get_category_last_days( $rules ) as $category_id => $last_day ) {
+			if ( ! Ai_Blog_Posts_Schedule_Rules::is_category_due( $rules, $category_id, $last_day, $today ) ) {
+				$resting[] = (int) $category_id;
+			}
+		}
+
+		$resting_clause = $resting ? 'AND (category_id IS NULL OR category_id NOT IN (' . implode( ',', $resting ) . '))' : '';
+
+		// Topics pinned to today or earlier go first, topics pinned to a later day wait.
+		// Then topics with a generate-by or publish date, soonest first.
 		$topic = $wpdb->get_row(
-			"SELECT * FROM $table 
-			WHERE status = 'pending' 
-			AND (attempts < 3 OR attempts IS NULL)
-			ORDER BY priority DESC, created_at ASC 
-			LIMIT 1"
+			$wpdb->prepare(
+				"SELECT * FROM $table 
+				WHERE status = 'pending' 
+				AND (attempts < 3 OR attempts IS NULL)
+				AND (pinned_date IS NULL OR pinned_date <= %s)
+				$resting_clause
+				ORDER BY " . self::QUEUE_ORDER . " 
+				LIMIT 1",
+				$today
+			)
 		);
 
 		if ( ! $topic ) {
@@ -521,6 +574,33 @@ class Ai_Blog_Posts_Scheduler {
 		return $topic;
 	}
 
+	/**
+	 * Get the day each category with a cadence was last generated from the queue.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    array $rules    Rules from Ai_Blog_Posts_Schedule_Rules.
+	 * @return   array           Y-m-d days keyed by category ID.
+	 */
+	private function get_category_last_days( $rules ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		if ( empty( $rules['cadence'] ) ) {
+			return array();
+		}
+
+		$category_ids = implode( ',', array_map( 'absint', array_keys( $rules['cadence'] ) ) );
+
+		$rows = $wpdb->get_results(
+			"SELECT category_id, DATE(MAX(processed_at)) AS last_day FROM $table
+			WHERE status = 'completed' AND category_id IN ($category_ids)
+			GROUP BY category_id" // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		);
+
+		return wp_list_pluck( $rows, 'last_day', 'category_id' );
+	}
+
 	/**
 	 * Update topic status after generation attempt.
 	 *
@@ -623,8 +703,11 @@ class Ai_Blog_Posts_Scheduler {
 	 * After the event runs, it will call reschedule() again to schedule the next occurrence.
 	 *
 	 * @since    1.0.0
+	 * @param    int $after    Slot that just ran. The random delay can push a run past
+	 *                         the following slot, so that slot is scheduled next rather
+	 *                         than the first one after now. Defaults to now.
 	 */
-	public function reschedule() {
+	public function reschedule( $after = 0 ) {
 		// Prevent concurrent reschedule calls using a lock
 		$lock_key = 'ai_blog_posts_reschedule_lock';
 		$lock = get_transient( $lock_key );
@@ -647,8 +730,7 @@ class Ai_Blog_Posts_Scheduler {
 			return;
 		}
 
-		$frequency = Ai_Blog_Posts_Settings::get( 'schedule_frequency' );
-		$scheduled_time = Ai_Blog_Posts_Settings::get( 'schedule_time' );
+		$rules = Ai_Blog_Posts_Schedule_Rules::from_settings();
 
 		// Get WordPress timezone
 		$timezone = wp_timezone();
@@ -657,20 +739,30 @@ class Ai_Blog_Posts_Scheduler {
 		// Log current state for debugging
 		$this->log_event( sprintf( 
 			'Reschedule: Frequency=%s, Scheduled Time=%s, Now=%s (timezone: %s)', 
-			$frequency,
-			$scheduled_time,
+			$rules['frequency'],
+			'custom' === $rules['frequency'] ? implode( ', ', $rules['slots'] ) : $rules['time'],
 			$now->format( 'Y-m-d H:i:s' ),
 			$timezone->getName()
 		) );
 
-		// Calculate next run time based on frequency
-		$next_run = $this->calculate_next_run_time( $frequency, $scheduled_time, $now, $timezone );
+		// Carry on from the slot that ran, unless the run was late beyond its delay
+		// (e.g. the site had no visitors), as slots missed that way are not caught up
+		$from = clone $now;
+		$latest = ( $rules['jitter'] + 10 ) * MINUTE_IN_SECONDS;
+		if ( $after && $after < $now->getTimestamp() && $after >= $now->getTimestamp() - $latest ) {
+			$from->setTimestamp( $after );
+		}
+
+		// Calculate next run time based on the schedule rules
+		$slot = $this->calculate_next_run_time( $rules, $from );
 
-		if ( ! $next_run ) {
+		if ( ! $slot ) {
 			$this->log_event( 'Reschedule failed: Could not calculate next run time.' );
 			return;
 		}
 
+		$next_run = $slot + $this->get_random_delay( $rules, $slot );
+
 		// Check if this is a settings save (cooldown check)
 		$cooldown_end = get_transient( 'ai_blog_posts_schedule_cooldown' );
 		$is_settings_save = ( $cooldown_end && time() < $cooldown_end );
@@ -696,7 +788,8 @@ class Ai_Blog_Posts_Scheduler {
 					date_i18n( 'Y-m-d H:i:s', $min_time )
 				) );
 				$now->setTimestamp( $min_time );
-				$next_run = $this->calculate_next_run_time( $frequency, $scheduled_time, $now, $timezone );
+				$slot = $this->calculate_next_run_time( $rules, $now );
+				$next_run = $slot ? $slot + $this->get_random_delay( $rules, $slot ) : false;
 			} else {
 				$this->log_event( sprintf( 
 					'Cooldown check: Next run (%s) is %d seconds away, using calculated time (cooldown allows it).', 
@@ -712,6 +805,7 @@ class Ai_Blog_Posts_Scheduler {
 		if ( $scheduled === false ) {
 			$this->log_event( sprintf( 'Failed to schedule event for %s', date_i18n( 'Y-m-d H:i:s', $next_run ) ) );
 		} else {
+			update_option( 'ai_blog_posts_schedule_slot', $slot );
 			$this->log_event( sprintf( 
 				'Scheduled next run for %s (%s from now)', 
 				date_i18n( 'Y-m-d H:i:s', $next_run ),
@@ -724,130 +818,45 @@ class Ai_Blog_Posts_Scheduler {
 	}
 
 	/**
-	 * Calculate the next run time based on frequency and scheduled time.
+	 * Calculate the next slot from the schedule rules.
+	 *
+	 * Blackout days are skipped. The random delay of custom rules is added
+	 * separately by get_random_delay().
 	 *
 	 * @since    1.0.0
-	 * @param    string    $frequency       Schedule frequency (hourly, daily, weekly, twicedaily).
-	 * @param    string    $scheduled_time  Scheduled time in HH:MM format.
-	 * @param    DateTime  $now             Current DateTime object in WordPress timezone.
-	 * @param    DateTimeZone $timezone    WordPress timezone.
-	 * @return   int|false                 Unix timestamp of next run, or false on error.
+	 * @param    array     $rules    Rules from Ai_Blog_Posts_Schedule_Rules.
+	 * @param    DateTime  $now      DateTime object in WordPress timezone to start after.
+	 * @return   int|false           Unix timestamp of next slot, or false on error.
 	 */
-	private function calculate_next_run_time( $frequency, $scheduled_time, $now, $timezone ) {
-		if ( 'hourly' === $frequency ) {
-			// For hourly, run 1 hour from now (or immediately if cooldown allows)
-			$next_run = clone $now;
-			$next_run->modify( '+1 hour' );
-			$next_run->setTime( (int) $next_run->format( 'H' ), 0, 0 ); // Round to top of hour
-			return $next_run->getTimestamp();
-		}
+	private function calculate_next_run_time( $rules, $now ) {
+		$next_run = Ai_Blog_Posts_Schedule_Rules::get_next_run( $rules, $now->getTimestamp() );
 
-		// For other frequencies, we need a scheduled time
-		if ( empty( $scheduled_time ) || ! preg_match( '/^(\d{1,2}):(\d{2})$/', $scheduled_time, $matches ) ) {
-			$this->log_event( 'Cannot calculate next run: Invalid scheduled time format.' );
+		if ( ! $next_run ) {
+			$this->log_event( sprintf( 'Cannot calculate next run: No run time within a year for frequency %s.', $rules['frequency'] ) );
 			return false;
 		}
 
-		$scheduled_hour = (int) $matches[1];
-		$scheduled_minute = (int) $matches[2];
-
-		// Validate hour and minute
-		if ( $scheduled_hour < 0 || $scheduled_hour > 23 || $scheduled_minute < 0 || $scheduled_minute > 59 ) {
-			$this->log_event( sprintf( 'Cannot calculate next run: Invalid hour (%d) or minute (%d).', $scheduled_hour, $scheduled_minute ) );
-			return false;
-		}
+		return $next_run;
+	}
 
-		// Log parsed time for debugging
-		$this->log_event( sprintf( 
-			'Parsed scheduled time: Hour=%d, Minute=%d (from input: %s)', 
-			$scheduled_hour, 
-			$scheduled_minute,
-			$scheduled_time
-		) );
+	/**
+	 * Pick the random delay for a slot and log it.
+	 *
+	 * @since    1.0.0
+	 * @param    array $rules    Rules from Ai_Blog_Posts_Schedule_Rules.
+	 * @param    int   $slot     Unix timestamp of the slot.
+	 * @return   int             Delay in seconds.
+	 */
+	private function get_random_delay( $rules, $slot ) {
+		$jitter = Ai_Blog_Posts_Schedule_Rules::get_jitter( $rules );
 
-		// Create scheduled time for today
-		$scheduled_today = clone $now;
-		$scheduled_today->setTime( $scheduled_hour, $scheduled_minute, 0 );
-		
-		// Log what we're comparing
 		$this->log_event( sprintf( 
-			'Time comparison: Now=%s, Scheduled Today=%s, Diff=%d minutes', 
-			$now->format( 'Y-m-d H:i:s' ),
-			$scheduled_today->format( 'Y-m-d H:i:s' ),
-			round( ( $scheduled_today->getTimestamp() - $now->getTimestamp() ) / 60 )
+			'Next slot: %s, random delay: %d seconds', 
+			wp_date( 'Y-m-d H:i:s', $slot ),
+			$jitter
 		) );
 
-		switch ( $frequency ) {
-			case 'daily':
-				// If scheduled time today has passed, use tomorrow
-				if ( $scheduled_today->getTimestamp() <= $now->getTimestamp() ) {
-					$scheduled_today->modify( '+1 day' );
-				}
-				return $scheduled_today->getTimestamp();
-
-			case 'twicedaily':
-				// Run twice per day - calculate next occurrence
-				// First run: scheduled time today (if not passed) or tomorrow
-				// Second run: 12 hours after first run
-				
-				// Calculate first run time for today
-				$first_run_today = clone $scheduled_today;
-				
-				// Calculate second run time for today (12 hours after first)
-				$second_run_today = clone $first_run_today;
-				$second_run_today->modify( '+12 hours' );
-				
-				// Log for debugging
-				$this->log_event( sprintf( 
-					'Twicedaily: First run today=%s, Second run today=%s, Now=%s', 
-					$first_run_today->format( 'Y-m-d H:i:s' ),
-					$second_run_today->format( 'Y-m-d H:i:s' ),
-					$now->format( 'Y-m-d H:i:s' )
-				) );
-				
-				// Determine which run is next
-				if ( $first_run_today->getTimestamp() > $now->getTimestamp() ) {
-					// First run today hasn't happened yet
-					$this->log_event( sprintf( 'Twicedaily: Using first run today (%s)', $first_run_today->format( 'Y-m-d H:i:s' ) ) );
-					return $first_run_today->getTimestamp();
-				} elseif ( $second_run_today->getTimestamp() > $now->getTimestamp() ) {
-					// Second run today hasn't happened yet
-					$this->log_event( sprintf( 'Twicedaily: Using second run today (%s)', $second_run_today->format( 'Y-m-d H:i:s' ) ) );
-					return $second_run_today->getTimestamp();
-				} else {
-					// Both runs today have passed, schedule for tomorrow
-					$scheduled_today->modify( '+1 day' );
-					$this->log_event( sprintf( 'Twicedaily: Both runs passed, scheduling for tomorrow (%s)', $scheduled_today->format( 'Y-m-d H:i:s' ) ) );
-					return $scheduled_today->getTimestamp();
-				}
-
-			case 'weekly':
-				// Run on Monday at scheduled time
-				$scheduled_today->setTime( $scheduled_hour, $scheduled_minute, 0 );
-				
-				// Get day of week (0=Sunday, 1=Monday, etc.)
-				$day_of_week = (int) $now->format( 'w' );
-				
-				// Calculate days until next Monday
-				$days_until_monday = ( 8 - $day_of_week ) % 7;
-				if ( $days_until_monday === 0 ) {
-					// Today is Monday - check if scheduled time has passed
-					if ( $scheduled_today->getTimestamp() <= $now->getTimestamp() ) {
-						// Schedule for next Monday
-						$days_until_monday = 7;
-					}
-				}
-				
-				if ( $days_until_monday > 0 ) {
-					$scheduled_today->modify( "+{$days_until_monday} days" );
-				}
-				
-				return $scheduled_today->getTimestamp();
-
-			default:
-				$this->log_event( sprintf( 'Unknown frequency: %s', $frequency ) );
-				return false;
-		}
+		return $jitter;
 	}
 
 	/**
@@ -868,6 +877,578 @@ class Ai_Blog_Posts_Scheduler {
 		);
 	}
 
+	/**
+	 * Get the pending topics the scheduler will pick next, in order.
+	 *
+	 * @since    1.0.0
+	 * @param    int $count    Number of topics.
+	 * @return   array         Topic ID, title, position and expected run time.
+	 */
+	public function get_upcoming_topics( $count = 5 ) {
+		$upcoming = array();
+
+		foreach ( $this->project_queue( 0, $count ) as $index => $item ) {
+			$upcoming[] = array(
+				'id'       => (int) $item['topic']->id,
+				'topic'    => $item['topic']->topic,
+				'position' => $index + 1,
+				'run_at'   => $item['run_at'] ? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $item['run_at'] ) : null,
+			);
+		}
+
+		return $upcoming;
+	}
+
+	/**
+	 * Work out which pending topic each upcoming scheduled run will generate.
+	 *
+	 * Each run takes one topic, in the order get_and_lock_next_topic() uses.
+	 * Runs follow the schedule rules, so blackout days are skipped, and runs
+	 * on a day that has already reached the daily post limit are skipped, as
+	 * do_scheduled_generation() does. A topic pinned to a day is not picked
+	 * before that day, and a category with a cadence rests between posts.
+	 * When scheduling is off the topics are listed in the order they would
+	 * be picked today, without run times.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    int $until    Unix timestamp to stop at, 0 for no end.
+	 * @param    int $limit    Most topics to return, 0 for no limit.
+	 * @return   array         Items with the topic row and its run timestamp (or null).
+	 */
+	private function project_queue( $until = 0, $limit = 0 ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$queue = $wpdb->get_results(
+			"SELECT id, topic, content_type, category_id, priority, pinned_date, generate_by, publish_at FROM $table
+			WHERE status = 'pending'
+			AND (attempts < 3 OR attempts IS NULL)
+			ORDER BY " . self::QUEUE_ORDER // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		);
+
+		$rules = Ai_Blog_Posts_Schedule_Rules::from_settings();
+		$last_days = $this->get_category_last_days( $rules );
+		$projection = array();
+
+		// Takes the topic a run on $day would pick out of the queue, or null
+		$pick = function( $day ) use ( &$queue, &$last_days, $rules ) {
+			foreach ( $queue as $index => $topic ) {
+				if ( $topic->pinned_date && $topic->pinned_date > $day ) {
+					continue;
+				}
+				if ( ! Ai_Blog_Posts_Schedule_Rules::is_category_due( $rules, (int) $topic->category_id, $last_days[ $topic->category_id ] ?? '', $day ) ) {
+					continue;
+				}
+
+				array_splice( $queue, $index, 1 );
+				if ( $topic->category_id ) {
+					$last_days[ $topic->category_id ] = $day;
+				}
+
+				return $topic;
+			}
+
+			return null;
+		};
+
+		$next_run = wp_next_scheduled( 'ai_blog_posts_scheduled_generation' );
+
+		if ( ! $next_run || ! Ai_Blog_Posts_Settings::get( 'schedule_enabled' ) ) {
+			$today = current_time( 'Y-m-d' );
+
+			while ( ( ! $limit || count( $projection ) < $limit ) && ( $topic = $pick( $today ) ) ) {
+				$projection[] = array(
+					'topic'  => $topic,
+					'run_at' => null,
+				);
+			}
+
+			return $projection;
+		}
+
+		$max_per_day = (int) Ai_Blog_Posts_Settings::get( 'max_posts_per_day' );
+		$per_day = array( current_time( 'Y-m-d' ) => $this->cost_tracker->get_posts_generated_today() );
+
+		// A year of runs is enough for any pin, hourly runs included
+		for ( $checked = 0; $checked < 366 * 24 && $next_run && $queue; $checked++ ) {
+			if ( ( $until && $next_run > $until ) || ( $limit && count( $projection ) >= $limit ) ) {
+				break;
+			}
+
+			$day = wp_date( 'Y-m-d', $next_run );
+			$per_day[ $day ] = $per_day[ $day ] ?? 0;
+
+			if ( $per_day[ $day ] < $max_per_day && ! Ai_Blog_Posts_Schedule_Rules::get_blackout( $rules, $day ) ) {
+				$topic = $pick( $day );
+
+				if ( $topic ) {
+					$projection[] = array(
+						'topic'  => $topic,
+						'run_at' => $next_run,
+					);
+					$per_day[ $day ]++;
+				}
+			}
+
+			$next_run = Ai_Blog_Posts_Schedule_Rules::get_next_run( $rules, $next_run );
+		}
+
+		return $projection;
+	}
+
+	/**
+	 * Get what happened and what is expected to happen on each day of a range.
+	 *
+	 * Days hold the posts the plugin generated on them and the queued
+	 * topics projected to generate on them. With scheduling off, pinned
+	 * topics are shown on their pinned day.
+	 *
+	 * @since    1.0.0
+	 * @param    string $start    First day, Y-m-d.
+	 * @param    string $end      Last day, Y-m-d.
+	 * @return   array            Items keyed by day, plus pending topics not placed in the range.
+	 */
+	public function get_calendar( $start, $end ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$timezone = wp_timezone();
+		$range_start = new DateTimeImmutable( $start . ' 00:00:00', $timezone );
+		$range_end = new DateTimeImmutable( $end . ' 23:59:59', $timezone );
+		$time_format = get_option( 'time_format' );
+		$days = array();
+
+		// Posts already generated
+		$posts = get_posts( array(
+			'post_type'      => 'any',
+			'post_status'    => array( 'publish', 'future', 'draft', 'pending', 'private' ),
+			'posts_per_page' => 500,
+			'meta_key'       => '_ai_blog_posts_generated', // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+			'date_query'     => array(
+				array(
+					'after'     => $range_start->format( 'Y-m-d H:i:s' ),
+					'before'    => $range_end->format( 'Y-m-d H:i:s' ),
+					'inclusive' => true,
+				),
+			),
+			'orderby'        => 'date',
+			'order'          => 'ASC',
+		) );
+
+		foreach ( $posts as $post ) {
+			$days[ get_the_date( 'Y-m-d', $post ) ][] = array(
+				'type'   => 'post',
+				'id'     => $post->ID,
+				'title'  => get_the_title( $post ),
+				'time'   => get_the_date( $time_format, $post ),
+				'status' => $post->post_status,
+				'url'    => get_edit_post_link( $post->ID, 'raw' ),
+			);
+		}
+
+		// Topics the scheduler is expected to pick
+		$placed = array();
+		$scheduled = Ai_Blog_Posts_Settings::get( 'schedule_enabled' ) && wp_next_scheduled( 'ai_blog_posts_scheduled_generation' );
+
+		if ( $scheduled ) {
+			foreach ( $this->project_queue( $range_end->getTimestamp() ) as $item ) {
+				$placed[] = (int) $item['topic']->id;
+
+				if ( $item['run_at'] < $range_start->getTimestamp() ) {
+					continue;
+				}
+
+				$days[ wp_date( 'Y-m-d', $item['run_at'] ) ][] = $this->get_calendar_topic( $item['topic'], wp_date( $time_format, $item['run_at'] ) );
+			}
+		} else {
+			$pinned = $wpdb->get_results(
+				"SELECT id, topic, content_type, priority, pinned_date, generate_by, publish_at FROM $table
+				WHERE status = 'pending' AND pinned_date IS NOT NULL" // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			);
+
+			foreach ( $pinned as $topic ) {
+				$placed[] = (int) $topic->id;
+
+				if ( $topic->pinned_date >= $start && $topic->pinned_date <= $end ) {
+					$days[ $topic->pinned_date ][] = $this->get_calendar_topic( $topic, '' );
+				}
+			}
+		}
+
+		// Pending topics that will not come up in this range
+		$unscheduled = $wpdb->get_results(
+			"SELECT id, topic, content_type, priority, pinned_date, generate_by, publish_at FROM $table
+			WHERE status = 'pending'
+			AND (attempts < 3 OR attempts IS NULL)
+			ORDER BY " . self::QUEUE_ORDER . "
+			LIMIT 200" // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		);
+
+		$unscheduled = array_values( array_filter( $unscheduled, function( $topic ) use ( $placed ) {
+			return ! in_array( (int) $topic->id, $placed, true ) && empty( $topic->pinned_date );
+		} ) );
+
+		// Days with no runs
+		$rules = Ai_Blog_Posts_Schedule_Rules::from_settings();
+		$blackouts = array();
+
+		for ( $day = $range_start; $day <= $range_end; $day = $day->modify( '+1 day' ) ) {
+			$blackout = Ai_Blog_Posts_Schedule_Rules::get_blackout( $rules, $day->format( 'Y-m-d' ) );
+			if ( $blackout ) {
+				$blackouts[ $day->format( 'Y-m-d' ) ] = '' !== $blackout['label'] ? $blackout['label'] : __( 'Blackout', 'ai-blog-posts' );
+			}
+		}
+
+		return array(
+			'days'        => $days,
+			'unscheduled' => array_map( function( $topic ) {
+				return $this->get_calendar_topic( $topic, '' );
+			}, array_slice( $unscheduled, 0, 50 ) ),
+			'blackouts'   => $blackouts,
+			'scheduled'   => (bool) $scheduled,
+		);
+	}
+
+	/**
+	 * Describe a queued topic for the calendar.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @param    object $topic    Topic row.
+	 * @param    string $time     Expected run time, empty if unknown.
+	 * @return   array
+	 */
+	private function get_calendar_topic( $topic, $time ) {
+		return array(
+			'type'        => 'topic',
+			'id'          => (int) $topic->id,
+			'title'       => $topic->topic,
+			'time'        => $time,
+			'priority'    => (int) $topic->priority,
+			'pinned_date' => $topic->pinned_date,
+			'generate_by' => $topic->generate_by,
+			'publish_at'  => $topic->publish_at ? date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $topic->publish_at ) ) : null,
+		);
+	}
+
+	/**
+	 * Pin a pending topic to a day, or unpin it.
+	 *
+	 * The topic is generated by the first scheduled run on that day, ahead
+	 * of unpinned topics. If the day is full it moves to the next run.
+	 *
+	 * @since    1.0.0
+	 * @param    int    $topic_id    Topic ID.
+	 * @param    string $date        Day as Y-m-d, or empty to unpin.
+	 * @return   true|WP_Error
+	 */
+	public function pin_topic( $topic_id, $date ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$status = $wpdb->get_var( $wpdb->prepare( "SELECT status FROM $table WHERE id = %d", $topic_id ) ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		if ( ! $status ) {
+			return new WP_Error( 'not_found', __( 'Topic not found.', 'ai-blog-posts' ) );
+		}
+
+		if ( 'pending' !== $status ) {
+			return new WP_Error( 'not_pending', __( 'Only pending topics can be scheduled.', 'ai-blog-posts' ) );
+		}
+
+		if ( '' !== $date ) {
+			$day = DateTimeImmutable::createFromFormat( '!Y-m-d', $date, wp_timezone() );
+
+			if ( ! $day || $day->format( 'Y-m-d' ) !== $date ) {
+				return new WP_Error( 'invalid_date', __( 'Invalid date.', 'ai-blog-posts' ) );
+			}
+
+			if ( $date < current_time( 'Y-m-d' ) ) {
+				return new WP_Error( 'past_date', __( 'Topics cannot be pinned to a day in the past.', 'ai-blog-posts' ) );
+			}
+		}
+
+		$wpdb->update(
+			$table,
+			array( 'pinned_date' => '' === $date ? null : $date ),
+			array( 'id' => $topic_id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+
+		return true;
+	}
+
+	/**
+	 * Move a pending topic between two others.
+	 *
+	 * Only the moved topic gets a new sort key, halfway between its new
+	 * neighbours, so every other topic keeps the place its priority gives
+	 * it. When there is no room left between the neighbours, the nearest
+	 * topics around them are spread out as well.
+	 *
+	 * Topics with a pinned, generate-by or publish date are ordered by that
+	 * date and can't be moved by hand.
+	 *
+	 * @since    1.0.0
+	 * @param    int $topic_id     Topic to move.
+	 * @param    int $after_id     Topic it now follows, 0 if none.
+	 * @param    int $before_id    Topic it now comes before, 0 if none.
+	 * @return   true|WP_Error     True on success, or error.
+	 */
+	public function reorder_queue( $topic_id, $after_id = 0, $before_id = 0 ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$queue = $wpdb->get_results(
+			"SELECT id, sort_order, " . self::SORT_KEY . " AS sort_key FROM $table
+			WHERE status = 'pending' AND pinned_date IS NULL AND generate_by IS NULL AND publish_at IS NULL
+			ORDER BY " . self::QUEUE_ORDER, // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			OBJECT_K
+		);
+
+		if ( ! isset( $queue[ $topic_id ] ) ) {
+			return new WP_Error( 'fixed_position', __( 'Only pending topics without a date can be moved. Dated topics are ordered by their date.', 'ai-blog-posts' ) );
+		}
+
+		$order = array_values( array_diff( array_map( 'intval', array_keys( $queue ) ), array( $topic_id ) ) );
+
+		if ( $after_id && in_array( $after_id, $order, true ) ) {
+			$index = array_search( $after_id, $order, true ) + 1;
+		} elseif ( $before_id && in_array( $before_id, $order, true ) ) {
+			$index = array_search( $before_id, $order, true );
+		} else {
+			return true;
+		}
+
+		array_splice( $order, $index, 0, array( $topic_id ) );
+
+		$keys = array();
+		foreach ( $order as $id ) {
+			$keys[] = (int) $queue[ $id ]->sort_key;
+		}
+
+		// Past either end there is always room for every topic
+		$count = count( $order );
+		$others = array_values( array_diff_key( $keys, array( $index => 0 ) ) );
+		$floor = ( $others ? $others[0] : 0 ) - self::PRIORITY_SPACING - $count;
+		$ceiling = ( $others ? end( $others ) : 0 ) + self::PRIORITY_SPACING + $count;
+		$key_at = function( $position ) use ( $keys, $count, $floor, $ceiling ) {
+			if ( $position < 0 ) {
+				return $floor;
+			}
+			return $position >= $count ? $ceiling : $keys[ $position ];
+		};
+
+		// Widen the topics to renumber until their neighbours leave a key for each
+		$low = $index - 1;
+		$high = $index + 1;
+		while ( $key_at( $high ) - $key_at( $low ) < $high - $low ) {
+			if ( $low >= 0 && ( $high >= $count || $index - $low <= $high - $index ) ) {
+				$low--;
+			} else {
+				$high++;
+			}
+		}
+
+		$step = ( $key_at( $high ) - $key_at( $low ) ) / ( $high - $low );
+
+		for ( $position = $low + 1; $position < $high; $position++ ) {
+			$id = $order[ $position ];
+			$key = $key_at( $low ) + (int) floor( ( $position - $low ) * $step );
+
+			if ( (string) $key !== (string) $queue[ $id ]->sort_order ) {
+				$wpdb->update(
+					$table,
+					array( 'sort_order' => $key ),
+					array( 'id' => $id ),
+					array( '%d' ),
+					array( '%d' )
+				);
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Read a topic's generate-by date and publish time from request data.
+	 *
+	 * @since    1.0.0
+	 * @param    array $request    Raw request data with generate_by and publish_at, e.g. $_POST.
+	 * @return   array|WP_Error    Column values (null when empty) or error.
+	 */
+	public static function get_topic_dates( $request ) {
+		$dates = array(
+			'generate_by' => null,
+			'publish_at'  => null,
+		);
+
+		$generate_by = isset( $request['generate_by'] ) ? sanitize_text_field( wp_unslash( $request['generate_by'] ) ) : '';
+		$publish_at = isset( $request['publish_at'] ) ? sanitize_text_field( wp_unslash( $request['publish_at'] ) ) : '';
+
+		if ( '' !== $generate_by ) {
+			$date = Ai_Blog_Posts_Importer::parse_date( $generate_by );
+			if ( ! $date ) {
+				return new WP_Error( 'invalid_date', __( 'Invalid generate-by date.', 'ai-blog-posts' ) );
+			}
+			$dates['generate_by'] = $date->format( 'Y-m-d' );
+		}
+
+		if ( '' !== $publish_at ) {
+			$date = Ai_Blog_Posts_Importer::parse_date( $publish_at );
+			if ( ! $date ) {
+				return new WP_Error( 'invalid_date', __( 'Invalid publish date.', 'ai-blog-posts' ) );
+			}
+			$dates['publish_at'] = $date->format( 'Y-m-d H:i:s' );
+		}
+
+		if ( $dates['generate_by'] && $dates['publish_at'] && $dates['generate_by'] > substr( $dates['publish_at'], 0, 10 ) ) {
+			return new WP_Error( 'invalid_date', __( 'The generate-by date must not be after the publish date.', 'ai-blog-posts' ) );
+		}
+
+		return $dates;
+	}
+
+	/**
+	 * Read topic list filters and sorting from request data.
+	 *
+	 * @since    1.0.0
+	 * @param    array $request    Raw request data, e.g. $_GET.
+	 * @return   array             Sanitized filters.
+	 */
+	public static function get_topic_filters( $request ) {
+		$request = wp_unslash( (array) $request );
+		$date = function( $value ) {
+			$value = sanitize_text_field( (string) $value );
+			return preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value ) ? $value : '';
+		};
+
+		return array(
+			'status'    => sanitize_key( $request['status'] ?? '' ),
+			'source'    => sanitize_key( $request['source'] ?? '' ),
+			'category'  => absint( $request['category'] ?? 0 ),
+			'date_from' => $date( $request['date_from'] ?? '' ),
+			'date_to'   => $date( $request['date_to'] ?? '' ),
+			's'         => sanitize_text_field( $request['s'] ?? '' ),
+			'orderby'   => sanitize_key( $request['orderby'] ?? '' ),
+			'order'     => 'asc' === strtolower( (string) ( $request['order'] ?? '' ) ) ? 'asc' : 'desc',
+		);
+	}
+
+	/**
+	 * Get a page of topics for the queue table.
+	 *
+	 * Without an orderby the topics come back in queue order, the order
+	 * get_and_lock_next_topic() picks them in. Every word of a search must
+	 * appear in the topic or its keywords.
+	 *
+	 * @since    1.0.0
+	 * @param    int   $page        Page number.
+	 * @param    int   $per_page    Items per page.
+	 * @param    array $filters     Filters from get_topic_filters().
+	 * @return   array              Topics and total count.
+	 */
+	public function get_topics( $page = 1, $per_page = 20, $filters = array() ) {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		$offset = ( max( 1, $page ) - 1 ) * $per_page;
+		$where = array( '1=1' );
+		$values = array();
+
+		if ( ! empty( $filters['status'] ) ) {
+			// Queued topics are waiting in a background batch, so count them as processing
+			if ( 'processing' === $filters['status'] ) {
+				$where[] = "status IN ('queued', 'processing')";
+			} else {
+				$where[] = 'status = %s';
+				$values[] = $filters['status'];
+			}
+		}
+
+		if ( ! empty( $filters['source'] ) ) {
+			$where[] = 'source = %s';
+			$values[] = $filters['source'];
+		}
+
+		if ( ! empty( $filters['category'] ) ) {
+			$where[] = 'category_id = %d';
+			$values[] = $filters['category'];
+		}
+
+		if ( ! empty( $filters['date_from'] ) ) {
+			$where[] = 'created_at >= %s';
+			$values[] = $filters['date_from'];
+		}
+
+		if ( ! empty( $filters['date_to'] ) ) {
+			$where[] = 'created_at <= %s';
+			$values[] = $filters['date_to'] . ' 23:59:59';
+		}
+
+		if ( ! empty( $filters['s'] ) ) {
+			foreach ( preg_split( '/\s+/', $filters['s'], -1, PREG_SPLIT_NO_EMPTY ) as $word ) {
+				$like = '%' . $wpdb->esc_like( $word ) . '%';
+				$where[] = '(topic LIKE %s OR keywords LIKE %s)';
+				$values[] = $like;
+				$values[] = $like;
+			}
+		}
+
+		$where_clause = implode( ' AND ', $where );
+
+		$sortable = array(
+			'topic'    => 'topic',
+			'category' => "(SELECT name FROM {$wpdb->terms} WHERE term_id = category_id)",
+			'source'   => 'source',
+			'priority' => 'priority',
+			'status'   => 'status',
+			'date'     => 'created_at',
+		);
+		$orderby = $filters['orderby'] ?? '';
+
+		if ( isset( $sortable[ $orderby ] ) ) {
+			$order = 'asc' === ( $filters['order'] ?? '' ) ? 'ASC' : 'DESC';
+			$order_clause = "{$sortable[ $orderby ]} $order, id $order";
+		} else {
+			$order_clause = self::QUEUE_ORDER;
+		}
+
+		// Get total count
+		$count_query = "SELECT COUNT(*) FROM $table WHERE $where_clause";
+		if ( ! empty( $values ) ) {
+			$count_query = $wpdb->prepare( $count_query, $values ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		}
+		$total = $wpdb->get_var( $count_query ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+
+		// Get topics
+		$query = "SELECT * FROM $table WHERE $where_clause ORDER BY $order_clause LIMIT %d OFFSET %d";
+		$values[] = $per_page;
+		$values[] = $offset;
+
+		$topics = $wpdb->get_results( $wpdb->prepare( $query, $values ) ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+
+		return array(
+			'topics' => $topics,
+			'total'  => (int) $total,
+		);
+	}
+
+	/**
+	 * Get the sources topics in the queue came from.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Source IDs.
+	 */
+	public function get_topic_sources() {
+		global $wpdb;
+		$table = $wpdb->prefix . 'ai_blog_posts_topics';
+
+		return $wpdb->get_col( "SELECT DISTINCT source FROM $table WHERE source <> '' ORDER BY source ASC" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+	}
+
 	/**
 	 * Get queue statistics.
 	 *
@@ -879,10 +1460,11 @@ class Ai_Blog_Posts_Scheduler {
 		$table = $wpdb->prefix . 'ai_blog_posts_topics';
 
 		return array(
-			'pending'   => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status = 'pending'" ),
-			'completed' => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status = 'completed'" ),
-			'failed'    => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status = 'failed'" ),
-			'total'     => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table" ),
+			'pending'    => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status = 'pending'" ),
+			'processing' => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status IN ('queued', 'processing')" ),
+			'completed'  => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status = 'completed'" ),
+			'failed'     => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table WHERE status = 'failed'" ),
+			'total'      => (int) $wpdb->get_var( "SELECT COUNT(*) FROM $table" ),
 		);
 	}
 }
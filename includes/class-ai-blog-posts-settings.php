@@ -35,6 +35,12 @@ class Ai_Blog_Posts_Settings {
 	 * @var      array
 	 */
 	private static $settings = array(
+		'provider' => array(
+			'type'      => 'string',
+			'default'   => 'openai',
+			'sanitize'  => 'sanitize_text_field',
+			'options'   => array( 'openai', 'anthropic', 'gemini', 'openai_compatible' ),
+		),
 		'api_key' => array(
 			'type'      => 'string',
 			'default'   => '',
@@ -45,11 +51,72 @@ class Ai_Blog_Posts_Settings {
 			'default'   => '',
 			'sanitize'  => 'sanitize_text_field',
 		),
+		'anthropic_api_key' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'gemini_api_key' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'compatible_base_url' => array(
+			'type'      => 'string',
+			'default'   => 'http://localhost:11434/v1',
+			'sanitize'  => 'esc_url_raw',
+		),
+		'compatible_api_key' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'compatible_model' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'compatible_input_cost' => array(
+			'type'      => 'float',
+			'default'   => 0,
+			'min'       => 0,
+		),
+		'compatible_output_cost' => array(
+			'type'      => 'float',
+			'default'   => 0,
+			'min'       => 0,
+		),
+		// Validated against the active provider's models in get()
 		'model' => array(
 			'type'      => 'string',
 			'default'   => 'gpt-5-mini',
 			'sanitize'  => 'sanitize_text_field',
-			'options'   => array( 'gpt-5.1', 'gpt-5', 'gpt-5-mini', 'gpt-5-nano', 'gpt-5-pro', 'gpt-4.1', 'gpt-4.1-mini' ),
+		),
+		// Per-stage models, empty to use the default model
+		'model_outline' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'model_content' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'model_humanize' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'model_seo' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
+		),
+		'model_image_prompt' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_text_field',
 		),
 		'image_enabled' => array(
 			'type'      => 'bool',
@@ -67,6 +134,83 @@ class Ai_Blog_Posts_Settings {
 			'sanitize'  => 'sanitize_text_field',
 			'options'   => array( '1024x1024', '1536x1024', '1024x1536', '1792x1024', '1024x1792' ),
 		),
+		'inline_images' => array(
+			'type'      => 'int',
+			'default'   => 0,
+			'sanitize'  => 'absint',
+			'min'       => 0,
+			'max'       => 5,
+		),
+		'inline_images_reuse' => array(
+			'type'      => 'bool',
+			'default'   => true,
+		),
+		'image_candidates' => array(
+			'type'      => 'int',
+			'default'   => 3,
+			'sanitize'  => 'absint',
+			'min'       => 2,
+			'max'       => 4,
+		),
+		'image_optimize' => array(
+			'type'      => 'bool',
+			'default'   => false,
+		),
+		'image_aspect_ratio' => array(
+			'type'      => 'string',
+			'default'   => 'original',
+			'sanitize'  => 'sanitize_text_field',
+			'options'   => array( 'original', '16:9', '3:2', '4:3', '1:1', '4:5' ),
+		),
+		'image_max_width' => array(
+			'type'      => 'int',
+			'default'   => 1600,
+			'sanitize'  => 'absint',
+			'min'       => 0,
+			'max'       => 4096,
+		),
+		'image_format' => array(
+			'type'      => 'string',
+			'default'   => 'webp',
+			'sanitize'  => 'sanitize_text_field',
+			'options'   => array( 'original', 'webp', 'avif', 'jpeg' ),
+		),
+		'image_quality' => array(
+			'type'      => 'int',
+			'default'   => 82,
+			'sanitize'  => 'absint',
+			'min'       => 10,
+			'max'       => 100,
+		),
+		'image_strip_metadata' => array(
+			'type'      => 'bool',
+			'default'   => true,
+		),
+		'image_watermark_id' => array(
+			'type'      => 'int',
+			'default'   => 0,
+			'sanitize'  => 'absint',
+		),
+		'image_watermark_position' => array(
+			'type'      => 'string',
+			'default'   => 'bottom-right',
+			'sanitize'  => 'sanitize_text_field',
+			'options'   => array( 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'center' ),
+		),
+		'image_watermark_size' => array(
+			'type'      => 'int',
+			'default'   => 15,
+			'sanitize'  => 'absint',
+			'min'       => 5,
+			'max'       => 50,
+		),
+		'image_watermark_opacity' => array(
+			'type'      => 'int',
+			'default'   => 80,
+			'sanitize'  => 'absint',
+			'min'       => 10,
+			'max'       => 100,
+		),
 		'schedule_enabled' => array(
 			'type'      => 'bool',
 			'default'   => false,
@@ -75,13 +219,40 @@ class Ai_Blog_Posts_Settings {
 			'type'      => 'string',
 			'default'   => 'daily',
 			'sanitize'  => 'sanitize_text_field',
-			'options'   => array( 'hourly', 'twicedaily', 'daily', 'weekly' ),
+			'options'   => array( 'hourly', 'twicedaily', 'daily', 'weekly', 'custom' ),
 		),
 		'schedule_time' => array(
 			'type'      => 'string',
 			'default'   => '09:00',
 			'sanitize'  => 'sanitize_text_field',
 		),
+		'schedule_days' => array(
+			'type'      => 'array',
+			'default'   => array( 1, 2, 3, 4, 5 ),
+			'sanitize'  => array( 'Ai_Blog_Posts_Schedule_Rules', 'sanitize_days' ),
+		),
+		'schedule_slots' => array(
+			'type'      => 'array',
+			'default'   => array( '09:00' ),
+			'sanitize'  => array( 'Ai_Blog_Posts_Schedule_Rules', 'sanitize_slots' ),
+		),
+		'schedule_jitter' => array(
+			'type'      => 'int',
+			'default'   => 0,
+			'sanitize'  => 'absint',
+			'min'       => 0,
+			'max'       => 120,
+		),
+		'schedule_blackouts' => array(
+			'type'      => 'array',
+			'default'   => array(),
+			'sanitize'  => array( 'Ai_Blog_Posts_Schedule_Rules', 'sanitize_blackouts' ),
+		),
+		'schedule_category_cadence' => array(
+			'type'      => 'array',
+			'default'   => array(),
+			'sanitize'  => array( 'Ai_Blog_Posts_Schedule_Rules', 'sanitize_cadence' ),
+		),
 		'max_posts_per_day' => array(
 			'type'      => 'int',
 			'default'   => 1,
@@ -130,6 +301,22 @@ class Ai_Blog_Posts_Settings {
 			'default'   => '',
 			'sanitize'  => 'wp_kses_post',
 		),
+		'analysis_sample_size' => array(
+			'type'      => 'int',
+			'default'   => 10,
+			'sanitize'  => 'absint',
+			'min'       => 5,
+			'max'       => 100,
+		),
+		'analysis_auto_refresh' => array(
+			'type'      => 'bool',
+			'default'   => true,
+		),
+		'voice_profile_default' => array(
+			'type'      => 'string',
+			'default'   => '',
+			'sanitize'  => 'sanitize_key',
+		),
 		'seo_enabled' => array(
 			'type'      => 'bool',
 			'default'   => true,
@@ -143,6 +330,17 @@ class Ai_Blog_Posts_Settings {
 			'default'   => 'US',
 			'sanitize'  => 'sanitize_text_field',
 		),
+		'duplicate_threshold' => array(
+			'type'      => 'int',
+			'default'   => 70,
+			'sanitize'  => 'absint',
+			'min'       => 30,
+			'max'       => 100,
+		),
+		'duplicate_embeddings' => array(
+			'type'      => 'bool',
+			'default'   => false,
+		),
 		'budget_limit' => array(
 			'type'      => 'float',
 			'default'   => 0,
@@ -184,11 +382,13 @@ class Ai_Blog_Posts_Settings {
 		}
 
 		// Validate model setting - auto-correct invalid models
-		if ( 'model' === $key && ! empty( $value ) ) {
+		if ( 'model' === $key ) {
 			$valid_models = self::get_models();
 			if ( ! isset( $valid_models[ $value ] ) ) {
-				// Invalid model stored (e.g., fictional gpt-5-mini), reset to default
-				$value = $setting['default'];
+				// Unknown model or one from another provider, reset to the provider default
+				$providers = Ai_Blog_Posts_Providers::get_all();
+				$default = $providers[ self::get( 'provider' ) ]['default_model'] ?? '';
+				$value = isset( $valid_models[ $default ] ) ? $default : (string) key( $valid_models );
 				update_option( self::PREFIX . $key, $value );
 			}
 		}
@@ -207,7 +407,11 @@ class Ai_Blog_Posts_Settings {
 				}
 				return $value;
 			case 'float':
-				return (float) $value;
+				$value = (float) $value;
+				if ( isset( $setting['min'] ) ) {
+					$value = max( $setting['min'], $value );
+				}
+				return $value;
 			case 'array':
 				return is_array( $value ) ? $value : array();
 			default:
@@ -269,6 +473,81 @@ class Ai_Blog_Posts_Settings {
 		return update_option( self::PREFIX . $key, $value );
 	}
 
+	/**
+	 * Check a value against its setting definition without saving it.
+	 *
+	 * Unlike set(), out-of-range numbers and unknown options are reported
+	 * instead of being clamped or replaced with the default.
+	 *
+	 * @since    1.0.0
+	 * @param    string $key      The setting key (without prefix).
+	 * @param    mixed  $value    The value to check.
+	 * @return   mixed|WP_Error   The value cast to the setting's type, or error.
+	 */
+	public static function validate( $key, $value ) {
+		if ( ! isset( self::$settings[ $key ] ) ) {
+			return new WP_Error( 'unknown_setting', sprintf( /* translators: %s: setting key */ __( 'Unknown setting "%s".', 'ai-blog-posts' ), $key ) );
+		}
+
+		$setting = self::$settings[ $key ];
+		$invalid = new WP_Error( 'invalid_setting', sprintf( /* translators: %s: setting key */ __( 'Invalid value for "%s".', 'ai-blog-posts' ), $key ) );
+
+		switch ( $setting['type'] ) {
+			case 'bool':
+				if ( is_bool( $value ) ) {
+					return $value;
+				}
+				if ( in_array( $value, array( 0, 1, '0', '1', 'true', 'false' ), true ) ) {
+					return in_array( $value, array( 1, '1', 'true' ), true );
+				}
+				return $invalid;
+
+			case 'int':
+			case 'float':
+				if ( ! is_numeric( $value ) || ( 'int' === $setting['type'] && (float) $value !== floor( (float) $value ) ) ) {
+					return $invalid;
+				}
+				$value = 'int' === $setting['type'] ? (int) $value : (float) $value;
+				if ( ( isset( $setting['min'] ) && $value < $setting['min'] ) || ( isset( $setting['max'] ) && $value > $setting['max'] ) ) {
+					return new WP_Error(
+						'out_of_range',
+						sprintf(
+							/* translators: 1: setting key, 2: minimum, 3: maximum */
+							__( '"%1$s" must be between %2$s and %3$s.', 'ai-blog-posts' ),
+							$key,
+							$setting['min'] ?? '-',
+							$setting['max'] ?? '-'
+						)
+					);
+				}
+				return $value;
+
+			case 'array':
+				if ( ! is_array( $value ) || count( array_filter( $value, 'is_scalar' ) ) !== count( $value ) ) {
+					return $invalid;
+				}
+				return array_values( $value );
+
+			default:
+				if ( ! is_scalar( $value ) ) {
+					return $invalid;
+				}
+				$value = (string) $value;
+				if ( isset( $setting['options'] ) && ! in_array( $value, $setting['options'], true ) ) {
+					return new WP_Error(
+						'invalid_option',
+						sprintf(
+							/* translators: 1: setting key, 2: allowed values */
+							__( '"%1$s" must be one of: %2$s.', 'ai-blog-posts' ),
+							$key,
+							implode( ', ', $setting['options'] )
+						)
+					);
+				}
+				return $value;
+		}
+	}
+
 	/**
 	 * Get all settings as an array.
 	 *
@@ -311,9 +590,21 @@ class Ai_Blog_Posts_Settings {
 	 * Get available models with pricing info.
 	 *
 	 * @since    1.0.0
-	 * @return   array    Models with pricing.
+	 * @param    string $provider    Optional provider ID, defaults to the active provider.
+	 * @return   array               Models with pricing.
 	 */
-	public static function get_models() {
+	public static function get_models( $provider = null ) {
+		$provider = $provider ?? self::get( 'provider' );
+
+		switch ( $provider ) {
+			case 'anthropic':
+				return self::get_anthropic_models();
+			case 'gemini':
+				return self::get_gemini_models();
+			case 'openai_compatible':
+				return self::get_compatible_models();
+		}
+
 		return array(
 			// GPT-5 Series (Latest - December 2025)
 			'gpt-5.1' => array(
@@ -376,6 +667,153 @@ class Ai_Blog_Posts_Settings {
 		);
 	}
 
+	/**
+	 * Get the generation stages that can use their own model.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Stage labels keyed by stage.
+	 */
+	public static function get_model_stages() {
+		return array(
+			'outline'      => __( 'Outline', 'ai-blog-posts' ),
+			'content'      => __( 'Content', 'ai-blog-posts' ),
+			'humanize'     => __( 'Humanize', 'ai-blog-posts' ),
+			'seo'          => __( 'SEO Meta', 'ai-blog-posts' ),
+			'image_prompt' => __( 'Image Prompt', 'ai-blog-posts' ),
+		);
+	}
+
+	/**
+	 * Work out the model for each generation stage.
+	 *
+	 * Overrides win over the saved per-stage settings. Stages left empty, or
+	 * set to a model the active provider doesn't offer, use the default model.
+	 * The image prompt stage is the exception: empty means the built-in
+	 * keyword prompt, which costs nothing.
+	 *
+	 * @since    1.0.0
+	 * @param    array  $overrides        Optional models keyed by stage.
+	 * @param    string $default_model    Optional default model.
+	 * @return   array                    Models keyed by stage.
+	 */
+	public static function resolve_step_models( $overrides = array(), $default_model = null ) {
+		$default_model = $default_model ?? self::get( 'model' );
+		$models = self::get_models();
+		$resolved = array();
+
+		foreach ( array_keys( self::get_model_stages() ) as $stage ) {
+			$model = $overrides[ $stage ] ?? self::get( 'model_' . $stage );
+
+			if ( ! isset( $models[ $model ] ) ) {
+				$model = 'image_prompt' === $stage ? '' : $default_model;
+			}
+
+			$resolved[ $stage ] = $model;
+		}
+
+		return $resolved;
+	}
+
+	/**
+	 * Get Anthropic models with pricing info.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Models with pricing.
+	 */
+	private static function get_anthropic_models() {
+		return array(
+			'claude-opus-4-1' => array(
+				'name'             => 'Claude Opus 4.1',
+				'description'      => 'Most capable Claude model - best for long-form depth',
+				'input_cost'       => 15.00,
+				'output_cost'      => 75.00,
+				'context_window'   => 200000,
+				'recommended'      => false,
+			),
+			'claude-sonnet-4-5' => array(
+				'name'             => 'Claude Sonnet 4.5',
+				'description'      => 'Excellent writing quality at a balanced price',
+				'input_cost'       => 3.00,
+				'output_cost'      => 15.00,
+				'context_window'   => 200000,
+				'recommended'      => true,
+			),
+			'claude-haiku-4-5' => array(
+				'name'             => 'Claude Haiku 4.5',
+				'description'      => 'Fast & cost-efficient - great for blog writing',
+				'input_cost'       => 1.00,
+				'output_cost'      => 5.00,
+				'context_window'   => 200000,
+				'recommended'      => true,
+			),
+		);
+	}
+
+	/**
+	 * Get Google Gemini models with pricing info.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Models with pricing.
+	 */
+	private static function get_gemini_models() {
+		return array(
+			'gemini-2.5-pro' => array(
+				'name'             => 'Gemini 2.5 Pro',
+				'description'      => 'Flagship Gemini model - strong reasoning',
+				'input_cost'       => 1.25,
+				'output_cost'      => 10.00,
+				'context_window'   => 1000000,
+				'recommended'      => true,
+			),
+			'gemini-2.5-flash' => array(
+				'name'             => 'Gemini 2.5 Flash',
+				'description'      => 'Fast & cost-efficient - great for blog writing',
+				'input_cost'       => 0.30,
+				'output_cost'      => 2.50,
+				'context_window'   => 1000000,
+				'recommended'      => true,
+			),
+			'gemini-2.5-flash-lite' => array(
+				'name'             => 'Gemini 2.5 Flash-Lite',
+				'description'      => 'Cheapest option - simple tasks',
+				'input_cost'       => 0.10,
+				'output_cost'      => 0.40,
+				'context_window'   => 1000000,
+				'recommended'      => false,
+			),
+		);
+	}
+
+	/**
+	 * Get the model configured for the OpenAI-compatible endpoint.
+	 *
+	 * Pricing comes from settings and defaults to free for local models.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @return   array    Models with pricing.
+	 */
+	private static function get_compatible_models() {
+		$model = self::get( 'compatible_model' );
+
+		if ( empty( $model ) ) {
+			return array();
+		}
+
+		return array(
+			$model => array(
+				'name'             => $model,
+				'description'      => __( 'Custom model on your OpenAI-compatible endpoint', 'ai-blog-posts' ),
+				'input_cost'       => self::get( 'compatible_input_cost' ),
+				'output_cost'      => self::get( 'compatible_output_cost' ),
+				'context_window'   => 0,
+				'recommended'      => false,
+			),
+		);
+	}
+
 	/**
 	 * Get image model pricing.
 	 *
@@ -427,11 +865,10 @@ class Ai_Blog_Posts_Settings {
 	 * Check if the API is configured.
 	 *
 	 * @since    1.0.0
-	 * @return   bool    True if API key is set.
+	 * @return   bool    True if the active provider has its credentials set.
 	 */
 	public static function is_configured() {
-		$api_key = self::get( 'api_key' );
-		return ! empty( $api_key );
+		return Ai_Blog_Posts_Providers::is_configured();
 	}
 
 	/**
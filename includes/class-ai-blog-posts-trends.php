@@ -345,7 +345,7 @@ class Ai_Blog_Posts_Trends {
 			);
 		}
 
-		$openai = new Ai_Blog_Posts_OpenAI();
+		$provider = Ai_Blog_Posts_Providers::create();
 		
 		$country_names = self::get_countries();
 		$country_name = $country_names[ $country ] ?? 'United States';
@@ -376,7 +376,7 @@ class Ai_Blog_Posts_Trends {
 			$category_context
 		);
 
-		$result = $openai->generate_text( $prompt, 'You are a content strategist who tracks trending topics. Return only valid JSON.', array(
+		$result = $provider->generate_text( $prompt, 'You are a content strategist who tracks trending topics. Return only valid JSON.', array(
 			'max_tokens'  => 800,
 			'temperature' => 0.7,
 		) );
@@ -412,6 +412,8 @@ class Ai_Blog_Posts_Trends {
 	/**
 	 * Add trending topics to the queue.
 	 *
+	 * Topics similar to a queued topic or an existing post are skipped.
+	 *
 	 * @since    1.0.0
 	 * @param    array $topics      Topics to add.
 	 * @param    int   $category_id Optional category ID.
@@ -422,19 +424,13 @@ class Ai_Blog_Posts_Trends {
 		$table = $wpdb->prefix . 'ai_blog_posts_topics';
 
 		$added = 0;
+		$duplicates = new Ai_Blog_Posts_Duplicates();
 
 		foreach ( $topics as $topic ) {
 			$title = is_array( $topic ) ? $topic['title'] : $topic;
 
-			// Check if topic already exists in queue
-			$exists = $wpdb->get_var(
-				$wpdb->prepare(
-					"SELECT COUNT(*) FROM $table WHERE topic = %s AND status = 'pending'",
-					$title
-				)
-			);
-
-			if ( $exists > 0 ) {
+			// Skip topics already queued or written about
+			if ( $duplicates->find_matches( $title, '', 0, false ) ) {
 				continue;
 			}
 
@@ -453,6 +449,7 @@ class Ai_Blog_Posts_Trends {
 			);
 
 			if ( $inserted ) {
+				$duplicates->remember( $wpdb->insert_id, $title );
 				$added++;
 			}
 		}
@@ -489,7 +486,7 @@ class Ai_Blog_Posts_Trends {
 		}
 
 		// Use AI to filter
-		$openai = new Ai_Blog_Posts_OpenAI();
+		$provider = Ai_Blog_Posts_Providers::create();
 		
 		if ( ! Ai_Blog_Posts_Settings::is_verified() ) {
 			return $topics;
@@ -506,7 +503,7 @@ class Ai_Blog_Posts_Trends {
 			implode( "\n", array_map( function( $i, $t ) { return ($i + 1) . ". " . $t; }, array_keys( $topic_titles ), $topic_titles ) )
 		);
 
-		$result = $openai->generate_text( $prompt, 'You are a content strategist. Return only valid JSON.', array(
+		$result = $provider->generate_text( $prompt, 'You are a content strategist. Return only valid JSON.', array(
 			'max_tokens'  => 500,
 			'temperature' => 0.3,
 		) );
@@ -0,0 +1,841 @@
+<?php
+
+/**
+ * Named brand voice profiles
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Stores voice profiles and applies them to generation.
+ *
+ * A profile describes how posts should read: tone, reading level, the
+ * person they are written in, vocabulary to use and avoid, formatting
+ * rules and example paragraphs. It becomes the {style} prompt variable in
+ * place of the website analysis, and check() reports where a draft breaks
+ * the measurable rules.
+ *
+ * A topic can name its profile. Otherwise the profile assigned to the
+ * post's category (or a parent category) is used, then the default one.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+class Ai_Blog_Posts_Voice_Profiles {
+
+	/**
+	 * Option holding the profiles.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const OPTION = 'ai_blog_posts_voice_profiles';
+
+	/**
+	 * Topic value that skips profiles and uses the website analysis.
+	 *
+	 * @since    1.0.0
+	 * @var      string
+	 */
+	const NONE = 'none';
+
+	/**
+	 * Get the tone sliders.
+	 *
+	 * Sliders run from 1 to 5. The middle leaves that aspect of the tone to the model.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Slider key => label and the words for each end.
+	 */
+	public static function get_tones() {
+		return array(
+			'formality'  => array(
+				'label' => __( 'Formality', 'ai-blog-posts' ),
+				'low'   => __( 'Casual', 'ai-blog-posts' ),
+				'high'  => __( 'Formal', 'ai-blog-posts' ),
+			),
+			'warmth'     => array(
+				'label' => __( 'Warmth', 'ai-blog-posts' ),
+				'low'   => __( 'Matter-of-fact', 'ai-blog-posts' ),
+				'high'  => __( 'Warm', 'ai-blog-posts' ),
+			),
+			'humor'      => array(
+				'label' => __( 'Humor', 'ai-blog-posts' ),
+				'low'   => __( 'Serious', 'ai-blog-posts' ),
+				'high'  => __( 'Playful', 'ai-blog-posts' ),
+			),
+			'confidence' => array(
+				'label' => __( 'Authority', 'ai-blog-posts' ),
+				'low'   => __( 'Modest', 'ai-blog-posts' ),
+				'high'  => __( 'Authoritative', 'ai-blog-posts' ),
+			),
+		);
+	}
+
+	/**
+	 * Get the reading levels.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Level key => label, highest school grade (0 for no limit) and prompt.
+	 */
+	public static function get_reading_levels() {
+		return array(
+			'basic'    => array(
+				'label'  => __( 'Beginner (grade 7 or below)', 'ai-blog-posts' ),
+				'grade'  => 7,
+				'prompt' => 'Write for beginners: plain everyday words and short sentences. Explain every technical term the first time it appears.',
+			),
+			'general'  => array(
+				'label'  => __( 'General (grade 8 to 10)', 'ai-blog-posts' ),
+				'grade'  => 10,
+				'prompt' => 'Write for a general audience: clear, plain language, explaining specialist terms briefly.',
+			),
+			'advanced' => array(
+				'label'  => __( 'Advanced (grade 11 to 13)', 'ai-blog-posts' ),
+				'grade'  => 13,
+				'prompt' => 'Write for informed readers who know the basics. Skip beginner explanations.',
+			),
+			'expert'   => array(
+				'label'  => __( 'Expert (specialists)', 'ai-blog-posts' ),
+				'grade'  => 0,
+				'prompt' => 'Write for specialists: use precise technical terms without explaining them and go into depth.',
+			),
+		);
+	}
+
+	/**
+	 * Get the grammatical persons a profile can write in.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Person key => label, prompt, pronouns to avoid and whether "you" is required.
+	 */
+	public static function get_persons() {
+		return array(
+			'i'    => array(
+				'label'   => __( 'First person singular (I)', 'ai-blog-posts' ),
+				'prompt'  => 'Write in the first person singular ("I", "my"), as the author speaking personally. Do not use "we" or "our".',
+				'avoid'   => array( 'we', 'our', 'ours' ),
+				'require' => false,
+			),
+			'we'   => array(
+				'label'   => __( 'First person plural (we)', 'ai-blog-posts' ),
+				'prompt'  => 'Write in the first person plural ("we", "our"), as the team behind the site. Do not use "I" or "my".',
+				'avoid'   => array( 'I', 'me', 'my', 'mine' ),
+				'require' => false,
+			),
+			'you'  => array(
+				'label'   => __( 'Second person (you)', 'ai-blog-posts' ),
+				'prompt'  => 'Address the reader directly as "you". Do not use "I" or "my".',
+				'avoid'   => array( 'I', 'me', 'my', 'mine' ),
+				'require' => true,
+			),
+			'they' => array(
+				'label'   => __( 'Third person', 'ai-blog-posts' ),
+				'prompt'  => 'Write in the third person. Do not use "I", "we" or "you".',
+				'avoid'   => array( 'I', 'me', 'my', 'we', 'our', 'you', 'your' ),
+				'require' => false,
+			),
+		);
+	}
+
+	/**
+	 * Get the heading capitalization styles.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Style key => label.
+	 */
+	public static function get_heading_styles() {
+		return array(
+			'sentence' => __( 'Sentence case', 'ai-blog-posts' ),
+			'title'    => __( 'Title Case', 'ai-blog-posts' ),
+		);
+	}
+
+	/**
+	 * Get an empty profile.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Profile with every field at its default.
+	 */
+	public static function get_defaults() {
+		return array(
+			'id'                      => '',
+			'name'                    => '',
+			'description'             => '',
+			'tone'                    => array_fill_keys( array_keys( self::get_tones() ), 3 ),
+			'reading_level'           => '',
+			'person'                  => '',
+			'banned'                  => array(),
+			'preferred'               => array(),
+			'max_sentence_words'      => 0,
+			'max_paragraph_sentences' => 0,
+			'headings'                => '',
+			'exclamations'            => true,
+			'rules'                   => '',
+			'examples'                => '',
+			'categories'              => array(),
+		);
+	}
+
+	/**
+	 * Get every profile, ordered by name.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Profiles keyed by ID.
+	 */
+	public static function get_all() {
+		$profiles = get_option( self::OPTION, array() );
+
+		if ( ! is_array( $profiles ) ) {
+			return array();
+		}
+
+		foreach ( $profiles as $id => $profile ) {
+			$profiles[ $id ] = array_merge( self::get_defaults(), (array) $profile, array( 'id' => $id ) );
+		}
+
+		return $profiles;
+	}
+
+	/**
+	 * Get the profile names for select boxes.
+	 *
+	 * @since    1.0.0
+	 * @return   array    Profile ID => name.
+	 */
+	public static function get_labels() {
+		return wp_list_pluck( self::get_all(), 'name' );
+	}
+
+	/**
+	 * Get a profile.
+	 *
+	 * @since    1.0.0
+	 * @param    string $id    Profile ID.
+	 * @return   array|null    Profile, or null if there is none with that ID.
+	 */
+	public static function get( $id ) {
+		$profiles = self::get_all();
+
+		return '' !== (string) $id && isset( $profiles[ $id ] ) ? $profiles[ $id ] : null;
+	}
+
+	/**
+	 * Find a profile by ID or name.
+	 *
+	 * @since    1.0.0
+	 * @param    string $label    Profile ID or name, e.g. from an imported file.
+	 * @return   string           Profile ID, or empty if not found.
+	 */
+	public static function find( $label ) {
+		$label = trim( (string) $label );
+
+		foreach ( self::get_all() as $id => $profile ) {
+			if ( $id === $label || 0 === strcasecmp( $profile['name'], $label ) ) {
+				return $id;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Validate and normalize a submitted profile.
+	 *
+	 * @since    1.0.0
+	 * @param    array $profile    Submitted profile.
+	 * @return   array|WP_Error    Clean profile or error.
+	 */
+	public static function sanitize( $profile ) {
+		if ( ! is_array( $profile ) ) {
+			return new WP_Error( 'invalid_profile', __( 'No profile was submitted.', 'ai-blog-posts' ) );
+		}
+
+		$clean = self::get_defaults();
+		$clean['id'] = sanitize_key( $profile['id'] ?? '' );
+		$clean['name'] = sanitize_text_field( $profile['name'] ?? '' );
+		$clean['description'] = sanitize_text_field( $profile['description'] ?? '' );
+
+		if ( '' === $clean['name'] ) {
+			return new WP_Error( 'missing_name', __( 'Please enter a profile name.', 'ai-blog-posts' ) );
+		}
+
+		foreach ( array_keys( $clean['tone'] ) as $tone ) {
+			if ( isset( $profile['tone'][ $tone ] ) ) {
+				$clean['tone'][ $tone ] = max( 1, min( 5, absint( $profile['tone'][ $tone ] ) ) );
+			}
+		}
+
+		$reading_level = (string) ( $profile['reading_level'] ?? '' );
+		$clean['reading_level'] = isset( self::get_reading_levels()[ $reading_level ] ) ? $reading_level : '';
+
+		$person = (string) ( $profile['person'] ?? '' );
+		$clean['person'] = isset( self::get_persons()[ $person ] ) ? $person : '';
+
+		$headings = (string) ( $profile['headings'] ?? '' );
+		$clean['headings'] = isset( self::get_heading_styles()[ $headings ] ) ? $headings : '';
+
+		foreach ( array( 'banned', 'preferred' ) as $list ) {
+			$clean[ $list ] = self::sanitize_lines( $profile[ $list ] ?? array() );
+		}
+
+		$clean['max_sentence_words'] = min( 100, absint( $profile['max_sentence_words'] ?? 0 ) );
+		$clean['max_paragraph_sentences'] = min( 20, absint( $profile['max_paragraph_sentences'] ?? 0 ) );
+		$clean['exclamations'] = ! empty( $profile['exclamations'] ) && 'false' !== $profile['exclamations'];
+		$clean['rules'] = sanitize_textarea_field( $profile['rules'] ?? '' );
+		$clean['examples'] = sanitize_textarea_field( $profile['examples'] ?? '' );
+
+		$categories = isset( $profile['categories'] ) && is_array( $profile['categories'] ) ? array_map( 'absint', $profile['categories'] ) : array();
+		$clean['categories'] = array_values( array_unique( array_filter( $categories ) ) );
+
+		return $clean;
+	}
+
+	/**
+	 * Save a profile.
+	 *
+	 * A category belongs to one profile, so assigning it here takes it
+	 * away from any other profile.
+	 *
+	 * @since    1.0.0
+	 * @param    array $profile    Submitted profile. An empty ID creates a new profile.
+	 * @return   string|WP_Error   Profile ID or error.
+	 */
+	public static function save( $profile ) {
+		$clean = self::sanitize( $profile );
+
+		if ( is_wp_error( $clean ) ) {
+			return $clean;
+		}
+
+		$profiles = self::get_all();
+
+		foreach ( $profiles as $id => $other ) {
+			if ( $id !== $clean['id'] && 0 === strcasecmp( $other['name'], $clean['name'] ) ) {
+				return new WP_Error( 'duplicate_name', __( 'Another profile already has this name.', 'ai-blog-posts' ) );
+			}
+		}
+
+		// Imported profiles keep their ID so topics and the default still point at them
+		$id = $clean['id'];
+		if ( '' === $id || self::NONE === $id ) {
+			$base = sanitize_key( sanitize_title( $clean['name'] ) );
+			$base = '' === $base || self::NONE === $base ? 'voice' : $base;
+			$id = $base;
+
+			for ( $i = 2; isset( $profiles[ $id ] ); $i++ ) {
+				$id = $base . '-' . $i;
+			}
+		}
+
+		foreach ( $profiles as $other_id => $other ) {
+			$profiles[ $other_id ]['categories'] = array_values( array_diff( $other['categories'], $clean['categories'] ) );
+		}
+
+		unset( $clean['id'] );
+		$profiles[ $id ] = $clean;
+
+		uasort( $profiles, function( $a, $b ) {
+			return strnatcasecmp( $a['name'], $b['name'] );
+		} );
+
+		foreach ( $profiles as $other_id => $other ) {
+			unset( $profiles[ $other_id ]['id'] );
+		}
+
+		update_option( self::OPTION, $profiles, false );
+
+		return $id;
+	}
+
+	/**
+	 * Delete a profile.
+	 *
+	 * Topics that named it fall back to their category's profile.
+	 *
+	 * @since    1.0.0
+	 * @param    string $id    Profile ID.
+	 * @return   bool          True if the profile existed.
+	 */
+	public static function delete( $id ) {
+		$profiles = get_option( self::OPTION, array() );
+
+		if ( ! is_array( $profiles ) || ! isset( $profiles[ $id ] ) ) {
+			return false;
+		}
+
+		unset( $profiles[ $id ] );
+		update_option( self::OPTION, $profiles, false );
+
+		if ( Ai_Blog_Posts_Settings::get( 'voice_profile_default' ) === $id ) {
+			Ai_Blog_Posts_Settings::set( 'voice_profile_default', '' );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Work out which profile a post is written in.
+	 *
+	 * @since    1.0.0
+	 * @param    string $profile_id     Profile chosen for the topic, empty for automatic or NONE for no profile.
+	 * @param    int    $category_id    The post's category, 0 to use the default categories.
+	 * @return   string                 Profile ID, or empty to use the website analysis.
+	 */
+	public static function resolve( $profile_id, $category_id ) {
+		if ( self::NONE === $profile_id ) {
+			return '';
+		}
+
+		if ( self::get( $profile_id ) ) {
+			return $profile_id;
+		}
+
+		$profiles = self::get_all();
+
+		if ( ! $category_id ) {
+			$defaults = (array) Ai_Blog_Posts_Settings::get( 'categories' );
+			$category_id = (int) reset( $defaults );
+		}
+
+		// The nearest category with a profile wins, so a child can differ from its parent
+		if ( $category_id ) {
+			foreach ( array_merge( array( (int) $category_id ), get_ancestors( (int) $category_id, 'category', 'taxonomy' ) ) as $term_id ) {
+				foreach ( $profiles as $id => $profile ) {
+					if ( in_array( (int) $term_id, $profile['categories'], true ) ) {
+						return $id;
+					}
+				}
+			}
+		}
+
+		$default = (string) Ai_Blog_Posts_Settings::get( 'voice_profile_default' );
+
+		return isset( $profiles[ $default ] ) ? $default : '';
+	}
+
+	/**
+	 * Start a profile from the website analysis.
+	 *
+	 * @since    1.0.0
+	 * @param    array $analysis    Analysis from Ai_Blog_Posts_Analyzer.
+	 * @return   array              Unsaved profile.
+	 */
+	public static function from_analysis( $analysis ) {
+		$profile = self::get_defaults();
+		$style = $analysis['writing_style'] ?? array();
+		$structure = $analysis['structure'] ?? array();
+		$rejected = $analysis['rejected'] ?? array();
+
+		// Findings rejected in the analysis report are left out
+		$findings = array(
+			'tone'            => 'tone',
+			'voice'           => 'voice',
+			'sentence_length' => 'avg_sentence_length',
+			'questions'       => 'uses_questions',
+		);
+		foreach ( $findings as $finding => $key ) {
+			if ( in_array( $finding, $rejected, true ) ) {
+				unset( $style[ $key ] );
+			}
+		}
+
+		$profile['name'] = __( 'Website Style', 'ai-blog-posts' );
+		$profile['description'] = sprintf(
+			/* translators: %d: number of posts */
+			__( 'Based on the website analysis of %d posts.', 'ai-blog-posts' ),
+			(int) ( $analysis['posts_analyzed'] ?? 0 )
+		);
+
+		$formality = array(
+			'formal' => 4,
+			'casual' => 2,
+		);
+		$profile['tone']['formality'] = $formality[ $style['tone'] ?? '' ] ?? 3;
+
+		$persons = array(
+			'first_person'  => 'we',
+			'second_person' => 'you',
+			'third_person'  => 'they',
+		);
+		$profile['person'] = $persons[ $style['voice'] ?? '' ] ?? '';
+
+		// Allow sentences about twice the site's average
+		if ( ! empty( $style['avg_sentence_length'] ) ) {
+			$profile['max_sentence_words'] = max( 15, min( 60, (int) $style['avg_sentence_length'] * 2 ) );
+		}
+
+		$profile['exclamations'] = ! empty( $style['uses_exclamations'] );
+
+		$rules = array();
+		if ( ! empty( $style['uses_questions'] ) ) {
+			$rules[] = 'Include rhetorical questions to engage readers.';
+		}
+		if ( ! empty( $structure['uses_lists_frequently'] ) && ! in_array( 'lists', $rejected, true ) ) {
+			$rules[] = 'Use bullet points or numbered lists where appropriate.';
+		}
+		if ( ! empty( $analysis['ai_insights']['style_guide'] ) && ! in_array( 'style_guide', $rejected, true ) ) {
+			$rules[] = $analysis['ai_insights']['style_guide'];
+		}
+		$profile['rules'] = implode( "\n", $rules );
+
+		return $profile;
+	}
+
+	/**
+	 * Turn a profile into instructions for the {style} prompt variable.
+	 *
+	 * @since    1.0.0
+	 * @param    array $profile    Profile.
+	 * @return   string            Style instructions, one per line.
+	 */
+	public static function get_prompt( $profile ) {
+		$lines = array();
+
+		$tone = array();
+		foreach ( self::get_tones() as $key => $slider ) {
+			$value = (int) ( $profile['tone'][ $key ] ?? 3 );
+			if ( 3 === $value ) {
+				continue;
+			}
+			$word = $value > 3 ? $slider['high'] : $slider['low'];
+			$tone[] = ( 1 === $value || 5 === $value ? 'very ' : 'somewhat ' ) . strtolower( $word );
+		}
+		if ( $tone ) {
+			$lines[] = 'Tone: ' . implode( ', ', $tone ) . '.';
+		}
+
+		$levels = self::get_reading_levels();
+		if ( isset( $levels[ $profile['reading_level'] ] ) ) {
+			$lines[] = $levels[ $profile['reading_level'] ]['prompt'];
+		}
+
+		$persons = self::get_persons();
+		if ( isset( $persons[ $profile['person'] ] ) ) {
+			$lines[] = $persons[ $profile['person'] ]['prompt'];
+		}
+
+		if ( $profile['max_sentence_words'] ) {
+			$lines[] = sprintf( 'Keep every sentence under %d words.', $profile['max_sentence_words'] );
+		}
+
+		if ( $profile['max_paragraph_sentences'] ) {
+			$lines[] = sprintf( 'No paragraph may have more than %d sentences.', $profile['max_paragraph_sentences'] );
+		}
+
+		if ( 'sentence' === $profile['headings'] ) {
+			$lines[] = 'Write headings in sentence case: capitalize only the first word and proper nouns.';
+		} elseif ( 'title' === $profile['headings'] ) {
+			$lines[] = 'Write headings in Title Case.';
+		}
+
+		if ( ! $profile['exclamations'] ) {
+			$lines[] = 'Do not use exclamation marks.';
+		}
+
+		if ( $profile['banned'] ) {
+			$lines[] = 'Never use these words or phrases: "' . implode( '", "', $profile['banned'] ) . '".';
+		}
+
+		if ( $profile['preferred'] ) {
+			$lines[] = "Preferred vocabulary:\n- " . implode( "\n- ", $profile['preferred'] );
+		}
+
+		if ( '' !== trim( $profile['rules'] ) ) {
+			$lines[] = "Other rules:\n" . trim( $profile['rules'] );
+		}
+
+		if ( '' !== trim( $profile['examples'] ) ) {
+			$lines[] = "Match the voice of these example paragraphs (do not copy them):\n\n" . trim( $profile['examples'] );
+		}
+
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Check a draft against a profile's measurable rules.
+	 *
+	 * Reading level uses the Flesch-Kincaid grade, which is only meaningful
+	 * for English. Heading case is a heuristic, so proper nouns can trip it.
+	 *
+	 * @since    1.0.0
+	 * @param    array  $profile    Profile.
+	 * @param    string $html       Post content as HTML.
+	 * @return   array              Violations, each with the rule key and a message.
+	 */
+	public static function check( $profile, $html ) {
+		$violations = array();
+
+		// Keep blocks apart so sentences don't run into each other
+		$text = wp_strip_all_tags( preg_replace( '/<\/(?:p|h[1-6]|li|td|th|blockquote)>/i', "$0\n", $html ) );
+		$text = html_entity_decode( $text, ENT_QUOTES, get_bloginfo( 'charset' ) );
+
+		if ( '' === trim( $text ) ) {
+			return $violations;
+		}
+
+		$found = array();
+		foreach ( $profile['banned'] as $phrase ) {
+			$count = preg_match_all( '/(?<!\w)' . preg_quote( $phrase, '/' ) . '(?!\w)/iu', $text );
+			if ( $count ) {
+				$found[] = sprintf( '"%s" (%d)', $phrase, $count );
+			}
+		}
+		if ( $found ) {
+			$violations[] = array(
+				'rule'    => 'banned',
+				/* translators: %s: list of phrases with counts */
+				'message' => sprintf( __( 'Uses banned vocabulary: %s.', 'ai-blog-posts' ), implode( ', ', $found ) ),
+			);
+		}
+
+		$persons = self::get_persons();
+		if ( isset( $persons[ $profile['person'] ] ) ) {
+			$person = $persons[ $profile['person'] ];
+			$found = array();
+
+			foreach ( $person['avoid'] as $pronoun ) {
+				// "I" is matched as a capital so "i.e." and stray letters don't count
+				$count = preg_match_all( '/\b' . $pronoun . '\b/' . ( 'I' === $pronoun ? '' : 'i' ), $text );
+				if ( $count ) {
+					$found[] = sprintf( '"%s" (%d)', $pronoun, $count );
+				}
+			}
+
+			if ( $found ) {
+				$violations[] = array(
+					'rule'    => 'person',
+					'message' => sprintf(
+						/* translators: 1: pronouns with counts, 2: person, e.g. "Second person (you)" */
+						__( 'Uses %1$s, which does not fit %2$s.', 'ai-blog-posts' ),
+						implode( ', ', $found ),
+						$person['label']
+					),
+				);
+			}
+
+			if ( $person['require'] && ! preg_match( '/\byou(?:r|rs|rself)?\b/i', $text ) ) {
+				$violations[] = array(
+					'rule'    => 'person',
+					'message' => __( 'Never addresses the reader as "you".', 'ai-blog-posts' ),
+				);
+			}
+		}
+
+		$levels = self::get_reading_levels();
+		$max_grade = $levels[ $profile['reading_level'] ]['grade'] ?? 0;
+		if ( $max_grade ) {
+			$grade = self::get_reading_grade( $text );
+
+			// Half a grade of slack, as the formula is rough
+			if ( $grade > $max_grade + 0.5 ) {
+				$violations[] = array(
+					'rule'    => 'reading_level',
+					'message' => sprintf(
+						/* translators: 1: measured grade, 2: highest grade allowed */
+						__( 'Reads at about grade %1$s, above the profile\'s grade %2$d.', 'ai-blog-posts' ),
+						number_format_i18n( $grade, 1 ),
+						$max_grade
+					),
+				);
+			}
+		}
+
+		if ( $profile['max_sentence_words'] ) {
+			$long = 0;
+			$longest = 0;
+			foreach ( self::split_sentences( $text ) as $sentence ) {
+				$words = str_word_count( $sentence );
+				if ( $words > $profile['max_sentence_words'] ) {
+					$long++;
+					$longest = max( $longest, $words );
+				}
+			}
+
+			if ( $long ) {
+				$violations[] = array(
+					'rule'    => 'max_sentence_words',
+					'message' => sprintf(
+						/* translators: 1: number of sentences, 2: word limit, 3: words in the longest sentence */
+						_n( '%1$d sentence is longer than %2$d words (the longest has %3$d).', '%1$d sentences are longer than %2$d words (the longest has %3$d).', $long, 'ai-blog-posts' ),
+						$long,
+						$profile['max_sentence_words'],
+						$longest
+					),
+				);
+			}
+		}
+
+		if ( $profile['max_paragraph_sentences'] ) {
+			preg_match_all( '/<p\b[^>]*>(.*?)<\/p>/is', $html, $paragraphs );
+			$long = 0;
+			foreach ( $paragraphs[1] as $paragraph ) {
+				if ( count( self::split_sentences( wp_strip_all_tags( $paragraph ) ) ) > $profile['max_paragraph_sentences'] ) {
+					$long++;
+				}
+			}
+
+			if ( $long ) {
+				$violations[] = array(
+					'rule'    => 'max_paragraph_sentences',
+					'message' => sprintf(
+						/* translators: 1: number of paragraphs, 2: sentence limit */
+						_n( '%1$d paragraph has more than %2$d sentences.', '%1$d paragraphs have more than %2$d sentences.', $long, 'ai-blog-posts' ),
+						$long,
+						$profile['max_paragraph_sentences']
+					),
+				);
+			}
+		}
+
+		if ( $profile['headings'] ) {
+			preg_match_all( '/<h[2-6]\b[^>]*>(.*?)<\/h[2-6]>/is', $html, $headings );
+			$wrong = array();
+			foreach ( $headings[1] as $heading ) {
+				$heading = trim( wp_strip_all_tags( $heading ) );
+				if ( '' !== $heading && ! self::matches_heading_style( $heading, $profile['headings'] ) ) {
+					$wrong[] = $heading;
+				}
+			}
+
+			if ( $wrong ) {
+				$styles = self::get_heading_styles();
+				$violations[] = array(
+					'rule'    => 'headings',
+					'message' => sprintf(
+						/* translators: 1: number of headings, 2: heading style, 3: example heading */
+						_n( '%1$d heading is not in %2$s: "%3$s".', '%1$d headings are not in %2$s, e.g. "%3$s".', count( $wrong ), 'ai-blog-posts' ),
+						count( $wrong ),
+						strtolower( $styles[ $profile['headings'] ] ),
+						$wrong[0]
+					),
+				);
+			}
+		}
+
+		if ( ! $profile['exclamations'] ) {
+			$count = substr_count( $text, '!' );
+			if ( $count ) {
+				$violations[] = array(
+					'rule'    => 'exclamations',
+					/* translators: %d: number of exclamation marks */
+					'message' => sprintf( _n( 'Uses %d exclamation mark.', 'Uses %d exclamation marks.', $count, 'ai-blog-posts' ), $count ),
+				);
+			}
+		}
+
+		return $violations;
+	}
+
+	/**
+	 * Split plain text into sentences.
+	 *
+	 * @since    1.0.0
+	 * @param    string $text    Plain text.
+	 * @return   array           Sentences.
+	 */
+	private static function split_sentences( $text ) {
+		$sentences = preg_split( '/(?<=[.!?])\s+|\n+/', $text, -1, PREG_SPLIT_NO_EMPTY );
+
+		return array_values( array_filter( array_map( 'trim', $sentences ), function( $sentence ) {
+			return str_word_count( $sentence ) > 0;
+		} ) );
+	}
+
+	/**
+	 * Estimate the Flesch-Kincaid grade level of a text.
+	 *
+	 * @since    1.0.0
+	 * @param    string $text    Plain text.
+	 * @return   float           US school grade.
+	 */
+	private static function get_reading_grade( $text ) {
+		$sentences = self::split_sentences( $text );
+		$words = str_word_count( $text, 1 );
+
+		if ( ! $sentences || ! $words ) {
+			return 0.0;
+		}
+
+		$syllables = 0;
+		foreach ( $words as $word ) {
+			$syllables += self::count_syllables( $word );
+		}
+
+		return round( 0.39 * count( $words ) / count( $sentences ) + 11.8 * $syllables / count( $words ) - 15.59, 1 );
+	}
+
+	/**
+	 * Roughly count the syllables in an English word.
+	 *
+	 * @since    1.0.0
+	 * @param    string $word    Word.
+	 * @return   int             Syllables, at least 1.
+	 */
+	private static function count_syllables( $word ) {
+		$word = strtolower( preg_replace( '/[^a-z]/i', '', $word ) );
+
+		if ( strlen( $word ) <= 3 ) {
+			return 1;
+		}
+
+		// Silent endings and a leading "y" don't make a syllable
+		$word = preg_replace( '/(?:[^laeiouy]es|ed|[^laeiouy]e)$/', '', $word );
+		$word = preg_replace( '/^y/', '', $word );
+
+		return max( 1, preg_match_all( '/[aeiouy]{1,2}/', $word ) );
+	}
+
+	/**
+	 * Check a heading's capitalization.
+	 *
+	 * Acronyms and words after a colon are ignored. Sentence case allows
+	 * one other capitalized word for a proper noun.
+	 *
+	 * @since    1.0.0
+	 * @param    string $heading    Heading text.
+	 * @param    string $style      'sentence' or 'title'.
+	 * @return   bool
+	 */
+	private static function matches_heading_style( $heading, $style ) {
+		$heading = preg_replace( '/^.*:\s*/', '', $heading );
+		$words = array_slice( preg_split( '/\s+/', $heading ), 1 );
+		$capitalized = 0;
+		$lowercase = 0;
+
+		foreach ( $words as $word ) {
+			$word = preg_replace( '/[^\p{L}]/u', '', $word );
+			if ( '' === $word || mb_strtoupper( $word ) === $word ) {
+				continue;
+			}
+			if ( mb_strtoupper( mb_substr( $word, 0, 1 ) ) === mb_substr( $word, 0, 1 ) ) {
+				$capitalized++;
+			} elseif ( mb_strlen( $word ) > 3 ) {
+				// Short words such as "and" and "of" stay lowercase in title case
+				$lowercase++;
+			}
+		}
+
+		return 'title' === $style ? 0 === $lowercase : $capitalized <= 1;
+	}
+
+	/**
+	 * Turn a textarea or list into clean, unique lines.
+	 *
+	 * @since    1.0.0
+	 * @param    string|array $value    Lines.
+	 * @return   array
+	 */
+	private static function sanitize_lines( $value ) {
+		$lines = is_array( $value ) ? $value : preg_split( '/\r\n|\r|\n/', (string) $value );
+		$lines = array_filter( array_map( 'sanitize_text_field', $lines ), 'strlen' );
+
+		return array_slice( array_values( array_unique( $lines ) ), 0, 100 );
+	}
+}
@@ -127,11 +127,35 @@ class Ai_Blog_Posts {
 		 */
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-settings.php';
 
+		/**
+		 * Text provider interface, registry and shared adapter base.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/interface-ai-blog-posts-provider.php';
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-providers.php';
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/abstract-ai-blog-posts-provider.php';
+
 		/**
 		 * OpenAI API wrapper class.
 		 */
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-openai.php';
 
+		/**
+		 * Image processor: crop, convert, compress and watermark downloaded images.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-image-processor.php';
+
+		/**
+		 * Brand voice profiles applied to generation.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-voice-profiles.php';
+
+		/**
+		 * Anthropic, Gemini and OpenAI-compatible text providers.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-provider-anthropic.php';
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-provider-gemini.php';
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-provider-compatible.php';
+
 		/**
 		 * Cost tracking and logging class.
 		 */
@@ -147,16 +171,51 @@ class Ai_Blog_Posts {
 		 */
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-seo.php';
 
+		/**
+		 * Content type registry for post formats.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-content-types.php';
+
+		/**
+		 * Editable prompt templates for each generation stage.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-prompts.php';
+
 		/**
 		 * Content generator class.
 		 */
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-generator.php';
 
+		/**
+		 * Duplicate topic detection.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-duplicates.php';
+
+		/**
+		 * Topic import from spreadsheets.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-importer.php';
+
+		/**
+		 * Configuration export and import between sites.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-migration.php';
+
+		/**
+		 * Schedule rules: time slots, blackout days and category cadence.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-schedule-rules.php';
+
 		/**
 		 * Scheduler class for automated posting.
 		 */
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-scheduler.php';
 
+		/**
+		 * Background batch generation worker.
+		 */
+		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'includes/class-ai-blog-posts-batch.php';
+
 		/**
 		 * Trending topics fetcher class.
 		 */
@@ -211,6 +270,7 @@ class Ai_Blog_Posts {
 		// Styles and scripts
 		$this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_styles' );
 		$this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_scripts' );
+		$this->loader->add_action( 'enqueue_block_editor_assets', $plugin_admin, 'enqueue_editor_assets' );
 
 		// Admin menu
 		$this->loader->add_action( 'admin_menu', $plugin_admin, 'add_admin_menu' );
@@ -224,25 +284,68 @@ class Ai_Blog_Posts {
 		// AJAX handlers
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_verify_api', $plugin_admin, 'ajax_verify_api_key' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_save_settings', $plugin_admin, 'ajax_save_settings' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_preview_schedule', $plugin_admin, 'ajax_preview_schedule' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_preview_image_processing', $plugin_admin, 'ajax_preview_image_processing' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_generate_post', $plugin_admin, 'ajax_generate_post' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_add_topic', $plugin_admin, 'ajax_add_topic' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_update_topic', $plugin_admin, 'ajax_update_topic' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_topics', $plugin_admin, 'ajax_get_topics' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_reorder_topics', $plugin_admin, 'ajax_reorder_topics' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_calendar', $plugin_admin, 'ajax_get_calendar' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_pin_topic', $plugin_admin, 'ajax_pin_topic' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_delete_topic', $plugin_admin, 'ajax_delete_topic' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_bulk_delete_topics', $plugin_admin, 'ajax_bulk_delete_topics' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_find_duplicates', $plugin_admin, 'ajax_find_duplicates' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_generate_from_queue', $plugin_admin, 'ajax_generate_from_queue' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_logs', $plugin_admin, 'ajax_get_logs' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_analyze_website', $plugin_admin, 'ajax_analyze_website' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_analysis_report', $plugin_admin, 'ajax_get_analysis_report' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_save_analysis_findings', $plugin_admin, 'ajax_save_analysis_findings' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_delete_analysis', $plugin_admin, 'ajax_delete_analysis' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_fetch_trending', $plugin_admin, 'ajax_fetch_trending' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_export_logs', $plugin_admin, 'ajax_export_logs' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_export_config', $plugin_admin, 'ajax_export_config' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_import_config', $plugin_admin, 'ajax_import_config' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_analytics', $plugin_admin, 'ajax_get_analytics' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_clear_logs', $plugin_admin, 'ajax_clear_logs' );
-		$this->loader->add_action( 'wp_ajax_ai_blog_posts_import_csv', $plugin_admin, 'ajax_import_csv' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_parse_import_file', $plugin_admin, 'ajax_parse_import_file' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_import_topics', $plugin_admin, 'ajax_import_topics' );
 		
 		// Step-by-step generation handlers
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_start_generation', $plugin_admin, 'ajax_start_generation' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_process_step', $plugin_admin, 'ajax_process_step' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_job_status', $plugin_admin, 'ajax_get_job_status' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_discard_job', $plugin_admin, 'ajax_discard_job' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_outline', $plugin_admin, 'ajax_get_outline' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_approve_outline', $plugin_admin, 'ajax_approve_outline' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_image_review', $plugin_admin, 'ajax_get_image_review' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_generate_image_candidate', $plugin_admin, 'ajax_generate_image_candidate' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_choose_image', $plugin_admin, 'ajax_choose_image' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_rewrite_section', $plugin_admin, 'ajax_rewrite_section' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_generate_post_seo', $plugin_admin, 'ajax_generate_post_seo' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_generate_post_image', $plugin_admin, 'ajax_generate_post_image' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_stream', $plugin_admin, 'ajax_get_stream' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_stop_job', $plugin_admin, 'ajax_stop_job' );
+
+		// Background batch generation
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_start_batch', $plugin_admin, 'ajax_start_batch' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_estimate_cost', $plugin_admin, 'ajax_estimate_cost' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_get_batch_status', $plugin_admin, 'ajax_get_batch_status' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_cancel_batch', $plugin_admin, 'ajax_cancel_batch' );
 		$this->loader->add_action( 'wp_ajax_ai_blog_posts_server_diagnostics', $plugin_admin, 'ajax_server_diagnostics' );
 
+		// Prompt templates
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_save_prompts', $plugin_admin, 'ajax_save_prompts' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_preview_prompt', $plugin_admin, 'ajax_preview_prompt' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_save_prompt_preset', $plugin_admin, 'ajax_save_prompt_preset' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_delete_prompt_preset', $plugin_admin, 'ajax_delete_prompt_preset' );
+
+		// Voice profiles
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_save_voice_profile', $plugin_admin, 'ajax_save_voice_profile' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_delete_voice_profile', $plugin_admin, 'ajax_delete_voice_profile' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_seed_voice_profile', $plugin_admin, 'ajax_seed_voice_profile' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_preview_voice_profile', $plugin_admin, 'ajax_preview_voice_profile' );
+
 	}
 
 	/**
@@ -275,6 +378,8 @@ class Ai_Blog_Posts {
 
 		$scheduler = new Ai_Blog_Posts_Scheduler();
 		$trends = new Ai_Blog_Posts_Trends();
+		$batch = new Ai_Blog_Posts_Batch();
+		$analyzer = new Ai_Blog_Posts_Analyzer();
 
 		// Register custom cron schedules
 		$this->loader->add_filter( 'cron_schedules', $scheduler, 'add_cron_schedules' );
@@ -289,6 +394,18 @@ class Ai_Blog_Posts {
 		// Trending topics refresh hook
 		$this->loader->add_action( 'ai_blog_posts_trending_refresh', $trends, 'cron_refresh' );
 
+		// Background batch worker (loopback request with a cron fallback)
+		$this->loader->add_action( 'ai_blog_posts_process_batch', $batch, 'run' );
+		$this->loader->add_action( 'wp_ajax_ai_blog_posts_batch_worker', $batch, 'handle_loopback' );
+		$this->loader->add_action( 'wp_ajax_nopriv_ai_blog_posts_batch_worker', $batch, 'handle_loopback' );
+
+		// Release topics of a batch whose worker never came back
+		$this->loader->add_action( 'ai_blog_posts_scheduled_generation', $batch, 'recover_stale', 5 );
+
+		// Re-analyze the website a few minutes after new posts are published
+		$this->loader->add_action( 'transition_post_status', $analyzer, 'maybe_schedule_refresh', 10, 3 );
+		$this->loader->add_action( Ai_Blog_Posts_Analyzer::REFRESH_HOOK, $analyzer, 'refresh_all' );
+
 	}
 
 	/**
@@ -0,0 +1,76 @@
+<?php
+
+/**
+ * Text generation provider interface
+ *
+ * @link       https://devonicweb.co.uk/
+ * @since      1.0.0
+ *
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ */
+
+/**
+ * Contract every LLM backend implements.
+ *
+ * The generator, analyzer and trends code only talk to this interface, so
+ * switching provider in Settings changes which API writes the posts.
+ *
+ * @since      1.0.0
+ * @package    Ai_Blog_Posts
+ * @subpackage Ai_Blog_Posts/includes
+ * @author     Ali Azlan <contact@devonicweb.co.uk>
+ */
+interface Ai_Blog_Posts_Provider {
+
+	/**
+	 * Get the provider ID as used in the 'provider' setting.
+	 *
+	 * @since    1.0.0
+	 * @return   string    Provider ID.
+	 */
+	public function get_id();
+
+	/**
+	 * Verify the API credentials by making a test request.
+	 *
+	 * @since    1.0.0
+	 * @param    string $api_key    Optional API key to test.
+	 * @return   array              Result with 'success' and 'message' keys.
+	 */
+	public function verify_api_key( $api_key = null );
+
+	/**
+	 * Generate text.
+	 *
+	 * Options: model, max_tokens, temperature and stream_callback. The result
+	 * holds content, model, prompt_tokens, completion_tokens, total_tokens,
+	 * cost_usd, generation_time and finish_reason.
+	 *
+	 * @since    1.0.0
+	 * @param    string $prompt         The user prompt.
+	 * @param    string $system_prompt  Optional system prompt.
+	 * @param    array  $options        Additional options.
+	 * @return   array|WP_Error         Response array or error.
+	 */
+	public function generate_text( $prompt, $system_prompt = '', $options = array() );
+
+	/**
+	 * Calculate the cost of a text generation request.
+	 *
+	 * @since    1.0.0
+	 * @param    string $model              The model used.
+	 * @param    int    $prompt_tokens      Number of input tokens.
+	 * @param    int    $completion_tokens  Number of output tokens.
+	 * @return   float                      Cost in USD.
+	 */
+	public function calculate_text_cost( $model, $prompt_tokens, $completion_tokens );
+
+	/**
+	 * Get the last error message.
+	 *
+	 * @since    1.0.0
+	 * @return   string    The last error message.
+	 */
+	public function get_last_error();
+}
@@ -33,15 +33,48 @@ function ai_blog_posts_uninstall() {
 	// Delete all plugin options
 	$options = array(
 		'ai_blog_posts_version',
+		'ai_blog_posts_db_version',
+		'ai_blog_posts_provider',
 		'ai_blog_posts_api_key',
 		'ai_blog_posts_org_id',
+		'ai_blog_posts_anthropic_api_key',
+		'ai_blog_posts_gemini_api_key',
+		'ai_blog_posts_compatible_base_url',
+		'ai_blog_posts_compatible_api_key',
+		'ai_blog_posts_compatible_model',
+		'ai_blog_posts_compatible_input_cost',
+		'ai_blog_posts_compatible_output_cost',
 		'ai_blog_posts_model',
+		'ai_blog_posts_model_outline',
+		'ai_blog_posts_model_content',
+		'ai_blog_posts_model_humanize',
+		'ai_blog_posts_model_seo',
+		'ai_blog_posts_model_image_prompt',
 		'ai_blog_posts_image_enabled',
 		'ai_blog_posts_image_model',
 		'ai_blog_posts_image_size',
+		'ai_blog_posts_image_candidates',
+		'ai_blog_posts_inline_images',
+		'ai_blog_posts_inline_images_reuse',
+		'ai_blog_posts_image_optimize',
+		'ai_blog_posts_image_aspect_ratio',
+		'ai_blog_posts_image_max_width',
+		'ai_blog_posts_image_format',
+		'ai_blog_posts_image_quality',
+		'ai_blog_posts_image_strip_metadata',
+		'ai_blog_posts_image_watermark_id',
+		'ai_blog_posts_image_watermark_position',
+		'ai_blog_posts_image_watermark_size',
+		'ai_blog_posts_image_watermark_opacity',
 		'ai_blog_posts_schedule_enabled',
 		'ai_blog_posts_schedule_frequency',
 		'ai_blog_posts_schedule_time',
+		'ai_blog_posts_schedule_days',
+		'ai_blog_posts_schedule_slots',
+		'ai_blog_posts_schedule_jitter',
+		'ai_blog_posts_schedule_blackouts',
+		'ai_blog_posts_schedule_category_cadence',
+		'ai_blog_posts_schedule_slot',
 		'ai_blog_posts_max_posts_per_day',
 		'ai_blog_posts_post_status',
 		'ai_blog_posts_default_author',
@@ -55,8 +88,19 @@ function ai_blog_posts_uninstall() {
 		'ai_blog_posts_trending_country',
 		'ai_blog_posts_budget_limit',
 		'ai_blog_posts_budget_alert_email',
+		'ai_blog_posts_duplicate_threshold',
+		'ai_blog_posts_duplicate_embeddings',
+		'ai_blog_posts_analysis_auto_refresh',
+		'ai_blog_posts_analysis_sample_size',
 		'ai_blog_posts_api_verified',
 		'ai_blog_posts_last_analysis',
+		'ai_blog_posts_analyses',
+		'ai_blog_posts_batch',
+		'ai_blog_posts_prompt_templates',
+		'ai_blog_posts_prompt_presets',
+		'ai_blog_posts_voice_profiles',
+		'ai_blog_posts_voice_profile_default',
+		'ai_blog_posts_embeddings',
 	);
 
 	foreach ( $options as $option ) {
@@ -66,11 +110,17 @@ function ai_blog_posts_uninstall() {
 	// Clear scheduled hooks
 	wp_clear_scheduled_hook( 'ai_blog_posts_scheduled_generation' );
 	wp_clear_scheduled_hook( 'ai_blog_posts_trending_refresh' );
+	wp_clear_scheduled_hook( 'ai_blog_posts_process_batch' );
+	wp_clear_scheduled_hook( 'ai_blog_posts_refresh_analysis' );
 
 	// Delete transients
 	delete_transient( 'ai_blog_posts_trending_topics' );
 	delete_transient( 'ai_blog_posts_api_status' );
 	delete_transient( 'ai_blog_posts_models_list' );
+	delete_transient( 'ai_blog_posts_batch_lock' );
+
+	// Embedding vectors cached one per text by earlier versions
+	$wpdb->query( "DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient_ai_blog_posts_embedding_%' OR option_name LIKE '_transient_timeout_ai_blog_posts_embedding_%'" );
 
 	// Clean up any post meta created by this plugin
 	$wpdb->query( "DELETE FROM {$wpdb->postmeta} WHERE meta_key LIKE '_ai_blog_posts_%'" );